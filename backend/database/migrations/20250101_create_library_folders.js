@@ -0,0 +1,35 @@
+exports.up = async function(knex) {
+  await knex.schema.createTable('library_folders', function(table) {
+    table.increments('id').primary();
+    table.text('path').notNullable().unique();
+    table.string('name');
+    table.string('category').defaultTo('auto'); // 'auto', 'movie', 'tv-show'
+    table.boolean('watch').defaultTo(false);
+    table.boolean('enabled').defaultTo(true);
+    table.integer('created_by').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('last_scanned_at').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+  });
+
+  // Library scanner columns on media_content
+  if (await knex.schema.hasTable('media_content') && !(await knex.schema.hasColumn('media_content', 'checksum'))) {
+    await knex.schema.table('media_content', function(table) {
+      table.string('checksum').nullable();
+      table.integer('library_folder_id').nullable();
+      table.timestamp('missing_since').nullable();
+      table.index(['checksum']);
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  if (await knex.schema.hasColumn('media_content', 'checksum')) {
+    await knex.schema.table('media_content', function(table) {
+      table.dropIndex(['checksum']);
+      table.dropColumn('checksum');
+      table.dropColumn('library_folder_id');
+      table.dropColumn('missing_since');
+    });
+  }
+  await knex.schema.dropTableIfExists('library_folders');
+};
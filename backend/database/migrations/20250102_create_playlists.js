@@ -0,0 +1,44 @@
+exports.up = async function(knex) {
+  if (!(await knex.schema.hasTable('playlists'))) {
+    await knex.schema.createTable('playlists', function(table) {
+      table.increments('id').primary();
+      table.string('name').notNullable();
+      table.text('description');
+      table.integer('created_by').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+      table.boolean('is_public').defaultTo(false);
+    });
+  }
+
+  if (!(await knex.schema.hasTable('playlist_items'))) {
+    await knex.schema.createTable('playlist_items', function(table) {
+      table.increments('id').primary();
+      table.integer('playlist_id').unsigned().notNullable().references('id').inTable('playlists').onDelete('CASCADE');
+      table.integer('media_id').unsigned().notNullable();
+      table.integer('position').notNullable();
+      table.timestamp('added_at').defaultTo(knex.fn.now());
+
+      table.unique(['playlist_id', 'media_id']);
+      table.index(['playlist_id', 'position']);
+    });
+  }
+
+  await knex.schema.createTable('playlist_shares', function(table) {
+    table.increments('id').primary();
+    table.integer('playlist_id').unsigned().notNullable().references('id').inTable('playlists').onDelete('CASCADE');
+    table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.boolean('can_edit').defaultTo(false);
+    table.integer('shared_by').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.unique(['playlist_id', 'user_id']);
+    table.index(['user_id']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('playlist_shares');
+  await knex.schema.dropTableIfExists('playlist_items');
+  await knex.schema.dropTableIfExists('playlists');
+};
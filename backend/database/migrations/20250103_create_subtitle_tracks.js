@@ -0,0 +1,22 @@
+exports.up = async function(knex) {
+  await knex.schema.createTable('subtitle_tracks', function(table) {
+    table.increments('id').primary();
+    table.integer('media_id').unsigned().notNullable();
+    table.string('source').notNullable();
+    table.integer('stream_index').nullable();
+    table.text('source_path').nullable();
+    table.string('language').nullable();
+    table.string('label').notNullable();
+    table.string('codec').nullable();
+    table.boolean('is_default').defaultTo(false);
+    table.boolean('is_forced').defaultTo(false);
+    table.text('file_path').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['media_id']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('subtitle_tracks');
+};
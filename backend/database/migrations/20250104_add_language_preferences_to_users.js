@@ -0,0 +1,16 @@
+exports.up = async function(knex) {
+  const hasAudio = await knex.schema.hasColumn('users', 'preferred_audio_language');
+  const hasSubtitle = await knex.schema.hasColumn('users', 'preferred_subtitle_language');
+
+  await knex.schema.table('users', function(table) {
+    if (!hasAudio) table.string('preferred_audio_language', 10).nullable();
+    if (!hasSubtitle) table.string('preferred_subtitle_language', 10).nullable();
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('users', function(table) {
+    table.dropColumn('preferred_audio_language');
+    table.dropColumn('preferred_subtitle_language');
+  });
+};
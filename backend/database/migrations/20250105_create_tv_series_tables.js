@@ -0,0 +1,119 @@
+// Same key as tvShowService.normalizeTitleKey
+const normalizeTitleKey = (title) => (title || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .replace(/^the\s+/, '')
+  .trim();
+
+// Fallbacks for rows uploaded before show/season/episode were recorded
+const describeEpisode = (media) => {
+  const source = media.original_filename || media.title || '';
+  const match = source.match(/[Ss](\d{1,2})[Ee](\d{1,2})/) || source.match(/(\d{1,2})x(\d{1,2})/);
+
+  const showTitle = media.show_title || source
+    .replace(/\.[^/.]+$/, '')
+    .replace(/[Ss]\d{1,2}[Ee]\d{1,2}.*$/g, '')
+    .replace(/[Ss]eason\s*\d{1,2}.*$/gi, '')
+    .replace(/\d{4}.*$/g, '')
+    .replace(/[-_.]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim() || 'Unknown Show';
+
+  return {
+    showTitle,
+    seasonNumber: media.season_number ?? (match ? parseInt(match[1]) : 1),
+    episodeNumber: media.episode_number ?? (match ? parseInt(match[2]) : null),
+    title: media.episode_title || media.title
+  };
+};
+
+exports.up = async function(knex) {
+  if (!(await knex.schema.hasTable('shows'))) {
+    await knex.schema.createTable('shows', function(table) {
+      table.increments('id').primary();
+      table.string('title').notNullable();
+      table.string('title_key').notNullable().unique();
+      table.text('description');
+      table.text('thumbnail_path');
+      table.text('extended_metadata');
+      table.integer('tmdb_id').nullable();
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+    });
+  }
+
+  if (!(await knex.schema.hasTable('seasons'))) {
+    await knex.schema.createTable('seasons', function(table) {
+      table.increments('id').primary();
+      table.integer('show_id').unsigned().notNullable().references('id').inTable('shows').onDelete('CASCADE');
+      table.integer('season_number').notNullable();
+      table.string('title');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.unique(['show_id', 'season_number']);
+    });
+  }
+
+  if (!(await knex.schema.hasTable('episodes'))) {
+    await knex.schema.createTable('episodes', function(table) {
+      table.increments('id').primary();
+      table.integer('show_id').unsigned().notNullable().references('id').inTable('shows').onDelete('CASCADE');
+      table.integer('season_id').unsigned().notNullable().references('id').inTable('seasons').onDelete('CASCADE');
+      table.integer('media_id').unsigned().notNullable().unique();
+      table.integer('episode_number').nullable();
+      table.string('title');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.index(['season_id', 'episode_number']);
+    });
+  }
+
+  // Backfill from existing TV episodes
+  if (!(await knex.schema.hasTable('media_content'))) return;
+
+  const media = await knex('media_content')
+    .where('tags', 'like', '%tv-show%')
+    .where('media_type', 'video')
+    .orderBy('id');
+
+  for (const item of media) {
+    const linked = await knex('episodes').where('media_id', item.id).first();
+    if (linked) continue;
+
+    const details = describeEpisode(item);
+    const titleKey = normalizeTitleKey(details.showTitle) || 'unknown show';
+
+    let show = await knex('shows').where('title_key', titleKey).first();
+    if (!show) {
+      [show] = await knex('shows').insert({
+        title: details.showTitle,
+        title_key: titleKey,
+        description: item.description || null,
+        thumbnail_path: item.thumbnail_path || null,
+        extended_metadata: item.extended_metadata || null
+      }).returning('*');
+    }
+
+    let season = await knex('seasons').where({ show_id: show.id, season_number: details.seasonNumber }).first();
+    if (!season) {
+      [season] = await knex('seasons').insert({
+        show_id: show.id,
+        season_number: details.seasonNumber
+      }).returning('*');
+    }
+
+    await knex('episodes').insert({
+      show_id: show.id,
+      season_id: season.id,
+      media_id: item.id,
+      episode_number: details.episodeNumber,
+      title: details.title
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('episodes');
+  await knex.schema.dropTableIfExists('seasons');
+  await knex.schema.dropTableIfExists('shows');
+};
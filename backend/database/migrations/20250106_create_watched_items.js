@@ -0,0 +1,16 @@
+exports.up = async function(knex) {
+  if (await knex.schema.hasTable('watched_items')) return;
+
+  await knex.schema.createTable('watched_items', function(table) {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.integer('media_id').unsigned().notNullable();
+    table.timestamp('watched_at').defaultTo(knex.fn.now());
+
+    table.unique(['user_id', 'media_id']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('watched_items');
+};
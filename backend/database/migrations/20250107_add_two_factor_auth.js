@@ -0,0 +1,66 @@
+exports.up = async function(knex) {
+  const columns = {
+    two_factor_enabled: (table) => table.boolean('two_factor_enabled').defaultTo(false),
+    two_factor_secret: (table) => table.string('two_factor_secret').nullable(),
+    two_factor_pending_secret: (table) => table.string('two_factor_pending_secret').nullable(),
+    two_factor_last_step: (table) => table.bigInteger('two_factor_last_step').nullable(),
+    two_factor_enabled_at: (table) => table.timestamp('two_factor_enabled_at').nullable()
+  };
+
+  const missing = [];
+  for (const column of Object.keys(columns)) {
+    if (!(await knex.schema.hasColumn('users', column))) missing.push(column);
+  }
+
+  if (missing.length > 0) {
+    await knex.schema.table('users', function(table) {
+      missing.forEach(column => columns[column](table));
+    });
+  }
+
+  if (!(await knex.schema.hasTable('two_factor_recovery_codes'))) {
+    await knex.schema.createTable('two_factor_recovery_codes', function(table) {
+      table.increments('id').primary();
+      table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.string('code_hash').notNullable();
+      table.timestamp('used_at').nullable();
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.index(['user_id']);
+    });
+  }
+
+  if (!(await knex.schema.hasTable('two_factor_resets'))) {
+    await knex.schema.createTable('two_factor_resets', function(table) {
+      table.increments('id').primary();
+      table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.string('token_hash').notNullable().unique();
+      table.timestamp('expires_at').notNullable();
+      table.boolean('used').defaultTo(false);
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+    });
+  }
+
+  if (!(await knex.schema.hasTable('security_settings'))) {
+    await knex.schema.createTable('security_settings', function(table) {
+      table.increments('id').primary();
+      table.string('setting_key').notNullable().unique();
+      table.text('setting_value').notNullable();
+      table.integer('updated_by').nullable();
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('security_settings');
+  await knex.schema.dropTableIfExists('two_factor_resets');
+  await knex.schema.dropTableIfExists('two_factor_recovery_codes');
+  await knex.schema.table('users', function(table) {
+    table.dropColumn('two_factor_enabled');
+    table.dropColumn('two_factor_secret');
+    table.dropColumn('two_factor_pending_secret');
+    table.dropColumn('two_factor_last_step');
+    table.dropColumn('two_factor_enabled_at');
+  });
+};
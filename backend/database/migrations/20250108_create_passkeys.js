@@ -0,0 +1,23 @@
+exports.up = async function(knex) {
+  if (await knex.schema.hasTable('passkeys')) return;
+
+  await knex.schema.createTable('passkeys', function(table) {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('credential_id', 512).notNullable().unique();
+    table.text('public_key').notNullable();
+    table.bigInteger('counter').defaultTo(0);
+    table.text('transports').nullable();
+    table.string('device_type').nullable();
+    table.boolean('backed_up').defaultTo(false);
+    table.string('name').notNullable();
+    table.timestamp('last_used_at').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['user_id']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('passkeys');
+};
@@ -0,0 +1,33 @@
+exports.up = async function(knex) {
+  if (!(await knex.schema.hasColumn('user_sessions', 'device_name'))) {
+    await knex.schema.table('user_sessions', function(table) {
+      table.string('device_name').nullable();
+    });
+  }
+
+  if (!(await knex.schema.hasTable('device_codes'))) {
+    await knex.schema.createTable('device_codes', function(table) {
+      table.increments('id').primary();
+      table.string('device_code_hash').notNullable().unique();
+      table.string('user_code', 16).notNullable().unique();
+      table.string('device_name').notNullable();
+      table.string('client_type').nullable();
+      table.string('status').defaultTo('pending'); // pending, approved, denied, consumed
+      table.integer('user_id').unsigned().nullable().references('id').inTable('users').onDelete('CASCADE');
+      table.string('session_id').nullable();
+      table.timestamp('last_polled_at').nullable();
+      table.timestamp('expires_at').notNullable();
+      table.timestamp('approved_at').nullable();
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('device_codes');
+  if (await knex.schema.hasColumn('user_sessions', 'device_name')) {
+    await knex.schema.table('user_sessions', function(table) {
+      table.dropColumn('device_name');
+    });
+  }
+};
@@ -0,0 +1,23 @@
+exports.up = async function(knex) {
+  if (!(await knex.schema.hasTable('api_tokens'))) {
+    await knex.schema.createTable('api_tokens', function(table) {
+      table.increments('id').primary();
+      table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.string('name', 64).notNullable();
+      table.string('token_prefix', 16).notNullable();
+      table.string('token_hash').notNullable().unique();
+      table.text('scopes').notNullable(); // JSON array of scope keys
+      table.timestamp('last_used_at').nullable();
+      table.string('last_used_ip').nullable();
+      table.timestamp('expires_at').nullable();
+      table.timestamp('revoked_at').nullable();
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.index(['user_id']);
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('api_tokens');
+};
@@ -0,0 +1,44 @@
+exports.up = async function(knex) {
+  if (!(await knex.schema.hasColumn('media_content', 'content_rating'))) {
+    await knex.schema.table('media_content', function(table) {
+      table.string('content_rating', 16).nullable();
+      table.string('content_rating_source', 16).nullable(); // tmdb, manual
+    });
+  }
+
+  if (!(await knex.schema.hasColumn('user_sessions', 'active_profile'))) {
+    await knex.schema.table('user_sessions', function(table) {
+      table.string('active_profile', 16).defaultTo('main'); // main, kids
+    });
+  }
+
+  if (!(await knex.schema.hasTable('parental_controls'))) {
+    await knex.schema.createTable('parental_controls', function(table) {
+      table.increments('id').primary();
+      table.integer('user_id').unsigned().notNullable().unique().references('id').inTable('users').onDelete('CASCADE');
+      table.string('max_rating', 16).nullable();
+      table.text('blocked_tags').nullable(); // JSON array
+      table.boolean('allow_unrated').defaultTo(true);
+      table.string('kids_pin_hash').nullable();
+      table.string('kids_max_rating', 16).nullable();
+      table.text('kids_blocked_tags').nullable(); // JSON array
+      table.integer('updated_by').unsigned().nullable();
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('parental_controls');
+  if (await knex.schema.hasColumn('user_sessions', 'active_profile')) {
+    await knex.schema.table('user_sessions', function(table) {
+      table.dropColumn('active_profile');
+    });
+  }
+  if (await knex.schema.hasColumn('media_content', 'content_rating')) {
+    await knex.schema.table('media_content', function(table) {
+      table.dropColumn('content_rating');
+      table.dropColumn('content_rating_source');
+    });
+  }
+};
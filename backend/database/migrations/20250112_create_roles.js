@@ -0,0 +1,18 @@
+exports.up = async function(knex) {
+  if (!(await knex.schema.hasTable('roles'))) {
+    await knex.schema.createTable('roles', function(table) {
+      table.increments('id').primary();
+      table.string('name', 32).notNullable().unique();
+      table.string('label', 64).notNullable();
+      table.string('description').nullable();
+      table.text('permissions').notNullable(); // JSON array of permission keys
+      table.integer('created_by').unsigned().nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('roles');
+};
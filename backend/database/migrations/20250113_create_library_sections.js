@@ -0,0 +1,76 @@
+exports.up = async function(knex) {
+  if (!(await knex.schema.hasTable('library_sections'))) {
+    await knex.schema.createTable('library_sections', function(table) {
+      table.increments('id').primary();
+      table.string('name', 64).notNullable().unique();
+      table.string('description').nullable();
+      table.string('metadata_agent', 16).defaultTo('tmdb'); // tmdb, local
+      table.string('transcoding_profile', 32).nullable();
+      table.integer('created_by').unsigned().nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+    });
+  }
+
+  if (!(await knex.schema.hasTable('library_section_grants'))) {
+    await knex.schema.createTable('library_section_grants', function(table) {
+      table.increments('id').primary();
+      table.integer('section_id').unsigned().notNullable().references('id').inTable('library_sections').onDelete('CASCADE');
+      table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.integer('granted_by').unsigned().nullable();
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.unique(['section_id', 'user_id']);
+    });
+  }
+
+  if (!(await knex.schema.hasColumn('library_folders', 'section_id'))) {
+    await knex.schema.table('library_folders', function(table) {
+      table.integer('section_id').unsigned().nullable().references('id').inTable('library_sections').onDelete('SET NULL');
+    });
+  }
+
+  if (!(await knex.schema.hasColumn('media_content', 'library_section_id'))) {
+    await knex.schema.table('media_content', function(table) {
+      table.integer('library_section_id').nullable();
+      table.index(['library_section_id']);
+    });
+  }
+
+  if (!(await knex.schema.hasColumn('invite_tokens', 'library_section_ids'))) {
+    await knex.schema.table('invite_tokens', function(table) {
+      table.text('library_section_ids').nullable(); // JSON array, null = all libraries
+    });
+  }
+
+  if (!(await knex.schema.hasColumn('users', 'all_libraries'))) {
+    await knex.schema.table('users', function(table) {
+      table.boolean('all_libraries').defaultTo(true);
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  if (await knex.schema.hasColumn('users', 'all_libraries')) {
+    await knex.schema.table('users', function(table) {
+      table.dropColumn('all_libraries');
+    });
+  }
+  if (await knex.schema.hasColumn('invite_tokens', 'library_section_ids')) {
+    await knex.schema.table('invite_tokens', function(table) {
+      table.dropColumn('library_section_ids');
+    });
+  }
+  if (await knex.schema.hasColumn('media_content', 'library_section_id')) {
+    await knex.schema.table('media_content', function(table) {
+      table.dropIndex(['library_section_id']);
+      table.dropColumn('library_section_id');
+    });
+  }
+  if (await knex.schema.hasColumn('library_folders', 'section_id')) {
+    await knex.schema.table('library_folders', function(table) {
+      table.dropColumn('section_id');
+    });
+  }
+  await knex.schema.dropTableIfExists('library_section_grants');
+  await knex.schema.dropTableIfExists('library_sections');
+};
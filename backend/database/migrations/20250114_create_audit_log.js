@@ -0,0 +1,54 @@
+exports.up = async function(knex) {
+  if (!(await knex.schema.hasTable('audit_log'))) {
+    await knex.schema.createTable('audit_log', function(table) {
+      table.increments('id').primary();
+      table.integer('actor_id').nullable(); // No foreign key - entries outlive users
+      table.string('actor_username').nullable();
+      table.string('action', 64).notNullable();
+      table.string('target_type', 32).nullable();
+      table.string('target_id').nullable();
+      table.text('target_label').nullable();
+      table.text('before_value').nullable(); // JSON
+      table.text('after_value').nullable(); // JSON
+      table.string('ip_address', 64).nullable();
+      table.text('user_agent').nullable();
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.index(['created_at']);
+      table.index(['action']);
+    });
+  }
+
+  // Append-only: reject edits and deletes at the database level
+  if (knex.client.config.client !== 'pg') {
+    await knex.raw(`
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+    `);
+    await knex.raw(`
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+    `);
+    return;
+  }
+
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+  await knex.raw('DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log');
+  await knex.raw(`
+    CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+  `);
+};
+
+exports.down = async function(knex) {
+  if (knex.client.config.client === 'pg') {
+    await knex.raw('DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log');
+    await knex.raw('DROP FUNCTION IF EXISTS audit_log_append_only()');
+  }
+  await knex.schema.dropTableIfExists('audit_log');
+};
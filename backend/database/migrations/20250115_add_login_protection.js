@@ -0,0 +1,36 @@
+exports.up = async function(knex) {
+  const columns = {
+    failed_login_count: table => table.integer('failed_login_count').defaultTo(0),
+    last_failed_login_at: table => table.timestamp('last_failed_login_at').nullable(),
+    lockout_count: table => table.integer('lockout_count').defaultTo(0),
+    locked_until: table => table.timestamp('locked_until').nullable()
+  };
+
+  for (const [column, addColumn] of Object.entries(columns)) {
+    if (!(await knex.schema.hasColumn('users', column))) {
+      await knex.schema.table('users', addColumn);
+    }
+  }
+
+  if (!(await knex.schema.hasTable('known_login_devices'))) {
+    await knex.schema.createTable('known_login_devices', function(table) {
+      table.increments('id').primary();
+      table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.string('ip_address', 64).notNullable();
+      table.string('device_info').notNullable();
+      table.string('browser_info').notNullable();
+      table.timestamp('first_seen_at').defaultTo(knex.fn.now());
+      table.timestamp('last_seen_at').defaultTo(knex.fn.now());
+      table.unique(['user_id', 'ip_address', 'device_info', 'browser_info']);
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('known_login_devices');
+  for (const column of ['locked_until', 'lockout_count', 'last_failed_login_at', 'failed_login_count']) {
+    if (await knex.schema.hasColumn('users', column)) {
+      await knex.schema.table('users', table => table.dropColumn(column));
+    }
+  }
+};
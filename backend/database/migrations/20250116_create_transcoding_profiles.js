@@ -0,0 +1,27 @@
+exports.up = async function(knex) {
+  if (!(await knex.schema.hasTable('transcoding_profiles'))) {
+    await knex.schema.createTable('transcoding_profiles', function(table) {
+      table.increments('id').primary();
+      table.string('name', 32).notNullable().unique(); // Also stored in library_sections.transcoding_profile
+      table.string('description').nullable();
+      table.string('video_codec', 16).notNullable(); // hevc, h264, vp9
+      table.string('rate_control', 16).notNullable().defaultTo('crf'); // crf, bitrate
+      table.integer('crf').nullable();
+      table.integer('video_bitrate').nullable(); // kbps; the ceiling in crf mode
+      table.integer('max_height').nullable(); // null = source resolution
+      table.string('audio_codec', 16).notNullable().defaultTo('aac');
+      table.integer('audio_bitrate').nullable(); // kbps
+      table.integer('audio_channels').nullable(); // null = keep the source layout
+      table.string('container', 8).notNullable().defaultTo('mp4');
+      table.boolean('two_pass').defaultTo(false);
+      table.boolean('is_default').defaultTo(false); // Used for auto-transcode on upload
+      table.integer('created_by').unsigned().nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('transcoding_profiles');
+};
@@ -0,0 +1,13 @@
+exports.up = async function(knex) {
+  if (!(await knex.schema.hasColumn('streaming_settings', 'max_live_transcodes'))) {
+    await knex.schema.table('streaming_settings', function(table) {
+      table.integer('max_live_transcodes').defaultTo(2); // 0 = no cap
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  if (await knex.schema.hasColumn('streaming_settings', 'max_live_transcodes')) {
+    await knex.schema.table('streaming_settings', table => table.dropColumn('max_live_transcodes'));
+  }
+};
@@ -1,4 +1,60 @@
 const authService = require('../services/authService');
+const apiTokenService = require('../services/apiTokenService');
+const parentalControlService = require('../services/parentalControlService');
+const permissionService = require('../services/permissionService');
+
+// The user object routes see on req.user, with the permissions of their role
+const toRequestUser = async (userData) => {
+  await permissionService.ensureLoaded();
+
+  const user = {
+    id: userData.id,
+    username: userData.username,
+    email: userData.email,
+    role: userData.role || 'user',
+    is_admin: userData.is_admin,
+    is_active: userData.is_active
+  };
+  user.permissions = permissionService.userPermissions(user);
+  return user;
+};
+
+// Personal API tokens carry no session; they're checked against the token's
+// scopes for the route being called
+const authenticateApiToken = async (token, req, res, next) => {
+  const apiToken = await apiTokenService.verifyToken(token, req.ip);
+  if (!apiToken) {
+    return res.status(401).json({
+      error: 'Invalid or revoked API token',
+      code: 'INVALID_TOKEN'
+    });
+  }
+
+  const userData = await authService.findUserById(apiToken.user_id);
+  if (!userData || !userData.is_active) {
+    return res.status(401).json({
+      error: 'Account is disabled',
+      code: 'ACCOUNT_DISABLED'
+    });
+  }
+
+  const path = req.originalUrl.split('?')[0];
+  if (!apiTokenService.allows(apiToken, req.method, path)) {
+    const scope = apiTokenService.requiredScope(req.method, path);
+    return res.status(403).json({
+      error: scope
+        ? `This API token is missing the "${scope}" scope`
+        : 'This endpoint is not available to API tokens',
+      code: 'INSUFFICIENT_SCOPE'
+    });
+  }
+
+  req.user = await toRequestUser(userData);
+  req.apiToken = { id: apiToken.id, scopes: apiTokenService.parseScopes(apiToken) };
+  req.sessionId = null;
+
+  next();
+};
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -18,6 +74,10 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (apiTokenService.isApiToken(token)) {
+      return authenticateApiToken(token, req, res, next);
+    }
+
     // Verify token and check if it's still valid (not invalidated by logout all devices)
     const decoded = await authService.verifyTokenWithUser(token);
     
@@ -39,14 +99,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     // Add user to request object
-    req.user = {
-      id: userData.id,
-      username: userData.username,
-      email: userData.email,
-      role: userData.role || 'user',
-      is_admin: userData.is_admin,
-      is_active: userData.is_active
-    };
+    req.user = await toRequestUser(userData);
 
     // Add session ID to request object if available in token
     req.sessionId = decoded.sessionId || null;
@@ -95,28 +148,8 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
-// Middleware to check if user is manager or higher
-const requireManager = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ 
-      error: 'Authentication required',
-      code: 'AUTH_REQUIRED'
-    });
-  }
-
-  const allowedRoles = ['admin', 'manager'];
-  if (!allowedRoles.includes(req.user.role) && !req.user.is_admin) {
-    return res.status(403).json({ 
-      error: 'Manager access or higher required',
-      code: 'MANAGER_REQUIRED'
-    });
-  }
-
-  next();
-};
-
-// Middleware to check if user has specific role or higher
-const requireRole = (requiredRole) => {
+// Middleware to check the user's role grants every listed permission
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ 
@@ -125,19 +158,12 @@ const requireRole = (requiredRole) => {
       });
     }
 
-    const roleHierarchy = {
-      'user': 1,
-      'manager': 2,
-      'admin': 3
-    };
-
-    const userLevel = roleHierarchy[req.user.role] || (req.user.is_admin ? 3 : 1);
-    const requiredLevel = roleHierarchy[requiredRole] || 1;
-
-    if (userLevel < requiredLevel) {
+    const missing = permissions.filter(permission => !req.user.permissions?.includes(permission));
+    if (missing.length > 0) {
       return res.status(403).json({ 
-        error: `${requiredRole.charAt(0).toUpperCase() + requiredRole.slice(1)} access or higher required`,
-        code: 'INSUFFICIENT_ROLE'
+        error: `This requires the "${missing[0]}" permission`,
+        code: 'PERMISSION_REQUIRED',
+        permission: missing[0]
       });
     }
 
@@ -145,43 +171,20 @@ const requireRole = (requiredRole) => {
   };
 };
 
-// Middleware to check if user can manage other users (admin only)
-const requireUserManagement = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ 
-      error: 'Authentication required',
-      code: 'AUTH_REQUIRED'
-    });
-  }
-
-  if (req.user.role !== 'admin' && !req.user.is_admin) {
-    return res.status(403).json({ 
-      error: 'User management requires admin privileges',
-      code: 'USER_MANAGEMENT_REQUIRED'
-    });
-  }
-
-  next();
-};
-
-// Middleware to check if user can manage content (manager or admin)
-const requireContentManagement = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ 
-      error: 'Authentication required',
-      code: 'AUTH_REQUIRED'
-    });
-  }
-
-  const allowedRoles = ['admin', 'manager'];
-  if (!allowedRoles.includes(req.user.role) && !req.user.is_admin) {
-    return res.status(403).json({ 
-      error: 'Content management requires manager privileges or higher',
-      code: 'CONTENT_MANAGEMENT_REQUIRED'
-    });
+// Middleware to block account changes from a session using the kids profile
+const requireMainProfile = async (req, res, next) => {
+  try {
+    if ((await parentalControlService.getActiveProfile(req.sessionId)) === 'kids') {
+      return res.status(403).json({
+        error: 'Switch back to the main profile to do this',
+        code: 'KIDS_PROFILE_ACTIVE'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Profile check error:', error);
+    return res.status(500).json({ error: 'Failed to check the active profile' });
   }
-
-  next();
 };
 
 // Optional authentication (doesn't fail if no token)
@@ -195,14 +198,7 @@ const optionalAuth = async (req, res, next) => {
       const userData = await authService.findUserById(decoded.id);
       
       if (userData && userData.is_active) {
-        req.user = {
-          id: userData.id,
-          username: userData.username,
-          email: userData.email,
-          role: userData.role || 'user',
-          is_admin: userData.is_admin,
-          is_active: userData.is_active
-        };
+        req.user = await toRequestUser(userData);
         
         // Add session ID to request object if available in token
         req.sessionId = decoded.sessionId || null;
@@ -219,9 +215,7 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authenticateToken,
   requireAdmin,
-  requireManager,
-  requireRole,
-  requireUserManagement,
-  requireContentManagement,
+  requirePermission,
+  requireMainProfile,
   optionalAuth
 }; 
@@ -91,6 +91,15 @@ class SecurityLogger {
     console.error(`🚨 Suspicious activity detected: ${activity} from ${this.getClientIP(req)}`);
   }
 
+  logNewDeviceLogin(userId, details, req) {
+    const entry = this.formatLogEntry('WARN', 'NEW_DEVICE_LOGIN', {
+      userId,
+      ...details
+    }, req);
+    
+    this.writeLog(this.securityLogFile, entry);
+  }
+
   logPasswordChange(userId, req) {
     const entry = this.formatLogEntry('INFO', 'PASSWORD_CHANGED', {
       userId
@@ -1,4 +1,3 @@
-const jwt = require('jsonwebtoken');
 const securityLogger = require('./securityLogger');
 
 class SessionSecurity {
@@ -151,7 +150,8 @@ class SessionSecurity {
       }
 
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const authService = require('../services/authService');
+        const decoded = authService.verifyAccessToken(token);
         
         // Extract session ID from token (if present)
         const sessionId = decoded.sessionId;
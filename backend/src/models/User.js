@@ -1,5 +1,7 @@
 const bcrypt = require('bcryptjs');
 const { isValidEmail, isValidUsername, isStrongPassword } = require('../middleware/security');
+const { isValidLanguageCode } = require('../utils/languages');
+const permissionService = require('../services/permissionService');
 
 class User {
   constructor(data) {
@@ -10,12 +12,15 @@ class User {
     this.display_name = data.display_name;
     this.profile_picture = data.profile_picture;
     this.bio = data.bio;
+    this.preferred_audio_language = data.preferred_audio_language || null;
+    this.preferred_subtitle_language = data.preferred_subtitle_language || null;
     this.role = data.role || 'user';
     this.is_admin = data.is_admin || false;
     this.is_active = data.is_active !== undefined ? data.is_active : true;
     this.email_verified = data.email_verified || false;
     this.email_verified_at = data.email_verified_at;
     this.token_version = data.token_version;
+    this.two_factor_enabled = !!data.two_factor_enabled;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -40,12 +45,16 @@ class User {
       display_name: this.display_name,
       profile_picture: this.profile_picture,
       bio: this.bio,
+      preferred_audio_language: this.preferred_audio_language,
+      preferred_subtitle_language: this.preferred_subtitle_language,
       role: this.role,
       role_display_name: this.getRoleDisplayName(),
+      permissions: this.getPermissions(),
       is_admin: this.is_admin, // Keep for backward compatibility
       is_active: this.is_active,
       email_verified: this.email_verified,
       email_verified_at: this.email_verified_at,
+      two_factor_enabled: this.two_factor_enabled,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
@@ -104,6 +113,18 @@ class User {
       }
     }
 
+    // Playback language preferences (optional, empty clears them)
+    const languageFields = {
+      preferred_audio_language: 'Preferred audio language',
+      preferred_subtitle_language: 'Preferred subtitle language'
+    };
+    Object.entries(languageFields).forEach(([field, label]) => {
+      const value = profileData[field];
+      if (value !== undefined && value !== null && value !== '' && !isValidLanguageCode(value)) {
+        errors.push(`${label} must be a language code such as "en"`);
+      }
+    });
+
     // Username validation (if being updated)
     if (profileData.username !== undefined) {
       if (!isValidUsername(profileData.username)) {
@@ -153,7 +174,7 @@ class User {
     return isValidEmail(email);
   }
 
-  // Role hierarchy methods
+  // Role checks
   isAdmin() {
     return this.role === 'admin';
   }
@@ -167,12 +188,20 @@ class User {
   }
 
   // Permission methods
+  getPermissions() {
+    return permissionService.userPermissions(this);
+  }
+
+  hasPermission(permission) {
+    return this.getPermissions().includes(permission);
+  }
+
   canManageUsers() {
-    return this.isAdmin();
+    return this.hasPermission('manage-users');
   }
 
   canManageContent() {
-    return this.isAdmin() || this.isManager();
+    return this.hasPermission('upload');
   }
 
   canViewContent() {
@@ -180,42 +209,16 @@ class User {
   }
 
   canManageInvites() {
-    return this.isAdmin();
+    return this.hasPermission('manage-users');
   }
 
   canChangeUserRoles() {
-    return this.isAdmin();
+    return this.hasPermission('manage-users');
   }
 
-  // Get role display name
+  // Get role display name (custom roles use their own label)
   getRoleDisplayName() {
-    const roleNames = {
-      'admin': 'Administrator',
-      'manager': 'Content Manager',
-      'user': 'User'
-    };
-    return roleNames[this.role] || 'User';
-  }
-
-  // Get role hierarchy level (higher number = more privileges)
-  getRoleLevel() {
-    const roleLevels = {
-      'admin': 3,
-      'manager': 2,
-      'user': 1
-    };
-    return roleLevels[this.role] || 1;
-  }
-
-  // Check if user has higher or equal role than specified role
-  hasRoleOrHigher(role) {
-    const targetLevel = {
-      'admin': 3,
-      'manager': 2,
-      'user': 1
-    }[role] || 1;
-    
-    return this.getRoleLevel() >= targetLevel;
+    return permissionService.getRoleLabel(this.role);
   }
 }
 
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const database = require('../utils/database');
 const path = require('path');
 const fs = require('fs').promises;
@@ -8,6 +8,15 @@ const mediaDir = path.join(__dirname, '../../uploads/media');
 const transcodedDir = path.join(__dirname, '../../uploads/transcoded');
 const ffmpeg = require('fluent-ffmpeg');
 const crypto = require('crypto');
+const twoFactorService = require('../services/twoFactorService');
+const parentalControlService = require('../services/parentalControlService');
+const permissionService = require('../services/permissionService');
+const librarySectionService = require('../services/librarySectionService');
+const auditLogService = require('../services/auditLogService');
+const loginProtectionService = require('../services/loginProtectionService');
+const authService = require('../services/authService');
+const adminStatsService = require('../services/adminStatsService');
+const logViewerService = require('../services/logViewerService');
 
 // Rate limit store reference (we'll need to access the rate limiter's store)
 let rateLimitStore = null;
@@ -224,32 +233,105 @@ async function cleanupEmptyDirectories(dirPath) {
 }
 
 // POST /api/admin/invites
-router.post('/invites', (req, res) => {
-  res.json({ message: 'Generate invite endpoint - to be implemented' });
+router.post('/invites', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const { expiresInDays = 7, maxUses = 1, isIndefinite = false, librarySectionIds = null } = req.body;
+
+    const invite = await authService.createInviteToken(req.user.id, expiresInDays, maxUses, isIndefinite, librarySectionIds);
+    await auditLogService.record(req, {
+      action: 'invite.create',
+      targetType: 'invite',
+      targetLabel: `${invite.token.substring(0, 8)}...`,
+      after: { expiresInDays, maxUses, isIndefinite, librarySectionIds }
+    });
+    res.status(201).json({ success: true, invite });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(400).json({ error: error.message });
+  }
 });
 
 // GET /api/admin/invites
-router.get('/invites', (req, res) => {
-  res.json({ message: 'List invites endpoint - to be implemented' });
+router.get('/invites', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const invites = await authService.getAllInviteTokens();
+    res.json({ success: true, invites });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // DELETE /api/admin/invites/:token
-router.delete('/invites/:token', (req, res) => {
-  res.json({ message: 'Revoke invite endpoint - to be implemented' });
+router.delete('/invites/:token', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const { token } = req.params;
+    const invite = await database.query('SELECT id, token, used_at FROM invite_tokens WHERE token = ?', [token]);
+    if (invite.length === 0) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    await authService.deleteInviteToken(token);
+    await auditLogService.record(req, {
+      action: 'invite.revoke',
+      targetType: 'invite',
+      targetId: invite[0].id,
+      targetLabel: `${token.substring(0, 8)}...`,
+      before: { usedAt: invite[0].used_at }
+    });
+    res.json({ success: true, message: 'Invite revoked' });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// GET /api/admin/users
-router.get('/users', (req, res) => {
-  res.json({ message: 'List users endpoint - to be implemented' });
+// GET /api/admin/users?search=&role=&status=active|inactive&limit=&offset=
+router.get('/users', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const { search, role, status, limit, offset } = req.query;
+    const result = await authService.searchUsers({ search, role, status, limit, offset });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// PUT /api/admin/users/:userId/status
-router.put('/users/:userId/status', (req, res) => {
-  res.json({ message: 'User status endpoint - to be implemented' });
+// PUT /api/admin/users/:userId/status - Activate or deactivate an account
+router.put('/users/:userId/status', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { isActive } = req.body;
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive must be true or false' });
+    }
+    if (parseInt(userId) === req.user.id) {
+      return res.status(400).json({ error: 'You can\'t change the status of your own account' });
+    }
+
+    const target = await authService.findUserById(userId);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!permissionService.canManageUser(req.user, target)) {
+      return res.status(403).json({ error: 'You can\'t change the status of a user with permissions you don\'t have' });
+    }
+
+    const user = await authService.setUserActive(userId, isActive, req);
+    res.json({
+      success: true,
+      message: `${user.username} ${isActive ? 'activated' : 'deactivated'}`,
+      user: user.toSafeObject()
+    });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(400).json({ error: error.message });
+  }
 });
 
 // POST /api/admin/users/:userId/reset-rate-limit
-router.post('/users/:userId/reset-rate-limit', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/users/:userId/reset-rate-limit', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -278,23 +360,488 @@ router.post('/users/:userId/reset-rate-limit', authenticateToken, requireAdmin,
   }
 });
 
-// GET /api/admin/stats
-router.get('/stats', (req, res) => {
-  res.json({ message: 'System stats endpoint - to be implemented' });
+// GET /api/admin/security/two-factor - Roles that must use 2FA
+router.get('/security/two-factor', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      requiredRoles: await twoFactorService.getRequiredRoles(),
+      enforceableRoles: twoFactorService.enforceableRoles
+    });
+  } catch (error) {
+    console.error('Error getting two-factor policy:', error);
+    res.status(500).json({ error: 'Failed to get two-factor policy' });
+  }
+});
+
+// PUT /api/admin/security/two-factor
+router.put('/security/two-factor', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+    if (!Array.isArray(requiredRoles)) {
+      return res.status(400).json({ error: 'requiredRoles must be an array' });
+    }
+
+    const roles = await twoFactorService.setRequiredRoles(requiredRoles, req.user.id);
+    res.json({ success: true, requiredRoles: roles });
+  } catch (error) {
+    console.error('Error updating two-factor policy:', error);
+    res.status(400).json({ error: error.message || 'Failed to update two-factor policy' });
+  }
 });
 
-// GET /api/admin/logs
-router.get('/logs', (req, res) => {
-  res.json({ message: 'System logs endpoint - to be implemented' });
+// DELETE /api/admin/users/:userId/two-factor - Reset a user's 2FA (they re-enroll at next login if required)
+router.delete('/users/:userId/two-factor', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await database.query('SELECT id, username, role, is_admin FROM users WHERE id = ?', [userId]);
+    if (user.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!permissionService.canManageUser(req.user, user[0])) {
+      return res.status(403).json({ error: 'You can\'t reset 2FA for a user with permissions you don\'t have' });
+    }
+
+    await twoFactorService.disable(userId);
+    res.json({
+      success: true,
+      message: `Two-factor authentication reset for ${user[0].username}`
+    });
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+});
+
+// GET /api/admin/security/login-protection - Lockout policy and accounts with failed sign-ins
+router.get('/security/login-protection', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const [settings, accounts] = await Promise.all([
+      loginProtectionService.getSettings(),
+      loginProtectionService.listProtectedAccounts()
+    ]);
+    res.json({ success: true, settings, accounts });
+  } catch (error) {
+    console.error('Error getting login protection:', error);
+    res.status(500).json({ error: 'Failed to get login protection settings' });
+  }
+});
+
+// PUT /api/admin/security/login-protection
+router.put('/security/login-protection', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const before = await loginProtectionService.getSettings();
+    const settings = await loginProtectionService.updateSettings(req.body || {}, req.user.id);
+    await auditLogService.record(req, {
+      action: 'security.login_protection_update',
+      targetType: 'setting',
+      targetId: 'login_protection',
+      targetLabel: 'Login protection',
+      before,
+      after: settings
+    });
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('Error updating login protection:', error);
+    res.status(400).json({ error: error.message || 'Failed to update login protection settings' });
+  }
+});
+
+// POST /api/admin/users/:userId/unlock - Clear a lockout and the failed sign-in history
+router.post('/users/:userId/unlock', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const user = await loginProtectionService.unlockUser(req.params.userId);
+    await auditLogService.record(req, {
+      action: 'user.unlock',
+      targetType: 'user',
+      targetId: user.id,
+      targetLabel: user.username,
+      before: {
+        failedLoginCount: user.failed_login_count,
+        lockoutCount: user.lockout_count,
+        lockedUntil: user.locked_until
+      }
+    });
+    res.json({ success: true, message: `${user.username} can sign in again` });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    const status = error.message === 'User not found' ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/users/:userId/parental-controls
+router.get('/users/:userId/parental-controls', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const user = await database.query('SELECT id, username FROM users WHERE id = ?', [req.params.userId]);
+    if (user.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const settings = await parentalControlService.getSettings(user[0].id);
+    res.json({
+      success: true,
+      settings,
+      ratings: parentalControlService.listRatings()
+    });
+  } catch (error) {
+    console.error('Error getting parental controls:', error);
+    res.status(500).json({ error: 'Failed to get parental controls' });
+  }
+});
+
+// PUT /api/admin/users/:userId/parental-controls - Maximum rating and blocked tags for an account
+router.put('/users/:userId/parental-controls', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const user = await database.query('SELECT id, username FROM users WHERE id = ?', [req.params.userId]);
+    if (user.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { maxRating, blockedTags, allowUnrated } = req.body;
+    const settings = await parentalControlService.updateAccountLimits(
+      user[0].id,
+      { maxRating, blockedTags, allowUnrated },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: `Parental controls updated for ${user[0].username}`,
+      settings
+    });
+  } catch (error) {
+    console.error('Error updating parental controls:', error);
+    res.status(400).json({ error: error.message || 'Failed to update parental controls' });
+  }
+});
+
+// GET /api/admin/users/:userId/library-access
+router.get('/users/:userId/library-access', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const access = await librarySectionService.getUserAccess(req.params.userId);
+    res.json({ success: true, access });
+  } catch (error) {
+    console.error('Error getting library access:', error);
+    const status = error.message === 'User not found' ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// PUT /api/admin/users/:userId/library-access - All libraries, or only the listed ones
+router.put('/users/:userId/library-access', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const user = await database.query('SELECT id, username FROM users WHERE id = ?', [req.params.userId]);
+    if (user.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { allLibraries, sectionIds } = req.body;
+    const access = await librarySectionService.setUserAccess(
+      user[0].id,
+      { allLibraries: allLibraries !== false, sectionIds },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: `Library access updated for ${user[0].username}`,
+      access
+    });
+  } catch (error) {
+    console.error('Error updating library access:', error);
+    res.status(400).json({ error: error.message || 'Failed to update library access' });
+  }
+});
+
+// GET /api/admin/roles - Built-in and custom roles with the permissions they grant
+router.get('/roles', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    await permissionService.ensureLoaded();
+    const counts = await database.query('SELECT role, COUNT(*) as count FROM users GROUP BY role');
+    const userCounts = Object.fromEntries(counts.map(row => [row.role, parseInt(row.count) || 0]));
+
+    res.json({
+      success: true,
+      roles: permissionService.listRoles().map(role => ({ ...role, userCount: userCounts[role.name] || 0 })),
+      permissions: permissionService.listPermissions()
+    });
+  } catch (error) {
+    console.error('Error getting roles:', error);
+    res.status(500).json({ error: 'Failed to get roles' });
+  }
+});
+
+// POST /api/admin/roles - Create a custom role
+router.post('/roles', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const { name, label, description, permissions } = req.body;
+    const role = await permissionService.createRole(req.user, { name, label, description, permissions });
+    res.status(201).json({ success: true, role });
+  } catch (error) {
+    console.error('Error creating role:', error);
+    res.status(400).json({ error: error.message || 'Failed to create role' });
+  }
+});
+
+// PUT /api/admin/roles/:name - Edit a custom role's label, description and permissions
+router.put('/roles/:name', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const { label, description, permissions } = req.body;
+    const role = await permissionService.updateRole(req.user, req.params.name, { label, description, permissions });
+    res.json({ success: true, role });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(400).json({ error: error.message || 'Failed to update role' });
+  }
+});
+
+// DELETE /api/admin/roles/:name - Delete a custom role nobody is assigned to
+router.delete('/roles/:name', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const result = await permissionService.deleteRole(req.user, req.params.name);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(400).json({ error: error.message || 'Failed to delete role' });
+  }
+});
+
+// GET /api/admin/stats - Library, streaming, transcoding and account totals
+router.get('/stats', authenticateToken, requirePermission('view-analytics'), async (req, res) => {
+  try {
+    const stats = await adminStatsService.getStats();
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error('Get stats error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/logs - Available log files
+router.get('/logs', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
+  try {
+    const files = await logViewerService.listFiles();
+    res.json({ success: true, files: files.map(({ dir, ...file }) => file) });
+  } catch (error) {
+    console.error('List logs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/logs/:file?level=&search=&limit=&offset= - Entries, newest first
+router.get('/logs/:file', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
+  try {
+    const { level, search, limit, offset } = req.query;
+    const result = await logViewerService.readEntries(req.params.file, { level, search, limit, offset });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Read log error:', error);
+    const status = error.message === 'Log file not found' ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
 });
 
 // POST /api/admin/media/scan
-router.post('/media/scan', (req, res) => {
-  res.json({ message: 'Media scan endpoint - to be implemented' });
+router.post('/media/scan', authenticateToken, requirePermission('upload'), async (req, res) => {
+  try {
+    const libraryScanner = require('../services/libraryScanner');
+    const { folderId } = req.body || {};
+    
+    const status = libraryScanner.startScan({ folderId, userId: req.user.id });
+    
+    res.status(202).json({
+      success: true,
+      message: 'Library scan started',
+      status
+    });
+  } catch (error) {
+    if (error.message === 'A library scan is already running') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Start library scan error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/media/scan/status
+router.get('/media/scan/status', authenticateToken, requirePermission('upload'), (req, res) => {
+  const libraryScanner = require('../services/libraryScanner');
+  res.json({ success: true, status: libraryScanner.getStatus() });
+});
+
+// GET /api/admin/library-folders
+router.get('/library-folders', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
+  try {
+    const libraryScanner = require('../services/libraryScanner');
+    const folders = await libraryScanner.getFolders();
+    const watching = libraryScanner.getStatus().watching;
+    
+    res.json({
+      success: true,
+      folders: folders.map(folder => ({ ...folder, is_watching: watching.includes(folder.id) }))
+    });
+  } catch (error) {
+    console.error('Get library folders error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/library-folders
+router.post('/library-folders', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
+  try {
+    const libraryScanner = require('../services/libraryScanner');
+    const { path: folderPath, name, category, watch, sectionId } = req.body;
+    
+    const folder = await libraryScanner.addFolder({ folderPath, name, category, watch, sectionId }, req.user.id);
+    
+    res.status(201).json({ success: true, folder });
+  } catch (error) {
+    console.error('Add library folder error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// PUT /api/admin/library-folders/:folderId
+router.put('/library-folders/:folderId', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
+  try {
+    const libraryScanner = require('../services/libraryScanner');
+    const folder = await libraryScanner.updateFolder(req.params.folderId, req.body);
+    
+    res.json({ success: true, folder });
+  } catch (error) {
+    console.error('Update library folder error:', error);
+    const status = error.message === 'Library folder not found' ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// DELETE /api/admin/library-folders/:folderId
+router.delete('/library-folders/:folderId', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
+  try {
+    const libraryScanner = require('../services/libraryScanner');
+    await libraryScanner.removeFolder(req.params.folderId);
+    
+    res.json({ success: true, message: 'Library folder removed' });
+  } catch (error) {
+    console.error('Remove library folder error:', error);
+    const status = error.message === 'Library folder not found' ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/library-sections - Libraries with their options (user managers
+// need the list too, to grant access and build invites)
+router.get('/library-sections', authenticateToken, async (req, res) => {
+  try {
+    if (!['manage-settings', 'manage-users'].some(permission => req.user.permissions.includes(permission))) {
+      return res.status(403).json({
+        error: 'This requires the "manage-settings" permission',
+        code: 'PERMISSION_REQUIRED',
+        permission: 'manage-settings'
+      });
+    }
+
+    res.json({
+      success: true,
+      sections: await librarySectionService.listSections(),
+      metadataAgents: librarySectionService.listMetadataAgents(),
+      transcodingProfiles: await librarySectionService.getTranscodingProfiles()
+    });
+  } catch (error) {
+    console.error('Get library sections error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/library-sections
+router.post('/library-sections', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
+  try {
+    const { name, description, metadataAgent, transcodingProfile } = req.body;
+    const section = await librarySectionService.createSection(
+      { name, description, metadataAgent, transcodingProfile },
+      req.user.id
+    );
+
+    res.status(201).json({ success: true, section });
+  } catch (error) {
+    console.error('Create library section error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// PUT /api/admin/library-sections/:sectionId
+router.put('/library-sections/:sectionId', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
+  try {
+    const { name, description, metadataAgent, transcodingProfile } = req.body;
+    const section = await librarySectionService.updateSection(
+      req.params.sectionId,
+      { name, description, metadataAgent, transcodingProfile }
+    );
+
+    res.json({ success: true, section });
+  } catch (error) {
+    console.error('Update library section error:', error);
+    const status = error.message === 'Library not found' ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// DELETE /api/admin/library-sections/:sectionId - Folders and media stay, ungrouped
+router.delete('/library-sections/:sectionId', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
+  try {
+    const result = await librarySectionService.deleteSection(req.params.sectionId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Delete library section error:', error);
+    const status = error.message === 'Library not found' ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/audit-log - Administrative actions, newest first
+router.get('/audit-log', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
+  try {
+    const { action, actor, targetType, search, from, to, limit, offset } = req.query;
+    const [result, facets] = await Promise.all([
+      auditLogService.list({ action, actor, targetType, search, from, to, limit, offset }),
+      auditLogService.listFacets()
+    ]);
+    res.json({ success: true, ...result, ...facets });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/audit-log/export?format=csv|json - Download the filtered log
+router.get('/audit-log/export', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
+  try {
+    const { action, actor, targetType, search, from, to, format = 'csv' } = req.query;
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be csv or json' });
+    }
+
+    const rows = await auditLogService.exportRows({ action, actor, targetType, search, from, to });
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      return res.json(rows.map(row => auditLogService.formatEntry(row)));
+    }
+    res.setHeader('Content-Type', 'text/csv');
+    res.send(auditLogService.toCsv(rows));
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
 });
 
 // Diagnostic endpoint to check database vs filesystem sync
-router.get('/diagnostic/protection-status', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/diagnostic/protection-status', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
   try {
     
     // Get all media entries from database
@@ -432,7 +979,7 @@ router.get('/diagnostic/protection-status', authenticateToken, requireAdmin, asy
 });
 
 // Simple test endpoint
-router.get('/test', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/test', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
   try {
     res.json({
       success: true,
@@ -447,7 +994,7 @@ router.get('/test', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // Analyze and cleanup duplicate media entries
-router.all('/cleanup/analyze-duplicates', authenticateToken, requireAdmin, async (req, res) => {
+router.all('/cleanup/analyze-duplicates', authenticateToken, requirePermission('delete'), async (req, res) => {
   // Set no-cache headers to prevent caching
   res.set({
     'Cache-Control': 'no-cache, no-store, must-revalidate',
@@ -845,7 +1392,7 @@ router.all('/cleanup/analyze-duplicates', authenticateToken, requireAdmin, async
 });
 
 // Execute duplicate cleanup
-router.post('/cleanup/remove-duplicates', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/cleanup/remove-duplicates', authenticateToken, requirePermission('delete'), async (req, res) => {
   try {
     const { confirmed } = req.body;
     
@@ -1038,7 +1585,7 @@ router.post('/cleanup/remove-duplicates', authenticateToken, requireAdmin, async
   }
 });
 
-router.post('/cleanup/delete-orphaned-transcoded', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/cleanup/delete-orphaned-transcoded', authenticateToken, requirePermission('delete'), async (req, res) => {
   const { transcodedPath, hardDelete } = req.body;
   if (!transcodedPath) {
     return res.status(400).json({ success: false, error: 'transcodedPath is required' });
@@ -1144,7 +1691,7 @@ router.post('/cleanup/delete-orphaned-transcoded', authenticateToken, requireAdm
 });
 
 // Bulk delete all orphaned transcoded files
-router.post('/cleanup/delete-all-orphaned-transcoded', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/cleanup/delete-all-orphaned-transcoded', authenticateToken, requirePermission('delete'), async (req, res) => {
   const { hardDelete, orphanedFiles } = req.body;
   try {
     
@@ -1314,7 +1861,7 @@ router.post('/cleanup/delete-all-orphaned-transcoded', authenticateToken, requir
 });
 
 // Delete media file from uploads/media directory
-router.post('/cleanup/delete-media-file', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/cleanup/delete-media-file', authenticateToken, requirePermission('delete'), async (req, res) => {
   const { filePath, hardDelete } = req.body;
   if (!filePath) {
     return res.status(400).json({ success: false, error: 'filePath is required' });
@@ -1361,6 +1908,12 @@ router.post('/cleanup/delete-media-file', authenticateToken, requireAdmin, async
     if (fileExists) {
       try {
         await fs.unlink(fullFilePath);
+        await auditLogService.record(req, {
+          action: 'media.file_delete',
+          targetType: 'file',
+          targetLabel: basename,
+          before: { path: fullFilePath, orphaned: true }
+        });
         return res.json({ 
           success: true, 
           deleted: fullFilePath, 
@@ -1387,7 +1940,7 @@ router.post('/cleanup/delete-media-file', authenticateToken, requireAdmin, async
 });
 
 // Delete duplicate media entry with soft delete support
-router.post('/cleanup/delete-duplicate-media', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/cleanup/delete-duplicate-media', authenticateToken, requirePermission('delete'), async (req, res) => {
   const { filename, mediaId, softDelete = false } = req.body;
   
   if (!filename && !mediaId) {
@@ -1595,7 +2148,7 @@ router.post('/cleanup/delete-duplicate-media', authenticateToken, requireAdmin,
 });
 
 // Recovery endpoint to restore missing media entries
-router.post('/recovery/restore-missing-media', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/recovery/restore-missing-media', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
   try {
     
     const results = {
@@ -1730,6 +2283,15 @@ router.post('/recovery/restore-missing-media', authenticateToken, requireAdmin,
       }
     }
     
+    if (results.restored.length > 0) {
+      await auditLogService.record(req, {
+        action: 'media.restore_missing',
+        targetType: 'media',
+        targetLabel: `${results.restored.length} restored`,
+        after: { restored: results.restored, errors: results.errors.length }
+      });
+    }
+
     res.json({
       success: true,
       message: `Recovery completed: ${results.restored.length} entries restored, ${results.errors.length} errors`,
@@ -1744,7 +2306,7 @@ router.post('/recovery/restore-missing-media', authenticateToken, requireAdmin,
 });
 
 // Auto-fix protection synchronization issues
-router.post('/diagnostic/fix-protection', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/diagnostic/fix-protection', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
   try {
     
     // Get all media entries from database
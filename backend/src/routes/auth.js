@@ -1,6 +1,10 @@
 const express = require('express');
 const authService = require('../services/authService');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const twoFactorService = require('../services/twoFactorService');
+const passkeyService = require('../services/passkeyService');
+const deviceAuthService = require('../services/deviceAuthService');
+const permissionService = require('../services/permissionService');
+const { authenticateToken, requireAdmin, requirePermission, requireMainProfile } = require('../middleware/auth');
 const securityLogger = require('../middleware/securityLogger');
 const router = express.Router();
 
@@ -37,6 +41,16 @@ router.post('/login', applyAuthLimiter, async (req, res) => {
     // Attempt login
     const result = await authService.login(email, password, req);
 
+    // Password accepted; the client continues with /login/2fa
+    if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+      return res.json({
+        success: true,
+        twoFactorRequired: !!result.twoFactorRequired,
+        twoFactorSetupRequired: !!result.twoFactorSetupRequired,
+        challengeToken: result.challengeToken
+      });
+    }
+
     // Log successful login
     securityLogger.logSuccessfulLogin(result.user.id, email, req);
 
@@ -55,6 +69,10 @@ router.post('/login', applyAuthLimiter, async (req, res) => {
     if (email) {
       securityLogger.logFailedLogin(email, securityLogger.getClientIP(req), req);
     }
+
+    if (error.code === 'ACCOUNT_LOCKED') {
+      return res.status(423).json({ error: error.message, code: error.code, lockedUntil: error.lockedUntil });
+    }
     
     res.status(401).json({ 
       error: error.message || 'Login failed' 
@@ -62,6 +80,172 @@ router.post('/login', applyAuthLimiter, async (req, res) => {
   }
 });
 
+// POST /api/auth/login/2fa - Second login step (authenticator or recovery code)
+router.post('/login/2fa', applyAuthLimiter, async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  try {
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ 
+        error: 'Authentication code or recovery code is required' 
+      });
+    }
+
+    const result = await authService.completeTwoFactorLogin(challengeToken, { code, recoveryCode }, req);
+
+    securityLogger.logSuccessfulLogin(result.user.id, result.user.email, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: result.user,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      twoFactorMethod: result.twoFactorMethod
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    if (error.code === 'ACCOUNT_LOCKED') {
+      return res.status(423).json({ error: error.message, code: error.code, lockedUntil: error.lockedUntil });
+    }
+    res.status(401).json({ 
+      error: error.message || 'Two-factor verification failed' 
+    });
+  }
+});
+
+// POST /api/auth/login/2fa/setup - Enrollment during login when the role requires 2FA
+router.post('/login/2fa/setup', applyAuthLimiter, async (req, res) => {
+  try {
+    const { challengeToken } = req.body;
+    if (!challengeToken) {
+      return res.status(400).json({ error: 'Sign-in challenge is required' });
+    }
+
+    const provisioning = await authService.beginTwoFactorSetupFromChallenge(challengeToken);
+    res.json({ success: true, ...provisioning });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(401).json({ 
+      error: error.message || 'Two-factor setup failed' 
+    });
+  }
+});
+
+// POST /api/auth/login/2fa/enable - Confirm enrollment during login and sign in
+router.post('/login/2fa/enable', applyAuthLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code) {
+      return res.status(400).json({ error: 'Authentication code is required' });
+    }
+
+    const result = await authService.completeTwoFactorSetupFromChallenge(challengeToken, code, req);
+
+    securityLogger.logSuccessfulLogin(result.user.id, result.user.email, req);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      user: result.user,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      recoveryCodes: result.recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(400).json({ 
+      error: error.message || 'Two-factor setup failed' 
+    });
+  }
+});
+
+// POST /api/auth/passkey/options - Challenge for passwordless sign in
+router.post('/passkey/options', applyAuthLimiter, async (req, res) => {
+  try {
+    const { options, challengeToken } = await passkeyService.getAuthenticationOptions();
+    res.json({ success: true, options, challengeToken });
+  } catch (error) {
+    console.error('Passkey options error:', error);
+    res.status(500).json({ error: 'Failed to start passkey sign in' });
+  }
+});
+
+// POST /api/auth/passkey/login - Verify the passkey assertion and sign in
+router.post('/passkey/login', applyAuthLimiter, async (req, res) => {
+  const { challengeToken, response } = req.body;
+
+  try {
+    if (!challengeToken || !response) {
+      return res.status(400).json({ error: 'Passkey response is required' });
+    }
+
+    const result = await authService.loginWithPasskey(challengeToken, response, req);
+
+    securityLogger.logSuccessfulLogin(result.user.id, result.user.email, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: result.user,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+
+  } catch (error) {
+    console.error('Passkey login error:', error);
+    if (error.code === 'ACCOUNT_LOCKED') {
+      return res.status(423).json({ error: error.message, code: error.code, lockedUntil: error.lockedUntil });
+    }
+    res.status(401).json({ 
+      error: error.message || 'Passkey sign in failed' 
+    });
+  }
+});
+
+// POST /api/auth/2fa/reset-request - Email a link to turn off 2FA (lost authenticator and codes)
+router.post('/2fa/reset-request', applyEmailLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    await twoFactorService.requestReset(email);
+
+    res.json({
+      success: true,
+      message: 'If two-factor authentication is enabled for that account, a reset link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Two-factor reset request error:', error);
+    res.status(500).json({ error: 'Failed to process two-factor reset request' });
+  }
+});
+
+// POST /api/auth/2fa/reset - Complete the emailed reset with the account password
+router.post('/2fa/reset', applyAuthLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    const result = await authService.completeTwoFactorReset(token, password);
+    res.json({ success: true, message: result.message });
+
+  } catch (error) {
+    console.error('Two-factor reset error:', error);
+    res.status(400).json({ 
+      error: error.message || 'Two-factor reset failed' 
+    });
+  }
+});
+
 // POST /api/auth/validate-invite - Step 1: Validate invite code
 router.post('/validate-invite', async (req, res) => {
   try {
@@ -210,8 +394,8 @@ router.get('/deletion-info', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /api/auth/deleted-usernames - Get list of recently deleted usernames (admin only)
-router.get('/deleted-usernames', authenticateToken, requireAdmin, async (req, res) => {
+// GET /api/auth/deleted-usernames - Get list of recently deleted usernames (manage-users permission)
+router.get('/deleted-usernames', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
     // This would require a separate table to track deleted usernames
     // For now, we'll return a simple message
@@ -255,6 +439,80 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
+// POST /api/auth/device/code - A TV/Roku starts pairing and shows the user code
+router.post('/device/code', applyAuthLimiter, async (req, res) => {
+  try {
+    const { deviceName, clientType } = req.body;
+    const result = await deviceAuthService.requestCode(deviceName, clientType);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Device code error:', error);
+    res.status(400).json({ 
+      error: error.message || 'Failed to start device pairing' 
+    });
+  }
+});
+
+// POST /api/auth/device/token - Polled by the device until the user approves.
+// Not rate limited here: the service answers slow_down to devices that poll too fast.
+router.post('/device/token', async (req, res) => {
+  try {
+    const { deviceCode } = req.body;
+    if (!deviceCode) {
+      return res.status(400).json({ error: 'Device code is required', code: 'invalid_request' });
+    }
+
+    const result = await authService.completeDeviceAuthorization(deviceCode, req);
+
+    securityLogger.logSuccessfulLogin(result.user.id, result.user.email, req);
+
+    res.json({
+      success: true,
+      user: result.user,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+
+  } catch (error) {
+    if (!error.code) {
+      console.error('Device token error:', error);
+      return res.status(500).json({ error: 'Device pairing failed', code: 'server_error' });
+    }
+    res.status(400).json({ error: error.message, code: error.code });
+  }
+});
+
+// GET /api/auth/device/:userCode - Details of a pending pairing for the approval page
+router.get('/device/:userCode', authenticateToken, applyAuthLimiter, async (req, res) => {
+  try {
+    const request = await deviceAuthService.getPendingRequest(req.params.userCode);
+    res.json({ success: true, request });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// POST /api/auth/device/approve - Approve or deny a pairing as the signed-in user
+router.post('/device/approve', authenticateToken, requireMainProfile, applyAuthLimiter, async (req, res) => {
+  try {
+    const { userCode, approve } = req.body;
+    if (!userCode) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    if (approve === false) {
+      const result = await deviceAuthService.deny(userCode, req.user.id);
+      return res.json({ success: true, approved: false, message: `Denied sign in for ${result.deviceName}` });
+    }
+
+    const result = await deviceAuthService.approve(userCode, req.user.id);
+    res.json({ success: true, approved: true, message: `${result.deviceName} will be signed in shortly` });
+  } catch (error) {
+    console.error('Device approval error:', error);
+    res.status(400).json({ error: error.message || 'Failed to approve device' });
+  }
+});
+
 // POST /api/auth/logout
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
@@ -300,14 +558,14 @@ router.get('/validate-invite/:token', (req, res) => {
   });
 });
 
-// Admin-only endpoints for invite management
+// Invite management endpoints (manage-users permission)
 
 // Create invite token
-router.post('/invites', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/invites', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
-    const { expiresInDays = 7, maxUses = 1, isIndefinite = false } = req.body;
+    const { expiresInDays = 7, maxUses = 1, isIndefinite = false, librarySectionIds = null } = req.body;
     
-    const invite = await authService.createInviteToken(req.user.id, expiresInDays, maxUses, isIndefinite);
+    const invite = await authService.createInviteToken(req.user.id, expiresInDays, maxUses, isIndefinite, librarySectionIds);
     res.status(201).json(invite);
   } catch (error) {
     console.error('Create invite error:', error);
@@ -316,9 +574,9 @@ router.post('/invites', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // Send invite via email
-router.post('/invites/send-email', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/invites/send-email', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
-    const { email, expiresInDays = 7, maxUses = 1, isIndefinite = false } = req.body;
+    const { email, expiresInDays = 7, maxUses = 1, isIndefinite = false, librarySectionIds = null } = req.body;
     
     if (!email) {
       return res.status(400).json({ error: 'Email address is required' });
@@ -331,7 +589,7 @@ router.post('/invites/send-email', authenticateToken, requireAdmin, async (req,
     }
     
     // Create the invite token
-    const invite = await authService.createInviteToken(req.user.id, expiresInDays, maxUses, isIndefinite);
+    const invite = await authService.createInviteToken(req.user.id, expiresInDays, maxUses, isIndefinite, librarySectionIds);
     
     // Get sender's information
     const senderData = await authService.findUserById(req.user.id);
@@ -366,7 +624,7 @@ router.post('/invites/send-email', authenticateToken, requireAdmin, async (req,
 });
 
 // Get all invite tokens
-router.get('/invites', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/invites', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
     const invites = await authService.getAllInviteTokens();
     res.json(invites);
@@ -377,7 +635,7 @@ router.get('/invites', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // Delete invite token
-router.delete('/invites/:token', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/invites/:token', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
     const { token } = req.params;
     await authService.deleteInviteToken(token);
@@ -388,8 +646,8 @@ router.delete('/invites/:token', authenticateToken, requireAdmin, async (req, re
   }
 });
 
-// Get all users (admin only)
-router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
+// Get all users (manage-users permission)
+router.get('/users', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
     const users = await authService.getAllUsers();
     res.json(users.map(user => user.toSafeObject()));
@@ -399,8 +657,8 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Delete user (admin only)
-router.delete('/users/:userId', authenticateToken, requireAdmin, async (req, res) => {
+// Delete user (manage-users permission)
+router.delete('/users/:userId', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -408,8 +666,13 @@ router.delete('/users/:userId', authenticateToken, requireAdmin, async (req, res
     if (parseInt(userId) === req.user.id) {
       return res.status(400).json({ error: 'Cannot delete your own account' });
     }
+
+    const target = await authService.findUserById(userId);
+    if (target && !permissionService.canManageUser(req.user, target)) {
+      return res.status(403).json({ error: 'You can\'t delete a user with permissions you don\'t have' });
+    }
     
-    const result = await authService.deleteUser(userId);
+    const result = await authService.deleteUser(userId, req);
     res.json({ 
       success: true,
       message: result.message || 'User deleted successfully',
@@ -422,7 +685,7 @@ router.delete('/users/:userId', authenticateToken, requireAdmin, async (req, res
 });
 
 // Delete own profile (user can delete themselves)
-router.delete('/profile', authenticateToken, async (req, res) => {
+router.delete('/profile', authenticateToken, requireMainProfile, async (req, res) => {
   try {
     const userId = req.user.id;
     
@@ -441,7 +704,7 @@ router.delete('/profile', authenticateToken, async (req, res) => {
     }
     
     // Delete the user
-    const result = await authService.deleteUser(userId);
+    const result = await authService.deleteUser(userId, req);
     
     // Log the self-deletion for security
     securityLogger.logAccountDeletion(userId, userData.email, req, 'self-deletion');
@@ -472,7 +735,7 @@ router.patch('/users/:userId/admin', authenticateToken, requireAdmin, async (req
       return res.status(400).json({ error: 'Cannot remove your own admin privileges' });
     }
     
-    const updatedUser = await authService.updateUserAdminStatus(userId, is_admin);
+    const updatedUser = await authService.updateUserAdminStatus(userId, is_admin, req);
     res.json({ message: 'User role updated successfully', user: updatedUser.toSafeObject() });
   } catch (error) {
     console.error('Update user admin status error:', error);
@@ -480,13 +743,13 @@ router.patch('/users/:userId/admin', authenticateToken, requireAdmin, async (req
   }
 });
 
-// Update user role (admin only)
-router.patch('/users/:userId/role', authenticateToken, requireAdmin, async (req, res) => {
+// Update user role (manage-users permission)
+router.patch('/users/:userId/role', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { role } = req.body;
     
-    const updatedUser = await authService.updateUserRole(userId, role, req.user.id);
+    const updatedUser = await authService.updateUserRole(userId, role, req.user.id, req);
     
     res.json({ 
       message: 'User role updated successfully', 
@@ -498,8 +761,8 @@ router.patch('/users/:userId/role', authenticateToken, requireAdmin, async (req,
   }
 });
 
-// Get role statistics (admin only)
-router.get('/roles/statistics', authenticateToken, requireAdmin, async (req, res) => {
+// Get role statistics (manage-users permission)
+router.get('/roles/statistics', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
     const statistics = await authService.getRoleStatistics();
     res.json(statistics);
@@ -509,8 +772,8 @@ router.get('/roles/statistics', authenticateToken, requireAdmin, async (req, res
   }
 });
 
-// Get users by role (admin only)
-router.get('/users/role/:role', authenticateToken, requireAdmin, async (req, res) => {
+// Get users by role (manage-users permission)
+router.get('/users/role/:role', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
     const { role } = req.params;
     const users = await authService.getUsersByRole(role);
@@ -4,9 +4,11 @@ const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
 const router = express.Router();
-const { authenticateToken, requireContentManagement } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const mediaService = require('../services/mediaService');
 // Remove direct import - we'll use global.transcodingService instead
+const transcodingProfileService = require('../services/transcodingProfileService');
+const { loadSettings } = require('../utils/systemSettings');
 const database = require('../utils/database');
 
 // Configure multer for chunked uploads
@@ -40,7 +42,7 @@ const chunkUpload = multer({
 });
 
 // Initialize chunked upload
-router.post('/init', authenticateToken, requireContentManagement, async (req, res) => {
+router.post('/init', authenticateToken, requirePermission('upload'), async (req, res) => {
   try {
     const { filename, fileSize, totalChunks } = req.body;
     
@@ -103,7 +105,7 @@ const handleMulterError = (err, req, res, next) => {
 };
 
 // Upload chunk
-router.post('/chunk', authenticateToken, requireContentManagement, chunkUpload.single('chunk'), handleMulterError, async (req, res) => {
+router.post('/chunk', authenticateToken, requirePermission('upload'), chunkUpload.single('chunk'), handleMulterError, async (req, res) => {
   try {
     const { uploadId, chunkIndex, totalChunks } = req.body;
     
@@ -272,7 +274,7 @@ router.post('/chunk', authenticateToken, requireContentManagement, chunkUpload.s
 });
 
 // Complete chunked upload
-router.post('/complete', authenticateToken, requireContentManagement, async (req, res) => {
+router.post('/complete', authenticateToken, requirePermission('upload'), async (req, res) => {
   try {
     const { uploadId, title, description, category, tags, published } = req.body;
     
@@ -369,7 +371,9 @@ router.post('/complete', authenticateToken, requireContentManagement, async (req
     }
     updates.tags = allTags;
     
-    if (published !== undefined) updates.published = published === 'true' || published === true;
+    if (published !== undefined && req.user.permissions.includes('publish')) {
+      updates.published = published === 'true' || published === true;
+    }
     
     if (Object.keys(updates).length > 0) {
       await mediaService.updateMedia(mediaResult.id, updates, req.user.id, req.user.role);
@@ -387,15 +391,13 @@ router.post('/complete', authenticateToken, requireContentManagement, async (req
       return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     };
     
-    // AUTO-TRANSCODING DISABLED: Files will not be automatically transcoded on upload
-    // You can manually transcode files from the Storage Management page
-    
-    // Note: To re-enable auto-transcoding, uncomment the following block:
-    /*
-    if (uploadMeta.fileSize > 500 * 1024 * 1024) { // 500MB threshold
+    // Auto-transcoding is switched on in Storage Management settings. Uploads
+    // use the default transcoding profile, or the standard qualities without one.
+    if (loadSettings().autoTranscodingEnabled && global.transcodingService?.autoTranscodeUpload) {
       try {
+        const profile = await transcodingProfileService.getDefaultProfile();
         await global.transcodingService.autoTranscodeUpload(finalPath, {
-          qualities: ['1080p', '720p'], // Generate multiple quality levels
+          ...(profile ? { profile } : { qualities: ['1080p', '720p'] }),
           deleteOriginal: false, // Keep original for now
           priority: 'high'
         });
@@ -404,7 +406,6 @@ router.post('/complete', authenticateToken, requireContentManagement, async (req
         // Don't fail the upload if transcoding fails
       }
     }
-    */
     
     res.json({
       success: true,
@@ -427,7 +428,7 @@ router.post('/complete', authenticateToken, requireContentManagement, async (req
 });
 
 // Cancel chunked upload
-router.delete('/cancel/:uploadId', authenticateToken, requireContentManagement, async (req, res) => {
+router.delete('/cancel/:uploadId', authenticateToken, requirePermission('upload'), async (req, res) => {
   try {
     const { uploadId } = req.params;
     
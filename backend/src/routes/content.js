@@ -2,12 +2,22 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const jwt = require('jsonwebtoken');
+const authService = require('../services/authService');
 const router = express.Router();
-const { authenticateToken, requireContentManagement, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const mediaService = require('../services/mediaService');
 const database = require('../utils/database');
 const errorCodeTracker = require('../utils/errorCodeTracker');
+const Transcoder = require('../services/transcoding/transcoder');
+const liveTranscoder = require('../services/transcoding/liveTranscoder');
+const playbackDecisionService = require('../services/playbackDecisionService');
+const subtitleService = require('../services/subtitleService');
+const tvShowService = require('../services/tvShowService');
+const watchProgressService = require('../services/watchProgressService');
+const recommendationService = require('../services/recommendationService');
+const apiTokenService = require('../services/apiTokenService');
+const parentalControlService = require('../services/parentalControlService');
+const { normalizeLanguage } = require('../utils/languages');
 
 // Apply streaming rate limiting to content routes
 const applyStreamingLimiter = (req, res, next) => {
@@ -28,8 +38,8 @@ const applyUserRateLimit = (req, res, next) => {
 };
 
 // Bandwidth tracking middleware for streaming
-const trackBandwidthUsage = (sessionId, chunkSize) => {
-  if (!sessionId || chunkSize < 1024 * 1024) return; // Only track chunks > 1MB
+const trackBandwidthUsage = (sessionId, chunkSize, minimumBytes = 1024 * 1024) => {
+  if (!sessionId || chunkSize < minimumBytes) return; // Only track chunks > 1MB by default
   
   // Convert bytes to GB
   const gbTransferred = chunkSize / (1024 * 1024 * 1024);
@@ -48,6 +58,138 @@ const trackBandwidthUsage = (sessionId, chunkSize) => {
   });
 };
 
+// Default streaming limits used when no settings row exists
+const DEFAULT_STREAMING_SETTINGS = {
+  max_resolution: '1080p',
+  bitrate_limit: '20',
+  total_bandwidth_limit: '150',
+  per_user_bandwidth_limit: '25',
+  max_live_transcodes: 2
+};
+
+const QUALITY_MAP = { '480p': 1, '720p': 2, '1080p': 3, '4k': 4 };
+
+// Resolve the user behind a streaming token (a login JWT or a personal API
+// token with the stream scope), along with their parental restrictions
+const resolveStreamingUser = async (token, req) => {
+  let user;
+  if (apiTokenService.isApiToken(token)) {
+    // Personal API tokens need the stream scope
+    const apiToken = await apiTokenService.verifyToken(token, req.ip);
+    if (!apiToken) {
+      return { status: 401, error: 'Invalid or revoked API token' };
+    }
+    if (!apiTokenService.parseScopes(apiToken).includes('stream')) {
+      return { status: 403, error: 'This API token is missing the "stream" scope' };
+    }
+
+    const users = await database.query(
+      'SELECT id, username, email, role, is_active FROM users WHERE id = ?',
+      [apiToken.user_id]
+    );
+    if (users.length === 0 || !users[0].is_active) {
+      return { status: 401, error: 'Account is disabled' };
+    }
+    user = { id: users[0].id, username: users[0].username, email: users[0].email, role: users[0].role || 'user' };
+  } else {
+    try {
+      user = authService.verifyAccessToken(token);
+    } catch (jwtError) {
+      return { status: 401, error: 'Invalid token' };
+    }
+  }
+
+  const restrictions = await parentalControlService.getRestrictions(user.id, user.sessionId || null);
+  return { user, restrictions };
+};
+
+// Shared enforcement for every streaming endpoint: token (query or header),
+// active streaming session and current streaming settings
+const verifyStreamingRequest = async (req) => {
+  const sessionId = req.query.sessionId || req.body?.sessionId;
+  const token = req.query.token || req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return { status: 401, error: 'Authentication required' };
+  }
+
+  const resolved = await resolveStreamingUser(token, req);
+  if (resolved.error) {
+    return resolved;
+  }
+  const { user, restrictions } = resolved;
+
+  // ENFORCEMENT: Require valid sessionId
+  if (!sessionId) {
+    return { status: 403, error: 'Valid streaming session required' };
+  }
+
+  // ENFORCEMENT: Validate active streaming session
+  const sessions = await database.query(
+    'SELECT * FROM streaming_sessions WHERE id = ? AND status = ?',
+    [sessionId, 'active']
+  );
+
+  if (sessions.length === 0) {
+    return { status: 403, error: 'Invalid or inactive streaming session' };
+  }
+
+  // ENFORCEMENT: Session ids are sequential, so they must belong to the caller
+  if (String(sessions[0].user_id) !== String(user.id)) {
+    return { status: 403, error: 'Invalid or inactive streaming session' };
+  }
+
+  // ENFORCEMENT: Get streaming settings
+  const settings = await database.query('SELECT * FROM streaming_settings ORDER BY id DESC LIMIT 1');
+  const streamingSettings = settings.length > 0 ? settings[0] : DEFAULT_STREAMING_SETTINGS;
+
+  return { user, token, sessionId, session: sessions[0], streamingSettings, restrictions };
+};
+
+// Check the per-user bandwidth limit across all of the user's active sessions
+const isUserBandwidthExceeded = async (userId, streamingSettings) => {
+  const userSessions = await database.query(
+    'SELECT SUM(bandwidth) as total_bandwidth FROM streaming_sessions WHERE user_id = $1 AND status = $2',
+    [userId, 'active']
+  );
+  const currentUserBandwidth = userSessions[0]?.total_bandwidth || 0;
+
+  return currentUserBandwidth > parseFloat(streamingSettings.per_user_bandwidth_limit);
+};
+
+// HLS renditions the current streaming settings allow
+const getAllowedRenditions = (hlsPackage, streamingSettings) => {
+  const maxQuality = QUALITY_MAP[streamingSettings.max_resolution] || 3;
+  return hlsPackage.renditions.filter(rendition =>
+    (QUALITY_MAP[rendition.quality] || 2) <= maxQuality
+  );
+};
+
+const getCredentialsQuery = (token, sessionId) =>
+  `token=${encodeURIComponent(token)}&sessionId=${encodeURIComponent(sessionId)}`;
+
+// Append the streaming credentials to every URI in a playlist so that
+// follow-up requests from the player pass the same enforcement
+const signPlaylist = (playlist, token, sessionId) => {
+  const query = getCredentialsQuery(token, sessionId);
+
+  return playlist
+    .split('\n')
+    .map(line => {
+      const trimmed = line.trim();
+      if (!trimmed) return line;
+      if (trimmed.startsWith('#')) {
+        return line.replace(/URI="([^"?]+)"/g, (match, uri) => `URI="${uri}?${query}"`);
+      }
+      return `${trimmed}?${query}`;
+    })
+    .join('\n');
+};
+
+// Same as signPlaylist for a single URL that may already have a query
+const signUrl = (url, token, sessionId) =>
+  `${url}${url.includes('?') ? '&' : '?'}${getCredentialsQuery(token, sessionId)}`;
+
 // Configure multer for media uploads
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
@@ -97,21 +239,53 @@ const upload = multer({
   }
 });
 
-// Content management routes - require manager or admin role
+// Subtitle uploads are small text files, staged in temp before conversion
+const subtitleUpload = multer({
+  storage: multer.diskStorage({
+    destination: async (req, file, cb) => {
+      const tempDir = path.join(__dirname, '../../uploads/temp');
+      try {
+        await fs.mkdir(tempDir, { recursive: true });
+        cb(null, tempDir);
+      } catch (error) {
+        cb(error);
+      }
+    },
+    filename: (req, file, cb) => {
+      cb(null, `subtitle-${Date.now()}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(srt|ass|ssa|vtt)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only subtitle files are allowed (SRT, ASS, SSA, VTT)'));
+  }
+});
+
+// Content management routes - gated by named permissions
 
-// Get all content (managers and admins can see all, users see only published)
+// Get all content (users who can upload or publish see drafts too)
 router.get('/', authenticateToken, applyUserRateLimit, async (req, res) => {
   try {
-    const { search, mediaType, limit, category } = req.query;
-    const filters = { search, mediaType, limit, category };
+    const { search, mediaType, limit, category, library, hideWatched } = req.query;
+    const restrictions = await parentalControlService.forRequest(req);
+    const filters = { search, mediaType, limit, category, librarySectionId: library, restrictions };
     
-    const content = await mediaService.getMediaList(req.user.id, req.user.role, filters);
+    const watchedIds = await watchProgressService.getWatchedIds(req.user.id);
+    const content = (await mediaService.getMediaList(req.user.id, req.user.role, filters))
+      .map(item => ({ ...item, watched: watchedIds.has(String(item.id)) }))
+      .filter(item => hideWatched !== 'true' || !item.watched);
     
     res.json({
       success: true,
       content,
       user_role: req.user.role,
-      can_manage_content: req.user.role === 'admin' || req.user.role === 'manager'
+      can_manage_content: req.user.permissions.includes('upload')
     });
   } catch (error) {
     console.error('Get content error:', error);
@@ -140,16 +314,20 @@ router.get('/', authenticateToken, applyUserRateLimit, async (req, res) => {
   }
 });
 
-// Get TV shows organized by seasons
+// Get TV shows with their seasons and episodes
 router.get('/tv-shows', authenticateToken, async (req, res) => {
   try {
-    const tvShows = await mediaService.getTVShowsOrganized(req.user.id, req.user.role);
+    const [shows, watchedIds] = await Promise.all([
+      tvShowService.getShows(req.user.role, await parentalControlService.forRequest(req)),
+      watchProgressService.getWatchedIds(req.user.id)
+    ]);
+    const tvShows = shows.map(show => watchProgressService.applyToShow(show, watchedIds));
     
     res.json({
       success: true,
       tvShows,
       user_role: req.user.role,
-      can_manage_content: req.user.role === 'admin' || req.user.role === 'manager'
+      can_manage_content: req.user.permissions.includes('upload')
     });
   } catch (error) {
     console.error('Get TV shows error:', error);
@@ -157,11 +335,78 @@ router.get('/tv-shows', authenticateToken, async (req, res) => {
   }
 });
 
-// Get episodes for a specific TV show and season
+// Get a single TV show
+router.get('/tv-shows/:showId', authenticateToken, async (req, res) => {
+  try {
+    const show = await tvShowService.getShow(req.params.showId, req.user.role, await parentalControlService.forRequest(req));
+    if (!show) {
+      return res.status(404).json({ error: 'TV show not found' });
+    }
+
+    const watchedIds = await watchProgressService.getWatchedIds(req.user.id);
+    res.json({ success: true, show: watchProgressService.applyToShow(show, watchedIds) });
+  } catch (error) {
+    console.error('Get TV show error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get episodes for a TV show season
+router.get('/tv-shows/:showId/seasons/:seasonNumber', authenticateToken, async (req, res) => {
+  try {
+    const { showId, seasonNumber } = req.params;
+    const [episodes, watchedIds] = await Promise.all([
+      tvShowService.getSeasonEpisodes(showId, parseInt(seasonNumber), req.user.role, await parentalControlService.forRequest(req)),
+      watchProgressService.getWatchedIds(req.user.id)
+    ]);
+    
+    res.json({
+      success: true,
+      episodes: episodes.map(episode => ({ ...episode, watched: watchedIds.has(String(episode.id)) })),
+      showId: parseInt(showId),
+      seasonNumber: parseInt(seasonNumber)
+    });
+  } catch (error) {
+    console.error('Get TV show episodes error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark every episode of a show, or of one season, as watched or unwatched
+router.put('/tv-shows/:showId/watched', authenticateToken, applyUserRateLimit, async (req, res) => {
+  try {
+    const { watched, seasonNumber } = req.body;
+    if (typeof watched !== 'boolean') {
+      return res.status(400).json({ error: 'watched must be true or false' });
+    }
+
+    const season = seasonNumber === undefined || seasonNumber === null ? null : parseInt(seasonNumber);
+    if (season !== null && isNaN(season)) {
+      return res.status(400).json({ error: 'Invalid season number' });
+    }
+
+    const updated = await watchProgressService.setShowWatched(
+      req.user.id, req.user.role, req.params.showId, season, watched, await parentalControlService.forRequest(req)
+    );
+    if (updated === 0) {
+      return res.status(404).json({ error: 'No episodes found' });
+    }
+
+    res.json({ success: true, watched, updated });
+  } catch (error) {
+    console.error('Update show watched state error:', error);
+    res.status(500).json({ error: 'Failed to update watched state' });
+  }
+});
+
+// Get episodes by show title (older clients)
 router.get('/tv-shows/:showTitle/season/:seasonNumber', authenticateToken, async (req, res) => {
   try {
     const { showTitle, seasonNumber } = req.params;
-    const episodes = await mediaService.getTVShowEpisodes(showTitle, parseInt(seasonNumber), req.user.id, req.user.role);
+    const show = await tvShowService.findShowByTitle(showTitle);
+    const episodes = show
+      ? await tvShowService.getSeasonEpisodes(show.id, parseInt(seasonNumber), req.user.role, await parentalControlService.forRequest(req))
+      : [];
     
     res.json({
       success: true,
@@ -176,7 +421,7 @@ router.get('/tv-shows/:showTitle/season/:seasonNumber', authenticateToken, async
 });
 
 // Get content statistics (admins only) - must come before /:contentId route
-router.get('/statistics', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/statistics', authenticateToken, requirePermission('view-analytics'), async (req, res) => {
   try {
     const stats = await mediaService.getStatistics();
     
@@ -190,6 +435,36 @@ router.get('/statistics', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// Get the continue-watching row - must come before /:contentId route
+router.get('/continue-watching', authenticateToken, applyUserRateLimit, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const items = await watchProgressService.getContinueWatching(
+      req.user.id, req.user.role, limit, await parentalControlService.forRequest(req)
+    );
+
+    res.json({ success: true, items });
+  } catch (error) {
+    console.error('Get continue watching error:', error);
+    res.status(500).json({ error: 'Failed to get continue watching' });
+  }
+});
+
+// Get "because you watched" and "popular on this server" rows - must come before /:contentId route
+router.get('/recommendations', authenticateToken, applyUserRateLimit, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 12, 30);
+    const recommendations = await recommendationService.getRecommendations(
+      req.user.id, req.user.role, limit, await parentalControlService.forRequest(req)
+    );
+
+    res.json({ success: true, ...recommendations });
+  } catch (error) {
+    console.error('Get recommendations error:', error);
+    res.status(500).json({ error: 'Failed to get recommendations' });
+  }
+});
+
 // Get watch history - must come before /:contentId route
 router.get('/watch-history', authenticateToken, applyUserRateLimit, async (req, res) => {
   try {
@@ -228,7 +503,7 @@ router.get('/watch-history', authenticateToken, applyUserRateLimit, async (req,
 });
 
 // Regenerate thumbnails (admins only)
-router.post('/regenerate-thumbnails', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/regenerate-thumbnails', authenticateToken, requirePermission('upload'), async (req, res) => {
   try {
     const results = await mediaService.regenerateThumbnails();
     
@@ -244,7 +519,7 @@ router.post('/regenerate-thumbnails', authenticateToken, requireAdmin, async (re
 });
 
 // Fetch enhanced metadata for existing content (admins only)
-router.post('/fetch-metadata', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/fetch-metadata', authenticateToken, requirePermission('upload'), async (req, res) => {
   try {
     const results = await mediaService.fetchMetadataForExistingContent();
     
@@ -260,7 +535,7 @@ router.post('/fetch-metadata', authenticateToken, requireAdmin, async (req, res)
 });
 
 // Normalize TV show titles (admins only)
-router.post('/normalize-tv-shows', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/normalize-tv-shows', authenticateToken, requirePermission('upload'), async (req, res) => {
   try {
     const results = await mediaService.normalizeExistingTVShows();
     
@@ -276,7 +551,7 @@ router.post('/normalize-tv-shows', authenticateToken, requireAdmin, async (req,
 });
 
 // Fetch metadata for specific content item (admins only)
-router.post('/:contentId/fetch-metadata', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/:contentId/fetch-metadata', authenticateToken, requirePermission('upload'), async (req, res) => {
   try {
     const { contentId } = req.params;
     
@@ -302,49 +577,12 @@ router.post('/:contentId/fetch-metadata', authenticateToken, requireAdmin, async
 router.get('/:contentId/stream', applyStreamingLimiter, async (req, res) => {
   try {
     const { contentId } = req.params;
-    const { sessionId } = req.query; // Get sessionId from query parameter
-    
-    // Handle token from query parameter or header
-    let token = req.query.token || req.headers.authorization?.replace('Bearer ', '');
     
-    if (!token) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    // Verify token manually
-    let user;
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      user = decoded;
-    } catch (jwtError) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    // ENFORCEMENT: Require valid sessionId
-    if (!sessionId) {
-      return res.status(403).json({ error: 'Valid streaming session required' });
+    const verification = await verifyStreamingRequest(req);
+    if (verification.error) {
+      return res.status(verification.status).json({ error: verification.error });
     }
-
-    // ENFORCEMENT: Validate active streaming session
-    const sessions = await database.query(
-      'SELECT * FROM streaming_sessions WHERE id = ? AND status = ?',
-      [sessionId, 'active']
-    );
-    
-    if (sessions.length === 0) {
-      return res.status(403).json({ error: 'Invalid or inactive streaming session' });
-    }
-
-    const session = sessions[0];
-    
-    // ENFORCEMENT: Get streaming settings
-    const settings = await database.query('SELECT * FROM streaming_settings ORDER BY id DESC LIMIT 1');
-    const streamingSettings = settings.length > 0 ? settings[0] : {
-      max_resolution: '1080p',
-      bitrate_limit: '20',
-      total_bandwidth_limit: '150',
-      per_user_bandwidth_limit: '25'
-    };
+    const { user, sessionId, streamingSettings, restrictions } = verification;
 
     // SMART BANDWIDTH TRACKING: Only check limits for actual video streaming, not user interactions
     const range = req.headers.range;
@@ -364,13 +602,7 @@ router.get('/:contentId/stream', applyStreamingLimiter, async (req, res) => {
       
       if (isSignificantChunk) {
         // ENFORCEMENT: Check per-user bandwidth limit only for significant video chunks
-        const userSessions = await database.query(
-          'SELECT SUM(bandwidth) as total_bandwidth FROM streaming_sessions WHERE user_id = $1 AND status = $2',
-          [user.id, 'active']
-        );
-        const currentUserBandwidth = userSessions[0]?.total_bandwidth || 0;
-        
-        if (currentUserBandwidth > parseFloat(streamingSettings.per_user_bandwidth_limit)) {
+        if (await isUserBandwidthExceeded(user.id, streamingSettings)) {
           return res.status(403).json({ error: 'Bandwidth limit exceeded' });
         }
       } else {
@@ -378,19 +610,27 @@ router.get('/:contentId/stream', applyStreamingLimiter, async (req, res) => {
       }
     }
 
-    const content = await mediaService.getMediaById(contentId, user.id, user.role);
+    const content = await mediaService.getMediaById(contentId, user.id, user.role, { restrictions });
     
     if (!content) {
       return res.status(404).json({ error: 'Content not found' });
     }
     
-    // Get the best available file for streaming (prefers transcoded versions)
-    let streamingFile = await mediaService.getBestStreamingFile(contentId, content.file_path);
+    // A playback decision can pin the original or one transcoded version;
+    // otherwise use the best available file (prefers transcoded versions)
+    let streamingFile;
+    if (req.query.variant) {
+      streamingFile = await mediaService.getStreamingVariant(req.query.variant, content.file_path);
+      if (!streamingFile) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+    } else {
+      streamingFile = await mediaService.getBestStreamingFile(contentId, content.file_path);
+    }
     
     // ENFORCEMENT: Check quality/bitrate limits
-    const qualityMap = { '480p': 1, '720p': 2, '1080p': 3, '4k': 4 };
-    const requestedQuality = qualityMap[streamingFile.quality] || 2;
-    const maxQuality = qualityMap[streamingSettings.max_resolution] || 3;
+    const requestedQuality = QUALITY_MAP[streamingFile.quality] || 2;
+    const maxQuality = QUALITY_MAP[streamingSettings.max_resolution] || 3;
     
     if (requestedQuality > maxQuality) {
       // Try to get a lower quality version
@@ -467,7 +707,7 @@ router.get('/:contentId/stream', applyStreamingLimiter, async (req, res) => {
         'Content-Range': `bytes ${start}-${end}/${fileSize}`,
         'Accept-Ranges': 'bytes',
         'Content-Length': chunksize,
-        'Content-Type': streamingFile.isTranscoded ? 'video/mp4' : content.mime_type, // Use MP4 for transcoded files
+        'Content-Type': streamingFile.mimeType || (streamingFile.isTranscoded ? 'video/mp4' : content.mime_type), // Use MP4 for transcoded files
         'Cache-Control': 'public, max-age=3600',
         'X-Transcoded': streamingFile.isTranscoded ? 'true' : 'false', // Header to indicate if transcoded
         'X-Quality': streamingFile.quality, // Header to indicate quality level
@@ -499,7 +739,7 @@ router.get('/:contentId/stream', applyStreamingLimiter, async (req, res) => {
       });
       const head = {
         'Content-Length': fileSize,
-        'Content-Type': streamingFile.isTranscoded ? 'video/mp4' : content.mime_type, // Use MP4 for transcoded files
+        'Content-Type': streamingFile.mimeType || (streamingFile.isTranscoded ? 'video/mp4' : content.mime_type), // Use MP4 for transcoded files
         'Cache-Control': 'public, max-age=3600',
         'X-Transcoded': streamingFile.isTranscoded ? 'true' : 'false', // Header to indicate if transcoded
         'X-Quality': streamingFile.quality, // Header to indicate quality level
@@ -516,11 +756,289 @@ router.get('/:contentId/stream', applyStreamingLimiter, async (req, res) => {
   }
 });
 
+// HLS master playlist, filtered to the renditions allowed by the streaming settings
+router.get('/:contentId/hls/master.m3u8', applyStreamingLimiter, async (req, res) => {
+  try {
+    const { contentId } = req.params;
+    
+    const verification = await verifyStreamingRequest(req);
+    if (verification.error) {
+      return res.status(verification.status).json({ error: verification.error });
+    }
+    const { user, token, sessionId, streamingSettings, restrictions } = verification;
+    
+    const content = await mediaService.getMediaById(contentId, user.id, user.role, { restrictions });
+    if (!content) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+    
+    const hlsPackage = await mediaService.getHLSPackage(content.file_path);
+    if (!hlsPackage) {
+      return res.status(404).json({ error: 'HLS stream not available for this content' });
+    }
+    
+    // ENFORCEMENT: Only advertise renditions within the max resolution
+    const allowedRenditions = getAllowedRenditions(hlsPackage, streamingSettings);
+    if (allowedRenditions.length === 0) {
+      return res.status(403).json({ error: 'Quality limit exceeded and no suitable version available' });
+    }
+    
+    const masterPlaylist = signPlaylist(
+      Transcoder.buildMasterPlaylist(allowedRenditions, hlsPackage.audioRenditions),
+      token,
+      sessionId
+    );
+    
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'no-cache',
+      'X-Session-Id': sessionId
+    });
+    res.send(masterPlaylist);
+  } catch (error) {
+    console.error('HLS master playlist error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// HLS rendition playlists, init segments and media segments
+router.get('/:contentId/hls/:rendition/:file', applyStreamingLimiter, async (req, res) => {
+  try {
+    const { contentId, rendition, file } = req.params;
+    
+    // Reject anything that could escape the package directory
+    if (!/^[\w.-]+$/.test(rendition) || !/^[\w.-]+$/.test(file) || file.startsWith('.')) {
+      return res.status(400).json({ error: 'Invalid HLS path' });
+    }
+    
+    const verification = await verifyStreamingRequest(req);
+    if (verification.error) {
+      return res.status(verification.status).json({ error: verification.error });
+    }
+    const { user, token, sessionId, streamingSettings, restrictions } = verification;
+    
+    const content = await mediaService.getMediaById(contentId, user.id, user.role, { countView: false, restrictions });
+    if (!content) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+    
+    const hlsPackage = await mediaService.getHLSPackage(content.file_path);
+    if (!hlsPackage) {
+      return res.status(404).json({ error: 'HLS stream not available for this content' });
+    }
+    
+    const isAudioRendition = hlsPackage.audioRenditions.some(r => r.quality === rendition);
+    if (!isAudioRendition && !hlsPackage.renditions.some(r => r.quality === rendition)) {
+      return res.status(404).json({ error: 'Rendition not found' });
+    }
+    
+    // ENFORCEMENT: Block renditions above the max resolution
+    if (!isAudioRendition && !getAllowedRenditions(hlsPackage, streamingSettings).some(r => r.quality === rendition)) {
+      return res.status(403).json({ error: 'Quality limit exceeded' });
+    }
+    
+    const filePath = path.join(hlsPackage.output_dir, rendition, file);
+    
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch (fileError) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    if (file.endsWith('.m3u8')) {
+      const playlist = await fs.readFile(filePath, 'utf8');
+      res.set({
+        'Content-Type': 'application/vnd.apple.mpegurl',
+        'Cache-Control': 'no-cache',
+        'X-Session-Id': sessionId
+      });
+      return res.send(signPlaylist(playlist, token, sessionId));
+    }
+    
+    // ENFORCEMENT: Per-user bandwidth limit for media segments
+    if (await isUserBandwidthExceeded(user.id, streamingSettings)) {
+      return res.status(403).json({ error: 'Bandwidth limit exceeded' });
+    }
+    
+    // Segments are small, so every one of them counts towards session bandwidth
+    trackBandwidthUsage(sessionId, stats.size, 0);
+    
+    const segment = require('fs').createReadStream(filePath);
+    segment.on('error', (err) => {
+      console.error(`[STREAM] HLS segment stream error: ${filePath}`, err);
+    });
+    
+    res.writeHead(200, {
+      'Content-Length': stats.size,
+      'Content-Type': isAudioRendition ? 'audio/mp4' : 'video/mp4',
+      'Cache-Control': 'private, max-age=3600',
+      'X-Transcoded': 'true',
+      'X-Quality': rendition,
+      'X-Session-Id': sessionId
+    });
+    segment.pipe(res);
+  } catch (error) {
+    console.error('HLS segment error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/content/:contentId/playback - Decide how a client should play this title
+// Body: { sessionId, containers, videoCodecs, audioCodecs, maxResolution, bandwidth (kbps), hls }
+router.post('/:contentId/playback', applyStreamingLimiter, async (req, res) => {
+  try {
+    const { contentId } = req.params;
+    
+    const verification = await verifyStreamingRequest(req);
+    if (verification.error) {
+      return res.status(verification.status).json({ error: verification.error });
+    }
+    const { user, token, sessionId, streamingSettings, restrictions } = verification;
+    
+    const content = await mediaService.getMediaById(contentId, user.id, user.role, { countView: false, restrictions });
+    if (!content || content.media_type !== 'video') {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+    
+    try {
+      await fs.access(content.file_path);
+    } catch (fileError) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    const decision = await playbackDecisionService.decide(content, req.body || {}, streamingSettings, sessionId);
+    if (!decision.method) {
+      return res.status(decision.busy ? 503 : 422).json({ error: decision.reason, decision });
+    }
+    
+    res.json({
+      success: true,
+      decision: {
+        ...decision,
+        url: signUrl(decision.path, token, sessionId)
+      }
+    });
+  } catch (error) {
+    console.error('Playback decision error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live transcode playlist for clients that can't play the original and have
+// no offline transcode; ffmpeg starts at ?start= (seconds) and is capped to
+// the max resolution and bitrate limit of the streaming settings (and
+// ?maxHeight= / ?maxBitrate= from a playback decision). ?mode=remux copies
+// the video (direct stream), with ?audio=copy keeping the audio as well.
+router.get('/:contentId/live/index.m3u8', applyStreamingLimiter, async (req, res) => {
+  try {
+    const { contentId } = req.params;
+    
+    const verification = await verifyStreamingRequest(req);
+    if (verification.error) {
+      return res.status(verification.status).json({ error: verification.error });
+    }
+    const { user, token, sessionId, streamingSettings, restrictions } = verification;
+    
+    const content = await mediaService.getMediaById(contentId, user.id, user.role, { restrictions });
+    if (!content || content.media_type !== 'video') {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+    
+    try {
+      await fs.access(content.file_path);
+    } catch (fileError) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    const liveSession = await liveTranscoder.openSession({
+      sessionId,
+      contentId,
+      inputPath: content.file_path,
+      streamingSettings,
+      startTime: req.query.start,
+      options: {
+        mode: req.query.mode,
+        copyAudio: req.query.audio === 'copy',
+        maxHeight: req.query.maxHeight,
+        maxBitrate: req.query.maxBitrate
+      }
+    });
+    
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'no-cache',
+      'X-Transcoded': 'live',
+      'X-Session-Id': sessionId
+    });
+    res.send(signPlaylist(liveTranscoder.buildPlaylist(liveSession), token, sessionId));
+  } catch (error) {
+    if (error.code === 'LIVE_TRANSCODE_LIMIT') {
+      return res.status(503).json({ error: error.message });
+    }
+    console.error('Live transcode playlist error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live transcode segments, served as soon as the encoder has written them
+router.get('/:contentId/live/:file', applyStreamingLimiter, async (req, res) => {
+  try {
+    const { contentId, file } = req.params;
+    
+    const match = /^segment_(\d{5})\.ts$/.exec(file);
+    if (!match) {
+      return res.status(400).json({ error: 'Invalid segment' });
+    }
+    
+    const verification = await verifyStreamingRequest(req);
+    if (verification.error) {
+      return res.status(verification.status).json({ error: verification.error });
+    }
+    const { user, sessionId, streamingSettings } = verification;
+    
+    const liveSession = liveTranscoder.getSession(sessionId);
+    if (!liveSession || liveSession.contentId !== String(contentId)) {
+      return res.status(404).json({ error: 'Live transcode not started for this content' });
+    }
+    
+    // ENFORCEMENT: Per-user bandwidth limit for media segments
+    if (await isUserBandwidthExceeded(user.id, streamingSettings)) {
+      return res.status(403).json({ error: 'Bandwidth limit exceeded' });
+    }
+    
+    const segmentPath = await liveTranscoder.waitForSegment(liveSession, parseInt(match[1], 10));
+    const stats = await fs.stat(segmentPath);
+    
+    trackBandwidthUsage(sessionId, stats.size, 0);
+    
+    const segment = require('fs').createReadStream(segmentPath);
+    segment.on('error', (err) => {
+      console.error(`[STREAM] Live segment stream error: ${segmentPath}`, err);
+    });
+    
+    res.writeHead(200, {
+      'Content-Length': stats.size,
+      'Content-Type': 'video/mp2t',
+      'Cache-Control': 'no-cache',
+      'X-Transcoded': 'live',
+      'X-Quality': `${liveSession.profile.height}p`,
+      'X-Session-Id': sessionId
+    });
+    segment.pipe(res);
+  } catch (error) {
+    console.error('Live transcode segment error:', error);
+    res.status(error.message === 'Segment out of range' ? 404 : 500).json({ error: error.message });
+  }
+});
+
 // Get single content item
 router.get('/:contentId', authenticateToken, async (req, res) => {
   try {
     const { contentId } = req.params;
-    const content = await mediaService.getMediaById(contentId, req.user.id, req.user.role);
+    const content = await mediaService.getMediaById(contentId, req.user.id, req.user.role, {
+      restrictions: await parentalControlService.forRequest(req)
+    });
     
     if (!content) {
       return res.status(404).json({ error: 'Content not found' });
@@ -536,8 +1054,8 @@ router.get('/:contentId', authenticateToken, async (req, res) => {
   }
 });
 
-// Upload new content (managers and admins only)
-router.post('/upload', authenticateToken, requireContentManagement, upload.single('media'), async (req, res) => {
+// Upload new content (upload permission)
+router.post('/upload', authenticateToken, requirePermission('upload'), upload.single('media'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No video file uploaded' });
@@ -570,7 +1088,9 @@ router.post('/upload', authenticateToken, requireContentManagement, upload.singl
     }
     updates.tags = allTags;
     
-    if (published !== undefined) updates.published = published === 'true' || published === true;
+    if (published !== undefined && req.user.permissions.includes('publish')) {
+      updates.published = published === 'true' || published === true;
+    }
     
     if (Object.keys(updates).length > 0) {
       await mediaService.updateMedia(mediaResult.id, updates, req.user.id, req.user.role);
@@ -602,8 +1122,8 @@ router.post('/upload', authenticateToken, requireContentManagement, upload.singl
   }
 });
 
-// Update content (managers and admins only)
-router.put('/:contentId', authenticateToken, requireContentManagement, async (req, res) => {
+// Update content (upload permission)
+router.put('/:contentId', authenticateToken, requirePermission('upload'), async (req, res) => {
   try {
     const { contentId } = req.params;
     const updates = req.body;
@@ -621,8 +1141,8 @@ router.put('/:contentId', authenticateToken, requireContentManagement, async (re
   }
 });
 
-// Delete content (managers and admins only)
-router.delete('/:contentId', authenticateToken, requireContentManagement, async (req, res) => {
+// Delete content (delete permission)
+router.delete('/:contentId', authenticateToken, requirePermission('delete'), async (req, res) => {
   try {
     const { contentId } = req.params;
     
@@ -641,7 +1161,7 @@ router.delete('/:contentId', authenticateToken, requireContentManagement, async
 });
 
 // Comprehensive cleanup endpoint - removes ALL traces of media
-router.post('/:contentId/cleanup', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/:contentId/cleanup', authenticateToken, requirePermission('delete'), async (req, res) => {
   try {
     const { contentId } = req.params;
     
@@ -668,8 +1188,8 @@ router.post('/:contentId/cleanup', authenticateToken, requireAdmin, async (req,
 });
 
 
-// Publish/unpublish content (managers and admins only)
-router.patch('/:contentId/publish', authenticateToken, requireContentManagement, async (req, res) => {
+// Publish/unpublish content (publish permission)
+router.patch('/:contentId/publish', authenticateToken, requirePermission('publish'), async (req, res) => {
   try {
     const { contentId } = req.params;
     const { published } = req.body;
@@ -687,8 +1207,8 @@ router.patch('/:contentId/publish', authenticateToken, requireContentManagement,
   }
 });
 
-// Regenerate thumbnails for all videos (admin only)
-router.post('/regenerate-thumbnails', authenticateToken, requireAdmin, async (req, res) => {
+// Regenerate thumbnails for all videos (upload permission)
+router.post('/regenerate-thumbnails', authenticateToken, requirePermission('upload'), async (req, res) => {
   try {
     
     // Start thumbnail regeneration in background
@@ -711,7 +1231,9 @@ router.get('/:contentId/transcoded', authenticateToken, async (req, res) => {
     const userId = req.user.id;
     
     // Get the content to verify access
-    const content = await mediaService.getMediaById(contentId, userId, req.user.role);
+    const content = await mediaService.getMediaById(contentId, userId, req.user.role, {
+      restrictions: await parentalControlService.forRequest(req)
+    });
     if (!content) {
       return res.status(404).json({ error: 'Content not found' });
     }
@@ -733,8 +1255,22 @@ router.get('/:contentId/transcoded', authenticateToken, async (req, res) => {
         END
     `, [content.file_path]);
     
+    const hlsPackage = await mediaService.getHLSPackage(content.file_path);
+    
     res.json({ 
       success: true, 
+      hls: {
+        available: !!hlsPackage,
+        renditions: hlsPackage ? hlsPackage.renditions.map(r => ({
+          quality: r.quality,
+          resolution: r.resolution,
+          bandwidth: r.bandwidth
+        })) : [],
+        audioTracks: hlsPackage ? hlsPackage.audioRenditions.map(r => ({
+          name: r.name,
+          language: r.language
+        })) : []
+      },
       transcoded: transcoded.map(file => ({
         id: file.id,
         qualityLevel: file.quality,
@@ -752,6 +1288,152 @@ router.get('/:contentId/transcoded', authenticateToken, async (req, res) => {
   }
 });
 
+// The user's preferred playback languages, applied by the players
+const getLanguagePreferences = async (userId) => {
+  const users = await database.query(
+    'SELECT preferred_audio_language, preferred_subtitle_language FROM users WHERE id = ?',
+    [userId]
+  );
+
+  // Tracks are tagged with ISO 639-1 codes, so "eng" and "en" both match
+  return {
+    audio: normalizeLanguage(users[0]?.preferred_audio_language).code,
+    subtitle: normalizeLanguage(users[0]?.preferred_subtitle_language).code
+  };
+};
+
+// Audio streams available for a content item
+router.get('/:contentId/audio-tracks', authenticateToken, async (req, res) => {
+  try {
+    const content = await mediaService.getMediaById(req.params.contentId, req.user.id, req.user.role, {
+      countView: false,
+      restrictions: await parentalControlService.forRequest(req)
+    });
+    if (!content) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const tracks = await mediaService.getAudioTracks(content);
+    const preferences = await getLanguagePreferences(req.user.id);
+    res.json({ success: true, tracks, preferred_language: preferences.audio });
+  } catch (error) {
+    console.error('Get audio tracks error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Subtitle tracks available for a content item
+router.get('/:contentId/subtitles', authenticateToken, async (req, res) => {
+  try {
+    const content = await mediaService.getMediaById(req.params.contentId, req.user.id, req.user.role, {
+      countView: false,
+      restrictions: await parentalControlService.forRequest(req)
+    });
+    if (!content) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const tracks = await subtitleService.getSubtitleTracks(content.id);
+    const preferences = await getLanguagePreferences(req.user.id);
+    res.json({ success: true, tracks, preferred_language: preferences.subtitle });
+  } catch (error) {
+    console.error('Get subtitles error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// WebVTT file for a subtitle track. <track> elements can't send headers, so the
+// token may also come from the query string like the stream URL.
+router.get('/:contentId/subtitles/:trackId.vtt', applyStreamingLimiter, async (req, res) => {
+  try {
+    const token = req.query.token || req.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const resolved = await resolveStreamingUser(token, req);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+    const { user, restrictions } = resolved;
+
+    const content = await mediaService.getMediaById(req.params.contentId, user.id, user.role, { countView: false, restrictions });
+    if (!content) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const track = await subtitleService.getSubtitleTrack(content.id, req.params.trackId);
+    if (!track) {
+      return res.status(404).json({ error: 'Subtitle track not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/vtt; charset=utf-8',
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.sendFile(track.file_path, (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: 'Subtitle file not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Get subtitle file error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-scan embedded streams and sidecar files for a content item
+router.post('/:contentId/subtitles/scan', authenticateToken, requirePermission('upload'), async (req, res) => {
+  try {
+    const result = await subtitleService.extractSubtitles(req.params.contentId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.message === 'Media not found') {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+    console.error('Subtitle scan error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload a subtitle file (SRT/ASS/SSA/VTT) for a content item
+router.post('/:contentId/subtitles', authenticateToken, requirePermission('upload'), subtitleUpload.single('subtitle'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No subtitle file uploaded' });
+    }
+
+    const content = await mediaService.getMediaById(req.params.contentId, req.user.id, req.user.role, {
+      countView: false,
+      restrictions: await parentalControlService.forRequest(req)
+    });
+    if (!content) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const tracks = await subtitleService.addSubtitleFile(content.id, req.file.path, req.file.originalname, req.body.language);
+    res.status(201).json({ success: true, tracks });
+  } catch (error) {
+    console.error('Subtitle upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a subtitle track
+router.delete('/:contentId/subtitles/:trackId', authenticateToken, requirePermission('delete'), async (req, res) => {
+  try {
+    await subtitleService.deleteSubtitleTrack(req.params.contentId, req.params.trackId);
+    res.json({ success: true, message: 'Subtitle track removed' });
+  } catch (error) {
+    if (error.message === 'Subtitle track not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Delete subtitle error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Watch History Routes
 router.post('/:contentId/watch-progress', authenticateToken, applyUserRateLimit, async (req, res) => {
   try {
@@ -770,7 +1452,9 @@ router.post('/:contentId/watch-progress', authenticateToken, applyUserRateLimit,
     const progressPercentage = Math.min((currentTimeNum / durationNum) * 100, 100);
     
     // Get content title
-    const content = await mediaService.getMediaById(contentId, userId, req.user.role);
+    const content = await mediaService.getMediaById(contentId, userId, req.user.role, {
+      restrictions: await parentalControlService.forRequest(req)
+    });
     if (!content) {
       return res.status(404).json({ error: 'Content not found' });
     }
@@ -843,6 +1527,41 @@ router.get('/:contentId/watch-progress', authenticateToken, async (req, res) =>
 
 
 
+// Mark a single item as watched or unwatched
+router.put('/:contentId/watched', authenticateToken, applyUserRateLimit, async (req, res) => {
+  try {
+    const { watched } = req.body;
+    if (typeof watched !== 'boolean') {
+      return res.status(400).json({ error: 'watched must be true or false' });
+    }
+
+    const content = await mediaService.getMediaById(req.params.contentId, req.user.id, req.user.role, {
+      countView: false,
+      restrictions: await parentalControlService.forRequest(req)
+    });
+    if (!content) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    await watchProgressService.setWatched(req.user.id, [content.id], watched);
+    res.json({ success: true, watched });
+  } catch (error) {
+    console.error('Update watched state error:', error);
+    res.status(500).json({ error: 'Failed to update watched state' });
+  }
+});
+
+// The episode to autoplay after this one finishes
+router.get('/:contentId/next-episode', authenticateToken, async (req, res) => {
+  try {
+    const next = await tvShowService.getNextEpisode(req.params.contentId, req.user.role, await parentalControlService.forRequest(req));
+    res.json({ success: true, next });
+  } catch (error) {
+    console.error('Get next episode error:', error);
+    res.status(500).json({ error: 'Failed to get next episode' });
+  }
+});
+
 router.delete('/:contentId/watch-progress', authenticateToken, async (req, res) => {
   try {
     const { contentId } = req.params;
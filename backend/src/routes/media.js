@@ -1,44 +1,189 @@
 const express = require('express');
 const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const mediaService = require('../services/mediaService');
+const libraryScanner = require('../services/libraryScanner');
+const parentalControlService = require('../services/parentalControlService');
+const librarySectionService = require('../services/librarySectionService');
+
+// Apply user-based rate limiting to media routes
+const applyUserRateLimit = (req, res, next) => {
+  if (req.app.locals.userRateLimit) {
+    req.app.locals.userRateLimit(req, res, next);
+  } else {
+    next();
+  }
+};
+
+// Shared query parameters for the paginated library endpoints
+const getLibraryOptions = (query) => ({
+  sort: query.sort,
+  order: query.order,
+  limit: query.limit,
+  cursor: query.cursor,
+  genre: query.genre,
+  year: query.year,
+  resolution: query.resolution,
+  category: query.category,
+  librarySectionId: query.library,
+  search: query.search || query.q
+});
+
+const sendLibraryPage = async (req, res, options) => {
+  try {
+    const result = await mediaService.getLibraryPage(req.user.id, req.user.role, {
+      ...options,
+      restrictions: await parentalControlService.forRequest(req)
+    });
+
+    res.json({
+      success: true,
+      items: result.items,
+      pagination: result.pagination,
+      user_role: req.user.role
+    });
+  } catch (error) {
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    console.error('Get media library error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
 
 // GET /api/media/movies
-router.get('/movies', (req, res) => {
-  res.json({ message: 'Movies list endpoint - to be implemented' });
+router.get('/movies', authenticateToken, applyUserRateLimit, (req, res) => {
+  sendLibraryPage(req, res, {
+    ...getLibraryOptions(req.query),
+    mediaType: 'video',
+    category: 'movie'
+  });
 });
 
 // GET /api/media/tv-shows
-router.get('/tv-shows', (req, res) => {
-  res.json({ message: 'TV shows list endpoint - to be implemented' });
+router.get('/tv-shows', authenticateToken, applyUserRateLimit, (req, res) => {
+  sendLibraryPage(req, res, {
+    ...getLibraryOptions(req.query),
+    mediaType: 'video',
+    category: 'tv-show',
+    show: req.query.show
+  });
+});
+
+// GET /api/media/libraries - Library sections the user has access to
+router.get('/libraries', authenticateToken, async (req, res) => {
+  try {
+    const libraries = await librarySectionService.listVisibleSections(req.user.id);
+    res.json({
+      success: true,
+      libraries: libraries.map(({ id, name, description, mediaCount }) => ({ id, name, description, mediaCount }))
+    });
+  } catch (error) {
+    console.error('Get libraries error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // GET /api/media/search
-router.get('/search', (req, res) => {
-  res.json({ message: 'Media search endpoint - to be implemented' });
+router.get('/search', authenticateToken, applyUserRateLimit, (req, res) => {
+  const options = getLibraryOptions(req.query);
+
+  if (!options.search || !options.search.trim()) {
+    return res.status(400).json({ error: 'Search query is required' });
+  }
+
+  sendLibraryPage(req, res, {
+    ...options,
+    search: options.search.trim(),
+    sort: req.query.sort || 'title'
+  });
 });
 
-// POST /api/media/upload
-router.post('/upload', (req, res) => {
-  res.json({ message: 'Media upload endpoint - to be implemented' });
+// POST /api/media/upload - uploads are handled by the content routes
+router.post('/upload', authenticateToken, requirePermission('upload'), (req, res) => {
+  res.redirect(307, '/api/content/upload');
 });
 
 // GET /api/media/:id
-router.get('/:id', (req, res) => {
-  res.json({ message: 'Media details endpoint - to be implemented' });
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const media = await mediaService.getMediaById(req.params.id, req.user.id, req.user.role, {
+      restrictions: await parentalControlService.forRequest(req)
+    });
+
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    res.json({
+      success: true,
+      media: {
+        ...media,
+        genres: mediaService.getGenresFromTags(media.tags),
+        year: mediaService.getReleaseYear(media),
+        resolution_label: mediaService.getResolutionLabel(media.resolution)
+      }
+    });
+  } catch (error) {
+    console.error('Get media error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // PUT /api/media/:id
-router.put('/:id', (req, res) => {
-  res.json({ message: 'Media update endpoint - to be implemented' });
+router.put('/:id', authenticateToken, requirePermission('upload'), async (req, res) => {
+  try {
+    await mediaService.updateMedia(req.params.id, req.body, req.user.id, req.user.role);
+
+    res.json({
+      success: true,
+      message: 'Media updated successfully'
+    });
+  } catch (error) {
+    console.error('Update media error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // DELETE /api/media/:id
-router.delete('/:id', (req, res) => {
-  res.json({ message: 'Media delete endpoint - to be implemented' });
+router.delete('/:id', authenticateToken, requirePermission('delete'), async (req, res) => {
+  try {
+    const result = await mediaService.deleteMedia(req.params.id, req.user.id, req.user.role);
+
+    res.json({
+      success: true,
+      message: result.message || 'Media deleted successfully',
+      cleaned: result.cleaned
+    });
+  } catch (error) {
+    console.error('Delete media error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // POST /api/media/scan
-router.post('/scan', (req, res) => {
-  res.json({ message: 'Media scan endpoint - to be implemented' });
+router.post('/scan', authenticateToken, requirePermission('upload'), (req, res) => {
+  try {
+    const { folderId } = req.body || {};
+    const status = libraryScanner.startScan({ folderId, userId: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      message: 'Library scan started',
+      status
+    });
+  } catch (error) {
+    if (error.message === 'A library scan is already running') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Start library scan error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/media/scan/status
+router.get('/scan/status', authenticateToken, requirePermission('upload'), (req, res) => {
+  res.json({ success: true, status: libraryScanner.getStatus() });
 });
 
-module.exports = router; 
+module.exports = router;
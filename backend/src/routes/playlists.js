@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const playlistService = require('../services/playlistService');
+const parentalControlService = require('../services/parentalControlService');
+
+// Apply user-based rate limiting to playlist routes
+const applyUserRateLimit = (req, res, next) => {
+  if (req.app.locals.userRateLimit) {
+    req.app.locals.userRateLimit(req, res, next);
+  } else {
+    next();
+  }
+};
+
+// Map playlist service errors onto HTTP status codes
+const PLAYLIST_ERROR_STATUS = {
+  'Playlist not found': 404,
+  'Media not found': 404,
+  'User not found': 404,
+  'Media is not in this playlist': 404,
+  'Permission denied': 403,
+  'Media is already in this playlist': 409,
+  'Playlist owner already has access': 409,
+  'Playlist name is required': 400,
+  'No valid fields to update': 400,
+  'mediaIds must be an array': 400,
+  'Reorder must include every playlist item exactly once': 400
+};
+
+const sendError = (res, error, logLabel) => {
+  const status = PLAYLIST_ERROR_STATUS[error.message];
+  if (status) {
+    return res.status(status).json({ error: error.message });
+  }
+
+  console.error(`${logLabel}:`, error);
+  res.status(500).json({ error: error.message });
+};
+
+router.use(authenticateToken, applyUserRateLimit);
+
+// GET /api/playlists - playlists owned by or shared with the user
+router.get('/', async (req, res) => {
+  try {
+    const playlists = await playlistService.getPlaylists(req.user.id);
+    res.json({ success: true, playlists });
+  } catch (error) {
+    console.error('Get playlists error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/playlists
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, isPublic } = req.body;
+    const playlist = await playlistService.createPlaylist(req.user.id, { name, description, isPublic });
+    res.status(201).json({ success: true, playlist });
+  } catch (error) {
+    sendError(res, error, 'Create playlist error');
+  }
+});
+
+// GET /api/playlists/:playlistId
+router.get('/:playlistId', async (req, res) => {
+  try {
+    const playlist = await playlistService.getPlaylist(
+      req.params.playlistId, req.user.id, req.user.role, await parentalControlService.forRequest(req)
+    );
+    res.json({ success: true, playlist });
+  } catch (error) {
+    sendError(res, error, 'Get playlist error');
+  }
+});
+
+// PUT /api/playlists/:playlistId - rename / edit description / visibility
+router.put('/:playlistId', async (req, res) => {
+  try {
+    const { name, description, isPublic } = req.body;
+    await playlistService.updatePlaylist(req.params.playlistId, req.user.id, req.user.role, { name, description, isPublic });
+    res.json({ success: true, message: 'Playlist updated successfully' });
+  } catch (error) {
+    sendError(res, error, 'Update playlist error');
+  }
+});
+
+// DELETE /api/playlists/:playlistId
+router.delete('/:playlistId', async (req, res) => {
+  try {
+    await playlistService.deletePlaylist(req.params.playlistId, req.user.id, req.user.role);
+    res.json({ success: true, message: 'Playlist deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Delete playlist error');
+  }
+});
+
+// POST /api/playlists/:playlistId/items
+router.post('/:playlistId/items', async (req, res) => {
+  try {
+    const { mediaId } = req.body;
+    if (!mediaId) {
+      return res.status(400).json({ error: 'mediaId is required' });
+    }
+
+    const result = await playlistService.addItem(req.params.playlistId, req.user.id, req.user.role, mediaId);
+    res.status(201).json({ success: true, position: result.position });
+  } catch (error) {
+    sendError(res, error, 'Add playlist item error');
+  }
+});
+
+// DELETE /api/playlists/:playlistId/items/:mediaId
+router.delete('/:playlistId/items/:mediaId', async (req, res) => {
+  try {
+    await playlistService.removeItem(req.params.playlistId, req.user.id, req.user.role, req.params.mediaId);
+    res.json({ success: true, message: 'Item removed from playlist' });
+  } catch (error) {
+    sendError(res, error, 'Remove playlist item error');
+  }
+});
+
+// PUT /api/playlists/:playlistId/items/order - body: { mediaIds: [...] }
+router.put('/:playlistId/items/order', async (req, res) => {
+  try {
+    await playlistService.reorderItems(req.params.playlistId, req.user.id, req.user.role, req.body.mediaIds);
+    res.json({ success: true, message: 'Playlist reordered' });
+  } catch (error) {
+    sendError(res, error, 'Reorder playlist error');
+  }
+});
+
+// POST /api/playlists/:playlistId/shares - body: { username, canEdit }
+router.post('/:playlistId/shares', async (req, res) => {
+  try {
+    const { username, canEdit } = req.body;
+    if (!username) {
+      return res.status(400).json({ error: 'username is required' });
+    }
+
+    const share = await playlistService.sharePlaylist(req.params.playlistId, req.user.id, req.user.role, { username, canEdit });
+    res.json({ success: true, share });
+  } catch (error) {
+    sendError(res, error, 'Share playlist error');
+  }
+});
+
+// DELETE /api/playlists/:playlistId/shares/:userId
+router.delete('/:playlistId/shares/:userId', async (req, res) => {
+  try {
+    await playlistService.unsharePlaylist(req.params.playlistId, req.user.id, req.user.role, req.params.userId);
+    res.json({ success: true, message: 'Playlist share removed' });
+  } catch (error) {
+    sendError(res, error, 'Unshare playlist error');
+  }
+});
+
+// GET /api/playlists/:playlistId/queue?start=<mediaId>&shuffle=true - "play all"
+router.get('/:playlistId/queue', async (req, res) => {
+  try {
+    const result = await playlistService.getPlayQueue(req.params.playlistId, req.user.id, req.user.role, {
+      startMediaId: req.query.start,
+      shuffle: req.query.shuffle === 'true',
+      restrictions: await parentalControlService.forRequest(req)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Get playlist queue error');
+  }
+});
+
+module.exports = router;
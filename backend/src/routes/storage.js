@@ -1,24 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
-const fs = require('fs');
 const fsPromises = require('fs').promises;
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { formatFileSize } = require('../utils/formatters');
-const SETTINGS_PATH = path.join(__dirname, '../../system-settings.json');
-
-// Helper to load/save settings
-function loadSettings() {
-  try {
-    if (fs.existsSync(SETTINGS_PATH)) {
-      return JSON.parse(fs.readFileSync(SETTINGS_PATH, 'utf-8'));
-    }
-  } catch (e) { console.error('Failed to load settings:', e); }
-  return { autoTranscodingEnabled: false };
-}
-function saveSettings(settings) {
-  fs.writeFileSync(SETTINGS_PATH, JSON.stringify(settings, null, 2));
-}
+const auditLogService = require('../services/auditLogService');
+const transcodingProfileService = require('../services/transcodingProfileService');
+const { loadSettings, saveSettings } = require('../utils/systemSettings');
 
 // Get transcoding service instance (initialized with Socket.IO in server.js)
 const getTranscodingService = () => {
@@ -26,7 +14,7 @@ const getTranscodingService = () => {
 };
 
 // Get storage analytics
-router.get('/analytics', authenticateToken, requireAdmin, (req, res, next) => {
+router.get('/analytics', authenticateToken, requirePermission('view-analytics'), (req, res, next) => {
   // Apply special rate limiting for storage analysis
   const storageAnalysisLimiter = req.app.locals.storageAnalysisLimiter;
   if (storageAnalysisLimiter) {
@@ -242,7 +230,7 @@ router.get('/analytics', authenticateToken, requireAdmin, (req, res, next) => {
 });
 
 // Get cached storage analytics (faster for real-time dashboard)
-router.get('/analytics/cached', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/analytics/cached', authenticateToken, requirePermission('view-analytics'), async (req, res) => {
   try {
     const transcodingService = getTranscodingService();
     const cachedAnalytics = await transcodingService.getCachedStorageAnalytics();
@@ -267,7 +255,7 @@ router.get('/analytics/cached', authenticateToken, requireAdmin, async (req, res
 });
 
 // Force refresh analytics (clears cache and recalculates)
-router.post('/analytics/refresh', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/analytics/refresh', authenticateToken, requirePermission('view-analytics'), async (req, res) => {
   try {
     const transcodingService = getTranscodingService();
     
@@ -327,7 +315,7 @@ router.post('/analytics/refresh', authenticateToken, requireAdmin, async (req, r
 });
 
 // Get transcoded files list
-router.get('/transcoded', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/transcoded', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
     const database = require('../utils/database');
     const transcodedFiles = await database.query(`
@@ -360,10 +348,10 @@ router.get('/transcoded', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // Get transcoding queue status
-router.get('/transcoding/status', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/transcoding/status', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
     const transcodingService = getTranscodingService();
-    const status = transcodingService.getQueueStatus();
+    const status = await transcodingService.getQueueStatus();
     const stats = await transcodingService.getCompressionStats();
     
     res.json({
@@ -381,9 +369,9 @@ router.get('/transcoding/status', authenticateToken, requireAdmin, async (req, r
 });
 
 // Add file to transcoding queue
-router.post('/transcoding/add', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/transcoding/add', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
-    const { filePath, qualities, deleteOriginal } = req.body;
+    const { filePath, qualities, deleteOriginal, profile: profileName } = req.body;
     
     if (!filePath) {
       return res.status(400).json({ 
@@ -403,9 +391,19 @@ router.post('/transcoding/add', authenticateToken, requireAdmin, async (req, res
       });
     }
 
+    // A stored transcoding profile (id or name) replaces the quality presets
+    const profile = profileName ? await transcodingProfileService.getProfile(profileName) : null;
+    if (profileName && !profile) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Unknown transcoding profile' 
+      });
+    }
+
     const transcodingService = getTranscodingService();
     const jobId = await transcodingService.addToQueue(fullPath, {
       qualities: qualities || ['1080p', '720p'],
+      ...(profile && { profile }),
       deleteOriginal: deleteOriginal || false,
       priority: 'normal'
     });
@@ -425,7 +423,7 @@ router.post('/transcoding/add', authenticateToken, requireAdmin, async (req, res
 });
 
 // Add file to Opus transcoding queue (NEW: Opus-specific endpoint)
-router.post('/transcoding/add-opus', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/transcoding/add-opus', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
     const { filePath, qualities, deleteOriginal } = req.body;
     
@@ -490,7 +488,7 @@ router.post('/transcoding/add-opus', authenticateToken, requireAdmin, async (req
 });
 
 // Bulk add files to transcoding queue
-router.post('/transcoding/bulk-add', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/transcoding/bulk-add', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
     // Handle both formats: new (filesWithSettings) and legacy (files + qualities)
     let filesWithSettings = req.body.filesWithSettings;
@@ -501,6 +499,8 @@ router.post('/transcoding/bulk-add', authenticateToken, requireAdmin, async (req
         file: path.basename(filePath), // Extract filename from path/blob
         settings: {
           qualities: req.body.qualities || ['1080p', '720p'],
+          profile: req.body.profile,
+          priorityLevel: req.body.priority,
           deleteOriginal: false
         }
       }));
@@ -517,6 +517,7 @@ router.post('/transcoding/bulk-add', authenticateToken, requireAdmin, async (req
     const transcodingService = getTranscodingService();
     const jobIds = [];
     const errors = [];
+    const profiles = new Map();
 
     for (const entry of filesWithSettings) {
       const fileName = entry.file;
@@ -525,9 +526,23 @@ router.post('/transcoding/bulk-add', authenticateToken, requireAdmin, async (req
         const fullPath = path.join(mediaDir, fileName);
         await fsPromises.access(fullPath);
         
+        // Each file may name its own transcoding profile (id or name)
+        let profile = null;
+        if (settings.profile) {
+          if (!profiles.has(settings.profile)) {
+            profiles.set(settings.profile, await transcodingProfileService.getProfile(settings.profile));
+          }
+          profile = profiles.get(settings.profile);
+          if (!profile) {
+            errors.push({ file: fileName, error: `Unknown transcoding profile: ${settings.profile}` });
+            continue;
+          }
+        }
+        
         // Pass all settings to the transcoding service
         const transcodingOptions = {
           qualities: settings.qualities || ['1080p', '720p'],
+          ...(profile && { profile }),
           deleteOriginal: settings.deleteOriginal === true || settings.deleteOriginals === true,
           priority: settings.priorityLevel || 'normal',
           // Hardware acceleration and codec settings
@@ -574,7 +589,7 @@ router.post('/transcoding/bulk-add', authenticateToken, requireAdmin, async (req
 });
 
 // Set transcoding speed mode
-router.post('/transcoding/speed-mode', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/transcoding/speed-mode', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
     const { mode } = req.body;
     
@@ -603,7 +618,7 @@ router.post('/transcoding/speed-mode', authenticateToken, requireAdmin, async (r
 });
 
 // Get transcoding speed mode
-router.get('/transcoding/speed-mode', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/transcoding/speed-mode', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
     const transcodingService = getTranscodingService();
     const config = transcodingService.getConfig();
@@ -624,8 +639,322 @@ router.get('/transcoding/speed-mode', authenticateToken, requireAdmin, async (re
   }
 });
 
+// Queue controls need the v2 engine; the fallback service only analyses storage
+const getQueueEngine = () => {
+  const transcodingService = getTranscodingService();
+  return typeof transcodingService?.getQueueControl === 'function' ? transcodingService : null;
+};
+
+const sendEngineUnavailable = (res) => res.status(503).json({
+  success: false,
+  error: 'Transcoding engine is not running'
+});
+
+// Engine queue methods report failures as { success: false, error }
+const getQueueErrorStatus = (error) => (error === 'Job not found' ? 404 : 400);
+
+// Queue state: pause, schedule windows and jobs in the order they will run
+router.get('/transcoding/queue', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
+  try {
+    const transcodingService = getQueueEngine();
+    if (!transcodingService) {
+      // Saved settings apply once the engine starts
+      const { transcodingQueuePaused, transcodingSchedule } = loadSettings();
+      return res.json({
+        success: true,
+        available: false,
+        paused: transcodingQueuePaused === true,
+        schedule: {
+          windows: transcodingSchedule?.windows || [],
+          heavyJobMinSizeMB: transcodingSchedule?.heavyJobMinSizeMB ?? 1024,
+          withinWindow: null,
+          nextWindowStart: null
+        },
+        jobs: []
+      });
+    }
+
+    const control = await transcodingService.getQueueControl();
+    res.json({ success: true, available: true, ...control });
+  } catch (error) {
+    console.error('Get transcoding queue error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get transcoding queue' });
+  }
+});
+
+// Pause or resume the whole queue; running jobs finish either way
+const setQueuePaused = async (req, res, paused) => {
+  try {
+    const transcodingService = getQueueEngine();
+    if (!transcodingService) {
+      return sendEngineUnavailable(res);
+    }
+
+    if (paused) {
+      transcodingService.pauseQueue();
+    } else {
+      transcodingService.resumeQueue();
+    }
+    saveSettings({ ...loadSettings(), transcodingQueuePaused: paused });
+
+    await auditLogService.record(req, {
+      action: paused ? 'transcoding.queue_pause' : 'transcoding.queue_resume',
+      targetType: 'transcoding',
+      targetLabel: 'Transcoding queue',
+      after: { paused }
+    });
+
+    res.json({ success: true, paused });
+  } catch (error) {
+    console.error('Pause/resume transcoding queue error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update the transcoding queue' });
+  }
+};
+
+router.post('/transcoding/queue/pause', authenticateToken, requirePermission('manage-transcoding'), (req, res) => setQueuePaused(req, res, true));
+router.post('/transcoding/queue/resume', authenticateToken, requirePermission('manage-transcoding'), (req, res) => setQueuePaused(req, res, false));
+
+// Set the run order of queued jobs (within each priority)
+router.put('/transcoding/queue/order', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
+  try {
+    const transcodingService = getQueueEngine();
+    if (!transcodingService) {
+      return sendEngineUnavailable(res);
+    }
+
+    const { jobIds } = req.body;
+    const result = await transcodingService.reorderQueue(jobIds);
+    if (!result.success) {
+      return res.status(getQueueErrorStatus(result.error)).json({ success: false, error: result.error });
+    }
+
+    await auditLogService.record(req, {
+      action: 'transcoding.queue_reorder',
+      targetType: 'transcoding',
+      targetLabel: 'Transcoding queue',
+      after: { jobIds }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Reorder transcoding queue error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reorder the transcoding queue' });
+  }
+});
+
+// Time windows for heavy jobs ({ windows: [{ start: '01:00', end: '07:00' }], heavyJobMinSizeMB })
+router.put('/transcoding/schedule', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
+  try {
+    const transcodingService = getQueueEngine();
+    if (!transcodingService) {
+      return sendEngineUnavailable(res);
+    }
+
+    const settings = loadSettings();
+    const result = transcodingService.updateSchedule({
+      windows: req.body.windows,
+      heavyJobMinSizeMB: req.body.heavyJobMinSizeMB
+    });
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    const schedule = {
+      windows: result.schedule.windows,
+      heavyJobMinSizeMB: result.schedule.heavyJobMinSizeMB
+    };
+    saveSettings({ ...settings, transcodingSchedule: schedule });
+
+    await auditLogService.record(req, {
+      action: 'transcoding.schedule_update',
+      targetType: 'transcoding',
+      targetLabel: 'Transcoding schedule',
+      before: settings.transcodingSchedule || null,
+      after: schedule
+    });
+
+    res.json({ success: true, schedule: result.schedule });
+  } catch (error) {
+    console.error('Update transcoding schedule error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update the transcoding schedule' });
+  }
+});
+
+// Change a job's priority (low, normal, high, urgent)
+router.put('/transcoding/jobs/:jobId/priority', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
+  try {
+    const transcodingService = getQueueEngine();
+    if (!transcodingService) {
+      return sendEngineUnavailable(res);
+    }
+
+    const { priority } = req.body;
+    if (priority === undefined || priority === null || priority === '') {
+      return res.status(400).json({ success: false, error: 'priority is required' });
+    }
+
+    const result = await transcodingService.setJobPriority(req.params.jobId, priority);
+    if (!result.success) {
+      return res.status(getQueueErrorStatus(result.error)).json({ success: false, error: result.error });
+    }
+
+    await auditLogService.record(req, {
+      action: 'transcoding.job_priority',
+      targetType: 'transcoding_job',
+      targetId: req.params.jobId,
+      targetLabel: `Transcoding job ${req.params.jobId}`,
+      after: { priority: result.priority }
+    });
+
+    res.json({ success: true, priority: result.priority });
+  } catch (error) {
+    console.error('Set transcoding job priority error:', error);
+    res.status(500).json({ success: false, error: 'Failed to set job priority' });
+  }
+});
+
+// Pause or resume a single job
+const setJobPaused = async (req, res, paused) => {
+  try {
+    const transcodingService = getQueueEngine();
+    if (!transcodingService) {
+      return sendEngineUnavailable(res);
+    }
+
+    const { jobId } = req.params;
+    const result = paused
+      ? await transcodingService.pauseJob(jobId)
+      : await transcodingService.resumeJob(jobId);
+    if (!result.success) {
+      return res.status(getQueueErrorStatus(result.error)).json({ success: false, error: result.error });
+    }
+
+    await auditLogService.record(req, {
+      action: paused ? 'transcoding.job_pause' : 'transcoding.job_resume',
+      targetType: 'transcoding_job',
+      targetId: jobId,
+      targetLabel: `Transcoding job ${jobId}`
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Pause/resume transcoding job error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update the job' });
+  }
+};
+
+router.post('/transcoding/jobs/:jobId/pause', authenticateToken, requirePermission('manage-transcoding'), (req, res) => setJobPaused(req, res, true));
+router.post('/transcoding/jobs/:jobId/resume', authenticateToken, requirePermission('manage-transcoding'), (req, res) => setJobPaused(req, res, false));
+
+// List transcoding profiles, the default and what the profile form can offer
+router.get('/transcoding/profiles', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
+  try {
+    const [profiles, options] = await Promise.all([
+      transcodingProfileService.listProfiles(),
+      transcodingProfileService.getOptions()
+    ]);
+
+    res.json({
+      success: true,
+      profiles,
+      defaultProfileId: profiles.find(profile => profile.isDefault)?.id || null,
+      options
+    });
+  } catch (error) {
+    console.error('List transcoding profiles error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list transcoding profiles' });
+  }
+});
+
+// Create a transcoding profile
+router.post('/transcoding/profiles', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
+  try {
+    const profile = await transcodingProfileService.createProfile(req.body || {}, req.user.id);
+    await auditLogService.record(req, {
+      action: 'transcoding.profile_create',
+      targetType: 'transcoding_profile',
+      targetId: profile.id,
+      targetLabel: profile.name,
+      after: profile
+    });
+
+    res.status(201).json({ success: true, profile });
+  } catch (error) {
+    console.error('Create transcoding profile error:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Set or clear (profileId: null) the profile used for auto-transcode on upload
+router.put('/transcoding/profiles/default', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
+  try {
+    const { profileId } = req.body;
+    if (profileId === undefined) {
+      return res.status(400).json({ success: false, error: 'profileId is required (null clears the default)' });
+    }
+
+    const before = await transcodingProfileService.getDefaultProfile();
+    const profile = await transcodingProfileService.setDefaultProfile(profileId === null ? null : parseInt(profileId));
+    await auditLogService.record(req, {
+      action: 'transcoding.profile_default',
+      targetType: 'transcoding_profile',
+      targetId: profile?.id || null,
+      targetLabel: profile?.name || 'No default profile',
+      before: before ? { id: before.id, name: before.name } : null,
+      after: profile ? { id: profile.id, name: profile.name } : null
+    });
+
+    res.json({ success: true, defaultProfile: profile });
+  } catch (error) {
+    console.error('Set default transcoding profile error:', error);
+    const status = error.message === 'Transcoding profile not found' ? 404 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// Update a transcoding profile
+router.put('/transcoding/profiles/:profileId', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
+  try {
+    const { before, profile } = await transcodingProfileService.updateProfile(req.params.profileId, req.body || {});
+    await auditLogService.record(req, {
+      action: 'transcoding.profile_update',
+      targetType: 'transcoding_profile',
+      targetId: profile.id,
+      targetLabel: profile.name,
+      before,
+      after: profile
+    });
+
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error('Update transcoding profile error:', error);
+    const status = error.message === 'Transcoding profile not found' ? 404 : 400;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a transcoding profile (library sections using it stop auto-transcoding)
+router.delete('/transcoding/profiles/:profileId', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
+  try {
+    const profile = await transcodingProfileService.deleteProfile(req.params.profileId);
+    await auditLogService.record(req, {
+      action: 'transcoding.profile_delete',
+      targetType: 'transcoding_profile',
+      targetId: profile.id,
+      targetLabel: profile.name,
+      before: profile
+    });
+
+    res.json({ success: true, message: `Transcoding profile "${profile.name}" deleted` });
+  } catch (error) {
+    console.error('Delete transcoding profile error:', error);
+    const status = error.message === 'Transcoding profile not found' ? 404 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
 // Auto-optimize storage (compress large files)
-router.post('/optimize', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/optimize', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
     const { 
       minFileSize = 500 * 1024 * 1024, // 500MB default
@@ -730,7 +1059,7 @@ router.post('/optimize', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // Clean up old/duplicate files
-router.post('/cleanup', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/cleanup', authenticateToken, requirePermission('delete'), async (req, res) => {
   try {
     const { 
       removeEmptyFiles = true,
@@ -780,7 +1109,7 @@ router.post('/cleanup', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // Force cleanup corrupted files (aggressive cleanup)
-router.post('/cleanup/force', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/cleanup/force', authenticateToken, requirePermission('delete'), async (req, res) => {
   try {
     const transcodingService = getTranscodingService();
     const result = await transcodingService.cleanupCorruptedFiles(true); // Force cleanup
@@ -800,7 +1129,7 @@ router.post('/cleanup/force', authenticateToken, requireAdmin, async (req, res)
 });
 
 // Remove job from transcoding queue
-router.delete('/transcoding/remove/:jobId', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/transcoding/remove/:jobId', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
     const { jobId } = req.params;
     
@@ -835,7 +1164,7 @@ router.delete('/transcoding/remove/:jobId', authenticateToken, requireAdmin, asy
 });
 
 // Clear transcoding queue
-router.delete('/transcoding/clear', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/transcoding/clear', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
     const transcodingService = getTranscodingService();
     const result = transcodingService.clearQueue();
@@ -854,10 +1183,17 @@ router.delete('/transcoding/clear', authenticateToken, requireAdmin, async (req,
 });
 
 // Stop all transcoding jobs (active and queued)
-router.delete('/transcoding/stop-all', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/transcoding/stop-all', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
     const transcodingService = getTranscodingService();
     const result = await transcodingService.stopAllJobs();
+
+    await auditLogService.record(req, {
+      action: 'transcoding.stop_all',
+      targetType: 'transcoding',
+      targetLabel: 'All transcoding jobs',
+      after: { stoppedActiveJobs: result.stoppedActiveJobs, clearedQueuedJobs: result.clearedQueuedJobs }
+    });
     
     res.json({
       success: true,
@@ -875,7 +1211,7 @@ router.delete('/transcoding/stop-all', authenticateToken, requireAdmin, async (r
 });
 
 // Test GPU availability
-router.get('/transcoding/gpu-test', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/transcoding/gpu-test', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
     const transcodingService = getTranscodingService();
     const isGPUAvailable = await transcodingService.testGPUAvailability();
@@ -895,7 +1231,7 @@ router.get('/transcoding/gpu-test', authenticateToken, requireAdmin, async (req,
 });
 
 // Get storage recommendations
-router.get('/recommendations', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/recommendations', authenticateToken, requirePermission('view-analytics'), async (req, res) => {
   try {
     const mediaDir = path.join(__dirname, '../../uploads/media');
     const transcodingService = getTranscodingService();
@@ -976,7 +1312,7 @@ router.get('/recommendations', authenticateToken, requireAdmin, async (req, res)
 });
 
 // Schedule content for deletion (when removed from archive)
-router.post('/schedule-deletion', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/schedule-deletion', authenticateToken, requirePermission('delete'), async (req, res) => {
   try {
     const { filePath, mediaId, reason = 'content_removed', delayHours = 24 } = req.body;
     
@@ -1035,7 +1371,7 @@ router.post('/schedule-deletion', authenticateToken, requireAdmin, async (req, r
 });
 
 // Get deletion schedule
-router.get('/deletion-schedule', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/deletion-schedule', authenticateToken, requirePermission('delete'), async (req, res) => {
   try {
     const database = require('../utils/database');
     const schedule = await database.query(`
@@ -1072,7 +1408,7 @@ router.get('/deletion-schedule', authenticateToken, requireAdmin, async (req, re
 });
 
 // Cancel scheduled deletion
-router.delete('/deletion-schedule/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/deletion-schedule/:id', authenticateToken, requirePermission('delete'), async (req, res) => {
   try {
     const { id } = req.params;
     const database = require('../utils/database');
@@ -1103,7 +1439,7 @@ router.delete('/deletion-schedule/:id', authenticateToken, requireAdmin, async (
 });
 
 // Cleanup corrupted transcoded files
-router.post('/cleanup', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/cleanup', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
     const transcodingService = getTranscodingService();
     const cleanedCount = await transcodingService.cleanupCorruptedFiles();
@@ -1126,7 +1462,7 @@ router.post('/cleanup', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // Force cleanup all 0-byte files in transcoded directory
-router.post('/cleanup/force', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/cleanup/force', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
     const transcodedDir = path.join(__dirname, '../../uploads/transcoded');
     const files = await fsPromises.readdir(transcodedDir);
@@ -1170,13 +1506,13 @@ router.post('/cleanup/force', authenticateToken, requireAdmin, async (req, res)
 });
 
 // GET system transcoding settings
-router.get('/settings', authenticateToken, requireAdmin, (req, res) => {
+router.get('/settings', authenticateToken, requirePermission('manage-settings'), (req, res) => {
   const settings = loadSettings();
   res.json({ success: true, settings });
 });
 
 // POST update system transcoding settings
-router.post('/settings', authenticateToken, requireAdmin, (req, res) => {
+router.post('/settings', authenticateToken, requirePermission('manage-settings'), (req, res) => {
   const { autoTranscodingEnabled } = req.body;
   const settings = loadSettings();
   if (typeof autoTranscodingEnabled === 'boolean') {
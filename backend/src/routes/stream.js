@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const database = require('../utils/database');
 const monthlyBandwidthService = require('../services/monthlyBandwidthService');
+const liveTranscoder = require('../services/transcoding/liveTranscoder');
 
 // Apply user-based rate limiting to stream routes
 const applyUserRateLimit = (req, res, next) => {
@@ -31,11 +32,12 @@ let streamingSettings = {
   maxResolution: 'auto',
   bitrateLimit: null,
   totalBandwidthLimit: null,
-  perUserBandwidthLimit: null
+  perUserBandwidthLimit: null,
+  maxLiveTranscodes: null
 };
 
 // GET /api/streaming/analytics - Get streaming analytics data
-router.get('/analytics', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/analytics', authenticateToken, requirePermission('view-analytics'), async (req, res) => {
   try {
     // Get active sessions from both in-memory and database
     const dbSessions = await database.query(
@@ -304,6 +306,9 @@ router.post('/session/end', authenticateToken, applyUserRateLimit, async (req, r
       [now, duration, sessionId]
     );
     
+    // Kill the live transcode (if any) as soon as its session is over
+    await liveTranscoder.stopSession(sessionId);
+    
     streamingStats.dailyStats.totalBandwidthUsed += bandwidthUsed; // Use actual tracked bandwidth
     
     // Track monthly bandwidth usage
@@ -323,8 +328,8 @@ router.post('/session/end', authenticateToken, applyUserRateLimit, async (req, r
   }
 });
 
-// POST /api/streaming/session/terminate - Terminate a streaming session (admin only)
-router.post('/session/terminate', authenticateToken, requireAdmin, async (req, res) => {
+// POST /api/streaming/session/terminate - Terminate a streaming session (manage-users permission)
+router.post('/session/terminate', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
     const { sessionId } = req.body;
     
@@ -368,6 +373,9 @@ router.post('/session/terminate', authenticateToken, requireAdmin, async (req, r
       [new Date().toISOString(), duration, sessionId]
     );
     
+    // Kill the live transcode (if any) as soon as its session is over
+    await liveTranscoder.stopSession(sessionId);
+    
     // Track monthly bandwidth usage
     if (session.userId && session.username) {
       await monthlyBandwidthService.addBandwidthUsage(
@@ -421,14 +429,15 @@ router.post('/session/update-bandwidth', authenticateToken, applyUserRateLimit,
 });
 
 // GET /api/streaming/settings - Get current streaming settings
-router.get('/settings', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/settings', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
   try {
     const settings = await database.query('SELECT * FROM streaming_settings ORDER BY id DESC LIMIT 1');
     const currentSettings = settings.length > 0 ? settings[0] : {
       max_resolution: '1080p',
       bitrate_limit: '20',
       total_bandwidth_limit: '150',
-      per_user_bandwidth_limit: '25'
+      per_user_bandwidth_limit: '25',
+      max_live_transcodes: 2
     };
     
     res.json({
@@ -437,7 +446,8 @@ router.get('/settings', authenticateToken, requireAdmin, async (req, res) => {
         maxResolution: currentSettings.max_resolution,
         bitrateLimit: currentSettings.bitrate_limit,
         totalBandwidthLimit: currentSettings.total_bandwidth_limit,
-        perUserBandwidthLimit: currentSettings.per_user_bandwidth_limit
+        perUserBandwidthLimit: currentSettings.per_user_bandwidth_limit,
+        maxLiveTranscodes: currentSettings.max_live_transcodes ?? 2
       }
     });
   } catch (error) {
@@ -450,9 +460,13 @@ router.get('/settings', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // POST /api/streaming/settings - Save streaming settings
-router.post('/settings', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/settings', authenticateToken, requirePermission('manage-settings'), async (req, res) => {
   try {
     const { maxResolution, bitrateLimit, totalBandwidthLimit, perUserBandwidthLimit } = req.body;
+    const maxLiveTranscodes = req.body.maxLiveTranscodes === undefined ? 2 : parseInt(req.body.maxLiveTranscodes);
+    if (!Number.isInteger(maxLiveTranscodes) || maxLiveTranscodes < 0) {
+      return res.status(400).json({ success: false, error: 'Max live transcodes must be 0 or more' });
+    }
     
     // Check if settings already exist
     const existingSettings = await database.query('SELECT * FROM streaming_settings ORDER BY id DESC LIMIT 1');
@@ -460,14 +474,14 @@ router.post('/settings', authenticateToken, requireAdmin, async (req, res) => {
     if (existingSettings.length > 0) {
       // Update existing settings
       await database.update(
-        `UPDATE streaming_settings SET max_resolution = ?, bitrate_limit = ?, total_bandwidth_limit = ?, per_user_bandwidth_limit = ?, updated_at = ? WHERE id = ?`,
-        [maxResolution, bitrateLimit, totalBandwidthLimit, perUserBandwidthLimit, new Date().toISOString(), existingSettings[0].id]
+        `UPDATE streaming_settings SET max_resolution = ?, bitrate_limit = ?, total_bandwidth_limit = ?, per_user_bandwidth_limit = ?, max_live_transcodes = ?, updated_at = ? WHERE id = ?`,
+        [maxResolution, bitrateLimit, totalBandwidthLimit, perUserBandwidthLimit, maxLiveTranscodes, new Date().toISOString(), existingSettings[0].id]
       );
     } else {
       // Insert new settings record
       await database.insert(
-        `INSERT INTO streaming_settings (max_resolution, bitrate_limit, total_bandwidth_limit, per_user_bandwidth_limit, updated_at) VALUES (?, ?, ?, ?, ?)`,
-        [maxResolution, bitrateLimit, totalBandwidthLimit, perUserBandwidthLimit, new Date().toISOString()]
+        `INSERT INTO streaming_settings (max_resolution, bitrate_limit, total_bandwidth_limit, per_user_bandwidth_limit, max_live_transcodes, updated_at) VALUES (?, ?, ?, ?, ?, ?)`,
+        [maxResolution, bitrateLimit, totalBandwidthLimit, perUserBandwidthLimit, maxLiveTranscodes, new Date().toISOString()]
       );
     }
     
@@ -476,7 +490,8 @@ router.post('/settings', authenticateToken, requireAdmin, async (req, res) => {
       maxResolution: maxResolution || streamingSettings.maxResolution,
       bitrateLimit: bitrateLimit || streamingSettings.bitrateLimit,
       totalBandwidthLimit: totalBandwidthLimit || streamingSettings.totalBandwidthLimit,
-      perUserBandwidthLimit: perUserBandwidthLimit || streamingSettings.perUserBandwidthLimit
+      perUserBandwidthLimit: perUserBandwidthLimit || streamingSettings.perUserBandwidthLimit,
+      maxLiveTranscodes
     };
     
     res.json({
@@ -571,7 +586,7 @@ setInterval(() => {
 
 
 // GET /api/streaming/monthly-bandwidth - Get monthly bandwidth analytics
-router.get('/monthly-bandwidth', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/monthly-bandwidth', authenticateToken, requirePermission('view-analytics'), async (req, res) => {
   try {
     const currentPeriodData = await monthlyBandwidthService.getCurrentPeriodBandwidth();
     const serverHistory = await monthlyBandwidthService.getServerBandwidthHistory(6);
@@ -602,8 +617,8 @@ router.get('/monthly-bandwidth', authenticateToken, requireAdmin, async (req, re
   }
 });
 
-// GET /api/streaming/user-bandwidth/:userId - Get user's bandwidth history (admin only)
-router.get('/user-bandwidth/:userId', authenticateToken, requireAdmin, async (req, res) => {
+// GET /api/streaming/user-bandwidth/:userId - Get user's bandwidth history (view-analytics permission)
+router.get('/user-bandwidth/:userId', authenticateToken, requirePermission('view-analytics'), async (req, res) => {
   try {
     const { userId } = req.params;
     const userHistory = await monthlyBandwidthService.getUserBandwidthHistory(userId, 6);
@@ -650,8 +665,8 @@ router.get('/my-bandwidth', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /api/streaming/bandwidth-investigation - Get detailed bandwidth investigation data (admin only)
-router.get('/bandwidth-investigation', authenticateToken, requireAdmin, async (req, res) => {
+// GET /api/streaming/bandwidth-investigation - Get detailed bandwidth investigation data (view-analytics permission)
+router.get('/bandwidth-investigation', authenticateToken, requirePermission('view-analytics'), async (req, res) => {
   try {
     const { userId, periodType, period, periodEnd, limit = 50 } = req.query;
     
@@ -831,8 +846,8 @@ router.get('/bandwidth-investigation', authenticateToken, requireAdmin, async (r
   }
 });
 
-// GET /api/streaming/user-sessions/:userId - Get detailed sessions for a specific user (admin only)
-router.get('/user-sessions/:userId', authenticateToken, requireAdmin, async (req, res) => {
+// GET /api/streaming/user-sessions/:userId - Get detailed sessions for a specific user (view-analytics permission)
+router.get('/user-sessions/:userId', authenticateToken, requirePermission('view-analytics'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 100 } = req.query;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { sanitizeInput } = require('../middleware/security');
 
 // Get transcoding integration status
@@ -190,11 +190,14 @@ router.get('/quality-presets', authenticateToken, async (req, res) => {
       return res.status(503).json({ error: 'Quality presets service not available' });
     }
     
+    // Presets resolve to whichever encoder passed the probe on this server
+    const availableEncoders = await engine.transcoder.probeEncoders();
     const presets = engine.transcoder.getQualityPresets();
     
     res.json({
       success: true,
       presets,
+      availableEncoders: [...availableEncoders],
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -229,14 +232,9 @@ router.get('/test-gpu', authenticateToken, async (req, res) => {
   }
 });
 
-// Migrate existing jobs (admin only)
-router.post('/migrate-jobs', authenticateToken, async (req, res) => {
+// Migrate existing jobs (manage-transcoding permission)
+router.post('/migrate-jobs', authenticateToken, requirePermission('manage-transcoding'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-    
     const integration = global.transcodingIntegration;
     if (!integration) {
       return res.status(503).json({ error: 'Transcoding integration not available' });
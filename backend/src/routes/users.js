@@ -5,7 +5,11 @@ const fs = require('fs').promises;
 const crypto = require('crypto');
 const router = express.Router();
 const authService = require('../services/authService');
-const { authenticateToken } = require('../middleware/auth');
+const twoFactorService = require('../services/twoFactorService');
+const passkeyService = require('../services/passkeyService');
+const apiTokenService = require('../services/apiTokenService');
+const parentalControlService = require('../services/parentalControlService');
+const { authenticateToken, requireMainProfile } = require('../middleware/auth');
 const { sanitizeInput, sanitizeObject } = require('../middleware/security');
 const securityLogger = require('../middleware/securityLogger');
 
@@ -65,7 +69,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 });
 
 // PUT /api/users/profile - Update user profile
-router.put('/profile', authenticateToken, async (req, res) => {
+router.put('/profile', authenticateToken, requireMainProfile, async (req, res) => {
   try {
     // Sanitize input
     const profileData = sanitizeObject(req.body);
@@ -90,7 +94,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
 });
 
 // POST /api/users/initiate-password-change - Initiate password change (send email)
-router.post('/initiate-password-change', authenticateToken, async (req, res) => {
+router.post('/initiate-password-change', authenticateToken, requireMainProfile, async (req, res) => {
   try {
     const { currentPassword } = sanitizeObject(req.body);
     
@@ -358,8 +362,315 @@ router.get('/validate-reset-token/:token', async (req, res) => {
   }
 });
 
+// GET /api/users/2fa - Two-factor status for the current user
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.id);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get two-factor status'
+    });
+  }
+});
+
+// POST /api/users/2fa/setup - Start enrollment (returns secret and QR code)
+router.post('/2fa/setup', authenticateToken, requireMainProfile, async (req, res) => {
+  try {
+    const provisioning = await twoFactorService.beginSetup(req.user.id);
+    res.json({ success: true, ...provisioning });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// POST /api/users/2fa/enable - Confirm enrollment with a code from the authenticator
+router.post('/2fa/enable', authenticateToken, requireMainProfile, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Authentication code is required'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.enable(req.user.id, code);
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// POST /api/users/2fa/disable - Turn off 2FA (password plus a code or recovery code)
+router.post('/2fa/disable', authenticateToken, requireMainProfile, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password and an authentication or recovery code are required'
+      });
+    }
+
+    const result = await authService.disableTwoFactor(req.user.id, password, { code, recoveryCode });
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// POST /api/users/2fa/recovery-codes - Replace recovery codes
+router.post('/2fa/recovery-codes', authenticateToken, requireMainProfile, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Authentication code is required'
+      });
+    }
+
+    const recoveryCodes = await authService.regenerateRecoveryCodes(req.user.id, code);
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to regenerate recovery codes'
+    });
+  }
+});
+
+// GET /api/users/passkeys - List the current user's passkeys
+router.get('/passkeys', authenticateToken, async (req, res) => {
+  try {
+    const passkeys = await passkeyService.listPasskeys(req.user.id);
+    res.json({ success: true, passkeys });
+  } catch (error) {
+    console.error('Get passkeys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get passkeys'
+    });
+  }
+});
+
+// POST /api/users/passkeys/options - Start registering a passkey
+router.post('/passkeys/options', authenticateToken, requireMainProfile, async (req, res) => {
+  try {
+    const { options, challengeToken } = await passkeyService.getRegistrationOptions(req.user);
+    res.json({ success: true, options, challengeToken });
+  } catch (error) {
+    console.error('Passkey registration options error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start passkey registration'
+    });
+  }
+});
+
+// POST /api/users/passkeys - Finish registering a passkey
+router.post('/passkeys', authenticateToken, requireMainProfile, async (req, res) => {
+  try {
+    const { challengeToken, response, name } = req.body;
+    if (!challengeToken || !response) {
+      return res.status(400).json({
+        success: false,
+        error: 'Passkey response is required'
+      });
+    }
+
+    const result = await passkeyService.verifyRegistration(
+      req.user.id,
+      challengeToken,
+      response,
+      name,
+      req.get('User-Agent')
+    );
+
+    res.json({
+      success: true,
+      message: `Passkey "${result.name}" added`
+    });
+  } catch (error) {
+    console.error('Passkey registration error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to register passkey'
+    });
+  }
+});
+
+// DELETE /api/users/passkeys/:passkeyId - Remove a passkey
+router.delete('/passkeys/:passkeyId', authenticateToken, requireMainProfile, async (req, res) => {
+  try {
+    const result = await passkeyService.deletePasskey(req.user.id, req.params.passkeyId);
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    console.error('Delete passkey error:', error);
+    res.status(404).json({
+      success: false,
+      error: error.message || 'Failed to remove passkey'
+    });
+  }
+});
+
+// GET /api/users/api-tokens - List personal API tokens and the scopes the user can grant
+router.get('/api-tokens', authenticateToken, async (req, res) => {
+  try {
+    const tokens = await apiTokenService.listTokens(req.user.id);
+    res.json({
+      success: true,
+      tokens,
+      availableScopes: apiTokenService.availableScopes(req.user)
+    });
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get API tokens'
+    });
+  }
+});
+
+// POST /api/users/api-tokens - Create a personal API token (plaintext is only returned here)
+router.post('/api-tokens', authenticateToken, requireMainProfile, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const result = await apiTokenService.createToken(req.user, { name, scopes, expiresInDays });
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now, it will not be shown again.',
+      token: result.token,
+      apiToken: result.apiToken
+    });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to create API token'
+    });
+  }
+});
+
+// DELETE /api/users/api-tokens/:tokenId - Revoke a personal API token
+router.delete('/api-tokens/:tokenId', authenticateToken, requireMainProfile, async (req, res) => {
+  try {
+    const result = await apiTokenService.revokeToken(req.user.id, req.params.tokenId);
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(404).json({
+      success: false,
+      error: error.message || 'Failed to revoke API token'
+    });
+  }
+});
+
+// GET /api/users/parental-controls - Account limits, kids profile settings and the active profile
+router.get('/parental-controls', authenticateToken, async (req, res) => {
+  try {
+    const [settings, activeProfile] = await Promise.all([
+      parentalControlService.getSettings(req.user.id),
+      parentalControlService.getActiveProfile(req.sessionId)
+    ]);
+
+    res.json({
+      success: true,
+      settings,
+      activeProfile,
+      ratings: parentalControlService.listRatings()
+    });
+  } catch (error) {
+    console.error('Get parental controls error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get parental controls'
+    });
+  }
+});
+
+// PUT /api/users/kids-profile - Set up or change the PIN-protected kids profile
+router.put('/kids-profile', authenticateToken, requireMainProfile, async (req, res) => {
+  try {
+    const { pin, currentPin, maxRating, blockedTags } = req.body;
+    const settings = await parentalControlService.updateKidsProfile(req.user.id, { pin, currentPin, maxRating, blockedTags });
+
+    res.json({
+      success: true,
+      message: 'Kids profile saved',
+      settings
+    });
+  } catch (error) {
+    console.error('Update kids profile error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to save kids profile'
+    });
+  }
+});
+
+// DELETE /api/users/kids-profile - Turn the kids profile off (needs the PIN)
+router.delete('/kids-profile', authenticateToken, requireMainProfile, async (req, res) => {
+  try {
+    const settings = await parentalControlService.disableKidsProfile(req.user.id, req.body.pin);
+
+    res.json({
+      success: true,
+      message: 'Kids profile turned off',
+      settings
+    });
+  } catch (error) {
+    console.error('Disable kids profile error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to turn off kids profile'
+    });
+  }
+});
+
+// POST /api/users/profile/switch - Switch this session between the main and kids profiles
+router.post('/profile/switch', authenticateToken, async (req, res) => {
+  try {
+    const { profile, pin } = req.body;
+    const result = await parentalControlService.switchProfile(req.user.id, req.sessionId, profile, pin);
+
+    res.json({
+      success: true,
+      message: result.activeProfile === 'kids' ? 'Switched to the kids profile' : 'Switched to the main profile',
+      activeProfile: result.activeProfile
+    });
+  } catch (error) {
+    console.error('Switch profile error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to switch profile'
+    });
+  }
+});
+
 // POST /api/users/logout-all-devices - Logout from all devices
-router.post('/logout-all-devices', authenticateToken, async (req, res) => {
+router.post('/logout-all-devices', authenticateToken, requireMainProfile, async (req, res) => {
   try {
     const result = await authService.logoutAllDevices(req.user.id);
     
@@ -399,7 +710,7 @@ router.get('/sessions', authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/users/sessions/:sessionId - Logout specific session
-router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+router.delete('/sessions/:sessionId', authenticateToken, requireMainProfile, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const result = await authService.logoutSession(req.user.id, sessionId);
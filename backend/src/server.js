@@ -40,6 +40,7 @@ const authService = require('./services/authService');
 const { sanitizeInput } = require('./middleware/security');
 const HTTPSConfig = require('./config/https');
 const securityLogger = require('./middleware/securityLogger');
+const liveTranscoder = require('./services/transcoding/liveTranscoder');
 const path = require('path');
 const fs = require('fs').promises; // Added for serving static files
 
@@ -238,6 +239,7 @@ app.use('/api/streaming', require('./routes/stream')); // Add streaming path for
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/transcoding-v2', require('./routes/transcoding-v2'));
 app.use('/api/support', require('./routes/support'));
+app.use('/api/playlists', require('./routes/playlists'));
 
 // Test routes (for development and testing)
 app.use('/api/test', require('./routes/test'));
@@ -285,9 +287,20 @@ async function startServer() {
     // Create default admin user if none exists
     await authService.createDefaultAdmin();
     
+    // Load custom roles so permission checks don't wait on the first request
+    await require('./services/permissionService').ensureLoaded();
+    
     // Start indefinite invite renewal cron job
     authService.startIndefiniteInviteRenewal();
     
+    // Watch library folders that have watching enabled
+    require('./services/libraryScanner').startWatching();
+    
+    // Link TV episodes that predate the show/season/episode tables
+    require('./services/tvShowService').linkUnlinkedEpisodes().catch(error => {
+      console.error('❌ Failed to link TV episodes:', error.message);
+    });
+    
     // Create server (HTTP or HTTPS)
     const server = httpsConfig.createServer(app);
     const protocol = httpsConfig.httpsEnabled ? 'https' : 'http';
@@ -509,11 +522,13 @@ async function startServer() {
 
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
+  await liveTranscoder.stopAll();
   await database.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
+  await liveTranscoder.stopAll();
   await database.close();
   process.exit(0);
 });
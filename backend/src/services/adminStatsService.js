@@ -0,0 +1,127 @@
+const database = require('../utils/database');
+
+// Server-wide numbers for the admin dashboard, pulled from the library,
+// streaming sessions, transcoding jobs and accounts
+class AdminStatsService {
+  // Some tables only exist on one database backend (streaming_sessions is a
+  // PostgreSQL migration); a missing table shouldn't sink the whole summary
+  async safeQuery(sql, params = []) {
+    try {
+      return await database.query(sql, params);
+    } catch (error) {
+      console.error('❌ Stats query failed:', error.message);
+      return [];
+    }
+  }
+
+  toNumber(value) {
+    return parseFloat(value) || 0;
+  }
+
+  countBy(rows, key) {
+    return rows.reduce((counts, row) => {
+      counts[row[key] || 'unknown'] = parseInt(row.count) || 0;
+      return counts;
+    }, {});
+  }
+
+  async getMediaStats() {
+    const [totals, categories, statuses] = await Promise.all([
+      this.safeQuery(`
+        SELECT COUNT(*) as count, SUM(file_size) as total_size, SUM(views) as total_views,
+          SUM(CASE WHEN published = 1 THEN 1 ELSE 0 END) as published
+        FROM media_content
+      `),
+      this.safeQuery('SELECT category, COUNT(*) as count FROM media_content GROUP BY category'),
+      this.safeQuery('SELECT status, COUNT(*) as count FROM media_content GROUP BY status')
+    ]);
+
+    const total = totals[0] || {};
+    return {
+      total: parseInt(total.count) || 0,
+      published: parseInt(total.published) || 0,
+      totalSize: this.toNumber(total.total_size),
+      totalViews: parseInt(total.total_views) || 0,
+      byCategory: this.countBy(categories, 'category'),
+      byStatus: this.countBy(statuses, 'status')
+    };
+  }
+
+  async getStreamingStats() {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const [active, recent, totals] = await Promise.all([
+      this.safeQuery(
+        'SELECT COUNT(*) as count, SUM(bandwidth) as bandwidth FROM streaming_sessions WHERE status = ?',
+        ['active']
+      ),
+      this.safeQuery(
+        'SELECT COUNT(*) as count, COUNT(DISTINCT user_id) as users FROM streaming_sessions WHERE start_time >= ?',
+        [since]
+      ),
+      this.safeQuery('SELECT COUNT(*) as count, SUM(duration) as duration FROM streaming_sessions')
+    ]);
+
+    return {
+      active: parseInt(active[0]?.count) || 0,
+      activeBandwidth: this.toNumber(active[0]?.bandwidth),
+      last24Hours: parseInt(recent[0]?.count) || 0,
+      usersLast24Hours: parseInt(recent[0]?.users) || 0,
+      totalSessions: parseInt(totals[0]?.count) || 0,
+      totalWatchSeconds: this.toNumber(totals[0]?.duration)
+    };
+  }
+
+  async getTranscodingStats() {
+    const statuses = await this.safeQuery('SELECT status, COUNT(*) as count FROM transcoding_jobs GROUP BY status');
+    const byStatus = this.countBy(statuses, 'status');
+
+    return {
+      byStatus,
+      queued: (byStatus.queued || 0) + (byStatus.pending || 0),
+      active: (byStatus.processing || 0) + (byStatus.analyzing || 0) + (byStatus.transcoding || 0),
+      completed: byStatus.completed || 0,
+      failed: byStatus.failed || 0
+    };
+  }
+
+  async getUserStats() {
+    const [totals, roles] = await Promise.all([
+      this.safeQuery(`
+        SELECT COUNT(*) as count, SUM(CASE WHEN is_active THEN 1 ELSE 0 END) as active
+        FROM users
+      `),
+      this.safeQuery('SELECT role, COUNT(*) as count FROM users GROUP BY role')
+    ]);
+
+    return {
+      total: parseInt(totals[0]?.count) || 0,
+      active: parseInt(totals[0]?.active) || 0,
+      byRole: this.countBy(roles, 'role')
+    };
+  }
+
+  async getStats() {
+    const [media, streaming, transcoding, users] = await Promise.all([
+      this.getMediaStats(),
+      this.getStreamingStats(),
+      this.getTranscodingStats(),
+      this.getUserStats()
+    ]);
+
+    return {
+      media,
+      streaming,
+      transcoding,
+      users,
+      server: {
+        uptime: Math.round(process.uptime()),
+        memoryUsage: process.memoryUsage().rss,
+        nodeVersion: process.version,
+        databaseType: database.databaseType
+      },
+      generatedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new AdminStatsService();
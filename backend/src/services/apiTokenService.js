@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const database = require('../utils/database');
+const permissionService = require('./permissionService');
+
+const TOKEN_PREFIX = 'obs_';
+
+// Each scope lists the endpoints it unlocks and the permission needed to grant
+// it. API tokens can't reach anything that isn't listed here (account settings,
+// user management, token management).
+const SCOPES = {
+  'library:read': {
+    label: 'Read library',
+    description: 'Browse and search movies, TV shows and playlists',
+    permission: null,
+    routes: [
+      { methods: ['GET'], pattern: /^\/api\/content(\/|$)/ },
+      { methods: ['GET'], pattern: /^\/api\/media(\/|$)/ },
+      { methods: ['GET'], pattern: /^\/api\/playlists(\/|$)/ }
+    ]
+  },
+  stream: {
+    label: 'Stream',
+    description: 'Start streaming sessions, play media and report watch progress',
+    permission: null,
+    routes: [
+      { methods: ['GET'], pattern: /^\/api\/content\/[^/]+\/(stream|hls|live|subtitles|transcoded|audio-tracks)(\/|$)/ },
+      { methods: ['POST'], pattern: /^\/api\/content\/[^/]+\/playback$/ },
+      { methods: ['GET', 'POST', 'DELETE'], pattern: /^\/api\/content\/[^/]+\/watch-progress$/ },
+      { methods: ['GET', 'POST'], pattern: /^\/api\/(stream|streaming)\/session\// }
+    ]
+  },
+  upload: {
+    label: 'Upload',
+    description: 'Upload new media files',
+    permission: 'upload',
+    routes: [
+      { methods: ['POST', 'DELETE'], pattern: /^\/api\/upload\// },
+      { methods: ['POST'], pattern: /^\/api\/(content|media)\/upload$/ }
+    ]
+  },
+  'admin:transcoding': {
+    label: 'Admin: transcoding',
+    description: 'Trigger library scans and manage the transcoding queue',
+    permission: 'manage-transcoding',
+    routes: [
+      { methods: ['GET', 'POST', 'DELETE'], pattern: /^\/api\/storage\/transcod(ing|ed)(\/|$)/ },
+      { methods: ['GET', 'POST'], pattern: /^\/api\/transcoding-v2\// },
+      { methods: ['GET', 'POST'], pattern: /^\/api\/(admin\/)?media\/scan(\/status)?$/ }
+    ]
+  }
+};
+
+// Long-lived personal access tokens for scripts. Only a SHA-256 hash is stored;
+// the plaintext is shown once when the token is created.
+class ApiTokenService {
+  constructor() {
+    this.scopes = SCOPES;
+    this.maxTokensPerUser = 25;
+    this.maxNameLength = 64;
+    this.lastUsedThrottleMs = 60 * 1000; // Avoid a write on every request
+    // Narrow scopes first, so e.g. a stream URL needs "stream" rather than
+    // falling through to the broader library read routes
+    this.matchOrder = ['stream', 'upload', 'admin:transcoding', 'library:read'];
+  }
+
+  isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Scopes a user's permissions allow them to grant
+  availableScopes(user) {
+    const permissions = permissionService.userPermissions(user);
+    return Object.entries(this.scopes)
+      .filter(([, scope]) => !scope.permission || permissions.includes(scope.permission))
+      .map(([key, scope]) => ({ key, label: scope.label, description: scope.description }));
+  }
+
+  parseScopes(token) {
+    try {
+      return JSON.parse(token.scopes || '[]');
+    } catch (error) {
+      return [];
+    }
+  }
+
+  formatToken(token) {
+    return {
+      id: token.id,
+      name: token.name,
+      tokenPrefix: token.token_prefix,
+      scopes: this.parseScopes(token),
+      createdAt: token.created_at,
+      lastUsedAt: token.last_used_at,
+      lastUsedIp: token.last_used_ip,
+      expiresAt: token.expires_at
+    };
+  }
+
+  async listTokens(userId) {
+    const tokens = await database.query(
+      'SELECT * FROM api_tokens WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC',
+      [userId]
+    );
+    return tokens.map(token => this.formatToken(token));
+  }
+
+  async createToken(user, { name, scopes, expiresInDays }) {
+    const label = String(name || '').trim().slice(0, this.maxNameLength);
+    if (!label) {
+      throw new Error('Token name is required');
+    }
+
+    const requested = [...new Set(Array.isArray(scopes) ? scopes : [])];
+    if (requested.length === 0) {
+      throw new Error('Select at least one scope');
+    }
+
+    const allowed = this.availableScopes(user).map(scope => scope.key);
+    const invalid = requested.filter(scope => !allowed.includes(scope));
+    if (invalid.length > 0) {
+      throw new Error(`Your role can't grant: ${invalid.join(', ')}`);
+    }
+
+    const existing = await database.query(
+      'SELECT id FROM api_tokens WHERE user_id = ? AND revoked_at IS NULL',
+      [user.id]
+    );
+    if (existing.length >= this.maxTokensPerUser) {
+      throw new Error(`You can have at most ${this.maxTokensPerUser} active tokens`);
+    }
+
+    let expiresAt = null;
+    if (expiresInDays) {
+      const days = parseInt(expiresInDays);
+      if (!days || days < 1 || days > 3650) {
+        throw new Error('Expiry must be between 1 and 3650 days');
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const now = new Date().toISOString();
+
+    await database.insert(
+      `INSERT INTO api_tokens (user_id, name, token_prefix, token_hash, scopes, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [user.id, label, token.slice(0, 12), this.hash(token), JSON.stringify(requested), expiresAt, now]
+    );
+
+    const created = await database.query('SELECT * FROM api_tokens WHERE token_hash = ?', [this.hash(token)]);
+    return { token, apiToken: this.formatToken(created[0]) };
+  }
+
+  async revokeToken(userId, tokenId) {
+    const result = await database.update(
+      'UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), tokenId, userId]
+    );
+    if (!result || result.changes === 0) {
+      throw new Error('Token not found');
+    }
+    return { message: 'Token revoked' };
+  }
+
+  // Look up a presented token; returns the token row or null
+  async verifyToken(token, ipAddress = null) {
+    const tokens = await database.query(
+      'SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL',
+      [this.hash(token)]
+    );
+    const apiToken = tokens[0];
+    if (!apiToken) return null;
+    if (apiToken.expires_at && new Date(apiToken.expires_at) < new Date()) return null;
+
+    const lastUsed = apiToken.last_used_at ? new Date(apiToken.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed > this.lastUsedThrottleMs) {
+      await database.update(
+        'UPDATE api_tokens SET last_used_at = ?, last_used_ip = ? WHERE id = ?',
+        [new Date().toISOString(), ipAddress, apiToken.id]
+      );
+    }
+
+    return apiToken;
+  }
+
+  // The scope an endpoint needs, or null if API tokens can't use it at all
+  requiredScope(method, path) {
+    return this.matchOrder.find(key =>
+      this.scopes[key].routes.some(route => route.methods.includes(method) && route.pattern.test(path))
+    ) || null;
+  }
+
+  allows(apiToken, method, path) {
+    const scope = this.requiredScope(method, path);
+    return !!scope && this.parseScopes(apiToken).includes(scope);
+  }
+}
+
+module.exports = new ApiTokenService();
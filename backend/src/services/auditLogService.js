@@ -0,0 +1,163 @@
+const database = require('../utils/database');
+const securityLogger = require('../middleware/securityLogger');
+
+// Persistent record of administrative actions: who did what to which target,
+// the values before and after, and where the request came from. Entries are
+// only ever inserted; the table rejects updates and deletes.
+class AuditLogService {
+  constructor() {
+    this.maxPageSize = 200;
+    this.maxExportRows = 10000;
+    this.maxValueLength = 10000;
+    this.exportColumns = [
+      'id', 'created_at', 'actor_id', 'actor_username', 'action', 'target_type',
+      'target_id', 'target_label', 'before_value', 'after_value', 'ip_address', 'user_agent'
+    ];
+  }
+
+  serializeValue(value) {
+    if (value === undefined || value === null) return null;
+    const json = JSON.stringify(value);
+    return json.length > this.maxValueLength ? json.slice(0, this.maxValueLength) : json;
+  }
+
+  parseValue(value) {
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  // Write an entry. Failures are logged rather than thrown so an audit
+  // problem never undoes the action it describes.
+  async record(req, { action, targetType = null, targetId = null, targetLabel = null, before = null, after = null, actor = req?.user }) {
+    try {
+      await database.insert(
+        `INSERT INTO audit_log (actor_id, actor_username, action, target_type, target_id, target_label,
+           before_value, after_value, ip_address, user_agent, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          actor?.id || null,
+          actor?.username || null,
+          action,
+          targetType,
+          targetId === null || targetId === undefined ? null : String(targetId),
+          targetLabel,
+          this.serializeValue(before),
+          this.serializeValue(after),
+          req ? securityLogger.getClientIP(req) : null,
+          req?.get?.('User-Agent') || null,
+          new Date().toISOString()
+        ]
+      );
+    } catch (error) {
+      console.error(`❌ Failed to write audit log entry for ${action}:`, error.message);
+    }
+  }
+
+  formatEntry(row) {
+    return {
+      id: row.id,
+      createdAt: row.created_at,
+      actor: { id: row.actor_id, username: row.actor_username },
+      action: row.action,
+      target: { type: row.target_type, id: row.target_id, label: row.target_label },
+      before: this.parseValue(row.before_value),
+      after: this.parseValue(row.after_value),
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent
+    };
+  }
+
+  buildFilters({ action, actor, targetType, search, from, to } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+    if (actor) {
+      conditions.push('LOWER(actor_username) LIKE ?');
+      params.push(`%${String(actor).toLowerCase()}%`);
+    }
+    if (targetType) {
+      conditions.push('target_type = ?');
+      params.push(targetType);
+    }
+    if (search) {
+      const term = `%${String(search).toLowerCase()}%`;
+      conditions.push('(LOWER(target_label) LIKE ? OR LOWER(action) LIKE ? OR target_id = ? OR ip_address LIKE ?)');
+      params.push(term, term, String(search), term);
+    }
+    if (from) {
+      const fromDate = new Date(from);
+      if (isNaN(fromDate)) throw new Error('Invalid start date');
+      conditions.push('created_at >= ?');
+      params.push(fromDate.toISOString());
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (isNaN(toDate)) throw new Error('Invalid end date');
+      conditions.push('created_at <= ?');
+      params.push(toDate.toISOString());
+    }
+
+    return {
+      where: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  async list(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), this.maxPageSize);
+    const offset = Math.max(parseInt(filters.offset) || 0, 0);
+    const { where, params } = this.buildFilters(filters);
+
+    const [rows, count] = await Promise.all([
+      database.query(`SELECT * FROM audit_log${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]),
+      database.query(`SELECT COUNT(*) as count FROM audit_log${where}`, params)
+    ]);
+
+    return {
+      entries: rows.map(row => this.formatEntry(row)),
+      total: parseInt(count[0]?.count) || 0,
+      limit,
+      offset
+    };
+  }
+
+  // Values seen so far, for the filter dropdowns
+  async listFacets() {
+    const [actions, targetTypes] = await Promise.all([
+      database.query('SELECT DISTINCT action FROM audit_log ORDER BY action'),
+      database.query('SELECT DISTINCT target_type FROM audit_log WHERE target_type IS NOT NULL ORDER BY target_type')
+    ]);
+    return {
+      actions: actions.map(row => row.action),
+      targetTypes: targetTypes.map(row => row.target_type)
+    };
+  }
+
+  async exportRows(filters = {}) {
+    const { where, params } = this.buildFilters(filters);
+    return database.query(
+      `SELECT * FROM audit_log${where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [...params, this.maxExportRows]
+    );
+  }
+
+  toCsv(rows) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = rows.map(row => this.exportColumns.map(column => escape(row[column])).join(','));
+    return [this.exportColumns.join(','), ...lines].join('\n');
+  }
+}
+
+module.exports = new AuditLogService();
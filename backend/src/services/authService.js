@@ -5,6 +5,13 @@ const User = require('../models/User');
 const database = require('../utils/database');
 const emailService = require('./emailService');
 const sessionService = require('./sessionService');
+const twoFactorService = require('./twoFactorService');
+const passkeyService = require('./passkeyService');
+const deviceAuthService = require('./deviceAuthService');
+const permissionService = require('./permissionService');
+const librarySectionService = require('./librarySectionService');
+const auditLogService = require('./auditLogService');
+const loginProtectionService = require('./loginProtectionService');
 
 // Authentication service - no debug logs for security
 class AuthService {
@@ -27,11 +34,16 @@ class AuthService {
   }
 
   // Generate refresh token
-  generateRefreshToken(user) {
+  // Refresh tokens carry their session so revoking the session also stops
+  // refreshing, and the session's state (like the active profile) survives it
+  generateRefreshToken(user, sessionId = null) {
     const payload = {
       id: user.id,
       type: 'refresh'
     };
+    if (sessionId) {
+      payload.sessionId = sessionId;
+    }
 
     return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
       expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
@@ -42,16 +54,27 @@ class AuthService {
   // Verify JWT token
   verifyToken(token) {
     try {
-      return jwt.verify(token, process.env.JWT_SECRET);
+      return this.verifyAccessToken(token);
     } catch (error) {
       throw new Error('Invalid token');
     }
   }
 
+  // Access tokens carry neither a type claim nor an audience. 2FA and passkey
+  // challenges are signed with the same secret and carry both, and jwt.verify
+  // without an audience option accepts them, so they're rejected here.
+  verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type || decoded.aud) {
+      throw new Error('Not an access token');
+    }
+    return decoded;
+  }
+
   // Verify token and check if it's still valid (not invalidated by logout all devices)
   async verifyTokenWithUser(token) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = this.verifyAccessToken(token);
       
       // Get user data to check token version
       const userData = await this.findUserById(decoded.id);
@@ -205,6 +228,9 @@ class AuthService {
     // Mark invite as used
     await this.useInviteToken(verification.invite_token, result.id);
 
+    // Carry over any library access the invite was limited to
+    await librarySectionService.applyInviteAccess(result.id, invite);
+
     // Get the created user
     const newUser = await this.findUserById(result.id);
     const user = new User(newUser);
@@ -281,18 +307,105 @@ class AuthService {
       throw new Error('Please verify your email address before logging in');
     }
 
+    // Locked accounts are refused before the password is even checked
+    await loginProtectionService.assertNotLocked(userData);
+
     // Verify password
     const isValidPassword = await user.comparePassword(password);
     if (!isValidPassword) {
-      throw new Error('Invalid email or password');
+      const lockedError = await loginProtectionService.recordFailure(userData, req);
+      throw lockedError || new Error('Invalid email or password');
+    }
+
+    // Second step: an authenticator code, or enrollment when the role requires 2FA
+    if (user.two_factor_enabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallenge(user, 'verify')
+      };
+    }
+
+    if (await twoFactorService.isRequiredFor(user.role)) {
+      return {
+        twoFactorSetupRequired: true,
+        challengeToken: twoFactorService.createChallenge(user, 'setup')
+      };
     }
 
+    return this.createLoginSession(user, req);
+  }
+
+  // Passwordless login. A user-verified passkey proves both possession of a
+  // device and the biometric or PIN that unlocks it, so it stands in for both
+  // the password and the TOTP step.
+  async loginWithPasskey(challengeToken, response, req) {
+    const userId = await passkeyService.verifyAuthentication(challengeToken, response);
+
+    const userData = await this.findUserById(userId);
+    if (!userData) {
+      throw new Error('Invalid passkey');
+    }
+
+    const user = new User(userData);
+    if (!user.is_active) {
+      throw new Error('Account is disabled');
+    }
+
+    if (!user.email_verified && !user.is_admin) {
+      throw new Error('Please verify your email address before logging in');
+    }
+
+    await loginProtectionService.assertNotLocked(userData);
+
+    return this.createLoginSession(user, req);
+  }
+
+  // Device pairing: exchange an approved device code for tokens bound to a
+  // new session labelled with the device's name
+  async completeDeviceAuthorization(deviceCode, req) {
+    const request = await deviceAuthService.poll(deviceCode);
+
+    if (!(await deviceAuthService.consume(request))) {
+      const error = new Error('Device code has already been used');
+      error.code = 'invalid_grant';
+      throw error;
+    }
+
+    const userData = await this.findUserById(request.user_id);
+    if (!userData || !userData.is_active) {
+      const error = new Error('Account is not available');
+      error.code = 'access_denied';
+      throw error;
+    }
+
+    const user = new User(userData);
+    const sessionId = await sessionService.createDeviceSession(
+      user.id,
+      request.device_name,
+      deviceAuthService.deviceTypeLabel(request.client_type),
+      req
+    );
+    await deviceAuthService.attachSession(request, sessionId);
+
+    return {
+      user: user.toSafeObject(),
+      token: this.generateToken(user, sessionId),
+      refreshToken: this.generateRefreshToken(user, sessionId),
+      sessionId
+    };
+  }
+
+  // Issue a session and tokens once every login step has passed
+  async createLoginSession(user, req) {
+    // Reset failed attempts and check for a new device or location
+    await loginProtectionService.recordSuccess(await this.findUserById(user.id), req);
+
     // Create session
     const sessionId = await sessionService.createSession(user.id, req);
 
     // Generate tokens with session ID
     const token = this.generateToken(user, sessionId);
-    const refreshToken = this.generateRefreshToken(user);
+    const refreshToken = this.generateRefreshToken(user, sessionId);
 
     return {
       user: user.toSafeObject(),
@@ -302,6 +415,112 @@ class AuthService {
     };
   }
 
+  // Load the user behind a 2FA challenge, rejecting it if the account changed since
+  async getChallengeUser(challengeToken, purpose) {
+    const challenge = twoFactorService.verifyChallenge(challengeToken, purpose);
+    const userData = await this.findUserById(challenge.id);
+    if (!userData) {
+      throw new Error('User not found');
+    }
+
+    const user = new User(userData);
+    if (!user.is_active) {
+      throw new Error('Account is disabled');
+    }
+    if ((user.token_version || null) !== challenge.tokenVersion) {
+      throw new Error('Your sign-in attempt has expired. Please sign in again.');
+    }
+    return user;
+  }
+
+  // Login step 2: authenticator or recovery code
+  async completeTwoFactorLogin(challengeToken, { code, recoveryCode }, req) {
+    const user = await this.getChallengeUser(challengeToken, 'verify');
+    const userData = await this.findUserById(user.id);
+    await loginProtectionService.assertNotLocked(userData);
+
+    const verified = await twoFactorService.verify(user.id, { code, recoveryCode });
+    if (!verified) {
+      const lockedError = await loginProtectionService.recordFailure(userData, req);
+      throw lockedError || new Error(recoveryCode ? 'Invalid or already used recovery code' : 'Invalid authentication code');
+    }
+
+    const result = await this.createLoginSession(user, req);
+    return { ...result, twoFactorMethod: verified.method };
+  }
+
+  // Login step 2 for users whose role requires 2FA but who haven't enrolled yet
+  async beginTwoFactorSetupFromChallenge(challengeToken) {
+    const user = await this.getChallengeUser(challengeToken, 'setup');
+    return twoFactorService.beginSetup(user.id);
+  }
+
+  async completeTwoFactorSetupFromChallenge(challengeToken, code, req) {
+    const user = await this.getChallengeUser(challengeToken, 'setup');
+    const recoveryCodes = await twoFactorService.enable(user.id, code);
+
+    const refreshed = new User(await this.findUserById(user.id));
+    const result = await this.createLoginSession(refreshed, req);
+    return { ...result, recoveryCodes };
+  }
+
+  // Turning 2FA off needs the password and a current code
+  async disableTwoFactor(userId, password, { code, recoveryCode }) {
+    const userData = await this.findUserById(userId);
+    if (!userData) {
+      throw new Error('User not found');
+    }
+
+    const user = new User(userData);
+    if (!password || !(await user.comparePassword(password))) {
+      throw new Error('Password is incorrect');
+    }
+    if (await twoFactorService.isRequiredFor(user.role)) {
+      throw new Error('Two-factor authentication is required for your role');
+    }
+    if (!(await twoFactorService.verify(userId, { code, recoveryCode }))) {
+      throw new Error('Invalid authentication code');
+    }
+
+    await twoFactorService.disable(userId);
+    return { message: 'Two-factor authentication disabled' };
+  }
+
+  async regenerateRecoveryCodes(userId, code) {
+    const userData = await this.findUserById(userId);
+    if (!userData || !userData.two_factor_enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+    if (!(await twoFactorService.verify(userId, { code }))) {
+      throw new Error('Invalid authentication code');
+    }
+
+    return twoFactorService.generateRecoveryCodes(userId);
+  }
+
+  // Emailed reset: confirm the password, then turn 2FA off and sign out everywhere
+  async completeTwoFactorReset(token, password) {
+    const reset = await twoFactorService.findReset(token);
+    if (!reset) {
+      throw new Error('Invalid or expired two-factor reset link');
+    }
+
+    const userData = await this.findUserById(reset.user_id);
+    if (!userData) {
+      throw new Error('User not found');
+    }
+
+    const user = new User(userData);
+    if (!password || !(await user.comparePassword(password))) {
+      throw new Error('Password is incorrect');
+    }
+
+    await twoFactorService.completeReset(reset);
+    await this.logoutAllDevices(user.id);
+
+    return { message: 'Two-factor authentication has been turned off. Please sign in and set it up again.' };
+  }
+
   // Find user by ID
   async findUserById(id) {
     const sql = 'SELECT * FROM users WHERE id = ?';
@@ -391,14 +610,29 @@ class AuthService {
 
       const user = new User(userData);
       
-      // Create a session if request is provided (for tokens without sessions)
+      // Keep the session the refresh token was issued for; paired devices
+      // get their longer expiry pushed back
+      if (payload.sessionId) {
+        const session = await sessionService.getSessionById(payload.sessionId);
+        if (!session || session.user_id !== user.id) {
+          throw new Error('Session has been invalidated');
+        }
+        await sessionService.extendSession(payload.sessionId, session.device_name ? 90 : 7);
+
+        return {
+          token: this.generateToken(user, payload.sessionId),
+          refreshToken: this.generateRefreshToken(user, payload.sessionId)
+        };
+      }
+      
+      // Older refresh tokens carry no session; create one if request is provided
       let sessionId = null;
       if (req) {
         sessionId = await sessionService.createSession(user.id, req);
       }
       
       const newToken = this.generateToken(user, sessionId);
-      const newRefreshToken = this.generateRefreshToken(user);
+      const newRefreshToken = this.generateRefreshToken(user, sessionId);
 
       return {
         token: newToken,
@@ -416,8 +650,10 @@ class AuthService {
     return crypto.randomBytes(32).toString('hex');
   }
 
-  // Create invite token
-  async createInviteToken(createdBy, expiresInDays = 7, maxUses = 1, isIndefinite = false) {
+  // Create invite token. librarySectionIds limits the new account to those
+  // libraries; null leaves it with access to all of them.
+  async createInviteToken(createdBy, expiresInDays = 7, maxUses = 1, isIndefinite = false, librarySectionIds = null) {
+    const sectionIds = librarySectionIds ? await librarySectionService.normalizeSectionIds(librarySectionIds) : null;
     const token = this.generateInviteToken();
     const expiresAt = new Date();
     
@@ -434,7 +670,8 @@ class AuthService {
       created_by: createdBy,
       expires_at: expiresAt.toISOString(),
       max_uses: maxUses,
-      is_indefinite: isIndefinite
+      is_indefinite: isIndefinite,
+      library_section_ids: sectionIds ? JSON.stringify(sectionIds) : null
     });
 
     return {
@@ -442,7 +679,8 @@ class AuthService {
       expires_at: expiresAt.toISOString(),
       max_uses: maxUses,
       current_uses: 0,
-      is_indefinite: isIndefinite
+      is_indefinite: isIndefinite,
+      library_section_ids: sectionIds
     };
   }
 
@@ -476,7 +714,7 @@ class AuthService {
 
   // Get all invite tokens
   async getAllInviteTokens() {
-    return await database.knex('invite_tokens as it')
+    const invites = await database.knex('invite_tokens as it')
       .select([
         'it.*',
         'creator.username as created_by_username',
@@ -487,6 +725,11 @@ class AuthService {
       .leftJoin('users as creator', 'it.created_by', 'creator.id')
       .leftJoin('users as user', 'it.used_by', 'user.id')
       .orderBy('it.created_at', 'desc');
+
+    return invites.map(invite => ({
+      ...invite,
+      library_section_ids: librarySectionService.parseSectionIds(invite.library_section_ids)
+    }));
   }
 
   // Delete invite token
@@ -591,8 +834,87 @@ This invitation was sent by ${senderName}. If you didn't expect this invitation,
     return users.map(userData => new User(userData));
   }
 
-  // Delete user
-  async deleteUser(userId) {
+  // Search users by name or email, optionally by role and active status
+  async searchUsers({ search, role, status, limit, offset } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (search) {
+      const term = `%${String(search).toLowerCase()}%`;
+      conditions.push('(LOWER(username) LIKE ? OR LOWER(email) LIKE ? OR LOWER(display_name) LIKE ?)');
+      params.push(term, term, term);
+    }
+    if (role) {
+      conditions.push('role = ?');
+      params.push(role);
+    }
+    if (status === 'active' || status === 'inactive') {
+      conditions.push(status === 'active' ? 'is_active = ?' : 'is_active <> ?');
+      params.push(true);
+    }
+
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const skip = Math.max(parseInt(offset) || 0, 0);
+
+    const [users, count] = await Promise.all([
+      database.query(`SELECT * FROM users${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`, [...params, pageSize, skip]),
+      database.query(`SELECT COUNT(*) as count FROM users${where}`, params)
+    ]);
+
+    return {
+      users: users.map(userData => ({
+        ...new User(userData).toSafeObject(),
+        locked_until: loginProtectionService.isLocked(userData) ? userData.locked_until : null
+      })),
+      total: parseInt(count[0]?.count) || 0,
+      limit: pageSize,
+      offset: skip
+    };
+  }
+
+  // Activate or deactivate an account. Deactivated accounts are signed out
+  // everywhere; authenticateToken rejects them on their next request.
+  async setUserActive(userId, isActive, req = null) {
+    const userData = await this.findUserById(userId);
+    if (!userData) {
+      throw new Error('User not found');
+    }
+
+    if (!isActive && (userData.role === 'admin' || userData.is_admin) && userData.is_active) {
+      const admins = await database.query(
+        "SELECT COUNT(*) as count FROM users WHERE (role = 'admin' OR is_admin = ?) AND is_active = ?",
+        [true, true]
+      );
+      if ((parseInt(admins[0]?.count) || 0) <= 1) {
+        throw new Error('Cannot deactivate the last active administrator');
+      }
+    }
+
+    await database.update(
+      'UPDATE users SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [!!isActive, userId]
+    );
+    if (!isActive) {
+      await sessionService.deactivateAllUserSessions(userId);
+    }
+
+    if (!!userData.is_active !== !!isActive) {
+      await auditLogService.record(req, {
+        action: isActive ? 'user.activate' : 'user.deactivate',
+        targetType: 'user',
+        targetId: userId,
+        targetLabel: userData.username,
+        before: { isActive: !!userData.is_active },
+        after: { isActive: !!isActive }
+      });
+    }
+
+    return new User(await this.findUserById(userId));
+  }
+
+  // Delete user. Pass the request to record who deleted the account.
+  async deleteUser(userId, req = null) {
     // Get user info before deletion for logging
     const userData = await this.findUserById(userId);
     if (!userData) {
@@ -656,7 +978,26 @@ This invitation was sent by ${senderName}. If you didn't expect this invitation,
       const watchHistoryDeleted = await database.knex('watch_history').where('user_id', userId).del();
       console.log(`   ✅ Deleted ${watchHistoryDeleted} watch history records`);
       
-      // 10. Finally, delete the user (this will free up the username)
+      // 10. Clean up watched flags
+      const watchedItemsDeleted = await database.knex('watched_items').where('user_id', userId).del();
+      console.log(`   ✅ Deleted ${watchedItemsDeleted} watched flags`);
+      
+      // 11. Clean up two-factor recovery codes and reset links
+      const recoveryCodesDeleted = await database.knex('two_factor_recovery_codes').where('user_id', userId).del();
+      await database.knex('two_factor_resets').where('user_id', userId).del();
+      console.log(`   ✅ Deleted ${recoveryCodesDeleted} two-factor recovery codes`);
+      
+      const passkeysDeleted = await database.knex('passkeys').where('user_id', userId).del();
+      console.log(`   ✅ Deleted ${passkeysDeleted} passkeys`);
+      await database.knex('device_codes').where('user_id', userId).del();
+      
+      const apiTokensDeleted = await database.knex('api_tokens').where('user_id', userId).del();
+      console.log(`   ✅ Deleted ${apiTokensDeleted} API tokens`);
+      await database.knex('parental_controls').where('user_id', userId).del();
+      await database.knex('library_section_grants').where('user_id', userId).del();
+      await database.knex('known_login_devices').where('user_id', userId).del();
+      
+      // 12. Finally, delete the user (this will free up the username)
       const result = await database.knex('users').where('id', userId).del();
       
       if (result === 0) {
@@ -664,6 +1005,14 @@ This invitation was sent by ${senderName}. If you didn't expect this invitation,
       }
       
       console.log(`   ✅ Deleted user record. Username "${userData.username}" is now available for reuse.`);
+
+      await auditLogService.record(req, {
+        action: req?.user && parseInt(req.user.id) === parseInt(userId) ? 'user.self_delete' : 'user.delete',
+        targetType: 'user',
+        targetId: userId,
+        targetLabel: userData.username,
+        before: { username: userData.username, email: userData.email, role: userData.role }
+      });
       
       // Log the account deletion
       const securityLogger = require('../middleware/securityLogger');
@@ -692,8 +1041,9 @@ This invitation was sent by ${senderName}. If you didn't expect this invitation,
   }
 
   // Update user admin status (legacy method - kept for backward compatibility)
-  async updateUserAdminStatus(userId, isAdmin) {
+  async updateUserAdminStatus(userId, isAdmin, req = null) {
     const role = isAdmin ? 'admin' : 'user';
+    const previous = await this.findUserById(userId);
     const sql = 'UPDATE users SET is_admin = ?, role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
     const result = await database.update(sql, [isAdmin ? 1 : 0, role, userId]);
     
@@ -702,15 +1052,24 @@ This invitation was sent by ${senderName}. If you didn't expect this invitation,
     }
     
     const userData = await this.findUserById(userId);
+    await auditLogService.record(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: userId,
+      targetLabel: userData.username,
+      before: { role: previous?.role },
+      after: { role }
+    });
     return new User(userData);
   }
 
   // Update user role
-  async updateUserRole(userId, newRole, adminUserId) {
+  async updateUserRole(userId, newRole, adminUserId, req = null) {
+    await permissionService.ensureLoaded();
+
     // Validate role
-    const validRoles = ['admin', 'manager', 'user'];
-    if (!validRoles.includes(newRole)) {
-      throw new Error('Invalid role. Must be admin, manager, or user');
+    if (!permissionService.roleExists(newRole)) {
+      throw new Error('Invalid role');
     }
 
     // Get the user being updated
@@ -721,15 +1080,18 @@ This invitation was sent by ${senderName}. If you didn't expect this invitation,
 
     // Get the admin making the change
     const adminUser = await this.findUserById(adminUserId);
-    if (!adminUser || (adminUser.role !== 'admin' && !adminUser.is_admin)) {
-      throw new Error('Only administrators can change user roles');
+    if (!adminUser || !permissionService.userHas(adminUser, 'manage-users')) {
+      throw new Error('You don\'t have permission to change user roles');
     }
 
-    // Prevent admin from demoting themselves
-    if (parseInt(userId) === parseInt(adminUserId) && newRole !== 'admin') {
-      throw new Error('Cannot remove your own admin privileges');
+    // Prevent users from changing their own role
+    if (parseInt(userId) === parseInt(adminUserId) && newRole !== targetUser.role) {
+      throw new Error('You can\'t change your own role');
     }
 
+    // Roles can only be handed out (or taken away) by someone who holds their permissions
+    permissionService.assertCanAssignRole(adminUser, targetUser, newRole);
+
     // Update role and is_admin flag for backward compatibility
     const isAdmin = newRole === 'admin' ? 1 : 0;
     const sql = 'UPDATE users SET role = ?, is_admin = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
@@ -739,6 +1101,17 @@ This invitation was sent by ${senderName}. If you didn't expect this invitation,
     if (result.changes === 0) {
       throw new Error('User not found');
     }
+
+    if (newRole !== targetUser.role) {
+      await auditLogService.record(req, {
+        action: 'user.role_change',
+        targetType: 'user',
+        targetId: userId,
+        targetLabel: targetUser.username,
+        before: { role: targetUser.role },
+        after: { role: newRole }
+      });
+    }
     
     const userData = await this.findUserById(userId);
     return new User(userData);
@@ -825,6 +1198,9 @@ This invitation was sent by ${senderName}. If you didn't expect this invitation,
         const cleanedCount = await this.cleanupExpiredVerifications();
         if (cleanedCount > 0) {
         }
+
+        // And stale device pairing codes
+        await deviceAuthService.cleanupExpired();
       } catch (error) {
         console.error('Error in maintenance tasks:', error);
       }
@@ -908,6 +1284,16 @@ This invitation was sent by ${senderName}. If you didn't expect this invitation,
       updateValues.push(profileData.profile_picture);
     }
 
+    if (profileData.preferred_audio_language !== undefined) {
+      updateFields.push('preferred_audio_language = ?');
+      updateValues.push(profileData.preferred_audio_language ? profileData.preferred_audio_language.toLowerCase() : null);
+    }
+
+    if (profileData.preferred_subtitle_language !== undefined) {
+      updateFields.push('preferred_subtitle_language = ?');
+      updateValues.push(profileData.preferred_subtitle_language ? profileData.preferred_subtitle_language.toLowerCase() : null);
+    }
+
     updateFields.push('updated_at = CURRENT_TIMESTAMP');
     updateValues.push(userId);
 
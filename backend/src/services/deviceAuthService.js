@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const database = require('../utils/database');
+
+// Consonants only, so codes can't spell words or be misread on a TV screen
+const USER_CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ';
+
+// OAuth 2.0 device authorization grant (RFC 8628). A TV asks for a code,
+// the user approves it on the web app, and the TV polls until it gets tokens.
+class DeviceAuthService {
+  constructor() {
+    this.codeExpiryMinutes = 10;
+    this.pollInterval = 5; // Seconds between polls
+    this.userCodeLength = 8;
+    this.maxDeviceNameLength = 64;
+    this.clientTypes = {
+      roku: 'Roku',
+      tv: 'TV',
+      console: 'Game Console',
+      other: 'Device'
+    };
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  generateUserCode() {
+    const bytes = crypto.randomBytes(this.userCodeLength);
+    let code = '';
+    for (const byte of bytes) {
+      code += USER_CODE_ALPHABET[byte % USER_CODE_ALPHABET.length];
+    }
+    return code;
+  }
+
+  // Accepts "bcdf-ghjk", "BCDF GHJK" etc.
+  normalizeUserCode(userCode) {
+    return String(userCode || '').toUpperCase().replace(/[^A-Z]/g, '');
+  }
+
+  formatUserCode(userCode) {
+    const half = this.userCodeLength / 2;
+    return `${userCode.slice(0, half)}-${userCode.slice(half)}`;
+  }
+
+  deviceTypeLabel(clientType) {
+    return this.clientTypes[clientType] || this.clientTypes.other;
+  }
+
+  isExpired(request) {
+    return new Date(request.expires_at) < new Date();
+  }
+
+  async requestCode(deviceName, clientType) {
+    const name = String(deviceName || '').trim().slice(0, this.maxDeviceNameLength);
+    if (!name) {
+      throw new Error('Device name is required');
+    }
+
+    const deviceCode = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.codeExpiryMinutes * 60 * 1000);
+
+    // Retry on the (unlikely) chance of a user code collision
+    let userCode;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const candidate = this.generateUserCode();
+      const existing = await database.query('SELECT id FROM device_codes WHERE user_code = ?', [candidate]);
+      if (existing.length === 0) {
+        userCode = candidate;
+        break;
+      }
+    }
+    if (!userCode) {
+      throw new Error('Could not generate a pairing code. Please try again.');
+    }
+
+    await database.insert(
+      `INSERT INTO device_codes (device_code_hash, user_code, device_name, client_type, status, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        this.hash(deviceCode),
+        userCode,
+        name,
+        this.clientTypes[clientType] ? clientType : 'other',
+        'pending',
+        expiresAt.toISOString(),
+        new Date().toISOString()
+      ]
+    );
+
+    const verificationUri = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/activate`;
+    return {
+      deviceCode,
+      userCode: this.formatUserCode(userCode),
+      verificationUri,
+      verificationUriComplete: `${verificationUri}?code=${this.formatUserCode(userCode)}`,
+      expiresIn: this.codeExpiryMinutes * 60,
+      interval: this.pollInterval
+    };
+  }
+
+  // Pending request behind a user code, for the approval page
+  async findPendingByUserCode(userCode) {
+    const requests = await database.query(
+      'SELECT * FROM device_codes WHERE user_code = ? AND status = ?',
+      [this.normalizeUserCode(userCode), 'pending']
+    );
+    const request = requests[0];
+    if (!request || this.isExpired(request)) return null;
+    return request;
+  }
+
+  async getPendingRequest(userCode) {
+    const request = await this.findPendingByUserCode(userCode);
+    if (!request) {
+      throw new Error('This code is invalid or has expired. Check the code on your TV and try again.');
+    }
+
+    return {
+      userCode: this.formatUserCode(request.user_code),
+      deviceName: request.device_name,
+      deviceType: this.deviceTypeLabel(request.client_type),
+      expiresAt: request.expires_at
+    };
+  }
+
+  async approve(userCode, userId) {
+    const request = await this.findPendingByUserCode(userCode);
+    if (!request) {
+      throw new Error('This code is invalid or has expired. Check the code on your TV and try again.');
+    }
+
+    await database.update(
+      'UPDATE device_codes SET status = ?, user_id = ?, approved_at = ? WHERE id = ?',
+      ['approved', userId, new Date().toISOString(), request.id]
+    );
+    return { deviceName: request.device_name };
+  }
+
+  async deny(userCode, userId) {
+    const request = await this.findPendingByUserCode(userCode);
+    if (!request) {
+      throw new Error('This code is invalid or has expired.');
+    }
+
+    await database.update(
+      'UPDATE device_codes SET status = ?, user_id = ? WHERE id = ?',
+      ['denied', userId, request.id]
+    );
+    return { deviceName: request.device_name };
+  }
+
+  // Poll from the device. Returns the approved request, or throws with an
+  // RFC 8628 error code the device understands.
+  async poll(deviceCode) {
+    const requests = await database.query(
+      'SELECT * FROM device_codes WHERE device_code_hash = ?',
+      [this.hash(deviceCode || '')]
+    );
+    const request = requests[0];
+
+    const fail = (code, message) => {
+      const error = new Error(message);
+      error.code = code;
+      throw error;
+    };
+
+    if (!request || request.status === 'consumed') {
+      fail('invalid_grant', 'Unknown or already used device code');
+    }
+    if (this.isExpired(request)) {
+      fail('expired_token', 'The pairing code has expired');
+    }
+    if (request.status === 'denied') {
+      fail('access_denied', 'The request was denied');
+    }
+
+    const now = new Date();
+    const lastPolled = request.last_polled_at ? new Date(request.last_polled_at) : null;
+    await database.update('UPDATE device_codes SET last_polled_at = ? WHERE id = ?', [now.toISOString(), request.id]);
+
+    if (request.status === 'pending') {
+      if (lastPolled && now - lastPolled < this.pollInterval * 1000) {
+        fail('slow_down', 'Polling too frequently');
+      }
+      fail('authorization_pending', 'Waiting for approval');
+    }
+
+    return request;
+  }
+
+  // Claim an approved request so only one poll can turn it into tokens
+  async consume(request) {
+    const result = await database.update(
+      'UPDATE device_codes SET status = ? WHERE id = ? AND status = ?',
+      ['consumed', request.id, 'approved']
+    );
+    return !!result && result.changes > 0;
+  }
+
+  async attachSession(request, sessionId) {
+    await database.update('UPDATE device_codes SET session_id = ? WHERE id = ?', [sessionId, request.id]);
+  }
+
+  async cleanupExpired() {
+    await database.delete(
+      'DELETE FROM device_codes WHERE expires_at < ?',
+      [new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()]
+    );
+  }
+}
+
+module.exports = new DeviceAuthService();
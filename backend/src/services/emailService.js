@@ -317,6 +317,157 @@ class EmailService {
       };
     }
   }
+
+  // Send two-factor reset email (lost authenticator and recovery codes)
+  async sendTwoFactorResetEmail(email, resetToken, username) {
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-two-factor?token=${resetToken}`;
+    
+    const mailOptions = {
+      from: '"Warden of Obselis" <warden@archiveofobselis.com>',
+      to: email,
+      subject: 'Two-Factor Authentication Reset - Archive of Obselis',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+          <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+            <div style="text-align: center; margin-bottom: 30px;">
+              <h1 style="color: #333; margin: 0;">🛡️ Two-Factor Reset</h1>
+              <p style="color: #666; margin: 10px 0 0 0;">Archive of Obselis</p>
+            </div>
+            
+            <div style="margin-bottom: 30px;">
+              <p style="color: #333; font-size: 16px; line-height: 1.5; margin: 0 0 15px 0;">
+                Hello <strong>${username}</strong>,
+              </p>
+              <p style="color: #333; font-size: 16px; line-height: 1.5; margin: 0 0 15px 0;">
+                We received a request to turn off two-factor authentication for your Archive of Obselis account because the authenticator app and recovery codes are no longer available.
+              </p>
+              <p style="color: #333; font-size: 16px; line-height: 1.5; margin: 0 0 25px 0;">
+                To continue, click the button below and confirm your password:
+              </p>
+            </div>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${resetUrl}" 
+                 style="display: inline-block; background-color: #007bff; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 16px;">
+                Reset Two-Factor Authentication
+              </a>
+            </div>
+            
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="color: #666; font-size: 14px; line-height: 1.5; margin: 0 0 10px 0;">
+                If the button doesn't work, copy and paste this link into your browser:
+              </p>
+              <p style="color: #007bff; font-size: 14px; word-break: break-all; margin: 0 0 15px 0;">
+                ${resetUrl}
+              </p>
+              <p style="color: #666; font-size: 14px; line-height: 1.5; margin: 0 0 15px 0;">
+                This link will expire in 1 hour for security reasons.
+              </p>
+              <p style="color: #e74c3c; font-size: 14px; line-height: 1.5; margin: 0;">
+                <strong>Important:</strong> If you didn't request this, someone may know your password. Ignore this email and change your password immediately.
+              </p>
+            </div>
+            
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; text-align: center;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                This is an automated message from Archive of Obselis. Please do not reply to this email.
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      
+      return {
+        success: true,
+        messageId: info.messageId,
+        previewUrl: nodemailer.getTestMessageUrl(info)
+      };
+    } catch (error) {
+      console.error('❌ Failed to send two-factor reset email:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Alert a user that their account was signed in from a new device or address
+  async sendNewLoginAlertEmail(email, username, { device, browser, ipAddress, time, newDevice, newAddress }) {
+    const accountUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/profile`;
+    const what = newDevice && newAddress ? 'a new device and location' : newDevice ? 'a new device' : 'a new location';
+    
+    const mailOptions = {
+      from: '"Warden of Obselis" <warden@archiveofobselis.com>',
+      to: email,
+      subject: 'New Sign-In to Your Account - Archive of Obselis',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+          <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+            <div style="text-align: center; margin-bottom: 30px;">
+              <h1 style="color: #333; margin: 0;">🔔 New Sign-In</h1>
+              <p style="color: #666; margin: 10px 0 0 0;">Archive of Obselis</p>
+            </div>
+            
+            <div style="margin-bottom: 30px;">
+              <p style="color: #333; font-size: 16px; line-height: 1.5; margin: 0 0 15px 0;">
+                Hello <strong>${username}</strong>,
+              </p>
+              <p style="color: #333; font-size: 16px; line-height: 1.5; margin: 0 0 15px 0;">
+                Your Archive of Obselis account was just signed in to from ${what}:
+              </p>
+              <table style="width: 100%; color: #333; font-size: 14px; border-collapse: collapse;">
+                <tr><td style="padding: 6px 0; color: #666;">Device</td><td style="padding: 6px 0;">${device} · ${browser}</td></tr>
+                <tr><td style="padding: 6px 0; color: #666;">IP address</td><td style="padding: 6px 0;">${ipAddress}</td></tr>
+                <tr><td style="padding: 6px 0; color: #666;">Time</td><td style="padding: 6px 0;">${new Date(time).toUTCString()}</td></tr>
+              </table>
+            </div>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${accountUrl}" 
+                 style="display: inline-block; background-color: #007bff; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 16px;">
+                Review Active Sessions
+              </a>
+            </div>
+            
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="color: #666; font-size: 14px; line-height: 1.5; margin: 0 0 15px 0;">
+                If this was you, there's nothing else to do.
+              </p>
+              <p style="color: #e74c3c; font-size: 14px; line-height: 1.5; margin: 0;">
+                <strong>Important:</strong> If you don't recognize this sign-in, sign out of that session and change your password immediately.
+              </p>
+            </div>
+            
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; text-align: center;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                This is an automated message from Archive of Obselis. Please do not reply to this email.
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      
+      return {
+        success: true,
+        messageId: info.messageId,
+        previewUrl: nodemailer.getTestMessageUrl(info)
+      };
+    } catch (error) {
+      console.error('❌ Failed to send new sign-in alert email:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
 }
 
 module.exports = new EmailService();
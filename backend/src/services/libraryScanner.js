@@ -0,0 +1,539 @@
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const crypto = require('crypto');
+const mime = require('mime-types');
+const database = require('../utils/database');
+const mediaService = require('./mediaService');
+const librarySectionService = require('./librarySectionService');
+const transcodingProfileService = require('./transcodingProfileService');
+
+// Same video formats accepted by /api/content/upload
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.mov', '.wmv', '.flv', '.webm', '.m4v', '.3gp', '.ogv', '.ts', '.mts', '.m2ts'];
+
+class LibraryScanner {
+  constructor() {
+    this.isScanning = false;
+    this.lastScan = null;
+    this.watchers = new Map(); // folderId -> { watcher, poller, pollReason, timer }
+
+    // Files modified more recently than this are probably still being copied
+    this.minFileAgeMs = 30 * 1000;
+    this.watchDebounceMs = 10 * 1000;
+    // Rescan interval for folders that can't be watched
+    this.watchPollMs = 5 * 60 * 1000;
+
+    // Bytes hashed from the start, middle and end of each file
+    this.checksumSampleSize = 4 * 1024 * 1024;
+  }
+
+  // Library folder management
+
+  async getFolders() {
+    return await database.query('SELECT * FROM library_folders ORDER BY path');
+  }
+
+  async getFolder(folderId) {
+    const folders = await database.query('SELECT * FROM library_folders WHERE id = ?', [folderId]);
+    return folders[0] || null;
+  }
+
+  async addFolder({ folderPath, name, category = 'auto', watch = false, sectionId = null }, userId) {
+    if (!folderPath) {
+      throw new Error('Folder path is required');
+    }
+
+    const resolvedPath = path.resolve(folderPath);
+    const stats = await fs.stat(resolvedPath).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error('Folder does not exist or is not a directory');
+    }
+
+    if (!['auto', 'movie', 'tv-show'].includes(category)) {
+      throw new Error('Category must be auto, movie or tv-show');
+    }
+
+    const existing = await database.query('SELECT id FROM library_folders WHERE path = ?', [resolvedPath]);
+    if (existing.length > 0) {
+      throw new Error('Folder is already part of the library');
+    }
+
+    await this.assertSectionExists(sectionId);
+
+    const result = await database.insert(
+      'INSERT INTO library_folders (path, name, category, watch, enabled, section_id, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [resolvedPath, name || path.basename(resolvedPath), category, !!watch, true, sectionId || null, userId]
+    );
+
+    const folder = await this.getFolder(result.id);
+    if (folder && folder.watch) {
+      this.watchFolder(folder);
+    }
+
+    return folder;
+  }
+
+  async updateFolder(folderId, updates) {
+    const folder = await this.getFolder(folderId);
+    if (!folder) {
+      throw new Error('Library folder not found');
+    }
+
+    if (updates.category !== undefined && !['auto', 'movie', 'tv-show'].includes(updates.category)) {
+      throw new Error('Category must be auto, movie or tv-show');
+    }
+
+    if (updates.section_id !== undefined) {
+      updates.section_id = updates.section_id || null;
+      await this.assertSectionExists(updates.section_id);
+    }
+
+    const allowedFields = ['name', 'category', 'watch', 'enabled', 'section_id'];
+    const updateFields = [];
+    const params = [];
+
+    Object.keys(updates).forEach(key => {
+      if (allowedFields.includes(key)) {
+        updateFields.push(`${key} = ?`);
+        params.push(updates[key]);
+      }
+    });
+
+    if (updateFields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    params.push(folderId);
+    await database.update(`UPDATE library_folders SET ${updateFields.join(', ')} WHERE id = ?`, params);
+
+    const updated = await this.getFolder(folderId);
+
+    // Media already scanned from the folder moves with it
+    if (updates.section_id !== undefined) {
+      await database.update(
+        'UPDATE media_content SET library_section_id = ? WHERE library_folder_id = ?',
+        [updated.section_id, updated.id]
+      );
+    }
+
+    // Re-apply the watcher state
+    this.unwatchFolder(updated.id);
+    if (updated.watch && updated.enabled) {
+      this.watchFolder(updated);
+    }
+
+    return updated;
+  }
+
+  async assertSectionExists(sectionId) {
+    if (sectionId && !(await librarySectionService.getSection(sectionId))) {
+      throw new Error('Library not found');
+    }
+  }
+
+  // Removing a folder keeps its media - files stay on disk and in the library
+  async removeFolder(folderId) {
+    const folder = await this.getFolder(folderId);
+    if (!folder) {
+      throw new Error('Library folder not found');
+    }
+
+    this.unwatchFolder(folder.id);
+    await database.update('UPDATE media_content SET library_folder_id = NULL WHERE library_folder_id = ?', [folder.id]);
+    await database.delete('DELETE FROM library_folders WHERE id = ?', [folder.id]);
+
+    return { success: true };
+  }
+
+  // Scanning
+
+  getStatus() {
+    return {
+      isScanning: this.isScanning,
+      lastScan: this.lastScan,
+      watching: Array.from(this.watchers.keys()),
+      // Folders rescanned on a timer because change events aren't available
+      polling: Array.from(this.watchers.entries())
+        .filter(([, entry]) => entry.poller)
+        .map(([folderId, entry]) => ({ folderId, reason: entry.pollReason }))
+    };
+  }
+
+  // Start a scan in the background; callers poll getStatus() for the result
+  startScan(options = {}) {
+    if (this.isScanning) {
+      throw new Error('A library scan is already running');
+    }
+
+    this.scan(options).catch(error => {
+      console.error('❌ Library scan failed:', error);
+    });
+
+    return this.getStatus();
+  }
+
+  async scan({ folderId = null, userId = null } = {}) {
+    if (this.isScanning) {
+      throw new Error('A library scan is already running');
+    }
+
+    this.isScanning = true;
+    const startedAt = new Date();
+    const summary = {
+      folders: 0,
+      scanned: 0,
+      added: 0,
+      relinked: 0,
+      missing: 0,
+      restored: 0,
+      duplicates: 0,
+      pending: 0,
+      errors: []
+    };
+
+    try {
+      let folders = await this.getFolders();
+      folders = folders.filter(folder => folder.enabled && (!folderId || folder.id === parseInt(folderId)));
+
+      if (folderId && folders.length === 0) {
+        throw new Error('Library folder not found');
+      }
+
+      for (const folder of folders) {
+        summary.folders++;
+        await this.scanFolder(folder, userId, summary);
+      }
+
+      this.lastScan = {
+        startedAt,
+        completedAt: new Date(),
+        success: true,
+        ...summary
+      };
+      return this.lastScan;
+
+    } catch (error) {
+      this.lastScan = {
+        startedAt,
+        completedAt: new Date(),
+        success: false,
+        error: error.message,
+        ...summary
+      };
+      throw error;
+    } finally {
+      this.isScanning = false;
+    }
+  }
+
+  async scanFolder(folder, userId, summary) {
+    const folderStats = await fs.stat(folder.path).catch(() => null);
+    if (!folderStats || !folderStats.isDirectory()) {
+      // Unmounted share - don't flag its whole content as missing
+      summary.errors.push({ path: folder.path, error: 'Folder is not accessible' });
+      return;
+    }
+
+    // The folder's library decides the metadata agent and transcoding profile
+    const section = folder.section_id ? await librarySectionService.getSection(folder.section_id) : null;
+
+    const files = await this.findVideoFiles(folder.path);
+    const seenPaths = new Set();
+
+    const existingMedia = await database.query(
+      'SELECT id, file_path, checksum, missing_since, library_folder_id FROM media_content'
+    );
+    const mediaByPath = new Map(existingMedia.map(media => [media.file_path, media]));
+
+    for (const filePath of files) {
+      seenPaths.add(filePath);
+      summary.scanned++;
+
+      try {
+        const stats = await fs.stat(filePath);
+        if (Date.now() - stats.mtimeMs < this.minFileAgeMs) {
+          summary.pending++;
+          continue;
+        }
+
+        // 1. Path match - already in the library
+        const known = mediaByPath.get(filePath);
+        if (known) {
+          const updates = [];
+          const params = [];
+
+          if (known.missing_since) {
+            updates.push('missing_since = NULL');
+            summary.restored++;
+          }
+          if (!known.checksum) {
+            updates.push('checksum = ?');
+            params.push(await this.calculateChecksum(filePath, stats.size));
+          }
+          if (!known.library_folder_id) {
+            updates.push('library_folder_id = ?', 'library_section_id = ?');
+            params.push(folder.id, folder.section_id || null);
+          }
+
+          if (updates.length > 0) {
+            params.push(known.id);
+            await database.update(`UPDATE media_content SET ${updates.join(', ')} WHERE id = ?`, params);
+          }
+          continue;
+        }
+
+        // 2. Checksum match - a known file that was moved or renamed
+        const checksum = await this.calculateChecksum(filePath, stats.size);
+        const matches = await database.query(
+          'SELECT id, file_path FROM media_content WHERE checksum = ?',
+          [checksum]
+        );
+
+        let relinked = false;
+        let duplicate = false;
+        for (const match of matches) {
+          if (await this.fileExists(match.file_path)) {
+            duplicate = true;
+            continue;
+          }
+
+          await database.update(
+            'UPDATE media_content SET file_path = ?, filename = ?, missing_since = NULL, library_folder_id = ?, library_section_id = ? WHERE id = ?',
+            [filePath, path.basename(filePath), folder.id, folder.section_id || null, match.id]
+          );
+          mediaByPath.set(filePath, { ...match, file_path: filePath });
+          summary.relinked++;
+          relinked = true;
+          break;
+        }
+
+        if (relinked) continue;
+        if (duplicate) {
+          summary.duplicates++;
+          continue;
+        }
+
+        // 3. New file - ingest through the normal metadata/thumbnail pipeline
+        const ownerId = userId || folder.created_by;
+        if (!ownerId) {
+          throw new Error('No owner available for scanned media');
+        }
+
+        const saved = await mediaService.saveMedia({
+          originalname: path.basename(filePath),
+          filename: path.basename(filePath),
+          path: filePath,
+          size: stats.size,
+          mimetype: mime.lookup(filePath) || 'video/mp4'
+        }, ownerId, {
+          convertToMp4: false,
+          category: folder.category !== 'auto' ? folder.category : null,
+          metadataAgent: section?.metadata_agent || undefined
+        });
+
+        await database.update(
+          'UPDATE media_content SET checksum = ?, library_folder_id = ?, library_section_id = ? WHERE id = ?',
+          [checksum, folder.id, folder.section_id || null, saved.id]
+        );
+        summary.added++;
+
+        if (section?.transcoding_profile) {
+          await this.queueTranscode(filePath, section);
+        }
+
+      } catch (error) {
+        console.error(`❌ Failed to scan ${filePath}:`, error.message);
+        summary.errors.push({ path: filePath, error: error.message });
+      }
+    }
+
+    // 4. Flag library entries under this folder whose files are gone
+    const folderPrefix = folder.path.endsWith(path.sep) ? folder.path : folder.path + path.sep;
+    for (const media of existingMedia) {
+      const inFolder = media.library_folder_id === folder.id || (media.file_path || '').startsWith(folderPrefix);
+      if (!inFolder || seenPaths.has(media.file_path) || media.missing_since) continue;
+
+      if (!(await this.fileExists(media.file_path))) {
+        await database.update(
+          'UPDATE media_content SET missing_since = ? WHERE id = ?',
+          [new Date().toISOString(), media.id]
+        );
+        summary.missing++;
+      }
+    }
+
+    await database.update(
+      'UPDATE library_folders SET last_scanned_at = ? WHERE id = ?',
+      [new Date().toISOString(), folder.id]
+    );
+  }
+
+  // New files in a section with a default profile are queued straight away;
+  // a queue failure doesn't fail the scan. The section's profile is either a
+  // stored transcoding profile or a built-in quality preset.
+  async queueTranscode(filePath, section) {
+    try {
+      if (!global.transcodingService) return;
+      const profile = await transcodingProfileService.getProfile(section.transcoding_profile);
+      await global.transcodingService.addToQueue(filePath, {
+        ...(profile ? { profile } : { qualities: [section.transcoding_profile] }),
+        priority: 'normal'
+      });
+    } catch (error) {
+      console.error(`❌ Failed to queue ${filePath} for the "${section.name}" profile:`, error.message);
+    }
+  }
+
+  async findVideoFiles(rootDir) {
+    const files = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        console.error(`❌ Cannot read library directory ${dir}:`, error.message);
+        return;
+      }
+
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile() && VIDEO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+          files.push(fullPath);
+        }
+      }
+    };
+
+    await walk(rootDir);
+    return files;
+  }
+
+  // Sampled checksum (size + start/middle/end) - hashing whole multi-GB files
+  // on a NAS would make every scan take hours
+  async calculateChecksum(filePath, fileSize) {
+    const hash = crypto.createHash('sha256');
+    hash.update(String(fileSize));
+
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const sampleSize = Math.min(this.checksumSampleSize, fileSize);
+      const offsets = fileSize <= sampleSize * 3
+        ? [0]
+        : [0, Math.floor(fileSize / 2), fileSize - sampleSize];
+      const length = offsets.length === 1 ? fileSize : sampleSize;
+
+      for (const offset of offsets) {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, offset);
+        hash.update(buffer.subarray(0, bytesRead));
+      }
+    } finally {
+      await handle.close();
+    }
+
+    return hash.digest('hex');
+  }
+
+  async fileExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Watch folders
+
+  async startWatching() {
+    try {
+      const folders = await this.getFolders();
+      for (const folder of folders) {
+        if (folder.watch && folder.enabled) {
+          this.watchFolder(folder);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Failed to start library folder watchers:', error);
+    }
+  }
+
+  watchFolder(folder) {
+    if (this.watchers.has(folder.id)) return;
+
+    try {
+      const watcher = fsSync.watch(folder.path, { recursive: true }, () => {
+        this.scheduleFolderScan(folder.id);
+      });
+
+      watcher.on('error', (error) => {
+        console.error(`❌ Library watcher error for ${folder.path}:`, error.message);
+        this.unwatchFolder(folder.id);
+        this.pollFolder(folder, error.message);
+      });
+
+      this.watchers.set(folder.id, { watcher, poller: null, pollReason: null, timer: null });
+    } catch (error) {
+      // Recursive watching needs Node 20 on Linux
+      console.error(`❌ Failed to watch library folder ${folder.path}, rescanning it periodically instead:`, error.message);
+      this.pollFolder(folder, error.message);
+    }
+  }
+
+  pollFolder(folder, reason) {
+    if (this.watchers.has(folder.id)) return;
+
+    const poller = setInterval(() => {
+      this.scheduleFolderScan(folder.id);
+    }, this.watchPollMs);
+
+    this.watchers.set(folder.id, { watcher: null, poller, pollReason: reason, timer: null });
+  }
+
+  unwatchFolder(folderId) {
+    const entry = this.watchers.get(folderId);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    clearInterval(entry.poller);
+    entry.watcher?.close();
+    this.watchers.delete(folderId);
+  }
+
+  // Debounce bursts of change events (copies emit many) into a single scan
+  scheduleFolderScan(folderId) {
+    const entry = this.watchers.get(folderId);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(async () => {
+      if (this.isScanning) {
+        this.scheduleFolderScan(folderId);
+        return;
+      }
+
+      try {
+        const result = await this.scan({ folderId });
+
+        // Files still being copied get picked up on the next pass
+        if (result.pending > 0) {
+          this.scheduleFolderScan(folderId);
+        }
+      } catch (error) {
+        console.error('❌ Watched folder scan failed:', error.message);
+      }
+    }, this.watchDebounceMs);
+  }
+
+  stopWatching() {
+    for (const folderId of Array.from(this.watchers.keys())) {
+      this.unwatchFolder(folderId);
+    }
+  }
+}
+
+module.exports = new LibraryScanner();
@@ -0,0 +1,256 @@
+const database = require('../utils/database');
+const permissionService = require('./permissionService');
+const Transcoder = require('./transcoding/transcoder');
+const transcodingProfileService = require('./transcodingProfileService');
+
+// Where titles and artwork come from when a section's folders are scanned
+const METADATA_AGENTS = {
+  tmdb: {
+    label: 'TMDB',
+    description: 'Match titles against The Movie Database for posters, ratings and episode info'
+  },
+  local: {
+    label: 'Filenames only',
+    description: 'Use titles from file names without looking anything up (home videos, recordings)'
+  }
+};
+
+// Named libraries (Movies, Kids, Home Videos...) built from library folders.
+// Users see every library unless their account or invite limits them to some;
+// media that isn't in any section stays visible to everyone.
+class LibrarySectionService {
+  constructor() {
+    this.metadataAgents = METADATA_AGENTS;
+    this.defaultMetadataAgent = 'tmdb';
+    this.maxNameLength = 64;
+    this.maxDescriptionLength = 255;
+  }
+
+  // Built-in quality presets and stored transcoding profiles a section can
+  // queue new files with
+  async getTranscodingProfiles() {
+    if (!this.qualityPresets) {
+      this.qualityPresets = Object.keys(new Transcoder().qualityPresets);
+    }
+    const profiles = await transcodingProfileService.listProfiles();
+    return [...this.qualityPresets, ...profiles.map(profile => profile.name)];
+  }
+
+  listMetadataAgents() {
+    return Object.entries(this.metadataAgents).map(([key, agent]) => ({ key, ...agent }));
+  }
+
+  parseSectionIds(value) {
+    try {
+      const ids = typeof value === 'string' ? JSON.parse(value) : value;
+      return Array.isArray(ids) ? ids.map(id => parseInt(id)).filter(Boolean) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  formatSection(row, counts = {}) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description || '',
+      metadataAgent: row.metadata_agent || this.defaultMetadataAgent,
+      transcodingProfile: row.transcoding_profile || null,
+      folderCount: counts.folders || 0,
+      mediaCount: counts.media || 0,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Sections
+
+  async listSections() {
+    const [sections, folders, media] = await Promise.all([
+      database.query('SELECT * FROM library_sections ORDER BY name'),
+      database.query('SELECT section_id, COUNT(*) as count FROM library_folders WHERE section_id IS NOT NULL GROUP BY section_id'),
+      database.query('SELECT library_section_id, COUNT(*) as count FROM media_content WHERE library_section_id IS NOT NULL GROUP BY library_section_id')
+    ]);
+    const folderCounts = new Map(folders.map(row => [row.section_id, parseInt(row.count) || 0]));
+    const mediaCounts = new Map(media.map(row => [row.library_section_id, parseInt(row.count) || 0]));
+
+    return sections.map(section => this.formatSection(section, {
+      folders: folderCounts.get(section.id),
+      media: mediaCounts.get(section.id)
+    }));
+  }
+
+  async getSection(sectionId) {
+    const sections = await database.query('SELECT * FROM library_sections WHERE id = ?', [sectionId]);
+    return sections[0] || null;
+  }
+
+  async validateSectionInput({ name, description, metadataAgent, transcodingProfile }) {
+    const cleanName = String(name || '').trim().slice(0, this.maxNameLength);
+    if (!cleanName) {
+      throw new Error('Library name is required');
+    }
+
+    const agent = metadataAgent || this.defaultMetadataAgent;
+    if (!this.metadataAgents[agent]) {
+      throw new Error('Unknown metadata agent');
+    }
+
+    if (transcodingProfile && !(await this.getTranscodingProfiles()).includes(transcodingProfile)) {
+      throw new Error('Unknown transcoding profile');
+    }
+
+    return {
+      name: cleanName,
+      description: String(description || '').trim().slice(0, this.maxDescriptionLength),
+      metadata_agent: agent,
+      transcoding_profile: transcodingProfile || null
+    };
+  }
+
+  async assertNameAvailable(name, exceptId = null) {
+    const existing = await database.query('SELECT id FROM library_sections WHERE LOWER(name) = LOWER(?)', [name]);
+    if (existing.some(section => section.id !== exceptId)) {
+      throw new Error('A library with that name already exists');
+    }
+  }
+
+  async createSection(input, userId) {
+    const section = await this.validateSectionInput(input);
+    await this.assertNameAvailable(section.name);
+
+    const now = new Date().toISOString();
+    await database.insert(
+      `INSERT INTO library_sections (name, description, metadata_agent, transcoding_profile, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [section.name, section.description, section.metadata_agent, section.transcoding_profile, userId, now, now]
+    );
+
+    const created = await database.query('SELECT * FROM library_sections WHERE name = ?', [section.name]);
+    return this.formatSection(created[0]);
+  }
+
+  async updateSection(sectionId, input) {
+    const existing = await this.getSection(sectionId);
+    if (!existing) {
+      throw new Error('Library not found');
+    }
+
+    const section = await this.validateSectionInput(input);
+    await this.assertNameAvailable(section.name, existing.id);
+
+    await database.update(
+      'UPDATE library_sections SET name = ?, description = ?, metadata_agent = ?, transcoding_profile = ?, updated_at = ? WHERE id = ?',
+      [section.name, section.description, section.metadata_agent, section.transcoding_profile, new Date().toISOString(), existing.id]
+    );
+
+    return this.formatSection(await this.getSection(existing.id));
+  }
+
+  // Deleting a section keeps its folders and media; they just stop being
+  // grouped (and so become visible to everyone again)
+  async deleteSection(sectionId) {
+    const existing = await this.getSection(sectionId);
+    if (!existing) {
+      throw new Error('Library not found');
+    }
+
+    await database.update('UPDATE library_folders SET section_id = NULL WHERE section_id = ?', [existing.id]);
+    await database.update('UPDATE media_content SET library_section_id = NULL WHERE library_section_id = ?', [existing.id]);
+    await database.delete('DELETE FROM library_section_grants WHERE section_id = ?', [existing.id]);
+    await database.delete('DELETE FROM library_sections WHERE id = ?', [existing.id]);
+
+    return { message: `Library "${existing.name}" deleted` };
+  }
+
+  // Checks a list of section ids from a request; returns them de-duplicated
+  async normalizeSectionIds(sectionIds) {
+    if (!Array.isArray(sectionIds)) {
+      throw new Error('Libraries must be a list');
+    }
+
+    const ids = [...new Set(sectionIds.map(id => parseInt(id)).filter(Boolean))];
+    if (ids.length === 0) return [];
+
+    const found = await database.query(
+      `SELECT id FROM library_sections WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+    if (found.length !== ids.length) {
+      throw new Error('Unknown library');
+    }
+    return ids;
+  }
+
+  // Access grants
+
+  // Accounts from before sections existed have no value and keep full access
+  hasAllLibraries(user) {
+    return user.all_libraries === null || user.all_libraries === undefined || !!user.all_libraries;
+  }
+
+  async getUserAccess(userId) {
+    const users = await database.query('SELECT all_libraries FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const grants = await database.query('SELECT section_id FROM library_section_grants WHERE user_id = ?', [userId]);
+    return {
+      allLibraries: this.hasAllLibraries(users[0]),
+      sectionIds: grants.map(grant => grant.section_id)
+    };
+  }
+
+  async setUserAccess(userId, { allLibraries, sectionIds = [] }, grantedBy) {
+    const ids = allLibraries ? [] : await this.normalizeSectionIds(sectionIds);
+
+    await database.update('UPDATE users SET all_libraries = ? WHERE id = ?', [allLibraries ? 1 : 0, userId]);
+    await database.delete('DELETE FROM library_section_grants WHERE user_id = ?', [userId]);
+
+    const now = new Date().toISOString();
+    for (const sectionId of ids) {
+      await database.insert(
+        'INSERT INTO library_section_grants (section_id, user_id, granted_by, created_at) VALUES (?, ?, ?, ?)',
+        [sectionId, userId, grantedBy, now]
+      );
+    }
+
+    return this.getUserAccess(userId);
+  }
+
+  // Invites created with a list of libraries limit the new account to them.
+  // Sections deleted since the invite was made are skipped.
+  async applyInviteAccess(userId, invite) {
+    const sectionIds = this.parseSectionIds(invite?.library_section_ids);
+    if (!sectionIds) return;
+
+    const existing = sectionIds.length > 0
+      ? await database.query(
+        `SELECT id FROM library_sections WHERE id IN (${sectionIds.map(() => '?').join(', ')})`,
+        sectionIds
+      )
+      : [];
+    await this.setUserAccess(userId, { allLibraries: false, sectionIds: existing.map(section => section.id) }, invite.created_by);
+  }
+
+  // Section ids a user can see, or null when they can see every library.
+  // Anyone managing content sees everything so they can still edit it.
+  async getAccessibleSectionIds(userId) {
+    const users = await database.query('SELECT role, is_admin, all_libraries FROM users WHERE id = ?', [userId]);
+    const user = users[0];
+    if (!user || user.is_admin || permissionService.canSeeUnpublished(user.role)) return null;
+    if (this.hasAllLibraries(user)) return null;
+
+    const grants = await database.query('SELECT section_id FROM library_section_grants WHERE user_id = ?', [userId]);
+    return grants.map(grant => grant.section_id);
+  }
+
+  async listVisibleSections(userId) {
+    const sectionIds = await this.getAccessibleSectionIds(userId);
+    const sections = await this.listSections();
+    return sectionIds ? sections.filter(section => sectionIds.includes(section.id)) : sections;
+  }
+}
+
+module.exports = new LibrarySectionService();
@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Read-only access to the JSON-lines logs written by securityLogger
+// (security.log, access.log) and errorCodeTracker (error-codes-<date>.log)
+class LogViewerService {
+  constructor() {
+    this.logDirs = [...new Set([
+      path.resolve(process.env.LOG_DIR || './logs'),
+      path.resolve(__dirname, '../../logs')
+    ])];
+    this.maxPageSize = 200;
+    // Only the tail of very large files is read
+    this.maxReadBytes = 5 * 1024 * 1024;
+  }
+
+  async listFiles() {
+    const files = new Map();
+
+    for (const dir of this.logDirs) {
+      let entries = [];
+      try {
+        entries = await fs.readdir(dir);
+      } catch (error) {
+        continue; // Directory not created yet
+      }
+
+      for (const name of entries.filter(entry => entry.endsWith('.log'))) {
+        if (files.has(name)) continue;
+        const stats = await fs.stat(path.join(dir, name));
+        files.set(name, { name, size: stats.size, modifiedAt: stats.mtime.toISOString(), dir });
+      }
+    }
+
+    return [...files.values()].sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+  }
+
+  // Resolve a file name from the listing; anything else (paths, ..) is rejected
+  async findFile(name) {
+    const file = (await this.listFiles()).find(entry => entry.name === name);
+    if (!file) {
+      throw new Error('Log file not found');
+    }
+    return file;
+  }
+
+  async readTail(filePath, size) {
+    const start = Math.max(size - this.maxReadBytes, 0);
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(size - start);
+      await handle.read(buffer, 0, buffer.length, start);
+      const lines = buffer.toString('utf8').split('\n');
+      // The first line is probably cut in half when we started mid-file
+      if (start > 0) lines.shift();
+      return { lines: lines.filter(line => line.trim()), truncated: start > 0 };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  parseLine(line) {
+    try {
+      const entry = JSON.parse(line);
+      return {
+        timestamp: entry.timestamp || null,
+        level: String(entry.level || entry.logLevel || 'info').toLowerCase(),
+        event: entry.event || entry.errorCode || null,
+        entry
+      };
+    } catch (error) {
+      return { timestamp: null, level: 'info', event: null, entry: { message: line } };
+    }
+  }
+
+  // Newest entries first
+  async readEntries(name, { level, search, limit, offset } = {}) {
+    const file = await this.findFile(name);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), this.maxPageSize);
+    const skip = Math.max(parseInt(offset) || 0, 0);
+    const term = search ? String(search).toLowerCase() : null;
+
+    const { lines, truncated } = await this.readTail(path.join(file.dir, file.name), file.size);
+    const matching = lines
+      .reverse()
+      .filter(line => !term || line.toLowerCase().includes(term))
+      .map(line => this.parseLine(line))
+      .filter(entry => !level || entry.level === String(level).toLowerCase());
+
+    return {
+      file: { name: file.name, size: file.size, modifiedAt: file.modifiedAt },
+      entries: matching.slice(skip, skip + pageSize),
+      total: matching.length,
+      limit: pageSize,
+      offset: skip,
+      truncated
+    };
+  }
+}
+
+module.exports = new LogViewerService();
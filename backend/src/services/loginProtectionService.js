@@ -0,0 +1,243 @@
+const database = require('../utils/database');
+const emailService = require('./emailService');
+const sessionService = require('./sessionService');
+const securitySettingsService = require('./securitySettingsService');
+const securityLogger = require('../middleware/securityLogger');
+
+// Per-account brute-force protection and new sign-in location alerts.
+// The request limiter in server.js only counts requests per IP; this locks
+// the targeted account itself, for longer each time it is locked again.
+class LoginProtectionService {
+  constructor() {
+    this.settingsKey = 'login_protection';
+    this.limits = {
+      maxFailedAttempts: [3, 50],
+      baseLockoutMinutes: [1, 1440],
+      maxLockoutMinutes: [1, 43200],
+      failureWindowMinutes: [1, 1440]
+    };
+  }
+
+  async getSettings() {
+    const stored = await securitySettingsService.get(this.settingsKey);
+    return { ...securitySettingsService.defaults[this.settingsKey], ...(stored || {}) };
+  }
+
+  async updateSettings(input, updatedBy) {
+    const settings = await this.getSettings();
+
+    for (const [key, [min, max]] of Object.entries(this.limits)) {
+      if (input[key] === undefined) continue;
+      const value = parseInt(input[key]);
+      if (isNaN(value) || value < min || value > max) {
+        throw new Error(`${key} must be between ${min} and ${max}`);
+      }
+      settings[key] = value;
+    }
+    if (input.newDeviceAlerts !== undefined) {
+      settings.newDeviceAlerts = !!input.newDeviceAlerts;
+    }
+    if (settings.maxLockoutMinutes < settings.baseLockoutMinutes) {
+      throw new Error('maxLockoutMinutes can\'t be shorter than baseLockoutMinutes');
+    }
+
+    return securitySettingsService.set(this.settingsKey, settings, updatedBy);
+  }
+
+  // Lockout
+
+  isLocked(user) {
+    return !!user.locked_until && new Date(user.locked_until) > new Date();
+  }
+
+  lockedError(lockedUntil) {
+    const minutes = Math.max(Math.ceil((new Date(lockedUntil) - new Date()) / 60000), 1);
+    const error = new Error(`Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+    error.code = 'ACCOUNT_LOCKED';
+    error.lockedUntil = new Date(lockedUntil).toISOString();
+    return error;
+  }
+
+  async assertNotLocked(user) {
+    if (this.isLocked(user)) {
+      throw this.lockedError(user.locked_until);
+    }
+  }
+
+  // Each lockout without a successful sign-in in between doubles the next one
+  getLockoutMinutes(lockoutCount, settings) {
+    return Math.min(settings.baseLockoutMinutes * Math.pow(2, Math.max(lockoutCount - 1, 0)), settings.maxLockoutMinutes);
+  }
+
+  // Count a wrong password or 2FA code. Returns the lockout error once the
+  // account crosses the limit so the caller can surface it instead.
+  async recordFailure(user, req) {
+    const settings = await this.getSettings();
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - settings.failureWindowMinutes * 60000);
+
+    // Counted in SQL, not from the row read before the password check, so
+    // parallel guesses can't all write back the same count. Failures older
+    // than the window don't count towards the next lockout.
+    await database.update(
+      `UPDATE users SET
+         failed_login_count = CASE WHEN last_failed_login_at > ? THEN COALESCE(failed_login_count, 0) + 1 ELSE 1 END,
+         last_failed_login_at = ?
+       WHERE id = ?`,
+      [windowStart.toISOString(), now.toISOString(), user.id]
+    );
+
+    const current = (await this.getLockoutState(user.id)) || {};
+    if (this.isLocked(current)) {
+      return this.lockedError(current.locked_until);
+    }
+
+    const failedCount = parseInt(current.failed_login_count) || 0;
+    if (failedCount < settings.maxFailedAttempts) {
+      return null;
+    }
+
+    const lockoutCount = (parseInt(current.lockout_count) || 0) + 1;
+    const minutes = this.getLockoutMinutes(lockoutCount, settings);
+    const lockedUntil = new Date(now.getTime() + minutes * 60000);
+
+    // Only one of several requests crossing the limit together locks the account
+    const result = await database.update(
+      'UPDATE users SET failed_login_count = 0, lockout_count = ?, locked_until = ? WHERE id = ? AND failed_login_count >= ?',
+      [lockoutCount, lockedUntil.toISOString(), user.id, settings.maxFailedAttempts]
+    );
+    if (!result || result.changes === 0) {
+      const locked = await this.getLockoutState(user.id);
+      return locked && this.isLocked(locked) ? this.lockedError(locked.locked_until) : null;
+    }
+
+    securityLogger.logSuspiciousActivity('Account locked after repeated failed sign-ins', {
+      userId: user.id,
+      email: user.email,
+      failedAttempts: failedCount,
+      lockoutCount,
+      lockedMinutes: minutes
+    }, req);
+
+    return this.lockedError(lockedUntil);
+  }
+
+  async getLockoutState(userId) {
+    const users = await database.query(
+      'SELECT failed_login_count, lockout_count, locked_until FROM users WHERE id = ?',
+      [userId]
+    );
+    return users[0] || null;
+  }
+
+  async clearFailures(user) {
+    if (!user.failed_login_count && !user.lockout_count && !user.locked_until) return;
+    await database.update(
+      'UPDATE users SET failed_login_count = 0, lockout_count = 0, locked_until = NULL WHERE id = ?',
+      [user.id]
+    );
+  }
+
+  // Called once every sign-in step has passed
+  async recordSuccess(user, req) {
+    await this.clearFailures(user);
+
+    try {
+      await this.checkLoginDevice(user, req);
+    } catch (error) {
+      console.error('❌ Failed to check sign-in device:', error.message);
+    }
+  }
+
+  // New devices and locations
+
+  // Remember where the user signed in from and alert them the first time an
+  // address or device shows up. The very first sign-in is never "new".
+  async checkLoginDevice(user, req) {
+    const ipAddress = sessionService.getClientIP(req);
+    const userAgent = req.headers['user-agent'] || '';
+    const { device, browser } = sessionService.parseUserAgent(userAgent);
+    const now = new Date().toISOString();
+
+    const known = await database.query(
+      'SELECT ip_address, device_info, browser_info FROM known_login_devices WHERE user_id = ?',
+      [user.id]
+    );
+    const match = known.find(entry =>
+      entry.ip_address === ipAddress && entry.device_info === device && entry.browser_info === browser
+    );
+
+    if (match) {
+      await database.update(
+        'UPDATE known_login_devices SET last_seen_at = ? WHERE user_id = ? AND ip_address = ? AND device_info = ? AND browser_info = ?',
+        [now, user.id, ipAddress, device, browser]
+      );
+      return null;
+    }
+
+    await database.insert(
+      `INSERT INTO known_login_devices (user_id, ip_address, device_info, browser_info, first_seen_at, last_seen_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [user.id, ipAddress, device, browser, now, now]
+    );
+    if (known.length === 0) return null;
+
+    const details = {
+      ipAddress,
+      device,
+      browser,
+      newAddress: !known.some(entry => entry.ip_address === ipAddress),
+      newDevice: !known.some(entry => entry.device_info === device && entry.browser_info === browser),
+      time: now
+    };
+    securityLogger.logNewDeviceLogin(user.id, details, req);
+
+    const settings = await this.getSettings();
+    if (settings.newDeviceAlerts && user.email) {
+      // Don't hold up the sign-in waiting on SMTP
+      emailService.sendNewLoginAlertEmail(user.email, user.username, details)
+        .catch(error => console.error('❌ Failed to send new sign-in alert:', error.message));
+    }
+    return details;
+  }
+
+  // Admin
+
+  async listProtectedAccounts() {
+    const users = await database.query(
+      `SELECT id, username, email, failed_login_count, last_failed_login_at, lockout_count, locked_until
+       FROM users
+       WHERE failed_login_count > 0 OR lockout_count > 0 OR locked_until IS NOT NULL
+       ORDER BY locked_until DESC, last_failed_login_at DESC`
+    );
+
+    return users.map(user => ({
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      failedLoginCount: parseInt(user.failed_login_count) || 0,
+      lastFailedLoginAt: user.last_failed_login_at,
+      lockoutCount: parseInt(user.lockout_count) || 0,
+      lockedUntil: user.locked_until,
+      locked: this.isLocked(user)
+    }));
+  }
+
+  async unlockUser(userId) {
+    const users = await database.query(
+      'SELECT id, username, failed_login_count, lockout_count, locked_until FROM users WHERE id = ?',
+      [userId]
+    );
+    if (users.length === 0) {
+      throw new Error('User not found');
+    }
+
+    await database.update(
+      'UPDATE users SET failed_login_count = 0, lockout_count = 0, locked_until = NULL, last_failed_login_at = NULL WHERE id = ?',
+      [userId]
+    );
+    return users[0];
+  }
+}
+
+module.exports = new LoginProtectionService();
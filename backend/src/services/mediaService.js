@@ -5,8 +5,22 @@ const ffmpeg = require('fluent-ffmpeg');
 const sharp = require('sharp');
 const database = require('../utils/database');
 const thumbnailService = require('./thumbnailService');
+const subtitleService = require('./subtitleService');
+const tvShowService = require('./tvShowService');
+const parentalControlService = require('./parentalControlService');
+const permissionService = require('./permissionService');
+const FileAnalyzer = require('./transcoding/fileAnalyzer');
+const { normalizeLanguage } = require('../utils/languages');
 const MovieMetadataService = require('./movieMetadataService');
 
+// SQL expression each library sort orders by
+const LIBRARY_SORT_COLUMNS = {
+  title: "LOWER(COALESCE(mc.title, ''))",
+  added: 'mc.upload_date',
+  duration: 'COALESCE(mc.duration, 0)',
+  views: 'COALESCE(mc.views, 0)'
+};
+
 class MediaService {
   constructor() {
     this.uploadDir = path.join(__dirname, '../../uploads/media');
@@ -15,6 +29,10 @@ class MediaService {
     
     // Initialize metadata service
     this.metadataService = new MovieMetadataService();
+
+    // Rows a library page may read while looking for titles that pass the
+    // filters SQL can't apply (genre, year, resolution, parental limits)
+    this.libraryScanLimit = 2000;
     
     // Ensure directories exist
     this.initializeDirectories();
@@ -73,7 +91,8 @@ class MediaService {
         duration: null,
         resolution: null,
         bitrate: null,
-        codec: null
+        codec: null,
+        audioTracks: []
       };
 
       if (mimeType.startsWith('video/') || mimeType.startsWith('audio/')) {
@@ -103,6 +122,8 @@ class MediaService {
             if (data.format && data.format.bit_rate) {
               metadata.bitrate = parseInt(data.format.bit_rate);
             }
+
+            metadata.audioTracks = FileAnalyzer.describeAudioStreams(data.streams);
           } catch (parseError) {
             // Metadata parsing error
           }
@@ -197,7 +218,12 @@ class MediaService {
   }
 
   // Save media file and metadata to database
-  async saveMedia(fileData, userId) {
+  async saveMedia(fileData, userId, options = {}) {
+    // Library scans ingest files in place (no MP4 conversion), may force a
+    // category for folders that only hold movies or TV shows, and use the
+    // metadata agent of the folder's library section
+    const { convertToMp4 = true, category: forcedCategory = null, metadataAgent = 'tmdb' } = options;
+
     try {
       let {
         originalname,
@@ -211,7 +237,7 @@ class MediaService {
       
       // Auto-convert MPEG-TS files to MP4 for better browser compatibility
       let conversionResult = { converted: false, newPath: filePath, newSize: null };
-      if (mediaType === 'video') {
+      if (mediaType === 'video' && convertToMp4) {
         conversionResult = await this.convertToMp4IfNeeded(filePath, originalname);
         
         if (conversionResult.converted) {
@@ -232,14 +258,16 @@ class MediaService {
       const basicMetadata = await this.extractMetadata(filePath, mimetype);
 
       // Determine category from tags or filename for video files
-      const category = mediaType === 'video' ? this.determineCategory(originalname) : 'other';
+      const category = mediaType === 'video' ? (forcedCategory || this.determineCategory(originalname)) : 'other';
       
       // Get comprehensive metadata for video files
       let completeMetadata = null;
       let dbData = null;
       
       if (mediaType === 'video') {
-        completeMetadata = await this.metadataService.getCompleteMetadata(originalname, filePath, category);
+        completeMetadata = await this.metadataService.getCompleteMetadata(originalname, filePath, category, {
+          lookupOnline: metadataAgent !== 'local'
+        });
         dbData = this.metadataService.formatForDatabase(completeMetadata);
       }
 
@@ -280,8 +308,8 @@ class MediaService {
           title, description, tags, original_filename, filename, file_path, file_size, 
           mime_type, media_type, duration, resolution, uploaded_by, 
           status, metadata, extended_metadata, season_number, episode_number, 
-          episode_title, show_title
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          episode_title, show_title, content_rating, content_rating_source
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           finalTitle,
           description,
@@ -301,7 +329,9 @@ class MediaService {
           seasonNumber,
           episodeNumber,
           episodeTitle,
-          showTitle
+          showTitle,
+          dbData?.content_rating || null,
+          dbData?.content_rating ? 'tmdb' : null
         ]
       );
 
@@ -323,6 +353,20 @@ class MediaService {
         ['ready', mediaId]
       );
 
+      // Place TV episodes in the show/season hierarchy
+      try {
+        await tvShowService.syncEpisode(mediaId);
+      } catch (error) {
+        console.error(`❌ Failed to link episode for media ${mediaId}:`, error.message);
+      }
+
+      // Subtitle extraction reads the whole file, so don't hold up the upload
+      if (mediaType === 'video') {
+        subtitleService.extractSubtitles(mediaId).catch(error => {
+          console.error(`❌ Subtitle extraction failed for media ${mediaId}:`, error.message);
+        });
+      }
+
       // Enhanced metadata saved successfully
 
       return {
@@ -394,30 +438,7 @@ class MediaService {
         JOIN users u ON mc.uploaded_by = u.id
       `;
       
-      const params = [];
-      const conditions = [];
-
-      // Role-based filtering
-      if (userRole === 'user') {
-        conditions.push('mc.published = 1');
-      }
-
-      // Apply filters
-      if (filters.mediaType) {
-        conditions.push('mc.media_type = ?');
-        params.push(filters.mediaType);
-      }
-
-      if (filters.category) {
-        conditions.push('mc.tags LIKE ?');
-        params.push(`${filters.category}%`);
-      }
-
-      if (filters.search) {
-        conditions.push('(mc.title LIKE ? OR mc.description LIKE ? OR mc.tags LIKE ?)');
-        const searchTerm = `%${filters.search}%`;
-        params.push(searchTerm, searchTerm, searchTerm);
-      }
+      const { conditions, params } = this.buildMediaConditions(userRole, filters);
 
       if (conditions.length > 0) {
         query += ' WHERE ' + conditions.join(' AND ');
@@ -425,18 +446,18 @@ class MediaService {
 
       query += ' ORDER BY mc.upload_date DESC';
 
-      if (filters.limit) {
+      // With parental restrictions the limit is applied after filtering
+      if (filters.limit && !filters.restrictions) {
         query += ' LIMIT ?';
         params.push(parseInt(filters.limit));
       }
 
-      const media = await database.query(query, params);
+      let media = parentalControlService.filterAllowed(await database.query(query, params), filters.restrictions);
+      if (filters.limit && filters.restrictions) {
+        media = media.slice(0, parseInt(filters.limit));
+      }
       
-      return media.map(item => ({
-        ...item,
-        metadata: item.metadata ? JSON.parse(item.metadata) : null,
-        file_size_mb: Math.round(item.file_size / (1024 * 1024) * 100) / 100
-      }));
+      return media.map(item => this.formatMediaItem(item));
 
     } catch (error) {
       console.error('Error getting media list:', error);
@@ -444,8 +465,253 @@ class MediaService {
     }
   }
 
+  // WHERE conditions shared by the media list and the library pages
+  buildMediaConditions(userRole, filters = {}) {
+    const params = [];
+    const conditions = [];
+
+    // Role-based filtering
+    if (!permissionService.canSeeUnpublished(userRole)) {
+      conditions.push('mc.published = 1');
+    }
+
+    // Apply filters
+    if (filters.mediaType) {
+      conditions.push('mc.media_type = ?');
+      params.push(filters.mediaType);
+    }
+
+    if (filters.category) {
+      conditions.push('mc.tags LIKE ?');
+      params.push(`${filters.category}%`);
+    }
+
+    if (filters.librarySectionId) {
+      conditions.push('mc.library_section_id = ?');
+      params.push(parseInt(filters.librarySectionId));
+    }
+
+    if (filters.search) {
+      conditions.push('(mc.title LIKE ? OR mc.description LIKE ? OR mc.tags LIKE ?)');
+      const searchTerm = `%${filters.search}%`;
+      params.push(searchTerm, searchTerm, searchTerm);
+    }
+
+    if (filters.show) {
+      conditions.push('LOWER(mc.show_title) = ?');
+      params.push(filters.show.toLowerCase());
+    }
+
+    // Narrows genres down to titles that mention one in their tags; the exact
+    // match happens once the tags are split
+    if (filters.genres && filters.genres.length > 0) {
+      conditions.push(`(${filters.genres.map(() => 'LOWER(mc.tags) LIKE ?').join(' OR ')})`);
+      params.push(...filters.genres.map(genre => `%${genre}%`));
+    }
+
+    return { conditions, params };
+  }
+
+  formatMediaItem(item) {
+    return {
+      ...item,
+      metadata: item.metadata ? JSON.parse(item.metadata) : null,
+      file_size_mb: Math.round(item.file_size / (1024 * 1024) * 100) / 100
+    };
+  }
+
+  // Get a page of the library with sorting, filtering and cursor-based pagination.
+  // Sorting, the cursor and the page size run in SQL; filters that need parsed
+  // tags or metadata are applied to batches read in sort order, so a page never
+  // loads more of the library than it has to.
+  async getLibraryPage(userId, userRole, options = {}) {
+    try {
+      const sort = LIBRARY_SORT_COLUMNS[options.sort] ? options.sort : 'added';
+      const order = options.order === 'asc' || options.order === 'desc'
+        ? options.order
+        : (sort === 'title' ? 'asc' : 'desc');
+      const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), 200);
+
+      let position = null;
+      if (options.cursor) {
+        const cursor = this.decodeLibraryCursor(options.cursor);
+        if (!cursor || cursor.sort !== sort || cursor.order !== order) {
+          throw new Error('Invalid cursor');
+        }
+        position = { value: cursor.value, id: cursor.id };
+      }
+
+      const genres = options.genre
+        ? options.genre.split(',').map(genre => genre.trim().toLowerCase()).filter(Boolean)
+        : [];
+      const year = options.year ? parseInt(options.year) : null;
+      const resolution = options.resolution ? options.resolution.toLowerCase() : null;
+      const restrictions = options.restrictions || null;
+
+      const { conditions, params } = this.buildMediaConditions(userRole, {
+        mediaType: options.mediaType,
+        category: options.category,
+        search: options.search,
+        librarySectionId: options.librarySectionId,
+        show: options.show,
+        genres
+      });
+
+      const filtered = genres.length > 0 || year || resolution || restrictions;
+      const matches = (item) => {
+        if (genres.length > 0 && !item.genres.some(genre => genres.includes(genre.toLowerCase()))) return false;
+        if (year && item.year !== year) return false;
+        if (resolution && item.resolution_label !== resolution) return false;
+        return parentalControlService.isAllowed(item, restrictions);
+      };
+
+      // One extra row tells whether there is another page
+      const batchSize = filtered ? Math.max(limit * 2, 100) : limit + 1;
+      const items = [];
+      let scanned = 0;
+      let exhausted = false;
+
+      while (items.length <= limit && !exhausted && scanned < this.libraryScanLimit) {
+        const batchLimit = Math.min(batchSize, this.libraryScanLimit - scanned);
+        const rows = await this.queryLibraryRows(conditions, params, sort, order, position, batchLimit);
+        exhausted = rows.length < batchLimit;
+        scanned += rows.length;
+
+        for (const row of rows) {
+          position = { value: row.sort_value, id: row.id };
+          const item = this.toLibraryItem(row);
+          if (matches(item)) {
+            items.push(item);
+            if (items.length > limit) break;
+          }
+        }
+      }
+
+      const page = items.slice(0, limit);
+      const lastItem = page[page.length - 1];
+      let nextCursor = null;
+      if (items.length > limit) {
+        nextCursor = { value: lastItem.sort_value, id: lastItem.id };
+      } else if (!exhausted) {
+        // Scan limit reached: the next page carries on from the last row read
+        nextCursor = position;
+      }
+
+      return {
+        items: page.map(({ sort_value, ...item }) => item),
+        pagination: {
+          limit,
+          sort,
+          order,
+          // Only known up front when every filter ran in SQL
+          total: filtered ? null : await this.countLibraryRows(conditions, params),
+          hasMore: !!nextCursor,
+          nextCursor: nextCursor
+            ? this.encodeLibraryCursor({ sort, order, ...nextCursor })
+            : null
+        }
+      };
+
+    } catch (error) {
+      console.error('Error getting library page:', error);
+      throw error;
+    }
+  }
+
+  // Rows after the keyset position in sort order, ids breaking ties. Aliased
+  // with AS so the PostgreSQL adapter runs it as written.
+  async queryLibraryRows(conditions, params, sort, order, position, limit) {
+    const expression = LIBRARY_SORT_COLUMNS[sort];
+    const where = [...conditions];
+    const values = [...params];
+
+    if (position) {
+      where.push(`(${expression} ${order === 'asc' ? '>' : '<'} ? OR (${expression} = ? AND mc.id > ?))`);
+      values.push(position.value, position.value, position.id);
+    }
+
+    return database.query(`
+      SELECT mc.*, u.username AS uploader_name, ${expression} AS sort_value
+      FROM media_content AS mc
+      JOIN users AS u ON u.id = mc.uploaded_by
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY sort_value ${order === 'asc' ? 'ASC' : 'DESC'}, mc.id ASC
+      LIMIT ?
+    `, [...values, limit]);
+  }
+
+  async countLibraryRows(conditions, params) {
+    const rows = await database.query(`
+      SELECT COUNT(*) AS total
+      FROM media_content AS mc
+      JOIN users AS u ON u.id = mc.uploaded_by
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    `, params);
+    return parseInt(rows[0]?.total) || 0;
+  }
+
+  toLibraryItem(row) {
+    return {
+      ...this.formatMediaItem(row),
+      genres: this.getGenresFromTags(row.tags),
+      year: this.getReleaseYear(row),
+      resolution_label: this.getResolutionLabel(row.resolution)
+    };
+  }
+
+  encodeLibraryCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  }
+
+  decodeLibraryCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      return decoded && decoded.id !== undefined ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // First tag is the category, the rest come from TMDB genres and keywords
+  getGenresFromTags(tags) {
+    if (!tags) return [];
+    return tags.split(',').slice(1).map(tag => tag.trim()).filter(Boolean);
+  }
+
+  getReleaseYear(item) {
+    try {
+      const extended = typeof item.extended_metadata === 'string'
+        ? JSON.parse(item.extended_metadata)
+        : item.extended_metadata;
+      const releaseDate = extended?.tmdb?.release_date || extended?.tmdb?.first_air_date;
+      if (releaseDate) {
+        return parseInt(releaseDate.substring(0, 4)) || null;
+      }
+    } catch (error) {
+      // Fall back to the filename
+    }
+
+    const yearMatch = (item.original_filename || item.title || '').match(/\b(19|20)\d{2}\b/);
+    return yearMatch ? parseInt(yearMatch[0]) : null;
+  }
+
+  // Bucket "1920x1080" style resolutions into the labels used across the app
+  getResolutionLabel(resolution) {
+    const match = (resolution || '').match(/(\d+)x(\d+)/);
+    if (!match) return null;
+
+    const height = parseInt(match[2]);
+    if (height >= 2160) return '4k';
+    if (height >= 1080) return '1080p';
+    if (height >= 720) return '720p';
+    if (height >= 480) return '480p';
+    return 'sd';
+  }
+
   // Get single media item
-  async getMediaById(mediaId, userId, userRole) {
+  async getMediaById(mediaId, userId, userRole, options = {}) {
+    const { countView = true, restrictions = null } = options;
+
     try {
       let query = `
         SELECT 
@@ -460,7 +726,7 @@ class MediaService {
       const params = [mediaId];
 
       // Role-based access control
-      if (userRole === 'user') {
+      if (!permissionService.canSeeUnpublished(userRole)) {
         query += ' AND mc.published = 1';
       }
 
@@ -471,12 +737,19 @@ class MediaService {
       }
 
       const media = result[0];
+
+      // Titles blocked by parental controls look the same as missing ones
+      if (!parentalControlService.isAllowed(media, restrictions)) {
+        return null;
+      }
       
-      // Increment view count
-      await database.update(
-        'UPDATE media_content SET views = views + 1 WHERE id = ?',
-        [mediaId]
-      );
+      // Increment view count (skipped for follow-up requests like HLS segments)
+      if (countView) {
+        await database.update(
+          'UPDATE media_content SET views = views + 1 WHERE id = ?',
+          [mediaId]
+        );
+      }
 
       return {
         ...media,
@@ -502,8 +775,12 @@ class MediaService {
         throw new Error('Media not found');
       }
 
-      // Only allow updates by uploader, managers, or admins
-      if (userRole !== 'admin' && userRole !== 'manager' && media[0].uploaded_by !== userId) {
+      // Only allow updates by the uploader or anyone who can edit uploads
+      if (!permissionService.roleHas(userRole, 'upload') && media[0].uploaded_by !== userId) {
+        throw new Error('Permission denied');
+      }
+
+      if (updates.published !== undefined && !permissionService.roleHas(userRole, 'publish')) {
         throw new Error('Permission denied');
       }
 
@@ -518,7 +795,16 @@ class MediaService {
         }
       });
 
+      // Manual content rating (empty clears it back to the TMDB certification)
+      const ratingUpdated = updates.content_rating !== undefined;
+      if (ratingUpdated) {
+        await parentalControlService.setContentRating(mediaId, updates.content_rating);
+      }
+
       if (updateFields.length === 0) {
+        if (ratingUpdated) {
+          return { success: true };
+        }
         throw new Error('No valid fields to update');
       }
 
@@ -529,6 +815,11 @@ class MediaService {
         params
       );
 
+      // Re-tagging can move an item into or out of the TV hierarchy
+      if (updates.tags !== undefined || updates.title !== undefined) {
+        await tvShowService.syncEpisode(mediaId);
+      }
+
       return { success: true };
 
     } catch (error) {
@@ -552,7 +843,7 @@ class MediaService {
       const mediaItem = media[0];
 
       // Check permissions
-      if (userRole !== 'admin' && userRole !== 'manager' && mediaItem.uploaded_by !== userId) {
+      if (!permissionService.roleHas(userRole, 'delete') && mediaItem.uploaded_by !== userId) {
         throw new Error('Permission denied');
       }
 
@@ -595,6 +886,31 @@ class MediaService {
         }
       }
       
+      // Step 1b: Remove HLS package (playlists and segments)
+      try {
+        const hlsPackage = await this.getHLSPackage(originalPath);
+        if (hlsPackage) {
+          await fs.rm(hlsPackage.output_dir, { recursive: true, force: true });
+          await database.query('DELETE FROM hls_packages WHERE id = ?', [hlsPackage.id]);
+        }
+      } catch (error) {
+        // Could not remove HLS package
+      }
+
+      // Step 1c: Remove extracted subtitle tracks
+      try {
+        await subtitleService.removeSubtitles(mediaId);
+      } catch (error) {
+        // Could not remove subtitles
+      }
+
+      // Step 1d: Remove the episode (and any season/show left empty)
+      try {
+        await tvShowService.removeEpisode(mediaId);
+      } catch (error) {
+        // Could not remove episode
+      }
+      
       // Step 2: Remove thumbnail
       if (thumbnailPath) {
         try {
@@ -786,7 +1102,9 @@ class MediaService {
               `UPDATE media_content SET 
                 title = ?, description = ?, tags = ?, 
                 extended_metadata = ?, season_number = ?, episode_number = ?, 
-                episode_title = ?, show_title = ?
+                episode_title = ?, show_title = ?,
+                content_rating = CASE WHEN content_rating_source = 'manual' THEN content_rating ELSE ? END,
+                content_rating_source = CASE WHEN content_rating_source = 'manual' THEN content_rating_source ELSE ? END
                WHERE id = ?`,
               [
                 dbData.title,
@@ -797,9 +1115,12 @@ class MediaService {
                 episodeNumber,
                 episodeTitle,
                 showTitle,
+                dbData.content_rating || null,
+                dbData.content_rating ? 'tmdb' : null,
                 video.id
               ]
             );
+            await tvShowService.syncEpisode(video.id);
             
             updated++;
           } else {
@@ -862,7 +1183,9 @@ class MediaService {
           `UPDATE media_content SET 
             title = ?, description = ?, tags = ?, 
             extended_metadata = ?, season_number = ?, episode_number = ?, 
-            episode_title = ?, show_title = ?
+            episode_title = ?, show_title = ?,
+            content_rating = CASE WHEN content_rating_source = 'manual' THEN content_rating ELSE ? END,
+            content_rating_source = CASE WHEN content_rating_source = 'manual' THEN content_rating_source ELSE ? END
            WHERE id = ?`,
           [
             dbData.title,
@@ -873,9 +1196,12 @@ class MediaService {
             episodeNumber,
             episodeTitle,
             showTitle,
+            dbData.content_rating || null,
+            dbData.content_rating ? 'tmdb' : null,
             contentId
           ]
         );
+        await tvShowService.syncEpisode(contentId);
         
         updated = true;
       }
@@ -897,97 +1223,6 @@ class MediaService {
     }
   }
 
-  // Get TV shows organized by show and season
-  async getTVShowsOrganized(userId, userRole) {
-    try {
-      let query = `
-        SELECT 
-          mc.*,
-          u.username as uploader_name
-        FROM media_content mc
-        JOIN users u ON mc.uploaded_by = u.id
-        WHERE mc.tags LIKE '%tv-show%' AND mc.media_type = 'video'
-      `;
-      const params = [];
-
-      // Role-based filtering
-      if (userRole === 'user') {
-        query += ' AND mc.published = 1';
-      }
-
-      query += ' ORDER BY mc.show_title, mc.season_number, mc.episode_number';
-
-      const episodes = await database.query(query, params);
-      
-      // Parse metadata and organize by show and season
-      const tvShows = {};
-      
-      episodes.forEach(episode => {
-        // Determine the show title with better fallback logic
-        let showTitle = episode.show_title;
-        
-        // If no show_title, try to extract from the episode title
-        if (!showTitle && episode.title) {
-          // Extract show name from episode title (remove season/episode info)
-          showTitle = episode.title
-            .replace(/[Ss]\d{1,2}[Ee]\d{1,2}.*$/g, '')
-            .replace(/[Ss]eason\s*\d{1,2}.*$/gi, '')
-            .replace(/[Ee]pisode\s*\d{1,2}.*$/gi, '')
-            .replace(/\d{4}.*$/g, '')
-            .replace(/[-_.]/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-        }
-        
-        // Final fallback
-        if (!showTitle) {
-          showTitle = 'Unknown Show';
-        }
-        
-        const seasonNumber = episode.season_number || 1;
-        
-        if (!tvShows[showTitle]) {
-          tvShows[showTitle] = {
-            title: showTitle,
-            seasons: {},
-            totalEpisodes: 0,
-            thumbnail: episode.thumbnail_path,
-            description: episode.description,
-            extended_metadata: episode.extended_metadata ? JSON.parse(episode.extended_metadata) : null
-          };
-        }
-        
-        if (!tvShows[showTitle].seasons[seasonNumber]) {
-          tvShows[showTitle].seasons[seasonNumber] = {
-            seasonNumber,
-            episodes: [],
-            episodeCount: 0
-          };
-        }
-        
-        tvShows[showTitle].seasons[seasonNumber].episodes.push({
-          ...episode,
-          metadata: episode.metadata ? JSON.parse(episode.metadata) : null,
-          extended_metadata: episode.extended_metadata ? JSON.parse(episode.extended_metadata) : null,
-          file_size_mb: Math.round(episode.file_size / (1024 * 1024) * 100) / 100
-        });
-        
-        tvShows[showTitle].seasons[seasonNumber].episodeCount++;
-        tvShows[showTitle].totalEpisodes++;
-      });
-
-      // Convert to array format
-      return Object.values(tvShows).map(show => ({
-        ...show,
-        seasons: Object.values(show.seasons).sort((a, b) => a.seasonNumber - b.seasonNumber)
-      }));
-
-    } catch (error) {
-      console.error('Error getting organized TV shows:', error);
-      throw error;
-    }
-  }
-
   // Update existing TV show episodes to use normalized show titles
   async normalizeExistingTVShows() {
     try {
@@ -1045,52 +1280,84 @@ class MediaService {
         }
       }
       
+      // Regroup episodes under the normalized titles
+      const hierarchy = await tvShowService.syncAll();
+
       // TV show normalization complete
-      return { updated, total: episodes.length };
+      return { updated, total: episodes.length, shows: hierarchy };
       
     } catch (error) {
       throw error;
     }
   }
 
-  // Get episodes for a specific TV show and season
-  async getTVShowEpisodes(showTitle, seasonNumber, userId, userRole) {
+  // Get the HLS package for a media file, if one was produced and is still on disk
+  async getHLSPackage(originalFilePath) {
     try {
-      // Extract the base show title (remove season/episode info)
-      const baseShowTitle = showTitle.replace(/\s+S\d+E\d+.*$/i, '').trim();
-      
-      let query = `
-        SELECT 
-          mc.*,
-          u.username as uploader_name
-        FROM media_content mc
-        JOIN users u ON mc.uploaded_by = u.id
-        WHERE (mc.show_title LIKE ? OR mc.title LIKE ?) 
-        AND mc.season_number = ? 
-        AND mc.media_type = 'video'
-      `;
-      const params = [`%${baseShowTitle}%`, `%${baseShowTitle}%`, seasonNumber];
+      const packages = await database.query(
+        'SELECT * FROM hls_packages WHERE original_path = ?',
+        [originalFilePath]
+      );
 
-      // Role-based filtering
-      if (userRole === 'user') {
-        query += ' AND mc.published = 1';
+      if (packages.length === 0) {
+        return null;
       }
 
-      query += ' ORDER BY mc.episode_number';
+      const hlsPackage = packages[0];
+      await fs.access(hlsPackage.master_playlist_path);
 
-      const episodes = await database.query(query, params);
-      
-      // Parse metadata for each episode
-      return episodes.map(episode => ({
-        ...episode,
-        metadata: episode.metadata ? JSON.parse(episode.metadata) : null,
-        extended_metadata: episode.extended_metadata ? JSON.parse(episode.extended_metadata) : null,
-        file_size_mb: Math.round(episode.file_size / (1024 * 1024) * 100) / 100
-      }));
+      // Alternate audio renditions are stored alongside the video ones
+      const renditions = JSON.parse(hlsPackage.renditions || '[]');
 
+      return {
+        ...hlsPackage,
+        renditions: renditions.filter(r => r.type !== 'audio'),
+        audioRenditions: renditions.filter(r => r.type === 'audio')
+      };
     } catch (error) {
-      throw error;
+      // Table missing (transcoding not initialised) or package removed from disk
+      return null;
+    }
+  }
+
+  // Audio streams of a content item, read from stored metadata; items ingested
+  // before audio tracks were recorded are probed once and backfilled
+  async getAudioTracks(media) {
+    if (media.media_type !== 'video') return [];
+
+    let metadata = {};
+    try {
+      metadata = typeof media.metadata === 'string' ? JSON.parse(media.metadata || '{}') : (media.metadata || {});
+    } catch (error) {
+      metadata = {};
     }
+
+    let audioTracks = metadata.audioTracks;
+    if (!Array.isArray(audioTracks)) {
+      const probed = await this.extractMetadata(media.file_path, media.mime_type || 'video/mp4');
+      audioTracks = probed.audioTracks;
+
+      if (audioTracks.length > 0) {
+        await database.update(
+          'UPDATE media_content SET metadata = ? WHERE id = ?',
+          [JSON.stringify({ ...metadata, audioTracks }), media.id]
+        );
+      }
+    }
+
+    return audioTracks.map(track => {
+      const language = normalizeLanguage(track.language);
+      const channels = track.channels === 6 ? '5.1' : track.channels === 8 ? '7.1' : track.channels === 1 ? 'Mono' : track.channels === 2 ? 'Stereo' : null;
+
+      return {
+        index: track.audioIndex,
+        language: language.code,
+        label: [track.title || language.name || `Track ${track.audioIndex + 1}`, channels].filter(Boolean).join(' - '),
+        codec: track.codec,
+        channels: track.channels,
+        is_default: track.isDefault
+      };
+    });
   }
 
   // Get the best available file for streaming (prefers transcoded versions)
@@ -1236,6 +1503,39 @@ class MediaService {
     }
   }
 
+  // A specific file for streaming, as picked by a playback decision: 'original'
+  // or the id of one of the original's transcoded results
+  async getStreamingVariant(variant, originalFilePath) {
+    let filePath = originalFilePath;
+    let quality = 'original';
+
+    if (variant !== 'original') {
+      const results = await database.query(
+        'SELECT transcoded_path, quality FROM transcoded_results WHERE id = ? AND original_path = ?',
+        [variant, originalFilePath]
+      );
+      if (results.length === 0) {
+        return null;
+      }
+      filePath = results[0].transcoded_path;
+      quality = results[0].quality;
+    }
+
+    try {
+      const stats = await fs.stat(filePath);
+      return {
+        filePath,
+        isTranscoded: variant !== 'original',
+        quality,
+        fileSize: stats.size,
+        mimeType: variant === 'original' ? null : (filePath.endsWith('.webm') ? 'video/webm' : 'video/mp4'),
+        compressionInfo: null
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
   // Get a lower quality file for streaming enforcement
   async getLowerQualityFile(mediaId, originalFilePath, maxQuality) {
     try {
@@ -511,8 +511,9 @@ class MovieMetadataService {
     });
   }
 
-  // Combine TMDB metadata with technical metadata
-  async getCompleteMetadata(filename, filePath, category = 'movie') {
+  // Combine TMDB metadata with technical metadata. Library sections using the
+  // "local" agent skip the TMDB lookup and keep the filename title.
+  async getCompleteMetadata(filename, filePath, category = 'movie', { lookupOnline = true } = {}) {
     
     // Extract title and year from filename
     const title = this.extractTitle(filename);
@@ -523,9 +524,9 @@ class MovieMetadataService {
     
     // Get metadata from TMDB based on category
     let tmdbMetadata = null;
-    if (category === 'tv-show') {
+    if (lookupOnline && category === 'tv-show') {
       tmdbMetadata = await this.getTVShowMetadata(title, year);
-    } else {
+    } else if (lookupOnline) {
       tmdbMetadata = await this.getMovieMetadata(title, year);
     }
     
@@ -591,6 +592,7 @@ class MovieMetadataService {
       duration: metadata.technical?.duration || (isTV ? metadata.episodeRunTime * 60 : null), // Convert minutes to seconds for TV
       file_size: metadata.technical?.fileSize || null,
       resolution: metadata.technical?.resolution || null,
+      content_rating: metadata.contentRating || null,
       
       // Extended metadata (JSON)
       extended_metadata: JSON.stringify({
@@ -0,0 +1,320 @@
+const bcrypt = require('bcryptjs');
+const database = require('../utils/database');
+const librarySectionService = require('./librarySectionService');
+
+// Movie and TV certifications share one scale so a single limit covers both
+const RATING_LEVELS = [
+  { key: 'G', label: 'G / TV-Y / TV-G', ratings: ['G', 'TV-Y', 'TV-G'] },
+  { key: 'PG', label: 'PG / TV-Y7 / TV-PG', ratings: ['PG', 'TV-Y7', 'TV-Y7-FV', 'TV-PG'] },
+  { key: 'PG-13', label: 'PG-13 / TV-14', ratings: ['PG-13', 'TV-14'] },
+  { key: 'R', label: 'R / TV-MA', ratings: ['R', 'TV-MA'] },
+  { key: 'NC-17', label: 'NC-17', ratings: ['NC-17'] }
+];
+
+// Restrictions come from two places: limits an admin puts on the account,
+// and the kids profile a session can switch into (leaving it needs the PIN).
+// Library section access rides along so every listing honours it too.
+class ParentalControlService {
+  constructor() {
+    this.ratingLevels = RATING_LEVELS;
+    this.defaultKidsRating = 'PG';
+    this.maxBlockedTags = 50;
+    this.pinPattern = /^\d{4,8}$/;
+    this.maxPinAttempts = 5;
+    this.pinLockoutMs = 15 * 60 * 1000;
+    this.pinAttempts = new Map(); // userId -> { count, firstAttempt }
+  }
+
+  // Ratings
+
+  // Position of a rating on the shared scale, or null for unrated/unknown
+  ratingLevel(rating) {
+    if (!rating) return null;
+    const normalized = String(rating).trim().toUpperCase();
+    const index = this.ratingLevels.findIndex(level => level.ratings.includes(normalized));
+    return index === -1 ? null : index;
+  }
+
+  isValidRating(rating) {
+    return this.ratingLevel(rating) !== null;
+  }
+
+  listRatings() {
+    return {
+      levels: this.ratingLevels.map(level => ({ key: level.key, label: level.label })),
+      ratings: this.ratingLevels.flatMap(level => level.ratings)
+    };
+  }
+
+  // Manual ratings win; otherwise use the TMDB certification from the metadata fetch
+  getContentRating(media) {
+    if (media.content_rating) return media.content_rating;
+    try {
+      const extended = typeof media.extended_metadata === 'string'
+        ? JSON.parse(media.extended_metadata)
+        : media.extended_metadata;
+      return extended?.content_rating || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async setContentRating(mediaId, rating) {
+    if (rating && !this.isValidRating(rating)) {
+      throw new Error('Unknown content rating');
+    }
+
+    // Clearing a manual rating hands the title back to TMDB
+    await database.update(
+      'UPDATE media_content SET content_rating = ?, content_rating_source = ? WHERE id = ?',
+      [rating ? String(rating).trim().toUpperCase() : null, rating ? 'manual' : null, mediaId]
+    );
+  }
+
+  // Settings
+
+  parseTags(value) {
+    try {
+      const tags = typeof value === 'string' ? JSON.parse(value || '[]') : (value || []);
+      return Array.isArray(tags) ? tags : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))]
+      .slice(0, this.maxBlockedTags);
+  }
+
+  async getSettingsRow(userId) {
+    const rows = await database.query('SELECT * FROM parental_controls WHERE user_id = ?', [userId]);
+    return rows[0] || null;
+  }
+
+  formatSettings(row) {
+    return {
+      maxRating: row?.max_rating || null,
+      blockedTags: this.parseTags(row?.blocked_tags),
+      allowUnrated: row ? !!row.allow_unrated : true,
+      kidsProfile: {
+        enabled: !!row?.kids_pin_hash,
+        maxRating: row?.kids_max_rating || this.defaultKidsRating,
+        blockedTags: this.parseTags(row?.kids_blocked_tags)
+      },
+      updatedAt: row?.updated_at || null
+    };
+  }
+
+  async getSettings(userId) {
+    return this.formatSettings(await this.getSettingsRow(userId));
+  }
+
+  async saveSettingsRow(userId, fields, updatedBy) {
+    const existing = await this.getSettingsRow(userId);
+    const now = new Date().toISOString();
+    const columns = Object.keys(fields);
+
+    if (existing) {
+      await database.update(
+        `UPDATE parental_controls SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_by = ?, updated_at = ? WHERE user_id = ?`,
+        [...columns.map(column => fields[column]), updatedBy, now, userId]
+      );
+    } else {
+      await database.insert(
+        `INSERT INTO parental_controls (user_id, ${columns.join(', ')}, updated_by, updated_at)
+         VALUES (?, ${columns.map(() => '?').join(', ')}, ?, ?)`,
+        [userId, ...columns.map(column => fields[column]), updatedBy, now]
+      );
+    }
+  }
+
+  // Account limits, set by an admin
+  async updateAccountLimits(userId, { maxRating, blockedTags, allowUnrated }, updatedBy) {
+    if (maxRating && !this.ratingLevels.some(level => level.key === maxRating)) {
+      throw new Error('Unknown maximum rating');
+    }
+
+    await this.saveSettingsRow(userId, {
+      max_rating: maxRating || null,
+      blocked_tags: JSON.stringify(this.normalizeTags(blockedTags)),
+      allow_unrated: allowUnrated === false ? 0 : 1
+    }, updatedBy);
+
+    return this.getSettings(userId);
+  }
+
+  // Kids profile
+
+  async updateKidsProfile(userId, { pin, currentPin, maxRating, blockedTags }) {
+    const row = await this.getSettingsRow(userId);
+    const rating = maxRating || this.defaultKidsRating;
+    if (!this.ratingLevels.some(level => level.key === rating)) {
+      throw new Error('Unknown maximum rating');
+    }
+
+    const fields = {
+      kids_max_rating: rating,
+      kids_blocked_tags: JSON.stringify(this.normalizeTags(blockedTags))
+    };
+
+    if (pin) {
+      if (!this.pinPattern.test(pin)) {
+        throw new Error('PIN must be 4 to 8 digits');
+      }
+      // Changing an existing PIN needs the old one
+      if (row?.kids_pin_hash && !(await this.checkPin(userId, row, currentPin))) {
+        throw new Error('Current PIN is incorrect');
+      }
+      fields.kids_pin_hash = await bcrypt.hash(pin, 10);
+    } else if (!row?.kids_pin_hash) {
+      throw new Error('Set a PIN to protect the kids profile');
+    }
+
+    await this.saveSettingsRow(userId, fields, userId);
+    return this.getSettings(userId);
+  }
+
+  async disableKidsProfile(userId, pin) {
+    const row = await this.getSettingsRow(userId);
+    if (!row?.kids_pin_hash) {
+      throw new Error('Kids profile is not set up');
+    }
+    if (!(await this.checkPin(userId, row, pin))) {
+      throw new Error('Incorrect PIN');
+    }
+
+    await this.saveSettingsRow(userId, { kids_pin_hash: null }, userId);
+    await database.update(
+      'UPDATE user_sessions SET active_profile = ? WHERE user_id = ?',
+      ['main', userId]
+    );
+    return this.getSettings(userId);
+  }
+
+  // PIN checks are throttled per user so a child can't guess their way out
+  async checkPin(userId, row, pin) {
+    const key = String(userId);
+    const attempts = this.pinAttempts.get(key);
+    if (attempts && Date.now() - attempts.firstAttempt > this.pinLockoutMs) {
+      this.pinAttempts.delete(key);
+    } else if (attempts && attempts.count >= this.maxPinAttempts) {
+      throw new Error('Too many incorrect PIN attempts. Try again later.');
+    }
+
+    const valid = !!pin && await bcrypt.compare(String(pin), row.kids_pin_hash);
+    if (valid) {
+      this.pinAttempts.delete(key);
+    } else {
+      const current = this.pinAttempts.get(key) || { count: 0, firstAttempt: Date.now() };
+      this.pinAttempts.set(key, { ...current, count: current.count + 1 });
+    }
+    return valid;
+  }
+
+  async getActiveProfile(sessionId) {
+    if (!sessionId) return 'main';
+    const sessions = await database.query('SELECT active_profile FROM user_sessions WHERE session_id = ?', [sessionId]);
+    return sessions[0]?.active_profile === 'kids' ? 'kids' : 'main';
+  }
+
+  async switchProfile(userId, sessionId, profile, pin) {
+    if (!sessionId) {
+      throw new Error('Profiles can only be switched from a signed in session');
+    }
+    if (!['main', 'kids'].includes(profile)) {
+      throw new Error('Unknown profile');
+    }
+
+    const row = await this.getSettingsRow(userId);
+    if (profile === 'kids' && !row?.kids_pin_hash) {
+      throw new Error('Set up the kids profile first');
+    }
+
+    // Entering the kids profile is free; leaving it needs the PIN
+    if (profile === 'main' && (await this.getActiveProfile(sessionId)) === 'kids') {
+      if (!(await this.checkPin(userId, row, pin))) {
+        throw new Error('Incorrect PIN');
+      }
+    }
+
+    await database.update(
+      'UPDATE user_sessions SET active_profile = ? WHERE session_id = ? AND user_id = ?',
+      [profile, sessionId, userId]
+    );
+    return { activeProfile: profile };
+  }
+
+  // Enforcement
+
+  // Effective restrictions for a user/session, or null when nothing is restricted
+  async getRestrictions(userId, sessionId = null) {
+    const [row, activeProfile, sectionIds] = await Promise.all([
+      this.getSettingsRow(userId),
+      this.getActiveProfile(sessionId),
+      librarySectionService.getAccessibleSectionIds(userId)
+    ]);
+    const settings = this.formatSettings(row);
+    const kids = activeProfile === 'kids' && settings.kidsProfile.enabled;
+
+    const levels = [settings.maxRating, kids ? settings.kidsProfile.maxRating : null]
+      .filter(Boolean)
+      .map(key => this.ratingLevels.findIndex(level => level.key === key));
+    const blockedTags = [...new Set([
+      ...settings.blockedTags,
+      ...(kids ? settings.kidsProfile.blockedTags : [])
+    ])];
+
+    if (levels.length === 0 && blockedTags.length === 0 && !sectionIds) return null;
+
+    return {
+      profile: activeProfile,
+      sectionIds,
+      maxLevel: levels.length > 0 ? Math.min(...levels) : null,
+      blockedTags,
+      // Unrated titles are never shown on the kids profile
+      allowUnrated: kids ? false : settings.allowUnrated
+    };
+  }
+
+  // Cached per request since listing routes can need it more than once
+  async forRequest(req) {
+    if (req.parentalRestrictions === undefined) {
+      req.parentalRestrictions = await this.getRestrictions(req.user.id, req.sessionId);
+    }
+    return req.parentalRestrictions;
+  }
+
+  isAllowed(media, restrictions) {
+    if (!restrictions || !media) return true;
+
+    // Only titles filed under a section can be hidden by section access
+    if (restrictions.sectionIds && media.library_section_id &&
+        !restrictions.sectionIds.includes(media.library_section_id)) {
+      return false;
+    }
+
+    if (restrictions.maxLevel !== null) {
+      const level = this.ratingLevel(this.getContentRating(media));
+      if (level === null) {
+        if (!restrictions.allowUnrated) return false;
+      } else if (level > restrictions.maxLevel) {
+        return false;
+      }
+    }
+
+    if (restrictions.blockedTags.length > 0) {
+      const tags = (media.tags || '').split(',').map(tag => tag.trim().toLowerCase());
+      if (tags.some(tag => restrictions.blockedTags.includes(tag))) return false;
+    }
+
+    return true;
+  }
+
+  filterAllowed(items, restrictions) {
+    return restrictions ? items.filter(item => this.isAllowed(item, restrictions)) : items;
+  }
+}
+
+module.exports = new ParentalControlService();
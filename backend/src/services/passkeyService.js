@@ -0,0 +1,262 @@
+const jwt = require('jsonwebtoken');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL } = require('@simplewebauthn/server/helpers');
+const database = require('../utils/database');
+const sessionService = require('./sessionService');
+
+// WebAuthn passkeys. Challenges travel to the client inside a short-lived
+// signed token; sign in challenges are remembered once used until they expire.
+// User verification (biometric or device PIN) is required, since a passkey
+// replaces both the password and the TOTP step.
+class PasskeyService {
+  constructor() {
+    this.rpName = process.env.APP_NAME || 'Archive of Obselis';
+    this.challengeExpiresIn = '5m';
+    this.challengeAudience = 'media-server-webauthn';
+    this.maxNameLength = 64;
+    this.usedChallenges = new Map(); // challenge -> expiry (ms)
+  }
+
+  get rpID() {
+    if (process.env.WEBAUTHN_RP_ID) return process.env.WEBAUTHN_RP_ID;
+    try {
+      return new URL(process.env.FRONTEND_URL).hostname;
+    } catch (error) {
+      return 'localhost';
+    }
+  }
+
+  get origins() {
+    const configured = process.env.WEBAUTHN_ORIGINS || process.env.FRONTEND_URL || 'http://localhost:3000';
+    return configured.split(',').map(origin => origin.trim()).filter(Boolean);
+  }
+
+  // Challenge tokens
+
+  createChallengeToken(challenge, purpose, userId = null) {
+    return jwt.sign(
+      { type: 'webauthn', purpose, challenge, userId },
+      process.env.JWT_SECRET,
+      { expiresIn: this.challengeExpiresIn, issuer: 'media-server', audience: this.challengeAudience }
+    );
+  }
+
+  verifyChallengeToken(challengeToken, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: this.challengeAudience });
+    } catch (error) {
+      throw new Error('Passkey request has expired. Please try again.');
+    }
+
+    if (decoded.type !== 'webauthn' || decoded.purpose !== purpose) {
+      throw new Error('Invalid passkey request');
+    }
+    return decoded;
+  }
+
+  // False when the challenge was already used. No await between the check and
+  // the set, so concurrent requests can't both pass.
+  consumeChallenge(decoded) {
+    const now = Date.now();
+    for (const [challenge, expiresAt] of this.usedChallenges) {
+      if (expiresAt <= now) this.usedChallenges.delete(challenge);
+    }
+
+    if (this.usedChallenges.has(decoded.challenge)) {
+      return false;
+    }
+    this.usedChallenges.set(decoded.challenge, decoded.exp * 1000);
+    return true;
+  }
+
+  // Stored credentials
+
+  parseTransports(passkey) {
+    try {
+      return passkey.transports ? JSON.parse(passkey.transports) : undefined;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  async getUserPasskeys(userId) {
+    return database.query(
+      'SELECT * FROM passkeys WHERE user_id = ? ORDER BY created_at DESC',
+      [userId]
+    );
+  }
+
+  async listPasskeys(userId) {
+    const passkeys = await this.getUserPasskeys(userId);
+    return passkeys.map(passkey => ({
+      id: passkey.id,
+      name: passkey.name,
+      deviceType: passkey.device_type,
+      backedUp: !!passkey.backed_up,
+      createdAt: passkey.created_at,
+      lastUsedAt: passkey.last_used_at
+    }));
+  }
+
+  async deletePasskey(userId, passkeyId) {
+    const result = await database.delete(
+      'DELETE FROM passkeys WHERE id = ? AND user_id = ?',
+      [passkeyId, userId]
+    );
+    if (!result || result.changes === 0) {
+      throw new Error('Passkey not found');
+    }
+    return { message: 'Passkey removed' };
+  }
+
+  // Registration
+
+  async getRegistrationOptions(user) {
+    const existing = await this.getUserPasskeys(user.id);
+
+    const options = await generateRegistrationOptions({
+      rpName: this.rpName,
+      rpID: this.rpID,
+      userName: user.email,
+      userDisplayName: user.display_name || user.username,
+      userID: new TextEncoder().encode(String(user.id)),
+      attestationType: 'none',
+      excludeCredentials: existing.map(passkey => ({
+        id: passkey.credential_id,
+        transports: this.parseTransports(passkey)
+      })),
+      authenticatorSelection: {
+        residentKey: 'required', // Discoverable, so sign in doesn't need an email
+        userVerification: 'required'
+      }
+    });
+
+    return {
+      options,
+      challengeToken: this.createChallengeToken(options.challenge, 'register', user.id)
+    };
+  }
+
+  async verifyRegistration(userId, challengeToken, response, name, userAgent) {
+    const challenge = this.verifyChallengeToken(challengeToken, 'register');
+    if (String(challenge.userId) !== String(userId)) {
+      throw new Error('Invalid passkey request');
+    }
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge: challenge.challenge,
+        expectedOrigin: this.origins,
+        expectedRPID: this.rpID,
+        requireUserVerification: true
+      });
+    } catch (error) {
+      console.error('❌ Passkey registration verification failed:', error.message);
+      throw new Error('Passkey could not be verified');
+    }
+
+    if (!verification.verified) {
+      throw new Error('Passkey could not be verified');
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+    // Default the label to the device the passkey was created on
+    let label = String(name || '').trim().slice(0, this.maxNameLength);
+    if (!label) {
+      const { device, browser } = sessionService.parseUserAgent(userAgent);
+      label = `${browser} on ${device}`;
+    }
+
+    await database.insert(
+      `INSERT INTO passkeys (user_id, credential_id, public_key, counter, transports, device_type, backed_up, name, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        credential.id,
+        isoBase64URL.fromBuffer(credential.publicKey),
+        credential.counter,
+        credential.transports ? JSON.stringify(credential.transports) : null,
+        credentialDeviceType,
+        credentialBackedUp,
+        label,
+        new Date().toISOString()
+      ]
+    );
+
+    return { name: label };
+  }
+
+  // Authentication
+
+  // Empty allowCredentials lets the browser offer any discoverable passkey for this site
+  async getAuthenticationOptions() {
+    const options = await generateAuthenticationOptions({
+      rpID: this.rpID,
+      userVerification: 'required'
+    });
+
+    return {
+      options,
+      challengeToken: this.createChallengeToken(options.challenge, 'login')
+    };
+  }
+
+  // Returns the user id the assertion belongs to
+  async verifyAuthentication(challengeToken, response) {
+    const challenge = this.verifyChallengeToken(challengeToken, 'login');
+
+    const passkeys = await database.query('SELECT * FROM passkeys WHERE credential_id = ?', [response?.id]);
+    const passkey = passkeys[0];
+    if (!passkey) {
+      throw new Error('This passkey is not registered');
+    }
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge: challenge.challenge,
+        expectedOrigin: this.origins,
+        expectedRPID: this.rpID,
+        credential: {
+          id: passkey.credential_id,
+          publicKey: isoBase64URL.toBuffer(passkey.public_key),
+          counter: parseInt(passkey.counter) || 0,
+          transports: this.parseTransports(passkey)
+        },
+        requireUserVerification: true
+      });
+    } catch (error) {
+      console.error('❌ Passkey authentication verification failed:', error.message);
+      throw new Error('Passkey could not be verified');
+    }
+
+    if (!verification.verified) {
+      throw new Error('Passkey could not be verified');
+    }
+
+    // Many authenticators always report a counter of 0, so the counter alone
+    // doesn't stop a captured assertion from being replayed
+    if (!this.consumeChallenge(challenge)) {
+      throw new Error('Passkey request has already been used. Please try again.');
+    }
+
+    await database.update(
+      'UPDATE passkeys SET counter = ?, last_used_at = ? WHERE id = ?',
+      [verification.authenticationInfo.newCounter, new Date().toISOString(), passkey.id]
+    );
+
+    return passkey.user_id;
+  }
+}
+
+module.exports = new PasskeyService();
@@ -0,0 +1,274 @@
+const database = require('../utils/database');
+
+// Named permissions routes are checked against. Roles are just sets of these.
+const PERMISSIONS = {
+  upload: {
+    label: 'Upload',
+    description: 'Upload media, scan the library, and edit titles, metadata and subtitles'
+  },
+  publish: {
+    label: 'Publish',
+    description: 'Publish or unpublish titles and see unpublished ones'
+  },
+  delete: {
+    label: 'Delete',
+    description: 'Delete media, clean up duplicates and orphaned files'
+  },
+  'manage-transcoding': {
+    label: 'Manage transcoding',
+    description: 'Queue, stop and configure transcoding jobs'
+  },
+  'manage-users': {
+    label: 'Manage users',
+    description: 'Invite users, change roles and account limits, end streams'
+  },
+  'view-analytics': {
+    label: 'View analytics',
+    description: 'See storage, streaming and bandwidth statistics'
+  },
+  'manage-settings': {
+    label: 'Manage settings',
+    description: 'Library folders, streaming and storage settings, diagnostics and recovery'
+  }
+};
+
+// Built-in roles can't be edited or deleted
+const BUILT_IN_ROLES = {
+  admin: {
+    label: 'Administrator',
+    description: 'Full access to everything',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  manager: {
+    label: 'Content Manager',
+    description: 'Uploads, publishes and removes content',
+    permissions: ['upload', 'publish', 'delete']
+  },
+  user: {
+    label: 'User',
+    description: 'Browses and streams the library',
+    permissions: []
+  }
+};
+
+// Custom roles are kept in memory so permission checks stay synchronous;
+// the cache is reloaded whenever a role changes.
+class PermissionService {
+  constructor() {
+    this.permissions = PERMISSIONS;
+    this.builtInRoles = BUILT_IN_ROLES;
+    this.customRoles = new Map(); // name -> role
+    this.loaded = false;
+    this.loading = null;
+    this.namePattern = /^[a-z][a-z0-9-]{1,31}$/;
+    this.maxLabelLength = 64;
+    this.maxDescriptionLength = 255;
+  }
+
+  parsePermissions(value) {
+    try {
+      const permissions = typeof value === 'string' ? JSON.parse(value || '[]') : (value || []);
+      return Array.isArray(permissions) ? permissions.filter(key => this.permissions[key]) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async load() {
+    const rows = await database.query('SELECT * FROM roles ORDER BY label');
+    this.customRoles = new Map(rows.map(row => [row.name, {
+      id: row.id,
+      name: row.name,
+      label: row.label,
+      description: row.description || '',
+      permissions: this.parsePermissions(row.permissions),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }]));
+    this.loaded = true;
+  }
+
+  async ensureLoaded() {
+    if (this.loaded) return;
+    if (!this.loading) {
+      this.loading = this.load()
+        .catch(error => {
+          console.error('❌ Failed to load custom roles:', error.message);
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    await this.loading;
+  }
+
+  // Lookups
+
+  roleExists(role) {
+    return !!this.builtInRoles[role] || this.customRoles.has(role);
+  }
+
+  getPermissions(role) {
+    if (this.builtInRoles[role]) return [...this.builtInRoles[role].permissions];
+    return [...(this.customRoles.get(role)?.permissions || [])];
+  }
+
+  // Legacy is_admin accounts keep full access
+  userPermissions(user) {
+    if (!user) return [];
+    if (user.is_admin) return Object.keys(this.permissions);
+    return this.getPermissions(user.role || 'user');
+  }
+
+  roleHas(role, permission) {
+    return this.getPermissions(role).includes(permission);
+  }
+
+  userHas(user, permission) {
+    return this.userPermissions(user).includes(permission);
+  }
+
+  getRoleLabel(role) {
+    return this.builtInRoles[role]?.label || this.customRoles.get(role)?.label || 'User';
+  }
+
+  // Unpublished titles are visible to anyone who can upload or publish them
+  canSeeUnpublished(role) {
+    const permissions = this.getPermissions(role);
+    return permissions.includes('upload') || permissions.includes('publish');
+  }
+
+  listPermissions() {
+    return Object.entries(this.permissions).map(([key, permission]) => ({ key, ...permission }));
+  }
+
+  listRoles() {
+    const builtIn = Object.entries(this.builtInRoles).map(([name, role]) => ({
+      name,
+      label: role.label,
+      description: role.description,
+      permissions: [...role.permissions],
+      builtIn: true
+    }));
+    const custom = [...this.customRoles.values()].map(role => ({ ...role, builtIn: false }));
+    return [...builtIn, ...custom];
+  }
+
+  // Nobody can hand out permissions they don't hold themselves
+  assertCanGrant(actor, permissions) {
+    const held = this.userPermissions(actor);
+    const missing = permissions.filter(permission => !held.includes(permission));
+    if (missing.length > 0) {
+      throw new Error(`You can't grant permissions you don't have: ${missing.join(', ')}`);
+    }
+  }
+
+  // Accounts can only be managed by someone holding every permission they have
+  canManageUser(actor, target) {
+    const held = this.userPermissions(actor);
+    return this.userPermissions(target).every(permission => held.includes(permission));
+  }
+
+  assertCanAssignRole(actor, target, newRole) {
+    if (!this.roleExists(newRole)) {
+      throw new Error('Unknown role');
+    }
+    this.assertCanGrant(actor, this.getPermissions(newRole));
+    // Taking a role away needs the same standing as giving it
+    this.assertCanGrant(actor, this.userPermissions(target));
+  }
+
+  // Custom role management
+
+  validateRoleInput({ label, description, permissions }) {
+    const cleanLabel = String(label || '').trim().slice(0, this.maxLabelLength);
+    if (!cleanLabel) {
+      throw new Error('Role name is required');
+    }
+
+    const requested = [...new Set(Array.isArray(permissions) ? permissions : [])];
+    const unknown = requested.filter(key => !this.permissions[key]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+
+    return {
+      label: cleanLabel,
+      description: String(description || '').trim().slice(0, this.maxDescriptionLength),
+      permissions: requested
+    };
+  }
+
+  async createRole(actor, { name, ...input }) {
+    await this.ensureLoaded();
+
+    const key = String(name || '').trim().toLowerCase();
+    if (!this.namePattern.test(key)) {
+      throw new Error('Role key must be 2-32 lowercase letters, numbers or dashes, starting with a letter');
+    }
+    if (this.roleExists(key)) {
+      throw new Error('A role with that key already exists');
+    }
+
+    const role = this.validateRoleInput(input);
+    this.assertCanGrant(actor, role.permissions);
+
+    const now = new Date().toISOString();
+    await database.insert(
+      `INSERT INTO roles (name, label, description, permissions, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [key, role.label, role.description, JSON.stringify(role.permissions), actor.id, now, now]
+    );
+
+    await this.load();
+    return this.customRoles.get(key);
+  }
+
+  async updateRole(actor, name, input) {
+    await this.ensureLoaded();
+
+    if (this.builtInRoles[name]) {
+      throw new Error('Built-in roles can\'t be edited');
+    }
+    const existing = this.customRoles.get(name);
+    if (!existing) {
+      throw new Error('Role not found');
+    }
+
+    const role = this.validateRoleInput(input);
+    this.assertCanGrant(actor, [...role.permissions, ...existing.permissions]);
+
+    await database.update(
+      'UPDATE roles SET label = ?, description = ?, permissions = ?, updated_at = ? WHERE name = ?',
+      [role.label, role.description, JSON.stringify(role.permissions), new Date().toISOString(), name]
+    );
+
+    await this.load();
+    return this.customRoles.get(name);
+  }
+
+  async deleteRole(actor, name) {
+    await this.ensureLoaded();
+
+    if (this.builtInRoles[name]) {
+      throw new Error('Built-in roles can\'t be deleted');
+    }
+    const existing = this.customRoles.get(name);
+    if (!existing) {
+      throw new Error('Role not found');
+    }
+    this.assertCanGrant(actor, existing.permissions);
+
+    const assigned = await database.query('SELECT COUNT(*) as count FROM users WHERE role = ?', [name]);
+    const count = parseInt(assigned[0]?.count) || 0;
+    if (count > 0) {
+      throw new Error(`This role is assigned to ${count} user${count === 1 ? '' : 's'}. Move them to another role first.`);
+    }
+
+    await database.delete('DELETE FROM roles WHERE name = ?', [name]);
+    await this.load();
+    return { message: 'Role deleted' };
+  }
+}
+
+module.exports = new PermissionService();
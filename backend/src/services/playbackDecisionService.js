@@ -0,0 +1,276 @@
+const path = require('path');
+const fs = require('fs').promises;
+const ffmpeg = require('fluent-ffmpeg');
+const database = require('../utils/database');
+const mediaService = require('./mediaService');
+const liveTranscoder = require('./transcoding/liveTranscoder');
+
+const RESOLUTION_HEIGHTS = { '480p': 480, '720p': 720, '1080p': 1080, '4k': 2160 };
+
+// Client and ffprobe spellings of the same codec or container
+const CODEC_ALIASES = {
+  avc: 'h264', avc1: 'h264', 'h.264': 'h264', x264: 'h264',
+  h265: 'hevc', 'h.265': 'hevc', hvc1: 'hevc', hev1: 'hevc', x265: 'hevc',
+  av01: 'av1', vp09: 'vp9',
+  'mp4a': 'aac', 'ac-3': 'ac3', 'e-ac-3': 'eac3', 'ec-3': 'eac3'
+};
+
+const CONTAINER_EXTENSIONS = {
+  '.mp4': 'mp4', '.m4v': 'mp4', '.mkv': 'mkv', '.webm': 'webm', '.mov': 'mov',
+  '.avi': 'avi', '.ts': 'ts', '.m2ts': 'ts', '.wmv': 'wmv', '.flv': 'flv'
+};
+
+// Codecs ffmpeg can copy into the MPEG-TS segments of a direct stream
+const REMUX_VIDEO_CODECS = ['h264'];
+const REMUX_AUDIO_CODECS = ['aac', 'mp3', 'ac3', 'eac3'];
+
+// Decides how a client plays a title: direct play of a file the client can
+// decode as is, direct stream (the original remuxed into HLS without touching
+// the video) or a live transcode, based on what the client says it supports
+// and the server's streaming limits
+class PlaybackDecisionService {
+  constructor() {
+    // ffprobe results by path, invalidated when the file changes
+    this.probeCache = new Map();
+    this.maxProbeCacheSize = 500;
+  }
+
+  normalizeCodec(codec) {
+    const name = String(codec || '').trim().toLowerCase();
+    return CODEC_ALIASES[name] || CODEC_ALIASES[name.split('.')[0]] || name;
+  }
+
+  normalizeList(values) {
+    if (!Array.isArray(values)) return [];
+    return [...new Set(values.map(value => this.normalizeCodec(value)).filter(Boolean))];
+  }
+
+  // maxResolution may be a label ('720p') or a height in pixels
+  parseHeight(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const height = RESOLUTION_HEIGHTS[String(value).toLowerCase()] || parseInt(value);
+    return height > 0 ? height : null;
+  }
+
+  // What the client can play, with the server's streaming limits applied
+  normalizeCapabilities(input = {}, streamingSettings = {}) {
+    const containers = this.normalizeList(input.containers);
+    const serverHeight = RESOLUTION_HEIGHTS[streamingSettings.max_resolution] || 1080;
+    const clientHeight = this.parseHeight(input.maxResolution);
+    // bitrate_limit is in Mbps, client bandwidth in kbps
+    const serverBitrate = parseFloat(streamingSettings.bitrate_limit) > 0 ? parseFloat(streamingSettings.bitrate_limit) * 1000 : null;
+    const clientBitrate = parseFloat(input.bandwidth) > 0 ? parseFloat(input.bandwidth) : null;
+
+    return {
+      containers,
+      videoCodecs: this.normalizeList(input.videoCodecs),
+      audioCodecs: this.normalizeList(input.audioCodecs),
+      hls: input.hls === true || containers.includes('hls') || containers.includes('m3u8'),
+      maxHeight: clientHeight ? Math.min(clientHeight, serverHeight) : serverHeight,
+      maxBitrate: [serverBitrate, clientBitrate].filter(Boolean).reduce((min, value) => Math.min(min, value), Infinity)
+    };
+  }
+
+  // 1920x800 scope films count as 1080p
+  getResolutionHeight(width, height) {
+    return Math.max(height || 0, Math.round((width || 0) * 9 / 16));
+  }
+
+  async probe(filePath) {
+    const stats = await fs.stat(filePath);
+    const cacheKey = `${stats.size}:${stats.mtimeMs}`;
+    const cached = this.probeCache.get(filePath);
+    if (cached && cached.cacheKey === cacheKey) {
+      return cached.info;
+    }
+
+    const data = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+    const video = data.streams.find(stream => stream.codec_type === 'video');
+    const audio = data.streams.find(stream => stream.codec_type === 'audio');
+
+    const info = {
+      container: CONTAINER_EXTENSIONS[path.extname(filePath).toLowerCase()] || path.extname(filePath).slice(1).toLowerCase(),
+      videoCodec: video ? this.normalizeCodec(video.codec_name) : null,
+      audioCodec: audio ? this.normalizeCodec(audio.codec_name) : null,
+      width: video?.width || null,
+      height: video ? this.getResolutionHeight(video.width, video.height) : null,
+      // kbps
+      bitrate: Math.round((parseInt(data.format.bit_rate) || Math.round(stats.size * 8 / (parseFloat(data.format.duration) || 1))) / 1000),
+      duration: parseFloat(data.format.duration) || null
+    };
+
+    if (this.probeCache.size >= this.maxProbeCacheSize) {
+      this.probeCache.delete(this.probeCache.keys().next().value);
+    }
+    this.probeCache.set(filePath, { cacheKey, info });
+    return info;
+  }
+
+  // Why a file can't be played as is, or null when it can
+  getDirectPlayProblem(source, capabilities) {
+    if (!capabilities.containers.includes(source.container)) {
+      return `Container ${source.container} is not supported by the client`;
+    }
+    return this.getStreamProblem(source, capabilities, { checkAudio: true });
+  }
+
+  getStreamProblem(source, capabilities, { checkAudio }) {
+    if (!source.videoCodec) {
+      return 'No video stream';
+    }
+    if (!capabilities.videoCodecs.includes(source.videoCodec)) {
+      return `Video codec ${source.videoCodec} is not supported by the client`;
+    }
+    if (checkAudio && source.audioCodec && !capabilities.audioCodecs.includes(source.audioCodec)) {
+      return `Audio codec ${source.audioCodec} is not supported by the client`;
+    }
+    if (source.height > capabilities.maxHeight) {
+      return `Resolution ${source.height}p is above the ${capabilities.maxHeight}p limit`;
+    }
+    if (source.bitrate > capabilities.maxBitrate) {
+      return `Bitrate ${(source.bitrate / 1000).toFixed(1)} Mbps is above the ${(capabilities.maxBitrate / 1000).toFixed(1)} Mbps limit`;
+    }
+    return null;
+  }
+
+  // HLS packages list their codecs in RFC 6381 form (hvc1.1.6.L120.90,mp4a.40.2)
+  getHLSProblem(hlsPackage, capabilities) {
+    if (!capabilities.hls) {
+      return 'The client does not support HLS';
+    }
+
+    const problems = [];
+    const playable = hlsPackage.renditions.filter(rendition => {
+      const [videoCodec, audioCodec] = String(rendition.codecs || '').split(',').map(codec => this.normalizeCodec(codec));
+      const height = parseInt(String(rendition.resolution).split('x')[1]) || RESOLUTION_HEIGHTS[rendition.quality] || 0;
+      const problem = this.getStreamProblem({ videoCodec, audioCodec, height, bitrate: 0 }, capabilities, { checkAudio: true });
+      if (problem) problems.push(problem);
+      return !problem;
+    });
+
+    return playable.length > 0 ? null : (problems[0] || 'The HLS package has no renditions');
+  }
+
+  async getTranscodedFiles(originalPath) {
+    const results = await database.query(
+      'SELECT id, transcoded_path, quality FROM transcoded_results WHERE original_path = ?',
+      [originalPath]
+    );
+
+    const files = [];
+    for (const result of results) {
+      try {
+        files.push({ id: result.id, quality: result.quality, info: await this.probe(result.transcoded_path) });
+      } catch (error) {
+        // Transcoded file removed from disk
+      }
+    }
+    // Best quality first
+    return files.sort((a, b) => (b.info.height || 0) - (a.info.height || 0));
+  }
+
+  // The playback method for a content item. Candidates are tried from
+  // cheapest to most expensive for the server; every rejected one adds its
+  // reason so clients can show why a title is being transcoded.
+  async decide(content, input, streamingSettings, sessionId = null) {
+    const capabilities = this.normalizeCapabilities(input, streamingSettings);
+    const rejected = [];
+
+    const source = await this.probe(content.file_path);
+
+    const hlsPackage = await mediaService.getHLSPackage(content.file_path);
+    if (hlsPackage) {
+      const problem = this.getHLSProblem(hlsPackage, capabilities);
+      if (!problem) {
+        return this.buildDecision('direct_play', 'HLS package is compatible with the client', {
+          protocol: 'hls', path: `/api/content/${content.id}/hls/master.m3u8`, source, capabilities, rejected
+        });
+      }
+      rejected.push({ candidate: 'hls', reason: problem });
+    }
+
+    const originalProblem = this.getDirectPlayProblem(source, capabilities);
+    if (!originalProblem) {
+      return this.buildDecision('direct_play', 'Original file is compatible with the client', {
+        protocol: 'progressive', path: `/api/content/${content.id}/stream?variant=original`, source, capabilities, rejected
+      });
+    }
+    rejected.push({ candidate: 'original', reason: originalProblem });
+
+    for (const file of await this.getTranscodedFiles(content.file_path)) {
+      const problem = this.getDirectPlayProblem(file.info, capabilities);
+      if (!problem) {
+        return this.buildDecision('direct_play', `Transcoded ${file.quality} version is compatible with the client`, {
+          protocol: 'progressive', path: `/api/content/${content.id}/stream?variant=${encodeURIComponent(file.id)}`, source: file.info, capabilities, rejected
+        });
+      }
+      rejected.push({ candidate: `transcoded:${file.quality}`, reason: problem });
+    }
+
+    if (!capabilities.hls) {
+      rejected.push({ candidate: 'live', reason: 'The client does not support HLS' });
+      return this.buildDecision(null, 'No version of this title can be played by the client', { source, capabilities, rejected });
+    }
+
+    // Direct stream: the video is fine, only the container (or audio) isn't
+    const remuxProblem = REMUX_VIDEO_CODECS.includes(source.videoCodec)
+      ? this.getStreamProblem(source, capabilities, { checkAudio: false })
+      : `Video codec ${source.videoCodec} can't be remuxed into HLS`;
+    if (!remuxProblem) {
+      const copyAudio = !source.audioCodec || (capabilities.audioCodecs.includes(source.audioCodec) && REMUX_AUDIO_CODECS.includes(source.audioCodec));
+      return this.buildDecision('direct_stream', `${originalProblem}; remuxing without re-encoding the video`, {
+        protocol: 'hls',
+        path: `/api/content/${content.id}/live/index.m3u8?mode=remux&audio=${copyAudio ? 'copy' : 'aac'}`,
+        source,
+        capabilities,
+        rejected
+      });
+    }
+    rejected.push({ candidate: 'direct_stream', reason: remuxProblem });
+
+    if (!capabilities.videoCodecs.includes('h264') || !capabilities.audioCodecs.includes('aac')) {
+      rejected.push({ candidate: 'transcode', reason: 'Live transcodes are H.264/AAC, which the client does not support' });
+      return this.buildDecision(null, 'No version of this title can be played by the client', { source, capabilities, rejected });
+    }
+
+    // Busy is reported apart from "can't play" so clients know to retry later
+    if (!liveTranscoder.hasTranscodeCapacity(streamingSettings, sessionId)) {
+      rejected.push({ candidate: 'transcode', reason: 'The server is at its live transcode limit' });
+      return {
+        ...this.buildDecision(null, 'The server is busy with other live transcodes', { source, capabilities, rejected }),
+        busy: true
+      };
+    }
+
+    const limits = [`maxHeight=${capabilities.maxHeight}`];
+    if (Number.isFinite(capabilities.maxBitrate)) {
+      limits.push(`maxBitrate=${Math.floor(capabilities.maxBitrate)}`);
+    }
+    return this.buildDecision('transcode', `${originalProblem}; transcoding to H.264/AAC`, {
+      protocol: 'hls',
+      path: `/api/content/${content.id}/live/index.m3u8?mode=transcode&${limits.join('&')}`,
+      source,
+      capabilities,
+      rejected
+    });
+  }
+
+  buildDecision(method, reason, { protocol = null, path: playbackPath = null, source, capabilities, rejected }) {
+    return {
+      method,
+      protocol,
+      path: playbackPath,
+      reason,
+      source,
+      limits: {
+        maxHeight: capabilities.maxHeight,
+        maxBitrate: Number.isFinite(capabilities.maxBitrate) ? capabilities.maxBitrate : null
+      },
+      rejected
+    };
+  }
+}
+
+module.exports = new PlaybackDecisionService();
@@ -0,0 +1,341 @@
+const database = require('../utils/database');
+const parentalControlService = require('./parentalControlService');
+const permissionService = require('./permissionService');
+
+class PlaylistService {
+  // Resolve what a user may do with a playlist: 'owner', 'edit', 'view' or null
+  async getAccessLevel(playlist, userId, userRole) {
+    if (!playlist) return null;
+    if (playlist.created_by === userId || userRole === 'admin') return 'owner';
+
+    const shares = await database.query(
+      'SELECT can_edit FROM playlist_shares WHERE playlist_id = ? AND user_id = ?',
+      [playlist.id, userId]
+    );
+
+    if (shares.length > 0) {
+      return shares[0].can_edit ? 'edit' : 'view';
+    }
+
+    return playlist.is_public ? 'view' : null;
+  }
+
+  // Load a playlist and check the caller has at least the required access
+  async getPlaylistWithAccess(playlistId, userId, userRole, required = 'view') {
+    const playlists = await database.query('SELECT * FROM playlists WHERE id = ?', [playlistId]);
+    const playlist = playlists[0];
+
+    const access = await this.getAccessLevel(playlist, userId, userRole);
+    if (!access) {
+      throw new Error('Playlist not found');
+    }
+
+    const levels = { view: 1, edit: 2, owner: 3 };
+    if (levels[access] < levels[required]) {
+      throw new Error('Permission denied');
+    }
+
+    return { playlist, access };
+  }
+
+  // Playlists the user owns or that were shared with them
+  async getPlaylists(userId) {
+    const playlists = await database.query(`
+      SELECT p.*, u.username as owner_name,
+        (SELECT COUNT(*) FROM playlist_items pi WHERE pi.playlist_id = p.id) as item_count,
+        ps.can_edit as shared_can_edit
+      FROM playlists p
+      JOIN users u ON p.created_by = u.id
+      LEFT JOIN playlist_shares ps ON ps.playlist_id = p.id AND ps.user_id = ?
+      WHERE p.created_by = ? OR ps.user_id IS NOT NULL
+      ORDER BY p.updated_at DESC
+    `, [userId, userId]);
+
+    return playlists.map(playlist => ({
+      ...playlist,
+      item_count: parseInt(playlist.item_count) || 0,
+      access: playlist.created_by === userId ? 'owner' : (playlist.shared_can_edit ? 'edit' : 'view')
+    }));
+  }
+
+  async getPlaylist(playlistId, userId, userRole, restrictions = null) {
+    const { playlist, access } = await this.getPlaylistWithAccess(playlistId, userId, userRole);
+
+    const items = await this.getPlaylistItems(playlist.id, userRole, restrictions);
+    const shares = access === 'owner' ? await this.getShares(playlist.id) : [];
+
+    return { ...playlist, access, items, shares };
+  }
+
+  // Items in play order; unpublished and parentally blocked media is hidden
+  async getPlaylistItems(playlistId, userRole, restrictions = null) {
+    let query = `
+      SELECT pi.id as item_id, pi.position, pi.added_at,
+        mc.id, mc.title, mc.description, mc.thumbnail_path, mc.duration, mc.media_type,
+        mc.mime_type, mc.resolution, mc.tags, mc.show_title, mc.season_number, mc.episode_number,
+        mc.file_size, mc.published, mc.content_rating, mc.extended_metadata, mc.library_section_id
+      FROM playlist_items pi
+      JOIN media_content mc ON pi.media_id = mc.id
+      WHERE pi.playlist_id = ?
+    `;
+
+    if (!permissionService.canSeeUnpublished(userRole)) {
+      query += ' AND mc.published = 1';
+    }
+
+    query += ' ORDER BY pi.position ASC';
+
+    const items = parentalControlService.filterAllowed(await database.query(query, [playlistId]), restrictions);
+    return items.map(({ extended_metadata, ...item }) => item);
+  }
+
+  async createPlaylist(userId, { name, description = '', isPublic = false }) {
+    if (!name || !name.trim()) {
+      throw new Error('Playlist name is required');
+    }
+
+    const now = new Date().toISOString();
+    const result = await database.insert(
+      'INSERT INTO playlists (name, description, created_by, is_public, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [name.trim(), description, userId, !!isPublic, now, now]
+    );
+
+    const playlists = await database.query('SELECT * FROM playlists WHERE id = ?', [result.id]);
+    return { ...playlists[0], access: 'owner', item_count: 0 };
+  }
+
+  async updatePlaylist(playlistId, userId, userRole, updates) {
+    const { playlist } = await this.getPlaylistWithAccess(playlistId, userId, userRole, 'edit');
+
+    const updateFields = [];
+    const params = [];
+
+    if (updates.name !== undefined) {
+      if (!updates.name.trim()) {
+        throw new Error('Playlist name is required');
+      }
+      updateFields.push('name = ?');
+      params.push(updates.name.trim());
+    }
+
+    if (updates.description !== undefined) {
+      updateFields.push('description = ?');
+      params.push(updates.description);
+    }
+
+    if (updates.isPublic !== undefined) {
+      // Visibility is the owner's decision
+      if (playlist.created_by !== userId && userRole !== 'admin') {
+        throw new Error('Permission denied');
+      }
+      updateFields.push('is_public = ?');
+      params.push(!!updates.isPublic);
+    }
+
+    if (updateFields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    updateFields.push('updated_at = ?');
+    params.push(new Date().toISOString(), playlist.id);
+
+    await database.update(`UPDATE playlists SET ${updateFields.join(', ')} WHERE id = ?`, params);
+
+    return { success: true };
+  }
+
+  async deletePlaylist(playlistId, userId, userRole) {
+    const { playlist } = await this.getPlaylistWithAccess(playlistId, userId, userRole, 'owner');
+
+    await database.delete('DELETE FROM playlist_items WHERE playlist_id = ?', [playlist.id]);
+    await database.delete('DELETE FROM playlist_shares WHERE playlist_id = ?', [playlist.id]);
+    await database.delete('DELETE FROM playlists WHERE id = ?', [playlist.id]);
+
+    return { success: true };
+  }
+
+  async addItem(playlistId, userId, userRole, mediaId) {
+    const { playlist } = await this.getPlaylistWithAccess(playlistId, userId, userRole, 'edit');
+
+    let mediaQuery = 'SELECT id FROM media_content WHERE id = ?';
+    if (!permissionService.canSeeUnpublished(userRole)) {
+      mediaQuery += ' AND published = 1';
+    }
+    const media = await database.query(mediaQuery, [mediaId]);
+    if (media.length === 0) {
+      throw new Error('Media not found');
+    }
+
+    const existing = await database.query(
+      'SELECT id FROM playlist_items WHERE playlist_id = ? AND media_id = ?',
+      [playlist.id, mediaId]
+    );
+    if (existing.length > 0) {
+      throw new Error('Media is already in this playlist');
+    }
+
+    const positions = await database.query(
+      'SELECT MAX(position) as max_position FROM playlist_items WHERE playlist_id = ?',
+      [playlist.id]
+    );
+    const nextPosition = (positions[0]?.max_position ?? -1) + 1;
+
+    await database.insert(
+      'INSERT INTO playlist_items (playlist_id, media_id, position) VALUES (?, ?, ?)',
+      [playlist.id, mediaId, nextPosition]
+    );
+    await this.touchPlaylist(playlist.id);
+
+    return { success: true, position: nextPosition };
+  }
+
+  async removeItem(playlistId, userId, userRole, mediaId) {
+    const { playlist } = await this.getPlaylistWithAccess(playlistId, userId, userRole, 'edit');
+
+    const result = await database.delete(
+      'DELETE FROM playlist_items WHERE playlist_id = ? AND media_id = ?',
+      [playlist.id, mediaId]
+    );
+
+    if (result && result.changes === 0) {
+      throw new Error('Media is not in this playlist');
+    }
+
+    await this.compactPositions(playlist.id);
+    await this.touchPlaylist(playlist.id);
+
+    return { success: true };
+  }
+
+  // mediaIds must contain exactly the media currently in the playlist
+  async reorderItems(playlistId, userId, userRole, mediaIds) {
+    const { playlist } = await this.getPlaylistWithAccess(playlistId, userId, userRole, 'edit');
+
+    if (!Array.isArray(mediaIds)) {
+      throw new Error('mediaIds must be an array');
+    }
+
+    const items = await database.query('SELECT media_id FROM playlist_items WHERE playlist_id = ?', [playlist.id]);
+    const current = items.map(item => String(item.media_id)).sort();
+    const requested = mediaIds.map(String);
+
+    if (new Set(requested).size !== requested.length ||
+        current.length !== requested.length ||
+        [...requested].sort().some((id, index) => id !== current[index])) {
+      throw new Error('Reorder must include every playlist item exactly once');
+    }
+
+    for (let position = 0; position < requested.length; position++) {
+      await database.update(
+        'UPDATE playlist_items SET position = ? WHERE playlist_id = ? AND media_id = ?',
+        [position, playlist.id, requested[position]]
+      );
+    }
+    await this.touchPlaylist(playlist.id);
+
+    return { success: true };
+  }
+
+  async compactPositions(playlistId) {
+    const items = await database.query(
+      'SELECT id FROM playlist_items WHERE playlist_id = ? ORDER BY position ASC',
+      [playlistId]
+    );
+
+    for (let position = 0; position < items.length; position++) {
+      await database.update('UPDATE playlist_items SET position = ? WHERE id = ?', [position, items[position].id]);
+    }
+  }
+
+  async touchPlaylist(playlistId) {
+    await database.update('UPDATE playlists SET updated_at = ? WHERE id = ?', [new Date().toISOString(), playlistId]);
+  }
+
+  // Sharing
+
+  async getShares(playlistId) {
+    return await database.query(`
+      SELECT ps.user_id, ps.can_edit, ps.created_at, u.username, u.display_name
+      FROM playlist_shares ps
+      JOIN users u ON ps.user_id = u.id
+      WHERE ps.playlist_id = ?
+      ORDER BY u.username
+    `, [playlistId]);
+  }
+
+  async sharePlaylist(playlistId, userId, userRole, { username, canEdit = false }) {
+    const { playlist } = await this.getPlaylistWithAccess(playlistId, userId, userRole, 'owner');
+
+    const users = await database.query('SELECT id, username FROM users WHERE username = ? AND is_active = 1', [username]);
+    if (users.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const target = users[0];
+    if (target.id === playlist.created_by) {
+      throw new Error('Playlist owner already has access');
+    }
+
+    const existing = await database.query(
+      'SELECT id FROM playlist_shares WHERE playlist_id = ? AND user_id = ?',
+      [playlist.id, target.id]
+    );
+
+    if (existing.length > 0) {
+      await database.update('UPDATE playlist_shares SET can_edit = ? WHERE id = ?', [!!canEdit, existing[0].id]);
+    } else {
+      await database.insert(
+        'INSERT INTO playlist_shares (playlist_id, user_id, can_edit, shared_by) VALUES (?, ?, ?, ?)',
+        [playlist.id, target.id, !!canEdit, userId]
+      );
+    }
+
+    return { success: true, userId: target.id, username: target.username, canEdit: !!canEdit };
+  }
+
+  async unsharePlaylist(playlistId, userId, userRole, targetUserId) {
+    const { playlist } = await this.getPlaylistWithAccess(playlistId, userId, userRole, 'view');
+
+    // Owners can remove anyone; recipients can remove themselves
+    const isOwner = playlist.created_by === userId || userRole === 'admin';
+    if (!isOwner && parseInt(targetUserId) !== userId) {
+      throw new Error('Permission denied');
+    }
+
+    await database.delete(
+      'DELETE FROM playlist_shares WHERE playlist_id = ? AND user_id = ?',
+      [playlist.id, targetUserId]
+    );
+
+    return { success: true };
+  }
+
+  // Ordered queue for "play all", optionally starting at a given item
+  async getPlayQueue(playlistId, userId, userRole, { startMediaId = null, shuffle = false, restrictions = null } = {}) {
+    const { playlist } = await this.getPlaylistWithAccess(playlistId, userId, userRole);
+
+    let queue = (await this.getPlaylistItems(playlist.id, userRole, restrictions))
+      .filter(item => item.media_type === 'video' || item.media_type === 'audio');
+
+    if (shuffle) {
+      for (let i = queue.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [queue[i], queue[j]] = [queue[j], queue[i]];
+      }
+    }
+
+    if (startMediaId) {
+      const startIndex = queue.findIndex(item => String(item.id) === String(startMediaId));
+      if (startIndex > 0) {
+        queue = queue.slice(startIndex);
+      }
+    }
+
+    return {
+      playlist: { id: playlist.id, name: playlist.name },
+      queue
+    };
+  }
+}
+
+module.exports = new PlaylistService();
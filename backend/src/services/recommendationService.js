@@ -0,0 +1,244 @@
+const database = require('../utils/database');
+const tvShowService = require('./tvShowService');
+const watchProgressService = require('./watchProgressService');
+const parentalControlService = require('./parentalControlService');
+const permissionService = require('./permissionService');
+
+// Recommendations are worked out from this server's own library and watch
+// history. Episodes are folded into their show so a series counts once.
+class RecommendationService {
+  constructor() {
+    this.weights = {
+      genre: 3,    // Jaccard similarity of genre/keyword tags
+      cast: 1.5,   // Per shared cast member
+      coWatch: 4   // Share of the seed's viewers who also watched the candidate
+    };
+    this.seedCount = 3;       // "Because you watched" rows
+    this.seedMinProgress = 50; // Percent watched before a title can seed a row
+    this.popularDays = 30;
+  }
+
+  titleKey(media, episodes) {
+    const episode = episodes.get(String(media.id));
+    return episode ? `show:${episode.show_id}` : `media:${media.id}`;
+  }
+
+  parseCast(media) {
+    try {
+      const extended = media.extended_metadata ? JSON.parse(media.extended_metadata) : null;
+      return (extended?.production?.cast || [])
+        .map(actor => (actor.name || '').trim().toLowerCase())
+        .filter(Boolean);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  parseGenres(media) {
+    return (media.tags || '')
+      .split(',')
+      .slice(1) // First tag is the category
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  // Group the visible video library into titles (movies, or shows with a
+  // representative episode to start playback from)
+  async loadTitles(userRole, restrictions = null) {
+    let query = "SELECT * FROM media_content WHERE media_type = 'video'";
+    if (!permissionService.canSeeUnpublished(userRole)) {
+      query += ' AND published = 1';
+    }
+
+    const media = parentalControlService.filterAllowed(await database.query(query), restrictions);
+    const episodes = await tvShowService.getEpisodeContext(media.map(item => item.id));
+
+    const titles = new Map();
+    for (const item of media) {
+      const key = this.titleKey(item, episodes);
+      const episode = episodes.get(String(item.id));
+
+      if (!titles.has(key)) {
+        titles.set(key, {
+          key,
+          title: episode ? episode.show_title : item.title,
+          media: item,
+          episode,
+          mediaIds: [],
+          genres: new Set(),
+          cast: new Set(),
+          views: 0
+        });
+      }
+
+      const title = titles.get(key);
+      title.mediaIds.push(String(item.id));
+      title.views += item.views || 0;
+      this.parseGenres(item).forEach(genre => title.genres.add(genre));
+      this.parseCast(item).forEach(name => title.cast.add(name));
+
+      // Start shows from their earliest episode
+      if (episode && title.episode && (
+        episode.season_number < title.episode.season_number ||
+        (episode.season_number === title.episode.season_number &&
+          (episode.episode_number ?? Infinity) < (title.episode.episode_number ?? Infinity))
+      )) {
+        title.media = item;
+        title.episode = episode;
+      }
+    }
+
+    return titles;
+  }
+
+  // Titles each user has started, keyed by user id (as a string)
+  async loadViewers(titles) {
+    const history = await database.query(
+      'SELECT user_id, media_id, progress_percentage, completed, last_watched FROM watch_history'
+    );
+
+    const mediaToTitle = new Map();
+    for (const title of titles.values()) {
+      title.mediaIds.forEach(mediaId => mediaToTitle.set(mediaId, title.key));
+    }
+
+    const viewers = new Map();
+    for (const entry of history) {
+      const key = mediaToTitle.get(String(entry.media_id));
+      if (!key) continue;
+
+      const viewerId = String(entry.user_id);
+      if (!viewers.has(viewerId)) viewers.set(viewerId, new Map());
+      const seen = viewers.get(viewerId);
+      const previous = seen.get(key);
+      const lastWatched = new Date(entry.last_watched).getTime() || 0;
+      const progress = watchProgressService.isFinished(entry) ? 100 : parseFloat(entry.progress_percentage) || 0;
+
+      seen.set(key, {
+        lastWatched: Math.max(previous?.lastWatched || 0, lastWatched),
+        progress: Math.max(previous?.progress || 0, progress)
+      });
+    }
+
+    return viewers;
+  }
+
+  jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const value of a) {
+      if (b.has(value)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+  }
+
+  // Similarity of a candidate to a seed title, with the main reason for the match
+  score(seed, candidate, seedViewers, viewers) {
+    const genreScore = this.jaccard(seed.genres, candidate.genres);
+    const sharedCast = [...seed.cast].filter(name => candidate.cast.has(name));
+
+    let coWatched = 0;
+    for (const userId of seedViewers) {
+      if (viewers.get(userId).has(candidate.key)) coWatched++;
+    }
+    const coWatchScore = seedViewers.length > 0 ? coWatched / seedViewers.length : 0;
+
+    const score = genreScore * this.weights.genre +
+      sharedCast.length * this.weights.cast +
+      coWatchScore * this.weights.coWatch;
+
+    let reason = null;
+    if (coWatched > 0 && coWatchScore * this.weights.coWatch >= genreScore * this.weights.genre) {
+      reason = `${coWatched} viewer${coWatched !== 1 ? 's' : ''} also watched this`;
+    } else if (sharedCast.length > 0) {
+      reason = 'Shares cast members';
+    } else if (genreScore > 0) {
+      reason = 'Similar genres';
+    }
+
+    return { score, reason };
+  }
+
+  formatTitle(title, extra = {}) {
+    const { media, episode } = title;
+    return {
+      ...media,
+      metadata: media.metadata ? JSON.parse(media.metadata) : null,
+      show_id: episode ? episode.show_id : null,
+      show_title: episode ? episode.show_title : media.show_title,
+      season_number: episode ? episode.season_number : media.season_number,
+      episode_number: episode ? episode.episode_number : media.episode_number,
+      recommendation_title: title.title,
+      ...extra
+    };
+  }
+
+  async getRecommendations(userId, userRole, limit = 12, restrictions = null) {
+    const titles = await this.loadTitles(userRole, restrictions);
+    const [viewers, watchedIds] = await Promise.all([
+      this.loadViewers(titles),
+      watchProgressService.getWatchedIds(userId)
+    ]);
+
+    const mine = viewers.get(String(userId)) || new Map();
+    const alreadySeen = (title) => mine.has(title.key) || title.mediaIds.some(mediaId => watchedIds.has(mediaId));
+
+    // Most recently watched titles the user got well into
+    const seeds = [...mine.entries()]
+      .filter(([key, seen]) => titles.has(key) && seen.progress >= this.seedMinProgress)
+      .sort((a, b) => b[1].lastWatched - a[1].lastWatched)
+      .slice(0, this.seedCount)
+      .map(([key]) => titles.get(key));
+
+    const used = new Set();
+    const becauseYouWatched = [];
+
+    for (const seed of seeds) {
+      const seedViewers = [...viewers.entries()]
+        .filter(([viewerId, seen]) => viewerId !== String(userId) && seen.has(seed.key))
+        .map(([viewerId]) => viewerId);
+
+      const items = [...titles.values()]
+        .filter(candidate => candidate.key !== seed.key && !alreadySeen(candidate) && !used.has(candidate.key))
+        .map(candidate => ({ candidate, ...this.score(seed, candidate, seedViewers, viewers) }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score || b.candidate.views - a.candidate.views)
+        .slice(0, limit);
+
+      if (items.length === 0) continue;
+
+      // A title is only suggested in one row
+      items.forEach(match => used.add(match.candidate.key));
+      becauseYouWatched.push({
+        seed: { key: seed.key, title: seed.title },
+        items: items.map(match => this.formatTitle(match.candidate, {
+          reason: match.reason,
+          score: Math.round(match.score * 100) / 100
+        }))
+      });
+    }
+
+    // Distinct recent viewers, then all-time views
+    const since = Date.now() - this.popularDays * 24 * 60 * 60 * 1000;
+    const recentViewers = new Map();
+    for (const seen of viewers.values()) {
+      for (const [key, entry] of seen) {
+        if (entry.lastWatched >= since) {
+          recentViewers.set(key, (recentViewers.get(key) || 0) + 1);
+        }
+      }
+    }
+
+    const popular = [...titles.values()]
+      .filter(title => !alreadySeen(title) && ((recentViewers.get(title.key) || 0) > 0 || title.views > 0))
+      .sort((a, b) =>
+        (recentViewers.get(b.key) || 0) - (recentViewers.get(a.key) || 0) || b.views - a.views
+      )
+      .slice(0, limit)
+      .map(title => this.formatTitle(title, { viewers: recentViewers.get(title.key) || 0 }));
+
+    return { becauseYouWatched, popular };
+  }
+}
+
+module.exports = new RecommendationService();
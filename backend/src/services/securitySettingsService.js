@@ -0,0 +1,49 @@
+const database = require('../utils/database');
+
+// Server-wide security settings stored as JSON values in security_settings
+class SecuritySettingsService {
+  constructor() {
+    this.defaults = {
+      two_factor_required_roles: [],
+      login_protection: {
+        maxFailedAttempts: 5,
+        failureWindowMinutes: 15,
+        baseLockoutMinutes: 5,
+        maxLockoutMinutes: 1440,
+        newDeviceAlerts: true
+      }
+    };
+  }
+
+  async get(key) {
+    const rows = await database.query('SELECT setting_value FROM security_settings WHERE setting_key = ?', [key]);
+    if (rows.length === 0) {
+      return this.defaults[key] ?? null;
+    }
+
+    try {
+      return JSON.parse(rows[0].setting_value);
+    } catch (error) {
+      return this.defaults[key] ?? null;
+    }
+  }
+
+  async set(key, value, updatedBy = null) {
+    const now = new Date().toISOString();
+    const result = await database.update(
+      'UPDATE security_settings SET setting_value = ?, updated_by = ?, updated_at = ? WHERE setting_key = ?',
+      [JSON.stringify(value), updatedBy, now, key]
+    );
+
+    if (!result || result.changes === 0) {
+      await database.insert(
+        'INSERT INTO security_settings (setting_key, setting_value, updated_by, updated_at) VALUES (?, ?, ?, ?)',
+        [key, JSON.stringify(value), updatedBy, now]
+      );
+    }
+
+    return value;
+  }
+}
+
+module.exports = new SecuritySettingsService();
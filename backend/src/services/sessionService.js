@@ -92,6 +92,42 @@ class SessionService {
     return sessionId;
   }
 
+  // Create a session for a paired device (TV, Roku). These are never merged
+  // with other sessions and last longer, since signing in again is a chore.
+  async createDeviceSession(userId, deviceName, deviceType, req, days = 90) {
+    const userAgent = req.headers['user-agent'] || '';
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + days);
+
+    await database.knex('user_sessions').insert({
+      user_id: userId,
+      session_id: sessionId,
+      device_name: deviceName,
+      device_info: deviceType,
+      browser_info: 'Paired Device',
+      ip_address: this.getClientIP(req),
+      user_agent: userAgent,
+      expires_at: expiresAt.toISOString()
+    });
+
+    return sessionId;
+  }
+
+  // Push back a session's expiry (used when a paired device refreshes its tokens)
+  async extendSession(sessionId, days = 90) {
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + days);
+
+    await database.knex('user_sessions')
+      .where('session_id', sessionId)
+      .where('is_active', 1)
+      .update({
+        expires_at: expiresAt.toISOString(),
+        last_activity: database.knex.fn.now()
+      });
+  }
+
   // Update session activity
   async updateSessionActivity(sessionId) {
     if (!sessionId) return;
@@ -112,6 +148,7 @@ class SessionService {
         'session_id',
         'device_info',
         'browser_info',
+        'device_name',
         'ip_address',
         'location',
         'last_activity',
@@ -0,0 +1,321 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs').promises;
+const database = require('../utils/database');
+const FileAnalyzer = require('./transcoding/fileAnalyzer');
+const { normalizeLanguage } = require('../utils/languages');
+
+class SubtitleService {
+  constructor() {
+    this.subtitleDir = path.join(__dirname, '../../uploads/subtitles');
+    this.sidecarExtensions = ['.srt', '.ass', '.ssa', '.vtt'];
+    this.videoExtensions = ['.mp4', '.mkv', '.avi', '.mov', '.m4v', '.webm', '.wmv', '.ts'];
+    // Common folders release groups put subtitles in, next to the video
+    this.sidecarFolders = ['Subs', 'subs', 'Subtitles', 'subtitles'];
+
+    this.initDirectories();
+  }
+
+  async initDirectories() {
+    try {
+      await fs.mkdir(this.subtitleDir, { recursive: true });
+    } catch (error) {
+      console.error('Error creating subtitle directory:', error);
+    }
+  }
+
+  buildLabel(language, { title = null, forced = false, sdh = false } = {}) {
+    let label = title || language.name || 'Unknown';
+    if (forced && !/forced/i.test(label)) label += ' (Forced)';
+    if (sdh && !/sdh|cc/i.test(label)) label += ' (SDH)';
+    return label;
+  }
+
+  async getSubtitleTracks(mediaId) {
+    const tracks = await database.query(
+      'SELECT * FROM subtitle_tracks WHERE media_id = ? ORDER BY is_default DESC, language, id',
+      [mediaId]
+    );
+
+    return tracks.map(track => ({
+      id: track.id,
+      source: track.source,
+      language: track.language,
+      label: track.label,
+      codec: track.codec,
+      is_default: !!track.is_default,
+      is_forced: !!track.is_forced
+    }));
+  }
+
+  async getSubtitleTrack(mediaId, trackId) {
+    const tracks = await database.query(
+      'SELECT * FROM subtitle_tracks WHERE id = ? AND media_id = ?',
+      [trackId, mediaId]
+    );
+    return tracks[0] || null;
+  }
+
+  probeSubtitleStreams(filePath) {
+    return new Promise((resolve) => {
+      ffmpeg.ffprobe(filePath, (err, data) => {
+        if (err) {
+          resolve([]);
+          return;
+        }
+        resolve(FileAnalyzer.describeSubtitleStreams(data.streams));
+      });
+    });
+  }
+
+  // Parse "<video>.<lang>[.forced|.sdh].srt" style names; returns null when the
+  // file does not belong to the video. An empty videoBase accepts any name.
+  parseSidecarName(videoBase, fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    if (!this.sidecarExtensions.includes(ext)) return null;
+
+    const base = path.basename(fileName, path.extname(fileName));
+    if (videoBase &&
+        base.toLowerCase() !== videoBase.toLowerCase() &&
+        !base.toLowerCase().startsWith(videoBase.toLowerCase() + '.')) {
+      return null;
+    }
+
+    const parts = base.slice(videoBase.length).split(/[._]/).filter(Boolean);
+    const flags = parts.map(part => part.toLowerCase());
+    const languagePart = [...parts].reverse().find(part => !['forced', 'sdh', 'cc', 'default'].includes(part.toLowerCase()));
+
+    return {
+      ext,
+      language: normalizeLanguage(languagePart),
+      forced: flags.includes('forced'),
+      sdh: flags.includes('sdh') || flags.includes('cc'),
+      isDefault: flags.includes('default')
+    };
+  }
+
+  async findSidecarFiles(videoPath) {
+    const videoDir = path.dirname(videoPath);
+    const videoBase = path.basename(videoPath, path.extname(videoPath));
+    const sidecars = [];
+
+    let videoDirEntries = [];
+    try {
+      videoDirEntries = await fs.readdir(videoDir);
+    } catch (error) {
+      return sidecars;
+    }
+
+    // Files in a Subs/ folder are often just "2_English.srt"; only trust that
+    // when the folder cannot belong to another video
+    const videoCount = videoDirEntries.filter(entry =>
+      this.videoExtensions.includes(path.extname(entry).toLowerCase())
+    ).length;
+
+    const searchDirs = [
+      { dir: videoDir, loose: false },
+      ...this.sidecarFolders.map(folder => ({ dir: path.join(videoDir, folder), loose: videoCount <= 1 })),
+      ...this.sidecarFolders.map(folder => ({ dir: path.join(videoDir, folder, videoBase), loose: true }))
+    ];
+
+    for (const { dir, loose } of searchDirs) {
+      let entries;
+      try {
+        entries = dir === videoDir ? videoDirEntries : await fs.readdir(dir);
+      } catch (error) {
+        continue;
+      }
+
+      for (const entry of entries) {
+        const parsed = this.parseSidecarName(videoBase, entry) ||
+          (loose ? this.parseSidecarName('', entry) : null);
+
+        if (parsed) {
+          sidecars.push({ path: path.join(dir, entry), ...parsed });
+        }
+      }
+    }
+
+    return sidecars;
+  }
+
+  // Convert any subtitle file ffmpeg understands (SRT/ASS/SSA) to WebVTT
+  convertFile(inputPath, outputPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .outputOptions(['-c:s', 'webvtt', '-f', 'webvtt'])
+        .output(outputPath)
+        .on('end', () => resolve(outputPath))
+        .on('error', (err) => reject(err))
+        .run();
+    });
+  }
+
+  // Extract several embedded streams in a single pass over the video file
+  extractEmbedded(filePath, streams, outputDir) {
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(filePath);
+
+      for (const stream of streams) {
+        command
+          .output(path.join(outputDir, `embedded-${stream.index}.vtt`))
+          .outputOptions(['-map', `0:${stream.index}`, '-c:s', 'webvtt', '-f', 'webvtt']);
+      }
+
+      command
+        .on('end', () => resolve())
+        .on('error', (err) => reject(err))
+        .run();
+    });
+  }
+
+  async importSubtitleFile(inputPath, outputPath) {
+    if (path.extname(inputPath).toLowerCase() === '.vtt') {
+      const content = await fs.readFile(inputPath, 'utf8');
+      if (!content.trimStart().startsWith('WEBVTT')) {
+        throw new Error('Invalid WebVTT file');
+      }
+      await fs.writeFile(outputPath, content);
+      return outputPath;
+    }
+
+    return this.convertFile(inputPath, outputPath);
+  }
+
+  // Discover embedded and sidecar subtitles for a content item and store them as
+  // WebVTT; manually uploaded tracks are kept
+  async extractSubtitles(mediaId) {
+    const media = await database.query('SELECT id, file_path, media_type FROM media_content WHERE id = ?', [mediaId]);
+    if (media.length === 0) {
+      throw new Error('Media not found');
+    }
+    if (media[0].media_type !== 'video') {
+      return [];
+    }
+
+    const filePath = media[0].file_path;
+    const outputDir = path.join(this.subtitleDir, String(mediaId));
+    await fs.mkdir(outputDir, { recursive: true });
+
+    await this.removeTracks(mediaId, ['embedded', 'sidecar']);
+
+    const summary = { embedded: 0, sidecar: 0, skipped: 0 };
+
+    // 1. Embedded text streams
+    const streams = await this.probeSubtitleStreams(filePath);
+    const textStreams = streams.filter(stream => stream.isTextBased);
+    summary.skipped += streams.length - textStreams.length;
+
+    if (textStreams.length > 0) {
+      try {
+        await this.extractEmbedded(filePath, textStreams, outputDir);
+
+        for (const stream of textStreams) {
+          const language = normalizeLanguage(stream.language);
+          await database.insert(
+            `INSERT INTO subtitle_tracks (media_id, source, stream_index, language, label, codec, is_default, is_forced, file_path)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              mediaId, 'embedded', stream.index, language.code,
+              this.buildLabel(language, { title: stream.title, forced: stream.isForced }),
+              stream.codec, stream.isDefault, stream.isForced,
+              path.join(outputDir, `embedded-${stream.index}.vtt`)
+            ]
+          );
+          summary.embedded++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to extract embedded subtitles for media ${mediaId}:`, error.message);
+      }
+    }
+
+    // 2. Sidecar files next to the video
+    const sidecars = await this.findSidecarFiles(filePath);
+    for (let i = 0; i < sidecars.length; i++) {
+      const sidecar = sidecars[i];
+      const outputPath = path.join(outputDir, `sidecar-${i}.vtt`);
+
+      try {
+        await this.importSubtitleFile(sidecar.path, outputPath);
+        await database.insert(
+          `INSERT INTO subtitle_tracks (media_id, source, source_path, language, label, codec, is_default, is_forced, file_path)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            mediaId, 'sidecar', sidecar.path, sidecar.language.code,
+            this.buildLabel(sidecar.language, { forced: sidecar.forced, sdh: sidecar.sdh }),
+            sidecar.ext.slice(1), sidecar.isDefault, sidecar.forced, outputPath
+          ]
+        );
+        summary.sidecar++;
+      } catch (error) {
+        console.error(`❌ Failed to convert subtitle ${path.basename(sidecar.path)}:`, error.message);
+        summary.skipped++;
+      }
+    }
+
+    return { ...summary, tracks: await this.getSubtitleTracks(mediaId) };
+  }
+
+  // Store a subtitle file uploaded by a content manager
+  async addSubtitleFile(mediaId, uploadedPath, originalName, languageValue = null) {
+    const parsed = this.parseSidecarName('', originalName);
+    if (!parsed) {
+      throw new Error('Unsupported subtitle format');
+    }
+
+    const language = languageValue ? normalizeLanguage(languageValue) : parsed.language;
+    const outputDir = path.join(this.subtitleDir, String(mediaId));
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const outputPath = path.join(outputDir, `upload-${Date.now()}.vtt`);
+    try {
+      await this.importSubtitleFile(uploadedPath, outputPath);
+    } finally {
+      await fs.unlink(uploadedPath).catch(() => {});
+    }
+
+    await database.insert(
+      `INSERT INTO subtitle_tracks (media_id, source, source_path, language, label, codec, is_default, is_forced, file_path)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        mediaId, 'upload', originalName, language.code,
+        this.buildLabel(language, { forced: parsed.forced, sdh: parsed.sdh }),
+        parsed.ext.slice(1), false, parsed.forced, outputPath
+      ]
+    );
+
+    return this.getSubtitleTracks(mediaId);
+  }
+
+  async deleteSubtitleTrack(mediaId, trackId) {
+    const track = await this.getSubtitleTrack(mediaId, trackId);
+    if (!track) {
+      throw new Error('Subtitle track not found');
+    }
+
+    await fs.unlink(track.file_path).catch(() => {});
+    await database.query('DELETE FROM subtitle_tracks WHERE id = ?', [track.id]);
+
+    return { success: true };
+  }
+
+  async removeTracks(mediaId, sources) {
+    const tracks = await database.query(
+      `SELECT id, file_path FROM subtitle_tracks WHERE media_id = ? AND source IN (${sources.map(() => '?').join(', ')})`,
+      [mediaId, ...sources]
+    );
+
+    for (const track of tracks) {
+      await fs.unlink(track.file_path).catch(() => {});
+      await database.query('DELETE FROM subtitle_tracks WHERE id = ?', [track.id]);
+    }
+  }
+
+  // Remove every subtitle for a content item (used when media is deleted)
+  async removeSubtitles(mediaId) {
+    await database.query('DELETE FROM subtitle_tracks WHERE media_id = ?', [mediaId]);
+    await fs.rm(path.join(this.subtitleDir, String(mediaId)), { recursive: true, force: true });
+  }
+}
+
+module.exports = new SubtitleService();
@@ -19,9 +19,12 @@ async function createTranscodingTables() {
         id TEXT PRIMARY KEY,
         input_path TEXT NOT NULL,
         qualities TEXT NOT NULL, -- JSON array of quality levels
-        status TEXT DEFAULT 'queued' CHECK (status IN ('queued', 'analyzing', 'transcoding', 'completed', 'failed', 'cancelled')),
+        status TEXT DEFAULT 'queued' CHECK (status IN ('queued', 'paused', 'analyzing', 'transcoding', 'completed', 'failed', 'cancelled')),
         progress INTEGER DEFAULT 0,
         priority INTEGER DEFAULT 0,
+        queue_position INTEGER, -- set when an admin reorders the queue
+        analysis_score INTEGER DEFAULT 0, -- FileAnalyzer.calculateJobPriority
+        input_size BIGINT DEFAULT 0,
         attempts INTEGER DEFAULT 0,
         max_attempts INTEGER DEFAULT 3,
         settings TEXT, -- JSON object of transcoding settings
@@ -36,9 +39,12 @@ async function createTranscodingTables() {
         id TEXT PRIMARY KEY,
         input_path TEXT NOT NULL,
         qualities TEXT NOT NULL, -- JSON array of quality levels
-        status TEXT DEFAULT 'queued' CHECK (status IN ('queued', 'analyzing', 'transcoding', 'completed', 'failed', 'cancelled')),
+        status TEXT DEFAULT 'queued' CHECK (status IN ('queued', 'paused', 'analyzing', 'transcoding', 'completed', 'failed', 'cancelled')),
         progress INTEGER DEFAULT 0,
         priority INTEGER DEFAULT 0,
+        queue_position INTEGER, -- set when an admin reorders the queue
+        analysis_score INTEGER DEFAULT 0, -- FileAnalyzer.calculateJobPriority
+        input_size BIGINT DEFAULT 0,
         attempts INTEGER DEFAULT 0,
         max_attempts INTEGER DEFAULT 3,
         settings TEXT, -- JSON object of transcoding settings
@@ -180,8 +186,34 @@ async function createTranscodingTables() {
       )
     `;
     await database.query(cleanupTableSQL);
-    
-    
+
+    // 7. HLS Packages Table (kept across schema resets - segments stay on disk)
+    const hlsTableSQL = isPostgreSQL ? `
+      CREATE TABLE IF NOT EXISTS hls_packages (
+        id SERIAL PRIMARY KEY,
+        job_id TEXT,
+        original_path TEXT NOT NULL UNIQUE,
+        master_playlist_path TEXT NOT NULL,
+        output_dir TEXT NOT NULL,
+        renditions TEXT NOT NULL, -- JSON array of packaged renditions
+        segment_duration INTEGER DEFAULT 6,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    ` : `
+      CREATE TABLE IF NOT EXISTS hls_packages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT,
+        original_path TEXT NOT NULL UNIQUE,
+        master_playlist_path TEXT NOT NULL,
+        output_dir TEXT NOT NULL,
+        renditions TEXT NOT NULL, -- JSON array of packaged renditions
+        segment_duration INTEGER DEFAULT 6,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await database.query(hlsTableSQL);
+
+
     // Create indexes for better performance (after all tables are created)
     await database.query(`CREATE INDEX IF NOT EXISTS idx_jobs_status ON transcoding_jobs(status)`);
     await database.query(`CREATE INDEX IF NOT EXISTS idx_jobs_priority ON transcoding_jobs(priority)`);
@@ -157,7 +157,9 @@ class FileAnalyzer extends EventEmitter {
         },
         frameRate: videoStream.r_frame_rate || 'unknown',
         container: info.format?.format_name || 'unknown',
-        fileSize: parseInt(info.format?.size) || 0
+        fileSize: parseInt(info.format?.size) || 0,
+        audioStreams: FileAnalyzer.describeAudioStreams(info.streams),
+        subtitleStreams: FileAnalyzer.describeSubtitleStreams(info.streams)
       };
 
       
@@ -178,6 +180,40 @@ class FileAnalyzer extends EventEmitter {
     }
   }
 
+  // Every audio stream from ffprobe output, in file order
+  static describeAudioStreams(streams = []) {
+    return streams
+      .filter(stream => stream.codec_type === 'audio')
+      .map((stream, audioIndex) => ({
+        index: stream.index,
+        audioIndex, // position among audio streams, as used by -map 0:a:N
+        codec: stream.codec_name || 'unknown',
+        language: stream.tags?.language || null,
+        title: stream.tags?.title || null,
+        channels: stream.channels || null,
+        channelLayout: stream.channel_layout || null,
+        isDefault: stream.disposition?.default === 1
+      }));
+  }
+
+  // Subtitle streams from ffprobe output; only text-based codecs can become WebVTT,
+  // bitmap formats (PGS, VobSub, DVB) would need OCR
+  static describeSubtitleStreams(streams = []) {
+    const textCodecs = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+    return streams
+      .filter(stream => stream.codec_type === 'subtitle')
+      .map(stream => ({
+        index: stream.index,
+        codec: stream.codec_name || 'unknown',
+        language: stream.tags?.language || null,
+        title: stream.tags?.title || null,
+        isDefault: stream.disposition?.default === 1,
+        isForced: stream.disposition?.forced === 1,
+        isTextBased: textCodecs.includes(stream.codec_name)
+      }));
+  }
+
   normalizeCodec(codecName) {
     if (!codecName) return 'unknown';
     
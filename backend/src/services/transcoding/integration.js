@@ -1,5 +1,6 @@
 const TranscodingEngine = require('./transcodingEngine');
 const { createTranscodingTables } = require('./databaseSchema');
+const { loadSettings } = require('../../utils/systemSettings');
 const path = require('path');
 
 // Global transcoding engine instance
@@ -16,6 +17,8 @@ async function initializeTranscodingEngine(io = null) {
     const outputDirectory = path.resolve(__dirname, '../../../uploads/transcoded');
     const tempDirectory = path.resolve(__dirname, '../../../uploads/temp');
     
+    // Queue pause and schedule windows survive restarts
+    const { transcodingQueuePaused, transcodingSchedule } = loadSettings();
     
     // Initialize the engine
     transcodingEngine = new TranscodingEngine({
@@ -27,7 +30,12 @@ async function initializeTranscodingEngine(io = null) {
       minCompressionPercent: 5,
       preventDataInflation: true,
       progressUpdateInterval: 1000,
-      cleanupInterval: 3600000 // 1 hour
+      cleanupInterval: 3600000, // 1 hour
+      queuePaused: transcodingQueuePaused === true,
+      ...(transcodingSchedule && {
+        scheduleWindows: transcodingSchedule.windows || [],
+        heavyJobMinSizeMB: transcodingSchedule.heavyJobMinSizeMB ?? 1024
+      })
     });
     
     // Connect Socket.IO if available
@@ -85,16 +93,52 @@ function createCompatibilityAdapter(engine) {
       return result.jobId;
     },
     
-    getQueueStatus: () => {
-      const status = engine.getQueueStatus();
+    getQueueStatus: async () => {
+      const status = await engine.getQueueStatus();
+      const jobs = await engine.jobManager.getQueueJobs();
       return {
         queueLength: status.queued,
         isProcessing: status.active > 0,
-        activeJobs: status.active,
-        queuedJobs: status.queuedJobs || []
+        isPaused: status.isPaused,
+        pausedJobs: status.paused,
+        activeJobs: jobs.filter(job => job.status === 'analyzing' || job.status === 'transcoding'),
+        queuedJobs: jobs.filter(job => job.status === 'queued' || job.status === 'paused')
       };
     },
     
+    // Queue control
+    getQueueControl: async () => {
+      return engine.getQueueControl();
+    },
+    
+    pauseQueue: () => {
+      return engine.pauseQueue();
+    },
+    
+    resumeQueue: () => {
+      return engine.resumeQueue();
+    },
+    
+    pauseJob: async (jobId) => {
+      return engine.pauseJob(jobId);
+    },
+    
+    resumeJob: async (jobId) => {
+      return engine.resumeJob(jobId);
+    },
+    
+    setJobPriority: async (jobId, priority) => {
+      return engine.setJobPriority(jobId, priority);
+    },
+    
+    reorderQueue: async (jobIds) => {
+      return engine.reorderQueue(jobIds);
+    },
+    
+    updateSchedule: (schedule) => {
+      return engine.updateSchedule(schedule);
+    },
+    
     removeFromQueue: (jobId) => {
       return engine.cancelJob(jobId);
     },
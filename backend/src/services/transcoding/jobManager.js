@@ -2,6 +2,19 @@ const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const database = require('../../utils/database');
 
+// Named priorities used by the routes and UI; any integer in range works too
+const PRIORITY_LEVELS = { low: -1, normal: 0, high: 1, urgent: 2 };
+
+// Run order: admin priority, then jobs placed by hand, then the analysis
+// score (FileAnalyzer.calculateJobPriority), then oldest first
+const QUEUE_ORDER = `
+  priority DESC,
+  CASE WHEN queue_position IS NULL THEN 1 ELSE 0 END,
+  queue_position ASC,
+  analysis_score DESC,
+  created_at ASC
+`;
+
 class JobManager extends EventEmitter {
   constructor(config = {}) {
     super();
@@ -11,11 +24,18 @@ class JobManager extends EventEmitter {
       maxQueueSize: 100,
       retryAttempts: 3,
       retryDelay: 5000,
+      // [{ start: 'HH:MM', end: 'HH:MM' }] in server time, empty = any time
+      scheduleWindows: [],
+      // Jobs for files at least this big only start inside a window (0 = all jobs)
+      heavyJobMinSizeMB: 1024,
+      schedulerInterval: 60000,
       ...config
     };
     
     this.activeJobs = new Map();
     this.isProcessing = false;
+    this.isPaused = config.queuePaused || false;
+    this.schedulerTimer = null;
     this.workerPool = [];
     
     // Initialize database tables
@@ -33,6 +53,9 @@ class JobManager extends EventEmitter {
           qualities TEXT NOT NULL,
           status TEXT NOT NULL DEFAULT 'queued',
           priority INTEGER DEFAULT 0,
+          queue_position INTEGER,
+          analysis_score INTEGER DEFAULT 0,
+          input_size BIGINT DEFAULT 0,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           started_at DATETIME,
           completed_at DATETIME,
@@ -75,7 +98,9 @@ class JobManager extends EventEmitter {
         id: jobId,
         inputPath,
         qualities: options.qualities || ['1080p', '720p'],
-        priority: options.priority || 0,
+        priority: this.normalizePriority(options.priority),
+        analysisScore: options.analysisScore || 0,
+        inputSize: options.inputSize || 0,
         settings: {
           enableGPU: options.enableGPU !== undefined ? options.enableGPU : true,
           deleteOriginal: options.deleteOriginal || false,
@@ -97,15 +122,17 @@ class JobManager extends EventEmitter {
       // Insert job into database
       await database.query(`
         INSERT INTO transcoding_jobs (
-          id, input_path, qualities, status, priority, 
-          attempts, max_attempts, settings
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          id, input_path, qualities, status, priority, analysis_score,
+          input_size, attempts, max_attempts, settings
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         job.id,
         job.inputPath,
         JSON.stringify(job.qualities),
         job.status,
         job.priority,
+        job.analysisScore,
+        job.inputSize,
         job.attempts,
         job.maxAttempts,
         JSON.stringify(job.settings)
@@ -227,7 +254,7 @@ class JobManager extends EventEmitter {
       const result = await database.query(`
         SELECT * FROM transcoding_jobs 
         WHERE status = 'queued' 
-        ORDER BY priority DESC, created_at ASC
+        ORDER BY ${QUEUE_ORDER}
         LIMIT ?
       `, [this.config.maxQueueSize]);
 
@@ -269,7 +296,7 @@ class JobManager extends EventEmitter {
 
     this.isProcessing = true;
 
-    while (true) {
+    while (!this.isPaused) {
       try {
         // Check if we can process more jobs
         const activeJobs = await this.getActiveJobs();
@@ -278,14 +305,14 @@ class JobManager extends EventEmitter {
           continue;
         }
 
-        // Get next job from queue
+        // Next job allowed to run now; heavy ones wait for a schedule window
+        // and the scheduler tick picks them up once it opens
         const queuedJobs = await this.getQueuedJobs();
-        if (queuedJobs.length === 0) {
+        const job = queuedJobs.find(queuedJob => this.canStartJob(queuedJob));
+        if (!job) {
           break;
         }
 
-        const job = queuedJobs[0];
-
         // Start job processing
         this.activeJobs.set(job.id, job);
         await this.updateJobStatus(job.id, 'analyzing', 0);
@@ -305,6 +332,210 @@ class JobManager extends EventEmitter {
     this.isProcessing = false;
   }
 
+  // Re-check the queue periodically so jobs held back by a schedule window
+  // start when it opens
+  startScheduler() {
+    if (this.schedulerTimer) {
+      return;
+    }
+    this.schedulerTimer = setInterval(() => this.processQueue(), this.config.schedulerInterval);
+  }
+
+  stopScheduler() {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+  }
+
+  normalizePriority(priority) {
+    if (typeof priority === 'string' && PRIORITY_LEVELS[priority] !== undefined) {
+      return PRIORITY_LEVELS[priority];
+    }
+    const value = parseInt(priority);
+    if (Number.isNaN(value)) {
+      return PRIORITY_LEVELS.normal;
+    }
+    return Math.min(PRIORITY_LEVELS.urgent, Math.max(PRIORITY_LEVELS.low, value));
+  }
+
+  getPriorityLevels() {
+    return PRIORITY_LEVELS;
+  }
+
+  isHeavyJob(job) {
+    const minSize = this.config.heavyJobMinSizeMB * 1024 * 1024;
+    return minSize <= 0 || (Number(job.input_size) || 0) >= minSize;
+  }
+
+  canStartJob(job) {
+    return !this.isHeavyJob(job) || this.isWithinSchedule();
+  }
+
+  // Minutes since midnight for 'HH:MM'
+  parseTime(value) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+  }
+
+  // Windows ending before they start run past midnight (22:00-06:00)
+  isWithinSchedule(date = new Date()) {
+    const windows = this.config.scheduleWindows || [];
+    if (windows.length === 0) {
+      return true;
+    }
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    return windows.some(window => {
+      const start = this.parseTime(window.start);
+      const end = this.parseTime(window.end);
+      return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+    });
+  }
+
+  // When the next window opens, null when heavy jobs may run now
+  getNextWindowStart(date = new Date()) {
+    if (this.isWithinSchedule(date)) {
+      return null;
+    }
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const wait = Math.min(...this.config.scheduleWindows.map(window => {
+      const start = this.parseTime(window.start);
+      return (start - minutes + 1440) % 1440 || 1440;
+    }));
+    const next = new Date(date);
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + wait);
+    return next.toISOString();
+  }
+
+  validateScheduleWindows(windows) {
+    if (!Array.isArray(windows)) {
+      throw new Error('windows must be an array');
+    }
+
+    return windows.map(window => {
+      const start = this.parseTime(window?.start);
+      const end = this.parseTime(window?.end);
+      if (start === null || end === null) {
+        throw new Error('Schedule windows need start and end times as HH:MM');
+      }
+      if (start === end) {
+        throw new Error(`Schedule window ${window.start}-${window.end} is empty`);
+      }
+      return { start: window.start, end: window.end };
+    });
+  }
+
+  updateSchedule({ windows, heavyJobMinSizeMB }) {
+    if (windows !== undefined) {
+      this.config.scheduleWindows = this.validateScheduleWindows(windows);
+    }
+    if (heavyJobMinSizeMB !== undefined) {
+      const minSize = Number(heavyJobMinSizeMB);
+      if (!Number.isFinite(minSize) || minSize < 0) {
+        throw new Error('heavyJobMinSizeMB must be 0 or more');
+      }
+      this.config.heavyJobMinSizeMB = minSize;
+    }
+
+    this.emit('scheduleUpdated', this.getSchedule());
+    this.processQueue();
+    return this.getSchedule();
+  }
+
+  getSchedule() {
+    return {
+      windows: this.config.scheduleWindows,
+      heavyJobMinSizeMB: this.config.heavyJobMinSizeMB,
+      withinWindow: this.isWithinSchedule(),
+      nextWindowStart: this.getNextWindowStart()
+    };
+  }
+
+  // Stops handing out new jobs; running ones finish
+  pauseQueue() {
+    this.isPaused = true;
+    this.emit('queuePaused');
+  }
+
+  resumeQueue() {
+    this.isPaused = false;
+    this.emit('queueResumed');
+    this.processQueue();
+  }
+
+  async setJobPriority(jobId, priority) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    const value = this.normalizePriority(priority);
+    await database.query('UPDATE transcoding_jobs SET priority = ? WHERE id = ?', [value, jobId]);
+    this.emit('queueReordered');
+    return value;
+  }
+
+  // jobIds in the order they should run; priority still outranks position,
+  // so this orders jobs within each priority
+  async reorderQueue(jobIds) {
+    if (!Array.isArray(jobIds) || jobIds.length === 0) {
+      throw new Error('jobIds must be a non-empty array');
+    }
+
+    const placeholders = jobIds.map(() => '?').join(', ');
+    const waiting = await database.query(
+      `SELECT id FROM transcoding_jobs WHERE id IN (${placeholders}) AND status IN ('queued', 'paused')`,
+      jobIds
+    );
+    if (waiting.length !== new Set(jobIds).size) {
+      throw new Error('Only queued or paused jobs can be reordered');
+    }
+
+    for (let i = 0; i < jobIds.length; i++) {
+      await database.query('UPDATE transcoding_jobs SET queue_position = ? WHERE id = ?', [i + 1, jobIds[i]]);
+    }
+
+    this.emit('queueReordered');
+  }
+
+  // Queued, paused and running jobs in the order they will run
+  async getQueueJobs() {
+    try {
+      const result = await database.query(`
+        SELECT * FROM transcoding_jobs
+        WHERE status IN ('queued', 'paused', 'analyzing', 'transcoding')
+        ORDER BY
+          CASE WHEN status IN ('analyzing', 'transcoding') THEN 0 ELSE 1 END,
+          ${QUEUE_ORDER}
+        LIMIT ?
+      `, [this.config.maxQueueSize]);
+
+      return result.map(job => ({
+        id: job.id,
+        inputPath: job.input_path,
+        qualities: JSON.parse(job.qualities),
+        profile: JSON.parse(job.settings || '{}').profile?.name || null,
+        status: job.status,
+        progress: job.progress,
+        priority: job.priority,
+        queuePosition: job.queue_position,
+        analysisScore: job.analysis_score,
+        inputSize: Number(job.input_size) || 0,
+        heavy: this.isHeavyJob(job),
+        addedAt: job.created_at,
+        startedAt: job.started_at
+      }));
+    } catch (error) {
+      console.error('❌ Failed to get queue jobs:', error);
+      return [];
+    }
+  }
+
   async cancelJob(jobId) {
     try {
       const job = await this.getJob(jobId);
@@ -364,8 +595,9 @@ class JobManager extends EventEmitter {
 
   async getQueueStatus() {
     try {
-      const [queuedJobs, activeJobs, completedJobs, failedJobs] = await Promise.all([
+      const [queuedJobs, pausedJobs, activeJobs, completedJobs, failedJobs] = await Promise.all([
         database.query("SELECT COUNT(*) as count FROM transcoding_jobs WHERE status = 'queued'"),
+        database.query("SELECT COUNT(*) as count FROM transcoding_jobs WHERE status = 'paused'"),
         database.query("SELECT COUNT(*) as count FROM transcoding_jobs WHERE status IN ('analyzing', 'transcoding')"),
         database.query("SELECT COUNT(*) as count FROM transcoding_jobs WHERE status = 'completed'"),
         database.query("SELECT COUNT(*) as count FROM transcoding_jobs WHERE status = 'failed'")
@@ -373,20 +605,24 @@ class JobManager extends EventEmitter {
 
       return {
         queued: queuedJobs[0].count,
+        paused: pausedJobs[0].count,
         active: activeJobs[0].count,
         completed: completedJobs[0].count,
         failed: failedJobs[0].count,
         isProcessing: this.isProcessing,
+        isPaused: this.isPaused,
         maxConcurrentJobs: this.config.maxConcurrentJobs
       };
     } catch (error) {
       console.error('❌ Failed to get queue status:', error);
       return {
         queued: 0,
+        paused: 0,
         active: 0,
         completed: 0,
         failed: 0,
         isProcessing: false,
+        isPaused: this.isPaused,
         maxConcurrentJobs: this.config.maxConcurrentJobs
       };
     }
@@ -417,7 +653,7 @@ class JobManager extends EventEmitter {
       // Clear all queued jobs from database
       const result = await database.query(`
         DELETE FROM transcoding_jobs 
-        WHERE status IN ('queued', 'pending')
+        WHERE status IN ('queued', 'pending', 'paused')
       `);
 
       return result.changes || 0;
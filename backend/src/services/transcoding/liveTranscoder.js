@@ -0,0 +1,450 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs').promises;
+const database = require('../../utils/database');
+
+const RESOLUTION_HEIGHTS = { '480p': 480, '720p': 720, '1080p': 1080, '4k': 2160 };
+
+// Video bitrate used for each output height when the bitrate limit allows it
+const DEFAULT_VIDEO_BITRATES = { 480: 1500, 720: 3000, 1080: 6000, 2160: 16000 };
+
+const AUDIO_BITRATE = 128;
+
+// Real-time transcodes for clients that can't play the original file and
+// have no offline transcode to fall back on. Each streaming session gets one
+// ffmpeg process writing HLS segments into a temp directory. The playlist
+// lists every segment of the file up front, so the player sees the real
+// duration and can seek anywhere; a request for a segment the encoder won't
+// reach soon restarts ffmpeg at that segment's offset.
+//
+// In remux mode (direct stream) the video is copied instead of re-encoded, so
+// segments can only be cut on the source keyframes and their real lengths
+// drift slightly from the playlist; players align them by timestamp.
+class LiveTranscoder {
+  constructor(config = {}) {
+    this.config = {
+      segmentDuration: 4,
+      outputDirectory: path.join(__dirname, '../../../uploads/temp/live'),
+      // Restart instead of waiting when a segment is further ahead than this
+      maxSegmentsAhead: 5,
+      segmentTimeout: 30000,
+      idleTimeout: 2 * 60 * 1000,
+      watchdogInterval: 30000,
+      ...config
+    };
+
+    // Streaming session id -> live transcode
+    this.sessions = new Map();
+    this.watchdogTimer = null;
+    this.outputCleared = false;
+  }
+
+  // Output limits from the streaming settings, optionally lowered further by
+  // the client (limits.maxHeight in pixels, limits.maxBitrate in kbps), never
+  // upscaling the source
+  getOutputProfile(streamingSettings, sourceHeight, limits = {}) {
+    const serverHeight = RESOLUTION_HEIGHTS[streamingSettings.max_resolution] || 1080;
+    const maxHeight = parseInt(limits.maxHeight) > 0 ? Math.min(parseInt(limits.maxHeight), serverHeight) : serverHeight;
+    const height = sourceHeight ? Math.min(sourceHeight, maxHeight) : maxHeight;
+
+    const defaultBitrate = DEFAULT_VIDEO_BITRATES[
+      Object.keys(DEFAULT_VIDEO_BITRATES).map(Number).find(limit => height <= limit) || 2160
+    ];
+    // bitrate_limit is in Mbps and covers audio as well
+    const bitrateLimits = [parseFloat(streamingSettings.bitrate_limit) * 1000, parseFloat(limits.maxBitrate)]
+      .filter(limit => limit > 0);
+    const videoBitrate = bitrateLimits.length > 0
+      ? Math.max(Math.min(defaultBitrate, Math.floor(Math.min(...bitrateLimits)) - AUDIO_BITRATE), 300)
+      : defaultBitrate;
+
+    return { height, scale: !sourceHeight || sourceHeight > height, videoBitrate, audioBitrate: AUDIO_BITRATE };
+  }
+
+  async probe(inputPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(inputPath, (err, data) => {
+        if (err) return reject(new Error(`Could not read media file: ${err.message}`));
+
+        const video = data.streams.find(stream => stream.codec_type === 'video');
+        const duration = parseFloat(data.format.duration);
+        if (!video || !(duration > 0)) {
+          return reject(new Error('Media file has no playable video stream'));
+        }
+        resolve({ duration, height: video.height || null });
+      });
+    });
+  }
+
+  // Leftovers from before a restart have no encoder or session behind them
+  async clearOutputDirectory() {
+    if (this.outputCleared) return;
+    this.outputCleared = true;
+    await fs.rm(this.config.outputDirectory, { recursive: true, force: true });
+  }
+
+  // Sessions still probing their file have no segments to serve yet
+  getSession(sessionId) {
+    const session = this.sessions.get(String(sessionId));
+    return session && !session.probing ? session : null;
+  }
+
+  // streaming_settings.max_live_transcodes caps re-encoding sessions across
+  // the server (0 = no cap); remuxes copy the video and don't count. A
+  // session that is already transcoding keeps its slot.
+  hasTranscodeCapacity(streamingSettings, sessionId = null) {
+    const max = parseInt(streamingSettings.max_live_transcodes);
+    if (!(max > 0)) return true;
+
+    const running = [...this.sessions.values()]
+      .filter(session => session.mode === 'transcode' && session.id !== String(sessionId))
+      .length;
+    return running < max;
+  }
+
+  // Create (or reuse) the live transcode for a streaming session and warm up
+  // the encoder at the requested start offset. options: { mode: 'transcode' |
+  // 'remux', copyAudio, maxHeight, maxBitrate }
+  async openSession({ sessionId, contentId, inputPath, streamingSettings, startTime = 0, options = {} }) {
+    const key = String(sessionId);
+    const mode = options.mode === 'remux' ? 'remux' : 'transcode';
+    const copyAudio = mode === 'remux' && !!options.copyAudio;
+    let session = this.sessions.get(key);
+
+    // Another request for this session is still probing the file
+    if (session?.probing) {
+      await session.probing.catch(() => {});
+      session = this.sessions.get(key);
+    }
+
+    // A streaming session plays one item; a different one (or the same one
+    // with different output settings) starts over
+    if (session) {
+      const profile = this.getOutputProfile(streamingSettings, session.sourceHeight, options);
+      const changed = session.contentId !== String(contentId) ||
+        session.mode !== mode ||
+        session.copyAudio !== copyAudio ||
+        session.profile.height !== profile.height ||
+        session.profile.videoBitrate !== profile.videoBitrate;
+
+      if (changed) {
+        await this.stopSession(key);
+        session = null;
+      }
+    }
+
+    if (!session) {
+      if (mode === 'transcode' && !this.hasTranscodeCapacity(streamingSettings, key)) {
+        const error = new Error('The server is busy with other live transcodes. Try again in a few minutes.');
+        error.code = 'LIVE_TRANSCODE_LIMIT';
+        throw error;
+      }
+
+      // Take the slot before probing, so concurrent requests can't all pass
+      // the capacity check while the file is being read
+      session = {
+        id: key,
+        contentId: String(contentId),
+        inputPath,
+        mode,
+        copyAudio,
+        sourceHeight: null,
+        duration: 0,
+        segmentCount: 0,
+        profile: this.getOutputProfile(streamingSettings, null, options),
+        outputDir: path.join(this.config.outputDirectory, key.replace(/[^\w-]/g, '_')),
+        encoder: null,
+        lastAccess: Date.now(),
+        probing: null
+      };
+      this.sessions.set(key, session);
+      this.startWatchdog();
+
+      session.probing = this.clearOutputDirectory()
+        .then(() => this.probe(inputPath))
+        .then(async source => {
+          await fs.mkdir(session.outputDir, { recursive: true });
+          return source;
+        });
+      let source;
+      try {
+        source = await session.probing;
+      } catch (error) {
+        if (this.sessions.get(key) === session) {
+          await this.stopSession(key);
+        }
+        throw error;
+      }
+      if (this.sessions.get(key) !== session) {
+        throw new Error('Live transcode session ended');
+      }
+
+      Object.assign(session, {
+        sourceHeight: source.height,
+        duration: source.duration,
+        segmentCount: Math.ceil(source.duration / this.config.segmentDuration),
+        profile: this.getOutputProfile(streamingSettings, source.height, options),
+        probing: null
+      });
+    }
+
+    session.lastAccess = Date.now();
+
+    const startSegment = this.getSegmentIndex(session, startTime);
+    if (!this.isSegmentComing(session, startSegment) && !(await this.segmentExists(session, startSegment))) {
+      this.startEncoder(session, startSegment);
+    }
+
+    return session;
+  }
+
+  getSegmentIndex(session, seconds) {
+    const index = Math.floor((parseFloat(seconds) || 0) / this.config.segmentDuration);
+    return Math.min(Math.max(index, 0), session.segmentCount - 1);
+  }
+
+  getSegmentName(index) {
+    return `segment_${String(index).padStart(5, '0')}.ts`;
+  }
+
+  async segmentExists(session, index) {
+    try {
+      await fs.access(path.join(session.outputDir, this.getSegmentName(index)));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Whether the running encoder will produce this segment shortly
+  isSegmentComing(session, index) {
+    const encoder = session.encoder;
+    if (!encoder || encoder.finished) return false;
+
+    const encodedSegment = encoder.startSegment + Math.floor(encoder.encodedSeconds / this.config.segmentDuration);
+    return index >= encoder.startSegment && index <= encodedSegment + this.config.maxSegmentsAhead;
+  }
+
+  // Every segment is listed up front; segments that aren't encoded yet are
+  // produced when the player asks for them
+  buildPlaylist(session) {
+    const { segmentDuration } = this.config;
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-TARGETDURATION:${segmentDuration}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD'
+    ];
+
+    for (let index = 0; index < session.segmentCount; index++) {
+      const remaining = session.duration - index * segmentDuration;
+      lines.push(`#EXTINF:${Math.min(segmentDuration, remaining).toFixed(3)},`, this.getSegmentName(index));
+    }
+
+    lines.push('#EXT-X-ENDLIST');
+    return lines.join('\n') + '\n';
+  }
+
+  startEncoder(session, startSegment) {
+    this.stopEncoder(session);
+
+    const { segmentDuration } = this.config;
+    const { profile } = session;
+    const startTime = startSegment * segmentDuration;
+    const encoder = { startSegment, encodedSeconds: 0, finished: false, error: null, command: null };
+
+    const command = ffmpeg(session.inputPath)
+      .inputOptions(['-ss', String(startTime)])
+      .outputOptions([
+        '-map 0:v:0',
+        '-map 0:a:0?',
+        ...this.getVideoOptions(session),
+        ...(session.copyAudio ? ['-c:a copy'] : ['-c:a aac', `-b:a ${profile.audioBitrate}k`, '-ac 2']),
+        // Keep the timestamps of the original so restarted encodes line up
+        `-output_ts_offset ${startTime}`,
+        '-f hls',
+        `-hls_time ${segmentDuration}`,
+        '-hls_list_size 0',
+        '-hls_playlist_type event',
+        // Segments only appear under their final name once complete
+        '-hls_flags temp_file',
+        `-start_number ${startSegment}`
+      ])
+      // Passed as separate arguments so paths containing spaces stay intact
+      .outputOptions('-hls_segment_filename', path.join(session.outputDir, 'segment_%05d.ts').replace(/\\/g, '/'))
+      .output(path.join(session.outputDir, 'encoder.m3u8').replace(/\\/g, '/'));
+
+    command
+      .on('progress', (progress) => {
+        const [hours, minutes, seconds] = String(progress.timemark || '0:0:0').split(':').map(parseFloat);
+        encoder.encodedSeconds = (hours * 3600 + minutes * 60 + seconds) || 0;
+      })
+      .on('end', () => {
+        encoder.finished = true;
+      })
+      .on('error', (error) => {
+        encoder.finished = true;
+        // Killing the process on seek or session end also lands here
+        if (!encoder.stopped) {
+          encoder.error = error.message;
+          console.error(`❌ Live transcode failed for session ${session.id}:`, error.message);
+        }
+      });
+
+    encoder.command = command;
+    session.encoder = encoder;
+    command.run();
+  }
+
+  getVideoOptions(session) {
+    if (session.mode === 'remux') {
+      return ['-c:v copy'];
+    }
+
+    const { profile } = session;
+    const videoFilters = ['format=yuv420p'];
+    if (profile.scale) {
+      videoFilters.unshift(`scale=-2:${profile.height}`);
+    }
+
+    return [
+      '-c:v libx264',
+      '-preset veryfast',
+      '-profile:v high',
+      `-vf ${videoFilters.join(',')}`,
+      `-b:v ${profile.videoBitrate}k`,
+      `-maxrate ${profile.videoBitrate}k`,
+      `-bufsize ${profile.videoBitrate * 2}k`,
+      // Segment boundaries have to land exactly where the playlist says
+      `-force_key_frames expr:gte(t,n_forced*${this.config.segmentDuration})`,
+      '-sc_threshold 0'
+    ];
+  }
+
+  stopEncoder(session) {
+    const encoder = session.encoder;
+    if (!encoder) return;
+
+    session.encoder = null;
+    if (!encoder.finished) {
+      encoder.stopped = true;
+      try {
+        encoder.command.kill('SIGKILL');
+      } catch (error) {
+        console.error(`❌ Failed to stop live transcode: ${error.message}`);
+      }
+    }
+  }
+
+  // Resolve a segment once the encoder has written it, restarting the
+  // encoder when the player seeks somewhere it isn't heading
+  async waitForSegment(session, index) {
+    if (index < 0 || index >= session.segmentCount) {
+      throw new Error('Segment out of range');
+    }
+
+    const segmentPath = path.join(session.outputDir, this.getSegmentName(index));
+    const deadline = Date.now() + this.config.segmentTimeout;
+    session.lastAccess = Date.now();
+
+    while (Date.now() < deadline) {
+      if (await this.segmentExists(session, index)) {
+        return segmentPath;
+      }
+      if (!this.sessions.has(session.id)) {
+        throw new Error('Live transcode session ended');
+      }
+      if (session.encoder?.error) {
+        throw new Error(`Live transcode failed: ${session.encoder.error}`);
+      }
+      if (!this.isSegmentComing(session, index)) {
+        this.startEncoder(session, index);
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    throw new Error('Timed out waiting for segment');
+  }
+
+  async stopSession(sessionId) {
+    const key = String(sessionId);
+    const session = this.sessions.get(key);
+    if (!session) return;
+
+    this.sessions.delete(key);
+    this.stopEncoder(session);
+
+    try {
+      await fs.rm(session.outputDir, { recursive: true, force: true });
+    } catch (error) {
+      console.error(`❌ Failed to remove live transcode output: ${error.message}`);
+    }
+
+    if (this.sessions.size === 0) {
+      this.stopWatchdog();
+    }
+  }
+
+  // Stop encoders whose streaming session has ended (including sessions that
+  // were never ended cleanly) or that nobody has requested in a while
+  async checkSessions() {
+    if (this.sessions.size === 0) return;
+
+    const ids = [...this.sessions.keys()];
+    let activeIds = null;
+    try {
+      const rows = await database.query(
+        `SELECT id FROM streaming_sessions WHERE status = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+        ['active', ...ids]
+      );
+      activeIds = new Set(rows.map(row => String(row.id)));
+    } catch (error) {
+      console.error('❌ Failed to check live transcode sessions:', error.message);
+    }
+
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      const ended = activeIds && !activeIds.has(id);
+      if (ended || now - session.lastAccess > this.config.idleTimeout) {
+        await this.stopSession(id);
+      }
+    }
+  }
+
+  startWatchdog() {
+    if (this.watchdogTimer) return;
+
+    this.watchdogTimer = setInterval(() => {
+      this.checkSessions().catch(error => {
+        console.error('❌ Live transcode watchdog error:', error.message);
+      });
+    }, this.config.watchdogInterval);
+  }
+
+  stopWatchdog() {
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer);
+      this.watchdogTimer = null;
+    }
+  }
+
+  async stopAll() {
+    for (const id of [...this.sessions.keys()]) {
+      await this.stopSession(id);
+    }
+  }
+
+  getStatus() {
+    return [...this.sessions.values()].map(session => ({
+      sessionId: session.id,
+      contentId: session.contentId,
+      mode: session.mode,
+      height: session.profile.height,
+      videoBitrate: session.profile.videoBitrate,
+      encoding: !!session.encoder && !session.encoder.finished,
+      lastAccess: new Date(session.lastAccess).toISOString()
+    }));
+  }
+}
+
+module.exports = new LiveTranscoder();
@@ -46,7 +46,8 @@ class StorageManager extends EventEmitter {
       path.join(this.config.outputDirectory, '1080p'),
       path.join(this.config.outputDirectory, '720p'),
       path.join(this.config.outputDirectory, '480p'),
-      path.join(this.config.outputDirectory, 'vp9')
+      path.join(this.config.outputDirectory, 'vp9'),
+      path.join(this.config.outputDirectory, 'hls')
     ];
     
     for (const dir of directories) {
@@ -112,6 +113,36 @@ class StorageManager extends EventEmitter {
     }
   }
 
+  // HLS packages live under <output>/hls/<relative dir>/<base name>/ so each
+  // title keeps its playlists and segments together
+  async generateHLSDirectory(inputPath) {
+    try {
+      const inputDir = path.dirname(inputPath);
+      const relativePath = path.relative(path.resolve('./uploads/media'), inputDir);
+      const originalBaseName = path.parse(inputPath).name;
+
+      let baseName;
+      if (originalBaseName.length > 60) {
+        const movieTitle = originalBaseName.split('.')[0] || 'video';
+        const hash = require('crypto').createHash('md5').update(originalBaseName).digest('hex').substring(0, 8);
+        baseName = `${movieTitle.substring(0, 30)}-${hash}`;
+      } else {
+        baseName = originalBaseName;
+      }
+
+      const hlsDir = path.join(this.config.outputDirectory, 'hls', relativePath, baseName);
+
+      // Replace any previous package for this file
+      await fs.rm(hlsDir, { recursive: true, force: true });
+      await fs.mkdir(hlsDir, { recursive: true });
+      return hlsDir;
+
+    } catch (error) {
+      console.error('❌ Failed to generate HLS directory:', error);
+      throw error;
+    }
+  }
+
   getOutputExtension(quality) {
     if (quality.includes('vp9')) {
       return '.webm';
@@ -1,12 +1,22 @@
 const EventEmitter = require('events');
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
+const os = require('os');
 const fs = require('fs').promises;
 const { promisify } = require('util');
 const { exec } = require('child_process');
 const execAsync = promisify(exec);
 const crypto = require('crypto');
 const { formatFileSize } = require('../../utils/formatters');
+const { normalizeLanguage } = require('../../utils/languages');
+const FileAnalyzer = require('./fileAnalyzer');
+
+// ffmpeg encoder for each codec on each encoding backend
+const VIDEO_ENCODERS = {
+  hevc: { nvenc: 'hevc_nvenc', qsv: 'hevc_qsv', vaapi: 'hevc_vaapi', software: 'libx265' },
+  h264: { nvenc: 'h264_nvenc', qsv: 'h264_qsv', vaapi: 'h264_vaapi', software: 'libx264' },
+  vp9: { software: 'libvpx-vp9' }
+};
 
 class Transcoder extends EventEmitter {
   constructor(config = {}) {
@@ -21,14 +31,28 @@ class Transcoder extends EventEmitter {
       minCompressionPercent: 5,
       preventDataInflation: true,
       maxInflationPercent: 0,
+      hlsSegmentDuration: 6,
+      audioTracks: 'all', // 'all', 'default' or an array of audio stream positions
+      // Hardware backends in order of preference; software encoding is the
+      // fallback when none of them passes the probe (or enableGPU is off)
+      hardwareEncoders: ['nvenc', 'qsv', 'vaapi'],
+      vaapiDevice: process.env.VAAPI_DEVICE || '/dev/dri/renderD128',
       ...config
     };
+
+    // Encoders that passed probeEncoders(), null until the probe has run;
+    // ffmpegEncoders is everything `ffmpeg -encoders` listed (audio too)
+    this.availableEncoders = null;
+    this.ffmpegEncoders = new Set();
+    this.encoderProbe = null;
     
     // Quality presets
     this.qualityPresets = this.initializeQualityPresets();
     
     // Active transcoding processes
     this.activeProcesses = new Map();
+    // Jobs whose ffmpeg is stopped (SIGSTOP) until resumeTranscoding()
+    this.suspendedJobs = new Set();
     
     // Performance tracking
     this.performanceStats = {
@@ -40,6 +64,8 @@ class Transcoder extends EventEmitter {
     };
   }
 
+  // Presets name a codec rather than an encoder; the encoder is picked per
+  // server by resolveEncoder() (NVENC, QSV, VAAPI or libx264/libx265)
   initializeQualityPresets() {
     return {
       // H.265 MP4 presets
@@ -47,10 +73,11 @@ class Transcoder extends EventEmitter {
         resolution: '1920x1080',
         videoBitrate: '1200k',
         audioBitrate: '96k',
-        videoCodec: 'hevc_nvenc',
+        codec: 'hevc',
         audioCodec: 'aac',
         container: 'mp4',
         suffix: '_1080p_h265',
+        hlsCodecs: 'hvc1.1.6.L120.90,mp4a.40.2',
         crf: 23,
         preset: 'p4'
       },
@@ -58,10 +85,11 @@ class Transcoder extends EventEmitter {
         resolution: '1280x720',
         videoBitrate: '800k',
         audioBitrate: '80k',
-        videoCodec: 'hevc_nvenc',
+        codec: 'hevc',
         audioCodec: 'aac',
         container: 'mp4',
         suffix: '_720p_h265',
+        hlsCodecs: 'hvc1.1.6.L93.90,mp4a.40.2',
         crf: 25,
         preset: 'p4'
       },
@@ -69,20 +97,59 @@ class Transcoder extends EventEmitter {
         resolution: '854x480',
         videoBitrate: '600k',
         audioBitrate: '64k',
-        videoCodec: 'hevc_nvenc',
+        codec: 'hevc',
         audioCodec: 'aac',
         container: 'mp4',
         suffix: '_480p_h265',
+        hlsCodecs: 'hvc1.1.6.L90.90,mp4a.40.2',
         crf: 27,
         preset: 'p4'
       },
       
+      // H.264 MP4 presets (larger, but every browser can play them)
+      '1080p_h264': {
+        resolution: '1920x1080',
+        videoBitrate: '2500k',
+        audioBitrate: '128k',
+        codec: 'h264',
+        audioCodec: 'aac',
+        container: 'mp4',
+        suffix: '_1080p_h264',
+        hlsCodecs: 'avc1.640028,mp4a.40.2',
+        crf: 22,
+        preset: 'p4'
+      },
+      '720p_h264': {
+        resolution: '1280x720',
+        videoBitrate: '1500k',
+        audioBitrate: '96k',
+        codec: 'h264',
+        audioCodec: 'aac',
+        container: 'mp4',
+        suffix: '_720p_h264',
+        hlsCodecs: 'avc1.64001f,mp4a.40.2',
+        crf: 23,
+        preset: 'p4'
+      },
+      '480p_h264': {
+        resolution: '854x480',
+        videoBitrate: '900k',
+        audioBitrate: '80k',
+        codec: 'h264',
+        audioCodec: 'aac',
+        container: 'mp4',
+        suffix: '_480p_h264',
+        hlsCodecs: 'avc1.64001e,mp4a.40.2',
+        crf: 24,
+        preset: 'p4'
+      },
+      
       // VP9 WebM presets (for better compression)
       '1080p_vp9': {
         resolution: '1920x1080',
         videoBitrate: '1000k',
         audioBitrate: '96k',
-        videoCodec: 'libvpx-vp9',
+        codec: 'vp9',
         audioCodec: 'libopus',
         container: 'webm',
         suffix: '_1080p_vp9',
@@ -93,7 +160,7 @@ class Transcoder extends EventEmitter {
         resolution: '1280x720',
         videoBitrate: '700k',
         audioBitrate: '80k',
-        videoCodec: 'libvpx-vp9',
+        codec: 'vp9',
         audioCodec: 'libopus',
         container: 'webm',
         suffix: '_720p_vp9',
@@ -103,9 +170,61 @@ class Transcoder extends EventEmitter {
     };
   }
 
-  async transcodeFile(inputPath, outputPath, quality, jobId = null) {
-    const startTime = Date.now();
+  // Which backend and ffmpeg encoder a codec will use on this server. Until
+  // the probe has run, NVENC is assumed when the GPU is enabled.
+  resolveEncoder(codec) {
+    const encoders = VIDEO_ENCODERS[codec];
+    if (!encoders) {
+      throw new Error(`Unknown video codec: ${codec}`);
+    }
+
+    const backends = this.config.enableGPU ? this.config.hardwareEncoders : [];
+    const backend = backends.find(name => {
+      if (!encoders[name]) return false;
+      return this.availableEncoders ? this.availableEncoders.has(encoders[name]) : name === 'nvenc';
+    }) || 'software';
+
+    return { backend, encoder: encoders[backend], hardware: backend !== 'software' };
+  }
+
+  // A preset with the encoder it will actually run with
+  getQualityPreset(quality) {
     const preset = this.qualityPresets[quality];
+    if (!preset) return null;
+
+    const { backend, encoder, hardware } = this.resolveEncoder(preset.codec);
+    return { ...preset, videoCodec: encoder, encoderBackend: backend, hardwareEncoding: hardware };
+  }
+
+  // A stored transcoding profile as a preset. Profiles cap the height rather
+  // than forcing a size, so smaller sources aren't upscaled.
+  buildProfilePreset(profile) {
+    const { backend, encoder, hardware } = this.resolveEncoder(profile.videoCodec);
+    return {
+      profile: profile.name,
+      codec: profile.videoCodec,
+      videoCodec: encoder,
+      encoderBackend: backend,
+      hardwareEncoding: hardware,
+      rateControl: profile.rateControl,
+      crf: profile.crf,
+      videoBitrate: profile.videoBitrate ? `${profile.videoBitrate}k` : null,
+      resolution: null,
+      maxHeight: profile.maxHeight || null,
+      audioCodec: profile.audioCodec,
+      audioBitrate: profile.audioBitrate && profile.audioCodec !== 'copy' ? `${profile.audioBitrate}k` : null,
+      audioChannels: profile.audioChannels || null,
+      container: profile.container,
+      twoPass: profile.twoPass,
+      suffix: `_${profile.name}`,
+      preset: this.config.gpuPreset
+    };
+  }
+
+  // options.profile (a stored transcoding profile) replaces the quality preset
+  async transcodeFile(inputPath, outputPath, quality, jobId = null, options = {}) {
+    const startTime = Date.now();
+    const preset = options.profile ? this.buildProfilePreset(options.profile) : this.getQualityPreset(quality);
     
     if (!preset) {
       throw new Error(`Unknown quality preset: ${quality}`);
@@ -116,7 +235,7 @@ class Transcoder extends EventEmitter {
       await fs.mkdir(path.dirname(outputPath), { recursive: true });
       
       // Adjust output path based on container
-      const fileExtension = preset.container === 'webm' ? '.webm' : '.mp4';
+      const fileExtension = { webm: '.webm', mkv: '.mkv' }[preset.container] || '.mp4';
       const adjustedOutputPath = outputPath.replace(/\.[^.]*$/, fileExtension);
       
       // Get original file info
@@ -124,10 +243,16 @@ class Transcoder extends EventEmitter {
       const originalSize = originalStats.size;
       
       // Start transcoding process
-      await this.startTranscodingProcess(inputPath, adjustedOutputPath, preset, jobId);
+      if (preset.twoPass && preset.encoderBackend === 'software') {
+        await this.runTwoPass(inputPath, adjustedOutputPath, preset, jobId, options);
+      } else {
+        await this.startTranscodingProcess(inputPath, adjustedOutputPath, preset, jobId, options);
+      }
       
       // Validate output
-      const validation = await this.validateOutput(adjustedOutputPath, originalSize, quality);
+      // Profiles and compatibility renditions may trade size for playback,
+      // so only regular presets must save space
+      const validation = await this.validateOutput(adjustedOutputPath, originalSize, quality, !options.profile && !options.compatibility);
       
       // Update performance stats
       const processingTime = Date.now() - startTime;
@@ -163,26 +288,60 @@ class Transcoder extends EventEmitter {
     }
   }
 
-  async startTranscodingProcess(inputPath, outputPath, preset, jobId) {
+  // The first pass only writes rate statistics; the log lives in the temp
+  // directory because fluent-ffmpeg splits option values on spaces
+  async runTwoPass(inputPath, outputPath, preset, jobId, options = {}) {
+    const passLogFile = path.join(os.tmpdir(), `transcode-pass-${crypto.randomUUID()}`);
+
+    try {
+      await this.startTranscodingProcess(inputPath, outputPath, { ...preset, pass: 1, passLogFile }, jobId, options);
+      await this.startTranscodingProcess(inputPath, outputPath, { ...preset, pass: 2, passLogFile }, jobId, options);
+    } finally {
+      const logName = path.basename(passLogFile);
+      const entries = await fs.readdir(os.tmpdir()).catch(() => []);
+      await Promise.all(entries
+        .filter(entry => entry.startsWith(logName))
+        .map(entry => fs.unlink(path.join(os.tmpdir(), entry)).catch(() => {})));
+    }
+  }
+
+  async startTranscodingProcess(inputPath, outputPath, preset, jobId, options = {}) {
     return new Promise((resolve, reject) => {
       let ffmpegCommand = ffmpeg(inputPath);
       
       // Configure video codec
-      if (preset.videoCodec === 'libvpx-vp9') {
+      if (preset.encoderBackend === 'vaapi') {
+        // VAAPI scales on the GPU, so the frames are uploaded first
+        ffmpegCommand = this.configureVAAPIEncoding(ffmpegCommand, preset);
+      } else if (preset.videoCodec === 'libvpx-vp9') {
         // VP9 encoding (CPU-based)
         ffmpegCommand = this.configureVP9Encoding(ffmpegCommand, preset);
-      } else if (preset.videoCodec === 'hevc_nvenc') {
-        // H.265 GPU encoding
+      } else if (preset.encoderBackend === 'nvenc') {
+        // NVIDIA GPU encoding
         ffmpegCommand = this.configureGPUEncoding(ffmpegCommand, preset);
+      } else if (preset.encoderBackend === 'qsv') {
+        // Intel Quick Sync encoding
+        ffmpegCommand = this.configureQSVEncoding(ffmpegCommand, preset);
       } else {
         // Fallback to CPU encoding
         ffmpegCommand = this.configureCPUEncoding(ffmpegCommand, preset);
       }
       
-      // Configure audio
-      ffmpegCommand = ffmpegCommand
-        .audioCodec(preset.audioCodec)
-        .audioBitrate(preset.audioBitrate);
+      if (preset.pass === 1) {
+        // Analysis pass: video only, nothing is kept
+        ffmpegCommand = ffmpegCommand.outputOptions(['-map 0:v:0']).noAudio().format('null');
+      } else {
+        // Configure audio (every selected stream gets the preset codec/bitrate)
+        ffmpegCommand = ffmpegCommand
+          .outputOptions(this.getStreamMapOptions(options.audioTracks || this.config.audioTracks))
+          .audioCodec(preset.audioCodec);
+        if (preset.audioBitrate) {
+          ffmpegCommand = ffmpegCommand.audioBitrate(preset.audioBitrate);
+        }
+        if (preset.audioChannels) {
+          ffmpegCommand = ffmpegCommand.audioChannels(preset.audioChannels);
+        }
+      }
       
       // Set output (handle path properly for Windows)
       let normalizedOutputPath;
@@ -194,13 +353,27 @@ class Transcoder extends EventEmitter {
         normalizedOutputPath = outputPath.replace(/\\/g, '/');
       }
       
-      ffmpegCommand = ffmpegCommand
-        .size(preset.resolution)
-        .output(normalizedOutputPath);
+      if (preset.pass === 1) {
+        normalizedOutputPath = process.platform === 'win32' ? 'NUL' : '/dev/null';
+      }
+      
+      // VAAPI scales inside its own filter chain
+      if (preset.encoderBackend !== 'vaapi') {
+        if (preset.resolution) {
+          ffmpegCommand = ffmpegCommand.size(preset.resolution);
+        } else if (preset.maxHeight) {
+          ffmpegCommand = ffmpegCommand.videoFilters(this.getScaleFilter(preset));
+        }
+      }
+      ffmpegCommand = ffmpegCommand.output(normalizedOutputPath);
       
       // Add progress tracking
       ffmpegCommand
         .on('start', (commandLine) => {
+          // Paused before this pass started
+          if (this.suspendedJobs.has(jobId)) {
+            ffmpegCommand.kill('SIGSTOP');
+          }
           this.emit('transcodingStarted', { jobId, quality: preset.suffix, commandLine });
         })
         .on('progress', (progress) => {
@@ -247,10 +420,9 @@ class Transcoder extends EventEmitter {
         '-tile-columns 2',
         '-frame-parallel 1',
         '-threads 0',
-        `-crf ${preset.crf}`,
-        '-b:v ' + preset.videoBitrate,
-        '-maxrate ' + preset.videoBitrate,
-        '-bufsize ' + (parseInt(preset.videoBitrate) * 2) + 'k'
+        ...this.getQualityOptions(preset, '-crf'),
+        ...this.getPassOptions(preset),
+        ...this.getBitrateOptions(preset)
       ]);
   }
 
@@ -259,40 +431,328 @@ class Transcoder extends EventEmitter {
       return this.configureCPUEncoding(ffmpegCommand, preset);
     }
     
+    const isHEVC = preset.codec === 'hevc';
     return ffmpegCommand
-      .videoCodec('hevc_nvenc')
+      .videoCodec(isHEVC ? 'hevc_nvenc' : 'h264_nvenc')
       .outputOptions([
         `-preset ${preset.preset}`,
-        '-profile:v main',
+        isHEVC ? '-profile:v main' : '-profile:v high',
         '-rc vbr',
-        `-cq ${preset.crf}`,
+        ...this.getQualityOptions(preset, '-cq'),
         '-spatial_aq 1',
         '-temporal_aq 1',
         '-aq-mode 2',
         '-rc-lookahead 20',
-        '-tag:v hvc1',
+        // NVENC does its two passes within a single run
+        ...(preset.twoPass ? ['-multipass fullres'] : []),
+        ...this.getCodecTagOptions(preset),
+        this.getKeyframeOption(),
         `-gpu ${this.config.gpuDevice}`,
-        '-b:v ' + preset.videoBitrate,
-        '-maxrate ' + preset.videoBitrate,
-        '-bufsize ' + (parseInt(preset.videoBitrate) * 1.5) + 'k'
+        ...this.getBitrateOptions(preset, 1.5)
+      ]);
+  }
+
+  // Quick Sync takes system memory frames directly as long as they are NV12
+  configureQSVEncoding(ffmpegCommand, preset) {
+    return ffmpegCommand
+      .videoCodec(preset.codec === 'hevc' ? 'hevc_qsv' : 'h264_qsv')
+      .outputOptions([
+        '-pix_fmt nv12',
+        '-preset medium',
+        ...this.getQualityOptions(preset, '-global_quality'),
+        '-look_ahead 1',
+        ...this.getCodecTagOptions(preset),
+        this.getKeyframeOption(),
+        ...this.getBitrateOptions(preset)
+      ]);
+  }
+
+  configureVAAPIEncoding(ffmpegCommand, preset) {
+    const filters = [this.getScaleFilter(preset), 'format=nv12', 'hwupload'].filter(Boolean);
+    // VAAPI has no capped constant quality mode, so CRF profiles use CQP
+    const rateOptions = preset.rateControl === 'crf'
+      ? ['-rc_mode CQP', `-qp ${preset.crf}`]
+      : ['-rc_mode VBR', ...this.getBitrateOptions(preset)];
+
+    return ffmpegCommand
+      .inputOptions(['-vaapi_device', this.config.vaapiDevice])
+      .videoCodec(preset.codec === 'hevc' ? 'hevc_vaapi' : 'h264_vaapi')
+      .outputOptions([
+        `-vf ${filters.join(',')}`,
+        ...rateOptions,
+        ...this.getCodecTagOptions(preset),
+        this.getKeyframeOption()
       ]);
   }
 
   configureCPUEncoding(ffmpegCommand, preset) {
+    if (preset.codec === 'h264') {
+      // Capped CRF: quality-based, but never above the preset bitrate
+      return ffmpegCommand
+        .videoCodec('libx264')
+        .outputOptions([
+          '-preset medium',
+          '-profile:v high',
+          '-pix_fmt yuv420p',
+          ...this.getQualityOptions(preset, '-crf'),
+          ...this.getPassOptions(preset),
+          this.getKeyframeOption(),
+          ...this.getBitrateOptions({ rateControl: 'crf', ...preset })
+        ]);
+    }
+
+    // libx265 takes its two-pass settings through x265-params
+    const passParams = preset.pass ? `:pass=${preset.pass}:stats=${preset.passLogFile}.log` : '';
     return ffmpegCommand
       .videoCodec('libx265')
       .outputOptions([
         '-preset medium',
-        `-crf ${preset.crf}`,
-        '-x265-params bframes=8:b-adapt=2:ref=6:me=3:subme=7:merange=57:rd=6:psy-rd=2.0:aq-mode=3:aq-strength=1.0',
+        ...this.getQualityOptions(preset, '-crf'),
+        `-x265-params bframes=8:b-adapt=2:ref=6:me=3:subme=7:merange=57:rd=6:psy-rd=2.0:aq-mode=3:aq-strength=1.0${passParams}`,
         '-tag:v hvc1',
-        '-b:v ' + preset.videoBitrate,
-        '-maxrate ' + preset.videoBitrate,
-        '-bufsize ' + (parseInt(preset.videoBitrate) * 2) + 'k'
+        this.getKeyframeOption(),
+        ...this.getBitrateOptions(preset)
       ]);
   }
 
-  async validateOutput(outputPath, originalSize, quality) {
+  // Presets set both a quality target and a bitrate. Profiles set one or the
+  // other: CRF with the bitrate as an optional ceiling, or a target bitrate.
+  getQualityOptions(preset, option) {
+    return preset.rateControl === 'bitrate' ? [] : [`${option} ${preset.crf}`];
+  }
+
+  getBitrateOptions(preset, bufferFactor = 2) {
+    // -b:v 0 keeps libvpx and NVENC in constant quality mode
+    const options = [`-b:v ${preset.rateControl === 'crf' ? 0 : preset.videoBitrate}`];
+    if (preset.videoBitrate) {
+      options.push('-maxrate ' + preset.videoBitrate, '-bufsize ' + (parseInt(preset.videoBitrate) * bufferFactor) + 'k');
+    }
+    return options;
+  }
+
+  getPassOptions(preset) {
+    return preset.pass ? [`-pass ${preset.pass}`, `-passlogfile ${preset.passLogFile}`] : [];
+  }
+
+  // Presets have a fixed size; profiles only cap the height (-2 keeps the
+  // aspect ratio with an even width)
+  getScaleFilter(preset) {
+    if (preset.resolution) {
+      const [width, height] = preset.resolution.split('x');
+      return `scale=${width}:${height}`;
+    }
+    return preset.maxHeight ? `scale=-2:'min(ih,${preset.maxHeight})'` : null;
+  }
+
+  // Safari and HLS need HEVC tagged as hvc1 rather than ffmpeg's default hev1
+  getCodecTagOptions(preset) {
+    return preset.codec === 'hevc' ? ['-tag:v hvc1'] : [];
+  }
+
+  // Without explicit maps ffmpeg keeps only one audio stream, dropping
+  // alternate languages and commentary tracks
+  getStreamMapOptions(audioTracks) {
+    const maps = ['-map 0:v:0'];
+
+    if (Array.isArray(audioTracks) && audioTracks.length > 0) {
+      audioTracks.forEach(audioIndex => maps.push(`-map 0:a:${parseInt(audioIndex)}?`));
+    } else if (audioTracks === 'default') {
+      maps.push('-map 0:a:0?');
+    } else {
+      maps.push('-map 0:a?');
+    }
+
+    return maps;
+  }
+
+  // Force keyframes on HLS segment boundaries so every rendition cuts at the
+  // same timestamps and players can switch between them cleanly
+  getKeyframeOption() {
+    return `-force_key_frames expr:gte(t,n_forced*${this.config.hlsSegmentDuration})`;
+  }
+
+  // Segment already-transcoded progressive outputs into an HLS package
+  // (fMP4 segments, required for HEVC) and write the master playlist
+  async packageHLS(renditions, outputDir, jobId = null) {
+    const packaged = [];
+
+    await fs.mkdir(outputDir, { recursive: true });
+
+    // WebM outputs cannot be carried in HLS
+    const hlsRenditions = renditions.filter(rendition => {
+      const preset = this.getQualityPreset(rendition.quality);
+      return preset && preset.container === 'mp4';
+    });
+
+    // Several audio streams are packaged once as alternate audio renditions
+    // instead of being muxed into every video rendition
+    const audioRenditions = hlsRenditions.length > 0
+      ? await this.packageAudioRenditions(hlsRenditions[0].outputPath, outputDir, jobId)
+      : [];
+    const separateAudio = audioRenditions.length > 0;
+
+    for (const rendition of hlsRenditions) {
+      const preset = this.getQualityPreset(rendition.quality);
+
+      const renditionDir = path.join(outputDir, rendition.quality);
+      await fs.mkdir(renditionDir, { recursive: true });
+
+      try {
+        await this.segmentRendition(rendition.outputPath, renditionDir, jobId, { includeAudio: !separateAudio });
+
+        packaged.push({
+          quality: rendition.quality,
+          playlist: `${rendition.quality}/index.m3u8`,
+          resolution: preset.resolution,
+          bandwidth: (parseInt(preset.videoBitrate) + parseInt(preset.audioBitrate)) * 1000,
+          codecs: preset.hlsCodecs,
+          audioGroup: separateAudio ? 'audio' : null
+        });
+      } catch (error) {
+        console.error(`❌ HLS packaging failed for ${rendition.quality}: ${error.message}`);
+        await fs.rm(renditionDir, { recursive: true, force: true });
+      }
+    }
+
+    if (packaged.length === 0) {
+      throw new Error('No renditions could be packaged for HLS');
+    }
+
+    // Highest bandwidth first so players without ABR start on the best rendition
+    packaged.sort((a, b) => b.bandwidth - a.bandwidth);
+
+    const masterPlaylistPath = path.join(outputDir, 'master.m3u8');
+    await fs.writeFile(masterPlaylistPath, Transcoder.buildMasterPlaylist(packaged, audioRenditions));
+
+    return {
+      masterPlaylistPath,
+      outputDir,
+      segmentDuration: this.config.hlsSegmentDuration,
+      renditions: [...packaged, ...audioRenditions]
+    };
+  }
+
+  // Segment each audio stream of a transcoded output into its own playlist;
+  // returns nothing when there is only one stream to choose from
+  async packageAudioRenditions(inputPath, outputDir, jobId) {
+    const audioStreams = await new Promise((resolve) => {
+      ffmpeg.ffprobe(inputPath, (err, data) => {
+        resolve(err ? [] : FileAnalyzer.describeAudioStreams(data.streams));
+      });
+    });
+
+    if (audioStreams.length < 2) {
+      return [];
+    }
+
+    const packaged = [];
+    const usedNames = new Set();
+
+    for (const stream of audioStreams) {
+      const id = `audio_${stream.audioIndex}`;
+      const audioDir = path.join(outputDir, id);
+      await fs.mkdir(audioDir, { recursive: true });
+
+      try {
+        await this.segmentRendition(inputPath, audioDir, jobId, { audioOnly: stream.audioIndex });
+
+        // NAME must be unique within the group
+        const language = normalizeLanguage(stream.language);
+        let name = stream.title || language.name || `Track ${stream.audioIndex + 1}`;
+        if (usedNames.has(name)) name = `${name} (${stream.audioIndex + 1})`;
+        usedNames.add(name);
+
+        packaged.push({
+          type: 'audio',
+          quality: id,
+          playlist: `${id}/index.m3u8`,
+          groupId: 'audio',
+          name,
+          language: language.code,
+          channels: stream.channels,
+          isDefault: packaged.length === 0
+        });
+      } catch (error) {
+        console.error(`❌ HLS audio packaging failed for stream ${stream.audioIndex}: ${error.message}`);
+        await fs.rm(audioDir, { recursive: true, force: true });
+      }
+    }
+
+    // A single surviving track gains nothing from a separate group
+    if (packaged.length < 2) {
+      for (const rendition of packaged) {
+        await fs.rm(path.join(outputDir, rendition.quality), { recursive: true, force: true });
+      }
+      return [];
+    }
+
+    return packaged;
+  }
+
+  async segmentRendition(inputPath, renditionDir, jobId, { includeAudio = true, audioOnly = null } = {}) {
+    let maps;
+    if (audioOnly !== null) {
+      maps = [`-map 0:a:${audioOnly}`];
+    } else {
+      maps = includeAudio ? ['-map 0:v:0', '-map 0:a:0?'] : ['-map 0:v:0'];
+    }
+
+    return new Promise((resolve, reject) => {
+      const segmentCommand = ffmpeg(inputPath)
+        .outputOptions([
+          ...maps,
+          '-c copy',
+          '-f hls',
+          `-hls_time ${this.config.hlsSegmentDuration}`,
+          '-hls_playlist_type vod',
+          '-hls_segment_type fmp4',
+          '-hls_fmp4_init_filename init.mp4'
+        ])
+        // Passed as separate arguments so paths containing spaces stay intact
+        .outputOptions('-hls_segment_filename', path.join(renditionDir, 'segment_%05d.m4s').replace(/\\/g, '/'))
+        .output(path.join(renditionDir, 'index.m3u8').replace(/\\/g, '/'));
+
+      segmentCommand
+        .on('start', (commandLine) => {
+          this.emit('hlsPackagingStarted', { jobId, commandLine });
+        })
+        .on('end', () => resolve())
+        .on('error', (error) => reject(error))
+        .run();
+    });
+  }
+
+  // Static so the streaming routes can rebuild a filtered master playlist
+  static buildMasterPlaylist(renditions, audioRenditions = []) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-INDEPENDENT-SEGMENTS'];
+
+    for (const audio of audioRenditions) {
+      const attributes = [
+        'TYPE=AUDIO',
+        `GROUP-ID="${audio.groupId}"`,
+        `NAME="${audio.name.replace(/"/g, "'")}"`,
+        audio.language ? `LANGUAGE="${audio.language}"` : null,
+        `DEFAULT=${audio.isDefault ? 'YES' : 'NO'}`,
+        'AUTOSELECT=YES',
+        audio.channels ? `CHANNELS="${audio.channels}"` : null,
+        `URI="${audio.playlist}"`
+      ].filter(Boolean);
+
+      lines.push(`#EXT-X-MEDIA:${attributes.join(',')}`);
+    }
+
+    for (const rendition of renditions) {
+      const audioGroup = rendition.audioGroup && audioRenditions.length > 0 ? `,AUDIO="${rendition.audioGroup}"` : '';
+      lines.push(
+        `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.resolution},CODECS="${rendition.codecs}"${audioGroup}`,
+        rendition.playlist
+      );
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  async validateOutput(outputPath, originalSize, quality, requireSavings = true) {
     try {
       // Check if output file exists and has valid size
       const outputStats = await fs.stat(outputPath);
@@ -307,7 +767,7 @@ class Transcoder extends EventEmitter {
       const compressionRatio = ((spaceSaved / originalSize) * 100);
       
       // Check for data inflation
-      if (this.config.preventDataInflation && outputSize >= originalSize) {
+      if (requireSavings && this.config.preventDataInflation && outputSize >= originalSize) {
         const inflationAmount = outputSize - originalSize;
         const inflationPercent = ((inflationAmount / originalSize) * 100).toFixed(1);
         
@@ -315,7 +775,7 @@ class Transcoder extends EventEmitter {
       }
       
       // Check minimum compression requirement
-      if (compressionRatio < this.config.minCompressionPercent) {
+      if (requireSavings && compressionRatio < this.config.minCompressionPercent) {
         throw new Error(`Insufficient compression: ${compressionRatio.toFixed(1)}% (minimum: ${this.config.minCompressionPercent}%)`);
       }
       
@@ -349,7 +809,36 @@ class Transcoder extends EventEmitter {
     }
   }
 
+  // Stops the job's ffmpeg where it is; the encode continues on resume
+  suspendTranscoding(jobId) {
+    if (process.platform === 'win32') {
+      throw new Error('Running jobs cannot be paused on Windows');
+    }
+
+    this.suspendedJobs.add(jobId);
+    const command = this.activeProcesses.get(jobId);
+    if (command) {
+      command.kill('SIGSTOP');
+      this.emit('transcodingSuspended', { jobId });
+    }
+  }
+
+  resumeTranscoding(jobId) {
+    if (!this.suspendedJobs.delete(jobId)) {
+      return;
+    }
+
+    const command = this.activeProcesses.get(jobId);
+    if (command) {
+      command.kill('SIGCONT');
+      this.emit('transcodingResumed', { jobId });
+    }
+  }
+
   async cancelTranscoding(jobId) {
+    // A stopped process won't act on SIGTERM until it is continued
+    this.resumeTranscoding(jobId);
+    
     const process = this.activeProcesses.get(jobId);
     if (process) {
       try {
@@ -363,35 +852,65 @@ class Transcoder extends EventEmitter {
     }
   }
 
+  // Find out which encoders actually work here: listed by `ffmpeg -encoders`
+  // and, for hardware ones, able to encode a short synthetic clip (NVENC is
+  // compiled into most builds whether or not there's a card to run it on)
+  async probeEncoders(force = false) {
+    if (this.encoderProbe && !force) {
+      return this.encoderProbe;
+    }
+
+    this.encoderProbe = (async () => {
+      let listing = '';
+      try {
+        ({ stdout: listing } = await execAsync('ffmpeg -hide_banner -encoders', { timeout: 15000 }));
+      } catch (error) {
+        console.error('❌ Failed to list ffmpeg encoders:', error.message);
+      }
+      // Lines look like " V....D libx264    libx264 H.264 / AVC ..."
+      const listed = new Set([...listing.matchAll(/^\s*[VAS][A-Z.]{5}\s+(\S+)/gm)].map(match => match[1]));
+      this.ffmpegEncoders = listed;
+
+      const available = new Set();
+      for (const encoders of Object.values(VIDEO_ENCODERS)) {
+        for (const [backend, encoder] of Object.entries(encoders)) {
+          if (!listed.has(encoder)) continue;
+          if (backend === 'software' || await this.testEncoder(backend, encoder)) {
+            available.add(encoder);
+          }
+        }
+      }
+
+      this.availableEncoders = available;
+      return available;
+    })();
+
+    return this.encoderProbe;
+  }
+
+  async testEncoder(backend, encoder) {
+    const source = '-f lavfi -i testsrc2=duration=1:size=640x360:rate=25';
+    const commands = {
+      nvenc: `ffmpeg -hide_banner -v error ${source} -c:v ${encoder} -gpu ${this.config.gpuDevice} -f null -`,
+      qsv: `ffmpeg -hide_banner -v error ${source} -pix_fmt nv12 -c:v ${encoder} -f null -`,
+      vaapi: `ffmpeg -hide_banner -v error -vaapi_device ${this.config.vaapiDevice} ${source} -vf format=nv12,hwupload -c:v ${encoder} -f null -`
+    };
+
+    try {
+      await execAsync(commands[backend], { timeout: 20000 });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // True when any hardware encoder works
   async testGPUAvailability() {
     try {
-      // Use a real video file for testing (more reliable than synthetic input)
-      // Path from backend/src/services/transcoding/ to backend/uploads/media/
-      const testFile = path.join(__dirname, '../../../uploads/media/Fight.Club.1999.REPACK.1080p.BluRay.x264.AAC5.1-[YTS.MX]-1750051032180-8091413a483b2333.mp4');
-      
-      // Check if the test file exists
-      const fs = require('fs');
-      if (!fs.existsSync(testFile)) {
-        return false;
-      }
-      
-      const testCommand = ffmpeg()
-        .input(testFile)
-        .inputOptions(['-t', '1']) // Only process 1 second for speed
-        .videoCodec('hevc_nvenc')
-        .outputOptions(['-f', 'null'])
-        .output('-');
-      
-      return new Promise((resolve) => {
-        testCommand
-          .on('end', () => {
-            resolve(true);
-          })
-          .on('error', (error) => {
-            resolve(false);
-          })
-          .run();
-      });
+      const available = await this.probeEncoders();
+      return this.config.hardwareEncoders.some(backend =>
+        Object.values(VIDEO_ENCODERS).some(encoders => encoders[backend] && available.has(encoders[backend]))
+      );
     } catch (error) {
       console.error('❌ GPU test failed:', error.message);
       return false;
@@ -495,8 +1014,11 @@ class Transcoder extends EventEmitter {
     };
   }
 
+  // Every preset with the backend and encoder it will run with on this server
   getQualityPresets() {
-    return this.qualityPresets;
+    return Object.fromEntries(
+      Object.keys(this.qualityPresets).map(quality => [quality, this.getQualityPreset(quality)])
+    );
   }
 
   updateConfig(newConfig) {
@@ -507,6 +1029,9 @@ class Transcoder extends EventEmitter {
     // Cancel all active processes
     for (const [jobId, process] of this.activeProcesses) {
       try {
+        if (this.suspendedJobs.has(jobId)) {
+          process.kill('SIGCONT');
+        }
         process.kill('SIGTERM');
       } catch (error) {
         // Ignore cleanup errors
@@ -514,6 +1039,7 @@ class Transcoder extends EventEmitter {
     }
     
     this.activeProcesses.clear();
+    this.suspendedJobs.clear();
   }
 }
 
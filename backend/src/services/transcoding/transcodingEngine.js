@@ -16,6 +16,11 @@ class TranscodingEngine extends EventEmitter {
       // Engine settings
       maxConcurrentJobs: 2,
       enableGPU: true,
+      hardwareEncoders: ['nvenc', 'qsv', 'vaapi'], // tried in order, libx264/libx265 otherwise
+      vaapiDevice: process.env.VAAPI_DEVICE || '/dev/dri/renderD128',
+      enableHLS: true,
+      hlsCompatibilityQuality: '720p_h264', // added to HEVC-only HLS packages
+      audioTracks: 'all', // keep every audio stream unless a job selects specific ones
       outputDirectory: './uploads/transcoded',
       tempDirectory: './uploads/temp',
       
@@ -28,6 +33,11 @@ class TranscodingEngine extends EventEmitter {
       progressUpdateInterval: 1000,
       cleanupInterval: 3600000, // 1 hour
       
+      // Queue settings
+      queuePaused: false,
+      scheduleWindows: [], // [{ start: '01:00', end: '07:00' }], empty = any time
+      heavyJobMinSizeMB: 1024, // smaller files may start outside the windows
+      
       ...config
     };
     
@@ -35,9 +45,15 @@ class TranscodingEngine extends EventEmitter {
     this.jobManager = new JobManager({
       maxConcurrentJobs: this.config.maxConcurrentJobs,
       retryAttempts: 3,
-      retryDelay: 5000
+      retryDelay: 5000,
+      queuePaused: this.config.queuePaused,
+      scheduleWindows: this.config.scheduleWindows,
+      heavyJobMinSizeMB: this.config.heavyJobMinSizeMB
     });
     
+    // Running jobs paused by an admin; their ffmpeg is stopped, not killed
+    this.pausedJobs = new Map(); // jobId -> status it was paused in
+    
     this.fileAnalyzer = new FileAnalyzer({
       minFileSizeMB: 100,
       minCompressionPercent: this.config.minCompressionPercent,
@@ -46,6 +62,9 @@ class TranscodingEngine extends EventEmitter {
     
     this.transcoder = new Transcoder({
       enableGPU: this.config.enableGPU,
+      hardwareEncoders: this.config.hardwareEncoders,
+      vaapiDevice: this.config.vaapiDevice,
+      audioTracks: this.config.audioTracks,
       minCompressionPercent: this.config.minCompressionPercent,
       preventDataInflation: this.config.preventDataInflation
     });
@@ -75,7 +94,7 @@ class TranscodingEngine extends EventEmitter {
       // Initialize storage
       await this.storageManager.initialize();
       
-      // Test GPU availability
+      // Probe the hardware encoders; without any, presets use libx264/libx265
       const gpuAvailable = await this.transcoder.testGPUAvailability();
       if (!gpuAvailable && this.config.enableGPU) {
         this.transcoder.updateConfig({ enableGPU: false });
@@ -86,6 +105,7 @@ class TranscodingEngine extends EventEmitter {
       
       // Set up job processing
       this.jobManager.on('processJob', (job) => this.processJob(job));
+      this.jobManager.startScheduler();
       
       this.emit('engineReady');
       
@@ -151,12 +171,16 @@ class TranscodingEngine extends EventEmitter {
       // Step 1: Analyze the file
       await this.jobManager.updateJobStatus(job.id, 'analyzing', 10);
       const analysis = await this.fileAnalyzer.analyzeFile(job.inputPath);
+      await this.waitWhilePaused(job.id);
       
       if (!analysis.isValid) {
         throw new Error(`File analysis failed: ${analysis.reason}`);
       }
       
-      if (!analysis.transcodingAnalysis.needsTranscoding) {
+      // Profiles were picked explicitly, so they skip the compression analysis
+      const profile = job.settings?.profile || null;
+      
+      if (!profile && !analysis.transcodingAnalysis.needsTranscoding) {
         await this.jobManager.updateJobStatus(job.id, 'completed', 100);
         return;
       }
@@ -167,7 +191,7 @@ class TranscodingEngine extends EventEmitter {
       
       // Step 3: Transcode each quality
       const results = [];
-      const qualities = job.qualities.filter(quality => 
+      const qualities = profile ? job.qualities : job.qualities.filter(quality => 
         analysis.transcodingAnalysis.recommendedQualities.includes(quality)
       );
       
@@ -175,11 +199,15 @@ class TranscodingEngine extends EventEmitter {
         const quality = qualities[i];
         const progress = 20 + (i / qualities.length) * 70; // 20% to 90%
         
+        await this.waitWhilePaused(job.id);
         await this.jobManager.updateJobStatus(job.id, 'transcoding', progress);
         
         try {
           const outputPath = await this.storageManager.generateOutputPath(job.inputPath, quality);
-          const result = await this.transcoder.transcodeFile(job.inputPath, outputPath, quality, job.id);
+          const result = await this.transcoder.transcodeFile(job.inputPath, outputPath, quality, job.id, {
+            audioTracks: job.settings?.audioTracks,
+            profile
+          });
           
           // Record the result
           await this.recordTranscodingResult(job.id, result);
@@ -191,7 +219,14 @@ class TranscodingEngine extends EventEmitter {
         }
       }
       
-      // Step 4: Complete the job
+      // Step 4: Package HLS renditions for adaptive streaming
+      await this.waitWhilePaused(job.id);
+      if (results.length > 0 && this.config.enableHLS) {
+        await this.addCompatibleRendition(job, results);
+        await this.packageHLS(job, results);
+      }
+      
+      // Step 5: Complete the job
       if (results.length > 0) {
         await this.jobManager.updateJobStatus(job.id, 'completed', 100);
         
@@ -215,6 +250,18 @@ class TranscodingEngine extends EventEmitter {
       } else {
         await this.jobManager.updateJobStatus(job.id, 'failed', 0, error.message);
       }
+    } finally {
+      // Paused during its last step
+      this.pausedJobs.delete(job.id);
+      this.transcoder.resumeTranscoding(job.id);
+    }
+  }
+
+  // Holds a running job between steps while it is paused, so the next
+  // ffmpeg pass doesn't start and its status isn't overwritten
+  async waitWhilePaused(jobId) {
+    while (this.pausedJobs.has(jobId)) {
+      await this.jobManager.sleep(1000);
     }
   }
 
@@ -245,6 +292,75 @@ class TranscodingEngine extends EventEmitter {
     }
   }
 
+  // Most browsers outside Safari can't decode HEVC, so a package made only of
+  // HEVC renditions gets an H.264 one they can fall back to
+  async addCompatibleRendition(job, results) {
+    const quality = this.config.hlsCompatibilityQuality;
+    const codecs = results
+      .map(result => this.transcoder.getQualityPreset(result.quality))
+      .filter(preset => preset && preset.container === 'mp4')
+      .map(preset => preset.codec);
+
+    if (!quality || codecs.length === 0 || codecs.includes('h264')) {
+      return;
+    }
+
+    try {
+      await this.jobManager.updateJobStatus(job.id, 'transcoding', 90);
+      const outputPath = await this.storageManager.generateOutputPath(job.inputPath, quality);
+      const result = await this.transcoder.transcodeFile(job.inputPath, outputPath, quality, job.id, {
+        audioTracks: job.settings?.audioTracks,
+        compatibility: true
+      });
+
+      await this.recordTranscodingResult(job.id, result);
+      results.push(result);
+    } catch (error) {
+      // The HEVC renditions still package; only browsers with HEVC can play them
+      console.error(`❌ H.264 rendition failed for job ${job.id}:`, error.message);
+    }
+  }
+
+  async packageHLS(job, results) {
+    try {
+      await this.jobManager.updateJobStatus(job.id, 'transcoding', 95);
+      
+      const hlsDir = await this.storageManager.generateHLSDirectory(job.inputPath);
+      const hlsPackage = await this.transcoder.packageHLS(results, hlsDir, job.id);
+      
+      await this.recordHLSPackage(job.id, job.inputPath, hlsPackage);
+      this.emit('hlsPackaged', { jobId: job.id, ...hlsPackage });
+      
+    } catch (error) {
+      // Progressive files are still usable, so packaging problems don't fail the job
+      console.error(`❌ HLS packaging failed for job ${job.id}:`, error.message);
+    }
+  }
+
+  async recordHLSPackage(jobId, originalPath, hlsPackage) {
+    try {
+      const database = require('../../utils/database');
+      
+      await database.query('DELETE FROM hls_packages WHERE original_path = ?', [originalPath]);
+      await database.query(`
+        INSERT INTO hls_packages (
+          job_id, original_path, master_playlist_path,
+          output_dir, renditions, segment_duration
+        ) VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        jobId,
+        originalPath,
+        hlsPackage.masterPlaylistPath,
+        hlsPackage.outputDir,
+        JSON.stringify(hlsPackage.renditions),
+        hlsPackage.segmentDuration
+      ]);
+      
+    } catch (error) {
+      console.error('❌ Failed to record HLS package:', error);
+    }
+  }
+
   async calculateChecksum(filePath) {
     try {
       const crypto = require('crypto');
@@ -258,14 +374,25 @@ class TranscodingEngine extends EventEmitter {
 
   // Public API methods
 
+  // options.profile is a stored transcoding profile. The job keeps a copy,
+  // so editing or deleting the profile doesn't change queued work.
   async addToQueue(inputPath, options = {}) {
     try {
+      const profile = options.profile || null;
+      
+      // Within a priority, bigger and less efficiently encoded files go first
+      const analysis = await this.fileAnalyzer.analyzeFile(inputPath);
+      const stats = await fs.stat(inputPath).catch(() => null);
+      
       const jobId = await this.jobManager.addJob(inputPath, {
-        qualities: options.qualities || this.config.defaultQualities,
+        qualities: profile ? [profile.name] : (options.qualities || this.config.defaultQualities),
         priority: options.priority || 0,
+        analysisScore: analysis.isValid ? this.fileAnalyzer.calculateJobPriority(analysis) : 0,
+        inputSize: stats ? stats.size : 0,
         settings: {
           enableGPU: options.enableGPU !== undefined ? options.enableGPU : this.config.enableGPU,
           deleteOriginal: options.deleteOriginal || false,
+          ...(profile && { profile }),
           ...options.settings
         }
       });
@@ -311,10 +438,12 @@ class TranscodingEngine extends EventEmitter {
       console.error('❌ Failed to get queue status:', error);
       return {
         queued: 0,
+        paused: 0,
         active: 0,
         completed: 0,
         failed: 0,
         isProcessing: false,
+        isPaused: this.jobManager.isPaused,
         maxConcurrentJobs: this.config.maxConcurrentJobs
       };
     }
@@ -322,6 +451,8 @@ class TranscodingEngine extends EventEmitter {
 
   async cancelJob(jobId) {
     try {
+      this.pausedJobs.delete(jobId);
+      
       // Cancel transcoding process
       await this.transcoder.cancelTranscoding(jobId);
       
@@ -345,6 +476,126 @@ class TranscodingEngine extends EventEmitter {
     }
   }
 
+  // Queued jobs are skipped until resumed; running ones are stopped where
+  // they are and free their slot for the next job
+  async pauseJob(jobId) {
+    try {
+      const job = await this.jobManager.getJob(jobId);
+      if (!job) {
+        throw new Error('Job not found');
+      }
+      
+      if (job.status === 'queued') {
+        await this.jobManager.updateJobStatus(jobId, 'paused');
+      } else if (job.status === 'analyzing' || job.status === 'transcoding') {
+        this.transcoder.suspendTranscoding(jobId);
+        this.pausedJobs.set(jobId, job.status);
+        await this.jobManager.updateJobStatus(jobId, 'paused');
+      } else {
+        throw new Error(`Cannot pause a ${job.status} job`);
+      }
+      
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Failed to pause job:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async resumeJob(jobId) {
+    try {
+      const job = await this.jobManager.getJob(jobId);
+      if (!job) {
+        throw new Error('Job not found');
+      }
+      if (job.status !== 'paused') {
+        throw new Error('Job is not paused');
+      }
+      
+      if (this.pausedJobs.has(jobId)) {
+        // Its slot went to another job while it was paused
+        const activeJobs = await this.jobManager.getActiveJobs();
+        if (activeJobs.length >= this.config.maxConcurrentJobs) {
+          throw new Error('No transcoding slot is free. Wait for a running job to finish or pause one first.');
+        }
+
+        await this.jobManager.updateJobStatus(jobId, this.pausedJobs.get(jobId));
+        this.pausedJobs.delete(jobId);
+        this.transcoder.resumeTranscoding(jobId);
+      } else {
+        await this.jobManager.updateJobStatus(jobId, 'queued');
+        this.jobManager.processQueue();
+      }
+      
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Failed to resume job:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  pauseQueue() {
+    this.config.queuePaused = true;
+    this.jobManager.pauseQueue();
+    return { success: true };
+  }
+
+  resumeQueue() {
+    this.config.queuePaused = false;
+    this.jobManager.resumeQueue();
+    return { success: true };
+  }
+
+  async setJobPriority(jobId, priority) {
+    try {
+      const value = await this.jobManager.setJobPriority(jobId, priority);
+      return { success: true, priority: value };
+    } catch (error) {
+      console.error('❌ Failed to set job priority:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async reorderQueue(jobIds) {
+    try {
+      await this.jobManager.reorderQueue(jobIds);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Failed to reorder queue:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  updateSchedule(schedule) {
+    try {
+      const result = this.jobManager.updateSchedule(schedule);
+      this.config.scheduleWindows = result.windows;
+      this.config.heavyJobMinSizeMB = result.heavyJobMinSizeMB;
+      return { success: true, schedule: result };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Everything the queue controls show: pause state, schedule and the jobs
+  // in run order
+  async getQueueControl() {
+    const schedule = this.jobManager.getSchedule();
+    const jobs = await this.jobManager.getQueueJobs();
+    
+    return {
+      paused: this.jobManager.isPaused,
+      schedule,
+      priorityLevels: this.jobManager.getPriorityLevels(),
+      maxConcurrentJobs: this.jobManager.config.maxConcurrentJobs,
+      jobs: jobs.map(job => ({
+        ...job,
+        suspended: this.pausedJobs.has(job.id),
+        waitingForWindow: job.status === 'queued' && job.heavy && !schedule.withinWindow
+      }))
+    };
+  }
+
   async getSystemInfo() {
     try {
       const [transcoderInfo, storageInfo] = await Promise.all([
@@ -402,6 +653,8 @@ class TranscodingEngine extends EventEmitter {
   async cleanup() {
     try {
       
+      this.jobManager.stopScheduler();
+      
       // Cleanup components
       await Promise.all([
         this.transcoder.cleanup(),
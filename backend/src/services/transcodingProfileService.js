@@ -0,0 +1,336 @@
+const database = require('../utils/database');
+const Transcoder = require('./transcoding/transcoder');
+
+const VIDEO_CODECS = {
+  hevc: { label: 'H.265 / HEVC', maxCrf: 51 },
+  h264: { label: 'H.264 / AVC', maxCrf: 51 },
+  vp9: { label: 'VP9', maxCrf: 63 }
+};
+
+// Keys are ffmpeg encoder names ('copy' keeps the source audio as is)
+const AUDIO_CODECS = {
+  aac: 'AAC',
+  libopus: 'Opus',
+  ac3: 'Dolby Digital (AC-3)',
+  eac3: 'Dolby Digital Plus (E-AC-3)',
+  libmp3lame: 'MP3',
+  flac: 'FLAC (lossless)',
+  copy: 'Copy source audio'
+};
+
+// Codecs each container can carry
+const CONTAINERS = {
+  mp4: { video: ['hevc', 'h264', 'vp9'], audio: ['aac', 'libopus', 'ac3', 'eac3', 'libmp3lame', 'copy'] },
+  mkv: { video: ['hevc', 'h264', 'vp9'], audio: Object.keys(AUDIO_CODECS) },
+  webm: { video: ['vp9'], audio: ['libopus'] }
+};
+
+const MAX_HEIGHTS = [480, 720, 1080, 1440, 2160];
+const AUDIO_CHANNELS = [1, 2, 6];
+
+// Admin-defined transcoding profiles. A profile can be picked per job, set
+// as a library section's profile, or marked as the default used when
+// uploads are auto-transcoded. Names end up in output file names and in
+// library_sections.transcoding_profile, so they're kept short and plain.
+class TranscodingProfileService {
+  constructor() {
+    this.maxDescriptionLength = 255;
+    this.videoBitrateRange = [100, 100000]; // kbps
+    this.audioBitrateRange = [32, 1536]; // kbps
+    this.transcoder = null;
+  }
+
+  // Used for encoder probing and the built-in preset names only
+  getTranscoder() {
+    if (!this.transcoder) {
+      this.transcoder = new Transcoder();
+    }
+    return this.transcoder;
+  }
+
+  formatProfile(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description || '',
+      videoCodec: row.video_codec,
+      rateControl: row.rate_control,
+      crf: row.crf,
+      videoBitrate: row.video_bitrate,
+      maxHeight: row.max_height,
+      audioCodec: row.audio_codec,
+      audioBitrate: row.audio_bitrate,
+      audioChannels: row.audio_channels,
+      container: row.container,
+      twoPass: !!row.two_pass,
+      isDefault: !!row.is_default,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // What the profile form can offer, with the encoder each video codec would
+  // use here and whether ffmpeg has it at all
+  async getOptions() {
+    const transcoder = this.getTranscoder();
+    const available = await transcoder.probeEncoders();
+
+    return {
+      videoCodecs: Object.entries(VIDEO_CODECS).map(([key, codec]) => {
+        const { encoder, backend } = transcoder.resolveEncoder(key);
+        return { key, label: codec.label, maxCrf: codec.maxCrf, encoder, encoderBackend: backend, available: available.has(encoder) };
+      }),
+      audioCodecs: Object.entries(AUDIO_CODECS).map(([key, label]) => ({
+        key,
+        label,
+        available: key === 'copy' || transcoder.ffmpegEncoders.has(key)
+      })),
+      containers: Object.entries(CONTAINERS).map(([key, container]) => ({
+        key,
+        videoCodecs: container.video,
+        audioCodecs: container.audio
+      })),
+      maxHeights: MAX_HEIGHTS,
+      audioChannels: AUDIO_CHANNELS
+    };
+  }
+
+  async listProfiles() {
+    const rows = await database.query('SELECT * FROM transcoding_profiles ORDER BY name');
+    return rows.map(row => this.formatProfile(row));
+  }
+
+  async getProfileRow(profileId) {
+    const rows = await database.query('SELECT * FROM transcoding_profiles WHERE id = ?', [profileId]);
+    return rows[0] || null;
+  }
+
+  // Jobs and library sections refer to profiles by id or by name
+  async getProfile(idOrName) {
+    const value = String(idOrName || '').trim();
+    if (!value) return null;
+
+    const rows = /^\d+$/.test(value)
+      ? await database.query('SELECT * FROM transcoding_profiles WHERE id = ?', [parseInt(value)])
+      : await database.query('SELECT * FROM transcoding_profiles WHERE LOWER(name) = LOWER(?)', [value]);
+    return rows[0] ? this.formatProfile(rows[0]) : null;
+  }
+
+  async getDefaultProfile() {
+    const rows = await database.query('SELECT * FROM transcoding_profiles WHERE is_default = ?', [true]);
+    return rows[0] ? this.formatProfile(rows[0]) : null;
+  }
+
+  parseInteger(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return Number(value);
+  }
+
+  assertInRange(value, [min, max], message) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(message);
+    }
+  }
+
+  async validateProfileInput(input) {
+    const name = String(input.name || '').trim();
+    if (!/^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/.test(name)) {
+      throw new Error('Profile names are up to 32 letters, digits, dashes and underscores');
+    }
+    // Numbers are read as profile ids
+    if (/^\d+$/.test(name)) {
+      throw new Error('Profile names need at least one letter');
+    }
+    if (Object.keys(this.getTranscoder().qualityPresets).some(preset => preset.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`"${name}" is the name of a built-in quality preset`);
+    }
+
+    const videoCodec = input.videoCodec;
+    if (!VIDEO_CODECS[videoCodec]) {
+      throw new Error('Unknown video codec');
+    }
+
+    const rateControl = input.rateControl || 'crf';
+    if (!['crf', 'bitrate'].includes(rateControl)) {
+      throw new Error('Rate control must be "crf" or "bitrate"');
+    }
+
+    const crf = rateControl === 'crf' ? this.parseInteger(input.crf) : null;
+    if (rateControl === 'crf') {
+      this.assertInRange(crf, [0, VIDEO_CODECS[videoCodec].maxCrf], `CRF must be between 0 and ${VIDEO_CODECS[videoCodec].maxCrf}`);
+    }
+
+    // In CRF mode the bitrate is an optional ceiling
+    const videoBitrate = this.parseInteger(input.videoBitrate);
+    if (rateControl === 'bitrate' && videoBitrate === null) {
+      throw new Error('A video bitrate is required when rate control is "bitrate"');
+    }
+    if (videoBitrate !== null) {
+      this.assertInRange(videoBitrate, this.videoBitrateRange, `Video bitrate must be between ${this.videoBitrateRange[0]} and ${this.videoBitrateRange[1]} kbps`);
+    }
+
+    const maxHeight = this.parseInteger(input.maxHeight);
+    if (maxHeight !== null && !MAX_HEIGHTS.includes(maxHeight)) {
+      throw new Error(`Resolution cap must be one of ${MAX_HEIGHTS.join(', ')}`);
+    }
+
+    const audioCodec = input.audioCodec || 'aac';
+    if (!AUDIO_CODECS[audioCodec]) {
+      throw new Error('Unknown audio codec');
+    }
+
+    // Copied and lossless audio have no bitrate to set
+    const audioBitrate = ['copy', 'flac'].includes(audioCodec) ? null : this.parseInteger(input.audioBitrate);
+    if (audioBitrate !== null) {
+      this.assertInRange(audioBitrate, this.audioBitrateRange, `Audio bitrate must be between ${this.audioBitrateRange[0]} and ${this.audioBitrateRange[1]} kbps`);
+    }
+
+    const audioChannels = this.parseInteger(input.audioChannels);
+    if (audioChannels !== null) {
+      if (!AUDIO_CHANNELS.includes(audioChannels)) {
+        throw new Error(`Audio channels must be one of ${AUDIO_CHANNELS.join(', ')}`);
+      }
+      if (audioCodec === 'copy') {
+        throw new Error('Audio channels can\'t be changed when the audio is copied');
+      }
+    }
+
+    const container = input.container || 'mp4';
+    if (!CONTAINERS[container]) {
+      throw new Error('Unknown container');
+    }
+    if (!CONTAINERS[container].video.includes(videoCodec)) {
+      throw new Error(`${VIDEO_CODECS[videoCodec].label} can't be stored in ${container}`);
+    }
+    if (!CONTAINERS[container].audio.includes(audioCodec)) {
+      throw new Error(`${AUDIO_CODECS[audioCodec]} can't be stored in ${container}`);
+    }
+
+    const twoPass = input.twoPass === true;
+    if (twoPass && rateControl !== 'bitrate') {
+      throw new Error('Two-pass encoding needs a target bitrate');
+    }
+
+    const profile = {
+      name,
+      description: String(input.description || '').trim().slice(0, this.maxDescriptionLength),
+      video_codec: videoCodec,
+      rate_control: rateControl,
+      crf,
+      video_bitrate: videoBitrate,
+      max_height: maxHeight,
+      audio_codec: audioCodec,
+      audio_bitrate: audioBitrate,
+      audio_channels: audioChannels,
+      container,
+      two_pass: twoPass
+    };
+
+    await this.assertEncodersAvailable(profile);
+    return profile;
+  }
+
+  // The profile has to be encodable with the ffmpeg installed here
+  async assertEncodersAvailable(profile) {
+    const transcoder = this.getTranscoder();
+    const available = await transcoder.probeEncoders();
+
+    const { encoder } = transcoder.resolveEncoder(profile.video_codec);
+    if (!available.has(encoder)) {
+      throw new Error(`ffmpeg on this server has no working ${VIDEO_CODECS[profile.video_codec].label} encoder`);
+    }
+    if (profile.audio_codec !== 'copy' && !transcoder.ffmpegEncoders.has(profile.audio_codec)) {
+      throw new Error(`ffmpeg on this server has no ${profile.audio_codec} encoder`);
+    }
+  }
+
+  async assertNameAvailable(name, exceptId = null) {
+    const existing = await database.query('SELECT id FROM transcoding_profiles WHERE LOWER(name) = LOWER(?)', [name]);
+    if (existing.some(profile => profile.id !== exceptId)) {
+      throw new Error('A transcoding profile with that name already exists');
+    }
+  }
+
+  async createProfile(input, userId) {
+    const profile = await this.validateProfileInput(input);
+    await this.assertNameAvailable(profile.name);
+
+    const now = new Date().toISOString();
+    await database.insert(
+      `INSERT INTO transcoding_profiles (name, description, video_codec, rate_control, crf, video_bitrate, max_height,
+         audio_codec, audio_bitrate, audio_channels, container, two_pass, is_default, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        profile.name, profile.description, profile.video_codec, profile.rate_control, profile.crf, profile.video_bitrate,
+        profile.max_height, profile.audio_codec, profile.audio_bitrate, profile.audio_channels, profile.container,
+        profile.two_pass, false, userId, now, now
+      ]
+    );
+
+    return this.getProfile(profile.name);
+  }
+
+  // Library sections store the profile name, so a rename follows through
+  async updateProfile(profileId, input) {
+    const existing = await this.getProfileRow(profileId);
+    if (!existing) {
+      throw new Error('Transcoding profile not found');
+    }
+
+    const profile = await this.validateProfileInput(input);
+    await this.assertNameAvailable(profile.name, existing.id);
+
+    await database.update(
+      `UPDATE transcoding_profiles SET name = ?, description = ?, video_codec = ?, rate_control = ?, crf = ?, video_bitrate = ?,
+         max_height = ?, audio_codec = ?, audio_bitrate = ?, audio_channels = ?, container = ?, two_pass = ?, updated_at = ?
+       WHERE id = ?`,
+      [
+        profile.name, profile.description, profile.video_codec, profile.rate_control, profile.crf, profile.video_bitrate,
+        profile.max_height, profile.audio_codec, profile.audio_bitrate, profile.audio_channels, profile.container,
+        profile.two_pass, new Date().toISOString(), existing.id
+      ]
+    );
+
+    if (profile.name !== existing.name) {
+      await database.update(
+        'UPDATE library_sections SET transcoding_profile = ? WHERE transcoding_profile = ?',
+        [profile.name, existing.name]
+      );
+    }
+
+    return {
+      before: this.formatProfile(existing),
+      profile: this.formatProfile(await this.getProfileRow(existing.id))
+    };
+  }
+
+  // Queued jobs keep their own copy of the profile and are not affected
+  async deleteProfile(profileId) {
+    const existing = await this.getProfileRow(profileId);
+    if (!existing) {
+      throw new Error('Transcoding profile not found');
+    }
+
+    await database.update('UPDATE library_sections SET transcoding_profile = NULL WHERE transcoding_profile = ?', [existing.name]);
+    await database.delete('DELETE FROM transcoding_profiles WHERE id = ?', [existing.id]);
+
+    return this.formatProfile(existing);
+  }
+
+  // One default at most; null clears it
+  async setDefaultProfile(profileId) {
+    const profile = profileId === null ? null : await this.getProfileRow(profileId);
+    if (profileId !== null && !profile) {
+      throw new Error('Transcoding profile not found');
+    }
+
+    await database.update('UPDATE transcoding_profiles SET is_default = ? WHERE is_default = ?', [false, true]);
+    if (profile) {
+      await database.update('UPDATE transcoding_profiles SET is_default = ? WHERE id = ?', [true, profile.id]);
+    }
+
+    return profile ? this.formatProfile({ ...profile, is_default: true }) : null;
+  }
+}
+
+module.exports = new TranscodingProfileService();
@@ -0,0 +1,326 @@
+const database = require('../utils/database');
+const MovieMetadataService = require('./movieMetadataService');
+const parentalControlService = require('./parentalControlService');
+const permissionService = require('./permissionService');
+
+class TVShowService {
+  constructor() {
+    this.metadataService = new MovieMetadataService();
+  }
+
+  // Key used to decide whether two titles name the same show ("The Office" / "the.office")
+  normalizeTitleKey(title) {
+    return (title || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .replace(/^the\s+/, '')
+      .trim();
+  }
+
+  // Show title and season/episode numbers for a media row; the filename is only
+  // consulted when the upload didn't record them
+  describeEpisode(media) {
+    const parsed = this.metadataService.extractSeasonEpisode(media.original_filename || media.title || '');
+
+    let showTitle = media.show_title;
+    if (!showTitle) {
+      const extracted = this.metadataService.extractTitle(media.original_filename || media.title || '');
+      showTitle = extracted !== 'Unknown Title' ? extracted : 'Unknown Show';
+    }
+
+    return {
+      showTitle,
+      seasonNumber: media.season_number ?? parsed.season ?? 1,
+      episodeNumber: media.episode_number ?? parsed.episode ?? null,
+      title: media.episode_title || media.title
+    };
+  }
+
+  isEpisode(media) {
+    return media.media_type === 'video' && (media.tags || '').includes('tv-show');
+  }
+
+  async findOrCreateShow(title, media = {}) {
+    const titleKey = this.normalizeTitleKey(title) || 'unknown show';
+
+    const existing = await database.query('SELECT * FROM shows WHERE title_key = ?', [titleKey]);
+    if (existing.length > 0) {
+      const show = existing[0];
+      if (!show.thumbnail_path && media.thumbnail_path) {
+        await database.update(
+          'UPDATE shows SET thumbnail_path = ?, updated_at = ? WHERE id = ?',
+          [media.thumbnail_path, new Date().toISOString(), show.id]
+        );
+      }
+      return show;
+    }
+
+    let tmdbId = null;
+    try {
+      tmdbId = media.extended_metadata ? JSON.parse(media.extended_metadata).tmdb?.id || null : null;
+    } catch (error) {
+      tmdbId = null;
+    }
+
+    const now = new Date().toISOString();
+    await database.insert(
+      `INSERT INTO shows (title, title_key, description, thumbnail_path, extended_metadata, tmdb_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [title, titleKey, media.description || null, media.thumbnail_path || null, media.extended_metadata || null, tmdbId, now, now]
+    );
+
+    const created = await database.query('SELECT * FROM shows WHERE title_key = ?', [titleKey]);
+    return created[0];
+  }
+
+  async findOrCreateSeason(showId, seasonNumber) {
+    const existing = await database.query(
+      'SELECT * FROM seasons WHERE show_id = ? AND season_number = ?',
+      [showId, seasonNumber]
+    );
+    if (existing.length > 0) return existing[0];
+
+    await database.insert(
+      'INSERT INTO seasons (show_id, season_number, created_at) VALUES (?, ?, ?)',
+      [showId, seasonNumber, new Date().toISOString()]
+    );
+
+    const created = await database.query(
+      'SELECT * FROM seasons WHERE show_id = ? AND season_number = ?',
+      [showId, seasonNumber]
+    );
+    return created[0];
+  }
+
+  // Create, move or remove the episode row for a media item so it matches media_content
+  async syncEpisode(mediaId) {
+    const media = await database.query('SELECT * FROM media_content WHERE id = ?', [mediaId]);
+    if (media.length === 0 || !this.isEpisode(media[0])) {
+      await this.removeEpisode(mediaId);
+      return null;
+    }
+
+    const details = this.describeEpisode(media[0]);
+    const show = await this.findOrCreateShow(details.showTitle, media[0]);
+    const season = await this.findOrCreateSeason(show.id, details.seasonNumber);
+
+    const existing = await database.query('SELECT * FROM episodes WHERE media_id = ?', [mediaId]);
+    if (existing.length > 0) {
+      const episode = existing[0];
+      if (episode.season_id !== season.id ||
+          episode.episode_number !== details.episodeNumber ||
+          episode.title !== details.title) {
+        await database.update(
+          'UPDATE episodes SET show_id = ?, season_id = ?, episode_number = ?, title = ? WHERE id = ?',
+          [show.id, season.id, details.episodeNumber, details.title, episode.id]
+        );
+        await this.pruneEmpty();
+      }
+    } else {
+      await database.insert(
+        'INSERT INTO episodes (show_id, season_id, media_id, episode_number, title, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [show.id, season.id, mediaId, details.episodeNumber, details.title, new Date().toISOString()]
+      );
+    }
+
+    return { showId: show.id, seasonId: season.id };
+  }
+
+  async removeEpisode(mediaId) {
+    const result = await database.delete('DELETE FROM episodes WHERE media_id = ?', [mediaId]);
+    if (result && result.changes > 0) {
+      await this.pruneEmpty();
+    }
+  }
+
+  // Drop seasons and shows that no longer have episodes
+  async pruneEmpty() {
+    await database.query('DELETE FROM seasons WHERE id NOT IN (SELECT DISTINCT season_id FROM episodes)');
+    await database.query('DELETE FROM shows WHERE id NOT IN (SELECT DISTINCT show_id FROM seasons)');
+  }
+
+  // Link TV episodes that have no episode row yet (uploads from before the
+  // tables existed); cheap enough to run on every start
+  async linkUnlinkedEpisodes() {
+    const media = await database.query(`
+      SELECT mc.id FROM media_content mc
+      LEFT JOIN episodes e ON e.media_id = mc.id
+      WHERE e.id IS NULL AND mc.tags LIKE '%tv-show%' AND mc.media_type = 'video'
+    `);
+
+    for (const item of media) {
+      try {
+        await this.syncEpisode(item.id);
+      } catch (error) {
+        console.error(`❌ Failed to link episode for media ${item.id}:`, error.message);
+      }
+    }
+
+    return media.length;
+  }
+
+  // Rebuild the hierarchy from media_content (episodes for deleted or
+  // re-categorised media are dropped)
+  async syncAll() {
+    const media = await database.query(
+      "SELECT id FROM media_content WHERE tags LIKE '%tv-show%' AND media_type = 'video' ORDER BY id"
+    );
+
+    let linked = 0;
+    for (const item of media) {
+      try {
+        await this.syncEpisode(item.id);
+        linked++;
+      } catch (error) {
+        console.error(`❌ Failed to link episode for media ${item.id}:`, error.message);
+      }
+    }
+
+    const stale = await database.query(`
+      SELECT e.media_id FROM episodes e
+      LEFT JOIN media_content mc ON e.media_id = mc.id
+      WHERE mc.id IS NULL OR mc.media_type != 'video' OR mc.tags IS NULL OR mc.tags NOT LIKE '%tv-show%'
+    `);
+    for (const episode of stale) {
+      await database.delete('DELETE FROM episodes WHERE media_id = ?', [episode.media_id]);
+    }
+    await this.pruneEmpty();
+
+    return { total: media.length, linked, removed: stale.length };
+  }
+
+  // Reading
+
+  // Episodes joined to their media rows; unpublished media is hidden from regular
+  // users and parental restrictions drop blocked episodes
+  async getEpisodes(where, params, userRole, restrictions = null) {
+    let query = `
+      SELECT e.id as episode_id, e.show_id, e.season_id, e.episode_number as episode_index,
+        s.season_number as season_index, mc.*
+      FROM episodes e
+      JOIN seasons s ON e.season_id = s.id
+      JOIN media_content mc ON e.media_id = mc.id
+      WHERE ${where}
+    `;
+
+    if (!permissionService.canSeeUnpublished(userRole)) {
+      query += ' AND mc.published = 1';
+    }
+
+    query += ' ORDER BY s.season_number, e.episode_number, mc.title';
+
+    const episodes = parentalControlService.filterAllowed(await database.query(query, params), restrictions);
+    return episodes.map(episode => this.formatEpisode(episode));
+  }
+
+  formatEpisode(episode) {
+    const { episode_index, season_index, ...media } = episode;
+    return {
+      ...media,
+      season_number: season_index,
+      episode_number: episode_index,
+      metadata: media.metadata ? JSON.parse(media.metadata) : null,
+      extended_metadata: media.extended_metadata ? JSON.parse(media.extended_metadata) : null,
+      file_size_mb: Math.round(media.file_size / (1024 * 1024) * 100) / 100
+    };
+  }
+
+  // Nest episodes under seasons; seasons without visible episodes are left out
+  buildShow(show, episodes) {
+    const seasons = new Map();
+    for (const episode of episodes) {
+      if (!seasons.has(episode.season_id)) {
+        seasons.set(episode.season_id, {
+          id: episode.season_id,
+          seasonNumber: episode.season_number,
+          episodes: [],
+          episodeCount: 0
+        });
+      }
+      const season = seasons.get(episode.season_id);
+      season.episodes.push(episode);
+      season.episodeCount++;
+    }
+
+    return {
+      id: show.id,
+      title: show.title,
+      description: show.description,
+      thumbnail: show.thumbnail_path || episodes.find(episode => episode.thumbnail_path)?.thumbnail_path || null,
+      extended_metadata: show.extended_metadata ? JSON.parse(show.extended_metadata) : null,
+      tmdb_id: show.tmdb_id,
+      seasons: [...seasons.values()].sort((a, b) => a.seasonNumber - b.seasonNumber),
+      totalEpisodes: episodes.length
+    };
+  }
+
+  async getShows(userRole, restrictions = null) {
+    const shows = await database.query('SELECT * FROM shows ORDER BY title');
+    const episodes = await this.getEpisodes('1 = 1', [], userRole, restrictions);
+
+    const byShow = new Map();
+    for (const episode of episodes) {
+      if (!byShow.has(episode.show_id)) byShow.set(episode.show_id, []);
+      byShow.get(episode.show_id).push(episode);
+    }
+
+    return shows
+      .filter(show => byShow.has(show.id))
+      .map(show => this.buildShow(show, byShow.get(show.id)));
+  }
+
+  async getShow(showId, userRole, restrictions = null) {
+    const shows = await database.query('SELECT * FROM shows WHERE id = ?', [showId]);
+    if (shows.length === 0) return null;
+
+    const episodes = await this.getEpisodes('e.show_id = ?', [showId], userRole, restrictions);
+    if (episodes.length === 0) return null;
+
+    return this.buildShow(shows[0], episodes);
+  }
+
+  async findShowByTitle(title) {
+    const shows = await database.query('SELECT * FROM shows WHERE title_key = ?', [this.normalizeTitleKey(title)]);
+    return shows[0] || null;
+  }
+
+  async getSeasonEpisodes(showId, seasonNumber, userRole, restrictions = null) {
+    return this.getEpisodes('e.show_id = ? AND s.season_number = ?', [showId, seasonNumber], userRole, restrictions);
+  }
+
+  // Show/season/episode placement for a set of media ids, keyed by media id
+  async getEpisodeContext(mediaIds) {
+    if (mediaIds.length === 0) return new Map();
+
+    const rows = await database.query(`
+      SELECT e.media_id, e.show_id, e.episode_number, s.season_number, sh.title as show_title
+      FROM episodes e
+      JOIN seasons s ON e.season_id = s.id
+      JOIN shows sh ON e.show_id = sh.id
+      WHERE e.media_id IN (${mediaIds.map(() => '?').join(', ')})
+    `, mediaIds);
+
+    return new Map(rows.map(row => [String(row.media_id), row]));
+  }
+
+  // The episode that follows a media item in its show, or null after the finale
+  async getNextEpisode(mediaId, userRole, restrictions = null) {
+    const context = (await this.getEpisodeContext([mediaId])).get(String(mediaId));
+    if (!context) return null;
+
+    const episodes = await this.getEpisodes('e.show_id = ?', [context.show_id], userRole, restrictions);
+    const index = episodes.findIndex(episode => String(episode.id) === String(mediaId));
+    if (index >= 0) {
+      return episodes[index + 1] || null;
+    }
+
+    // The current episode is hidden from this user; fall back to numbering
+    return episodes.find(episode =>
+      episode.season_number > context.season_number ||
+      (episode.season_number === context.season_number &&
+        (episode.episode_number ?? -1) > (context.episode_number ?? -1))
+    ) || null;
+  }
+}
+
+module.exports = new TVShowService();
@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const database = require('../utils/database');
+const emailService = require('./emailService');
+const securitySettingsService = require('./securitySettingsService');
+const permissionService = require('./permissionService');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// TOTP (RFC 6238) two-factor authentication with one-time recovery codes
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || 'Archive of Obselis';
+    this.period = 30;
+    this.digits = 6;
+    this.window = 1; // Accept one step either side for clock drift
+    this.recoveryCodeCount = 10;
+    this.challengeExpiresIn = '5m';
+    this.challengeAudience = 'media-server-2fa';
+    this.resetExpiryHours = 1;
+  }
+
+  // 2FA can be required for any role that grants permissions
+  get enforceableRoles() {
+    return permissionService.listRoles()
+      .filter(role => role.permissions.length > 0)
+      .map(role => role.name);
+  }
+
+  // Encoding
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 secret');
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  // TOTP
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+
+  currentStep() {
+    return Math.floor(Date.now() / 1000 / this.period);
+  }
+
+  // Returns the matching time step, or null. Steps at or before lastStep are
+  // rejected so a code can't be replayed.
+  matchCode(secret, code, lastStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== this.digits) return null;
+
+    const step = this.currentStep();
+    for (let offset = -this.window; offset <= this.window; offset++) {
+      const candidate = step + offset;
+      if (lastStep !== null && candidate <= lastStep) continue;
+
+      const expected = this.generateCode(secret, candidate);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  async provisioning(user, secret) {
+    const label = encodeURIComponent(`${this.issuer}:${user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(this.issuer)}` +
+      `&algorithm=SHA1&digits=${this.digits}&period=${this.period}`;
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  // Policy
+
+  async getRequiredRoles() {
+    await permissionService.ensureLoaded();
+    const roles = await securitySettingsService.get('two_factor_required_roles');
+    return Array.isArray(roles) ? roles.filter(role => this.enforceableRoles.includes(role)) : [];
+  }
+
+  async setRequiredRoles(roles, updatedBy) {
+    await permissionService.ensureLoaded();
+    const invalid = roles.filter(role => !this.enforceableRoles.includes(role));
+    if (invalid.length > 0) {
+      throw new Error(`2FA can only be required for: ${this.enforceableRoles.join(', ')}`);
+    }
+    return securitySettingsService.set('two_factor_required_roles', [...new Set(roles)], updatedBy);
+  }
+
+  async isRequiredFor(role) {
+    return (await this.getRequiredRoles()).includes(role);
+  }
+
+  // Enrollment
+
+  async getUser(userId) {
+    const users = await database.query('SELECT * FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) {
+      throw new Error('User not found');
+    }
+    return users[0];
+  }
+
+  async getStatus(userId) {
+    const user = await this.getUser(userId);
+    const codes = await database.query(
+      'SELECT id FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+
+    return {
+      enabled: !!user.two_factor_enabled,
+      enabledAt: user.two_factor_enabled_at || null,
+      recoveryCodesRemaining: user.two_factor_enabled ? codes.length : 0,
+      required: await this.isRequiredFor(user.role)
+    };
+  }
+
+  // Store a fresh pending secret; it only takes effect once a code from it is verified
+  async beginSetup(userId) {
+    const user = await this.getUser(userId);
+    if (user.two_factor_enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = this.generateSecret();
+    await database.update(
+      'UPDATE users SET two_factor_pending_secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [secret, userId]
+    );
+
+    return this.provisioning(user, secret);
+  }
+
+  async enable(userId, code) {
+    const user = await this.getUser(userId);
+    if (user.two_factor_enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+    if (!user.two_factor_pending_secret) {
+      throw new Error('Start two-factor setup first');
+    }
+
+    const step = this.matchCode(user.two_factor_pending_secret, code);
+    if (step === null) {
+      throw new Error('Invalid authentication code');
+    }
+
+    await database.update(
+      `UPDATE users SET two_factor_enabled = ?, two_factor_secret = ?, two_factor_pending_secret = NULL,
+       two_factor_last_step = ?, two_factor_enabled_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [true, user.two_factor_pending_secret, step, new Date().toISOString(), userId]
+    );
+
+    return this.generateRecoveryCodes(userId);
+  }
+
+  async disable(userId) {
+    await database.update(
+      `UPDATE users SET two_factor_enabled = ?, two_factor_secret = NULL, two_factor_pending_secret = NULL,
+       two_factor_last_step = NULL, two_factor_enabled_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [false, userId]
+    );
+    await database.delete('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+  }
+
+  // Replace any previous codes; plaintext is only ever returned here
+  async generateRecoveryCodes(userId) {
+    await database.delete('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+    const codes = [];
+    const now = new Date().toISOString();
+    for (let i = 0; i < this.recoveryCodeCount; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+      codes.push(code);
+      await database.insert(
+        'INSERT INTO two_factor_recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)',
+        [userId, this.hash(code), now]
+      );
+    }
+    return codes;
+  }
+
+  // Verification
+
+  async verifyTotp(user, code) {
+    if (!user.two_factor_enabled || !user.two_factor_secret) return false;
+
+    const lastStep = user.two_factor_last_step !== null && user.two_factor_last_step !== undefined
+      ? parseInt(user.two_factor_last_step)
+      : null;
+    const step = this.matchCode(user.two_factor_secret, code, lastStep);
+    if (step === null) return false;
+
+    // Conditional, so two requests racing with the same code can't both pass
+    const result = await database.update(
+      'UPDATE users SET two_factor_last_step = ? WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)',
+      [step, user.id, step]
+    );
+    return !!result && result.changes > 0;
+  }
+
+  async consumeRecoveryCode(userId, recoveryCode) {
+    const normalized = String(recoveryCode || '').trim().toLowerCase();
+    if (!normalized) return false;
+
+    const result = await database.update(
+      'UPDATE two_factor_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+      [new Date().toISOString(), userId, this.hash(normalized)]
+    );
+    return !!result && result.changes > 0;
+  }
+
+  // Accepts either an authenticator code or a recovery code
+  async verify(userId, { code, recoveryCode }) {
+    const user = await this.getUser(userId);
+    if (code && await this.verifyTotp(user, code)) return { method: 'totp' };
+    if (recoveryCode && await this.consumeRecoveryCode(userId, recoveryCode)) return { method: 'recovery_code' };
+    return null;
+  }
+
+  // Login challenge: a short-lived token proving the password step succeeded
+
+  createChallenge(user, purpose) {
+    return jwt.sign(
+      { id: user.id, type: '2fa', purpose, tokenVersion: user.token_version || null },
+      process.env.JWT_SECRET,
+      { expiresIn: this.challengeExpiresIn, issuer: 'media-server', audience: this.challengeAudience }
+    );
+  }
+
+  verifyChallenge(challengeToken, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: this.challengeAudience });
+    } catch (error) {
+      throw new Error('Your sign-in attempt has expired. Please sign in again.');
+    }
+
+    if (decoded.type !== '2fa' || decoded.purpose !== purpose) {
+      throw new Error('Invalid sign-in challenge');
+    }
+    return decoded;
+  }
+
+  // Email recovery
+
+  async requestReset(email) {
+    const users = await database.query('SELECT * FROM users WHERE email = ?', [email]);
+    const user = users[0];
+
+    // Don't reveal whether the account exists or has 2FA
+    if (!user || !user.two_factor_enabled) return;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.resetExpiryHours * 60 * 60 * 1000);
+
+    await database.delete('DELETE FROM two_factor_resets WHERE user_id = ?', [user.id]);
+    await database.insert(
+      'INSERT INTO two_factor_resets (user_id, token_hash, expires_at, used, created_at) VALUES (?, ?, ?, ?, ?)',
+      [user.id, this.hash(token), expiresAt.toISOString(), false, new Date().toISOString()]
+    );
+
+    const emailResult = await emailService.sendTwoFactorResetEmail(user.email, token, user.username);
+    if (!emailResult.success) {
+      throw new Error('Failed to send two-factor reset email. Please try again.');
+    }
+  }
+
+  async findReset(token) {
+    const resets = await database.query(
+      'SELECT * FROM two_factor_resets WHERE token_hash = ? AND used = ?',
+      [this.hash(token || ''), false]
+    );
+    const reset = resets[0];
+    if (!reset || new Date(reset.expires_at) < new Date()) return null;
+    return reset;
+  }
+
+  async completeReset(reset) {
+    await this.disable(reset.user_id);
+    await database.update('UPDATE two_factor_resets SET used = ? WHERE id = ?', [true, reset.id]);
+  }
+}
+
+module.exports = new TwoFactorService();
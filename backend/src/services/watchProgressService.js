@@ -0,0 +1,175 @@
+const database = require('../utils/database');
+const tvShowService = require('./tvShowService');
+const parentalControlService = require('./parentalControlService');
+const permissionService = require('./permissionService');
+
+class WatchProgressService {
+  constructor() {
+    // Players mark an item completed at 95%; anything under this many seconds
+    // was only sampled and isn't worth resuming
+    this.completedPercentage = 95;
+    this.minResumeSeconds = 30;
+    // How far back through the history the row looks
+    this.historyWindow = 200;
+  }
+
+  isFinished(entry) {
+    return !!entry.completed || parseFloat(entry.progress_percentage) >= this.completedPercentage;
+  }
+
+  formatProgress(entry) {
+    if (!entry) return null;
+    return {
+      currentTime: parseFloat(entry.current_time) || 0,
+      duration: parseFloat(entry.duration) || 0,
+      progressPercentage: parseFloat(entry.progress_percentage) || 0,
+      completed: !!entry.completed,
+      lastWatched: entry.last_watched
+    };
+  }
+
+  async getMediaByIds(mediaIds, userRole, restrictions = null) {
+    if (mediaIds.length === 0) return new Map();
+
+    let query = `SELECT * FROM media_content WHERE id IN (${mediaIds.map(() => '?').join(', ')})`;
+    if (!permissionService.canSeeUnpublished(userRole)) {
+      query += ' AND published = 1';
+    }
+
+    const media = parentalControlService.filterAllowed(await database.query(query, mediaIds), restrictions);
+    return new Map(media.map(item => [String(item.id), item]));
+  }
+
+  // Media ids the user has watched: explicit flags plus finished progress rows
+  async getWatchedIds(userId) {
+    const [flags, history] = await Promise.all([
+      database.query('SELECT media_id FROM watched_items WHERE user_id = ?', [userId]),
+      database.query('SELECT media_id, completed, progress_percentage FROM watch_history WHERE user_id = ?', [userId])
+    ]);
+
+    const watched = new Set(flags.map(flag => String(flag.media_id)));
+    for (const entry of history) {
+      if (this.isFinished(entry)) watched.add(String(entry.media_id));
+    }
+    return watched;
+  }
+
+  // Marking unwatched also clears progress so the item starts from the beginning
+  async setWatched(userId, mediaIds, watched) {
+    if (mediaIds.length === 0) return 0;
+
+    if (watched) {
+      const now = new Date().toISOString();
+      for (const mediaId of mediaIds) {
+        await database.insert(
+          'INSERT OR IGNORE INTO watched_items (user_id, media_id, watched_at) VALUES (?, ?, ?)',
+          [userId, mediaId, now]
+        );
+      }
+    } else {
+      const placeholders = mediaIds.map(() => '?').join(', ');
+      await database.delete(`DELETE FROM watched_items WHERE user_id = ? AND media_id IN (${placeholders})`, [userId, ...mediaIds]);
+      await database.delete(`DELETE FROM watch_history WHERE user_id = ? AND media_id IN (${placeholders})`, [userId, ...mediaIds]);
+    }
+
+    return mediaIds.length;
+  }
+
+  // Bulk update for every visible episode of a show, or of one season
+  async setShowWatched(userId, userRole, showId, seasonNumber, watched, restrictions = null) {
+    const episodes = seasonNumber == null
+      ? await tvShowService.getEpisodes('e.show_id = ?', [showId], userRole, restrictions)
+      : await tvShowService.getSeasonEpisodes(showId, seasonNumber, userRole, restrictions);
+
+    return this.setWatched(userId, episodes.map(episode => episode.id), watched);
+  }
+
+  // Add watched flags and counts to the show hierarchy from tvShowService
+  applyToShow(show, watchedIds) {
+    let watchedEpisodes = 0;
+    const seasons = show.seasons.map(season => {
+      const episodes = season.episodes.map(episode => ({ ...episode, watched: watchedIds.has(String(episode.id)) }));
+      const watchedCount = episodes.filter(episode => episode.watched).length;
+      watchedEpisodes += watchedCount;
+      return { ...season, episodes, watchedCount, watched: watchedCount === episodes.length };
+    });
+
+    return {
+      ...show,
+      seasons,
+      watchedEpisodes,
+      watched: watchedEpisodes === show.totalEpisodes
+    };
+  }
+
+  // Partially watched items, most recent first. A show appears once: at the
+  // episode in progress, or at the next episode once the last one was finished.
+  async getContinueWatching(userId, userRole, limit = 20, restrictions = null) {
+    const [history, flags] = await Promise.all([
+      database.query(`
+        SELECT wh.* FROM watch_history wh
+        WHERE wh.user_id = ?
+        ORDER BY wh.last_watched DESC
+        LIMIT ?
+      `, [userId, this.historyWindow]),
+      database.query('SELECT media_id FROM watched_items WHERE user_id = ?', [userId])
+    ]);
+
+    // Marked as watched by hand counts as finished whatever the progress says
+    const flagged = new Set(flags.map(flag => String(flag.media_id)));
+    const finished = (mediaId, entry) => flagged.has(String(mediaId)) || (!!entry && this.isFinished(entry));
+
+    const historyByMedia = new Map(history.map(entry => [String(entry.media_id), entry]));
+    const mediaIds = history.map(entry => entry.media_id);
+    const [media, episodes] = await Promise.all([
+      this.getMediaByIds(mediaIds, userRole, restrictions),
+      tvShowService.getEpisodeContext(mediaIds)
+    ]);
+
+    const items = [];
+    const seenShows = new Set();
+
+    for (const entry of history) {
+      if (items.length >= limit) break;
+
+      const mediaKey = String(entry.media_id);
+      const episode = episodes.get(mediaKey);
+
+      if (episode) {
+        if (seenShows.has(episode.show_id)) continue;
+        seenShows.add(episode.show_id);
+      }
+
+      if (!finished(entry.media_id, entry)) {
+        if (!media.has(mediaKey) || parseFloat(entry.current_time) < this.minResumeSeconds) continue;
+
+        items.push({
+          ...media.get(mediaKey),
+          show_title: episode?.show_title || media.get(mediaKey).show_title,
+          reason: 'resume',
+          progress: this.formatProgress(entry)
+        });
+        continue;
+      }
+
+      // Finished episode: offer the next one unless that was already watched too
+      if (episode) {
+        const next = await tvShowService.getNextEpisode(entry.media_id, userRole, restrictions);
+        const nextHistory = next ? historyByMedia.get(String(next.id)) : null;
+
+        if (next && !finished(next.id, nextHistory)) {
+          items.push({
+            ...next,
+            show_title: episode.show_title,
+            reason: 'next_episode',
+            progress: this.formatProgress(nextHistory)
+          });
+        }
+      }
+    }
+
+    return items;
+  }
+}
+
+module.exports = new WatchProgressService();
@@ -91,7 +91,7 @@ class Database {
         display_name TEXT NULL,
         profile_picture TEXT NULL,
         bio TEXT NULL,
-        role TEXT DEFAULT 'user' CHECK (role IN ('admin', 'manager', 'user')),
+        role TEXT DEFAULT 'user',
         is_admin BOOLEAN DEFAULT 0,
         is_active BOOLEAN DEFAULT 1,
         email_verified BOOLEAN DEFAULT 0,
@@ -124,6 +124,58 @@ class Database {
           await this.query("ALTER TABLE users ADD COLUMN token_version TEXT NULL");
         }
 
+        // Playback language preferences (ISO 639-1 codes)
+        if (!columnNames.includes('preferred_audio_language')) {
+          await this.query("ALTER TABLE users ADD COLUMN preferred_audio_language TEXT NULL");
+        }
+
+        if (!columnNames.includes('preferred_subtitle_language')) {
+          await this.query("ALTER TABLE users ADD COLUMN preferred_subtitle_language TEXT NULL");
+        }
+
+        // TOTP two-factor authentication
+        if (!columnNames.includes('two_factor_enabled')) {
+          await this.query("ALTER TABLE users ADD COLUMN two_factor_enabled BOOLEAN DEFAULT 0");
+        }
+
+        if (!columnNames.includes('two_factor_secret')) {
+          await this.query("ALTER TABLE users ADD COLUMN two_factor_secret TEXT NULL");
+        }
+
+        if (!columnNames.includes('two_factor_pending_secret')) {
+          await this.query("ALTER TABLE users ADD COLUMN two_factor_pending_secret TEXT NULL");
+        }
+
+        if (!columnNames.includes('two_factor_last_step')) {
+          await this.query("ALTER TABLE users ADD COLUMN two_factor_last_step INTEGER NULL");
+        }
+
+        if (!columnNames.includes('two_factor_enabled_at')) {
+          await this.query("ALTER TABLE users ADD COLUMN two_factor_enabled_at DATETIME NULL");
+        }
+
+        // Users see every library unless an admin or their invite limits them
+        if (!columnNames.includes('all_libraries')) {
+          await this.query("ALTER TABLE users ADD COLUMN all_libraries BOOLEAN DEFAULT 1");
+        }
+
+        // Failed sign-in tracking for progressive lockout
+        if (!columnNames.includes('failed_login_count')) {
+          await this.query("ALTER TABLE users ADD COLUMN failed_login_count INTEGER DEFAULT 0");
+        }
+
+        if (!columnNames.includes('last_failed_login_at')) {
+          await this.query("ALTER TABLE users ADD COLUMN last_failed_login_at DATETIME NULL");
+        }
+
+        if (!columnNames.includes('lockout_count')) {
+          await this.query("ALTER TABLE users ADD COLUMN lockout_count INTEGER DEFAULT 0");
+        }
+
+        if (!columnNames.includes('locked_until')) {
+          await this.query("ALTER TABLE users ADD COLUMN locked_until DATETIME NULL");
+        }
+
         // Add role column and migrate existing is_admin values
         if (!columnNames.includes('role')) {
           await this.query("ALTER TABLE users ADD COLUMN role TEXT DEFAULT 'user'");
@@ -132,6 +184,32 @@ class Database {
           await this.query("UPDATE users SET role = 'admin' WHERE is_admin = 1");
         }
 
+        // Custom roles can't be stored while the old CHECK (role IN ...) is in
+        // place. Dropping a CHECK doesn't change the on-disk format, so the
+        // stored schema is edited in place rather than rebuilding the table.
+        const usersSchema = await this.query("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'users'");
+        if (usersSchema[0]?.sql?.includes('CHECK (role IN')) {
+          const schemaVersion = await this.query('PRAGMA schema_version');
+          await this.query('PRAGMA writable_schema = ON');
+          await this.query(
+            "UPDATE sqlite_master SET sql = ? WHERE type = 'table' AND name = 'users'",
+            [usersSchema[0].sql.replace(/\s*CHECK \(role IN \([^)]*\)\)/, '')]
+          );
+          await this.query(`PRAGMA schema_version = ${schemaVersion[0].schema_version + 1}`);
+          await this.query('PRAGMA writable_schema = OFF');
+        }
+
+        // Label for sessions created by device pairing (e.g. "Living Room Roku")
+        const sessionTableInfo = await this.query("PRAGMA table_info(user_sessions)");
+        if (!sessionTableInfo.map(col => col.name).includes('device_name')) {
+          await this.query("ALTER TABLE user_sessions ADD COLUMN device_name TEXT NULL");
+        }
+
+        // Profile the session is using ('main' or the PIN-protected 'kids' profile)
+        if (!sessionTableInfo.map(col => col.name).includes('active_profile')) {
+          await this.query("ALTER TABLE user_sessions ADD COLUMN active_profile TEXT DEFAULT 'main'");
+        }
+
         // Check and add extended_metadata column to media_content table
         const mediaTableInfo = await this.query("PRAGMA table_info(media_content)");
         const mediaColumnNames = mediaTableInfo.map(col => col.name);
@@ -155,6 +233,43 @@ class Database {
         if (!mediaColumnNames.includes('show_title')) {
           await this.query("ALTER TABLE media_content ADD COLUMN show_title TEXT NULL");
         }
+
+        // Library scanner columns
+        if (!mediaColumnNames.includes('checksum')) {
+          await this.query("ALTER TABLE media_content ADD COLUMN checksum TEXT NULL");
+        }
+
+        if (!mediaColumnNames.includes('library_folder_id')) {
+          await this.query("ALTER TABLE media_content ADD COLUMN library_folder_id INTEGER NULL");
+        }
+
+        if (!mediaColumnNames.includes('missing_since')) {
+          await this.query("ALTER TABLE media_content ADD COLUMN missing_since DATETIME NULL");
+        }
+
+        // Parental controls: certification from TMDB or set by hand
+        if (!mediaColumnNames.includes('content_rating')) {
+          await this.query("ALTER TABLE media_content ADD COLUMN content_rating TEXT NULL");
+        }
+
+        if (!mediaColumnNames.includes('content_rating_source')) {
+          await this.query("ALTER TABLE media_content ADD COLUMN content_rating_source TEXT NULL");
+        }
+
+        // Library sections: media and folders belong to one, invites can pre-assign access
+        if (!mediaColumnNames.includes('library_section_id')) {
+          await this.query("ALTER TABLE media_content ADD COLUMN library_section_id INTEGER NULL");
+        }
+
+        const folderTableInfo = await this.query("PRAGMA table_info(library_folders)");
+        if (folderTableInfo.length > 0 && !folderTableInfo.map(col => col.name).includes('section_id')) {
+          await this.query("ALTER TABLE library_folders ADD COLUMN section_id INTEGER NULL");
+        }
+
+        const inviteTableInfo = await this.query("PRAGMA table_info(invite_tokens)");
+        if (inviteTableInfo.length > 0 && !inviteTableInfo.map(col => col.name).includes('library_section_ids')) {
+          await this.query("ALTER TABLE invite_tokens ADD COLUMN library_section_ids TEXT NULL");
+        }
               } catch (error) {
           // Could not add columns (table may not exist yet)
         }
@@ -196,6 +311,7 @@ class Database {
         current_uses INTEGER DEFAULT 0,
         is_indefinite BOOLEAN DEFAULT 0,
         last_renewed_at DATETIME NULL,
+        library_section_ids TEXT NULL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (created_by) REFERENCES users (id),
         FOREIGN KEY (used_by) REFERENCES users (id)
@@ -226,6 +342,8 @@ class Database {
         ip_address TEXT,
         location TEXT,
         user_agent TEXT,
+        device_name TEXT,
+        active_profile TEXT DEFAULT 'main',
         is_active BOOLEAN DEFAULT 1,
         last_activity DATETIME DEFAULT CURRENT_TIMESTAMP,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -349,6 +467,329 @@ class Database {
       )
     `;
 
+    // Users a playlist has been shared with
+    const createPlaylistSharesTable = `
+      CREATE TABLE IF NOT EXISTS playlist_shares (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        playlist_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        can_edit BOOLEAN DEFAULT 0,
+        shared_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (playlist_id) REFERENCES playlists (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        UNIQUE(playlist_id, user_id)
+      )
+    `;
+
+    // Folders walked (and optionally watched) by the library scanner
+    const createLibraryFoldersTable = `
+      CREATE TABLE IF NOT EXISTS library_folders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        path TEXT NOT NULL UNIQUE,
+        name TEXT,
+        category TEXT DEFAULT 'auto' CHECK (category IN ('auto', 'movie', 'tv-show')),
+        watch BOOLEAN DEFAULT 0,
+        enabled BOOLEAN DEFAULT 1,
+        section_id INTEGER NULL,
+        created_by INTEGER,
+        last_scanned_at DATETIME NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (section_id) REFERENCES library_sections (id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `;
+
+    // Named libraries (Movies, Kids, Home Videos...) grouping library folders
+    const createLibrarySectionsTable = `
+      CREATE TABLE IF NOT EXISTS library_sections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT NULL,
+        metadata_agent TEXT DEFAULT 'tmdb',
+        transcoding_profile TEXT NULL,
+        created_by INTEGER NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Libraries a user can see when they don't have access to all of them
+    const createLibrarySectionGrantsTable = `
+      CREATE TABLE IF NOT EXISTS library_section_grants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        section_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        granted_by INTEGER NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (section_id) REFERENCES library_sections (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        UNIQUE(section_id, user_id)
+      )
+    `;
+
+    // WebVTT subtitle tracks extracted or uploaded per content item
+    const createSubtitleTracksTable = `
+      CREATE TABLE IF NOT EXISTS subtitle_tracks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        media_id INTEGER NOT NULL,
+        source TEXT NOT NULL CHECK (source IN ('embedded', 'sidecar', 'upload')),
+        stream_index INTEGER NULL,
+        source_path TEXT NULL,
+        language TEXT NULL,
+        label TEXT NOT NULL,
+        codec TEXT NULL,
+        is_default BOOLEAN DEFAULT 0,
+        is_forced BOOLEAN DEFAULT 0,
+        file_path TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (media_id) REFERENCES media_content (id) ON DELETE CASCADE
+      )
+    `;
+
+    // TV series hierarchy; each episode links one media_content row
+    const createShowsTable = `
+      CREATE TABLE IF NOT EXISTS shows (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        title_key TEXT NOT NULL UNIQUE,
+        description TEXT,
+        thumbnail_path TEXT,
+        extended_metadata TEXT,
+        tmdb_id INTEGER NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    const createSeasonsTable = `
+      CREATE TABLE IF NOT EXISTS seasons (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        show_id INTEGER NOT NULL,
+        season_number INTEGER NOT NULL,
+        title TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (show_id) REFERENCES shows (id) ON DELETE CASCADE,
+        UNIQUE(show_id, season_number)
+      )
+    `;
+
+    const createEpisodesTable = `
+      CREATE TABLE IF NOT EXISTS episodes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        show_id INTEGER NOT NULL,
+        season_id INTEGER NOT NULL,
+        media_id INTEGER NOT NULL UNIQUE,
+        episode_number INTEGER NULL,
+        title TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (show_id) REFERENCES shows (id) ON DELETE CASCADE,
+        FOREIGN KEY (season_id) REFERENCES seasons (id) ON DELETE CASCADE,
+        FOREIGN KEY (media_id) REFERENCES media_content (id) ON DELETE CASCADE
+      )
+    `;
+
+    // Items a user has explicitly marked as watched (finished watch_history rows count too)
+    const createWatchedItemsTable = `
+      CREATE TABLE IF NOT EXISTS watched_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        media_id INTEGER NOT NULL,
+        watched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (media_id) REFERENCES media_content (id) ON DELETE CASCADE,
+        UNIQUE(user_id, media_id)
+      )
+    `;
+
+    // One-time recovery codes for TOTP (stored as SHA-256 hashes)
+    const createTwoFactorRecoveryCodesTable = `
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at DATETIME NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `;
+
+    // Emailed links that turn off 2FA for users who lost their authenticator
+    const createTwoFactorResetsTable = `
+      CREATE TABLE IF NOT EXISTS two_factor_resets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        used BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `;
+
+    // WebAuthn passkeys (credential id and public key as base64url)
+    const createPasskeysTable = `
+      CREATE TABLE IF NOT EXISTS passkeys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        credential_id TEXT NOT NULL UNIQUE,
+        public_key TEXT NOT NULL,
+        counter INTEGER DEFAULT 0,
+        transports TEXT NULL,
+        device_type TEXT NULL,
+        backed_up BOOLEAN DEFAULT 0,
+        name TEXT NOT NULL,
+        last_used_at DATETIME NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `;
+
+    // Device authorization (RFC 8628) requests from TVs and other input-constrained clients
+    const createDeviceCodesTable = `
+      CREATE TABLE IF NOT EXISTS device_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_code_hash TEXT NOT NULL UNIQUE,
+        user_code TEXT NOT NULL UNIQUE,
+        device_name TEXT NOT NULL,
+        client_type TEXT NULL,
+        status TEXT DEFAULT 'pending',
+        user_id INTEGER NULL,
+        session_id TEXT NULL,
+        last_polled_at DATETIME NULL,
+        expires_at DATETIME NOT NULL,
+        approved_at DATETIME NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `;
+
+    // Personal API tokens for scripts; only a hash of the token is stored
+    const createApiTokensTable = `
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        token_prefix TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL,
+        last_used_at DATETIME NULL,
+        last_used_ip TEXT NULL,
+        expires_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `;
+
+    // Custom roles; permissions is a JSON array of permission keys
+    const createRolesTable = `
+      CREATE TABLE IF NOT EXISTS roles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        description TEXT NULL,
+        permissions TEXT NOT NULL,
+        created_by INTEGER NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Per-user parental controls: admin-set account limits and the kids profile
+    const createParentalControlsTable = `
+      CREATE TABLE IF NOT EXISTS parental_controls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL UNIQUE,
+        max_rating TEXT NULL,
+        blocked_tags TEXT NULL,
+        allow_unrated BOOLEAN DEFAULT 1,
+        kids_pin_hash TEXT NULL,
+        kids_max_rating TEXT NULL,
+        kids_blocked_tags TEXT NULL,
+        updated_by INTEGER NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `;
+
+    // Administrative actions. Append-only: the triggers below reject edits and
+    // deletes, and actor/target names are copied in so entries outlive users.
+    const createAuditLogTable = `
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor_id INTEGER NULL,
+        actor_username TEXT NULL,
+        action TEXT NOT NULL,
+        target_type TEXT NULL,
+        target_id TEXT NULL,
+        target_label TEXT NULL,
+        before_value TEXT NULL,
+        after_value TEXT NULL,
+        ip_address TEXT NULL,
+        user_agent TEXT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    const createAuditLogTriggers = [
+      `CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+       BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`,
+      `CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+       BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`
+    ];
+
+    // Devices and addresses each user has signed in from, to spot new ones
+    const createKnownLoginDevicesTable = `
+      CREATE TABLE IF NOT EXISTS known_login_devices (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        ip_address TEXT NOT NULL,
+        device_info TEXT NOT NULL,
+        browser_info TEXT NOT NULL,
+        first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        UNIQUE(user_id, ip_address, device_info, browser_info)
+      )
+    `;
+
+    // Admin-defined transcoding profiles; is_default marks the one used for
+    // auto-transcode on upload
+    const createTranscodingProfilesTable = `
+      CREATE TABLE IF NOT EXISTS transcoding_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT NULL,
+        video_codec TEXT NOT NULL,
+        rate_control TEXT NOT NULL DEFAULT 'crf',
+        crf INTEGER NULL,
+        video_bitrate INTEGER NULL,
+        max_height INTEGER NULL,
+        audio_codec TEXT NOT NULL DEFAULT 'aac',
+        audio_bitrate INTEGER NULL,
+        audio_channels INTEGER NULL,
+        container TEXT NOT NULL DEFAULT 'mp4',
+        two_pass BOOLEAN DEFAULT 0,
+        is_default BOOLEAN DEFAULT 0,
+        created_by INTEGER NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `;
+
+    // Server-wide security settings (key/value, JSON values)
+    const createSecuritySettingsTable = `
+      CREATE TABLE IF NOT EXISTS security_settings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        setting_key TEXT NOT NULL UNIQUE,
+        setting_value TEXT NOT NULL,
+        updated_by INTEGER NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
     return new Promise((resolve, reject) => {
       this.db.serialize(() => {
         this.db.run(createUsersTable, async (err) => {
@@ -424,6 +865,13 @@ class Database {
           }
         });
 
+        this.db.run(createPlaylistSharesTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
         this.db.run(createTranscodedFilesTable, (err) => {
           if (err) {
             reject(err);
@@ -445,6 +893,148 @@ class Database {
           }
         });
 
+        this.db.run(createLibraryFoldersTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createSubtitleTracksTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createShowsTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createSeasonsTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createEpisodesTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createWatchedItemsTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createTwoFactorRecoveryCodesTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createTwoFactorResetsTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createSecuritySettingsTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createTranscodingProfilesTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createPasskeysTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createDeviceCodesTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createApiTokensTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createParentalControlsTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createRolesTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createLibrarySectionsTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createLibrarySectionGrantsTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createAuditLogTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
+        createAuditLogTriggers.forEach(trigger => {
+          this.db.run(trigger, (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+          });
+        });
+
+        this.db.run(createKnownLoginDevicesTable, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+        });
+
         const createMonthlyBandwidthTable = `
           CREATE TABLE IF NOT EXISTS monthly_bandwidth (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -722,22 +1312,6 @@ class Database {
         return await query.orderBy('mc.upload_date', 'desc');
       }
       
-      // Handle TV shows organized query (specific pattern from getTVShowsOrganized)
-      if (sqlLower.includes('where mc.tags like \'%tv-show%\' and mc.media_type = \'video\'')) {
-        let query = this.knex('media_content as mc')
-          .select('mc.*', 'u.username as uploader_name')
-          .join('users as u', 'mc.uploaded_by', 'u.id')
-          .where('mc.tags', 'like', '%tv-show%')
-          .where('mc.media_type', 'video');
-        
-        // Add role-based filtering if params include published = 1
-        if (params.length > 0 && sqlLower.includes('and mc.published = 1')) {
-          query = query.where('mc.published', true);
-        }
-        
-        return await query.orderBy(['mc.show_title', 'mc.season_number', 'mc.episode_number']);
-      }
-      
       if (sqlLower.includes('where mc.tags like ?')) {
         // Movie/TV show listing query - handle both movie% and tv-show% patterns
         return await this.knex('media_content as mc')
@@ -754,33 +1328,6 @@ class Database {
           .join('users as u', 'mc.uploaded_by', 'u.id')
           .where('mc.id', params[0]);
       }
-      
-      // Handle TV show episodes query (getTVShowEpisodes) - multiple pattern checks
-      if ((sqlLower.includes('(mc.show_title like ? or mc.title like ?)') && 
-           sqlLower.includes('mc.season_number = ?') && 
-           sqlLower.includes('mc.media_type = \'video\'')) ||
-          (sqlLower.includes('mc.show_title like ?') && 
-           sqlLower.includes('mc.title like ?') && 
-           sqlLower.includes('mc.season_number = ?') && 
-           params.length === 3)) {
-           
-        let query = this.knex('media_content as mc')
-          .select('mc.*', 'u.username as uploader_name')
-          .join('users as u', 'mc.uploaded_by', 'u.id')
-          .where(function() {
-            this.where('mc.show_title', 'like', params[0])
-                .orWhere('mc.title', 'like', params[1]);
-          })
-          .where('mc.season_number', params[2])
-          .where('mc.media_type', 'video');
-        
-        // Add role-based filtering if the query includes published = 1
-        if (sqlLower.includes('and mc.published = 1')) {
-          query = query.where('mc.published', true);
-        }
-        
-        return await query.orderBy('mc.episode_number');
-      }
     }
     
           // Handle content listing query (for home page, movies, etc.)
@@ -1405,7 +1952,8 @@ class Database {
           bitrate_limit: params[1],
           total_bandwidth_limit: params[2],
           per_user_bandwidth_limit: params[3],
-          updated_at: params[4]
+          max_live_transcodes: params[4],
+          updated_at: params[5]
         };
         const result = await this.knex('streaming_settings').insert(settingsData).returning('id');
         return { id: result[0]?.id || result[0], changes: 1 };
@@ -1611,16 +2159,18 @@ class Database {
           sqlLower.includes('bitrate_limit = ?') &&
           sqlLower.includes('total_bandwidth_limit = ?') &&
           sqlLower.includes('per_user_bandwidth_limit = ?') &&
+          sqlLower.includes('max_live_transcodes = ?') &&
           sqlLower.includes('updated_at = ?') &&
           sqlLower.includes('where id = ?')) {
         const result = await this.knex('streaming_settings')
-          .where('id', params[5])
+          .where('id', params[6])
           .update({
             max_resolution: params[0],
             bitrate_limit: params[1],
             total_bandwidth_limit: params[2],
             per_user_bandwidth_limit: params[3],
-            updated_at: params[4]
+            max_live_transcodes: params[4],
+            updated_at: params[5]
           });
         return { changes: result || 0 };
       }
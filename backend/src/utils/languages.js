@@ -0,0 +1,65 @@
+/**
+ * Language tag helpers shared by subtitle and audio track handling
+ */
+
+// ISO 639-2 codes from ffprobe/filenames mapped to the 639-1 codes browsers expect
+const LANGUAGES = {
+  eng: { code: 'en', name: 'English' },
+  spa: { code: 'es', name: 'Spanish' },
+  fre: { code: 'fr', name: 'French' },
+  fra: { code: 'fr', name: 'French' },
+  ger: { code: 'de', name: 'German' },
+  deu: { code: 'de', name: 'German' },
+  ita: { code: 'it', name: 'Italian' },
+  por: { code: 'pt', name: 'Portuguese' },
+  dut: { code: 'nl', name: 'Dutch' },
+  nld: { code: 'nl', name: 'Dutch' },
+  rus: { code: 'ru', name: 'Russian' },
+  jpn: { code: 'ja', name: 'Japanese' },
+  kor: { code: 'ko', name: 'Korean' },
+  chi: { code: 'zh', name: 'Chinese' },
+  zho: { code: 'zh', name: 'Chinese' },
+  ara: { code: 'ar', name: 'Arabic' },
+  hin: { code: 'hi', name: 'Hindi' },
+  swe: { code: 'sv', name: 'Swedish' },
+  nor: { code: 'no', name: 'Norwegian' },
+  dan: { code: 'da', name: 'Danish' },
+  fin: { code: 'fi', name: 'Finnish' },
+  pol: { code: 'pl', name: 'Polish' },
+  tur: { code: 'tr', name: 'Turkish' }
+};
+
+/**
+ * Resolve a language tag ("eng", "en", "English") to { code, name }
+ * @param {string} value - Language tag or name
+ * @returns {{code: string|null, name: string|null}} ISO 639-1 code and display name
+ */
+const normalizeLanguage = (value) => {
+  if (!value) return { code: null, name: null };
+
+  const lower = value.toLowerCase();
+  if (LANGUAGES[lower]) return LANGUAGES[lower];
+
+  const match = Object.values(LANGUAGES).find(lang => lang.code === lower || lang.name.toLowerCase() === lower);
+  if (match) return match;
+
+  // Keep other well-formed tags as-is; anything else is not a language
+  return /^[a-z]{2,3}(-[a-z]{2})?$/.test(lower) && lower !== 'und'
+    ? { code: lower, name: value }
+    : { code: null, name: null };
+};
+
+/**
+ * Check whether a value is an acceptable language preference
+ * @param {string} value - Language code
+ * @returns {boolean} True for ISO 639-1/639-2 style codes
+ */
+const isValidLanguageCode = (value) => {
+  return typeof value === 'string' && /^[a-z]{2,3}(-[a-z]{2})?$/i.test(value);
+};
+
+module.exports = {
+  LANGUAGES,
+  normalizeLanguage,
+  isValidLanguageCode
+};
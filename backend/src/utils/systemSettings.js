@@ -0,0 +1,21 @@
+const fs = require('fs');
+const path = require('path');
+
+// Server-wide transcoding settings (system-settings.json), shared by the
+// storage routes, the upload handler and the transcoding engine
+const SETTINGS_PATH = path.join(__dirname, '../../system-settings.json');
+
+function loadSettings() {
+  try {
+    if (fs.existsSync(SETTINGS_PATH)) {
+      return JSON.parse(fs.readFileSync(SETTINGS_PATH, 'utf-8'));
+    }
+  } catch (e) { console.error('Failed to load settings:', e); }
+  return { autoTranscodingEnabled: false };
+}
+
+function saveSettings(settings) {
+  fs.writeFileSync(SETTINGS_PATH, JSON.stringify(settings, null, 2));
+}
+
+module.exports = { loadSettings, saveSettings };
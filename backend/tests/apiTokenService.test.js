@@ -0,0 +1,54 @@
+jest.mock('../src/utils/database', () => ({ query: jest.fn(async () => []) }));
+
+const apiTokenService = require('../src/services/apiTokenService');
+
+const tokenWith = (...scopes) => ({ scopes: JSON.stringify(scopes) });
+
+describe('apiTokenService.requiredScope', () => {
+  it('maps library routes to library:read', () => {
+    expect(apiTokenService.requiredScope('GET', '/api/media/movies')).toBe('library:read');
+    expect(apiTokenService.requiredScope('GET', '/api/content/12')).toBe('library:read');
+    expect(apiTokenService.requiredScope('GET', '/api/playlists')).toBe('library:read');
+  });
+
+  it('prefers the narrower stream scope for playback routes', () => {
+    expect(apiTokenService.requiredScope('GET', '/api/content/12/stream')).toBe('stream');
+    expect(apiTokenService.requiredScope('GET', '/api/content/12/hls/master.m3u8')).toBe('stream');
+    expect(apiTokenService.requiredScope('POST', '/api/content/12/playback')).toBe('stream');
+    expect(apiTokenService.requiredScope('DELETE', '/api/content/12/watch-progress')).toBe('stream');
+  });
+
+  it('matches on the method as well as the path', () => {
+    expect(apiTokenService.requiredScope('DELETE', '/api/content/12')).toBeNull();
+    expect(apiTokenService.requiredScope('POST', '/api/media/upload')).toBe('upload');
+  });
+
+  it('leaves account and token management out of reach', () => {
+    expect(apiTokenService.requiredScope('POST', '/api/users/api-tokens')).toBeNull();
+    expect(apiTokenService.requiredScope('POST', '/api/users/2fa/disable')).toBeNull();
+    expect(apiTokenService.requiredScope('GET', '/api/admin/users')).toBeNull();
+  });
+});
+
+describe('apiTokenService.allows', () => {
+  it('needs the scope the route requires', () => {
+    const token = tokenWith('library:read');
+    expect(apiTokenService.allows(token, 'GET', '/api/media/movies')).toBe(true);
+    expect(apiTokenService.allows(token, 'GET', '/api/content/12/stream')).toBe(false);
+    expect(apiTokenService.allows(tokenWith('stream'), 'GET', '/api/content/12/stream')).toBe(true);
+  });
+
+  it('grants admin transcoding routes only with that scope', () => {
+    expect(apiTokenService.allows(tokenWith('admin:transcoding'), 'POST', '/api/storage/transcoding/queue/pause')).toBe(true);
+    expect(apiTokenService.allows(tokenWith('library:read', 'stream'), 'POST', '/api/storage/transcoding/queue/pause')).toBe(false);
+  });
+
+  it('never allows routes without a scope', () => {
+    const token = tokenWith('library:read', 'stream', 'upload', 'admin:transcoding');
+    expect(apiTokenService.allows(token, 'POST', '/api/users/api-tokens')).toBe(false);
+  });
+
+  it('treats unreadable scopes as none', () => {
+    expect(apiTokenService.allows({ scopes: 'not json' }, 'GET', '/api/media/movies')).toBe(false);
+  });
+});
@@ -0,0 +1,60 @@
+const mockDatabase = {
+  insert: jest.fn(async () => ({ changes: 1 })),
+  query: jest.fn(async () => [])
+};
+
+jest.mock('../src/utils/database', () => mockDatabase);
+jest.mock('../src/middleware/securityLogger', () => ({ getClientIP: jest.fn(() => '10.0.0.1') }));
+
+const auditLogService = require('../src/services/auditLogService');
+
+describe('auditLogService.record', () => {
+  beforeEach(() => {
+    mockDatabase.insert.mockReset();
+  });
+
+  it('stores the actor, target and values of an action', async () => {
+    const req = { user: { id: 1, username: 'admin' }, get: () => 'Firefox' };
+    await auditLogService.record(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: 7,
+      targetLabel: 'bob',
+      before: { role: 'user' },
+      after: { role: 'manager' }
+    });
+
+    expect(mockDatabase.insert.mock.calls[0][1].slice(0, 10)).toEqual([
+      1, 'admin', 'user.role_change', 'user', '7', 'bob', '{"role":"user"}', '{"role":"manager"}', '10.0.0.1', 'Firefox'
+    ]);
+  });
+
+  it('never throws when the entry cannot be written', async () => {
+    mockDatabase.insert.mockRejectedValue(new Error('disk full'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(auditLogService.record(null, { action: 'settings.update' })).resolves.toBeUndefined();
+    console.error.mockRestore();
+  });
+});
+
+describe('auditLogService.buildFilters', () => {
+  it('combines the filters into one WHERE clause', () => {
+    const { where, params } = auditLogService.buildFilters({ action: 'user.delete', actor: 'Ad', from: '2025-01-01' });
+
+    expect(where).toBe(' WHERE action = ? AND LOWER(actor_username) LIKE ? AND created_at >= ?');
+    expect(params).toEqual(['user.delete', '%ad%', '2025-01-01T00:00:00.000Z']);
+  });
+
+  it('rejects dates it cannot read', () => {
+    expect(() => auditLogService.buildFilters({ to: 'yesterday' })).toThrow('Invalid end date');
+  });
+});
+
+describe('auditLogService.toCsv', () => {
+  it('quotes values containing separators', () => {
+    const csv = auditLogService.toCsv([{ id: 1, action: 'user.update', target_label: 'Smith, "Bob"', before_value: null }]);
+
+    expect(csv.split('\n')[1]).toBe('1,,,,user.update,,,"Smith, ""Bob""",,,,');
+  });
+});
@@ -0,0 +1,124 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const user = {
+  id: 1,
+  username: 'alice',
+  email: 'alice@example.com',
+  role: 'user',
+  is_admin: false,
+  is_active: true,
+  token_version: null
+};
+
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(async (sql) => (sql.startsWith('SELECT * FROM users') ? [user] : [])),
+  insert: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn()
+}));
+
+jest.mock('../src/services/emailService', () => ({}));
+
+const authService = require('../src/services/authService');
+const twoFactorService = require('../src/services/twoFactorService');
+const passkeyService = require('../src/services/passkeyService');
+const { authenticateToken, optionalAuth } = require('../src/middleware/auth');
+
+const run = async (middleware, token) => {
+  const req = { headers: { authorization: `Bearer ${token}` }, query: {}, originalUrl: '/api/users/api-tokens' };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { req, res, next };
+};
+
+describe('authenticateToken', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.error.mockRestore();
+  });
+
+  it('accepts an access token', async () => {
+    const { req, next } = await run(authenticateToken, authService.generateToken(user));
+    expect(next).toHaveBeenCalled();
+    expect(req.user.id).toBe(user.id);
+  });
+
+  it('rejects a 2FA login challenge', async () => {
+    const challenge = twoFactorService.createChallenge(user, 'login');
+    const { res, next } = await run(authenticateToken, challenge);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('rejects a passkey challenge', async () => {
+    const challenge = passkeyService.createChallengeToken('abc', 'login', user.id);
+    const { res, next } = await run(authenticateToken, challenge);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('rejects a refresh token signed with the access secret', async () => {
+    const jwt = require('jsonwebtoken');
+    const token = jwt.sign({ id: user.id, type: 'refresh' }, process.env.JWT_SECRET);
+    const { next } = await run(authenticateToken, token);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('optionalAuth', () => {
+  it('ignores a 2FA login challenge', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { req, next } = await run(optionalAuth, twoFactorService.createChallenge(user, 'login'));
+    console.error.mockRestore();
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBeUndefined();
+  });
+});
+
+describe('challenge tokens', () => {
+  it('round-trip through their own verifier', () => {
+    const challenge = twoFactorService.createChallenge(user, 'login');
+    expect(twoFactorService.verifyChallenge(challenge, 'login').id).toBe(user.id);
+  });
+
+  it('are not accepted in place of each other', () => {
+    const challenge = passkeyService.createChallengeToken('abc', 'login', user.id);
+    expect(() => twoFactorService.verifyChallenge(challenge, 'login')).toThrow();
+  });
+});
+
+describe('refreshToken', () => {
+  const sessionService = require('../src/services/sessionService');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps the session a web login was issued for', async () => {
+    jest.spyOn(sessionService, 'getSessionById').mockResolvedValue({ session_id: 'web', user_id: user.id });
+    const extendSession = jest.spyOn(sessionService, 'extendSession').mockResolvedValue();
+    const createSession = jest.spyOn(sessionService, 'createSession');
+
+    const result = await authService.refreshToken(authService.generateRefreshToken(user, 'web'), { headers: {} });
+
+    expect(createSession).not.toHaveBeenCalled();
+    expect(extendSession).toHaveBeenCalledWith('web', 7);
+    expect(authService.verifyToken(result.token).sessionId).toBe('web');
+  });
+
+  it('stops refreshing once the session is revoked', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(sessionService, 'getSessionById').mockResolvedValue(null);
+
+    await expect(authService.refreshToken(authService.generateRefreshToken(user, 'web'))).rejects.toThrow('Invalid refresh token');
+  });
+});
@@ -0,0 +1,92 @@
+const mockDatabase = {
+  request: null,
+  query: jest.fn(async (sql) => {
+    if (sql.includes('FROM device_codes')) return mockDatabase.request ? [{ ...mockDatabase.request }] : [];
+    return [];
+  }),
+  update: jest.fn(async (sql, params) => {
+    if (sql.startsWith('UPDATE device_codes SET last_polled_at')) {
+      mockDatabase.request.last_polled_at = params[0];
+      return { changes: 1 };
+    }
+    if (sql.includes('AND status = ?')) {
+      if (mockDatabase.request.status !== params[2]) return { changes: 0 };
+      mockDatabase.request.status = params[0];
+      return { changes: 1 };
+    }
+    return { changes: 1 };
+  })
+};
+
+jest.mock('../src/utils/database', () => mockDatabase);
+
+const deviceAuthService = require('../src/services/deviceAuthService');
+
+const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000).toISOString();
+
+describe('deviceAuthService.poll', () => {
+  beforeEach(() => {
+    mockDatabase.request = {
+      id: 1,
+      status: 'pending',
+      user_id: null,
+      expires_at: new Date(Date.now() + 60000).toISOString(),
+      last_polled_at: null
+    };
+  });
+
+  it('keeps the device waiting until the code is approved', async () => {
+    await expect(deviceAuthService.poll('device-code')).rejects.toMatchObject({ code: 'authorization_pending' });
+    expect(mockDatabase.request.last_polled_at).not.toBeNull();
+  });
+
+  it('tells a device polling faster than the interval to slow down', async () => {
+    mockDatabase.request.last_polled_at = secondsAgo(2);
+    await expect(deviceAuthService.poll('device-code')).rejects.toMatchObject({ code: 'slow_down' });
+  });
+
+  it('accepts a poll after the interval has passed', async () => {
+    mockDatabase.request.last_polled_at = secondsAgo(deviceAuthService.pollInterval + 1);
+    await expect(deviceAuthService.poll('device-code')).rejects.toMatchObject({ code: 'authorization_pending' });
+  });
+
+  it('returns the approved request', async () => {
+    mockDatabase.request.status = 'approved';
+    mockDatabase.request.user_id = 4;
+
+    expect(await deviceAuthService.poll('device-code')).toMatchObject({ id: 1, user_id: 4 });
+  });
+
+  it('reports denied, expired and unknown codes', async () => {
+    mockDatabase.request.status = 'denied';
+    await expect(deviceAuthService.poll('device-code')).rejects.toMatchObject({ code: 'access_denied' });
+
+    mockDatabase.request.expires_at = secondsAgo(1);
+    await expect(deviceAuthService.poll('device-code')).rejects.toMatchObject({ code: 'expired_token' });
+
+    mockDatabase.request = null;
+    await expect(deviceAuthService.poll('device-code')).rejects.toMatchObject({ code: 'invalid_grant' });
+  });
+
+  it('turns an approved code into tokens only once', async () => {
+    mockDatabase.request.status = 'approved';
+    const request = await deviceAuthService.poll('device-code');
+
+    expect(await deviceAuthService.consume(request)).toBe(true);
+    expect(await deviceAuthService.consume(request)).toBe(false);
+    await expect(deviceAuthService.poll('device-code')).rejects.toMatchObject({ code: 'invalid_grant' });
+  });
+});
+
+describe('deviceAuthService user codes', () => {
+  it('accepts codes typed with any case or separator', () => {
+    expect(deviceAuthService.normalizeUserCode('bcdf-ghjk')).toBe('BCDFGHJK');
+    expect(deviceAuthService.normalizeUserCode(' BCDF GHJK ')).toBe('BCDFGHJK');
+  });
+
+  it('generates codes without vowels', () => {
+    const code = deviceAuthService.generateUserCode();
+    expect(code).toMatch(/^[BCDFGHJKLMNPQRSTVWXZ]{8}$/);
+    expect(deviceAuthService.formatUserCode(code)).toBe(`${code.slice(0, 4)}-${code.slice(4)}`);
+  });
+});
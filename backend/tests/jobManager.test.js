@@ -0,0 +1,52 @@
+jest.mock('../src/utils/database', () => ({ query: jest.fn(async () => []) }));
+
+const JobManager = require('../src/services/transcoding/jobManager');
+
+const at = (time) => new Date(`2025-01-15T${time}:00`);
+
+describe('JobManager.isWithinSchedule', () => {
+  it('allows any time without windows', () => {
+    const jobManager = new JobManager({ scheduleWindows: [] });
+    expect(jobManager.isWithinSchedule(at('12:00'))).toBe(true);
+  });
+
+  it('checks a window within the day', () => {
+    const jobManager = new JobManager({ scheduleWindows: [{ start: '01:00', end: '07:00' }] });
+    expect(jobManager.isWithinSchedule(at('00:59'))).toBe(false);
+    expect(jobManager.isWithinSchedule(at('01:00'))).toBe(true);
+    expect(jobManager.isWithinSchedule(at('06:59'))).toBe(true);
+    expect(jobManager.isWithinSchedule(at('07:00'))).toBe(false);
+  });
+
+  it('wraps windows that run past midnight', () => {
+    const jobManager = new JobManager({ scheduleWindows: [{ start: '22:00', end: '06:00' }] });
+    expect(jobManager.isWithinSchedule(at('21:59'))).toBe(false);
+    expect(jobManager.isWithinSchedule(at('23:30'))).toBe(true);
+    expect(jobManager.isWithinSchedule(at('05:59'))).toBe(true);
+    expect(jobManager.isWithinSchedule(at('06:00'))).toBe(false);
+  });
+
+  it('matches any of several windows', () => {
+    const jobManager = new JobManager({
+      scheduleWindows: [{ start: '01:00', end: '03:00' }, { start: '13:00', end: '14:00' }]
+    });
+    expect(jobManager.isWithinSchedule(at('02:00'))).toBe(true);
+    expect(jobManager.isWithinSchedule(at('13:30'))).toBe(true);
+    expect(jobManager.isWithinSchedule(at('08:00'))).toBe(false);
+  });
+
+  it('holds only heavy jobs outside the windows', () => {
+    const jobManager = new JobManager({ scheduleWindows: [{ start: '01:00', end: '02:00' }], heavyJobMinSizeMB: 1 });
+    jest.spyOn(jobManager, 'isWithinSchedule').mockReturnValue(false);
+    expect(jobManager.canStartJob({ input_size: 512 * 1024 })).toBe(true);
+    expect(jobManager.canStartJob({ input_size: 2 * 1024 * 1024 })).toBe(false);
+  });
+});
+
+describe('JobManager.getNextWindowStart', () => {
+  it('returns null inside a window and the next opening otherwise', () => {
+    const jobManager = new JobManager({ scheduleWindows: [{ start: '22:00', end: '06:00' }] });
+    expect(jobManager.getNextWindowStart(at('23:00'))).toBeNull();
+    expect(jobManager.getNextWindowStart(at('20:15'))).toBe(at('22:00').toISOString());
+  });
+});
@@ -0,0 +1,30 @@
+const { normalizeLanguage, isValidLanguageCode } = require('../src/utils/languages');
+
+describe('normalizeLanguage', () => {
+  it('maps ISO 639-2 codes, 639-1 codes and names to the same language', () => {
+    expect(normalizeLanguage('ger')).toEqual({ code: 'de', name: 'German' });
+    expect(normalizeLanguage('deu')).toEqual({ code: 'de', name: 'German' });
+    expect(normalizeLanguage('DE')).toEqual({ code: 'de', name: 'German' });
+    expect(normalizeLanguage('german')).toEqual({ code: 'de', name: 'German' });
+  });
+
+  it('keeps other well-formed tags', () => {
+    expect(normalizeLanguage('pt-br')).toEqual({ code: 'pt-br', name: 'pt-br' });
+  });
+
+  it('treats undetermined and malformed values as no language', () => {
+    expect(normalizeLanguage('und')).toEqual({ code: null, name: null });
+    expect(normalizeLanguage('Track 2')).toEqual({ code: null, name: null });
+    expect(normalizeLanguage(null)).toEqual({ code: null, name: null });
+  });
+});
+
+describe('isValidLanguageCode', () => {
+  it('accepts language codes only', () => {
+    expect(isValidLanguageCode('en')).toBe(true);
+    expect(isValidLanguageCode('eng')).toBe(true);
+    expect(isValidLanguageCode('en-US')).toBe(true);
+    expect(isValidLanguageCode('English')).toBe(false);
+    expect(isValidLanguageCode(7)).toBe(false);
+  });
+});
@@ -0,0 +1,55 @@
+const fs = require('fs');
+
+jest.mock('../src/utils/database', () => ({ query: jest.fn(async () => []) }));
+jest.mock('../src/services/mediaService', () => ({}));
+jest.mock('../src/services/librarySectionService', () => ({}));
+jest.mock('../src/services/transcodingProfileService', () => ({}));
+
+const libraryScanner = require('../src/services/libraryScanner');
+
+describe('libraryScanner.watchFolder', () => {
+  const folder = { id: 3, path: '/media/movies' };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    libraryScanner.stopWatching();
+    jest.restoreAllMocks();
+  });
+
+  it('watches the folder recursively when the platform supports it', () => {
+    const watcher = { on: jest.fn(), close: jest.fn() };
+    jest.spyOn(fs, 'watch').mockReturnValue(watcher);
+
+    libraryScanner.watchFolder(folder);
+
+    expect(fs.watch).toHaveBeenCalledWith(folder.path, { recursive: true }, expect.any(Function));
+    expect(libraryScanner.getStatus()).toMatchObject({ watching: [3], polling: [] });
+  });
+
+  it('falls back to periodic scans and reports it when recursive watching is unavailable', () => {
+    jest.spyOn(fs, 'watch').mockImplementation(() => {
+      const error = new TypeError('The feature watch recursively is unavailable on the current platform');
+      error.code = 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM';
+      throw error;
+    });
+    const scheduleFolderScan = jest.spyOn(libraryScanner, 'scheduleFolderScan').mockImplementation(() => {});
+    jest.useFakeTimers();
+
+    try {
+      libraryScanner.watchFolder(folder);
+      expect(libraryScanner.getStatus()).toMatchObject({
+        watching: [3],
+        polling: [{ folderId: 3, reason: 'The feature watch recursively is unavailable on the current platform' }]
+      });
+
+      jest.advanceTimersByTime(libraryScanner.watchPollMs);
+      expect(scheduleFolderScan).toHaveBeenCalledWith(3);
+    } finally {
+      libraryScanner.stopWatching();
+      jest.useRealTimers();
+    }
+  });
+});
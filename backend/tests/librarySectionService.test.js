@@ -0,0 +1,81 @@
+const mockDatabase = {
+  user: null,
+  grants: [],
+  sections: [],
+  query: jest.fn(async (sql, params) => {
+    if (sql.includes('FROM users')) return mockDatabase.user ? [mockDatabase.user] : [];
+    if (sql.includes('FROM library_section_grants')) return mockDatabase.grants;
+    if (sql.startsWith('SELECT id FROM library_sections WHERE id IN')) {
+      return mockDatabase.sections.filter(section => params.includes(section.id)).map(section => ({ id: section.id }));
+    }
+    return [];
+  })
+};
+
+jest.mock('../src/utils/database', () => mockDatabase);
+jest.mock('../src/services/transcodingProfileService', () => ({ listProfiles: jest.fn(async () => []) }));
+
+const librarySectionService = require('../src/services/librarySectionService');
+
+describe('librarySectionService.getAccessibleSectionIds', () => {
+  beforeEach(() => {
+    mockDatabase.grants = [{ section_id: 2 }, { section_id: 5 }];
+  });
+
+  it('limits restricted accounts to their grants', async () => {
+    mockDatabase.user = { role: 'user', is_admin: 0, all_libraries: 0 };
+    expect(await librarySectionService.getAccessibleSectionIds(1)).toEqual([2, 5]);
+  });
+
+  it('gives everyone else every library', async () => {
+    mockDatabase.user = { role: 'user', is_admin: 0, all_libraries: 1 };
+    expect(await librarySectionService.getAccessibleSectionIds(1)).toBeNull();
+
+    mockDatabase.user = { role: 'user', is_admin: 0, all_libraries: null };
+    expect(await librarySectionService.getAccessibleSectionIds(1)).toBeNull();
+
+    mockDatabase.user = { role: 'admin', is_admin: 1, all_libraries: 0 };
+    expect(await librarySectionService.getAccessibleSectionIds(1)).toBeNull();
+  });
+});
+
+describe('librarySectionService.normalizeSectionIds', () => {
+  beforeEach(() => {
+    mockDatabase.sections = [{ id: 1 }, { id: 2 }];
+  });
+
+  it('de-duplicates known sections', async () => {
+    expect(await librarySectionService.normalizeSectionIds(['1', 2, 1])).toEqual([1, 2]);
+    expect(await librarySectionService.normalizeSectionIds([])).toEqual([]);
+  });
+
+  it('rejects unknown sections and anything that is not a list', async () => {
+    await expect(librarySectionService.normalizeSectionIds([1, 3])).rejects.toThrow('Unknown library');
+    await expect(librarySectionService.normalizeSectionIds('1')).rejects.toThrow('Libraries must be a list');
+  });
+});
+
+describe('librarySectionService.validateSectionInput', () => {
+  it('trims the name and defaults the metadata agent', async () => {
+    expect(await librarySectionService.validateSectionInput({ name: '  Movies ' })).toEqual({
+      name: 'Movies',
+      description: '',
+      metadata_agent: 'tmdb',
+      transcoding_profile: null
+    });
+  });
+
+  it('rejects a missing name, an unknown agent or an unknown profile', async () => {
+    await expect(librarySectionService.validateSectionInput({ name: ' ' })).rejects.toThrow('Library name is required');
+    await expect(librarySectionService.validateSectionInput({ name: 'Movies', metadataAgent: 'imdb' })).rejects.toThrow('Unknown metadata agent');
+    await expect(librarySectionService.validateSectionInput({ name: 'Movies', transcodingProfile: 'nope' })).rejects.toThrow('Unknown transcoding profile');
+  });
+});
+
+describe('librarySectionService.parseSectionIds', () => {
+  it('reads the ids stored on an invite', () => {
+    expect(librarySectionService.parseSectionIds('[1,"2"]')).toEqual([1, 2]);
+    expect(librarySectionService.parseSectionIds(null)).toBeNull();
+    expect(librarySectionService.parseSectionIds('not json')).toBeNull();
+  });
+});
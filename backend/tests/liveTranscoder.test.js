@@ -0,0 +1,62 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+jest.mock('../src/utils/database', () => ({ query: jest.fn(async () => []) }));
+
+const { constructor: LiveTranscoder } = require('../src/services/transcoding/liveTranscoder');
+
+describe('LiveTranscoder.openSession', () => {
+  const settings = { max_resolution: '1080p', bitrate_limit: '20', max_live_transcodes: 1 };
+  let outputDirectory;
+  let transcoder;
+
+  const open = (sessionId, options = {}) => transcoder.openSession({
+    sessionId,
+    contentId: 7,
+    inputPath: '/media/film.mkv',
+    streamingSettings: settings,
+    options
+  });
+
+  beforeEach(() => {
+    outputDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'live-'));
+    transcoder = new LiveTranscoder({ outputDirectory });
+    jest.spyOn(transcoder, 'probe').mockImplementation(() => new Promise(resolve => {
+      setTimeout(() => resolve({ duration: 60, height: 1080 }), 10);
+    }));
+    jest.spyOn(transcoder, 'startEncoder').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await transcoder.stopAll();
+    fs.rmSync(outputDirectory, { recursive: true, force: true });
+  });
+
+  it('holds the slot while the first request is still probing', async () => {
+    const results = await Promise.allSettled([open('1'), open('2')]);
+
+    expect(results[0].status).toBe('fulfilled');
+    expect(results[1].reason.code).toBe('LIVE_TRANSCODE_LIMIT');
+    expect(transcoder.getStatus().map(session => session.sessionId)).toEqual(['1']);
+  });
+
+  it('does not count remuxes against the cap', async () => {
+    await open('1');
+    await expect(open('2', { mode: 'remux' })).resolves.toMatchObject({ mode: 'remux' });
+  });
+
+  it('releases the slot when the probe fails', async () => {
+    transcoder.probe.mockRejectedValueOnce(new Error('Media file has no playable video stream'));
+
+    await expect(open('1')).rejects.toThrow('no playable video stream');
+    await expect(open('2')).resolves.toMatchObject({ id: '2', segmentCount: 15 });
+  });
+
+  it('shares one probe between requests for the same session', async () => {
+    const [first, second] = await Promise.all([open('1'), open('1')]);
+
+    expect(second).toBe(first);
+    expect(transcoder.probe).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,59 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const logViewerService = require('../src/services/logViewerService');
+
+describe('logViewerService', () => {
+  let logDir;
+  let otherDir;
+  let logDirs;
+
+  const write = (dir, name, lines) => fs.writeFileSync(path.join(dir, name), lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+
+  beforeEach(() => {
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+    otherDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+    logDirs = logViewerService.logDirs;
+    logViewerService.logDirs = [logDir, otherDir];
+
+    write(logDir, 'security.log', [
+      { timestamp: '2025-01-01T00:00:00Z', level: 'WARN', event: 'FAILED_LOGIN' },
+      { timestamp: '2025-01-01T00:01:00Z', level: 'INFO', event: 'LOGIN' }
+    ]);
+    write(otherDir, 'security.log', [{ level: 'INFO', event: 'SHADOWED' }]);
+    write(otherDir, 'access.log', [{ level: 'INFO', event: 'REQUEST' }]);
+    fs.writeFileSync(path.join(logDir, 'notes.txt'), 'not a log');
+  });
+
+  afterEach(() => {
+    logViewerService.logDirs = logDirs;
+    fs.rmSync(logDir, { recursive: true, force: true });
+    fs.rmSync(otherDir, { recursive: true, force: true });
+  });
+
+  describe('findFile', () => {
+    it('resolves a listed log file to the first directory that has it', async () => {
+      expect(await logViewerService.findFile('security.log')).toMatchObject({ name: 'security.log', dir: logDir });
+      expect(await logViewerService.findFile('access.log')).toMatchObject({ name: 'access.log', dir: otherDir });
+    });
+
+    it('rejects paths and files that are not logs', async () => {
+      await expect(logViewerService.findFile('../security.log')).rejects.toThrow('Log file not found');
+      await expect(logViewerService.findFile(path.join(logDir, 'security.log'))).rejects.toThrow('Log file not found');
+      await expect(logViewerService.findFile('notes.txt')).rejects.toThrow('Log file not found');
+    });
+  });
+
+  describe('readEntries', () => {
+    it('returns the newest entries first, filtered by level', async () => {
+      const result = await logViewerService.readEntries('security.log', { level: 'warn' });
+
+      expect(result.total).toBe(1);
+      expect(result.entries[0].event).toBe('FAILED_LOGIN');
+
+      const all = await logViewerService.readEntries('security.log');
+      expect(all.entries.map(entry => entry.event)).toEqual(['LOGIN', 'FAILED_LOGIN']);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+// A single users row; the two UPDATEs recordFailure issues are applied the way
+// the database would, so parallel calls interleave at every await
+const mockDatabase = {
+  row: null,
+  query: jest.fn(async (sql) => {
+    if (sql.includes('FROM users WHERE id = ?')) return [{ ...mockDatabase.row }];
+    return [];
+  }),
+  update: jest.fn(async (sql, params) => {
+    const row = mockDatabase.row;
+    if (sql.includes('failed_login_count = CASE')) {
+      const [windowStart, now] = params;
+      const recent = row.last_failed_login_at && row.last_failed_login_at > windowStart;
+      row.failed_login_count = recent ? (row.failed_login_count || 0) + 1 : 1;
+      row.last_failed_login_at = now;
+      return { changes: 1 };
+    }
+    if (sql.includes('lockout_count = ?, locked_until = ?')) {
+      const [lockoutCount, lockedUntil, , maxFailedAttempts] = params;
+      if (row.failed_login_count < maxFailedAttempts) return { changes: 0 };
+      Object.assign(row, { failed_login_count: 0, lockout_count: lockoutCount, locked_until: lockedUntil });
+      return { changes: 1 };
+    }
+    return { changes: 0 };
+  })
+};
+
+jest.mock('../src/utils/database', () => mockDatabase);
+jest.mock('../src/services/emailService', () => ({}));
+jest.mock('../src/middleware/securityLogger', () => ({ logSuspiciousActivity: jest.fn() }));
+
+const loginProtectionService = require('../src/services/loginProtectionService');
+
+const minutesFromNow = (iso) => Math.round((new Date(iso) - Date.now()) / 60000);
+
+describe('loginProtectionService.recordFailure', () => {
+  const staleUser = { id: 1, email: 'alice@example.com', failed_login_count: 0, lockout_count: 0 };
+
+  beforeEach(() => {
+    mockDatabase.row = { id: 1, failed_login_count: 0, last_failed_login_at: null, lockout_count: 0, locked_until: null };
+  });
+
+  it('locks the account on the fifth failure in the window', async () => {
+    for (let attempt = 1; attempt < 5; attempt++) {
+      expect(await loginProtectionService.recordFailure(staleUser, {})).toBeNull();
+    }
+
+    const error = await loginProtectionService.recordFailure(staleUser, {});
+    expect(error.code).toBe('ACCOUNT_LOCKED');
+    expect(minutesFromNow(mockDatabase.row.locked_until)).toBe(5);
+    expect(mockDatabase.row.failed_login_count).toBe(0);
+  });
+
+  it('starts counting again once the window has passed', async () => {
+    mockDatabase.row.failed_login_count = 4;
+    mockDatabase.row.last_failed_login_at = new Date(Date.now() - 16 * 60000).toISOString();
+
+    expect(await loginProtectionService.recordFailure(staleUser, {})).toBeNull();
+    expect(mockDatabase.row.failed_login_count).toBe(1);
+  });
+
+  it('doubles the lockout each time the account is locked again', async () => {
+    mockDatabase.row.failed_login_count = 4;
+    mockDatabase.row.last_failed_login_at = new Date().toISOString();
+    mockDatabase.row.lockout_count = 2;
+
+    await loginProtectionService.recordFailure(staleUser, {});
+    expect(mockDatabase.row.lockout_count).toBe(3);
+    expect(minutesFromNow(mockDatabase.row.locked_until)).toBe(20);
+  });
+
+  it('counts parallel failures instead of the count read before them', async () => {
+    const results = await Promise.all(Array.from({ length: 8 }, () => loginProtectionService.recordFailure(staleUser, {})));
+
+    const locked = results.filter(Boolean);
+    expect(locked.length).toBeGreaterThanOrEqual(4);
+    expect(locked.every(error => error.code === 'ACCOUNT_LOCKED')).toBe(true);
+    expect(mockDatabase.row.lockout_count).toBe(1);
+  });
+});
+
+describe('loginProtectionService.getLockoutMinutes', () => {
+  it('stops at the configured maximum', () => {
+    const settings = { baseLockoutMinutes: 5, maxLockoutMinutes: 60 };
+    expect([1, 2, 3, 4, 5].map(count => loginProtectionService.getLockoutMinutes(count, settings))).toEqual([5, 10, 20, 40, 60]);
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock('../src/utils/database', () => ({ query: jest.fn(async () => []) }));
+jest.mock('sharp', () => jest.fn());
+jest.mock('../src/services/thumbnailService', () => ({}));
+
+const mediaService = require('../src/services/mediaService');
+
+// Library rows as the page query returns them, with sort_value for the
+// requested sort already computed
+const library = Array.from({ length: 12 }, (_, index) => ({
+  id: index + 1,
+  title: `Title ${String.fromCharCode(65 + (index % 6))}`,
+  tags: index % 3 === 0 ? 'movie,Drama' : 'movie,Comedy',
+  resolution: index % 2 === 0 ? '1920x1080' : '1280x720',
+  upload_date: `2025-01-${String(index + 1).padStart(2, '0')}`,
+  file_size: 1024 * 1024,
+  metadata: null
+}));
+
+// Keyset query over the fixture, the same way queryLibraryRows orders and
+// seeks in SQL
+const queryRows = (conditions, params, sort, order, position, limit) => {
+  const sortValue = (row) => (sort === 'title' ? row.title.toLowerCase() : row.upload_date);
+  const direction = order === 'asc' ? 1 : -1;
+
+  return library
+    .map(row => ({ ...row, sort_value: sortValue(row) }))
+    .sort((a, b) => (a.sort_value === b.sort_value ? a.id - b.id : (a.sort_value > b.sort_value ? direction : -direction)))
+    .filter(row => !position ||
+      (order === 'asc' ? row.sort_value > position.value : row.sort_value < position.value) ||
+      (row.sort_value === position.value && row.id > position.id))
+    .slice(0, limit);
+};
+
+const readAll = async (options) => {
+  const ids = [];
+  let cursor = null;
+  do {
+    const page = await mediaService.getLibraryPage(1, 'user', { ...options, cursor });
+    ids.push(...page.items.map(item => item.id));
+    cursor = page.pagination.nextCursor;
+  } while (cursor);
+  return ids;
+};
+
+describe('mediaService.getLibraryPage', () => {
+  beforeEach(() => {
+    jest.spyOn(mediaService, 'queryLibraryRows').mockImplementation(async (...args) => queryRows(...args));
+    jest.spyOn(mediaService, 'countLibraryRows').mockResolvedValue(library.length);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pages through the newest titles first', async () => {
+    const page = await mediaService.getLibraryPage(1, 'user', { limit: 5 });
+
+    expect(page.items.map(item => item.id)).toEqual([12, 11, 10, 9, 8]);
+    expect(page.pagination).toMatchObject({ sort: 'added', order: 'desc', total: 12, hasMore: true });
+    expect(await readAll({ limit: 5 })).toEqual([12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+  });
+
+  it('continues after ties on the sort value by id', async () => {
+    const ids = await readAll({ sort: 'title', limit: 4 });
+
+    expect(ids).toEqual([1, 7, 2, 8, 3, 9, 4, 10, 5, 11, 6, 12]);
+  });
+
+  it('reads past rows the filters drop to fill the page', async () => {
+    const page = await mediaService.getLibraryPage(1, 'user', { genre: 'drama', resolution: '1080p', limit: 2 });
+
+    expect(page.items.map(item => item.id)).toEqual([7, 1]);
+    expect(page.pagination).toMatchObject({ total: null, hasMore: false, nextCursor: null });
+  });
+
+  it('hands out a cursor for the rest when the scan limit is reached', async () => {
+    mediaService.libraryScanLimit = 4;
+    try {
+      const first = await mediaService.getLibraryPage(1, 'user', { genre: 'drama', limit: 3 });
+      expect(first.items.length).toBeLessThan(3);
+      expect(first.pagination.hasMore).toBe(true);
+
+      expect(await readAll({ genre: 'drama', limit: 3 })).toEqual([10, 7, 4, 1]);
+    } finally {
+      mediaService.libraryScanLimit = 2000;
+    }
+  });
+
+  it('rejects a cursor issued for another sort', async () => {
+    const { pagination } = await mediaService.getLibraryPage(1, 'user', { sort: 'title', limit: 2 });
+
+    await expect(mediaService.getLibraryPage(1, 'user', { sort: 'added', cursor: pagination.nextCursor }))
+      .rejects.toThrow('Invalid cursor');
+    await expect(mediaService.getLibraryPage(1, 'user', { cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+  });
+});
+
+describe('mediaService.getAudioTracks', () => {
+  const FileAnalyzer = require('../src/services/transcoding/fileAnalyzer');
+
+  it('labels stored audio tracks with their language and channels', async () => {
+    const audioTracks = FileAnalyzer.describeAudioStreams([
+      { index: 0, codec_type: 'video', codec_name: 'h264' },
+      { index: 1, codec_type: 'audio', codec_name: 'eac3', channels: 6, tags: { language: 'eng' }, disposition: { default: 1 } },
+      { index: 2, codec_type: 'audio', codec_name: 'aac', channels: 2, tags: { language: 'fre', title: 'Commentary' } },
+      { index: 3, codec_type: 'audio', codec_name: 'aac', channels: 1 }
+    ]);
+
+    const tracks = await mediaService.getAudioTracks({ media_type: 'video', metadata: JSON.stringify({ audioTracks }) });
+
+    expect(tracks).toEqual([
+      { index: 0, language: 'en', label: 'English - 5.1', codec: 'eac3', channels: 6, is_default: true },
+      { index: 1, language: 'fr', label: 'Commentary - Stereo', codec: 'aac', channels: 2, is_default: false },
+      { index: 2, language: null, label: 'Track 3 - Mono', codec: 'aac', channels: 1, is_default: false }
+    ]);
+  });
+
+  it('has no audio tracks for other media', async () => {
+    expect(await mediaService.getAudioTracks({ media_type: 'image' })).toEqual([]);
+  });
+});
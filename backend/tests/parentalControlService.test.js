@@ -0,0 +1,85 @@
+const mockDatabase = {
+  settings: null,
+  activeProfile: 'main',
+  query: jest.fn(async (sql) => {
+    if (sql.includes('FROM parental_controls')) return mockDatabase.settings ? [mockDatabase.settings] : [];
+    if (sql.includes('FROM user_sessions')) return [{ active_profile: mockDatabase.activeProfile }];
+    return [];
+  })
+};
+
+jest.mock('../src/utils/database', () => mockDatabase);
+jest.mock('../src/services/librarySectionService', () => ({
+  getAccessibleSectionIds: jest.fn(async () => null)
+}));
+
+const librarySectionService = require('../src/services/librarySectionService');
+const parentalControlService = require('../src/services/parentalControlService');
+
+describe('parentalControlService.getRestrictions', () => {
+  beforeEach(() => {
+    mockDatabase.settings = null;
+    mockDatabase.activeProfile = 'main';
+    librarySectionService.getAccessibleSectionIds.mockResolvedValue(null);
+  });
+
+  it('returns null when nothing is restricted', async () => {
+    expect(await parentalControlService.getRestrictions(1, 'session')).toBeNull();
+  });
+
+  it('applies account limits on the main profile', async () => {
+    mockDatabase.settings = { max_rating: 'PG-13', blocked_tags: '["horror"]', allow_unrated: 1 };
+
+    expect(await parentalControlService.getRestrictions(1, 'session')).toEqual({
+      profile: 'main',
+      sectionIds: null,
+      maxLevel: 2,
+      blockedTags: ['horror'],
+      allowUnrated: true
+    });
+  });
+
+  it('combines account and kids limits on the kids profile', async () => {
+    mockDatabase.settings = {
+      max_rating: 'PG-13',
+      blocked_tags: '["horror"]',
+      allow_unrated: 1,
+      kids_pin_hash: 'hash',
+      kids_max_rating: 'G',
+      kids_blocked_tags: '["war", "horror"]'
+    };
+    mockDatabase.activeProfile = 'kids';
+
+    expect(await parentalControlService.getRestrictions(1, 'session')).toEqual({
+      profile: 'kids',
+      sectionIds: null,
+      maxLevel: 0,
+      blockedTags: ['horror', 'war'],
+      allowUnrated: false
+    });
+  });
+
+  it('ignores a kids session once the kids profile is disabled', async () => {
+    mockDatabase.settings = { kids_pin_hash: null, kids_max_rating: 'G' };
+    mockDatabase.activeProfile = 'kids';
+
+    expect(await parentalControlService.getRestrictions(1, 'session')).toBeNull();
+  });
+
+  it('treats requests without a session as the main profile', async () => {
+    mockDatabase.settings = { kids_pin_hash: 'hash', kids_max_rating: 'G' };
+    mockDatabase.activeProfile = 'kids';
+
+    expect(await parentalControlService.getRestrictions(1)).toBeNull();
+  });
+
+  it('carries library section access', async () => {
+    librarySectionService.getAccessibleSectionIds.mockResolvedValue([2, 3]);
+
+    const restrictions = await parentalControlService.getRestrictions(1, 'session');
+    expect(restrictions.sectionIds).toEqual([2, 3]);
+    expect(restrictions.maxLevel).toBeNull();
+    expect(parentalControlService.isAllowed({ library_section_id: 4 }, restrictions)).toBe(false);
+    expect(parentalControlService.isAllowed({ library_section_id: 3 }, restrictions)).toBe(true);
+  });
+});
@@ -0,0 +1,87 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const mockUser = {
+  id: 1,
+  username: 'alice',
+  email: 'alice@example.com',
+  role: 'user',
+  is_admin: false,
+  is_active: true,
+  email_verified: true,
+  locked_until: null
+};
+const mockDatabase = {
+  user: mockUser,
+  query: jest.fn(async (sql) => {
+    if (sql.includes('FROM passkeys')) return [{ id: 5, user_id: 1, credential_id: 'cred', public_key: 'AAAA', counter: 0 }];
+    if (sql.startsWith('SELECT * FROM users')) return [mockDatabase.user];
+    return [];
+  }),
+  insert: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn()
+};
+
+jest.mock('../src/utils/database', () => mockDatabase);
+jest.mock('../src/services/emailService', () => ({}));
+jest.mock('@simplewebauthn/server', () => ({
+  generateAuthenticationOptions: jest.fn(async (options) => ({ challenge: `challenge-${Math.random()}`, ...options })),
+  verifyAuthenticationResponse: jest.fn(async () => ({ verified: true, authenticationInfo: { newCounter: 0 } }))
+}));
+
+const { generateAuthenticationOptions, verifyAuthenticationResponse } = require('@simplewebauthn/server');
+const authService = require('../src/services/authService');
+const passkeyService = require('../src/services/passkeyService');
+
+describe('loginWithPasskey', () => {
+  const response = { id: 'cred' };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.error.mockRestore();
+  });
+
+  beforeEach(() => {
+    mockDatabase.user = mockUser;
+    jest.spyOn(authService, 'createLoginSession').mockResolvedValue({ user: mockUser, token: 'token' });
+  });
+
+  afterEach(() => {
+    authService.createLoginSession.mockRestore();
+  });
+
+  it('asks for and requires user verification', async () => {
+    const { challengeToken } = await passkeyService.getAuthenticationOptions();
+    await authService.loginWithPasskey(challengeToken, response, {});
+
+    expect(generateAuthenticationOptions).toHaveBeenCalledWith(expect.objectContaining({ userVerification: 'required' }));
+    expect(verifyAuthenticationResponse).toHaveBeenCalledWith(expect.objectContaining({ requireUserVerification: true }));
+  });
+
+  it('refuses a challenge that was already used', async () => {
+    const { challengeToken } = await passkeyService.getAuthenticationOptions();
+
+    await authService.loginWithPasskey(challengeToken, response, {});
+    await expect(authService.loginWithPasskey(challengeToken, response, {})).rejects.toThrow('already been used');
+    expect(authService.createLoginSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a locked account', async () => {
+    mockDatabase.user = { ...mockUser, locked_until: new Date(Date.now() + 60000).toISOString() };
+    const { challengeToken } = await passkeyService.getAuthenticationOptions();
+
+    await expect(authService.loginWithPasskey(challengeToken, response, {})).rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' });
+    expect(authService.createLoginSession).not.toHaveBeenCalled();
+  });
+
+  it('refuses an unverified email address', async () => {
+    mockDatabase.user = { ...mockUser, email_verified: false };
+    const { challengeToken } = await passkeyService.getAuthenticationOptions();
+
+    await expect(authService.loginWithPasskey(challengeToken, response, {})).rejects.toThrow('verify your email');
+  });
+});
@@ -0,0 +1,49 @@
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(async () => [
+    { id: 1, name: 'moderator', label: 'Moderator', permissions: '["manage-users", "publish"]' },
+    { id: 2, name: 'curator', label: 'Curator', permissions: '["upload", "not-a-permission"]' }
+  ])
+}));
+
+const permissionService = require('../src/services/permissionService');
+
+describe('permissionService.assertCanAssignRole', () => {
+  const admin = { id: 1, role: 'admin' };
+  const moderator = { id: 2, role: 'moderator' };
+  const legacyAdmin = { id: 3, role: 'user', is_admin: true };
+
+  beforeAll(async () => {
+    await permissionService.ensureLoaded();
+  });
+
+  it('lets an admin assign any role', () => {
+    expect(() => permissionService.assertCanAssignRole(admin, { role: 'user' }, 'manager')).not.toThrow();
+    expect(() => permissionService.assertCanAssignRole(admin, { role: 'manager' }, 'moderator')).not.toThrow();
+  });
+
+  it('treats legacy is_admin accounts as holding every permission', () => {
+    expect(() => permissionService.assertCanAssignRole(legacyAdmin, { role: 'user' }, 'admin')).not.toThrow();
+  });
+
+  it('refuses roles that grant permissions the actor lacks', () => {
+    expect(() => permissionService.assertCanAssignRole(moderator, { role: 'user' }, 'manager'))
+      .toThrow("You can't grant permissions you don't have: upload, delete");
+  });
+
+  it('refuses taking a role away from someone who holds more', () => {
+    expect(() => permissionService.assertCanAssignRole(moderator, { role: 'manager' }, 'user'))
+      .toThrow("You can't grant permissions you don't have: upload, delete");
+  });
+
+  it('allows roles within the actor\'s own permissions', () => {
+    expect(() => permissionService.assertCanAssignRole(moderator, { role: 'user' }, 'moderator')).not.toThrow();
+  });
+
+  it('rejects unknown roles', () => {
+    expect(() => permissionService.assertCanAssignRole(admin, { role: 'user' }, 'owner')).toThrow('Unknown role');
+  });
+
+  it('drops unknown permissions stored on a custom role', () => {
+    expect(permissionService.getPermissions('curator')).toEqual(['upload']);
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../src/utils/database', () => ({ query: jest.fn(async () => []) }));
+jest.mock('../src/services/mediaService', () => ({ getHLSPackage: jest.fn(async () => null) }));
+jest.mock('../src/services/transcoding/liveTranscoder', () => ({ hasTranscodeCapacity: jest.fn(() => true) }));
+
+const mediaService = require('../src/services/mediaService');
+const liveTranscoder = require('../src/services/transcoding/liveTranscoder');
+const playbackDecisionService = require('../src/services/playbackDecisionService');
+
+const content = { id: 7, file_path: '/media/film.mkv' };
+const settings = { max_resolution: '1080p', bitrate_limit: '20' };
+const browser = {
+  containers: ['mp4', 'webm', 'hls'],
+  videoCodecs: ['avc1', 'vp9'],
+  audioCodecs: ['mp4a', 'mp3']
+};
+const source = (overrides = {}) => ({
+  container: 'mkv',
+  videoCodec: 'h264',
+  audioCodec: 'aac',
+  width: 1920,
+  height: 1080,
+  bitrate: 8000,
+  duration: 5400,
+  ...overrides
+});
+
+describe('playbackDecisionService.decide', () => {
+  beforeEach(() => {
+    mediaService.getHLSPackage.mockResolvedValue(null);
+    liveTranscoder.hasTranscodeCapacity.mockReturnValue(true);
+    jest.spyOn(playbackDecisionService, 'getTranscodedFiles').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('plays an HLS package with a rendition the client can decode', async () => {
+    jest.spyOn(playbackDecisionService, 'probe').mockResolvedValue(source({ videoCodec: 'hevc' }));
+    mediaService.getHLSPackage.mockResolvedValue({
+      renditions: [
+        { quality: '1080p', resolution: '1920x1080', codecs: 'hvc1.1.6.L120.90,mp4a.40.2' },
+        { quality: '720p_h264', resolution: '1280x720', codecs: 'avc1.64001f,mp4a.40.2' }
+      ]
+    });
+
+    const decision = await playbackDecisionService.decide(content, browser, settings);
+
+    expect(decision.method).toBe('direct_play');
+    expect(decision.protocol).toBe('hls');
+    expect(decision.path).toBe('/api/content/7/hls/master.m3u8');
+  });
+
+  it('plays the original when the client supports its container and codecs', async () => {
+    jest.spyOn(playbackDecisionService, 'probe').mockResolvedValue(source({ container: 'mp4' }));
+    mediaService.getHLSPackage.mockResolvedValue({
+      renditions: [{ quality: '1080p', resolution: '1920x1080', codecs: 'hvc1.1.6.L120.90,mp4a.40.2' }]
+    });
+
+    const decision = await playbackDecisionService.decide(content, browser, settings);
+
+    expect(decision.method).toBe('direct_play');
+    expect(decision.path).toBe('/api/content/7/stream?variant=original');
+    expect(decision.rejected[0]).toEqual({ candidate: 'hls', reason: 'Video codec hevc is not supported by the client' });
+  });
+
+  it('direct streams H.264 from a container the client can not open', async () => {
+    jest.spyOn(playbackDecisionService, 'probe').mockResolvedValue(source());
+
+    const decision = await playbackDecisionService.decide(content, browser, settings);
+
+    expect(decision.method).toBe('direct_stream');
+    expect(decision.path).toBe('/api/content/7/live/index.m3u8?mode=remux&audio=copy');
+  });
+
+  it('transcodes video the client can not decode, within the server limits', async () => {
+    jest.spyOn(playbackDecisionService, 'probe').mockResolvedValue(source({ videoCodec: 'hevc', audioCodec: 'ac3' }));
+
+    const decision = await playbackDecisionService.decide(content, browser, settings);
+
+    expect(decision.method).toBe('transcode');
+    expect(decision.path).toBe('/api/content/7/live/index.m3u8?mode=transcode&maxHeight=1080&maxBitrate=20000');
+    expect(decision.rejected.map(rejection => rejection.candidate)).toEqual(['original', 'direct_stream']);
+  });
+
+  it('lowers the limits to what the client asks for', async () => {
+    jest.spyOn(playbackDecisionService, 'probe').mockResolvedValue(source({ container: 'mp4' }));
+
+    const decision = await playbackDecisionService.decide(content, { ...browser, maxResolution: '720p', bandwidth: 3000 }, settings);
+
+    expect(decision.method).toBe('transcode');
+    expect(decision.limits).toEqual({ maxHeight: 720, maxBitrate: 3000 });
+  });
+
+  it('reports the server as busy instead of transcoding past the cap', async () => {
+    jest.spyOn(playbackDecisionService, 'probe').mockResolvedValue(source({ videoCodec: 'hevc' }));
+    liveTranscoder.hasTranscodeCapacity.mockReturnValue(false);
+
+    const decision = await playbackDecisionService.decide(content, browser, settings, 'session-1');
+
+    expect(liveTranscoder.hasTranscodeCapacity).toHaveBeenCalledWith(settings, 'session-1');
+    expect(decision.method).toBeNull();
+    expect(decision.busy).toBe(true);
+  });
+
+  it('has nothing to offer a client without HLS or a playable file', async () => {
+    jest.spyOn(playbackDecisionService, 'probe').mockResolvedValue(source({ videoCodec: 'hevc' }));
+
+    const decision = await playbackDecisionService.decide(content, { ...browser, containers: ['mp4'] }, settings);
+
+    expect(decision.method).toBeNull();
+    expect(decision.busy).toBeUndefined();
+  });
+});
@@ -0,0 +1,96 @@
+const mockDatabase = {
+  playlist: null,
+  shares: [],
+  items: [],
+  query: jest.fn(async (sql) => {
+    if (sql.startsWith('SELECT * FROM playlists')) return mockDatabase.playlist ? [mockDatabase.playlist] : [];
+    if (sql.includes('FROM playlist_shares')) return mockDatabase.shares;
+    if (sql.startsWith('SELECT media_id FROM playlist_items')) return mockDatabase.items.map(item => ({ media_id: item.id }));
+    return [];
+  }),
+  update: jest.fn(async () => ({ changes: 1 }))
+};
+
+jest.mock('../src/utils/database', () => mockDatabase);
+jest.mock('../src/services/parentalControlService', () => ({}));
+
+const playlistService = require('../src/services/playlistService');
+
+describe('playlistService access', () => {
+  beforeEach(() => {
+    mockDatabase.playlist = { id: 1, name: 'Road trip', created_by: 1, is_public: false };
+    mockDatabase.shares = [];
+  });
+
+  it('gives the owner full access', async () => {
+    expect(await playlistService.getAccessLevel(mockDatabase.playlist, 1, 'user')).toBe('owner');
+  });
+
+  it('follows the share for other users', async () => {
+    mockDatabase.shares = [{ can_edit: 0 }];
+    expect(await playlistService.getAccessLevel(mockDatabase.playlist, 2, 'user')).toBe('view');
+
+    mockDatabase.shares = [{ can_edit: 1 }];
+    expect(await playlistService.getAccessLevel(mockDatabase.playlist, 2, 'user')).toBe('edit');
+  });
+
+  it('lets anyone view a public playlist but not edit it', async () => {
+    mockDatabase.playlist.is_public = true;
+
+    await expect(playlistService.getPlaylistWithAccess(1, 2, 'user')).resolves.toMatchObject({ access: 'view' });
+    await expect(playlistService.getPlaylistWithAccess(1, 2, 'user', 'edit')).rejects.toThrow('Permission denied');
+  });
+
+  it('hides private playlists from everyone else', async () => {
+    await expect(playlistService.getPlaylistWithAccess(1, 2, 'user')).rejects.toThrow('Playlist not found');
+  });
+});
+
+describe('playlistService.reorderItems', () => {
+  beforeEach(() => {
+    mockDatabase.playlist = { id: 1, created_by: 1 };
+    mockDatabase.items = [{ id: 10 }, { id: 11 }, { id: 12 }];
+    mockDatabase.update.mockClear();
+  });
+
+  it('stores the new order', async () => {
+    await playlistService.reorderItems(1, 1, 'user', [12, 10, 11]);
+
+    const positions = mockDatabase.update.mock.calls
+      .filter(([sql]) => sql.startsWith('UPDATE playlist_items'))
+      .map(([, params]) => [params[2], params[0]]);
+    expect(positions).toEqual([['12', 0], ['10', 1], ['11', 2]]);
+  });
+
+  it('needs every item exactly once', async () => {
+    await expect(playlistService.reorderItems(1, 1, 'user', [12, 10])).rejects.toThrow('exactly once');
+    await expect(playlistService.reorderItems(1, 1, 'user', [12, 12, 10])).rejects.toThrow('exactly once');
+    await expect(playlistService.reorderItems(1, 1, 'user', [12, 10, 99])).rejects.toThrow('exactly once');
+  });
+});
+
+describe('playlistService.getPlayQueue', () => {
+  beforeEach(() => {
+    mockDatabase.playlist = { id: 1, name: 'Road trip', created_by: 1 };
+    jest.spyOn(playlistService, 'getPlaylistItems').mockResolvedValue([
+      { id: 10, media_type: 'video' },
+      { id: 11, media_type: 'image' },
+      { id: 12, media_type: 'audio' },
+      { id: 13, media_type: 'video' }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('queues playable items from the chosen one onwards', async () => {
+    const { queue } = await playlistService.getPlayQueue(1, 1, 'user', { startMediaId: '12' });
+    expect(queue.map(item => item.id)).toEqual([12, 13]);
+  });
+
+  it('shuffles every playable item', async () => {
+    const { queue } = await playlistService.getPlayQueue(1, 1, 'user', { shuffle: true });
+    expect(queue.map(item => item.id).sort()).toEqual([10, 12, 13]);
+  });
+});
@@ -0,0 +1,63 @@
+const mockDatabase = {
+  media: [],
+  history: [],
+  query: jest.fn(async (sql, params) => {
+    if (sql.includes('FROM media_content')) return mockDatabase.media;
+    if (sql.includes('FROM watch_history WHERE user_id')) return mockDatabase.history.filter(entry => entry.user_id === params[0]);
+    if (sql.includes('FROM watch_history')) return mockDatabase.history;
+    return [];
+  })
+};
+
+jest.mock('../src/utils/database', () => mockDatabase);
+
+const tvShowService = require('../src/services/tvShowService');
+const recommendationService = require('../src/services/recommendationService');
+
+describe('recommendationService.getRecommendations', () => {
+  const now = new Date().toISOString();
+  const watched = (userId, mediaId) => ({ user_id: userId, media_id: mediaId, progress_percentage: 100, completed: 1, last_watched: now });
+
+  beforeEach(() => {
+    mockDatabase.media = [
+      { id: 1, title: 'Alien', tags: 'movie,sci-fi,horror', views: 10 },
+      { id: 2, title: 'Aliens', tags: 'movie,sci-fi,action', views: 5 },
+      { id: 3, title: 'Notting Hill', tags: 'movie,romance', views: 2 },
+      { id: 4, title: 'Heat', tags: 'movie,crime', views: 0 },
+      { id: 10, title: 'Pilot', tags: 'tv,sci-fi', views: 1 },
+      { id: 11, title: 'Episode 2', tags: 'tv,sci-fi', views: 1 }
+    ];
+    mockDatabase.history = [watched(1, 1), watched(2, 1), watched(2, 3)];
+
+    jest.spyOn(tvShowService, 'getEpisodeContext').mockResolvedValue(new Map([
+      ['10', { show_id: 7, show_title: 'Space Show', season_number: 1, episode_number: 1 }],
+      ['11', { show_id: 7, show_title: 'Space Show', season_number: 1, episode_number: 2 }]
+    ]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('suggests titles like the ones the user finished', async () => {
+    const { becauseYouWatched } = await recommendationService.getRecommendations(1, 'user');
+
+    expect(becauseYouWatched).toHaveLength(1);
+    expect(becauseYouWatched[0].seed).toEqual({ key: 'media:1', title: 'Alien' });
+    expect(becauseYouWatched[0].items.map(item => item.recommendation_title)).toEqual(['Notting Hill', 'Space Show', 'Aliens']);
+    expect(becauseYouWatched[0].items[0].reason).toBe('1 viewer also watched this');
+  });
+
+  it('folds episodes into their show, starting from the first one', async () => {
+    const { becauseYouWatched } = await recommendationService.getRecommendations(1, 'user');
+    const show = becauseYouWatched[0].items.find(item => item.show_id === 7);
+
+    expect(show.id).toBe(10);
+  });
+
+  it('leaves out titles the user has seen from the popular row', async () => {
+    const { popular } = await recommendationService.getRecommendations(1, 'user');
+
+    expect(popular.map(item => item.recommendation_title)).toEqual(['Notting Hill', 'Aliens', 'Space Show']);
+  });
+});
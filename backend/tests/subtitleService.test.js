@@ -0,0 +1,45 @@
+jest.mock('../src/utils/database', () => ({ query: jest.fn(async () => []) }));
+
+const subtitleService = require('../src/services/subtitleService');
+
+describe('subtitleService.parseSidecarName', () => {
+  it('reads the language and flags after the video name', () => {
+    expect(subtitleService.parseSidecarName('Movie (2020)', 'Movie (2020).eng.forced.srt')).toEqual({
+      ext: '.srt',
+      language: { code: 'en', name: 'English' },
+      forced: true,
+      sdh: false,
+      isDefault: false
+    });
+    expect(subtitleService.parseSidecarName('Movie', 'movie.es.sdh.ass')).toMatchObject({
+      ext: '.ass',
+      language: { code: 'es', name: 'Spanish' },
+      sdh: true
+    });
+  });
+
+  it('accepts a sidecar without a language', () => {
+    expect(subtitleService.parseSidecarName('Movie', 'Movie.srt').language).toEqual({ code: null, name: null });
+  });
+
+  it('ignores files for another video or in other formats', () => {
+    expect(subtitleService.parseSidecarName('Movie', 'Movie 2.eng.srt')).toBeNull();
+    expect(subtitleService.parseSidecarName('Movie', 'Movie.eng.sub')).toBeNull();
+  });
+
+  it('accepts any name inside a subtitles folder', () => {
+    expect(subtitleService.parseSidecarName('', '2_French.srt')).toMatchObject({ language: { code: 'fr' } });
+  });
+});
+
+describe('subtitleService.buildLabel', () => {
+  it('names the track after its language and flags', () => {
+    expect(subtitleService.buildLabel({ name: 'English' }, { forced: true })).toBe('English (Forced)');
+    expect(subtitleService.buildLabel({ name: 'English' }, { sdh: true })).toBe('English (SDH)');
+    expect(subtitleService.buildLabel({ name: null })).toBe('Unknown');
+  });
+
+  it('keeps a title that already says so', () => {
+    expect(subtitleService.buildLabel({ name: 'English' }, { title: 'English CC', sdh: true })).toBe('English CC');
+  });
+});
@@ -0,0 +1,84 @@
+let mockEncoderListing = '';
+jest.mock('child_process', () => ({
+  exec: jest.fn((command, options, callback) => callback(null, { stdout: mockEncoderListing, stderr: '' }))
+}));
+
+const Transcoder = require('../src/services/transcoding/transcoder');
+
+describe('Transcoder.buildMasterPlaylist', () => {
+  const renditions = [
+    { bandwidth: 1400000, resolution: '1920x1080', codecs: 'hvc1.1.6.L120.90,mp4a.40.2', playlist: '1080p/index.m3u8', audioGroup: 'audio' },
+    { bandwidth: 1700000, resolution: '1280x720', codecs: 'avc1.64001f,mp4a.40.2', playlist: '720p_h264/index.m3u8', audioGroup: 'audio' }
+  ];
+
+  it('lists every rendition with its bandwidth, resolution and codecs', () => {
+    expect(Transcoder.buildMasterPlaylist(renditions)).toBe([
+      '#EXTM3U',
+      '#EXT-X-VERSION:7',
+      '#EXT-X-INDEPENDENT-SEGMENTS',
+      '#EXT-X-STREAM-INF:BANDWIDTH=1400000,RESOLUTION=1920x1080,CODECS="hvc1.1.6.L120.90,mp4a.40.2"',
+      '1080p/index.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=1700000,RESOLUTION=1280x720,CODECS="avc1.64001f,mp4a.40.2"',
+      '720p_h264/index.m3u8',
+      ''
+    ].join('\n'));
+  });
+
+  it('links renditions to the audio group when there are audio renditions', () => {
+    const playlist = Transcoder.buildMasterPlaylist(renditions.slice(0, 1), [
+      { groupId: 'audio', name: 'Director "Commentary"', language: 'en', isDefault: true, channels: 2, playlist: 'audio_1/index.m3u8' }
+    ]);
+
+    expect(playlist).toContain(
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="Director \'Commentary\'",LANGUAGE="en",DEFAULT=YES,AUTOSELECT=YES,CHANNELS="2",URI="audio_1/index.m3u8"'
+    );
+    expect(playlist).toContain('CODECS="hvc1.1.6.L120.90,mp4a.40.2",AUDIO="audio"');
+  });
+});
+
+describe('Transcoder.resolveEncoder', () => {
+  it('falls back to software encoding without a GPU', () => {
+    const transcoder = new Transcoder({ enableGPU: false });
+
+    expect(transcoder.resolveEncoder('hevc')).toEqual({ backend: 'software', encoder: 'libx265', hardware: false });
+    expect(transcoder.getQualityPreset('720p_h264')).toMatchObject({ videoCodec: 'libx264', encoderBackend: 'software' });
+  });
+
+  it('uses the first hardware backend that passed the probe', () => {
+    const transcoder = new Transcoder();
+    transcoder.availableEncoders = new Set(['hevc_vaapi', 'h264_qsv', 'h264_vaapi', 'libx264', 'libx265']);
+
+    expect(transcoder.resolveEncoder('hevc')).toEqual({ backend: 'vaapi', encoder: 'hevc_vaapi', hardware: true });
+    expect(transcoder.resolveEncoder('h264')).toEqual({ backend: 'qsv', encoder: 'h264_qsv', hardware: true });
+    expect(transcoder.resolveEncoder('vp9')).toEqual({ backend: 'software', encoder: 'libvpx-vp9', hardware: false });
+  });
+
+  it('assumes NVENC until the probe has run', () => {
+    expect(new Transcoder().resolveEncoder('h264').encoder).toBe('h264_nvenc');
+  });
+
+  it('rejects codecs it has no encoder for', () => {
+    expect(() => new Transcoder().resolveEncoder('av1')).toThrow('Unknown video codec: av1');
+  });
+});
+
+describe('Transcoder.probeEncoders', () => {
+  it('keeps listed software encoders and hardware encoders that pass a test encode', async () => {
+    mockEncoderListing = ['hevc_nvenc', 'hevc_qsv', 'libx265', 'h264_qsv', 'libx264']
+      .map(name => ` V....D ${name}    ${name} encoder`).join('\n');
+    const transcoder = new Transcoder();
+    jest.spyOn(transcoder, 'testEncoder').mockImplementation(async (backend) => backend === 'qsv');
+
+    expect([...await transcoder.probeEncoders()].sort()).toEqual(['h264_qsv', 'hevc_qsv', 'libx264', 'libx265']);
+    expect(transcoder.resolveEncoder('hevc').backend).toBe('qsv');
+  });
+
+  it('encodes in software when ffmpeg lists no working hardware encoder', async () => {
+    mockEncoderListing = ' V....D libx264    libx264 H.264 / AVC';
+    const transcoder = new Transcoder();
+    jest.spyOn(transcoder, 'testEncoder').mockResolvedValue(false);
+
+    expect(await transcoder.testGPUAvailability()).toBe(false);
+    expect(transcoder.getQualityPreset('1080p_h264')).toMatchObject({ videoCodec: 'libx264', hardwareEncoding: false });
+  });
+});
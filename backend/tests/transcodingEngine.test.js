@@ -0,0 +1,104 @@
+jest.mock('../src/utils/database', () => ({ query: jest.fn(async () => []) }));
+
+const TranscodingEngine = require('../src/services/transcoding/transcodingEngine');
+
+describe('TranscodingEngine pause and resume', () => {
+  let engine;
+  let job;
+
+  beforeEach(() => {
+    // Skip storage setup, encoder probing and the background timers
+    jest.spyOn(TranscodingEngine.prototype, 'initialize').mockResolvedValue();
+    engine = new TranscodingEngine({ maxConcurrentJobs: 1 });
+    job = { id: 'job-1', status: 'analyzing' };
+    jest.spyOn(engine.jobManager, 'getJob').mockImplementation(async () => job);
+    jest.spyOn(engine.jobManager, 'updateJobStatus').mockImplementation(async (jobId, status) => {
+      job.status = status;
+    });
+    jest.spyOn(engine.transcoder, 'suspendTranscoding').mockImplementation(() => {});
+    jest.spyOn(engine.transcoder, 'resumeTranscoding').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('resumes a running job in the status it was paused in', async () => {
+    await engine.pauseJob(job.id);
+    expect(job.status).toBe('paused');
+
+    jest.spyOn(engine.jobManager, 'getActiveJobs').mockResolvedValue([]);
+    expect(await engine.resumeJob(job.id)).toEqual({ success: true });
+    expect(job.status).toBe('analyzing');
+    expect(engine.transcoder.resumeTranscoding).toHaveBeenCalledWith(job.id);
+    expect(engine.pausedJobs.has(job.id)).toBe(false);
+  });
+
+  it('keeps a running job paused while every slot is taken', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await engine.pauseJob(job.id);
+
+    jest.spyOn(engine.jobManager, 'getActiveJobs').mockResolvedValue([{ id: 'job-2' }]);
+    const result = await engine.resumeJob(job.id);
+
+    expect(result.success).toBe(false);
+    expect(job.status).toBe('paused');
+    expect(engine.transcoder.resumeTranscoding).not.toHaveBeenCalled();
+    expect(engine.pausedJobs.has(job.id)).toBe(true);
+    console.error.mockRestore();
+  });
+
+  it('requeues a job paused before it started', async () => {
+    job.status = 'queued';
+    jest.spyOn(engine.jobManager, 'processQueue').mockImplementation(() => {});
+
+    await engine.pauseJob(job.id);
+    await engine.resumeJob(job.id);
+
+    expect(job.status).toBe('queued');
+    expect(engine.jobManager.processQueue).toHaveBeenCalled();
+  });
+});
+
+describe('TranscodingEngine.addCompatibleRendition', () => {
+  let engine;
+  const job = { id: 'job-1', inputPath: '/media/film.mkv', settings: {} };
+
+  beforeEach(() => {
+    jest.spyOn(TranscodingEngine.prototype, 'initialize').mockResolvedValue();
+    engine = new TranscodingEngine();
+    jest.spyOn(engine.jobManager, 'updateJobStatus').mockResolvedValue();
+    jest.spyOn(engine.storageManager, 'generateOutputPath').mockResolvedValue('/transcoded/film_720p_h264.mp4');
+    jest.spyOn(engine, 'recordTranscodingResult').mockResolvedValue();
+    jest.spyOn(engine.transcoder, 'transcodeFile').mockResolvedValue({ quality: '720p_h264' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds an H.264 rendition to a package of HEVC renditions', async () => {
+    const results = [{ quality: '1080p' }, { quality: '720p' }];
+
+    await engine.addCompatibleRendition(job, results);
+
+    expect(engine.transcoder.transcodeFile).toHaveBeenCalledWith(
+      job.inputPath, '/transcoded/film_720p_h264.mp4', '720p_h264', job.id, expect.objectContaining({ compatibility: true })
+    );
+    expect(results.map(result => result.quality)).toEqual(['1080p', '720p', '720p_h264']);
+  });
+
+  it('leaves packages that already have H.264 alone', async () => {
+    await engine.addCompatibleRendition(job, [{ quality: '1080p' }, { quality: '480p_h264' }]);
+    expect(engine.transcoder.transcodeFile).not.toHaveBeenCalled();
+  });
+
+  it('keeps the HEVC renditions when the H.264 encode fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    engine.transcoder.transcodeFile.mockRejectedValue(new Error('encoder crashed'));
+    const results = [{ quality: '1080p' }];
+
+    await engine.addCompatibleRendition(job, results);
+    expect(results).toEqual([{ quality: '1080p' }]);
+  });
+});
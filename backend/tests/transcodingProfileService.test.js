@@ -0,0 +1,68 @@
+jest.mock('../src/utils/database', () => ({ query: jest.fn(async () => []) }));
+
+const Transcoder = require('../src/services/transcoding/transcoder');
+const transcodingProfileService = require('../src/services/transcodingProfileService');
+
+describe('transcodingProfileService.validateProfileInput', () => {
+  const input = { name: 'small-hevc', videoCodec: 'hevc', crf: 26, maxHeight: 720, audioCodec: 'aac', audioBitrate: 96, container: 'mp4' };
+
+  beforeEach(() => {
+    const transcoder = new Transcoder({ enableGPU: false });
+    transcoder.availableEncoders = new Set(['libx264', 'libx265']);
+    transcoder.ffmpegEncoders = new Set(['libx264', 'libx265', 'aac']);
+    jest.spyOn(transcoder, 'probeEncoders').mockResolvedValue(transcoder.availableEncoders);
+    transcodingProfileService.transcoder = transcoder;
+  });
+
+  it('accepts a profile ffmpeg can encode', async () => {
+    await expect(transcodingProfileService.validateProfileInput(input)).resolves.toMatchObject({
+      name: 'small-hevc',
+      video_codec: 'hevc',
+      rate_control: 'crf',
+      crf: 26,
+      video_bitrate: null,
+      max_height: 720,
+      two_pass: false
+    });
+  });
+
+  it('rejects names that clash with ids or built-in presets', async () => {
+    await expect(transcodingProfileService.validateProfileInput({ ...input, name: '42' })).rejects.toThrow('at least one letter');
+    await expect(transcodingProfileService.validateProfileInput({ ...input, name: '720P' })).rejects.toThrow('built-in quality preset');
+    await expect(transcodingProfileService.validateProfileInput({ ...input, name: 'has space' })).rejects.toThrow('Profile names');
+  });
+
+  it('checks the settings fit together', async () => {
+    await expect(transcodingProfileService.validateProfileInput({ ...input, crf: 60 })).rejects.toThrow('CRF must be between 0 and 51');
+    await expect(transcodingProfileService.validateProfileInput({ ...input, container: 'webm' })).rejects.toThrow("can't be stored in webm");
+    await expect(transcodingProfileService.validateProfileInput({ ...input, twoPass: true })).rejects.toThrow('Two-pass encoding needs a target bitrate');
+    await expect(transcodingProfileService.validateProfileInput({ ...input, rateControl: 'bitrate' })).rejects.toThrow('A video bitrate is required');
+  });
+
+  it('rejects codecs this server has no encoder for', async () => {
+    await expect(transcodingProfileService.validateProfileInput({ ...input, videoCodec: 'vp9', container: 'mkv' }))
+      .rejects.toThrow('no working VP9 encoder');
+    await expect(transcodingProfileService.validateProfileInput({ ...input, audioCodec: 'libopus' }))
+      .rejects.toThrow('no libopus encoder');
+  });
+});
+
+describe('Transcoder.buildProfilePreset', () => {
+  it('turns a profile into a preset that caps the height', () => {
+    const preset = new Transcoder({ enableGPU: false }).buildProfilePreset({
+      name: 'archive', videoCodec: 'h264', rateControl: 'bitrate', videoBitrate: 4000, maxHeight: 1080,
+      audioCodec: 'copy', audioBitrate: 192, container: 'mkv', twoPass: true
+    });
+
+    expect(preset).toMatchObject({
+      videoCodec: 'libx264',
+      encoderBackend: 'software',
+      videoBitrate: '4000k',
+      resolution: null,
+      maxHeight: 1080,
+      audioBitrate: null,
+      suffix: '_archive',
+      twoPass: true
+    });
+  });
+});
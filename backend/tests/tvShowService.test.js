@@ -0,0 +1,47 @@
+jest.mock('../src/utils/database', () => ({ query: jest.fn(async () => []) }));
+
+const tvShowService = require('../src/services/tvShowService');
+
+describe('tvShowService.normalizeTitleKey', () => {
+  it('matches titles that differ in case, punctuation or a leading "The"', () => {
+    expect(tvShowService.normalizeTitleKey('The Office')).toBe('office');
+    expect(tvShowService.normalizeTitleKey('the.office')).toBe('office');
+    expect(tvShowService.normalizeTitleKey("Grey's Anatomy")).toBe('grey s anatomy');
+  });
+});
+
+describe('tvShowService.describeEpisode', () => {
+  it('parses the show, season and episode from the filename', () => {
+    expect(tvShowService.describeEpisode({ original_filename: 'Breaking.Bad.S02E05.720p.mkv', title: 'Breaking Bad S02E05' }))
+      .toEqual({ showTitle: 'Breaking Bad', seasonNumber: 2, episodeNumber: 5, title: 'Breaking Bad S02E05' });
+  });
+
+  it('prefers what the upload recorded', () => {
+    expect(tvShowService.describeEpisode({
+      original_filename: 'bb-s02e05.mkv',
+      show_title: 'Breaking Bad',
+      season_number: 3,
+      episode_number: 1,
+      episode_title: 'No Mas'
+    })).toEqual({ showTitle: 'Breaking Bad', seasonNumber: 3, episodeNumber: 1, title: 'No Mas' });
+  });
+
+  it('puts unnumbered files in season one', () => {
+    expect(tvShowService.describeEpisode({ original_filename: 'Pilot.mkv' })).toMatchObject({ seasonNumber: 1, episodeNumber: null });
+  });
+});
+
+describe('tvShowService.buildShow', () => {
+  it('nests episodes under their seasons in season order', () => {
+    const show = tvShowService.buildShow({ id: 1, title: 'Breaking Bad' }, [
+      { id: 21, season_id: 2, season_number: 2, thumbnail_path: null },
+      { id: 11, season_id: 1, season_number: 1, thumbnail_path: '/thumbs/11.jpg' },
+      { id: 22, season_id: 2, season_number: 2, thumbnail_path: null }
+    ]);
+
+    expect(show.seasons.map(season => [season.seasonNumber, season.episodes.map(episode => episode.id)]))
+      .toEqual([[1, [11]], [2, [21, 22]]]);
+    expect(show.totalEpisodes).toBe(3);
+    expect(show.thumbnail).toBe('/thumbs/11.jpg');
+  });
+});
@@ -0,0 +1,46 @@
+// Applies the conditional last-step update the way the database would
+const mockDatabase = {
+  lastStep: null,
+  query: jest.fn(async () => []),
+  update: jest.fn(async (sql, params) => {
+    const [step] = params;
+    if (mockDatabase.lastStep !== null && mockDatabase.lastStep >= step) return { changes: 0 };
+    mockDatabase.lastStep = step;
+    return { changes: 1 };
+  })
+};
+
+jest.mock('../src/utils/database', () => mockDatabase);
+jest.mock('../src/services/emailService', () => ({}));
+
+const twoFactorService = require('../src/services/twoFactorService');
+
+describe('twoFactorService.verifyTotp', () => {
+  const secret = twoFactorService.generateSecret();
+  const user = () => ({ id: 1, two_factor_enabled: true, two_factor_secret: secret, two_factor_last_step: mockDatabase.lastStep });
+  const currentCode = () => twoFactorService.generateCode(secret, twoFactorService.currentStep());
+
+  beforeEach(() => {
+    mockDatabase.lastStep = null;
+  });
+
+  it('accepts the current code once', async () => {
+    expect(await twoFactorService.verifyTotp(user(), currentCode())).toBe(true);
+    expect(await twoFactorService.verifyTotp(user(), currentCode())).toBe(false);
+  });
+
+  it('accepts a code only once when two requests race with it', async () => {
+    const stale = user();
+    const results = await Promise.all([
+      twoFactorService.verifyTotp(stale, currentCode()),
+      twoFactorService.verifyTotp(stale, currentCode())
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  it('rejects a wrong code', async () => {
+    const wrong = String((parseInt(currentCode(), 10) + 1) % 1000000).padStart(6, '0');
+    expect(await twoFactorService.verifyTotp(user(), wrong)).toBe(false);
+  });
+});
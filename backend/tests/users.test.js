@@ -0,0 +1,92 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+const mockUser = {
+  id: 1,
+  username: 'alice',
+  email: 'alice@example.com',
+  role: 'user',
+  is_admin: false,
+  is_active: true,
+  token_version: null
+};
+const mockDatabase = {
+  activeProfile: 'main',
+  query: jest.fn(async (sql) => {
+    if (sql.startsWith('SELECT * FROM users')) return [mockUser];
+    if (sql.includes('FROM user_sessions')) return [{ active_profile: mockDatabase.activeProfile }];
+    return [];
+  }),
+  insert: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn()
+};
+
+jest.mock('../src/utils/database', () => mockDatabase);
+jest.mock('../src/services/emailService', () => ({}));
+jest.mock('../src/middleware/securityLogger', () => ({
+  logProfileUpdate: jest.fn(),
+  logSessionLogout: jest.fn()
+}));
+
+const authService = require('../src/services/authService');
+const sessionService = require('../src/services/sessionService');
+const usersRouter = require('../src/routes/users');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', usersRouter);
+
+const token = () => authService.generateToken(mockUser, 'web');
+
+describe('account changes from the kids profile', () => {
+  beforeEach(() => {
+    mockDatabase.activeProfile = 'main';
+    jest.spyOn(sessionService, 'getSessionById').mockResolvedValue({ session_id: 'web', user_id: mockUser.id });
+    jest.spyOn(sessionService, 'updateSessionActivity').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses an email change', async () => {
+    mockDatabase.activeProfile = 'kids';
+    const updateUserProfile = jest.spyOn(authService, 'updateUserProfile');
+
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', `Bearer ${token()}`)
+      .send({ email: 'child@example.com' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('KIDS_PROFILE_ACTIVE');
+    expect(updateUserProfile).not.toHaveBeenCalled();
+  });
+
+  it('refuses signing out another session', async () => {
+    mockDatabase.activeProfile = 'kids';
+    const logoutSession = jest.spyOn(authService, 'logoutSession');
+
+    const res = await request(app)
+      .delete('/api/users/sessions/other')
+      .set('Authorization', `Bearer ${token()}`);
+
+    expect(res.status).toBe(403);
+    expect(logoutSession).not.toHaveBeenCalled();
+  });
+
+  it('allows an email change from the main profile', async () => {
+    const updateUserProfile = jest.spyOn(authService, 'updateUserProfile').mockResolvedValue({ ...mockUser, email: 'new@example.com' });
+
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', `Bearer ${token()}`)
+      .send({ email: 'new@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(updateUserProfile).toHaveBeenCalledWith(mockUser.id, { email: 'new@example.com' });
+  });
+});
@@ -0,0 +1,113 @@
+const mockDatabase = {
+  history: [],
+  flags: [],
+  query: jest.fn(async (sql) => {
+    if (sql.includes('FROM watch_history')) return mockDatabase.history;
+    if (sql.includes('FROM watched_items')) return mockDatabase.flags;
+    return [];
+  }),
+  insert: jest.fn(async () => ({ changes: 1 })),
+  delete: jest.fn(async () => ({ changes: 1 }))
+};
+
+jest.mock('../src/utils/database', () => mockDatabase);
+
+const tvShowService = require('../src/services/tvShowService');
+const watchProgressService = require('../src/services/watchProgressService');
+
+describe('watchProgressService.getContinueWatching', () => {
+  const media = {
+    1: { id: 1, title: 'Movie' },
+    10: { id: 10, title: 'Pilot' },
+    20: { id: 20, title: 'Other show S01E01' }
+  };
+
+  beforeEach(() => {
+    mockDatabase.flags = [];
+    jest.spyOn(watchProgressService, 'getMediaByIds').mockImplementation(async (ids) =>
+      new Map(ids.filter(id => media[id]).map(id => [String(id), media[id]])));
+    jest.spyOn(tvShowService, 'getEpisodeContext').mockResolvedValue(new Map([
+      ['10', { show_id: 1, show_title: 'Show' }],
+      ['20', { show_id: 2, show_title: 'Other show' }]
+    ]));
+    jest.spyOn(tvShowService, 'getNextEpisode').mockImplementation(async (mediaId) =>
+      (String(mediaId) === '10' ? { id: 11, title: 'Episode 2' } : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('resumes items in progress and skips ones barely started', async () => {
+    mockDatabase.history = [
+      { media_id: 1, current_time: 600, duration: 6000, progress_percentage: 10 },
+      { media_id: 20, current_time: 5, duration: 1200, progress_percentage: 0.4 }
+    ];
+
+    const items = await watchProgressService.getContinueWatching(1, 'user');
+    expect(items).toEqual([expect.objectContaining({ id: 1, reason: 'resume' })]);
+    expect(items[0].progress.currentTime).toBe(600);
+  });
+
+  it('offers the next episode once one is finished', async () => {
+    mockDatabase.history = [{ media_id: 10, current_time: 1200, duration: 1200, progress_percentage: 100, completed: 1 }];
+
+    expect(await watchProgressService.getContinueWatching(1, 'user'))
+      .toEqual([expect.objectContaining({ id: 11, show_title: 'Show', reason: 'next_episode' })]);
+  });
+
+  it('drops the next episode when it was marked watched', async () => {
+    mockDatabase.history = [{ media_id: 10, current_time: 1200, duration: 1200, progress_percentage: 100, completed: 1 }];
+    mockDatabase.flags = [{ media_id: 11 }];
+
+    expect(await watchProgressService.getContinueWatching(1, 'user')).toEqual([]);
+  });
+
+  it('lists a show only once, at its most recent episode', async () => {
+    mockDatabase.history = [
+      { media_id: 10, current_time: 300, duration: 1200, progress_percentage: 25 },
+      { media_id: 10, current_time: 1200, duration: 1200, progress_percentage: 100, completed: 1 }
+    ];
+
+    const items = await watchProgressService.getContinueWatching(1, 'user');
+    expect(items.map(item => [item.id, item.reason])).toEqual([[10, 'resume']]);
+  });
+});
+
+describe('watchProgressService.setWatched', () => {
+  beforeEach(() => {
+    mockDatabase.insert.mockClear();
+    mockDatabase.delete.mockClear();
+  });
+
+  it('flags each item as watched', async () => {
+    expect(await watchProgressService.setWatched(1, [10, 11], true)).toBe(2);
+    expect(mockDatabase.insert.mock.calls.map(([, params]) => params.slice(0, 2))).toEqual([[1, 10], [1, 11]]);
+    expect(mockDatabase.delete).not.toHaveBeenCalled();
+  });
+
+  it('clears the flag and the progress when marked unwatched', async () => {
+    await watchProgressService.setWatched(1, [10, 11], false);
+
+    expect(mockDatabase.delete.mock.calls.map(([sql]) => sql.split(' ')[2])).toEqual(['watched_items', 'watch_history']);
+    expect(mockDatabase.delete.mock.calls[0][1]).toEqual([1, 10, 11]);
+  });
+});
+
+describe('watchProgressService.applyToShow', () => {
+  it('counts watched episodes per season and for the show', () => {
+    const show = watchProgressService.applyToShow({
+      id: 1,
+      totalEpisodes: 3,
+      seasons: [
+        { seasonNumber: 1, episodes: [{ id: 10 }, { id: 11 }] },
+        { seasonNumber: 2, episodes: [{ id: 20 }] }
+      ]
+    }, new Set(['10', '11']));
+
+    expect(show.seasons.map(season => [season.watchedCount, season.watched])).toEqual([[2, true], [0, false]]);
+    expect(show.seasons[1].episodes[0].watched).toBe(false);
+    expect(show.watchedEpisodes).toBe(2);
+    expect(show.watched).toBe(false);
+  });
+});
@@ -15,6 +15,8 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import ForgotPassword from './pages/ForgotPassword';
 import ResetPassword from './pages/ResetPassword';
+import ResetTwoFactor from './pages/ResetTwoFactor';
+import Activate from './pages/Activate';
 import ChangePassword from './pages/ChangePassword';
 import Movies from './pages/Movies';
 import TVShows from './pages/TVShows';
@@ -23,6 +25,7 @@ import Profile from './pages/Profile';
 import Admin from './pages/Admin';
 import ContentManager from './pages/ContentManager';
 import WatchHistory from './pages/WatchHistory';
+import Playlists from './pages/Playlists';
 import NotFound from './pages/NotFound';
 import ServerError from './pages/ServerError';
 import ClientError from './pages/ClientError';
@@ -104,6 +107,7 @@ function App() {
             <Route path="/register" element={<Register />} />
                       <Route path="/forgot-password" element={<ForgotPassword />} />
           <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/reset-two-factor" element={<ResetTwoFactor />} />
           <Route path="/change-password" element={<ChangePassword />} />
             
             {/* Protected routes */}
@@ -141,6 +145,14 @@ function App() {
               </ProtectedRoute>
             } />
             
+            <Route path="/activate" element={
+              <ProtectedRoute>
+                <Layout>
+                  <Activate />
+                </Layout>
+              </ProtectedRoute>
+            } />
+            
             <Route path="/admin" element={
               <AdminRoute>
                 <Layout>
@@ -165,6 +177,14 @@ function App() {
               </ProtectedRoute>
             } />
             
+            <Route path="/playlists" element={
+              <ProtectedRoute>
+                <Layout>
+                  <Playlists />
+                </Layout>
+              </ProtectedRoute>
+            } />
+            
             {/* 4xx Client Error routes */}
             <Route path="/400" element={<ClientError />} />
             <Route path="/401" element={<ClientError />} />
@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import { Navigate } from 'react-router-dom';
 import useAuth from '../hooks/useAuth';
+import { canAccessAdmin } from '../utils/permissions';
 
 const ForbiddenErrorPage = () => {
   const [particles, setParticles] = useState([]);
@@ -186,7 +187,7 @@ const AdminRoute = ({ children }) => {
     return <Navigate to="/login" replace />;
   }
 
-  if (!user?.is_admin) {
+  if (!canAccessAdmin(user)) {
     return <ForbiddenErrorPage />;
   }
 
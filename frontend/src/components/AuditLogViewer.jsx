@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { action: '', actor: '', targetType: '', search: '', from: '', to: '' };
+
+const authHeaders = () => ({
+  'Authorization': `Bearer ${sessionStorage.getItem('token')}`
+});
+
+// Date inputs give a day; the end of the range should include that whole day
+const buildParams = (filters) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!value) return;
+    if (key === 'from') params.set(key, new Date(`${value}T00:00:00`).toISOString());
+    else if (key === 'to') params.set(key, new Date(`${value}T23:59:59.999`).toISOString());
+    else params.set(key, value);
+  });
+  return params;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+// Read-only history of administrative actions with filters and export
+const AuditLogViewer = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(0);
+  const [expandedId, setExpandedId] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['audit-log', filters, page],
+    queryFn: async () => {
+      const params = buildParams(filters);
+      params.set('limit', PAGE_SIZE);
+      params.set('offset', page * PAGE_SIZE);
+      const response = await fetch(`/api/admin/audit-log?${params}`, { headers: authHeaders() });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to fetch audit log');
+      return result;
+    },
+    keepPreviousData: true
+  });
+
+  const entries = data?.entries || [];
+  const total = data?.total || 0;
+  const pageCount = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  const updateFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(0);
+  };
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      const params = buildParams(filters);
+      params.set('format', format);
+      const response = await fetch(`/api/admin/audit-log/export?${params}`, { headers: authHeaders() });
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error || 'Failed to export audit log');
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (exportError) {
+      alert(`❌ ${exportError.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Audit Log</h2>
+          <p className="text-slate-400 text-sm">
+            Role changes, account deletions, file removals and other administrative actions. Entries can't be edited or removed.
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => handleExport('csv')}
+            disabled={exporting}
+            className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-md font-medium text-sm disabled:opacity-50"
+          >
+            ⬇️ CSV
+          </button>
+          <button
+            onClick={() => handleExport('json')}
+            disabled={exporting}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md font-medium text-sm disabled:opacity-50"
+          >
+            ⬇️ JSON
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-gray-800 rounded-lg p-4 mb-6 grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-3">
+        <select
+          value={filters.action}
+          onChange={(e) => updateFilter('action', e.target.value)}
+          className="px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white text-sm"
+        >
+          <option value="">All actions</option>
+          {(data?.actions || []).map(action => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <select
+          value={filters.targetType}
+          onChange={(e) => updateFilter('targetType', e.target.value)}
+          className="px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white text-sm"
+        >
+          <option value="">All targets</option>
+          {(data?.targetTypes || []).map(targetType => (
+            <option key={targetType} value={targetType}>{targetType}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={filters.actor}
+          onChange={(e) => updateFilter('actor', e.target.value)}
+          placeholder="Actor username"
+          className="px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white text-sm"
+        />
+        <input
+          type="text"
+          value={filters.search}
+          onChange={(e) => updateFilter('search', e.target.value)}
+          placeholder="Search target or IP"
+          className="px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white text-sm"
+        />
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => updateFilter('from', e.target.value)}
+          title="From"
+          className="px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white text-sm"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => updateFilter('to', e.target.value)}
+          title="To"
+          className="px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white text-sm"
+        />
+      </div>
+
+      {error ? (
+        <div className="card-modern p-6 text-center text-red-400">{error.message}</div>
+      ) : isLoading ? (
+        <div className="text-center py-8 text-slate-400">Loading audit log...</div>
+      ) : entries.length === 0 ? (
+        <div className="card-modern p-6 text-center text-slate-400">No audit entries match these filters.</div>
+      ) : (
+        <div className="bg-gray-800 rounded-lg overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-700">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">When</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Actor</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Action</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Target</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">IP</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {entries.map(entry => (
+                <React.Fragment key={entry.id}>
+                  <tr
+                    onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                    className="hover:bg-gray-700 cursor-pointer"
+                  >
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-300">
+                      {new Date(entry.createdAt).toLocaleString()}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-white">
+                      {entry.actor.username || (entry.actor.id ? `User #${entry.actor.id}` : 'System')}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <span className="px-2 py-0.5 rounded-full text-xs bg-amber-500/20 text-amber-300 border border-amber-500/30 font-mono">
+                        {entry.action}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-300">
+                      {entry.target.type && <span className="text-gray-500">{entry.target.type}: </span>}
+                      {entry.target.label || entry.target.id || '—'}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-mono text-gray-400">{entry.ipAddress || '—'}</td>
+                  </tr>
+                  {expandedId === entry.id && (
+                    <tr className="bg-gray-900/50">
+                      <td colSpan={5} className="px-4 py-3">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                          <div>
+                            <div className="text-xs text-gray-400 mb-1">Before</div>
+                            <pre className="text-xs text-gray-200 bg-gray-900 rounded p-2 overflow-auto max-h-64">{formatValue(entry.before)}</pre>
+                          </div>
+                          <div>
+                            <div className="text-xs text-gray-400 mb-1">After</div>
+                            <pre className="text-xs text-gray-200 bg-gray-900 rounded p-2 overflow-auto max-h-64">{formatValue(entry.after)}</pre>
+                          </div>
+                        </div>
+                        {entry.userAgent && (
+                          <div className="text-xs text-gray-500 mt-2 break-all">{entry.userAgent}</div>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mt-4 text-sm text-slate-400">
+        <span>{total} entr{total === 1 ? 'y' : 'ies'}</span>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page === 0}
+            className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 text-white rounded-lg text-xs disabled:opacity-50"
+          >
+            ← Newer
+          </button>
+          <span>Page {page + 1} of {pageCount}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page + 1 >= pageCount}
+            className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 text-white rounded-lg text-xs disabled:opacity-50"
+          >
+            Older →
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLogViewer;
@@ -3,6 +3,8 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useSocket } from '../hooks/useSocket';
 import { formatFileSize, formatDuration } from '../utils/formatters';
 
+const PRIORITY_LABELS = { '-1': 'Low', '0': 'Normal', '1': 'High', '2': 'Urgent' };
+
 const EnhancedTranscodingManager = () => {
   const { isConnected, transcodingProgress } = useSocket();
   const queryClient = useQueryClient();
@@ -12,6 +14,8 @@ const EnhancedTranscodingManager = () => {
   const [performanceStats, setPerformanceStats] = useState(null);
   const [qualityPresets, setQualityPresets] = useState({});
   const [gpuStatus, setGpuStatus] = useState(null);
+  // Schedule being edited, null while showing the saved one
+  const [scheduleDraft, setScheduleDraft] = useState(null);
 
   // Fetch enhanced transcoding status using working API
   const { data: transcodingStatus, isLoading: statusLoading } = useQuery({
@@ -73,11 +77,20 @@ const EnhancedTranscodingManager = () => {
     refetchInterval: 10000 // Refresh every 10 seconds
   });
 
-  // Fetch quality presets (using working endpoint)
+  // Fetch quality presets with the encoder each one resolves to on the server
   const { data: presetsData } = useQuery({
     queryKey: ['quality-presets'],
     queryFn: async () => {
-      // Return default quality presets since the v2 endpoint isn't working
+      const token = sessionStorage.getItem('token');
+      const response = await fetch('/api/transcoding-v2/quality-presets', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (response.ok) {
+        const data = await response.json();
+        if (data.presets) return data.presets;
+      }
+
+      // Default quality presets while the v2 engine isn't running
       return {
         "1080p": {
           "resolution": "1920x1080",
@@ -173,7 +186,8 @@ const EnhancedTranscodingManager = () => {
         },
         body: JSON.stringify({ 
           files: [filePath],
-          qualities: qualities || ['1080p', '720p']
+          qualities: qualities || ['1080p', '720p'],
+          priority
         })
       });
       if (!response.ok) throw new Error('Failed to add to queue');
@@ -201,6 +215,46 @@ const EnhancedTranscodingManager = () => {
     }
   });
 
+  // Queue order, pause state and schedule windows
+  const { data: queueControl } = useQuery({
+    queryKey: ['transcoding-queue'],
+    queryFn: async () => {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch('/api/storage/transcoding/queue', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) throw new Error('Failed to fetch transcoding queue');
+      return response.json();
+    },
+    refetchInterval: 3000
+  });
+
+  // Pause/resume, priority, order and schedule changes
+  const queueMutation = useMutation({
+    mutationFn: async ({ url, method = 'POST', body }) => {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to update the queue');
+      return data;
+    },
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries(['transcoding-queue']);
+      queryClient.invalidateQueries(['enhanced-transcoding-status']);
+      if (variables.url.endsWith('/schedule')) setScheduleDraft(null);
+    },
+    onError: (error) => {
+      alert(`❌ ${error.message}`);
+    }
+  });
+
   useEffect(() => {
     if (systemInfoData) setSystemInfo(systemInfoData);
     if (performanceData) setPerformanceStats(performanceData);
@@ -224,6 +278,38 @@ const EnhancedTranscodingManager = () => {
     });
   };
 
+  const queueJobs = queueControl?.jobs || [];
+  // Jobs that haven't started, in run order; only these can be reordered
+  const waitingJobs = queueJobs.filter(job => job.status === 'queued' || (job.status === 'paused' && !job.suspended));
+  const schedule = scheduleDraft || queueControl?.schedule;
+
+  // Swap with the neighbour; priority outranks position, so only within a priority
+  const handleMoveJob = (job, offset) => {
+    const index = waitingJobs.findIndex(waiting => waiting.id === job.id);
+    const neighbour = waitingJobs[index + offset];
+    if (!neighbour || neighbour.priority !== job.priority) return;
+
+    const jobIds = waitingJobs.map(waiting => waiting.id);
+    [jobIds[index], jobIds[index + offset]] = [jobIds[index + offset], jobIds[index]];
+    queueMutation.mutate({ url: '/api/storage/transcoding/queue/order', method: 'PUT', body: { jobIds } });
+  };
+
+  const updateScheduleWindow = (index, field, value) => {
+    setScheduleDraft({
+      ...schedule,
+      windows: schedule.windows.map((window, i) => (i === index ? { ...window, [field]: value } : window))
+    });
+  };
+
+  const getJobState = (job) => {
+    if (job.suspended) return { label: 'Paused (running)', className: 'bg-yellow-900/50 text-yellow-400' };
+    if (job.status === 'paused') return { label: 'Paused', className: 'bg-yellow-900/50 text-yellow-400' };
+    if (job.status === 'analyzing' || job.status === 'transcoding') return { label: `Running ${Math.round(job.progress || 0)}%`, className: 'bg-blue-900/50 text-blue-400' };
+    if (job.waitingForWindow) return { label: 'Waiting for window', className: 'bg-purple-900/50 text-purple-400' };
+    if (queueControl?.paused) return { label: 'Queue paused', className: 'bg-slate-600/50 text-slate-300' };
+    return { label: 'Queued', className: 'bg-slate-600/50 text-slate-300' };
+  };
+
   const handleTestGPU = () => {
     testGPUMutation.mutate();
   };
@@ -361,7 +447,14 @@ const EnhancedTranscodingManager = () => {
               <div key={name} className="bg-slate-700/50 rounded-lg p-4">
                 <h4 className="font-semibold text-white mb-2">{name}</h4>
                 <div className="space-y-1 text-sm">
-                  <p className="text-slate-400">Video: {preset.videoCodec}</p>
+                  <p className="text-slate-400">
+                    Video: {preset.videoCodec}
+                    {preset.encoderBackend && (
+                      <span className={preset.hardwareEncoding ? 'text-green-400' : 'text-yellow-400'}>
+                        {' '}({preset.hardwareEncoding ? preset.encoderBackend.toUpperCase() : 'CPU'})
+                      </span>
+                    )}
+                  </p>
                   <p className="text-slate-400">Audio: {preset.audioCodec}</p>
                   <p className="text-slate-400">Bitrate: {preset.videoBitrate}</p>
                   <p className="text-slate-400">Resolution: {preset.resolution}</p>
@@ -440,6 +533,193 @@ const EnhancedTranscodingManager = () => {
         </div>
       </div>
 
+      {/* Queue Control */}
+      {queueControl && (
+        <div className="bg-slate-800/50 border border-slate-700/50 rounded-lg p-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-white">🗂️ Queue Control</h3>
+              <p className="text-slate-400 text-sm">
+                {queueControl.paused
+                  ? 'Queue paused: no new jobs start, running jobs finish.'
+                  : `Running up to ${queueControl.maxConcurrentJobs || 2} jobs at a time.`}
+                {queueControl.schedule?.windows?.length > 0 && queueControl.schedule.withinWindow === false && queueControl.schedule.nextWindowStart && (
+                  <> Heavy jobs wait until {new Date(queueControl.schedule.nextWindowStart).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.</>
+                )}
+              </p>
+            </div>
+            <button
+              onClick={() => queueMutation.mutate({ url: `/api/storage/transcoding/queue/${queueControl.paused ? 'resume' : 'pause'}` })}
+              disabled={!queueControl.available || queueMutation.isLoading}
+              className={`px-4 py-2 rounded-lg text-sm text-white transition-colors disabled:opacity-50 ${
+                queueControl.paused ? 'bg-green-600 hover:bg-green-500' : 'bg-yellow-600 hover:bg-yellow-500'
+              }`}
+            >
+              {queueControl.paused ? '▶️ Resume Queue' : '⏸️ Pause Queue'}
+            </button>
+          </div>
+
+          {!queueControl.available && (
+            <div className="mb-4 p-3 bg-slate-700/50 rounded-lg text-slate-400 text-sm">
+              The transcoding engine is not running. Saved queue settings apply when it starts.
+            </div>
+          )}
+
+          {/* Schedule windows */}
+          {schedule && (
+            <div className="mb-4 p-4 bg-slate-700/50 rounded-lg">
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-semibold text-white text-sm">🕐 Heavy Job Windows</h4>
+                {queueControl.schedule?.windows?.length > 0 && queueControl.schedule.withinWindow !== null && (
+                  <span className={`text-xs px-2 py-1 rounded ${queueControl.schedule.withinWindow ? 'bg-green-900/50 text-green-400' : 'bg-purple-900/50 text-purple-400'}`}>
+                    {queueControl.schedule.withinWindow ? 'Window open' : 'Outside windows'}
+                  </span>
+                )}
+              </div>
+              <p className="text-slate-400 text-xs mb-3">
+                Jobs for files of {schedule.heavyJobMinSizeMB > 0 ? `${schedule.heavyJobMinSizeMB} MB or more` : 'any size'} only start inside these windows (server time). Without windows they run at any time.
+              </p>
+              <div className="space-y-2 mb-3">
+                {schedule.windows.map((window, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <input
+                      type="time"
+                      value={window.start}
+                      onChange={(e) => updateScheduleWindow(index, 'start', e.target.value)}
+                      className="px-2 py-1 bg-slate-600 border border-slate-500 rounded text-white text-sm"
+                    />
+                    <span className="text-slate-400 text-sm">to</span>
+                    <input
+                      type="time"
+                      value={window.end}
+                      onChange={(e) => updateScheduleWindow(index, 'end', e.target.value)}
+                      className="px-2 py-1 bg-slate-600 border border-slate-500 rounded text-white text-sm"
+                    />
+                    <button
+                      onClick={() => setScheduleDraft({ ...schedule, windows: schedule.windows.filter((_, i) => i !== index) })}
+                      className="text-red-400 hover:text-red-300 p-1 text-sm"
+                      title="Remove window"
+                    >
+                      🗑️
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <button
+                  onClick={() => setScheduleDraft({ ...schedule, windows: [...schedule.windows, { start: '01:00', end: '07:00' }] })}
+                  className="px-3 py-1.5 bg-slate-600 hover:bg-slate-500 text-white rounded-lg text-xs"
+                >
+                  ➕ Add Window
+                </button>
+                <label className="text-slate-400 text-xs flex items-center gap-2">
+                  Heavy from
+                  <input
+                    type="number"
+                    min="0"
+                    value={schedule.heavyJobMinSizeMB}
+                    onChange={(e) => setScheduleDraft({ ...schedule, heavyJobMinSizeMB: e.target.value === '' ? '' : Number(e.target.value) })}
+                    className="w-24 px-2 py-1 bg-slate-600 border border-slate-500 rounded text-white text-sm"
+                  />
+                  MB
+                </label>
+                {scheduleDraft && (
+                  <>
+                    <button
+                      onClick={() => queueMutation.mutate({
+                        url: '/api/storage/transcoding/schedule',
+                        method: 'PUT',
+                        body: { windows: scheduleDraft.windows, heavyJobMinSizeMB: Number(scheduleDraft.heavyJobMinSizeMB) || 0 }
+                      })}
+                      disabled={!queueControl.available || queueMutation.isLoading}
+                      className="px-3 py-1.5 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 text-white rounded-lg text-xs"
+                    >
+                      Save Schedule
+                    </button>
+                    <button
+                      onClick={() => setScheduleDraft(null)}
+                      className="px-3 py-1.5 bg-slate-600 hover:bg-slate-500 text-white rounded-lg text-xs"
+                    >
+                      Cancel
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Jobs in run order */}
+          {queueJobs.length === 0 ? (
+            <p className="text-slate-400 text-sm">No queued or running jobs.</p>
+          ) : (
+            <div className="space-y-2">
+              {queueJobs.map(job => {
+                const state = getJobState(job);
+                const waitingIndex = waitingJobs.findIndex(waiting => waiting.id === job.id);
+                const canMoveUp = waitingIndex > 0 && waitingJobs[waitingIndex - 1].priority === job.priority;
+                const canMoveDown = waitingIndex !== -1 && waitingIndex < waitingJobs.length - 1 && waitingJobs[waitingIndex + 1].priority === job.priority;
+                const isRunning = job.status === 'analyzing' || job.status === 'transcoding';
+
+                return (
+                  <div key={job.id} className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 p-3 bg-slate-700/50 rounded-lg">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-white text-sm font-medium truncate">{job.inputPath?.split('/').pop()}</p>
+                      <p className="text-slate-400 text-xs">
+                        {job.profile ? `Profile: ${job.profile}` : `Quality: ${job.qualities?.join(', ')}`}
+                        {' • '}{formatFileSize(job.inputSize || 0)}
+                        {job.heavy && ' • Heavy'}
+                        {' • '}Score {job.analysisScore || 0}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2 flex-shrink-0">
+                      <span className={`text-xs px-2 py-1 rounded ${state.className}`}>{state.label}</span>
+                      <select
+                        value={job.priority}
+                        onChange={(e) => queueMutation.mutate({
+                          url: `/api/storage/transcoding/jobs/${job.id}/priority`,
+                          method: 'PUT',
+                          body: { priority: Number(e.target.value) }
+                        })}
+                        disabled={isRunning || queueMutation.isLoading}
+                        className="px-2 py-1 bg-slate-600 border border-slate-500 rounded text-white text-xs disabled:opacity-50"
+                      >
+                        {Object.entries(queueControl.priorityLevels || {}).map(([level, value]) => (
+                          <option key={level} value={value}>{PRIORITY_LABELS[value] || level}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => handleMoveJob(job, -1)}
+                        disabled={!canMoveUp || queueMutation.isLoading}
+                        className="px-2 py-1 bg-slate-600 hover:bg-slate-500 disabled:opacity-30 text-white rounded text-xs"
+                        title="Run earlier"
+                      >
+                        ⬆️
+                      </button>
+                      <button
+                        onClick={() => handleMoveJob(job, 1)}
+                        disabled={!canMoveDown || queueMutation.isLoading}
+                        className="px-2 py-1 bg-slate-600 hover:bg-slate-500 disabled:opacity-30 text-white rounded text-xs"
+                        title="Run later"
+                      >
+                        ⬇️
+                      </button>
+                      <button
+                        onClick={() => queueMutation.mutate({ url: `/api/storage/transcoding/jobs/${job.id}/${job.status === 'paused' ? 'resume' : 'pause'}` })}
+                        disabled={queueMutation.isLoading}
+                        className="px-2 py-1 bg-slate-600 hover:bg-slate-500 disabled:opacity-50 text-white rounded text-xs"
+                        title={job.status === 'paused' ? 'Resume job' : 'Pause job'}
+                      >
+                        {job.status === 'paused' ? '▶️' : '⏸️'}
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Active Jobs */}
       {transcodingStatus?.queue?.activeJobs && transcodingStatus.queue.activeJobs.length > 0 && (
         <div className="bg-slate-800/50 border border-slate-700/50 rounded-lg p-6">
@@ -1,10 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { authManager } from '../utils/authManager';
+import { canAccessAdmin, canManageContent } from '../utils/permissions';
 
 const Layout = ({ children }) => {
   const [authState, setAuthState] = useState(authManager.getAuthState());
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+  const [activeProfile, setActiveProfile] = useState('main');
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -35,6 +37,16 @@ const Layout = ({ children }) => {
     };
   }, [navigate]);
 
+  // Show when this session is on the PIN-protected kids profile
+  useEffect(() => {
+    if (!authState.isAuthenticated) return;
+
+    authManager.apiRequest('/api/users/parental-controls')
+      .then(response => response.ok ? response.json() : null)
+      .then(data => setActiveProfile(data?.activeProfile || 'main'))
+      .catch(() => setActiveProfile('main'));
+  }, [authState.isAuthenticated]);
+
   const handleLogout = () => {
     authManager.logout();
     navigate('/login');
@@ -97,7 +109,13 @@ const Layout = ({ children }) => {
                     <span>History</span>
                   </span>
                 </NavLink>
-                {(authState.user?.role === 'admin' || authState.user?.role === 'manager' || authState.user?.is_admin) && (
+                <NavLink to="/playlists">
+                  <span className="flex items-center space-x-2">
+                    <span>🎵</span>
+                    <span>Playlists</span>
+                  </span>
+                </NavLink>
+                {canManageContent(authState.user) && (
                   <NavLink to="/content">
                     <span className="flex items-center space-x-2">
                       <span>📁</span>
@@ -105,7 +123,7 @@ const Layout = ({ children }) => {
                     </span>
                   </NavLink>
                 )}
-                {(authState.user?.is_admin || authState.user?.role === 'admin') && (
+                {canAccessAdmin(authState.user) && (
                   <NavLink to="/admin">
                     <span className="flex items-center space-x-2">
                       <span>⚙️</span>
@@ -119,6 +137,15 @@ const Layout = ({ children }) => {
             <div className="flex items-center space-x-4">
               {authState.isAuthenticated && authState.user && (
                 <>
+                  {activeProfile === 'kids' && (
+                    <Link
+                      to="/profile?tab=parental"
+                      title="Kids profile is on. Enter your PIN on the profile page to leave it."
+                      className="px-3 py-1 rounded-full bg-yellow-500/20 border border-yellow-500/30 text-yellow-300 text-sm font-medium"
+                    >
+                      🧸 Kids
+                    </Link>
+                  )}
                   <Link to="/profile" className="flex items-center space-x-3 px-4 py-2 rounded-modern hover:bg-slate-700/50 transition-all duration-200 group">
                     <div className="relative">
                       {authState.user.profile_picture ? (
@@ -146,6 +173,9 @@ const Layout = ({ children }) => {
                         {authState.user.role === 'manager' && <span className="role-badge manager">🎬 Manager</span>}
                         {authState.user.role === 'user' && <span className="role-badge user">👤 User</span>}
                         {authState.user.is_admin && !authState.user.role && <span className="role-badge admin">👑 Admin</span>}
+                        {authState.user.role && !['admin', 'manager', 'user'].includes(authState.user.role) && (
+                          <span className="role-badge manager">🔑 {authState.user.role_display_name || authState.user.role}</span>
+                        )}
                       </div>
                     </div>
                   </Link>
@@ -172,6 +202,14 @@ const Layout = ({ children }) => {
             <div className="flex items-center space-x-3">
               {authState.isAuthenticated && authState.user && (
                 <>
+                  {activeProfile === 'kids' && (
+                    <Link
+                      to="/profile?tab=parental"
+                      className="px-2 py-1 rounded-full bg-yellow-500/20 border border-yellow-500/30 text-yellow-300 text-xs font-medium"
+                    >
+                      🧸 Kids
+                    </Link>
+                  )}
                   <Link to="/profile" className="flex items-center">
                     {authState.user.profile_picture ? (
                       <img
@@ -229,7 +267,15 @@ const Layout = ({ children }) => {
                   <span>📺</span>
                   <span>History</span>
                 </NavLink>
-                {(authState.user?.role === 'admin' || authState.user?.role === 'manager' || authState.user?.is_admin) && (
+                <NavLink 
+                  to="/playlists" 
+                  className="flex items-center space-x-3 px-4 py-3"
+                  onClick={() => setIsMobileMenuOpen(false)}
+                >
+                  <span>🎵</span>
+                  <span>Playlists</span>
+                </NavLink>
+                {canManageContent(authState.user) && (
                   <NavLink 
                     to="/content" 
                     className="flex items-center space-x-3 px-4 py-3"
@@ -239,7 +285,7 @@ const Layout = ({ children }) => {
                     <span>Content</span>
                   </NavLink>
                 )}
-                {(authState.user?.is_admin || authState.user?.role === 'admin') && (
+                {canAccessAdmin(authState.user) && (
                   <NavLink 
                     to="/admin" 
                     className="flex items-center space-x-3 px-4 py-3"
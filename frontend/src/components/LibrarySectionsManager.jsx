@@ -0,0 +1,312 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+const EMPTY_SECTION_FORM = { name: '', description: '', metadataAgent: 'tmdb', transcodingProfile: '' };
+
+const authHeaders = (json = false) => ({
+  'Authorization': `Bearer ${sessionStorage.getItem('token')}`,
+  ...(json ? { 'Content-Type': 'application/json' } : {})
+});
+
+// Named libraries (Movies, Kids, Home Videos...) and the folders that feed them
+const LibrarySectionsManager = () => {
+  const queryClient = useQueryClient();
+  // Key of the section being edited (its id), or 'new'
+  const [editingSection, setEditingSection] = useState(null);
+  const [sectionForm, setSectionForm] = useState(EMPTY_SECTION_FORM);
+
+  const { data: sectionsData, isLoading: sectionsLoading } = useQuery({
+    queryKey: ['library-sections'],
+    queryFn: async () => {
+      const response = await fetch('/api/admin/library-sections', { headers: authHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch libraries');
+      return response.json();
+    }
+  });
+  const sections = sectionsData?.sections || [];
+
+  const { data: foldersData, isLoading: foldersLoading } = useQuery({
+    queryKey: ['library-folders'],
+    queryFn: async () => {
+      const response = await fetch('/api/admin/library-folders', { headers: authHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch library folders');
+      return response.json();
+    }
+  });
+  const folders = foldersData?.folders || [];
+
+  const saveSectionMutation = useMutation({
+    mutationFn: async ({ id, form }) => {
+      const response = await fetch(id === 'new' ? '/api/admin/library-sections' : `/api/admin/library-sections/${id}`, {
+        method: id === 'new' ? 'POST' : 'PUT',
+        headers: authHeaders(true),
+        body: JSON.stringify({ ...form, transcodingProfile: form.transcodingProfile || null })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save library');
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['library-sections']);
+      setEditingSection(null);
+      setSectionForm(EMPTY_SECTION_FORM);
+    },
+    onError: (error) => {
+      alert(`❌ ${error.message}`);
+    }
+  });
+
+  const deleteSectionMutation = useMutation({
+    mutationFn: async (id) => {
+      const response = await fetch(`/api/admin/library-sections/${id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to delete library');
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['library-sections']);
+      queryClient.invalidateQueries(['library-folders']);
+    },
+    onError: (error) => {
+      alert(`❌ ${error.message}`);
+    }
+  });
+
+  const assignFolderMutation = useMutation({
+    mutationFn: async ({ folderId, sectionId }) => {
+      const response = await fetch(`/api/admin/library-folders/${folderId}`, {
+        method: 'PUT',
+        headers: authHeaders(true),
+        body: JSON.stringify({ section_id: sectionId ? parseInt(sectionId) : null })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to update folder');
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['library-folders']);
+      queryClient.invalidateQueries(['library-sections']);
+    },
+    onError: (error) => {
+      alert(`❌ ${error.message}`);
+    }
+  });
+
+  const startEditing = (section) => {
+    setEditingSection(section ? section.id : 'new');
+    setSectionForm(section
+      ? {
+        name: section.name,
+        description: section.description,
+        metadataAgent: section.metadataAgent,
+        transcodingProfile: section.transcodingProfile || ''
+      }
+      : EMPTY_SECTION_FORM);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    saveSectionMutation.mutate({ id: editingSection, form: sectionForm });
+  };
+
+  const handleDelete = (section) => {
+    if (window.confirm(`Delete the "${section.name}" library? Its folders and media are kept but become visible to everyone.`)) {
+      deleteSectionMutation.mutate(section.id);
+    }
+  };
+
+  const agentLabel = (key) => sectionsData?.metadataAgents?.find(agent => agent.key === key)?.label || key;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Libraries</h2>
+          <p className="text-slate-400 text-sm">
+            Group library folders into named libraries. Users can be limited to some libraries from User Management or their invite.
+          </p>
+        </div>
+        {!editingSection && (
+          <button
+            onClick={() => startEditing(null)}
+            className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-md font-medium text-sm"
+          >
+            ➕ New Library
+          </button>
+        )}
+      </div>
+
+      {editingSection && (
+        <form onSubmit={handleSave} className="bg-gray-800 rounded-lg p-4 md:p-6 mb-6 space-y-4">
+          <h3 className="text-lg font-semibold">
+            {editingSection === 'new' ? '📚 Create Library' : `✏️ Edit ${sectionForm.name}`}
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+              <input
+                type="text"
+                value={sectionForm.name}
+                onChange={(e) => setSectionForm({ ...sectionForm, name: e.target.value })}
+                required
+                maxLength={64}
+                placeholder="e.g. Kids"
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Description</label>
+              <input
+                type="text"
+                value={sectionForm.description}
+                onChange={(e) => setSectionForm({ ...sectionForm, description: e.target.value })}
+                maxLength={255}
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Metadata agent</label>
+              <select
+                value={sectionForm.metadataAgent}
+                onChange={(e) => setSectionForm({ ...sectionForm, metadataAgent: e.target.value })}
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white"
+              >
+                {(sectionsData?.metadataAgents || []).map(agent => (
+                  <option key={agent.key} value={agent.key}>{agent.label}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-400 mt-1">
+                {sectionsData?.metadataAgents?.find(agent => agent.key === sectionForm.metadataAgent)?.description}
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Default transcoding profile</label>
+              <select
+                value={sectionForm.transcodingProfile}
+                onChange={(e) => setSectionForm({ ...sectionForm, transcodingProfile: e.target.value })}
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white"
+              >
+                <option value="">None (don't queue new files)</option>
+                {(sectionsData?.transcodingProfiles || []).map(profile => (
+                  <option key={profile} value={profile}>{profile}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-400 mt-1">New files found by a scan are queued with this profile.</p>
+            </div>
+          </div>
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={saveSectionMutation.isLoading}
+              className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-md font-medium disabled:opacity-50"
+            >
+              {saveSectionMutation.isLoading ? 'Saving...' : 'Save Library'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditingSection(null)}
+              className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded-md font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {sectionsLoading ? (
+        <div className="text-center py-8 text-slate-400">Loading libraries...</div>
+      ) : sections.length === 0 ? (
+        <div className="card-modern p-6 text-center text-slate-400 mb-8">
+          No libraries yet. Everything is shown to every user until you create one.
+        </div>
+      ) : (
+        <div className="space-y-3 mb-8">
+          {sections.map(section => (
+            <div key={section.id} className="card-modern p-4">
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+                <div>
+                  <div className="text-white font-semibold">{section.name}</div>
+                  {section.description && <p className="text-sm text-slate-400 mt-1">{section.description}</p>}
+                  <div className="flex flex-wrap gap-1 mt-2 text-xs">
+                    <span className="px-2 py-0.5 rounded-full bg-blue-500/20 text-blue-300 border border-blue-500/30">
+                      {agentLabel(section.metadataAgent)}
+                    </span>
+                    <span className="px-2 py-0.5 rounded-full bg-green-500/20 text-green-300 border border-green-500/30">
+                      {section.transcodingProfile ? `Transcode: ${section.transcodingProfile}` : 'No auto-transcode'}
+                    </span>
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2 flex-shrink-0">
+                  <span className="text-xs text-slate-400">
+                    {section.folderCount} folder{section.folderCount === 1 ? '' : 's'} · {section.mediaCount} title{section.mediaCount === 1 ? '' : 's'}
+                  </span>
+                  <button
+                    onClick={() => startEditing(section)}
+                    className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-xs font-semibold"
+                  >
+                    ✏️ Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(section)}
+                    disabled={deleteSectionMutation.isLoading}
+                    className="px-3 py-1.5 bg-red-600 hover:bg-red-700 text-white rounded-lg text-xs font-semibold disabled:opacity-50"
+                  >
+                    🗑️ Delete
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <h3 className="text-xl font-bold text-white mb-4">Library Folders</h3>
+      {foldersLoading ? (
+        <div className="text-center py-8 text-slate-400">Loading folders...</div>
+      ) : folders.length === 0 ? (
+        <div className="card-modern p-6 text-center text-slate-400">No library folders have been added.</div>
+      ) : (
+        <div className="bg-gray-800 rounded-lg overflow-hidden">
+          <table className="w-full">
+            <thead className="bg-gray-700">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Folder</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Category</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Library</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {folders.map(folder => (
+                <tr key={folder.id} className="hover:bg-gray-700">
+                  <td className="px-6 py-4">
+                    <div className="text-sm font-medium text-white">{folder.name}</div>
+                    <div className="text-xs font-mono text-gray-400 break-all">{folder.path}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">{folder.category}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <select
+                      value={folder.section_id || ''}
+                      onChange={(e) => assignFolderMutation.mutate({ folderId: folder.id, sectionId: e.target.value })}
+                      disabled={assignFolderMutation.isLoading}
+                      className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+                    >
+                      <option value="">No library</option>
+                      {sections.map(section => (
+                        <option key={section.id} value={section.id}>{section.name}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LibrarySectionsManager;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+const authHeaders = (json = false) => ({
+  'Authorization': `Bearer ${sessionStorage.getItem('token')}`,
+  ...(json ? { 'Content-Type': 'application/json' } : {})
+});
+
+const POLICY_FIELDS = [
+  { key: 'maxFailedAttempts', label: 'Failed attempts before lockout', min: 3, max: 50 },
+  { key: 'failureWindowMinutes', label: 'Count failures within (minutes)', min: 1, max: 1440 },
+  { key: 'baseLockoutMinutes', label: 'First lockout (minutes)', min: 1, max: 1440 },
+  { key: 'maxLockoutMinutes', label: 'Longest lockout (minutes)', min: 1, max: 43200 }
+];
+
+// Account lockout policy and the accounts that are locked or have failed sign-ins
+const LoginProtectionPanel = () => {
+  const queryClient = useQueryClient();
+  const [expanded, setExpanded] = useState(false);
+  const [policyForm, setPolicyForm] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['login-protection'],
+    queryFn: async () => {
+      const response = await fetch('/api/admin/security/login-protection', { headers: authHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch login protection');
+      return response.json();
+    },
+    refetchInterval: 30000
+  });
+  const accounts = data?.accounts || [];
+  const lockedCount = accounts.filter(account => account.locked).length;
+
+  useEffect(() => {
+    if (data?.settings && !policyForm) {
+      setPolicyForm(data.settings);
+    }
+  }, [data, policyForm]);
+
+  const savePolicyMutation = useMutation({
+    mutationFn: async (settings) => {
+      const response = await fetch('/api/admin/security/login-protection', {
+        method: 'PUT',
+        headers: authHeaders(true),
+        body: JSON.stringify(settings)
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save login protection');
+      return result;
+    },
+    onSuccess: (result) => {
+      setPolicyForm(result.settings);
+      queryClient.invalidateQueries(['login-protection']);
+    },
+    onError: (error) => {
+      alert(`❌ ${error.message}`);
+    }
+  });
+
+  const unlockMutation = useMutation({
+    mutationFn: async (userId) => {
+      const response = await fetch(`/api/admin/users/${userId}/unlock`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to unlock account');
+      return result;
+    },
+    onSuccess: (result) => {
+      alert(`✅ ${result.message}`);
+      queryClient.invalidateQueries(['login-protection']);
+    },
+    onError: (error) => {
+      alert(`❌ ${error.message}`);
+    }
+  });
+
+  const handleSavePolicy = (e) => {
+    e.preventDefault();
+    savePolicyMutation.mutate(policyForm);
+  };
+
+  return (
+    <div className="card-modern p-4 mb-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div>
+          <h3 className="text-sm font-semibold text-white">🛡️ Sign-in protection</h3>
+          <p className="text-xs text-slate-400">
+            Accounts are locked after repeated failed sign-ins, for longer each time. Users are emailed when they sign in from a new device or location.
+          </p>
+        </div>
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className={`px-3 py-1.5 rounded-lg text-xs font-semibold text-white ${lockedCount > 0 ? 'bg-red-600 hover:bg-red-700' : 'bg-slate-600 hover:bg-slate-500'}`}
+        >
+          {lockedCount > 0 ? `🔒 ${lockedCount} locked` : 'Manage'} {expanded ? '▲' : '▼'}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="mt-4 space-y-4">
+          {policyForm && (
+            <form onSubmit={handleSavePolicy} className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+              {POLICY_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label className="block text-xs text-slate-400 mb-1">{field.label}</label>
+                  <input
+                    type="number"
+                    min={field.min}
+                    max={field.max}
+                    value={policyForm[field.key]}
+                    onChange={(e) => setPolicyForm({ ...policyForm, [field.key]: e.target.value })}
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white text-sm"
+                  />
+                </div>
+              ))}
+              <div className="flex flex-col space-y-2">
+                <label className="flex items-center space-x-2 text-sm text-slate-300 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={!!policyForm.newDeviceAlerts}
+                    onChange={(e) => setPolicyForm({ ...policyForm, newDeviceAlerts: e.target.checked })}
+                    className="rounded"
+                  />
+                  <span>New sign-in emails</span>
+                </label>
+                <button
+                  type="submit"
+                  disabled={savePolicyMutation.isLoading}
+                  className="px-3 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-md text-sm font-medium disabled:opacity-50"
+                >
+                  {savePolicyMutation.isLoading ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {isLoading ? (
+            <div className="text-center py-4 text-slate-400 text-sm">Loading accounts...</div>
+          ) : accounts.length === 0 ? (
+            <div className="text-center py-4 text-slate-400 text-sm">No failed sign-ins recorded.</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-slate-700/50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-semibold text-slate-300 uppercase tracking-wider">User</th>
+                    <th className="px-4 py-2 text-left text-xs font-semibold text-slate-300 uppercase tracking-wider">Status</th>
+                    <th className="px-4 py-2 text-left text-xs font-semibold text-slate-300 uppercase tracking-wider">Failed attempts</th>
+                    <th className="px-4 py-2 text-left text-xs font-semibold text-slate-300 uppercase tracking-wider">Lockouts</th>
+                    <th className="px-4 py-2 text-left text-xs font-semibold text-slate-300 uppercase tracking-wider">Last failure</th>
+                    <th className="px-4 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700">
+                  {accounts.map(account => (
+                    <tr key={account.id}>
+                      <td className="px-4 py-2">
+                        <div className="text-sm text-white">{account.username}</div>
+                        <div className="text-xs text-slate-400">{account.email}</div>
+                      </td>
+                      <td className="px-4 py-2 text-sm">
+                        {account.locked ? (
+                          <span className="text-red-400">🔒 Until {new Date(account.lockedUntil).toLocaleString()}</span>
+                        ) : (
+                          <span className="text-slate-400">Not locked</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-slate-300">{account.failedLoginCount}</td>
+                      <td className="px-4 py-2 text-sm text-slate-300">{account.lockoutCount}</td>
+                      <td className="px-4 py-2 text-sm text-slate-400">
+                        {account.lastFailedLoginAt ? new Date(account.lastFailedLoginAt).toLocaleString() : '—'}
+                      </td>
+                      <td className="px-4 py-2 text-right">
+                        <button
+                          onClick={() => unlockMutation.mutate(account.id)}
+                          disabled={unlockMutation.isLoading}
+                          className="px-3 py-1.5 bg-green-600 hover:bg-green-700 text-white rounded-lg text-xs font-semibold disabled:opacity-50"
+                        >
+                          {account.locked ? '🔓 Unlock' : 'Reset'}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LoginProtectionPanel;
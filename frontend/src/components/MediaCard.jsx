@@ -7,6 +7,8 @@ const MediaCard = ({ content, onPlay, onClose, isOpen }) => {
   const [availableResolutions, setAvailableResolutions] = useState([]);
   const [isMobile, setIsMobile] = useState(false);
   const [formatWarning, setFormatWarning] = useState(null);
+  const [selectedPlaylist, setSelectedPlaylist] = useState('');
+  const [playlistStatus, setPlaylistStatus] = useState(null);
 
   // Detect mobile and check format compatibility
   useEffect(() => {
@@ -51,6 +53,22 @@ const MediaCard = ({ content, onPlay, onClose, isOpen }) => {
     enabled: isOpen && !!content.id
   });
 
+  // Fetch playlists the user can add to
+  const { data: playlistData } = useQuery({
+    queryKey: ['playlists'],
+    queryFn: async () => {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch('/api/playlists', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) return { playlists: [] };
+      return response.json();
+    },
+    enabled: isOpen && (content.media_type === 'video' || content.media_type === 'audio')
+  });
+
+  const editablePlaylists = (playlistData?.playlists || []).filter(playlist => playlist.access !== 'view');
+
   useEffect(() => {
     if (transcodedData?.transcoded) {
       const resolutions = ['auto']; // Always include auto
@@ -108,6 +126,30 @@ const MediaCard = ({ content, onPlay, onClose, isOpen }) => {
     }
   };
 
+  const handleAddToPlaylist = async () => {
+    if (!selectedPlaylist) return;
+
+    try {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch(`/api/playlists/${selectedPlaylist}/items`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ mediaId: content.id })
+      });
+      const data = await response.json();
+
+      setPlaylistStatus(response.ok
+        ? { type: 'success', message: 'Added to playlist' }
+        : { type: 'error', message: data.error || 'Failed to add to playlist' });
+    } catch (error) {
+      console.error('Error adding to playlist:', error);
+      setPlaylistStatus({ type: 'error', message: 'Failed to add to playlist' });
+    }
+  };
+
   if (!isOpen) return null;
 
   return (
@@ -239,6 +281,40 @@ const MediaCard = ({ content, onPlay, onClose, isOpen }) => {
               </div>
             </div>
 
+            {/* Add to playlist */}
+            {editablePlaylists.length > 0 && (
+              <div>
+                <h3 className="text-base sm:text-lg font-semibold text-white mb-2">Add to Playlist</h3>
+                <div className="flex gap-2">
+                  <select
+                    value={selectedPlaylist}
+                    onChange={(e) => {
+                      setSelectedPlaylist(e.target.value);
+                      setPlaylistStatus(null);
+                    }}
+                    className="flex-1 bg-slate-700 text-white text-sm rounded-lg px-3 py-2 border border-slate-600 focus:outline-none focus:border-blue-500"
+                  >
+                    <option value="">Choose a playlist...</option>
+                    {editablePlaylists.map((playlist) => (
+                      <option key={playlist.id} value={playlist.id}>{playlist.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleAddToPlaylist}
+                    disabled={!selectedPlaylist}
+                    className="bg-slate-600 hover:bg-slate-500 disabled:opacity-50 text-white text-sm px-4 py-2 rounded-lg transition-colors touch-manipulation"
+                  >
+                    🎵 Add
+                  </button>
+                </div>
+                {playlistStatus && (
+                  <p className={`text-xs mt-2 ${playlistStatus.type === 'success' ? 'text-green-400' : 'text-red-400'}`}>
+                    {playlistStatus.message}
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Action Buttons */}
             <div className="flex flex-col sm:flex-row gap-3 pt-4">
               {progressData?.hasProgress && progressData.progress.progressPercentage > 5 && !progressData.progress.completed ? (
@@ -1,6 +1,47 @@
 import React, { useState, useRef, useEffect, useMemo } from 'react';
+import Hls from 'hls.js';
+
+// What this browser can play, sent with the playback decision request.
+// Containers are checked against the video element (progressive playback);
+// codecs may also play through Media Source Extensions (hls.js). No bandwidth
+// is sent: Chrome caps navigator.connection.downlink at 10 Mbps.
+const getClientCapabilities = () => {
+  const video = document.createElement('video');
+  const canPlay = (type) => !!video.canPlayType(type);
+  const canDecode = (type) => canPlay(type) || !!window.MediaSource?.isTypeSupported?.(type);
+  const supported = (types, check) => Object.keys(types).filter(key => check(types[key]));
+
+  const containers = supported({
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    mkv: 'video/x-matroska',
+    mov: 'video/quicktime'
+  }, canPlay);
+  if (Hls.isSupported() || canPlay('application/vnd.apple.mpegurl')) {
+    containers.push('hls');
+  }
+
+  return {
+    containers,
+    videoCodecs: supported({
+      h264: 'video/mp4; codecs="avc1.64001f"',
+      hevc: 'video/mp4; codecs="hvc1.1.6.L120.90"',
+      vp9: 'video/webm; codecs="vp9"',
+      av1: 'video/mp4; codecs="av01.0.05M.08"'
+    }, canDecode),
+    audioCodecs: supported({
+      aac: 'audio/mp4; codecs="mp4a.40.2"',
+      mp3: 'audio/mpeg',
+      opus: 'audio/webm; codecs="opus"',
+      vorbis: 'audio/webm; codecs="vorbis"',
+      flac: 'audio/flac',
+      ac3: 'audio/mp4; codecs="ac-3"',
+      eac3: 'audio/mp4; codecs="ec-3"'
+    }, canDecode)
+  };
+};
 
-const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null }) => {
+const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null, onEnded = null, onPlayNext = null }) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
@@ -21,6 +62,17 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
   const [showResumePrompt, setShowResumePrompt] = useState(false);
   const [selectedResolution, setSelectedResolution] = useState(resolution);
   const [debugInfo, setDebugInfo] = useState('');
+  const [playbackDecision, setPlaybackDecision] = useState(null); // null until the server decides, false when it couldn't
+  const [liveTranscode, setLiveTranscode] = useState(false); // server transcodes on the fly when the original can't play
+  const [subtitleTracks, setSubtitleTracks] = useState([]);
+  const [activeSubtitle, setActiveSubtitle] = useState('off'); // track id or 'off'
+  const [showSubtitleMenu, setShowSubtitleMenu] = useState(false);
+  const [audioTracks, setAudioTracks] = useState([]); // { id, label, language } from hls.js or video.audioTracks
+  const [activeAudio, setActiveAudio] = useState(0);
+  const [showAudioMenu, setShowAudioMenu] = useState(false);
+  const [preferredAudioLanguage, setPreferredAudioLanguage] = useState(null);
+  const [nextEpisode, setNextEpisode] = useState(null);
+  const [upNextCountdown, setUpNextCountdown] = useState(null); // seconds until autoplay, null when hidden
   const mediaRef = useRef(null);
   const containerRef = useRef(null);
   const controlsTimeoutRef = useRef(null);
@@ -35,6 +87,10 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
   const lastProgressSaveRef = useRef(0);
   const lastSessionCheckRef = useRef(0);
   const streamUrlTestRef = useRef(null);
+  const hlsRef = useRef(null); // hls.js instance when adaptive streaming is active
+  const liveStartRef = useRef(0); // position the live transcode starts from
+  const audioPreferenceAppliedRef = useRef(false);
+  const nextEpisodeRef = useRef(null);
 
   // Detect mobile, orientation, and unsupported formats
   useEffect(() => {
@@ -61,7 +117,6 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
         const unsupportedFormats = ['mkv', 'avi', 'wmv', 'flv', 'mov'];
         if (unsupportedFormats.includes(fileExtension)) {
           setIsUnsupportedFormat(true);
-          setError(`This format (.${fileExtension}) is not supported on mobile devices. Please use a transcoded version or try on desktop.`);
         }
       }
     };
@@ -184,6 +239,18 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
         });
       }
       
+      // Browsers that expose audioTracks (Safari) can switch languages in a progressive stream
+      const nativeAudioTracks = mediaRef.current.audioTracks;
+      if (!hlsRef.current && nativeAudioTracks && nativeAudioTracks.length > 1) {
+        const tracks = [];
+        for (let i = 0; i < nativeAudioTracks.length; i++) {
+          const track = nativeAudioTracks[i];
+          tracks.push({ id: i, label: track.label || track.language || `Track ${i + 1}`, language: track.language });
+          if (track.enabled) setActiveAudio(i);
+        }
+        setAudioTracks(tracks);
+      }
+
       // Save initial progress if we have a current time
       if (mediaRef.current.currentTime > 0) {
         saveWatchProgress(mediaRef.current.currentTime, mediaRef.current.duration, false);
@@ -222,6 +289,13 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
     console.error('[MediaPlayer] Video error:', e);
     const video = e.target;
     let errorMessage = 'An error occurred while playing the video.';
+
+    // Decode and format errors on the original: let the server transcode it instead
+    if (video.error && (video.error.code === 3 || video.error.code === 4) && !playsHLS && playbackDecision?.method !== null && canPlayHLS()) {
+      console.log('[MediaPlayer] Original cannot be played, switching to live transcoding');
+      startLiveTranscode(video.currentTime);
+      return;
+    }
     
     if (video.error) {
       switch (video.error.code) {
@@ -717,9 +791,45 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   };
 
+  // HLS when the server picked the HLS package or a direct stream/transcode
+  const useHLS = playbackDecision?.protocol === 'hls' && content.media_type === 'video';
+  const isLiveDecision = playbackDecision?.method === 'direct_stream' || playbackDecision?.method === 'transcode';
+  // Live transcodes are HLS too, so they go through the same player paths
+  const playsHLS = useHLS || liveTranscode;
+  const canPlayNativeHLS = () => !!document.createElement('video').canPlayType('application/vnd.apple.mpegurl');
+  const canPlayHLS = () => Hls.isSupported() || canPlayNativeHLS();
+
+  const startLiveTranscode = (position = 0) => {
+    liveStartRef.current = Math.floor(position || resumeTime || 0);
+    setError(null);
+    setIsLoading(true);
+    setLiveTranscode(true);
+  };
+
+  const getHLSUrl = () => {
+    if (!streamSessionId) return null;
+
+    const token = sessionStorage.getItem('token');
+    if (liveTranscode) {
+      return `${window.location.origin}/api/content/${content.id}/live/index.m3u8?token=${encodeURIComponent(token)}&sessionId=${streamSessionId}&start=${liveStartRef.current}`;
+    }
+    // Decision URLs already carry the token and session id
+    const url = `${window.location.origin}${playbackDecision.url}`;
+    return isLiveDecision ? `${url}&start=${Math.floor(resumeTime || 0)}` : url;
+  };
+
   const getStreamUrl = () => {
     if (!streamSessionId) return null;
     
+    // Safari and iOS play HLS natively, so the master playlist can go straight into src
+    if (playsHLS && !Hls.isSupported() && canPlayNativeHLS()) {
+      return getHLSUrl();
+    }
+    
+    if (playbackDecision?.protocol === 'progressive') {
+      return `${window.location.origin}${playbackDecision.url}`;
+    }
+    
     const token = sessionStorage.getItem('token');
     const baseUrl = `${window.location.origin}/api/content/${content.id}/stream`;
     const resolutionParam = selectedResolution && selectedResolution !== 'auto' ? `&resolution=${encodeURIComponent(selectedResolution)}` : '';
@@ -729,6 +839,247 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
     return url;
   };
 
+  // Load the WebVTT subtitle tracks for this content
+  useEffect(() => {
+    let isMounted = true;
+    setSubtitleTracks([]);
+    setActiveSubtitle('off');
+
+    async function loadSubtitles() {
+      if (content.media_type !== 'video') return;
+
+      try {
+        const response = await fetch(`/api/content/${content.id}/subtitles`, {
+          headers: { 'Authorization': `Bearer ${sessionStorage.getItem('token')}` }
+        });
+        if (!response.ok) return;
+
+        const data = await response.json();
+        if (!isMounted) return;
+
+        const tracks = data.tracks || [];
+        setSubtitleTracks(tracks);
+
+        // Start with the user's preferred language; otherwise forced subtitles,
+        // which cover foreign-language dialogue
+        const preferredTrack = data.preferred_language &&
+          tracks.find(track => track.language === data.preferred_language && !track.is_forced);
+        const forcedTrack = tracks.find(track => track.is_forced);
+        if (preferredTrack || forcedTrack) {
+          setActiveSubtitle((preferredTrack || forcedTrack).id);
+        }
+      } catch (error) {
+        console.error('[MediaPlayer] Failed to load subtitles:', error);
+      }
+    }
+
+    loadSubtitles();
+    return () => { isMounted = false; };
+  }, [content.id, content.media_type]);
+
+  // Show only the selected subtitle track
+  useEffect(() => {
+    const video = mediaRef.current;
+    if (!video || !video.textTracks) return;
+
+    for (let i = 0; i < video.textTracks.length; i++) {
+      const textTrack = video.textTracks[i];
+      if (!textTrack.id.startsWith('subtitle-')) continue;
+      textTrack.mode = textTrack.id === `subtitle-${activeSubtitle}` ? 'showing' : 'disabled';
+    }
+  }, [activeSubtitle, subtitleTracks, streamSessionId]);
+
+  // Load the user's preferred audio language for this content
+  useEffect(() => {
+    let isMounted = true;
+    setAudioTracks([]);
+    setActiveAudio(0);
+    setPreferredAudioLanguage(null);
+    audioPreferenceAppliedRef.current = false;
+
+    async function loadAudioPreference() {
+      if (content.media_type !== 'video') return;
+
+      try {
+        const response = await fetch(`/api/content/${content.id}/audio-tracks`, {
+          headers: { 'Authorization': `Bearer ${sessionStorage.getItem('token')}` }
+        });
+        if (!response.ok) return;
+
+        const data = await response.json();
+        if (isMounted) {
+          setPreferredAudioLanguage(data.preferred_language || null);
+        }
+      } catch (error) {
+        console.error('[MediaPlayer] Failed to load audio tracks:', error);
+      }
+    }
+
+    loadAudioPreference();
+    return () => { isMounted = false; };
+  }, [content.id, content.media_type]);
+
+  const selectAudioTrack = (trackId) => {
+    if (hlsRef.current) {
+      hlsRef.current.audioTrack = trackId;
+    } else if (mediaRef.current?.audioTracks) {
+      const nativeAudioTracks = mediaRef.current.audioTracks;
+      for (let i = 0; i < nativeAudioTracks.length; i++) {
+        nativeAudioTracks[i].enabled = i === trackId;
+      }
+    }
+    setActiveAudio(trackId);
+  };
+
+  // Switch to the preferred audio language once both the tracks and the preference are known
+  useEffect(() => {
+    if (audioPreferenceAppliedRef.current || !preferredAudioLanguage || audioTracks.length < 2) return;
+
+    audioPreferenceAppliedRef.current = true;
+    const preferredTrack = audioTracks.find(track => track.language === preferredAudioLanguage);
+    if (preferredTrack && preferredTrack.id !== activeAudio) {
+      selectAudioTrack(preferredTrack.id);
+    }
+    // eslint-disable-next-line
+  }, [audioTracks, preferredAudioLanguage]);
+
+  const getSubtitleUrl = (track) => {
+    const token = sessionStorage.getItem('token');
+    return `/api/content/${content.id}/subtitles/${track.id}.vtt?token=${encodeURIComponent(token)}`;
+  };
+
+  // Ask the server how this browser should play the video: direct play,
+  // direct stream (remux) or transcode
+  useEffect(() => {
+    let isMounted = true;
+    setPlaybackDecision(null);
+    setLiveTranscode(false);
+
+    async function requestPlaybackDecision() {
+      if (content.media_type !== 'video') {
+        setPlaybackDecision(false);
+        return;
+      }
+      if (!streamSessionId) return;
+
+      try {
+        const token = sessionStorage.getItem('token');
+        const response = await fetch(`/api/content/${content.id}/playback`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            sessionId: streamSessionId,
+            ...getClientCapabilities(),
+            maxResolution: selectedResolution && selectedResolution !== 'auto' ? selectedResolution : undefined
+          })
+        });
+        const data = await response.json().catch(() => null);
+        if (!isMounted) return;
+
+        if (response.status === 503) {
+          setError(data?.error || 'The server is busy. Try again in a few minutes.');
+          setIsLoading(false);
+          return;
+        }
+        // Nothing the server has or can produce plays here
+        if (response.status === 422) {
+          setError(data?.error || 'This video cannot be played on this device.');
+          setIsLoading(false);
+          setPlaybackDecision(data?.decision || false);
+          return;
+        }
+        if (!response.ok || !data?.decision) {
+          throw new Error(data?.error || 'Playback decision failed');
+        }
+
+        console.log(`[MediaPlayer] Playback decision: ${data.decision.method} (${data.decision.reason})`);
+        setPlaybackDecision(data.decision);
+      } catch (error) {
+        console.error('[MediaPlayer] Failed to get playback decision:', error);
+        // Fall back to progressive streaming of the best file
+        if (isMounted) setPlaybackDecision(false);
+      }
+    }
+
+    requestPlaybackDecision();
+
+    return () => { isMounted = false; };
+  }, [content.id, content.media_type, streamSessionId, selectedResolution]);
+
+  // Without a playback decision, formats the browser can't play are transcoded on the fly
+  useEffect(() => {
+    if (!isUnsupportedFormat || playbackDecision !== false || liveTranscode) return;
+
+    if (canPlayHLS()) {
+      startLiveTranscode();
+    } else {
+      const fileExtension = content.file_path?.split('.').pop()?.toLowerCase();
+      setError(`This format (.${fileExtension}) is not supported on mobile devices. Please use a transcoded version or try on desktop.`);
+    }
+    // eslint-disable-next-line
+  }, [isUnsupportedFormat, playbackDecision]);
+
+  // Attach hls.js for adaptive streaming where Media Source Extensions are available
+  useEffect(() => {
+    if (!playsHLS || !streamSessionId || !mediaRef.current || !Hls.isSupported()) return;
+
+    const hls = new Hls({ startPosition: liveTranscode ? liveStartRef.current : (resumeTime || -1) });
+    hlsRef.current = hls;
+    let mediaErrorRecoveries = 0;
+
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (!data.fatal) return;
+
+      console.error('[MediaPlayer] Fatal HLS error:', data.type, data.details);
+      if (data.type === Hls.ErrorTypes.NETWORK_ERROR && data.response?.code === 403) {
+        setError('Streaming session is no longer valid or a limit was reached.');
+      } else if (data.type === Hls.ErrorTypes.NETWORK_ERROR && data.response?.code === 503) {
+        setError('The server is busy with other transcodes. Try again in a few minutes.');
+        setIsLoading(false);
+      } else if (data.type === Hls.ErrorTypes.MEDIA_ERROR && mediaErrorRecoveries < 2) {
+        // Recover once, then once more with the audio codec swapped, before giving up
+        if (mediaErrorRecoveries > 0) {
+          hls.swapAudioCodec();
+        }
+        mediaErrorRecoveries += 1;
+        hls.recoverMediaError();
+      } else if (liveTranscode || isLiveDecision) {
+        // Nothing left to fall back to
+        setError('The server could not transcode this video for your device.');
+        setIsLoading(false);
+      } else {
+        // Fall back to progressive streaming
+        hls.destroy();
+        hlsRef.current = null;
+        setPlaybackDecision(false);
+      }
+    });
+
+    // Alternate audio renditions from the master playlist
+    hls.on(Hls.Events.AUDIO_TRACKS_UPDATED, (event, data) => {
+      setAudioTracks(data.audioTracks.map((track, i) => ({
+        id: i,
+        label: track.name || track.lang || `Track ${i + 1}`,
+        language: track.lang
+      })));
+      setActiveAudio(hls.audioTrack >= 0 ? hls.audioTrack : 0);
+    });
+
+    hls.loadSource(getHLSUrl());
+    hls.attachMedia(mediaRef.current);
+
+    return () => {
+      hls.destroy();
+      if (hlsRef.current === hls) {
+        hlsRef.current = null;
+      }
+    };
+    // eslint-disable-next-line
+  }, [playsHLS, liveTranscode, playbackDecision, streamSessionId, content.id]);
+
   // Log when streamSessionId changes (reduced logging)
   useEffect(() => {
     if (streamSessionId) {
@@ -747,7 +1098,7 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
       
       // Check if src is actually set
       setTimeout(() => {
-        if (mediaRef.current && mediaRef.current.readyState === 0) {
+        if (mediaRef.current && mediaRef.current.readyState === 0 && !hlsRef.current) {
           const streamUrl = getStreamUrl();
           console.log('[MediaPlayer] Re-setting video src to:', streamUrl);
           mediaRef.current.src = streamUrl;
@@ -771,9 +1122,70 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
     }
   }, [mediaRef.current]);
 
+  // Look up the following episode so it can autoplay when this one ends
+  useEffect(() => {
+    let isMounted = true;
+    setNextEpisode(null);
+    setUpNextCountdown(null);
+    nextEpisodeRef.current = null;
+
+    async function loadNextEpisode() {
+      if (!onPlayNext || content.media_type !== 'video') return;
+
+      try {
+        const response = await fetch(`/api/content/${content.id}/next-episode`, {
+          headers: { 'Authorization': `Bearer ${sessionStorage.getItem('token')}` }
+        });
+        if (!response.ok) return;
+
+        const data = await response.json();
+        if (isMounted && data.next) {
+          nextEpisodeRef.current = data.next;
+          setNextEpisode(data.next);
+        }
+      } catch (error) {
+        console.error('[MediaPlayer] Failed to load next episode:', error);
+      }
+    }
+
+    loadNextEpisode();
+    return () => { isMounted = false; };
+    // eslint-disable-next-line
+  }, [content.id, content.media_type]);
+
+  const handleVideoEnded = () => {
+    setIsPlaying(false);
+
+    // Record the finish so continue watching moves on to the next episode
+    if (mediaRef.current && mediaRef.current.duration > 0) {
+      saveWatchProgress(mediaRef.current.duration, mediaRef.current.duration, true, true);
+    }
+
+    if (onEnded) {
+      onEnded();
+    } else if (nextEpisodeRef.current) {
+      setUpNextCountdown(10);
+    }
+  };
+
+  // Autoplay countdown
+  useEffect(() => {
+    if (upNextCountdown === null) return;
+
+    if (upNextCountdown <= 0) {
+      setUpNextCountdown(null);
+      onPlayNext(nextEpisodeRef.current);
+      return;
+    }
+
+    const timer = setTimeout(() => setUpNextCountdown(upNextCountdown - 1), 1000);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line
+  }, [upNextCountdown]);
+
   const renderMediaElement = useMemo(() => {
-    // Only render video/audio if we have a sessionId
-    if (!streamSessionId) {
+    // Only render video/audio if we have a sessionId and know how to stream it
+    if (!streamSessionId || playbackDecision === null) {
       return (
         <div className="flex items-center justify-center h-full">
           <div className="w-12 h-12 border-4 border-white/20 border-t-white rounded-full animate-spin"></div>
@@ -783,13 +1195,15 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
     }
 
     const streamUrl = getStreamUrl();
+    // hls.js attaches its own MediaSource, so the element gets no src in that case
+    const videoSrc = playsHLS && Hls.isSupported() ? undefined : streamUrl;
 
     if (content.media_type === 'video') {
       return (
         <div className={`relative w-full h-full ${isMobile && isLandscape ? 'landscape-mode' : ''}`}>
           <video
             ref={mediaRef}
-            src={streamUrl}
+            src={videoSrc}
             className={`w-full h-full object-contain ${isMobile ? 'mobile-video' : ''}`}
             data-debug-src={streamUrl}
             poster={content.thumbnail_path}
@@ -838,8 +1252,18 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
               console.log('[MediaPlayer] Video progress event');
             }}
             onPlay={() => setIsPlaying(true)}
-            onEnded={() => setIsPlaying(false)}
+            onEnded={handleVideoEnded}
           >
+            {subtitleTracks.map(track => (
+              <track
+                key={track.id}
+                id={`subtitle-${track.id}`}
+                kind="subtitles"
+                src={getSubtitleUrl(track)}
+                srcLang={track.language || undefined}
+                label={track.label}
+              />
+            ))}
             Your browser does not support the video tag.
           </video>
           
@@ -881,6 +1305,9 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
             onLoadStart={() => setIsLoading(true)}
             onCanPlay={() => setIsLoading(false)}
             onTimeUpdate={handleTimeUpdate}
+            onEnded={() => {
+              if (onEnded) onEnded();
+            }}
             onError={(e) => {
               console.error('Audio error:', e);
               setIsLoading(false);
@@ -923,15 +1350,15 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
         </a>
       </div>
     );
-  }, [streamSessionId, content, mediaRef, isLoading, isPlaying, volume, selectedResolution]);
+  }, [streamSessionId, content, mediaRef, isLoading, isPlaying, volume, selectedResolution, playbackDecision, liveTranscode, subtitleTracks]);
 
   const hasMediaControls = content.media_type === 'video' || content.media_type === 'audio';
 
   // Watch Progress Functions
-  const saveWatchProgress = async (currentTime, duration, completed = false) => {
+  const saveWatchProgress = async (currentTime, duration, completed = false, force = false) => {
     // Throttle progress saving to prevent rate limiting (max once every 15 seconds)
     const now = Date.now();
-    if (now - lastProgressSaveRef.current < 15000) {
+    if (!force && now - lastProgressSaveRef.current < 15000) {
       console.log('[MediaPlayer] Skipping progress save - throttled');
       return;
     }
@@ -1129,6 +1556,33 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
           {renderMediaElement}
         </div>
 
+        {/* Up Next Countdown */}
+        {upNextCountdown !== null && nextEpisode && (
+          <div className="absolute bottom-28 right-4 z-20 bg-slate-900/95 border border-slate-700 rounded-lg p-4 w-72 shadow-xl">
+            <p className="text-xs uppercase tracking-wide text-slate-400 mb-1">Up next in {upNextCountdown}s</p>
+            <p className="text-white font-semibold truncate">
+              {nextEpisode.season_number != null && nextEpisode.episode_number != null
+                ? `S${nextEpisode.season_number}E${nextEpisode.episode_number} · `
+                : ''}
+              {nextEpisode.episode_title || nextEpisode.title}
+            </p>
+            <div className="flex gap-2 mt-3">
+              <button
+                onClick={() => setUpNextCountdown(0)}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold py-2 rounded-lg transition-colors"
+              >
+                ▶ Play Now
+              </button>
+              <button
+                onClick={() => setUpNextCountdown(null)}
+                className="flex-1 bg-white/10 hover:bg-white/20 text-white text-sm py-2 rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Media Controls */}
         <div className={`absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/90 via-black/60 to-transparent transition-opacity duration-300 video-controls ${
           showControls || isMobile ? 'opacity-100' : 'opacity-0'
@@ -1192,6 +1646,16 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
                 </div>
               )}
 
+              {/* Live Transcoding Indicator */}
+              {(liveTranscode || isLiveDecision) && (
+                <span
+                  className="text-white/70 text-xs"
+                  title={liveTranscode ? 'This video is being converted for your device as you watch' : playbackDecision.reason}
+                >
+                  ⚡ {!liveTranscode && playbackDecision.method === 'direct_stream' ? 'Direct stream' : 'Transcoding'}
+                </span>
+              )}
+
               {/* Bandwidth Usage Indicator */}
               {streamSessionId && bandwidthUsed > 0 && (
                 <div className="flex items-center space-x-1">
@@ -1202,6 +1666,70 @@ const MediaPlayer = ({ content, onClose, resolution = 'auto', resumeTime = null
                 </div>
               )}
 
+              {/* Audio Track Selector */}
+              {content.media_type === 'video' && audioTracks.length > 1 && (
+                <div className="relative">
+                  <button
+                    onClick={() => setShowAudioMenu(!showAudioMenu)}
+                    className="w-12 h-12 sm:w-10 sm:h-10 bg-white/20 hover:bg-white/30 rounded-full flex items-center justify-center text-white transition-all duration-200"
+                    title="Audio language"
+                  >
+                    <span className="text-xs font-bold">AUD</span>
+                  </button>
+                  {showAudioMenu && (
+                    <div className="absolute bottom-full right-0 mb-2 bg-black/90 rounded-lg py-2 min-w-[10rem] max-h-64 overflow-y-auto">
+                      {audioTracks.map(track => (
+                        <button
+                          key={track.id}
+                          onClick={() => {
+                            selectAudioTrack(track.id);
+                            setShowAudioMenu(false);
+                          }}
+                          className={`block w-full text-left px-4 py-2 text-sm hover:bg-white/10 ${
+                            activeAudio === track.id ? 'text-blue-400' : 'text-white'
+                          }`}
+                        >
+                          {track.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Subtitle Selector */}
+              {content.media_type === 'video' && subtitleTracks.length > 0 && (
+                <div className="relative">
+                  <button
+                    onClick={() => setShowSubtitleMenu(!showSubtitleMenu)}
+                    className={`w-12 h-12 sm:w-10 sm:h-10 rounded-full flex items-center justify-center text-white transition-all duration-200 ${
+                      activeSubtitle !== 'off' ? 'bg-blue-600/80 hover:bg-blue-600' : 'bg-white/20 hover:bg-white/30'
+                    }`}
+                    title="Subtitles"
+                  >
+                    <span className="text-xs font-bold">CC</span>
+                  </button>
+                  {showSubtitleMenu && (
+                    <div className="absolute bottom-full right-0 mb-2 bg-black/90 rounded-lg py-2 min-w-[10rem] max-h-64 overflow-y-auto">
+                      {[{ id: 'off', label: 'Off' }, ...subtitleTracks].map(track => (
+                        <button
+                          key={track.id}
+                          onClick={() => {
+                            setActiveSubtitle(track.id);
+                            setShowSubtitleMenu(false);
+                          }}
+                          className={`block w-full text-left px-4 py-2 text-sm hover:bg-white/10 ${
+                            activeSubtitle === track.id ? 'text-blue-400' : 'text-white'
+                          }`}
+                        >
+                          {track.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Fullscreen Button - Enhanced for mobile */}
               {content.media_type === 'video' && (
                 <button
@@ -3,6 +3,7 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useSocket } from '../hooks/useSocket';
 import { formatFileSize } from '../utils/formatters';
 import TranscodingProgressBar from './TranscodingProgressBar';
+import TranscodingProfilesManager from './TranscodingProfilesManager';
 
 // Helper function to get filename from path
 const getFileName = (filePath) => {
@@ -30,7 +31,9 @@ const StorageOptimization = () => {
     enableMetadataCopy: true,
     enableThumbnailGeneration: true,
     maxConcurrentJobs: 2,
-    priorityLevel: 'normal'
+    priorityLevel: 'normal',
+    // Stored transcoding profile name; replaces the settings above when set
+    profile: ''
   });
 
   // Preset configurations
@@ -202,6 +205,21 @@ const StorageOptimization = () => {
     }
   });
 
+  // Fetch stored transcoding profiles (shared with TranscodingProfilesManager)
+  const { data: profilesData } = useQuery({
+    queryKey: ['transcoding-profiles'],
+    queryFn: async () => {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch('/api/storage/transcoding/profiles', {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      if (!response.ok) throw new Error('Failed to fetch transcoding profiles');
+      return response.json();
+    }
+  });
+
   // Auto-optimize mutation
   const autoOptimizeMutation = useMutation({
     mutationFn: async (settings) => {
@@ -1327,16 +1345,37 @@ const StorageOptimization = () => {
             </div>
             <div className="text-xs text-gray-400">
               {systemSettings.autoTranscodingEnabled
-                ? 'New uploads will be automatically transcoded based on system defaults.'
+                ? 'New uploads will be automatically transcoded with the default profile, or the system defaults when none is set.'
                 : 'Auto-transcoding is disabled. Use manual optimization for new uploads.'}
             </div>
             {settingsLoading && <div className="text-blue-400 text-xs mt-2">Saving...</div>}
             {settingsError && <div className="text-red-400 text-xs mt-2">{settingsError}</div>}
           </div>
+          <TranscodingProfilesManager />
           {/* Enhanced Optimization Settings */}
           <div className="bg-gray-800/50 rounded-lg p-4 sm:p-6">
             <h4 className="font-semibold text-white mb-4 text-sm sm:text-base">⚙️ Advanced Transcoding Settings</h4>
             
+            {/* Stored profile, replaces the settings below */}
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-300 mb-2">🎛️ Transcoding Profile</label>
+              <select
+                value={optimizationSettings.profile}
+                onChange={(e) => setOptimizationSettings(prev => ({ ...prev, profile: e.target.value }))}
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">None - use the settings below</option>
+                {(profilesData?.profiles || []).map(profile => (
+                  <option key={profile.id} value={profile.name}>{profile.name}</option>
+                ))}
+              </select>
+              {optimizationSettings.profile && (
+                <div className="text-xs text-gray-400 mt-1">
+                  Selected files are transcoded once with this profile; quality, codec and CRF settings are ignored.
+                </div>
+              )}
+            </div>
+
             {/* Preset Selection */}
             <div className="mb-6">
               <label className="block text-sm font-medium text-gray-300 mb-3">🎯 Quality Presets</label>
@@ -0,0 +1,387 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+const EMPTY_PROFILE_FORM = {
+  name: '',
+  description: '',
+  videoCodec: 'h264',
+  rateControl: 'crf',
+  crf: 23,
+  videoBitrate: '',
+  maxHeight: '',
+  audioCodec: 'aac',
+  audioBitrate: 128,
+  audioChannels: '',
+  container: 'mp4',
+  twoPass: false
+};
+
+const authHeaders = (json = false) => ({
+  'Authorization': `Bearer ${sessionStorage.getItem('token')}`,
+  ...(json ? { 'Content-Type': 'application/json' } : {})
+});
+
+// Empty inputs are sent as null so the server applies "keep source" / no cap
+const toPayload = (form) => ({
+  ...form,
+  crf: form.rateControl === 'crf' ? parseInt(form.crf) : null,
+  videoBitrate: form.videoBitrate === '' ? null : parseInt(form.videoBitrate),
+  maxHeight: form.maxHeight === '' ? null : parseInt(form.maxHeight),
+  audioBitrate: form.audioBitrate === '' ? null : parseInt(form.audioBitrate),
+  audioChannels: form.audioChannels === '' ? null : parseInt(form.audioChannels),
+  twoPass: form.rateControl === 'bitrate' && form.twoPass
+});
+
+const describeProfile = (profile) => [
+  profile.videoCodec.toUpperCase(),
+  profile.rateControl === 'crf'
+    ? `CRF ${profile.crf}${profile.videoBitrate ? ` ≤ ${profile.videoBitrate}k` : ''}`
+    : `${profile.videoBitrate}k${profile.twoPass ? ' 2-pass' : ''}`,
+  profile.maxHeight ? `≤ ${profile.maxHeight}p` : 'Source resolution',
+  profile.audioCodec === 'copy' ? 'Audio copied' : `${profile.audioCodec}${profile.audioBitrate ? ` ${profile.audioBitrate}k` : ''}${profile.audioChannels ? ` ${profile.audioChannels}ch` : ''}`,
+  profile.container.toUpperCase()
+].join(' • ');
+
+// Named transcoding profiles admins can pick per job, per library section,
+// or as the default for auto-transcoding uploads
+const TranscodingProfilesManager = () => {
+  const queryClient = useQueryClient();
+  // Id of the profile being edited, or 'new'
+  const [editingProfile, setEditingProfile] = useState(null);
+  const [profileForm, setProfileForm] = useState(EMPTY_PROFILE_FORM);
+
+  const { data: profilesData, isLoading } = useQuery({
+    queryKey: ['transcoding-profiles'],
+    queryFn: async () => {
+      const response = await fetch('/api/storage/transcoding/profiles', { headers: authHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch transcoding profiles');
+      return response.json();
+    }
+  });
+  const profiles = profilesData?.profiles || [];
+  const options = profilesData?.options;
+
+  const saveProfileMutation = useMutation({
+    mutationFn: async ({ id, form }) => {
+      const response = await fetch(id === 'new' ? '/api/storage/transcoding/profiles' : `/api/storage/transcoding/profiles/${id}`, {
+        method: id === 'new' ? 'POST' : 'PUT',
+        headers: authHeaders(true),
+        body: JSON.stringify(toPayload(form))
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save profile');
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['transcoding-profiles']);
+      setEditingProfile(null);
+      setProfileForm(EMPTY_PROFILE_FORM);
+    },
+    onError: (error) => {
+      alert(`❌ ${error.message}`);
+    }
+  });
+
+  const deleteProfileMutation = useMutation({
+    mutationFn: async (id) => {
+      const response = await fetch(`/api/storage/transcoding/profiles/${id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to delete profile');
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['transcoding-profiles']);
+    },
+    onError: (error) => {
+      alert(`❌ ${error.message}`);
+    }
+  });
+
+  const setDefaultMutation = useMutation({
+    mutationFn: async (profileId) => {
+      const response = await fetch('/api/storage/transcoding/profiles/default', {
+        method: 'PUT',
+        headers: authHeaders(true),
+        body: JSON.stringify({ profileId })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to set the default profile');
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['transcoding-profiles']);
+    },
+    onError: (error) => {
+      alert(`❌ ${error.message}`);
+    }
+  });
+
+  const startEditing = (profile) => {
+    setEditingProfile(profile ? profile.id : 'new');
+    setProfileForm(profile
+      ? {
+        name: profile.name,
+        description: profile.description,
+        videoCodec: profile.videoCodec,
+        rateControl: profile.rateControl,
+        crf: profile.crf ?? 23,
+        videoBitrate: profile.videoBitrate ?? '',
+        maxHeight: profile.maxHeight ?? '',
+        audioCodec: profile.audioCodec,
+        audioBitrate: profile.audioBitrate ?? '',
+        audioChannels: profile.audioChannels ?? '',
+        container: profile.container,
+        twoPass: profile.twoPass
+      }
+      : EMPTY_PROFILE_FORM);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    saveProfileMutation.mutate({ id: editingProfile, form: profileForm });
+  };
+
+  const handleDelete = (profile) => {
+    if (window.confirm(`Delete the "${profile.name}" profile? Libraries using it stop auto-transcoding; queued jobs are not affected.`)) {
+      deleteProfileMutation.mutate(profile.id);
+    }
+  };
+
+  const updateForm = (field, value) => setProfileForm(prev => ({ ...prev, [field]: value }));
+
+  // Only offer codecs the selected container can carry
+  const container = options?.containers.find(entry => entry.key === profileForm.container);
+  const videoCodecs = (options?.videoCodecs || []).filter(codec => !container || container.videoCodecs.includes(codec.key));
+  const audioCodecs = (options?.audioCodecs || []).filter(codec => !container || container.audioCodecs.includes(codec.key));
+  const maxCrf = options?.videoCodecs.find(codec => codec.key === profileForm.videoCodec)?.maxCrf || 51;
+  const inputClass = 'w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white text-sm';
+
+  return (
+    <div className="bg-gray-800/50 rounded-lg p-4 sm:p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h4 className="font-semibold text-white text-sm sm:text-base">🎛️ Transcoding Profiles</h4>
+          <p className="text-xs text-gray-400 mt-1">
+            Pick a profile when queueing files, for a library, or as the default for auto-transcoding uploads.
+          </p>
+        </div>
+        {!editingProfile && (
+          <button
+            onClick={() => startEditing(null)}
+            className="btn-modern bg-blue-600 hover:bg-blue-700 text-white text-xs sm:text-sm"
+          >
+            ➕ New Profile
+          </button>
+        )}
+      </div>
+
+      {editingProfile && (
+        <form onSubmit={handleSave} className="bg-gray-700/30 rounded-lg p-4 mb-4 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-300 mb-1">Name</label>
+              <input
+                type="text"
+                value={profileForm.name}
+                onChange={(e) => updateForm('name', e.target.value)}
+                required
+                maxLength={32}
+                pattern="[A-Za-z0-9][A-Za-z0-9_\-]*"
+                placeholder="e.g. web-720"
+                className={inputClass}
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-xs font-medium text-gray-300 mb-1">Description</label>
+              <input
+                type="text"
+                value={profileForm.description}
+                onChange={(e) => updateForm('description', e.target.value)}
+                maxLength={255}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-300 mb-1">Container</label>
+              <select value={profileForm.container} onChange={(e) => updateForm('container', e.target.value)} className={inputClass}>
+                {(options?.containers || []).map(entry => (
+                  <option key={entry.key} value={entry.key}>{entry.key.toUpperCase()}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-300 mb-1">Video codec</label>
+              <select value={profileForm.videoCodec} onChange={(e) => updateForm('videoCodec', e.target.value)} className={inputClass}>
+                {videoCodecs.map(codec => (
+                  <option key={codec.key} value={codec.key} disabled={!codec.available}>
+                    {codec.label} ({codec.available ? codec.encoder : 'not available'})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-300 mb-1">Resolution cap</label>
+              <select value={profileForm.maxHeight} onChange={(e) => updateForm('maxHeight', e.target.value)} className={inputClass}>
+                <option value="">Keep source resolution</option>
+                {(options?.maxHeights || []).map(height => (
+                  <option key={height} value={height}>{height}p</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-300 mb-1">Rate control</label>
+              <select value={profileForm.rateControl} onChange={(e) => updateForm('rateControl', e.target.value)} className={inputClass}>
+                <option value="crf">Constant quality (CRF)</option>
+                <option value="bitrate">Target bitrate</option>
+              </select>
+            </div>
+            {profileForm.rateControl === 'crf' && (
+              <div>
+                <label className="block text-xs font-medium text-gray-300 mb-1">CRF (0-{maxCrf}, lower is better)</label>
+                <input
+                  type="number"
+                  value={profileForm.crf}
+                  onChange={(e) => updateForm('crf', e.target.value)}
+                  required
+                  min="0"
+                  max={maxCrf}
+                  className={inputClass}
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-xs font-medium text-gray-300 mb-1">
+                {profileForm.rateControl === 'crf' ? 'Max video bitrate (kbps, optional)' : 'Video bitrate (kbps)'}
+              </label>
+              <input
+                type="number"
+                value={profileForm.videoBitrate}
+                onChange={(e) => updateForm('videoBitrate', e.target.value)}
+                required={profileForm.rateControl === 'bitrate'}
+                min="100"
+                max="100000"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-300 mb-1">Audio codec</label>
+              <select value={profileForm.audioCodec} onChange={(e) => updateForm('audioCodec', e.target.value)} className={inputClass}>
+                {audioCodecs.map(codec => (
+                  <option key={codec.key} value={codec.key} disabled={!codec.available}>
+                    {codec.label}{codec.available ? '' : ' (not available)'}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {!['copy', 'flac'].includes(profileForm.audioCodec) && (
+              <div>
+                <label className="block text-xs font-medium text-gray-300 mb-1">Audio bitrate (kbps)</label>
+                <input
+                  type="number"
+                  value={profileForm.audioBitrate}
+                  onChange={(e) => updateForm('audioBitrate', e.target.value)}
+                  min="32"
+                  max="1536"
+                  className={inputClass}
+                />
+              </div>
+            )}
+            {profileForm.audioCodec !== 'copy' && (
+              <div>
+                <label className="block text-xs font-medium text-gray-300 mb-1">Audio channels</label>
+                <select value={profileForm.audioChannels} onChange={(e) => updateForm('audioChannels', e.target.value)} className={inputClass}>
+                  <option value="">Keep source layout</option>
+                  {(options?.audioChannels || []).map(channels => (
+                    <option key={channels} value={channels}>
+                      {channels === 1 ? 'Mono' : channels === 2 ? 'Stereo' : `${channels - 1}.1`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+          {profileForm.rateControl === 'bitrate' && (
+            <label className="flex items-center space-x-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={profileForm.twoPass}
+                onChange={(e) => updateForm('twoPass', e.target.checked)}
+                className="rounded border-gray-600 bg-gray-700 text-blue-600 focus:ring-blue-500"
+              />
+              <span className="text-sm text-white">Two-pass encoding</span>
+              <span className="text-xs text-gray-400">(software encoders and NVENC; slower, more even quality)</span>
+            </label>
+          )}
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={saveProfileMutation.isLoading}
+              className="btn-modern bg-blue-600 hover:bg-blue-700 text-white text-xs sm:text-sm disabled:opacity-50"
+            >
+              {saveProfileMutation.isLoading ? 'Saving...' : 'Save Profile'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditingProfile(null)}
+              className="btn-modern bg-gray-600 hover:bg-gray-700 text-white text-xs sm:text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ? (
+        <div className="text-gray-400 text-sm">Loading profiles...</div>
+      ) : profiles.length === 0 ? (
+        <div className="text-gray-400 text-sm">No profiles yet. Jobs use the built-in quality presets.</div>
+      ) : (
+        <div className="space-y-2">
+          {profiles.map(profile => (
+            <div key={profile.id} className="bg-gray-700/30 rounded-lg p-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+              <div>
+                <div className="flex items-center gap-2">
+                  <span className="text-sm font-medium text-white">{profile.name}</span>
+                  {profile.isDefault && (
+                    <span className="px-2 py-0.5 rounded-full bg-green-500/20 text-green-300 border border-green-500/30 text-xs">
+                      Upload default
+                    </span>
+                  )}
+                </div>
+                {profile.description && <div className="text-xs text-gray-400 mt-0.5">{profile.description}</div>}
+                <div className="text-xs text-gray-400 mt-1">{describeProfile(profile)}</div>
+              </div>
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                <button
+                  onClick={() => setDefaultMutation.mutate(profile.isDefault ? null : profile.id)}
+                  disabled={setDefaultMutation.isLoading}
+                  className="px-3 py-1.5 bg-gray-600 hover:bg-gray-500 text-white rounded-lg text-xs font-semibold disabled:opacity-50"
+                >
+                  {profile.isDefault ? '☆ Unset default' : '⭐ Use for uploads'}
+                </button>
+                <button
+                  onClick={() => startEditing(profile)}
+                  className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-xs font-semibold"
+                >
+                  ✏️ Edit
+                </button>
+                <button
+                  onClick={() => handleDelete(profile)}
+                  disabled={deleteProfileMutation.isLoading}
+                  className="px-3 py-1.5 bg-red-600 hover:bg-red-700 text-white rounded-lg text-xs font-semibold disabled:opacity-50"
+                >
+                  🗑️ Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TranscodingProfilesManager;
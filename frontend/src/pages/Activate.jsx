@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { authManager } from '../utils/authManager';
+
+// Approve a TV/Roku sign in using the code shown on the device
+const Activate = () => {
+  const [searchParams] = useSearchParams();
+  const [userCode, setUserCode] = useState(searchParams.get('code') || '');
+  const [request, setRequest] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const lookupCode = async (code) => {
+    setLoading(true);
+    setError('');
+    setRequest(null);
+
+    try {
+      const response = await authManager.apiRequest(`/api/auth/device/${encodeURIComponent(code.trim())}`);
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setRequest(data.request);
+      } else {
+        setError(data.error || 'Code not found');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+      console.error('Device code lookup error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Codes from the TV's QR link are looked up straight away
+  useEffect(() => {
+    if (searchParams.get('code')) {
+      lookupCode(searchParams.get('code'));
+    }
+  }, []);
+
+  const handleLookup = (e) => {
+    e.preventDefault();
+    if (userCode.trim()) {
+      lookupCode(userCode);
+    }
+  };
+
+  const handleDecision = async (approve) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await authManager.apiRequest('/api/auth/device/approve', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userCode: request.userCode, approve })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setResult({ approved: data.approved, message: data.message });
+        setRequest(null);
+      } else {
+        setError(data.error || 'Failed to update the request');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+      console.error('Device approval error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const reset = () => {
+    setResult(null);
+    setRequest(null);
+    setUserCode('');
+    setError('');
+  };
+
+  return (
+    <div className="max-w-md mx-auto py-8 px-4">
+      <div className="text-center mb-6">
+        <div className="text-4xl mb-2">📺</div>
+        <h1 className="text-2xl font-bold text-white">Sign in a TV or device</h1>
+        <p className="text-slate-400 text-sm mt-1">
+          Enter the code shown on your TV, Roku or other device.
+        </p>
+      </div>
+
+      <div className="card-modern p-6 space-y-5">
+        {error && (
+          <div className="bg-gradient-to-r from-red-500/20 to-red-600/20 border border-red-500/30 text-red-300 p-3 rounded-modern text-sm">
+            ⚠️ {error}
+          </div>
+        )}
+
+        {result ? (
+          <div className="text-center space-y-4">
+            <div className={`p-4 rounded-modern text-sm ${
+              result.approved
+                ? 'bg-green-500/20 border border-green-500/30 text-green-300'
+                : 'bg-slate-700/50 text-slate-300'
+            }`}>
+              {result.approved ? '✅' : '🚫'} {result.message}
+            </div>
+            {result.approved && (
+              <p className="text-slate-400 text-xs">
+                You can sign the device out at any time from the active sessions list on your{' '}
+                <Link to="/profile" className="text-blue-400 hover:text-blue-300">profile</Link>.
+              </p>
+            )}
+            <button
+              onClick={reset}
+              className="text-blue-400 hover:text-blue-300 text-sm font-medium"
+            >
+              Pair another device
+            </button>
+          </div>
+        ) : request ? (
+          <div className="space-y-4">
+            <div className="bg-slate-700/50 rounded-modern p-4 text-center">
+              <div className="text-white font-semibold text-lg">{request.deviceName}</div>
+              <div className="text-slate-400 text-sm">{request.deviceType}</div>
+              <div className="text-blue-300 font-mono tracking-widest mt-2">{request.userCode}</div>
+            </div>
+            <p className="text-slate-300 text-sm">
+              This device will be signed in to your account. Only continue if you started this on a device you own.
+            </p>
+            <div className="grid grid-cols-2 gap-3">
+              <button
+                onClick={() => handleDecision(false)}
+                disabled={loading}
+                className="btn-modern bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-white font-semibold py-2"
+              >
+                Deny
+              </button>
+              <button
+                onClick={() => handleDecision(true)}
+                disabled={loading}
+                className="btn-modern bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 disabled:opacity-50 text-white font-semibold py-2"
+              >
+                {loading ? 'Approving...' : 'Approve'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleLookup} className="space-y-4">
+            <input
+              type="text"
+              value={userCode}
+              onChange={(e) => setUserCode(e.target.value.toUpperCase())}
+              required
+              autoFocus
+              maxLength={9}
+              className="input-modern text-center text-xl font-mono tracking-widest"
+              placeholder="XXXX-XXXX"
+            />
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full btn-modern bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 disabled:from-slate-600 disabled:to-slate-700 text-white font-semibold py-3"
+            >
+              {loading ? 'Checking...' : 'Continue'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Activate;
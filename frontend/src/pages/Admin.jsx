@@ -3,8 +3,35 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import StorageOptimization from '../components/StorageOptimization';
 import StorageAnalysis from '../components/StorageAnalysis';
 import AdminWhitelistManager from '../components/AdminWhitelistManager';
+import LibrarySectionsManager from '../components/LibrarySectionsManager';
+import AuditLogViewer from '../components/AuditLogViewer';
+import LoginProtectionPanel from '../components/LoginProtectionPanel';
+import useAuth from '../hooks/useAuth';
+import { hasPermission } from '../utils/permissions';
+
+// Admin tabs and the permission each one needs
+const TAB_PERMISSIONS = {
+  users: 'manage-users',
+  invites: 'manage-users',
+  roles: 'manage-users',
+  libraries: 'manage-settings',
+  streaming: 'view-analytics',
+  storage: 'manage-transcoding',
+  'error-testing': 'manage-settings',
+  'support-whitelist': 'manage-settings',
+  audit: 'manage-settings'
+};
+
+const EMPTY_ROLE_FORM = { name: '', label: '', description: '', permissions: [] };
+
+// librarySectionIds: null gives the new account every library
+const EMPTY_INVITE_FORM = { expiresInDays: 7, maxUses: 1, isIndefinite: false, librarySectionIds: null };
 
 const Admin = () => {
+  const { user: currentUser } = useAuth();
+  const canManageUsers = hasPermission(currentUser, 'manage-users');
+  const allowedTabs = Object.keys(TAB_PERMISSIONS).filter(tab => hasPermission(currentUser, TAB_PERMISSIONS[tab]));
+
   const [activeTab, setActiveTab] = useState(() => {
     // Try to get the last active tab from localStorage, default to 'error-testing'
     return localStorage.getItem('adminActiveTab') || 'error-testing';
@@ -16,17 +43,8 @@ const Admin = () => {
     localStorage.setItem('adminActiveTab', tabName);
   };
   const [storageSubTab, setStorageSubTab] = useState('optimization');
-  const [inviteForm, setInviteForm] = useState({
-    expiresInDays: 7,
-    maxUses: 1,
-    isIndefinite: false
-  });
-  const [emailInviteForm, setEmailInviteForm] = useState({
-    email: '',
-    expiresInDays: 7,
-    maxUses: 1,
-    isIndefinite: false
-  });
+  const [inviteForm, setInviteForm] = useState(EMPTY_INVITE_FORM);
+  const [emailInviteForm, setEmailInviteForm] = useState({ email: '', ...EMPTY_INVITE_FORM });
   
   // Streaming management state
   const [activeStreams, setActiveStreams] = useState([]);
@@ -44,6 +62,18 @@ const Admin = () => {
   const [monthlyBandwidthLoading, setMonthlyBandwidthLoading] = useState(false);
   const [showInvestigationModal, setShowInvestigationModal] = useState(false);
   const [investigationDetailsTab, setInvestigationDetailsTab] = useState('summary');
+
+  // Custom role editor; editingRole is the key of the role being edited, or 'new'
+  const [editingRole, setEditingRole] = useState(null);
+  const [roleForm, setRoleForm] = useState(EMPTY_ROLE_FORM);
+
+  // Parental controls editor ({ user, settings, ratings, form })
+  const [parentalEditor, setParentalEditor] = useState(null);
+  const [savingParental, setSavingParental] = useState(false);
+
+  // Library access editor ({ user, form: { allLibraries, sectionIds } })
+  const [libraryEditor, setLibraryEditor] = useState(null);
+  const [savingLibraryAccess, setSavingLibraryAccess] = useState(false);
   
   // Streaming settings state
   const [streamingSettings, setStreamingSettings] = useState(null);
@@ -52,7 +82,8 @@ const Admin = () => {
     maxResolution: '1080p',
     bitrateLimit: '20',
     totalBandwidthLimit: '150',
-    perUserBandwidthLimit: '25'
+    perUserBandwidthLimit: '25',
+    maxLiveTranscodes: '2'
   });
   const [savingSettings, setSavingSettings] = useState(false);
   
@@ -71,11 +102,62 @@ const Admin = () => {
       if (!response.ok) throw new Error('Failed to fetch users');
       return response.json();
     },
+    enabled: canManageUsers,
     refetchInterval: 10000, // Refresh every 10 seconds
     refetchIntervalInBackground: true, // Continue refreshing even when tab is not active
     staleTime: 5000 // Consider data stale after 5 seconds
   });
 
+  // Fetch two-factor policy
+  const { data: twoFactorPolicy } = useQuery({
+    queryKey: ['two-factor-policy'],
+    queryFn: async () => {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch('/api/admin/security/two-factor', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) throw new Error('Failed to fetch two-factor policy');
+      return response.json();
+    },
+    enabled: canManageUsers
+  });
+
+  // Fetch built-in and custom roles
+  const { data: rolesData } = useQuery({
+    queryKey: ['roles'],
+    queryFn: async () => {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch('/api/admin/roles', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) throw new Error('Failed to fetch roles');
+      return response.json();
+    },
+    enabled: canManageUsers
+  });
+  const roles = rolesData?.roles || [];
+  const customRoles = roles.filter(role => !role.builtIn);
+  const getRoleLabel = (role) => roles.find(r => r.name === role)?.label || role;
+
+  // Fetch library sections (for invites and per-user access)
+  const { data: librarySectionsData } = useQuery({
+    queryKey: ['library-sections'],
+    queryFn: async () => {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch('/api/admin/library-sections', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) throw new Error('Failed to fetch libraries');
+      return response.json();
+    },
+    enabled: canManageUsers
+  });
+  const librarySections = librarySectionsData?.sections || [];
+  const getLibraryNames = (sectionIds) => sectionIds
+    .map(id => librarySections.find(section => section.id === id)?.name)
+    .filter(Boolean)
+    .join(', ');
+
   // Fetch invite tokens
   const { data: invites, isLoading: invitesLoading } = useQuery({
     queryKey: ['invites'],
@@ -87,6 +169,7 @@ const Admin = () => {
       if (!response.ok) throw new Error('Failed to fetch invites');
       return response.json();
     },
+    enabled: canManageUsers,
     refetchInterval: 10000, // Refresh every 10 seconds
     refetchIntervalInBackground: true, // Continue refreshing even when tab is not active
     staleTime: 5000 // Consider data stale after 5 seconds
@@ -109,7 +192,7 @@ const Admin = () => {
     },
     onSuccess: () => {
       queryClient.invalidateQueries(['invites']);
-      setInviteForm({ expiresInDays: 7, maxUses: 1, isIndefinite: false });
+      setInviteForm(EMPTY_INVITE_FORM);
     }
   });
 
@@ -133,7 +216,7 @@ const Admin = () => {
     },
     onSuccess: (data) => {
       queryClient.invalidateQueries(['invites']);
-      setEmailInviteForm({ email: '', expiresInDays: 7, maxUses: 1, isIndefinite: false });
+      setEmailInviteForm({ email: '', ...EMPTY_INVITE_FORM });
       
       // Show appropriate notification based on email status
       const notification = document.createElement('div');
@@ -187,6 +270,54 @@ const Admin = () => {
     }
   });
 
+  // Create or update a custom role
+  const saveRoleMutation = useMutation({
+    mutationFn: async ({ name, isNew, form }) => {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch(isNew ? '/api/admin/roles' : `/api/admin/roles/${name}`, {
+        method: isNew ? 'POST' : 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(form)
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save role');
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['roles']);
+      queryClient.invalidateQueries(['two-factor-policy']);
+      setEditingRole(null);
+      setRoleForm(EMPTY_ROLE_FORM);
+    },
+    onError: (error) => {
+      alert(`❌ ${error.message}`);
+    }
+  });
+
+  // Delete a custom role
+  const deleteRoleMutation = useMutation({
+    mutationFn: async (name) => {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch(`/api/admin/roles/${name}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to delete role');
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['roles']);
+      queryClient.invalidateQueries(['two-factor-policy']);
+    },
+    onError: (error) => {
+      alert(`❌ ${error.message}`);
+    }
+  });
+
   // Toggle admin role mutation (legacy)
   const toggleAdminMutation = useMutation({
     mutationFn: async ({ userId, isAdmin }) => {
@@ -426,6 +557,192 @@ const Admin = () => {
     }
   };
 
+  // Require (or stop requiring) 2FA for a role
+  const toggleTwoFactorRole = async (role) => {
+    const current = twoFactorPolicy?.requiredRoles || [];
+    const requiredRoles = current.includes(role)
+      ? current.filter(r => r !== role)
+      : [...current, role];
+
+    try {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch('/api/admin/security/two-factor', {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ requiredRoles })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        alert(`❌ Failed to update two-factor policy: ${result.error || 'Unknown error'}`);
+      }
+      queryClient.invalidateQueries(['two-factor-policy']);
+    } catch (error) {
+      console.error('Update two-factor policy error:', error);
+    }
+  };
+
+  // Clear a user's 2FA so they can enroll again
+  const resetUserTwoFactor = async (userId, username) => {
+    if (!window.confirm(`Reset two-factor authentication for "${username}"? They will sign in with just their password (or be asked to enroll again if their role requires 2FA).`)) {
+      return;
+    }
+
+    try {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch(`/api/admin/users/${userId}/two-factor`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const result = await response.json();
+      if (response.ok && result.success) {
+        alert(`✅ ${result.message}`);
+        queryClient.invalidateQueries(['users']);
+      } else {
+        alert(`❌ Failed to reset two-factor authentication: ${result.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Reset two-factor error:', error);
+    }
+  };
+
+  // Open the parental controls editor for a user
+  const openParentalControls = async (user) => {
+    try {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch(`/api/admin/users/${user.id}/parental-controls`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const result = await response.json();
+      if (response.ok && result.success) {
+        setParentalEditor({
+          user,
+          ratings: result.ratings,
+          form: {
+            maxRating: result.settings.maxRating || '',
+            blockedTags: result.settings.blockedTags.join(', '),
+            allowUnrated: result.settings.allowUnrated
+          }
+        });
+      } else {
+        alert(`❌ Failed to load parental controls: ${result.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Load parental controls error:', error);
+    }
+  };
+
+  const saveParentalControls = async () => {
+    setSavingParental(true);
+    try {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch(`/api/admin/users/${parentalEditor.user.id}/parental-controls`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          maxRating: parentalEditor.form.maxRating || null,
+          blockedTags: parentalEditor.form.blockedTags.split(','),
+          allowUnrated: parentalEditor.form.allowUnrated
+        })
+      });
+      const result = await response.json();
+      if (response.ok && result.success) {
+        alert(`✅ ${result.message}`);
+        setParentalEditor(null);
+      } else {
+        alert(`❌ Failed to update parental controls: ${result.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Update parental controls error:', error);
+    } finally {
+      setSavingParental(false);
+    }
+  };
+
+  // Open the library access editor for a user
+  const openLibraryAccess = async (user) => {
+    try {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch(`/api/admin/users/${user.id}/library-access`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const result = await response.json();
+      if (response.ok && result.success) {
+        setLibraryEditor({ user, form: result.access });
+      } else {
+        alert(`❌ Failed to load library access: ${result.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Load library access error:', error);
+    }
+  };
+
+  const saveLibraryAccess = async () => {
+    setSavingLibraryAccess(true);
+    try {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch(`/api/admin/users/${libraryEditor.user.id}/library-access`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(libraryEditor.form)
+      });
+      const result = await response.json();
+      if (response.ok && result.success) {
+        alert(`✅ ${result.message}`);
+        setLibraryEditor(null);
+      } else {
+        alert(`❌ Failed to update library access: ${result.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Update library access error:', error);
+    } finally {
+      setSavingLibraryAccess(false);
+    }
+  };
+
+  const toggleSectionId = (sectionIds, sectionId) => (
+    sectionIds.includes(sectionId)
+      ? sectionIds.filter(id => id !== sectionId)
+      : [...sectionIds, sectionId]
+  );
+
+  // Library picker shared by both invite forms
+  const renderInviteLibraries = (form, setForm) => librarySections.length > 0 && (
+    <div>
+      <label className="flex items-center space-x-2 mb-2">
+        <input
+          type="checkbox"
+          checked={form.librarySectionIds === null}
+          onChange={(e) => setForm({ ...form, librarySectionIds: e.target.checked ? null : [] })}
+          className="rounded bg-gray-700 border-gray-600 text-blue-600 w-5 h-5"
+        />
+        <span className="text-sm text-gray-300">Access to all libraries</span>
+      </label>
+      {form.librarySectionIds !== null && (
+        <div className="flex flex-wrap gap-2 ml-7">
+          {librarySections.map(section => (
+            <label key={section.id} className="flex items-center space-x-2 px-3 py-1.5 bg-gray-700 rounded-md text-sm text-gray-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={form.librarySectionIds.includes(section.id)}
+                onChange={() => setForm({ ...form, librarySectionIds: toggleSectionId(form.librarySectionIds, section.id) })}
+              />
+              <span>{section.name}</span>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
   // Fetch streaming settings
   const fetchStreamingSettings = async () => {
     setStreamingSettingsLoading(true);
@@ -446,7 +763,8 @@ const Admin = () => {
             maxResolution: result.settings.maxResolution !== undefined ? result.settings.maxResolution : '1080p',
             bitrateLimit: result.settings.bitrateLimit !== undefined ? result.settings.bitrateLimit : '20',
             totalBandwidthLimit: result.settings.totalBandwidthLimit !== undefined ? result.settings.totalBandwidthLimit : '150',
-            perUserBandwidthLimit: result.settings.perUserBandwidthLimit !== undefined ? result.settings.perUserBandwidthLimit : '25'
+            perUserBandwidthLimit: result.settings.perUserBandwidthLimit !== undefined ? result.settings.perUserBandwidthLimit : '25',
+            maxLiveTranscodes: result.settings.maxLiveTranscodes !== undefined ? String(result.settings.maxLiveTranscodes) : '2'
           });
         }
       }
@@ -526,13 +844,7 @@ const Admin = () => {
   };
 
   const handleRoleChange = (userId, username, newRole) => {
-    const roleNames = {
-      'admin': 'Administrator',
-      'manager': 'Content Manager',
-      'user': 'User'
-    };
-    
-    if (window.confirm(`Are you sure you want to change "${username}" to ${roleNames[newRole]}?`)) {
+    if (window.confirm(`Are you sure you want to change "${username}" to ${getRoleLabel(newRole)}?`)) {
       updateRoleMutation.mutate({ userId, role: newRole });
     }
   };
@@ -568,6 +880,40 @@ const Admin = () => {
     }
   };
 
+  const startEditingRole = (role) => {
+    setEditingRole(role ? role.name : 'new');
+    setRoleForm(role
+      ? { name: role.name, label: role.label, description: role.description || '', permissions: role.permissions }
+      : EMPTY_ROLE_FORM);
+  };
+
+  const toggleRolePermission = (permission) => {
+    setRoleForm(form => ({
+      ...form,
+      permissions: form.permissions.includes(permission)
+        ? form.permissions.filter(p => p !== permission)
+        : [...form.permissions, permission]
+    }));
+  };
+
+  const handleSaveRole = (e) => {
+    e.preventDefault();
+    saveRoleMutation.mutate({ name: editingRole, isNew: editingRole === 'new', form: roleForm });
+  };
+
+  const handleDeleteRole = (role) => {
+    if (window.confirm(`Delete the "${role.label}" role?`)) {
+      deleteRoleMutation.mutate(role.name);
+    }
+  };
+
+  // Fall back to the first tab this user's permissions allow
+  useEffect(() => {
+    if (allowedTabs.length > 0 && !allowedTabs.includes(activeTab)) {
+      setActiveTab(allowedTabs[0]);
+    }
+  }, [activeTab, allowedTabs.join(',')]);
+
   // Load data when switching to streaming tab
   useEffect(() => {
     if (activeTab === 'streaming') {
@@ -629,98 +975,160 @@ const Admin = () => {
 
           {/* Navigation Menu */}
           <nav className="p-4 space-y-2">
-            <button
-              onClick={() => handleTabChange('users')}
-              className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
-                activeTab === 'users' 
-                  ? 'bg-purple-600/20 text-purple-300 border border-purple-600/30' 
-                  : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
-              }`}
-            >
-              <span className="text-xl">{usersLoading ? '⏳' : '👥'}</span>
-              <div>
-                <div className="font-medium">User Management</div>
-                <div className="text-xs opacity-75">
-                  {usersLoading ? 'Refreshing...' : `${users?.length || 0} users`}
+            {allowedTabs.includes('users') && (
+              <button
+                onClick={() => handleTabChange('users')}
+                className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
+                  activeTab === 'users' 
+                    ? 'bg-purple-600/20 text-purple-300 border border-purple-600/30' 
+                    : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
+                }`}
+              >
+                <span className="text-xl">{usersLoading ? '⏳' : '👥'}</span>
+                <div>
+                  <div className="font-medium">User Management</div>
+                  <div className="text-xs opacity-75">
+                    {usersLoading ? 'Refreshing...' : `${users?.length || 0} users`}
+                  </div>
                 </div>
-              </div>
-            </button>
+              </button>
+            )}
             
-            <button
-              onClick={() => handleTabChange('invites')}
-              className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
-                activeTab === 'invites' 
-                  ? 'bg-blue-600/20 text-blue-300 border border-blue-600/30' 
-                  : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
-              }`}
-            >
-              <span className="text-xl">{invitesLoading ? '⏳' : '📧'}</span>
-              <div>
-                <div className="font-medium">Invite System</div>
-                <div className="text-xs opacity-75">
-                  {invitesLoading ? 'Refreshing...' : `${invites?.length || 0} active codes`}
+            {allowedTabs.includes('invites') && (
+              <button
+                onClick={() => handleTabChange('invites')}
+                className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
+                  activeTab === 'invites' 
+                    ? 'bg-blue-600/20 text-blue-300 border border-blue-600/30' 
+                    : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
+                }`}
+              >
+                <span className="text-xl">{invitesLoading ? '⏳' : '📧'}</span>
+                <div>
+                  <div className="font-medium">Invite System</div>
+                  <div className="text-xs opacity-75">
+                    {invitesLoading ? 'Refreshing...' : `${invites?.length || 0} active codes`}
+                  </div>
                 </div>
-              </div>
-            </button>
+              </button>
+            )}
             
-            <button
-              onClick={() => handleTabChange('streaming')}
-              className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
-                activeTab === 'streaming' 
-                  ? 'bg-red-600/20 text-red-300 border border-red-600/30' 
-                  : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
-              }`}
-            >
-              <span className="text-xl">🎬</span>
-              <div>
-                <div className="font-medium">Streaming Control</div>
-                <div className="text-xs opacity-75">Monitor & manage streams</div>
-              </div>
-            </button>
+            {allowedTabs.includes('roles') && (
+              <button
+                onClick={() => handleTabChange('roles')}
+                className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
+                  activeTab === 'roles' 
+                    ? 'bg-purple-600/20 text-purple-300 border border-purple-600/30' 
+                    : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
+                }`}
+              >
+                <span className="text-xl">🔑</span>
+                <div>
+                  <div className="font-medium">Roles & Permissions</div>
+                  <div className="text-xs opacity-75">{customRoles.length} custom roles</div>
+                </div>
+              </button>
+            )}
             
-            <button
-              onClick={() => handleTabChange('storage')}
-              className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
-                activeTab === 'storage' 
-                  ? 'bg-green-600/20 text-green-300 border border-green-600/30' 
-                  : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
-              }`}
-            >
-              <span className="text-xl">💾</span>
-              <div>
-                <div className="font-medium">Storage Management</div>
-                <div className="text-xs opacity-75">Optimize & analyze</div>
-              </div>
-            </button>
+            {allowedTabs.includes('libraries') && (
+              <button
+                onClick={() => handleTabChange('libraries')}
+                className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
+                  activeTab === 'libraries' 
+                    ? 'bg-indigo-600/20 text-indigo-300 border border-indigo-600/30' 
+                    : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
+                }`}
+              >
+                <span className="text-xl">📚</span>
+                <div>
+                  <div className="font-medium">Libraries</div>
+                  <div className="text-xs opacity-75">Sections & folders</div>
+                </div>
+              </button>
+            )}
             
-            <button
-              onClick={() => handleTabChange('error-testing')}
-              className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
-                activeTab === 'error-testing' 
-                  ? 'bg-orange-600/20 text-orange-300 border border-orange-600/30' 
-                  : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
-              }`}
-            >
-              <span className="text-xl">🧪</span>
-              <div>
-                <div className="font-medium">Error Testing</div>
-                <div className="text-xs opacity-75">Test error tracking</div>
-              </div>
-            </button>
-            <button
-              onClick={() => handleTabChange('support-whitelist')}
-              className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
-                activeTab === 'support-whitelist' 
-                  ? 'bg-blue-600/20 text-blue-300 border border-blue-600/30' 
-                  : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
-              }`}
-            >
-              <span className="text-xl">📧</span>
-              <div>
-                <div className="font-medium">Support Whitelist</div>
-                <div className="text-xs opacity-75">Manage admin recipients</div>
-              </div>
-            </button>
+            {allowedTabs.includes('streaming') && (
+              <button
+                onClick={() => handleTabChange('streaming')}
+                className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
+                  activeTab === 'streaming' 
+                    ? 'bg-red-600/20 text-red-300 border border-red-600/30' 
+                    : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
+                }`}
+              >
+                <span className="text-xl">🎬</span>
+                <div>
+                  <div className="font-medium">Streaming Control</div>
+                  <div className="text-xs opacity-75">Monitor & manage streams</div>
+                </div>
+              </button>
+            )}
+            
+            {allowedTabs.includes('storage') && (
+              <button
+                onClick={() => handleTabChange('storage')}
+                className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
+                  activeTab === 'storage' 
+                    ? 'bg-green-600/20 text-green-300 border border-green-600/30' 
+                    : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
+                }`}
+              >
+                <span className="text-xl">💾</span>
+                <div>
+                  <div className="font-medium">Storage Management</div>
+                  <div className="text-xs opacity-75">Optimize & analyze</div>
+                </div>
+              </button>
+            )}
+            
+            {allowedTabs.includes('error-testing') && (
+              <button
+                onClick={() => handleTabChange('error-testing')}
+                className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
+                  activeTab === 'error-testing' 
+                    ? 'bg-orange-600/20 text-orange-300 border border-orange-600/30' 
+                    : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
+                }`}
+              >
+                <span className="text-xl">🧪</span>
+                <div>
+                  <div className="font-medium">Error Testing</div>
+                  <div className="text-xs opacity-75">Test error tracking</div>
+                </div>
+              </button>
+            )}
+            {allowedTabs.includes('support-whitelist') && (
+              <button
+                onClick={() => handleTabChange('support-whitelist')}
+                className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
+                  activeTab === 'support-whitelist' 
+                    ? 'bg-blue-600/20 text-blue-300 border border-blue-600/30' 
+                    : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
+                }`}
+              >
+                <span className="text-xl">📧</span>
+                <div>
+                  <div className="font-medium">Support Whitelist</div>
+                  <div className="text-xs opacity-75">Manage admin recipients</div>
+                </div>
+              </button>
+            )}
+            {allowedTabs.includes('audit') && (
+              <button
+                onClick={() => handleTabChange('audit')}
+                className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-left transition-all ${
+                  activeTab === 'audit' 
+                    ? 'bg-amber-600/20 text-amber-300 border border-amber-600/30' 
+                    : 'text-slate-300 hover:text-white hover:bg-slate-700/50'
+                }`}
+              >
+                <span className="text-xl">📜</span>
+                <div>
+                  <div className="font-medium">Audit Log</div>
+                  <div className="text-xs opacity-75">Who changed what</div>
+                </div>
+              </button>
+            )}
           </nav>
         </div>
 
@@ -754,6 +1162,31 @@ const Admin = () => {
               </div>
             </div>
             
+            {/* Two-factor policy */}
+            <div className="card-modern p-4 mb-6 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+              <div>
+                <h3 className="text-sm font-semibold text-white">🔐 Require two-factor authentication</h3>
+                <p className="text-xs text-slate-400">
+                  Users in these roles must set up an authenticator app at their next sign in.
+                </p>
+              </div>
+              <div className="flex items-center space-x-4">
+                {(twoFactorPolicy?.enforceableRoles || ['admin', 'manager']).map(role => (
+                  <label key={role} className="flex items-center space-x-2 text-sm text-slate-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={twoFactorPolicy?.requiredRoles?.includes(role) || false}
+                      onChange={() => toggleTwoFactorRole(role)}
+                      className="rounded"
+                    />
+                    <span>{getRoleLabel(role)}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <LoginProtectionPanel />
+
             {usersLoading ? (
               <div className="card-modern p-12 text-center">
                 <div className="loading-spinner w-8 h-8 mx-auto mb-4"></div>
@@ -803,6 +1236,7 @@ const Admin = () => {
                               {user.role === 'manager' && '🎬 Manager'}
                               {(user.role === 'user' || (!user.role && !user.is_admin)) && '👤 User'}
                               {user.is_admin && !user.role && '👑 Admin'}
+                              {customRoles.some(role => role.name === user.role) && `🔑 ${getRoleLabel(user.role)}`}
                             </span>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
@@ -814,6 +1248,11 @@ const Admin = () => {
                               <div className={`w-2 h-2 rounded-full mr-2 ${user.is_active ? 'bg-green-400' : 'bg-red-400'}`}></div>
                               {user.is_active ? 'Active' : 'Inactive'}
                             </span>
+                            {user.two_factor_enabled && (
+                              <span className="ml-2 inline-flex items-center px-2 py-1 text-xs font-medium rounded-full bg-blue-500/20 text-blue-300 border border-blue-500/30">
+                                🔐 2FA
+                              </span>
+                            )}
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-400">
                             {formatDate(user.created_at)}
@@ -855,6 +1294,19 @@ const Admin = () => {
                                   👑 Admin
                                 </button>
                               </div>
+                              {customRoles.length > 0 && (
+                                <select
+                                  value={customRoles.some(role => role.name === user.role) ? user.role : ''}
+                                  onChange={(e) => e.target.value && handleRoleChange(user.id, user.username, e.target.value)}
+                                  disabled={updateRoleMutation.isLoading}
+                                  className="px-2 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-xs text-slate-200 disabled:opacity-50"
+                                >
+                                  <option value="">🔑 Custom role...</option>
+                                  {customRoles.map(role => (
+                                    <option key={role.name} value={role.name}>{role.label}</option>
+                                  ))}
+                                </select>
+                              )}
                               <div className="flex space-x-1">
                                 <button
                                   onClick={() => {
@@ -867,6 +1319,29 @@ const Admin = () => {
                                 >
                                   ⚡ Reset Rate Limit
                                 </button>
+                                {user.two_factor_enabled && (
+                                  <button
+                                    onClick={() => resetUserTwoFactor(user.id, user.username)}
+                                    className="px-3 py-1.5 bg-gradient-to-r from-yellow-500 to-yellow-600 hover:from-yellow-600 hover:to-yellow-700 text-white rounded-lg text-xs font-semibold shadow-md hover:shadow-lg transition-all duration-200 transform hover:scale-105"
+                                    title="Turn off two-factor authentication for this user"
+                                  >
+                                    🔐 Reset 2FA
+                                  </button>
+                                )}
+                                <button
+                                  onClick={() => openParentalControls(user)}
+                                  className="px-3 py-1.5 bg-gradient-to-r from-teal-500 to-teal-600 hover:from-teal-600 hover:to-teal-700 text-white rounded-lg text-xs font-semibold shadow-md hover:shadow-lg transition-all duration-200 transform hover:scale-105"
+                                  title="Maximum rating and blocked tags for this user"
+                                >
+                                  🧸 Parental
+                                </button>
+                                <button
+                                  onClick={() => openLibraryAccess(user)}
+                                  className="px-3 py-1.5 bg-gradient-to-r from-indigo-500 to-indigo-600 hover:from-indigo-600 hover:to-indigo-700 text-white rounded-lg text-xs font-semibold shadow-md hover:shadow-lg transition-all duration-200 transform hover:scale-105"
+                                  title="Libraries this user can see"
+                                >
+                                  📚 Libraries
+                                </button>
                                 <button
                                   onClick={() => handleDeleteUser(user.id, user.username)}
                                   className="px-3 py-1.5 bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white rounded-lg text-xs font-semibold shadow-md hover:shadow-lg transition-all duration-200 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
@@ -903,6 +1378,11 @@ const Admin = () => {
                           }`}>
                             {user.is_active ? 'Active' : 'Inactive'}
                           </span>
+                          {user.two_factor_enabled && (
+                            <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">
+                              2FA
+                            </span>
+                          )}
                         </div>
                       </div>
                       <div className="text-xs text-gray-400 mb-3">
@@ -955,7 +1435,40 @@ const Admin = () => {
                               </div>
                             </button>
                           </div>
+                          {customRoles.length > 0 && (
+                            <select
+                              value={customRoles.some(role => role.name === user.role) ? user.role : ''}
+                              onChange={(e) => e.target.value && handleRoleChange(user.id, user.username, e.target.value)}
+                              disabled={updateRoleMutation.isLoading}
+                              className="mt-2 w-full px-3 py-2.5 bg-gray-700 border border-gray-600 rounded-lg text-sm text-white disabled:opacity-50"
+                            >
+                              <option value="">🔑 Custom role...</option>
+                              {customRoles.map(role => (
+                                <option key={role.name} value={role.name}>{role.label}</option>
+                              ))}
+                            </select>
+                          )}
                         </div>
+                        {user.two_factor_enabled && (
+                          <button
+                            onClick={() => resetUserTwoFactor(user.id, user.username)}
+                            className="w-full px-3 py-2.5 bg-gradient-to-r from-yellow-500 to-yellow-600 hover:from-yellow-600 hover:to-yellow-700 text-white rounded-lg text-sm font-semibold shadow-md hover:shadow-lg transition-all duration-200"
+                          >
+                            🔐 Reset 2FA
+                          </button>
+                        )}
+                        <button
+                          onClick={() => openParentalControls(user)}
+                          className="w-full px-3 py-2.5 bg-gradient-to-r from-teal-500 to-teal-600 hover:from-teal-600 hover:to-teal-700 text-white rounded-lg text-sm font-semibold shadow-md hover:shadow-lg transition-all duration-200"
+                        >
+                          🧸 Parental Controls
+                        </button>
+                        <button
+                          onClick={() => openLibraryAccess(user)}
+                          className="w-full px-3 py-2.5 bg-gradient-to-r from-indigo-500 to-indigo-600 hover:from-indigo-600 hover:to-indigo-700 text-white rounded-lg text-sm font-semibold shadow-md hover:shadow-lg transition-all duration-200"
+                        >
+                          📚 Library Access
+                        </button>
                         <button
                           onClick={() => handleDeleteUser(user.id, user.username)}
                           className="w-full px-3 py-2.5 bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white rounded-lg text-sm font-semibold shadow-md hover:shadow-lg transition-all duration-200 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
@@ -1023,6 +1536,7 @@ const Admin = () => {
                       </label>
                     </div>
                   </div>
+                  {renderInviteLibraries(inviteForm, setInviteForm)}
                   <button
                     type="submit"
                     disabled={createInviteMutation.isLoading}
@@ -1090,6 +1604,7 @@ const Admin = () => {
                       </label>
                     </div>
                   </div>
+                  {renderInviteLibraries(emailInviteForm, setEmailInviteForm)}
                   <button
                     type="submit"
                     disabled={sendEmailInviteMutation.isLoading}
@@ -1167,6 +1682,11 @@ const Admin = () => {
                               <div className="font-mono text-sm bg-gray-700 px-2 py-1 rounded">
                                 {invite.token.substring(0, 16)}...
                               </div>
+                              {invite.library_section_ids && (
+                                <div className="text-xs text-gray-400 mt-1">
+                                  📚 {getLibraryNames(invite.library_section_ids) || 'No libraries'}
+                                </div>
+                              )}
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap">
                               <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full text-white ${statusInfo.color}`}>
@@ -1254,6 +1774,11 @@ const Admin = () => {
                             <div>
                               <span className="font-medium">Created:</span> {formatDate(invite.created_at)}
                             </div>
+                            {invite.library_section_ids && (
+                              <div>
+                                <span className="font-medium">Libraries:</span> {getLibraryNames(invite.library_section_ids) || 'None'}
+                              </div>
+                            )}
                             {invite.used_by_username ? (
                               <div>
                                 <span className="font-medium">Used by:</span>
@@ -1320,6 +1845,168 @@ const Admin = () => {
           </div>
         )}
 
+        {/* Roles & Permissions Tab */}
+        {activeTab === 'roles' && (
+          <div>
+            <div className="flex items-center justify-between mb-6">
+              <div>
+                <h2 className="text-2xl font-bold text-white">Roles & Permissions</h2>
+                <p className="text-slate-400 text-sm">
+                  Built-in roles are fixed. Custom roles can combine any permissions you hold yourself.
+                </p>
+              </div>
+              {!editingRole && (
+                <button
+                  onClick={() => startEditingRole(null)}
+                  className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-md font-medium text-sm"
+                >
+                  ➕ New Role
+                </button>
+              )}
+            </div>
+
+            {editingRole && (
+              <form onSubmit={handleSaveRole} className="bg-gray-800 rounded-lg p-4 md:p-6 mb-6 space-y-4">
+                <h3 className="text-lg font-semibold">
+                  {editingRole === 'new' ? '🔑 Create Custom Role' : `✏️ Edit ${roleForm.label}`}
+                </h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+                    <input
+                      type="text"
+                      value={roleForm.label}
+                      onChange={(e) => setRoleForm({ ...roleForm, label: e.target.value })}
+                      required
+                      maxLength={64}
+                      placeholder="e.g. Moderator"
+                      className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Key</label>
+                    <input
+                      type="text"
+                      value={roleForm.name}
+                      onChange={(e) => setRoleForm({ ...roleForm, name: e.target.value.toLowerCase() })}
+                      disabled={editingRole !== 'new'}
+                      required
+                      maxLength={32}
+                      placeholder="e.g. moderator"
+                      className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white font-mono disabled:opacity-50"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Description</label>
+                  <input
+                    type="text"
+                    value={roleForm.description}
+                    onChange={(e) => setRoleForm({ ...roleForm, description: e.target.value })}
+                    maxLength={255}
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Permissions</label>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    {(rolesData?.permissions || []).map(permission => (
+                      <label
+                        key={permission.key}
+                        className={`flex items-start space-x-3 p-3 rounded-lg bg-gray-700/50 ${
+                          hasPermission(currentUser, permission.key) ? 'cursor-pointer' : 'opacity-50'
+                        }`}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={roleForm.permissions.includes(permission.key)}
+                          onChange={() => toggleRolePermission(permission.key)}
+                          disabled={!hasPermission(currentUser, permission.key)}
+                          className="mt-1 rounded"
+                        />
+                        <div>
+                          <div className="text-sm font-medium text-white">{permission.label}</div>
+                          <div className="text-xs text-gray-400">{permission.description}</div>
+                        </div>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div className="flex space-x-3">
+                  <button
+                    type="submit"
+                    disabled={saveRoleMutation.isLoading}
+                    className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-md font-medium disabled:opacity-50"
+                  >
+                    {saveRoleMutation.isLoading ? 'Saving...' : 'Save Role'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setEditingRole(null)}
+                    className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded-md font-medium"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+
+            <div className="space-y-3">
+              {roles.map(role => (
+                <div key={role.name} className="card-modern p-4">
+                  <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+                    <div>
+                      <div className="flex items-center space-x-2">
+                        <span className="text-white font-semibold">{role.label}</span>
+                        <span className="text-xs font-mono text-slate-500">{role.name}</span>
+                        {role.builtIn && (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-slate-700 text-slate-300">Built-in</span>
+                        )}
+                      </div>
+                      {role.description && <p className="text-sm text-slate-400 mt-1">{role.description}</p>}
+                      <div className="flex flex-wrap gap-1 mt-2">
+                        {role.permissions.length === 0 ? (
+                          <span className="text-xs text-slate-500">Browse and stream only</span>
+                        ) : role.permissions.map(permission => (
+                          <span key={permission} className="px-2 py-0.5 text-xs rounded-full bg-purple-500/20 text-purple-300 border border-purple-500/30">
+                            {permission}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-2 flex-shrink-0">
+                      <span className="text-xs text-slate-400">
+                        {role.userCount} user{role.userCount === 1 ? '' : 's'}
+                      </span>
+                      {!role.builtIn && (
+                        <>
+                          <button
+                            onClick={() => startEditingRole(role)}
+                            className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-xs font-semibold"
+                          >
+                            ✏️ Edit
+                          </button>
+                          <button
+                            onClick={() => handleDeleteRole(role)}
+                            disabled={deleteRoleMutation.isLoading || role.userCount > 0}
+                            title={role.userCount > 0 ? 'Move users to another role before deleting' : 'Delete role'}
+                            className="px-3 py-1.5 bg-red-600 hover:bg-red-700 text-white rounded-lg text-xs font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            🗑️ Delete
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Libraries Tab */}
+        {activeTab === 'libraries' && <LibrarySectionsManager />}
+
         {/* Streaming Management Tab */}
         {activeTab === 'streaming' && (
           <div className="space-y-8">
@@ -1606,6 +2293,21 @@ const Admin = () => {
                         />
                         <p className="text-xs text-slate-400 mt-1">Maximum bandwidth usage per individual user</p>
                       </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-2">
+                          Max Live Transcodes
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          max="32"
+                          className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          value={streamingSettingsForm.maxLiveTranscodes}
+                          onChange={(e) => setStreamingSettingsForm(prev => ({ ...prev, maxLiveTranscodes: e.target.value }))}
+                        />
+                        <p className="text-xs text-slate-400 mt-1">On-the-fly transcodes allowed at once across the server (0 = no limit)</p>
+                      </div>
                     </div>
 
                     <div className="mt-6 flex space-x-4">
@@ -1622,7 +2324,8 @@ const Admin = () => {
                             maxResolution: streamingSettings.maxResolution || '1080p',
                             bitrateLimit: streamingSettings.bitrateLimit || '20',
                             totalBandwidthLimit: streamingSettings.totalBandwidthLimit || '150',
-                            perUserBandwidthLimit: streamingSettings.perUserBandwidthLimit || '25'
+                            perUserBandwidthLimit: streamingSettings.perUserBandwidthLimit || '25',
+                            maxLiveTranscodes: String(streamingSettings.maxLiveTranscodes ?? 2)
                           });
                         }}
                         className="px-6 py-3 bg-slate-600/20 text-slate-400 border border-slate-600/30 rounded-lg hover:bg-slate-600/30 transition-colors font-semibold"
@@ -2137,6 +2840,9 @@ const Admin = () => {
           </div>
         )}
 
+        {/* Audit Log Tab */}
+        {activeTab === 'audit' && <AuditLogViewer />}
+
         {/* Support Whitelist Tab */}
         {activeTab === 'support-whitelist' && (
           <div>
@@ -2151,6 +2857,154 @@ const Admin = () => {
           </div>
         )}
 
+        {/* Parental Controls Modal */}
+        {parentalEditor && (
+          <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-60 p-4">
+            <div className="bg-slate-800 rounded-xl p-6 max-w-lg w-full shadow-2xl relative">
+              <button
+                className="absolute top-4 right-4 text-slate-400 hover:text-white text-xl"
+                onClick={() => setParentalEditor(null)}
+                aria-label="Close"
+              >
+                ×
+              </button>
+
+              <h2 className="text-xl font-bold text-white mb-2 flex items-center space-x-2">
+                <span>🧸</span>
+                <span>Parental Controls: {parentalEditor.user.username}</span>
+              </h2>
+              <p className="text-slate-400 text-sm mb-6">
+                Applies to every listing, search and stream for this account. The user can't change these limits.
+              </p>
+
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-1">Maximum rating</label>
+                  <select
+                    value={parentalEditor.form.maxRating}
+                    onChange={(e) => setParentalEditor(prev => ({ ...prev, form: { ...prev.form, maxRating: e.target.value } }))}
+                    className="input-modern"
+                  >
+                    <option value="">No limit</option>
+                    {parentalEditor.ratings.levels.map(level => (
+                      <option key={level.key} value={level.key}>{level.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-1">Blocked tags</label>
+                  <input
+                    type="text"
+                    value={parentalEditor.form.blockedTags}
+                    onChange={(e) => setParentalEditor(prev => ({ ...prev, form: { ...prev.form, blockedTags: e.target.value } }))}
+                    className="input-modern"
+                    placeholder="Comma separated, e.g. Horror, War"
+                  />
+                </div>
+                <label className="flex items-center space-x-2 text-sm text-slate-300">
+                  <input
+                    type="checkbox"
+                    checked={parentalEditor.form.allowUnrated}
+                    onChange={(e) => setParentalEditor(prev => ({ ...prev, form: { ...prev.form, allowUnrated: e.target.checked } }))}
+                  />
+                  <span>Show unrated titles when a maximum rating is set</span>
+                </label>
+              </div>
+
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  onClick={() => setParentalEditor(null)}
+                  className="btn-modern bg-slate-700 hover:bg-slate-600 text-white"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={saveParentalControls}
+                  disabled={savingParental}
+                  className="btn-modern bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 disabled:opacity-50 text-white"
+                >
+                  {savingParental ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Library Access Modal */}
+        {libraryEditor && (
+          <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-60 p-4">
+            <div className="bg-slate-800 rounded-xl p-6 max-w-lg w-full shadow-2xl relative">
+              <button
+                className="absolute top-4 right-4 text-slate-400 hover:text-white text-xl"
+                onClick={() => setLibraryEditor(null)}
+                aria-label="Close"
+              >
+                ×
+              </button>
+
+              <h2 className="text-xl font-bold text-white mb-2 flex items-center space-x-2">
+                <span>📚</span>
+                <span>Library Access: {libraryEditor.user.username}</span>
+              </h2>
+              <p className="text-slate-400 text-sm mb-6">
+                Titles outside any library are always visible. Users who can upload or publish see every library.
+              </p>
+
+              <div className="space-y-4">
+                <label className="flex items-center space-x-2 text-sm text-slate-300">
+                  <input
+                    type="checkbox"
+                    checked={libraryEditor.form.allLibraries}
+                    onChange={(e) => setLibraryEditor(prev => ({ ...prev, form: { ...prev.form, allLibraries: e.target.checked } }))}
+                  />
+                  <span>Access to all libraries</span>
+                </label>
+                {!libraryEditor.form.allLibraries && (
+                  librarySections.length === 0 ? (
+                    <p className="text-sm text-slate-500">No libraries have been created yet.</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {librarySections.map(section => (
+                        <label key={section.id} className="flex items-start space-x-3 p-3 rounded-lg bg-slate-700/50 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={libraryEditor.form.sectionIds.includes(section.id)}
+                            onChange={() => setLibraryEditor(prev => ({
+                              ...prev,
+                              form: { ...prev.form, sectionIds: toggleSectionId(prev.form.sectionIds, section.id) }
+                            }))}
+                            className="mt-1"
+                          />
+                          <div>
+                            <div className="text-sm font-medium text-white">{section.name}</div>
+                            {section.description && <div className="text-xs text-slate-400">{section.description}</div>}
+                          </div>
+                        </label>
+                      ))}
+                    </div>
+                  )
+                )}
+              </div>
+
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  onClick={() => setLibraryEditor(null)}
+                  className="btn-modern bg-slate-700 hover:bg-slate-600 text-white"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={saveLibraryAccess}
+                  disabled={savingLibraryAccess}
+                  className="btn-modern bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 disabled:opacity-50 text-white"
+                >
+                  {savingLibraryAccess ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Bandwidth Investigation Details Modal */}
         {showInvestigationModal && bandwidthInvestigationData && (
           <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-60 p-4">
@@ -4,9 +4,25 @@ import useAuth from '../hooks/useAuth';
 import MediaPlayer from '../components/MediaPlayer';
 import ChunkedUpload from '../components/ChunkedUpload';
 import TranscodingProgressBar from '../components/TranscodingProgressBar';
+import { hasPermission, canManageContent as hasContentPermissions } from '../utils/permissions';
 
 const API_BASE_URL = 'http://162.206.88.79:3001';
 
+// Certifications accepted for manual content ratings (parental controls)
+const CONTENT_RATINGS = ['G', 'PG', 'PG-13', 'R', 'NC-17', 'TV-Y', 'TV-Y7', 'TV-G', 'TV-PG', 'TV-14', 'TV-MA'];
+
+// Rating that came with the TMDB metadata, shown when no manual rating is set
+const getTmdbRating = (item) => {
+  try {
+    const extended = typeof item.extended_metadata === 'string'
+      ? JSON.parse(item.extended_metadata)
+      : item.extended_metadata;
+    return extended?.content_rating || null;
+  } catch (error) {
+    return null;
+  }
+};
+
 // Helper function to decode HTML entities
 const decodeHtmlEntities = (text) => {
   if (!text) return text;
@@ -25,8 +41,10 @@ const ContentManager = () => {
   const queryClient = useQueryClient();
 
   // Check if user has content management permissions
-  const canManageContent = user?.role === 'admin' || user?.role === 'manager';
-  const isAdmin = user?.role === 'admin';
+  const canManageContent = hasContentPermissions(user);
+  const canSeeDrafts = hasPermission(user, 'upload') || hasPermission(user, 'publish');
+  const canViewStatistics = hasPermission(user, 'view-analytics');
+  const canManageUsers = hasPermission(user, 'manage-users');
 
   // Fetch content data
   const { data: contentData, isLoading: contentLoading, refetch: refetchContent } = useQuery({
@@ -42,7 +60,7 @@ const ContentManager = () => {
     enabled: !!user
   });
 
-  // Fetch content statistics (admin only)
+  // Fetch content statistics (view-analytics permission)
   const { data: statistics, isLoading: statsLoading } = useQuery({
     queryKey: ['content-statistics'],
     queryFn: async () => {
@@ -54,7 +72,7 @@ const ContentManager = () => {
       const data = await response.json();
       return data.stats; // Extract the stats from the response
     },
-    enabled: isAdmin
+    enabled: canViewStatistics
   });
 
   // Upload mutation
@@ -113,6 +131,31 @@ const ContentManager = () => {
     }
   });
 
+  // Manual content rating mutation (empty rating falls back to TMDB)
+  const contentRatingMutation = useMutation({
+    mutationFn: async ({ contentId, contentRating }) => {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch(`/api/content/${contentId}`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ content_rating: contentRating })
+      });
+      
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Update failed');
+      }
+      
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['content']);
+    }
+  });
+
   // Toggle publish mutation
   const togglePublishMutation = useMutation({
     mutationFn: async ({ contentId, published }) => {
@@ -285,13 +328,13 @@ const ContentManager = () => {
             <span>Your Permissions</span>
           </h2>
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            <div className={`permission-card ${user.role === 'user' ? 'denied' : 'granted'}`}>
+            <div className={`permission-card ${canSeeDrafts ? 'granted' : 'denied'}`}>
               <div className="flex items-center justify-center w-12 h-12 mx-auto mb-3 rounded-full bg-slate-700">
                 <span className="text-xl">👁️</span>
               </div>
               <h3 className="font-semibold mb-2">Content Viewing</h3>
               <p className="text-sm text-slate-300">
-                {user.role === 'user' ? '✅ Published content only' : '✅ All content (including drafts)'}
+                {canSeeDrafts ? '✅ All content (including drafts)' : '✅ Published content only'}
               </p>
             </div>
             <div className={`permission-card ${canManageContent ? 'granted' : 'denied'}`}>
@@ -300,23 +343,25 @@ const ContentManager = () => {
               </div>
               <h3 className="font-semibold mb-2">Content Management</h3>
               <p className="text-sm text-slate-300">
-                {canManageContent ? '✅ Upload, edit, delete content' : '❌ View only'}
+                {canManageContent
+                  ? `✅ ${['upload', 'publish', 'delete'].filter(permission => hasPermission(user, permission)).join(', ')}`
+                  : '❌ View only'}
               </p>
             </div>
-            <div className={`permission-card ${isAdmin ? 'granted' : 'denied'}`}>
+            <div className={`permission-card ${canManageUsers ? 'granted' : 'denied'}`}>
               <div className="flex items-center justify-center w-12 h-12 mx-auto mb-3 rounded-full bg-slate-700">
                 <span className="text-xl">👑</span>
               </div>
               <h3 className="font-semibold mb-2">User Management</h3>
               <p className="text-sm text-slate-300">
-                {isAdmin ? '✅ Manage users and roles' : '❌ Admin only'}
+                {canManageUsers ? '✅ Manage users and roles' : '❌ Needs the manage-users permission'}
               </p>
             </div>
           </div>
         </div>
 
         {/* Content for different roles */}
-        {user.role === 'user' && (
+        {!canManageContent && (
           <div className="card-modern p-8">
             <div className="text-center">
               <div className="w-16 h-16 bg-gradient-to-br from-blue-500 to-purple-500 rounded-large flex items-center justify-center mx-auto mb-4">
@@ -386,16 +431,18 @@ const ContentManager = () => {
                   <span>Content Library</span>
                 </span>
               </button>
-              <button
-                onClick={() => setActiveTab('upload')}
-                className={`tab-modern ${activeTab === 'upload' ? 'active' : ''}`}
-              >
-                <span className="flex items-center space-x-2">
-                  <span>⚡</span>
-                  <span>Upload Content</span>
-                </span>
-              </button>
-              {isAdmin && (
+              {hasPermission(user, 'upload') && (
+                <button
+                  onClick={() => setActiveTab('upload')}
+                  className={`tab-modern ${activeTab === 'upload' ? 'active' : ''}`}
+                >
+                  <span className="flex items-center space-x-2">
+                    <span>⚡</span>
+                    <span>Upload Content</span>
+                  </span>
+                </button>
+              )}
+              {canViewStatistics && (
                 <button
                   onClick={() => setActiveTab('statistics')}
                   className={`tab-modern ${activeTab === 'statistics' ? 'active' : ''}`}
@@ -484,6 +531,21 @@ const ContentManager = () => {
                             )}
                           </div>
                           <div className="flex items-center space-x-2">
+                            <select
+                              value={item.content_rating_source === 'manual' ? item.content_rating : ''}
+                              onChange={(e) => contentRatingMutation.mutate({
+                                contentId: item.id,
+                                contentRating: e.target.value || null
+                              })}
+                              disabled={contentRatingMutation.isLoading}
+                              title="Content rating used by parental controls"
+                              className="bg-slate-700 border border-slate-600 rounded-lg text-slate-200 text-xs px-2 py-1"
+                            >
+                              <option value="">{getTmdbRating(item) ? `TMDB: ${getTmdbRating(item)}` : 'Unrated'}</option>
+                              {CONTENT_RATINGS.map(rating => (
+                                <option key={rating} value={rating}>{rating}</option>
+                              ))}
+                            </select>
                             <span className={`px-2 py-1 rounded-full text-xs ${
                               item.published 
                                 ? 'bg-green-500/20 text-green-400' 
@@ -491,27 +553,31 @@ const ContentManager = () => {
                             }`}>
                               {item.published ? 'Published' : 'Draft'}
                             </span>
-                            <button
-                              onClick={() => togglePublishMutation.mutate({ 
-                                contentId: item.id, 
-                                published: !item.published 
-                              })}
-                              className="btn-modern bg-blue-500/20 hover:bg-blue-500/30 text-blue-400 text-sm px-3 py-1"
-                              disabled={togglePublishMutation.isLoading}
-                            >
-                              {item.published ? 'Unpublish' : 'Publish'}
-                            </button>
-                            <button
-                              onClick={() => {
-                                if (confirm('Are you sure you want to delete this content?')) {
-                                  deleteMutation.mutate(item.id);
-                                }
-                              }}
-                              className="btn-modern bg-red-500/20 hover:bg-red-500/30 text-red-400 text-sm px-3 py-1"
-                              disabled={deleteMutation.isLoading}
-                            >
-                              Delete
-                            </button>
+                            {hasPermission(user, 'publish') && (
+                              <button
+                                onClick={() => togglePublishMutation.mutate({ 
+                                  contentId: item.id, 
+                                  published: !item.published 
+                                })}
+                                className="btn-modern bg-blue-500/20 hover:bg-blue-500/30 text-blue-400 text-sm px-3 py-1"
+                                disabled={togglePublishMutation.isLoading}
+                              >
+                                {item.published ? 'Unpublish' : 'Publish'}
+                              </button>
+                            )}
+                            {hasPermission(user, 'delete') && (
+                              <button
+                                onClick={() => {
+                                  if (confirm('Are you sure you want to delete this content?')) {
+                                    deleteMutation.mutate(item.id);
+                                  }
+                                }}
+                                className="btn-modern bg-red-500/20 hover:bg-red-500/30 text-red-400 text-sm px-3 py-1"
+                                disabled={deleteMutation.isLoading}
+                              >
+                                Delete
+                              </button>
+                            )}
                           </div>
                         </div>
                       );
@@ -541,7 +607,7 @@ const ContentManager = () => {
             )}
 
             {/* Upload Content Tab - High-Speed Chunked Upload */}
-            {activeTab === 'upload' && (
+            {activeTab === 'upload' && hasPermission(user, 'upload') && (
               <div className="space-y-6">
                 {/* Show transcoding progress for files that were recently uploaded */}
                 {transcodingFiles.length > 0 && (
@@ -562,7 +628,7 @@ const ContentManager = () => {
                           );
                           // Refresh content list
                           queryClient.invalidateQueries(['content']);
-                          if (isAdmin) {
+                          if (canViewStatistics) {
                             queryClient.invalidateQueries(['content-statistics']);
                           }
                         }}
@@ -591,7 +657,7 @@ const ContentManager = () => {
                     
                     // Refresh content and statistics
                     queryClient.invalidateQueries(['content']);
-                    if (isAdmin) {
+                    if (canViewStatistics) {
                       queryClient.invalidateQueries(['content-statistics']);
                     }
                   }}
@@ -665,7 +731,7 @@ const ContentManager = () => {
 
 
             {/* Statistics Tab */}
-            {activeTab === 'statistics' && isAdmin && (
+            {activeTab === 'statistics' && canViewStatistics && (
               <div className="card-modern p-8">
                 <div className="flex items-center justify-between mb-6">
                   <h2 className="text-2xl font-bold flex items-center space-x-2">
@@ -4,13 +4,16 @@ import { useQuery } from '@tanstack/react-query';
 import { useSocket } from '../hooks/useSocket';
 import useAuth from '../hooks/useAuth';
 import ObselisLoadingAnimation from '../components/ObselisLoadingAnimation';
+import MediaPlayer from '../components/MediaPlayer';
 import { formatFileSize, formatDuration } from '../utils/formatters';
+import { canAccessAdmin, canManageContent as hasContentPermissions } from '../utils/permissions';
 
 
 const Home = () => {
   const { user } = useAuth();
   const { isConnected, transcodingProgress } = useSocket();
   const [currentTime, setCurrentTime] = useState(new Date());
+  const [playingItem, setPlayingItem] = useState(null);
   const [showLoading, setShowLoading] = useState(() => {
     // Only show loading animation if user hasn't seen it in this session
     return !sessionStorage.getItem('obselis-animation-shown');
@@ -52,6 +55,64 @@ const Home = () => {
     refetchInterval: 30000 // Refresh every 30 seconds
   });
 
+  // Partially watched items and next episodes
+  const { data: continueWatching = [], refetch: refetchContinueWatching } = useQuery({
+    queryKey: ['continue-watching'],
+    queryFn: async () => {
+      const response = await fetch('/api/content/continue-watching?limit=12', {
+        headers: { 'Authorization': `Bearer ${sessionStorage.getItem('token')}` }
+      });
+      if (!response.ok) return [];
+      const data = await response.json();
+      return data.items || [];
+    }
+  });
+
+  // Locally computed recommendation rows
+  const { data: recommendations, refetch: refetchRecommendations } = useQuery({
+    queryKey: ['recommendations'],
+    queryFn: async () => {
+      const response = await fetch('/api/content/recommendations', {
+        headers: { 'Authorization': `Bearer ${sessionStorage.getItem('token')}` }
+      });
+      if (!response.ok) return { becauseYouWatched: [], popular: [] };
+      return response.json();
+    },
+    staleTime: 5 * 60 * 1000
+  });
+
+  const handleClosePlayer = () => {
+    setPlayingItem(null);
+    refetchContinueWatching();
+    refetchRecommendations();
+  };
+
+  const renderRecommendationCard = (item, caption) => (
+    <div
+      key={item.id}
+      onClick={() => setPlayingItem(item)}
+      className="flex-shrink-0 w-56 bg-slate-800/50 rounded-lg p-3 hover:bg-slate-700/50 transition-colors group cursor-pointer"
+    >
+      <div className="aspect-video bg-slate-700/50 rounded-lg mb-3 flex items-center justify-center relative overflow-hidden">
+        {item.thumbnail_path ? (
+          <img
+            src={item.thumbnail_path}
+            alt={item.recommendation_title}
+            className="w-full h-full object-cover"
+            loading="lazy"
+          />
+        ) : (
+          <span className="text-3xl">{item.show_id ? '📺' : '🎬'}</span>
+        )}
+        <div className="absolute inset-0 bg-black/50 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center">
+          <span className="text-white text-2xl">▶️</span>
+        </div>
+      </div>
+      <h3 className="font-semibold text-white text-sm truncate">{item.recommendation_title}</h3>
+      {caption && <p className="text-xs text-slate-400 mt-1 truncate">{caption}</p>}
+    </div>
+  );
+
   // Using shared formatters from utils/formatters.js
 
   const getGreeting = () => {
@@ -61,8 +122,8 @@ const Home = () => {
     return 'Good evening';
   };
 
-  const canManageContent = user?.role === 'admin' || user?.role === 'manager' || user?.is_admin;
-  const isAdmin = user?.is_admin || user?.role === 'admin';
+  const canManageContent = hasContentPermissions(user);
+  const isAdmin = canAccessAdmin(user);
 
   // Show loading animation only on first login (when user hasn't seen it in this session)
   if (showLoading) {
@@ -79,6 +140,16 @@ const Home = () => {
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 text-white">
+      {playingItem && (
+        <MediaPlayer
+          key={playingItem.id}
+          content={playingItem}
+          resumeTime={playingItem.reason === 'resume' ? playingItem.progress?.currentTime : null}
+          onClose={handleClosePlayer}
+          onPlayNext={(next) => setPlayingItem(next)}
+        />
+      )}
+
       <div className="max-w-7xl mx-auto px-4 py-8">
         {/* Welcome Header */}
         <div className="mb-8">
@@ -332,6 +403,90 @@ const Home = () => {
           </div>
         )}
 
+        {/* Continue Watching */}
+        {continueWatching.length > 0 && (
+          <div className="mb-8">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-2xl font-bold text-white">Continue Watching</h2>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {continueWatching.map((item) => (
+                <div
+                  key={item.id}
+                  onClick={() => setPlayingItem(item)}
+                  className="bg-slate-800/50 rounded-lg p-4 hover:bg-slate-700/50 transition-colors group cursor-pointer"
+                >
+                  <div className="aspect-video bg-slate-700/50 rounded-lg mb-4 flex items-center justify-center relative overflow-hidden">
+                    {item.thumbnail_path ? (
+                      <img
+                        src={item.thumbnail_path}
+                        alt={item.title}
+                        className="w-full h-full object-cover"
+                      />
+                    ) : (
+                      <span className="text-4xl">🎬</span>
+                    )}
+                    <div className="absolute inset-0 bg-black/50 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center">
+                      <span className="text-white text-2xl">▶️</span>
+                    </div>
+                    {item.reason === 'next_episode' && (
+                      <span className="absolute top-2 left-2 px-2 py-1 bg-blue-600/90 text-white text-xs font-semibold rounded">
+                        Up Next
+                      </span>
+                    )}
+                    {item.progress?.progressPercentage > 0 && (
+                      <div className="absolute bottom-0 left-0 right-0 h-1 bg-slate-900/70">
+                        <div
+                          className="h-full bg-red-500"
+                          style={{ width: `${Math.min(item.progress.progressPercentage, 100)}%` }}
+                        />
+                      </div>
+                    )}
+                  </div>
+                  <h3 className="font-semibold text-white mb-1 truncate">{item.show_title || item.title}</h3>
+                  <div className="flex items-center justify-between text-sm text-slate-400">
+                    <span className="truncate">
+                      {item.season_number != null && item.episode_number != null
+                        ? `S${item.season_number}E${item.episode_number} · ${item.episode_title || item.title}`
+                        : item.title}
+                    </span>
+                    {item.progress?.duration > 0 && (
+                      <span className="flex-shrink-0 ml-2">
+                        {formatDuration(Math.round(Math.max(item.progress.duration - item.progress.currentTime, 0)))} left
+                      </span>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Because You Watched */}
+        {recommendations?.becauseYouWatched?.map((row) => (
+          <div key={row.seed.key} className="mb-8">
+            <h2 className="text-2xl font-bold text-white mb-6">Because you watched {row.seed.title}</h2>
+            <div className="flex gap-4 overflow-x-auto pb-2">
+              {row.items.map((item) => renderRecommendationCard(item, item.reason))}
+            </div>
+          </div>
+        ))}
+
+        {/* Popular On This Server */}
+        {recommendations?.popular?.length > 0 && (
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold text-white mb-6">Popular on this server</h2>
+            <div className="flex gap-4 overflow-x-auto pb-2">
+              {recommendations.popular.map((item) => renderRecommendationCard(
+                item,
+                item.viewers > 0
+                  ? `${item.viewers} viewer${item.viewers !== 1 ? 's' : ''} this month`
+                  : `${item.views || 0} views`
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Recent Content */}
         {dashboardData?.content?.content && dashboardData.content.content.length > 0 && (
           <div className="mb-8">
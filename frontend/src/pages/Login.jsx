@@ -1,5 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
+import { browserSupportsWebAuthn, browserSupportsWebAuthnAutofill } from '@simplewebauthn/browser';
 import { authManager } from '../utils/authManager';
 
 const Login = () => {
@@ -9,8 +10,46 @@ const Login = () => {
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Second step: { mode: 'verify' | 'setup', challengeToken, secret?, qrCode? }
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
   const navigate = useNavigate();
 
+  const [passkeyLoading, setPasskeyLoading] = useState(false);
+  const passkeysSupported = browserSupportsWebAuthn();
+
+  const finishLogin = () => {
+    // Small delay to ensure auth state is updated
+    setTimeout(() => {
+      navigate('/', { replace: true });
+    }, 100);
+  };
+
+  const handlePasskeyLogin = async (useBrowserAutofill = false) => {
+    if (!useBrowserAutofill) {
+      setPasskeyLoading(true);
+      setError('');
+    }
+
+    const result = await authManager.loginWithPasskey({ useBrowserAutofill });
+
+    setPasskeyLoading(false);
+    if (result.success) {
+      finishLogin();
+    } else if (!result.cancelled) {
+      setError(result.error || 'Passkey sign in failed');
+    }
+  };
+
+  // Offer saved passkeys in the email field's autofill list
+  useEffect(() => {
+    browserSupportsWebAuthnAutofill().then(supported => {
+      if (supported) handlePasskeyLogin(true);
+    });
+  }, []);
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -28,11 +67,16 @@ const Login = () => {
       
       if (result.success) {
         // Note: authManager.login() already calls setAuth() internally
-        
-        // Small delay to ensure auth state is updated
-        setTimeout(() => {
-          navigate('/', { replace: true });
-        }, 100);
+        finishLogin();
+      } else if (result.twoFactorRequired) {
+        setTwoFactor({ mode: 'verify', challengeToken: result.challengeToken });
+      } else if (result.twoFactorSetupRequired) {
+        const setup = await authManager.beginTwoFactorSetup(result.challengeToken);
+        if (setup.success) {
+          setTwoFactor({ mode: 'setup', challengeToken: result.challengeToken, secret: setup.secret, qrCode: setup.qrCode });
+        } else {
+          setError(setup.error);
+        }
       } else {
         setError(result.error || 'Login failed');
       }
@@ -44,6 +88,160 @@ const Login = () => {
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      if (twoFactor.mode === 'setup') {
+        const result = await authManager.completeTwoFactorSetup(twoFactor.challengeToken, twoFactorCode);
+        if (result.success) {
+          // Show the recovery codes once before continuing
+          setRecoveryCodes(result.recoveryCodes);
+        } else {
+          setError(result.error);
+        }
+      } else {
+        const result = await authManager.completeTwoFactorLogin(
+          twoFactor.challengeToken,
+          useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode }
+        );
+        if (result.success) {
+          finishLogin();
+        } else {
+          setError(result.error);
+        }
+      }
+    } catch (err) {
+      console.error('Two-factor error:', err);
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setTwoFactor(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
+  const renderTwoFactorStep = () => {
+    if (recoveryCodes) {
+      return (
+        <div className="space-y-5">
+          <div>
+            <h2 className="text-lg font-semibold text-white mb-1">Save your recovery codes</h2>
+            <p className="text-slate-400 text-sm">
+              Each code can be used once if you lose access to your authenticator. They won't be shown again.
+            </p>
+          </div>
+          <div className="grid grid-cols-2 gap-2 bg-slate-900/50 p-4 rounded-modern">
+            {recoveryCodes.map(code => (
+              <code key={code} className="text-blue-300 text-sm text-center">{code}</code>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={finishLogin}
+            className="w-full btn-modern bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 text-white font-semibold py-3"
+          >
+            I've saved these codes
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <form onSubmit={handleTwoFactorSubmit} className="space-y-5 sm:space-y-6">
+        {error && (
+          <div className="bg-gradient-to-r from-red-500/20 to-red-600/20 border border-red-500/30 text-red-300 p-3 sm:p-4 rounded-modern text-sm flex items-start space-x-2">
+            <span className="flex-shrink-0 mt-0.5">⚠️</span>
+            <span className="break-words">{error}</span>
+          </div>
+        )}
+
+        {twoFactor.mode === 'setup' ? (
+          <div className="space-y-3">
+            <h2 className="text-lg font-semibold text-white">Set up two-factor authentication</h2>
+            <p className="text-slate-400 text-sm">
+              Your account role requires two-factor authentication. Scan this code with an authenticator app, then enter the 6-digit code it shows.
+            </p>
+            <div className="flex justify-center">
+              <img src={twoFactor.qrCode} alt="Authenticator QR code" className="w-44 h-44 bg-white p-2 rounded-modern" />
+            </div>
+            <p className="text-slate-500 text-xs text-center break-all">
+              Or enter this key manually: <code className="text-blue-400">{twoFactor.secret}</code>
+            </p>
+          </div>
+        ) : (
+          <div>
+            <h2 className="text-lg font-semibold text-white mb-1">Two-factor authentication</h2>
+            <p className="text-slate-400 text-sm">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
+          </div>
+        )}
+
+        <input
+          type="text"
+          value={twoFactorCode}
+          onChange={(e) => setTwoFactorCode(e.target.value)}
+          required
+          autoFocus
+          autoComplete="one-time-code"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          className="input-modern text-base text-center tracking-widest"
+          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+        />
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full btn-modern bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 disabled:from-slate-600 disabled:to-slate-700 text-white font-semibold py-3 sm:py-3"
+        >
+          {loading ? (
+            <span className="flex items-center justify-center space-x-2">
+              <div className="loading-spinner"></div>
+              <span>Verifying...</span>
+            </span>
+          ) : (
+            <span>{twoFactor.mode === 'setup' ? 'Enable & Sign In' : 'Verify'}</span>
+          )}
+        </button>
+
+        <div className="flex flex-col space-y-2 text-center text-sm">
+          {twoFactor.mode === 'verify' && (
+            <button
+              type="button"
+              onClick={() => { setUseRecoveryCode(!useRecoveryCode); setTwoFactorCode(''); }}
+              className="text-blue-400 hover:text-blue-300 font-medium transition-colors duration-200"
+            >
+              {useRecoveryCode ? 'Use your authenticator app' : 'Use a recovery code'}
+            </button>
+          )}
+          <Link
+            to="/reset-two-factor"
+            className="text-blue-400 hover:text-blue-300 font-medium transition-colors duration-200"
+          >
+            Lost your authenticator?
+          </Link>
+          <button
+            type="button"
+            onClick={cancelTwoFactor}
+            className="text-slate-400 hover:text-slate-300 transition-colors duration-200"
+          >
+            Back to sign in
+          </button>
+        </div>
+      </form>
+    );
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 flex items-center justify-center p-4 sm:px-6 lg:px-8">
       <div className="w-full max-w-md space-y-6">
@@ -60,6 +258,8 @@ const Login = () => {
 
         {/* Login Form */}
         <div className="card-modern p-6 sm:p-8">
+          {twoFactor ? renderTwoFactorStep() : (
+          <>
           <form onSubmit={handleSubmit} className="space-y-5 sm:space-y-6">
             {error && (
               <div className="bg-gradient-to-r from-red-500/20 to-red-600/20 border border-red-500/30 text-red-300 p-3 sm:p-4 rounded-modern text-sm flex items-start space-x-2">
@@ -80,6 +280,7 @@ const Login = () => {
                   value={formData.email}
                   onChange={handleChange}
                   required
+                  autoComplete="username webauthn"
                   className="input-with-icon text-base"
                   placeholder="Enter your email"
                 />
@@ -131,6 +332,20 @@ const Login = () => {
                 </span>
               )}
             </button>
+
+            {passkeysSupported && (
+              <button
+                type="button"
+                onClick={() => handlePasskeyLogin(false)}
+                disabled={passkeyLoading}
+                className="w-full btn-modern bg-slate-700 hover:bg-slate-600 disabled:bg-slate-800 text-white font-semibold py-3"
+              >
+                <span className="flex items-center justify-center space-x-2">
+                  <span>🔑</span>
+                  <span>{passkeyLoading ? 'Waiting for passkey...' : 'Sign in with a passkey'}</span>
+                </span>
+              </button>
+            )}
           </form>
           
           <div className="mt-6 sm:mt-8 space-y-4">
@@ -159,6 +374,8 @@ const Login = () => {
               </p>
             </div>
           </div>
+          </>
+          )}
         </div>
 
         {/* Demo Credentials */}
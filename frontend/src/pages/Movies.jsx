@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
 import useAuth from '../hooks/useAuth';
 import MediaPlayer from '../components/MediaPlayer';
 import MediaCard from '../components/MediaCard';
@@ -21,6 +21,8 @@ const Movies = () => {
   const [mediaCardContent, setMediaCardContent] = useState(null);
   const [playResolution, setPlayResolution] = useState('auto');
   const [playResumeTime, setPlayResumeTime] = useState(null);
+  const [hideWatched, setHideWatched] = useState(() => localStorage.getItem('hideWatchedMovies') === 'true');
+  const queryClient = useQueryClient();
 
   // Fetch movies (content with category 'movie')
   const { data: moviesData, isLoading: moviesLoading } = useQuery({
@@ -78,6 +80,33 @@ const Movies = () => {
     return `${minutes}:${secs.toString().padStart(2, '0')}`;
   };
 
+  const visibleMovies = (moviesData?.content || []).filter(movie => !hideWatched || !movie.watched);
+
+  const toggleHideWatched = () => {
+    localStorage.setItem('hideWatchedMovies', String(!hideWatched));
+    setHideWatched(!hideWatched);
+  };
+
+  const toggleWatched = async (movie) => {
+    try {
+      const response = await fetch(`/api/content/${movie.id}/watched`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${sessionStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ watched: !movie.watched })
+      });
+      if (!response.ok) throw new Error('Failed to update watched state');
+
+      queryClient.invalidateQueries({ queryKey: ['content', 'movies'] });
+      queryClient.invalidateQueries({ queryKey: ['watch-history'] });
+      queryClient.invalidateQueries({ queryKey: ['continue-watching'] });
+    } catch (error) {
+      console.error('[Movies] Failed to update watched state:', error);
+    }
+  };
+
   const handleMovieClick = (movie) => {
     console.log('[Movies] Movie clicked:', movie.title);
     setMediaCardContent(movie);
@@ -143,14 +172,29 @@ const Movies = () => {
                   <span>🎬</span>
                   <span>Movie Library</span>
                 </h2>
-                <div className="text-sm text-slate-400">
-                  {moviesData.content.length} movie{moviesData.content.length !== 1 ? 's' : ''} available
+                <div className="flex items-center space-x-4">
+                  <label className="flex items-center space-x-2 text-sm text-slate-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={hideWatched}
+                      onChange={toggleHideWatched}
+                      className="rounded border-slate-600 bg-slate-700"
+                    />
+                    <span>Hide watched</span>
+                  </label>
+                  <div className="text-sm text-slate-400">
+                    {visibleMovies.length} movie{visibleMovies.length !== 1 ? 's' : ''} available
+                  </div>
                 </div>
               </div>
+
+              {visibleMovies.length === 0 && (
+                <p className="text-center text-slate-400 py-12">You've watched every movie in the library.</p>
+              )}
               
               {/* Netflix-style Movie Grid */}
               <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 2xl:grid-cols-6 gap-4">
-                {moviesData.content.map((movie) => {
+                {visibleMovies.map((movie) => {
                   // Parse tags properly - first tag is category, rest are additional tags
                   // Decode HTML entities first, then split and parse
                   const decodedTags = decodeHtmlEntities(movie.tags || '');
@@ -207,6 +251,22 @@ const Movies = () => {
                           </div>
                         </div>
                         
+                        {/* Watched toggle */}
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            toggleWatched(movie);
+                          }}
+                          title={movie.watched ? 'Mark as unwatched' : 'Mark as watched'}
+                          className={`absolute bottom-2 right-2 w-7 h-7 rounded-full flex items-center justify-center text-xs transition-opacity duration-300 ${
+                            movie.watched
+                              ? 'bg-green-600/90 text-white'
+                              : 'bg-black/70 text-slate-300 opacity-0 group-hover:opacity-100'
+                          }`}
+                        >
+                          ✓
+                        </button>
+                        
                         {/* Duration badge */}
                         {movie.duration && (
                           <div className="absolute top-2 right-2 bg-black/70 text-white text-xs px-2 py-1 rounded backdrop-blur-sm">
@@ -0,0 +1,452 @@
+import React, { useState, useEffect } from 'react';
+import MediaPlayer from '../components/MediaPlayer';
+import { formatDuration } from '../utils/formatters';
+
+const authHeaders = (json = false) => ({
+  'Authorization': `Bearer ${sessionStorage.getItem('token')}`,
+  ...(json ? { 'Content-Type': 'application/json' } : {})
+});
+
+const Playlists = () => {
+  const [playlists, setPlaylists] = useState([]);
+  const [selectedPlaylist, setSelectedPlaylist] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(false);
+  const [renameValue, setRenameValue] = useState('');
+  const [shareUsername, setShareUsername] = useState('');
+  const [shareCanEdit, setShareCanEdit] = useState(false);
+
+  // "Play all" queue state
+  const [queue, setQueue] = useState([]);
+  const [queueIndex, setQueueIndex] = useState(0);
+
+  useEffect(() => {
+    fetchPlaylists();
+  }, []);
+
+  const fetchPlaylists = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/playlists', { headers: authHeaders() });
+
+      if (response.ok) {
+        const data = await response.json();
+        setPlaylists(data.playlists);
+      } else {
+        setError('Failed to load playlists');
+      }
+    } catch (error) {
+      console.error('Error fetching playlists:', error);
+      setError('Failed to load playlists');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPlaylist = async (playlistId) => {
+    try {
+      const response = await fetch(`/api/playlists/${playlistId}`, { headers: authHeaders() });
+      const data = await response.json();
+
+      if (response.ok) {
+        setSelectedPlaylist(data.playlist);
+        setRenaming(false);
+      } else {
+        setError(data.error || 'Failed to load playlist');
+      }
+    } catch (error) {
+      console.error('Error fetching playlist:', error);
+      setError('Failed to load playlist');
+    }
+  };
+
+  // Run a playlist mutation, then refresh the list and the open playlist
+  const mutate = async (url, method, body) => {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: authHeaders(!!body),
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        alert(data.error || 'Request failed');
+        return null;
+      }
+
+      await fetchPlaylists();
+      return data;
+    } catch (error) {
+      console.error('Playlist request failed:', error);
+      alert('Request failed');
+      return null;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    const data = await mutate('/api/playlists', 'POST', { name: newName.trim() });
+    if (data) {
+      setNewName('');
+      fetchPlaylist(data.playlist.id);
+    }
+  };
+
+  const handleRename = async () => {
+    if (!renameValue.trim()) return;
+
+    const data = await mutate(`/api/playlists/${selectedPlaylist.id}`, 'PUT', { name: renameValue.trim() });
+    if (data) fetchPlaylist(selectedPlaylist.id);
+  };
+
+  const handleTogglePublic = async () => {
+    const data = await mutate(`/api/playlists/${selectedPlaylist.id}`, 'PUT', { isPublic: !selectedPlaylist.is_public });
+    if (data) fetchPlaylist(selectedPlaylist.id);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete playlist "${selectedPlaylist.name}"?`)) return;
+
+    const data = await mutate(`/api/playlists/${selectedPlaylist.id}`, 'DELETE');
+    if (data) setSelectedPlaylist(null);
+  };
+
+  const handleRemoveItem = async (mediaId) => {
+    const data = await mutate(`/api/playlists/${selectedPlaylist.id}/items/${mediaId}`, 'DELETE');
+    if (data) fetchPlaylist(selectedPlaylist.id);
+  };
+
+  const handleMoveItem = async (index, direction) => {
+    const items = [...selectedPlaylist.items];
+    const target = index + direction;
+    if (target < 0 || target >= items.length) return;
+
+    [items[index], items[target]] = [items[target], items[index]];
+    setSelectedPlaylist({ ...selectedPlaylist, items });
+
+    const data = await mutate(`/api/playlists/${selectedPlaylist.id}/items/order`, 'PUT', {
+      mediaIds: items.map(item => item.id)
+    });
+    if (!data) fetchPlaylist(selectedPlaylist.id);
+  };
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    if (!shareUsername.trim()) return;
+
+    const data = await mutate(`/api/playlists/${selectedPlaylist.id}/shares`, 'POST', {
+      username: shareUsername.trim(),
+      canEdit: shareCanEdit
+    });
+    if (data) {
+      setShareUsername('');
+      setShareCanEdit(false);
+      fetchPlaylist(selectedPlaylist.id);
+    }
+  };
+
+  const handleUnshare = async (userId) => {
+    const data = await mutate(`/api/playlists/${selectedPlaylist.id}/shares/${userId}`, 'DELETE');
+    if (data) fetchPlaylist(selectedPlaylist.id);
+  };
+
+  const handlePlayAll = async (startMediaId = null, shuffle = false) => {
+    try {
+      const params = new URLSearchParams();
+      if (startMediaId) params.set('start', startMediaId);
+      if (shuffle) params.set('shuffle', 'true');
+
+      const response = await fetch(`/api/playlists/${selectedPlaylist.id}/queue?${params}`, { headers: authHeaders() });
+      const data = await response.json();
+
+      if (!response.ok) {
+        alert(data.error || 'Failed to start playlist');
+        return;
+      }
+
+      if (data.queue.length === 0) {
+        alert('This playlist has nothing playable yet');
+        return;
+      }
+
+      setQueue(data.queue);
+      setQueueIndex(0);
+    } catch (error) {
+      console.error('Error loading play queue:', error);
+      alert('Failed to start playlist');
+    }
+  };
+
+  const handlePlaybackEnded = () => {
+    if (queueIndex + 1 < queue.length) {
+      setQueueIndex(queueIndex + 1);
+    } else {
+      setQueue([]);
+    }
+  };
+
+  const canEdit = selectedPlaylist && selectedPlaylist.access !== 'view';
+  const isOwner = selectedPlaylist && selectedPlaylist.access === 'owner';
+
+  if (loading && playlists.length === 0) {
+    return (
+      <div className="min-h-screen bg-slate-900 flex items-center justify-center">
+        <div className="text-white text-xl">Loading playlists...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-900 text-white">
+      <div className="container mx-auto px-4 py-8">
+        <h1 className="text-3xl font-bold mb-8">Playlists</h1>
+
+        {error && (
+          <div className="bg-red-600/20 border border-red-500/30 rounded-lg p-3 mb-6 text-red-300">
+            {error}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Playlist list */}
+          <div className="bg-slate-800 rounded-lg p-4">
+            <form onSubmit={handleCreate} className="flex gap-2 mb-4">
+              <input
+                type="text"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="New playlist name"
+                className="flex-1 bg-slate-700 rounded-lg px-3 py-2 text-sm border border-slate-600 focus:outline-none focus:border-blue-500"
+              />
+              <button
+                type="submit"
+                className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+              >
+                Create
+              </button>
+            </form>
+
+            {playlists.length === 0 ? (
+              <div className="text-center py-8">
+                <div className="text-5xl mb-3">🎵</div>
+                <p className="text-slate-400 text-sm">No playlists yet. Create one, then add titles from Movies or TV Shows.</p>
+              </div>
+            ) : (
+              <ul className="space-y-2">
+                {playlists.map((playlist) => (
+                  <li key={playlist.id}>
+                    <button
+                      onClick={() => fetchPlaylist(playlist.id)}
+                      className={`w-full text-left px-3 py-2 rounded-lg transition-colors ${
+                        selectedPlaylist?.id === playlist.id ? 'bg-blue-600' : 'bg-slate-700 hover:bg-slate-600'
+                      }`}
+                    >
+                      <div className="font-medium truncate">{playlist.name}</div>
+                      <div className="text-xs text-slate-300">
+                        {playlist.item_count} item{playlist.item_count !== 1 ? 's' : ''}
+                        {playlist.access !== 'owner' && ` • shared by ${playlist.owner_name}`}
+                      </div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Playlist detail */}
+          <div className="lg:col-span-2 bg-slate-800 rounded-lg p-4">
+            {!selectedPlaylist ? (
+              <div className="text-center py-12 text-slate-400">Select a playlist to see its items.</div>
+            ) : (
+              <>
+                <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-4">
+                  {renaming ? (
+                    <div className="flex gap-2 flex-1">
+                      <input
+                        type="text"
+                        value={renameValue}
+                        onChange={(e) => setRenameValue(e.target.value)}
+                        className="flex-1 bg-slate-700 rounded-lg px-3 py-2 text-sm border border-slate-600 focus:outline-none focus:border-blue-500"
+                      />
+                      <button onClick={handleRename} className="bg-blue-600 hover:bg-blue-700 px-3 py-2 rounded-lg text-sm">Save</button>
+                      <button onClick={() => setRenaming(false)} className="bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded-lg text-sm">Cancel</button>
+                    </div>
+                  ) : (
+                    <div>
+                      <h2 className="text-2xl font-bold">{selectedPlaylist.name}</h2>
+                      {selectedPlaylist.description && (
+                        <p className="text-slate-400 text-sm">{selectedPlaylist.description}</p>
+                      )}
+                    </div>
+                  )}
+
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      onClick={() => handlePlayAll()}
+                      className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                    >
+                      ▶️ Play All
+                    </button>
+                    <button
+                      onClick={() => handlePlayAll(null, true)}
+                      className="bg-slate-700 hover:bg-slate-600 px-4 py-2 rounded-lg text-sm transition-colors"
+                    >
+                      🔀 Shuffle
+                    </button>
+                    {canEdit && !renaming && (
+                      <button
+                        onClick={() => {
+                          setRenameValue(selectedPlaylist.name);
+                          setRenaming(true);
+                        }}
+                        className="bg-slate-700 hover:bg-slate-600 px-4 py-2 rounded-lg text-sm transition-colors"
+                      >
+                        Rename
+                      </button>
+                    )}
+                    {isOwner && (
+                      <button
+                        onClick={handleDelete}
+                        className="bg-red-600 hover:bg-red-700 px-4 py-2 rounded-lg text-sm transition-colors"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {selectedPlaylist.items.length === 0 ? (
+                  <p className="text-slate-400 text-sm py-6">This playlist is empty.</p>
+                ) : (
+                  <ul className="divide-y divide-slate-700">
+                    {selectedPlaylist.items.map((item, index) => (
+                      <li key={item.id} className="flex items-center gap-3 py-3">
+                        <span className="w-6 text-right text-slate-500 text-sm">{index + 1}</span>
+                        <button
+                          onClick={() => handlePlayAll(item.id)}
+                          className="flex-1 text-left min-w-0"
+                        >
+                          <div className="font-medium truncate hover:text-blue-400">{item.title}</div>
+                          <div className="text-xs text-slate-400">
+                            {item.show_title && item.season_number
+                              ? `${item.show_title} • S${item.season_number}E${item.episode_number} • `
+                              : ''}
+                            {formatDuration(item.duration)}
+                          </div>
+                        </button>
+                        {canEdit && (
+                          <div className="flex items-center gap-1">
+                            <button
+                              onClick={() => handleMoveItem(index, -1)}
+                              disabled={index === 0}
+                              className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-30 text-sm"
+                              title="Move up"
+                            >
+                              ↑
+                            </button>
+                            <button
+                              onClick={() => handleMoveItem(index, 1)}
+                              disabled={index === selectedPlaylist.items.length - 1}
+                              className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-30 text-sm"
+                              title="Move down"
+                            >
+                              ↓
+                            </button>
+                            <button
+                              onClick={() => handleRemoveItem(item.id)}
+                              className="px-2 py-1 rounded bg-slate-700 hover:bg-red-600 text-sm"
+                              title="Remove"
+                            >
+                              ✕
+                            </button>
+                          </div>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {/* Sharing (owner only) */}
+                {isOwner && (
+                  <div className="mt-6 pt-4 border-t border-slate-700">
+                    <div className="flex items-center justify-between mb-3">
+                      <h3 className="text-lg font-semibold">Sharing</h3>
+                      <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={!!selectedPlaylist.is_public}
+                          onChange={handleTogglePublic}
+                        />
+                        Visible to everyone on this server
+                      </label>
+                    </div>
+
+                    <form onSubmit={handleShare} className="flex flex-wrap gap-2 mb-3">
+                      <input
+                        type="text"
+                        value={shareUsername}
+                        onChange={(e) => setShareUsername(e.target.value)}
+                        placeholder="Username"
+                        className="flex-1 min-w-[10rem] bg-slate-700 rounded-lg px-3 py-2 text-sm border border-slate-600 focus:outline-none focus:border-blue-500"
+                      />
+                      <label className="flex items-center gap-2 text-sm text-slate-300">
+                        <input
+                          type="checkbox"
+                          checked={shareCanEdit}
+                          onChange={(e) => setShareCanEdit(e.target.checked)}
+                        />
+                        Can edit
+                      </label>
+                      <button
+                        type="submit"
+                        className="bg-slate-600 hover:bg-slate-500 px-4 py-2 rounded-lg text-sm transition-colors"
+                      >
+                        Share
+                      </button>
+                    </form>
+
+                    {selectedPlaylist.shares.length > 0 && (
+                      <ul className="space-y-2">
+                        {selectedPlaylist.shares.map((share) => (
+                          <li key={share.user_id} className="flex items-center justify-between bg-slate-700 rounded-lg px-3 py-2 text-sm">
+                            <span>
+                              {share.display_name || share.username}
+                              <span className="text-slate-400 ml-2">{share.can_edit ? 'can edit' : 'can view'}</span>
+                            </span>
+                            <button
+                              onClick={() => handleUnshare(share.user_id)}
+                              className="text-red-400 hover:text-red-300"
+                            >
+                              Remove
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Play-all player; remounted per item so each title loads fresh */}
+      {queue.length > 0 && queue[queueIndex] && (
+        <MediaPlayer
+          key={queue[queueIndex].id}
+          content={queue[queueIndex]}
+          onClose={() => setQueue([])}
+          onEnded={handlePlaybackEnded}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Playlists;
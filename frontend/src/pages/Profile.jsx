@@ -1,10 +1,35 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { startRegistration, browserSupportsWebAuthn } from '@simplewebauthn/browser';
 import { authManager } from '../utils/authManager';
 import { useSocket } from '../hooks/useSocket';
 
+// Languages offered for audio/subtitle preferences (ISO 639-1, as tagged on tracks)
+const PLAYBACK_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'fr', name: 'French' },
+  { code: 'de', name: 'German' },
+  { code: 'it', name: 'Italian' },
+  { code: 'pt', name: 'Portuguese' },
+  { code: 'nl', name: 'Dutch' },
+  { code: 'ru', name: 'Russian' },
+  { code: 'ja', name: 'Japanese' },
+  { code: 'ko', name: 'Korean' },
+  { code: 'zh', name: 'Chinese' },
+  { code: 'ar', name: 'Arabic' },
+  { code: 'hi', name: 'Hindi' },
+  { code: 'sv', name: 'Swedish' },
+  { code: 'no', name: 'Norwegian' },
+  { code: 'da', name: 'Danish' },
+  { code: 'fi', name: 'Finnish' },
+  { code: 'pl', name: 'Polish' },
+  { code: 'tr', name: 'Turkish' }
+];
+
 const Profile = () => {
-  const [activeTab, setActiveTab] = useState('profile');
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'profile');
   const [authState, setAuthState] = useState(authManager.getAuthState());
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -19,7 +44,9 @@ const Profile = () => {
     username: '',
     email: '',
     display_name: '',
-    bio: ''
+    bio: '',
+    preferred_audio_language: '',
+    preferred_subtitle_language: ''
   });
 
   // Password form state
@@ -38,6 +65,34 @@ const Profile = () => {
   const [loadingSessions, setLoadingSessions] = useState(false);
   const [loggingOutSession, setLoggingOutSession] = useState(null);
 
+  // Two-factor authentication state
+  const [twoFactorStatus, setTwoFactorStatus] = useState(null);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null); // { secret, qrCode } while enrolling
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [twoFactorPassword, setTwoFactorPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // Shown once after enable/regenerate
+  const [twoFactorBusy, setTwoFactorBusy] = useState(false);
+
+  // Passkeys
+  const [passkeys, setPasskeys] = useState([]);
+  const [passkeyName, setPasskeyName] = useState('');
+  const [addingPasskey, setAddingPasskey] = useState(false);
+  const [removingPasskey, setRemovingPasskey] = useState(null);
+
+  // Personal API tokens
+  const [apiTokens, setApiTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [apiTokenForm, setApiTokenForm] = useState({ name: '', scopes: [], expiresInDays: '90' });
+  const [newApiToken, setNewApiToken] = useState(null); // Plaintext, shown once after creation
+  const [creatingApiToken, setCreatingApiToken] = useState(false);
+  const [revokingApiToken, setRevokingApiToken] = useState(null);
+
+  // Parental controls and kids profile
+  const [parental, setParental] = useState(null); // { settings, activeProfile, ratings }
+  const [kidsForm, setKidsForm] = useState({ pin: '', currentPin: '', maxRating: 'PG', blockedTags: '' });
+  const [profilePin, setProfilePin] = useState('');
+  const [parentalBusy, setParentalBusy] = useState(false);
+
   // Personal bandwidth usage state
   const [userBandwidthData, setUserBandwidthData] = useState(null);
   const [bandwidthLoading, setBandwidthLoading] = useState(false);
@@ -62,7 +117,9 @@ const Profile = () => {
           username: newAuthState.user.username || '',
           email: newAuthState.user.email || '',
           display_name: newAuthState.user.display_name || '',
-          bio: newAuthState.user.bio || ''
+          bio: newAuthState.user.bio || '',
+          preferred_audio_language: newAuthState.user.preferred_audio_language || '',
+          preferred_subtitle_language: newAuthState.user.preferred_subtitle_language || ''
         });
         setLoading(false);
       }
@@ -74,7 +131,9 @@ const Profile = () => {
         username: authState.user.username || '',
         email: authState.user.email || '',
         display_name: authState.user.display_name || '',
-        bio: authState.user.bio || ''
+        bio: authState.user.bio || '',
+        preferred_audio_language: authState.user.preferred_audio_language || '',
+        preferred_subtitle_language: authState.user.preferred_subtitle_language || ''
       });
       setLoading(false);
     } else if (!authState.isAuthenticated) {
@@ -332,10 +391,392 @@ const Profile = () => {
     }
   };
 
+  const loadTwoFactorStatus = async () => {
+    try {
+      const response = await authManager.apiRequest('/api/users/2fa');
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setTwoFactorStatus(data);
+      }
+    } catch (err) {
+      console.error('Load two-factor status error:', err);
+    }
+  };
+
+  // Shared POST helper for the 2FA endpoints; returns the response data on success
+  const twoFactorRequest = async (path, body = {}) => {
+    setTwoFactorBusy(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authManager.apiRequest(`/api/users/2fa${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        return data;
+      }
+      setError(data.error || 'Two-factor request failed');
+      return null;
+    } catch (err) {
+      setError('Network error. Please try again.');
+      console.error('Two-factor request error:', err);
+      return null;
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  };
+
+  const handleStartTwoFactorSetup = async () => {
+    const data = await twoFactorRequest('/setup');
+    if (data) {
+      setTwoFactorSetup({ secret: data.secret, qrCode: data.qrCode });
+      setTwoFactorCode('');
+      setRecoveryCodes(null);
+    }
+  };
+
+  const handleEnableTwoFactor = async (e) => {
+    e.preventDefault();
+    const data = await twoFactorRequest('/enable', { code: twoFactorCode });
+    if (data) {
+      setSuccess(data.message);
+      setRecoveryCodes(data.recoveryCodes);
+      setTwoFactorSetup(null);
+      setTwoFactorCode('');
+      loadTwoFactorStatus();
+    }
+  };
+
+  const handleRegenerateRecoveryCodes = async () => {
+    if (!twoFactorCode) {
+      setError('Enter a code from your authenticator app first');
+      return;
+    }
+    const data = await twoFactorRequest('/recovery-codes', { code: twoFactorCode });
+    if (data) {
+      setRecoveryCodes(data.recoveryCodes);
+      setTwoFactorCode('');
+      loadTwoFactorStatus();
+    }
+  };
+
+  const handleDisableTwoFactor = async () => {
+    if (!twoFactorPassword || !twoFactorCode) {
+      setError('Enter your password and an authenticator or recovery code');
+      return;
+    }
+    if (!window.confirm('Turn off two-factor authentication for your account?')) {
+      return;
+    }
+
+    // Recovery codes contain a dash; authenticator codes are digits
+    const codeField = twoFactorCode.includes('-') ? 'recoveryCode' : 'code';
+    const data = await twoFactorRequest('/disable', { password: twoFactorPassword, [codeField]: twoFactorCode });
+    if (data) {
+      setSuccess(data.message);
+      setTwoFactorCode('');
+      setTwoFactorPassword('');
+      setRecoveryCodes(null);
+      loadTwoFactorStatus();
+    }
+  };
+
+  const loadPasskeys = async () => {
+    try {
+      const response = await authManager.apiRequest('/api/users/passkeys');
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setPasskeys(data.passkeys);
+      }
+    } catch (err) {
+      console.error('Load passkeys error:', err);
+    }
+  };
+
+  const handleAddPasskey = async () => {
+    setAddingPasskey(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const optionsResponse = await authManager.apiRequest('/api/users/passkeys/options', { method: 'POST' });
+      const optionsData = await optionsResponse.json();
+      if (!optionsResponse.ok || !optionsData.success) {
+        setError(optionsData.error || 'Failed to start passkey registration');
+        return;
+      }
+
+      const registration = await startRegistration({ optionsJSON: optionsData.options });
+
+      const response = await authManager.apiRequest('/api/users/passkeys', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          challengeToken: optionsData.challengeToken,
+          response: registration,
+          name: passkeyName
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setSuccess(data.message);
+        setPasskeyName('');
+        await loadPasskeys();
+      } else {
+        setError(data.error || 'Failed to register passkey');
+      }
+    } catch (err) {
+      if (err.name === 'InvalidStateError') {
+        setError('This device already has a passkey for your account');
+      } else if (err.name !== 'NotAllowedError') {
+        setError('Passkey registration failed. Please try again.');
+        console.error('Add passkey error:', err);
+      }
+    } finally {
+      setAddingPasskey(false);
+    }
+  };
+
+  const handleRemovePasskey = async (passkey) => {
+    if (!window.confirm(`Remove the passkey "${passkey.name}"? You won't be able to sign in with it anymore.`)) {
+      return;
+    }
+
+    setRemovingPasskey(passkey.id);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authManager.apiRequest(`/api/users/passkeys/${passkey.id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setSuccess(data.message);
+        await loadPasskeys();
+      } else {
+        setError(data.error || 'Failed to remove passkey');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+      console.error('Remove passkey error:', err);
+    } finally {
+      setRemovingPasskey(null);
+    }
+  };
+
+  const loadApiTokens = async () => {
+    try {
+      const response = await authManager.apiRequest('/api/users/api-tokens');
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setApiTokens(data.tokens);
+        setAvailableScopes(data.availableScopes);
+      }
+    } catch (err) {
+      console.error('Load API tokens error:', err);
+    }
+  };
+
+  const toggleApiTokenScope = (scope) => {
+    setApiTokenForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(s => s !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreateApiToken = async (e) => {
+    e.preventDefault();
+    setCreatingApiToken(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authManager.apiRequest('/api/users/api-tokens', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: apiTokenForm.name,
+          scopes: apiTokenForm.scopes,
+          expiresInDays: apiTokenForm.expiresInDays ? parseInt(apiTokenForm.expiresInDays) : null
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setNewApiToken({ name: data.apiToken.name, token: data.token });
+        setApiTokenForm({ name: '', scopes: [], expiresInDays: '90' });
+        await loadApiTokens();
+      } else {
+        setError(data.error || 'Failed to create API token');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+      console.error('Create API token error:', err);
+    } finally {
+      setCreatingApiToken(false);
+    }
+  };
+
+  const handleRevokeApiToken = async (apiToken) => {
+    if (!window.confirm(`Revoke the API token "${apiToken.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+
+    setRevokingApiToken(apiToken.id);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authManager.apiRequest(`/api/users/api-tokens/${apiToken.id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setSuccess(data.message);
+        await loadApiTokens();
+      } else {
+        setError(data.error || 'Failed to revoke API token');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+      console.error('Revoke API token error:', err);
+    } finally {
+      setRevokingApiToken(null);
+    }
+  };
+
+  const loadParentalControls = async () => {
+    try {
+      const response = await authManager.apiRequest('/api/users/parental-controls');
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setParental(data);
+        setKidsForm(prev => ({
+          ...prev,
+          maxRating: data.settings.kidsProfile.maxRating,
+          blockedTags: data.settings.kidsProfile.blockedTags.join(', ')
+        }));
+      }
+    } catch (err) {
+      console.error('Load parental controls error:', err);
+    }
+  };
+
+  const handleSaveKidsProfile = async (e) => {
+    e.preventDefault();
+    setParentalBusy(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authManager.apiRequest('/api/users/kids-profile', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          pin: kidsForm.pin || undefined,
+          currentPin: kidsForm.currentPin || undefined,
+          maxRating: kidsForm.maxRating,
+          blockedTags: kidsForm.blockedTags.split(',')
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setSuccess(data.message);
+        setKidsForm(prev => ({ ...prev, pin: '', currentPin: '' }));
+        await loadParentalControls();
+      } else {
+        setError(data.error || 'Failed to save kids profile');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+      console.error('Save kids profile error:', err);
+    } finally {
+      setParentalBusy(false);
+    }
+  };
+
+  const handleDisableKidsProfile = async () => {
+    if (!profilePin) {
+      setError('Enter your PIN to turn off the kids profile');
+      return;
+    }
+
+    setParentalBusy(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authManager.apiRequest('/api/users/kids-profile', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pin: profilePin })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setSuccess(data.message);
+        setProfilePin('');
+        await loadParentalControls();
+      } else {
+        setError(data.error || 'Failed to turn off kids profile');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+      console.error('Disable kids profile error:', err);
+    } finally {
+      setParentalBusy(false);
+    }
+  };
+
+  // Reload after switching so every page picks up the new restrictions
+  const handleSwitchProfile = async (profile) => {
+    setParentalBusy(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authManager.apiRequest('/api/users/profile/switch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ profile, pin: profile === 'main' ? profilePin : undefined })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        window.location.href = '/';
+      } else {
+        setError(data.error || 'Failed to switch profile');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+      console.error('Switch profile error:', err);
+    } finally {
+      setProfilePin('');
+      setParentalBusy(false);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 'parental' && authState.isAuthenticated) {
+      loadParentalControls();
+    }
+  }, [activeTab, authState.isAuthenticated]);
+
   // Load sessions when Security tab is active
   useEffect(() => {
     if (activeTab === 'security' && authState.isAuthenticated) {
       loadSessions();
+      loadTwoFactorStatus();
+      loadPasskeys();
+      loadApiTokens();
     }
   }, [activeTab, authState.isAuthenticated]);
 
@@ -445,7 +886,8 @@ const Profile = () => {
               { id: 'profile', icon: '📝', label: 'Profile Information' },
               { id: 'password', icon: '🔒', label: 'Change Password' },
               { id: 'picture', icon: '📷', label: 'Profile Picture' },
-              { id: 'security', icon: '🛡️', label: 'Security Settings' }
+              { id: 'security', icon: '🛡️', label: 'Security Settings' },
+              { id: 'parental', icon: '🧸', label: 'Parental Controls' }
             ].map((tab) => (
               <button
                 key={tab.id}
@@ -470,7 +912,8 @@ const Profile = () => {
                   profile: { icon: '📝', title: 'Profile Information', desc: 'Update your personal information and bio' },
                   password: { icon: '🔒', title: 'Change Password', desc: 'Change your account password securely' },
                   picture: { icon: '📷', title: 'Profile Picture', desc: 'Upload or update your profile picture' },
-                  security: { icon: '🛡️', title: 'Security Settings', desc: 'Manage your account security, sessions, and account deletion' }
+                  security: { icon: '🛡️', title: 'Security Settings', desc: 'Manage your account security, sessions, and account deletion' },
+                  parental: { icon: '🧸', title: 'Parental Controls', desc: 'Content limits on this account and the PIN-protected kids profile' }
                 };
                 const current = tabInfo[activeTab];
                 return (
@@ -557,6 +1000,38 @@ const Profile = () => {
                       {profileForm.bio.length}/500 characters
                     </p>
                   </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Preferred Audio Language
+                    </label>
+                    <select
+                      value={profileForm.preferred_audio_language}
+                      onChange={(e) => handleInputChange('profile', 'preferred_audio_language', e.target.value)}
+                      className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors"
+                    >
+                      <option value="">File default</option>
+                      {PLAYBACK_LANGUAGES.map(lang => (
+                        <option key={lang.code} value={lang.code}>{lang.name}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Preferred Subtitle Language
+                    </label>
+                    <select
+                      value={profileForm.preferred_subtitle_language}
+                      onChange={(e) => handleInputChange('profile', 'preferred_subtitle_language', e.target.value)}
+                      className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors"
+                    >
+                      <option value="">Off (forced subtitles only)</option>
+                      {PLAYBACK_LANGUAGES.map(lang => (
+                        <option key={lang.code} value={lang.code}>{lang.name}</option>
+                      ))}
+                    </select>
+                  </div>
                 </div>
 
                 <div className="flex justify-end">
@@ -679,6 +1154,188 @@ const Profile = () => {
               </div>
             )}
 
+            {/* Parental Controls Tab */}
+            {activeTab === 'parental' && (
+              <div className="animate-fadeIn space-y-6">
+                {!parental ? (
+                  <div className="text-center py-8 text-gray-400">Loading parental controls...</div>
+                ) : (
+                  <>
+                    {parental.activeProfile === 'kids' && (
+                      <div className="bg-yellow-900 border border-yellow-700 rounded-lg p-4 md:p-6">
+                        <h4 className="text-yellow-200 font-medium mb-2">🧸 Kids profile is on</h4>
+                        <p className="text-yellow-100 text-sm mb-4">
+                          Only titles rated {parental.settings.kidsProfile.maxRating} or lower are shown on this device.
+                          Enter the PIN to go back to the main profile.
+                        </p>
+                        <div className="flex flex-col sm:flex-row gap-3">
+                          <input
+                            type="password"
+                            inputMode="numeric"
+                            value={profilePin}
+                            onChange={(e) => setProfilePin(e.target.value.replace(/\D/g, ''))}
+                            maxLength={8}
+                            className="flex-1 px-3 py-2 bg-gray-600 border border-gray-500 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            placeholder="PIN"
+                          />
+                          <button
+                            onClick={() => handleSwitchProfile('main')}
+                            disabled={parentalBusy || !profilePin}
+                            className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                          >
+                            {parentalBusy ? 'Checking...' : 'Exit Kids Profile'}
+                          </button>
+                        </div>
+                      </div>
+                    )}
+
+                    <div className="bg-gray-700 rounded-lg p-4 md:p-6">
+                      <h4 className="text-lg font-medium text-white mb-1">Account Limits</h4>
+                      <p className="text-gray-300 text-sm mb-4">
+                        Set by an administrator. These apply on every device and can't be changed here.
+                      </p>
+                      {parental.settings.maxRating || parental.settings.blockedTags.length > 0 ? (
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                          <div>
+                            <span className="text-gray-400">Maximum rating:</span>
+                            <span className="text-white ml-2">{parental.settings.maxRating || 'No limit'}</span>
+                          </div>
+                          <div>
+                            <span className="text-gray-400">Unrated titles:</span>
+                            <span className="text-white ml-2">{parental.settings.allowUnrated ? 'Shown' : 'Hidden'}</span>
+                          </div>
+                          <div>
+                            <span className="text-gray-400">Blocked tags:</span>
+                            <span className="text-white ml-2">
+                              {parental.settings.blockedTags.length > 0 ? parental.settings.blockedTags.join(', ') : 'None'}
+                            </span>
+                          </div>
+                        </div>
+                      ) : (
+                        <div className="text-gray-400 text-sm">No limits on this account</div>
+                      )}
+                    </div>
+
+                    {parental.activeProfile === 'main' && (
+                      <div className="bg-gray-700 rounded-lg p-4 md:p-6">
+                        <div className="flex items-center justify-between mb-1">
+                          <h4 className="text-lg font-medium text-white">Kids Profile</h4>
+                          <span className={`px-2 py-1 text-xs rounded ${
+                            parental.settings.kidsProfile.enabled ? 'bg-green-600 text-white' : 'bg-gray-600 text-gray-300'
+                          }`}>
+                            {parental.settings.kidsProfile.enabled ? 'Set up' : 'Not set up'}
+                          </span>
+                        </div>
+                        <p className="text-gray-300 text-sm mb-4">
+                          Switch a device to the kids profile to hide titles above a rating. Unrated titles are always
+                          hidden on the kids profile, and leaving it needs your PIN.
+                        </p>
+
+                        <form onSubmit={handleSaveKidsProfile} className="space-y-4">
+                          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                              <label className="block text-sm font-medium text-gray-300 mb-1">Maximum rating</label>
+                              <select
+                                value={kidsForm.maxRating}
+                                onChange={(e) => setKidsForm(prev => ({ ...prev, maxRating: e.target.value }))}
+                                className="w-full px-3 py-2 bg-gray-600 border border-gray-500 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              >
+                                {parental.ratings.levels.map(level => (
+                                  <option key={level.key} value={level.key}>{level.label}</option>
+                                ))}
+                              </select>
+                            </div>
+                            <div>
+                              <label className="block text-sm font-medium text-gray-300 mb-1">Blocked tags</label>
+                              <input
+                                type="text"
+                                value={kidsForm.blockedTags}
+                                onChange={(e) => setKidsForm(prev => ({ ...prev, blockedTags: e.target.value }))}
+                                className="w-full px-3 py-2 bg-gray-600 border border-gray-500 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                placeholder="e.g. Horror, War"
+                              />
+                            </div>
+                            {parental.settings.kidsProfile.enabled && (
+                              <div>
+                                <label className="block text-sm font-medium text-gray-300 mb-1">Current PIN (to change it)</label>
+                                <input
+                                  type="password"
+                                  inputMode="numeric"
+                                  value={kidsForm.currentPin}
+                                  onChange={(e) => setKidsForm(prev => ({ ...prev, currentPin: e.target.value.replace(/\D/g, '') }))}
+                                  maxLength={8}
+                                  className="w-full px-3 py-2 bg-gray-600 border border-gray-500 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                              </div>
+                            )}
+                            <div>
+                              <label className="block text-sm font-medium text-gray-300 mb-1">
+                                {parental.settings.kidsProfile.enabled ? 'New PIN (optional)' : 'PIN (4-8 digits)'}
+                              </label>
+                              <input
+                                type="password"
+                                inputMode="numeric"
+                                value={kidsForm.pin}
+                                onChange={(e) => setKidsForm(prev => ({ ...prev, pin: e.target.value.replace(/\D/g, '') }))}
+                                required={!parental.settings.kidsProfile.enabled}
+                                minLength={4}
+                                maxLength={8}
+                                className="w-full px-3 py-2 bg-gray-600 border border-gray-500 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              />
+                            </div>
+                          </div>
+
+                          <div className="flex flex-wrap gap-3">
+                            <button
+                              type="submit"
+                              disabled={parentalBusy}
+                              className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                            >
+                              {parentalBusy ? 'Saving...' : 'Save Kids Profile'}
+                            </button>
+                            {parental.settings.kidsProfile.enabled && (
+                              <button
+                                type="button"
+                                onClick={() => handleSwitchProfile('kids')}
+                                disabled={parentalBusy}
+                                className="bg-yellow-600 hover:bg-yellow-700 disabled:bg-yellow-800 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                              >
+                                🧸 Switch This Device to Kids Profile
+                              </button>
+                            )}
+                          </div>
+                        </form>
+
+                        {parental.settings.kidsProfile.enabled && (
+                          <div className="border-t border-gray-600 mt-6 pt-4">
+                            <h5 className="text-white font-medium mb-2">Turn off the kids profile</h5>
+                            <div className="flex flex-col sm:flex-row gap-3">
+                              <input
+                                type="password"
+                                inputMode="numeric"
+                                value={profilePin}
+                                onChange={(e) => setProfilePin(e.target.value.replace(/\D/g, ''))}
+                                maxLength={8}
+                                className="flex-1 px-3 py-2 bg-gray-600 border border-gray-500 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                placeholder="PIN"
+                              />
+                              <button
+                                onClick={handleDisableKidsProfile}
+                                disabled={parentalBusy}
+                                className="bg-red-600 hover:bg-red-700 disabled:bg-red-800 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                              >
+                                Turn Off
+                              </button>
+                            </div>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
+
             {/* Security Tab */}
             {activeTab === 'security' && (
               <div className="animate-fadeIn space-y-6">
@@ -689,6 +1346,143 @@ const Profile = () => {
                   </p>
                 </div>
 
+                <div className="bg-gray-700 rounded-lg p-4 md:p-6">
+                  <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+                    <h4 className="text-lg font-medium text-white">Two-Factor Authentication</h4>
+                    {twoFactorStatus && (
+                      <span className={`px-2 py-1 rounded text-xs font-medium ${
+                        twoFactorStatus.enabled ? 'bg-green-600 text-white' : 'bg-gray-600 text-gray-200'
+                      }`}>
+                        {twoFactorStatus.enabled ? 'Enabled' : 'Disabled'}
+                      </span>
+                    )}
+                  </div>
+
+                  {twoFactorStatus?.required && !twoFactorStatus.enabled && (
+                    <p className="text-yellow-300 text-sm mb-4">
+                      Two-factor authentication is required for your role. Set it up now to avoid being asked at your next sign in.
+                    </p>
+                  )}
+
+                  {recoveryCodes && (
+                    <div className="bg-gray-800 rounded-md p-4 mb-4">
+                      <h5 className="text-white font-medium mb-1">Recovery Codes</h5>
+                      <p className="text-gray-300 text-sm mb-3">
+                        Store these somewhere safe. Each code works once if you lose your authenticator, and they won't be shown again.
+                      </p>
+                      <div className="grid grid-cols-2 gap-2">
+                        {recoveryCodes.map(code => (
+                          <code key={code} className="text-blue-300 text-sm">{code}</code>
+                        ))}
+                      </div>
+                      <button
+                        onClick={() => setRecoveryCodes(null)}
+                        className="mt-3 bg-gray-600 hover:bg-gray-500 text-white font-medium py-1 px-3 rounded-md text-sm transition duration-200"
+                      >
+                        Done
+                      </button>
+                    </div>
+                  )}
+
+                  {!twoFactorStatus ? (
+                    <div className="text-gray-400 text-sm">Loading...</div>
+                  ) : twoFactorStatus.enabled ? (
+                    <div className="space-y-4">
+                      <p className="text-gray-300 text-sm">
+                        Sign in requires a code from your authenticator app.
+                        {' '}{twoFactorStatus.recoveryCodesRemaining} recovery code{twoFactorStatus.recoveryCodesRemaining !== 1 ? 's' : ''} remaining.
+                      </p>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <input
+                          type="text"
+                          value={twoFactorCode}
+                          onChange={(e) => setTwoFactorCode(e.target.value)}
+                          autoComplete="one-time-code"
+                          className="w-full px-3 py-2 bg-gray-600 border border-gray-500 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          placeholder="Authenticator or recovery code"
+                        />
+                        <input
+                          type="password"
+                          value={twoFactorPassword}
+                          onChange={(e) => setTwoFactorPassword(e.target.value)}
+                          className="w-full px-3 py-2 bg-gray-600 border border-gray-500 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          placeholder="Password (to turn off)"
+                        />
+                      </div>
+                      <div className="flex flex-col sm:flex-row gap-3">
+                        <button
+                          onClick={handleRegenerateRecoveryCodes}
+                          disabled={twoFactorBusy}
+                          className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                        >
+                          New Recovery Codes
+                        </button>
+                        {!twoFactorStatus.required && (
+                          <button
+                            onClick={handleDisableTwoFactor}
+                            disabled={twoFactorBusy}
+                            className="bg-red-600 hover:bg-red-700 disabled:bg-red-800 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                          >
+                            Turn Off
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ) : twoFactorSetup ? (
+                    <form onSubmit={handleEnableTwoFactor} className="space-y-4">
+                      <p className="text-gray-300 text-sm">
+                        Scan this QR code with an authenticator app (Google Authenticator, 1Password, Authy...), then enter the 6-digit code it shows.
+                      </p>
+                      <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+                        <img src={twoFactorSetup.qrCode} alt="Authenticator QR code" className="w-40 h-40 bg-white p-2 rounded-md" />
+                        <p className="text-gray-400 text-xs break-all">
+                          Manual entry key:<br />
+                          <code className="text-blue-300">{twoFactorSetup.secret}</code>
+                        </p>
+                      </div>
+                      <div className="flex flex-col sm:flex-row gap-3">
+                        <input
+                          type="text"
+                          value={twoFactorCode}
+                          onChange={(e) => setTwoFactorCode(e.target.value)}
+                          required
+                          inputMode="numeric"
+                          autoComplete="one-time-code"
+                          className="flex-1 px-3 py-2 bg-gray-600 border border-gray-500 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          placeholder="123456"
+                        />
+                        <button
+                          type="submit"
+                          disabled={twoFactorBusy}
+                          className="bg-green-600 hover:bg-green-700 disabled:bg-green-800 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                        >
+                          {twoFactorBusy ? 'Verifying...' : 'Verify & Enable'}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => { setTwoFactorSetup(null); setTwoFactorCode(''); }}
+                          className="bg-gray-600 hover:bg-gray-500 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  ) : (
+                    <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                      <p className="text-gray-300 text-sm flex-1">
+                        Add a second step to sign in using a time-based code from an authenticator app.
+                      </p>
+                      <button
+                        onClick={handleStartTwoFactorSetup}
+                        disabled={twoFactorBusy}
+                        className="w-full md:w-auto bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                      >
+                        🔑 Set Up 2FA
+                      </button>
+                    </div>
+                  )}
+                </div>
+
                 <div className="bg-gray-700 rounded-lg p-4 md:p-6">
                   <h4 className="text-lg font-medium text-white mb-4">Session Management</h4>
                   
@@ -726,6 +1520,12 @@ const Profile = () => {
                 <div className="bg-gray-700 rounded-lg p-4 md:p-6">
                   <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
                     <h4 className="text-lg font-medium text-white">Active Sessions</h4>
+                    <button
+                      onClick={() => navigate('/activate')}
+                      className="w-full sm:w-auto sm:ml-auto bg-gray-600 hover:bg-gray-500 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                    >
+                      📺 Pair a TV
+                    </button>
                     <button
                       onClick={loadSessions}
                       disabled={loadingSessions}
@@ -769,7 +1569,8 @@ const Profile = () => {
                                 <div className="flex items-center gap-2">
                                   {/* Device/Browser Icon */}
                                   <span className="text-lg flex-shrink-0">
-                                    {session.device_info?.toLowerCase().includes('mobile') || 
+                                    {session.device_name ? '📺' :
+                                     session.device_info?.toLowerCase().includes('mobile') || 
                                      session.device_info?.toLowerCase().includes('iphone') || 
                                      session.device_info?.toLowerCase().includes('android') ? '📱' : 
                                      session.browser_info?.toLowerCase().includes('chrome') ? '🌐' :
@@ -778,7 +1579,9 @@ const Profile = () => {
                                      session.browser_info?.toLowerCase().includes('edge') ? '🔷' : '💻'}
                                   </span>
                                   <span className="text-white font-medium text-sm md:text-base truncate">
-                                    {session.device_info} • {session.browser_info}
+                                    {session.device_name
+                                      ? `${session.device_name} • ${session.device_info}`
+                                      : `${session.device_info} • ${session.browser_info}`}
                                   </span>
                                 </div>
                                 {session.is_current_session && (
@@ -833,6 +1636,191 @@ const Profile = () => {
                   )}
                 </div>
 
+                <div className="bg-gray-700 rounded-lg p-4 md:p-6">
+                  <h4 className="text-lg font-medium text-white mb-1">Passkeys</h4>
+                  <p className="text-gray-300 text-sm mb-4">
+                    Sign in without a password using your phone, computer or security key.
+                  </p>
+
+                  {browserSupportsWebAuthn() ? (
+                    <div className="flex flex-col sm:flex-row gap-3 mb-4">
+                      <input
+                        type="text"
+                        value={passkeyName}
+                        onChange={(e) => setPasskeyName(e.target.value)}
+                        maxLength={64}
+                        className="flex-1 px-3 py-2 bg-gray-600 border border-gray-500 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="Name (optional, e.g. Living room TV)"
+                      />
+                      <button
+                        onClick={handleAddPasskey}
+                        disabled={addingPasskey}
+                        className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                      >
+                        {addingPasskey ? 'Waiting for device...' : '🔑 Add Passkey'}
+                      </button>
+                    </div>
+                  ) : (
+                    <p className="text-yellow-300 text-sm mb-4">This browser doesn't support passkeys.</p>
+                  )}
+
+                  {passkeys.length === 0 ? (
+                    <div className="text-center py-4">
+                      <div className="text-gray-400">No passkeys registered</div>
+                    </div>
+                  ) : (
+                    <div className="space-y-3">
+                      {passkeys.map(passkey => (
+                        <div key={passkey.id} className="bg-gray-600 rounded-lg p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                          <div>
+                            <div className="text-white font-medium">
+                              {passkey.name}
+                              {passkey.backedUp && (
+                                <span className="ml-2 px-2 py-0.5 bg-green-600 text-white text-xs rounded">Synced</span>
+                              )}
+                            </div>
+                            <div className="text-gray-400 text-xs">
+                              Added {new Date(passkey.createdAt).toLocaleDateString()}
+                              {' · '}
+                              {passkey.lastUsedAt ? `Last used ${new Date(passkey.lastUsedAt).toLocaleString()}` : 'Never used'}
+                            </div>
+                          </div>
+                          <button
+                            onClick={() => handleRemovePasskey(passkey)}
+                            disabled={removingPasskey === passkey.id}
+                            className="bg-red-600 hover:bg-red-700 disabled:bg-red-800 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                          >
+                            {removingPasskey === passkey.id ? 'Removing...' : 'Remove'}
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <div className="bg-gray-700 rounded-lg p-4 md:p-6">
+                  <h4 className="text-lg font-medium text-white mb-1">API Tokens</h4>
+                  <p className="text-gray-300 text-sm mb-4">
+                    Let scripts and integrations use your account without your password. Send the token as
+                    {' '}<code className="text-blue-300">Authorization: Bearer &lt;token&gt;</code>.
+                  </p>
+
+                  {newApiToken && (
+                    <div className="bg-green-900/40 border border-green-600 rounded-lg p-4 mb-4">
+                      <div className="text-green-300 text-sm mb-2">
+                        Copy the token for "{newApiToken.name}" now. It won't be shown again.
+                      </div>
+                      <div className="flex flex-col sm:flex-row gap-2">
+                        <code className="flex-1 bg-gray-800 text-white text-sm px-3 py-2 rounded-md break-all font-mono">
+                          {newApiToken.token}
+                        </code>
+                        <button
+                          onClick={async () => {
+                            await navigator.clipboard.writeText(newApiToken.token);
+                            setSuccess('API token copied to clipboard');
+                          }}
+                          className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                        >
+                          📋 Copy
+                        </button>
+                        <button
+                          onClick={() => setNewApiToken(null)}
+                          className="bg-gray-600 hover:bg-gray-500 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                        >
+                          Done
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  <form onSubmit={handleCreateApiToken} className="space-y-3 mb-4">
+                    <div className="flex flex-col sm:flex-row gap-3">
+                      <input
+                        type="text"
+                        value={apiTokenForm.name}
+                        onChange={(e) => setApiTokenForm(prev => ({ ...prev, name: e.target.value }))}
+                        required
+                        maxLength={64}
+                        className="flex-1 px-3 py-2 bg-gray-600 border border-gray-500 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="Name (e.g. Nightly scan script)"
+                      />
+                      <select
+                        value={apiTokenForm.expiresInDays}
+                        onChange={(e) => setApiTokenForm(prev => ({ ...prev, expiresInDays: e.target.value }))}
+                        className="px-3 py-2 bg-gray-600 border border-gray-500 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="30">Expires in 30 days</option>
+                        <option value="90">Expires in 90 days</option>
+                        <option value="365">Expires in 1 year</option>
+                        <option value="">Never expires</option>
+                      </select>
+                    </div>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                      {availableScopes.map(scope => (
+                        <label key={scope.key} className="flex items-start gap-2 bg-gray-600 rounded-md p-3 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={apiTokenForm.scopes.includes(scope.key)}
+                            onChange={() => toggleApiTokenScope(scope.key)}
+                            className="mt-1"
+                          />
+                          <span>
+                            <span className="block text-white text-sm font-medium">{scope.label}</span>
+                            <span className="block text-gray-400 text-xs">{scope.description}</span>
+                          </span>
+                        </label>
+                      ))}
+                    </div>
+
+                    <button
+                      type="submit"
+                      disabled={creatingApiToken || apiTokenForm.scopes.length === 0}
+                      className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 disabled:opacity-60 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                    >
+                      {creatingApiToken ? 'Creating...' : '🔐 Create Token'}
+                    </button>
+                  </form>
+
+                  {apiTokens.length === 0 ? (
+                    <div className="text-center py-4">
+                      <div className="text-gray-400">No API tokens</div>
+                    </div>
+                  ) : (
+                    <div className="space-y-3">
+                      {apiTokens.map(apiToken => (
+                        <div key={apiToken.id} className="bg-gray-600 rounded-lg p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                          <div>
+                            <div className="text-white font-medium">
+                              {apiToken.name}
+                              <span className="ml-2 text-gray-400 text-xs font-mono">{apiToken.tokenPrefix}…</span>
+                            </div>
+                            <div className="flex flex-wrap gap-1 my-1">
+                              {apiToken.scopes.map(scope => (
+                                <span key={scope} className="px-2 py-0.5 bg-blue-600 text-white text-xs rounded">{scope}</span>
+                              ))}
+                            </div>
+                            <div className="text-gray-400 text-xs">
+                              {apiToken.lastUsedAt
+                                ? `Last used ${new Date(apiToken.lastUsedAt).toLocaleString()}${apiToken.lastUsedIp ? ` from ${apiToken.lastUsedIp}` : ''}`
+                                : 'Never used'}
+                              {' · '}
+                              {apiToken.expiresAt ? `Expires ${new Date(apiToken.expiresAt).toLocaleDateString()}` : 'Never expires'}
+                            </div>
+                          </div>
+                          <button
+                            onClick={() => handleRevokeApiToken(apiToken)}
+                            disabled={revokingApiToken === apiToken.id}
+                            className="bg-red-600 hover:bg-red-700 disabled:bg-red-800 text-white font-medium py-2 px-4 rounded-md transition duration-200 text-sm"
+                          >
+                            {revokingApiToken === apiToken.id ? 'Revoking...' : 'Revoke'}
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
                 <div className="bg-gray-700 rounded-lg p-6">
                   <h4 className="text-lg font-medium text-white mb-4">Security Information</h4>
                   
@@ -858,7 +1846,7 @@ const Profile = () => {
                     <div>
                       <span className="text-gray-400">Login Method:</span>
                       <span className="text-white ml-2">
-                        Email & Password
+                        {passkeys.length > 0 ? 'Passkey or Email & Password' : 'Email & Password'}
                       </span>
                     </div>
                   </div>
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+
+// Lost authenticator and recovery codes: request an emailed link, then
+// confirm the account password to turn two-factor authentication off
+const ResetTwoFactor = () => {
+  const [searchParams] = useSearchParams();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const navigate = useNavigate();
+
+  const token = searchParams.get('token');
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await fetch('/api/auth/2fa/reset-request', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setSuccess(data.message);
+        setEmail('');
+      } else {
+        setError(data.error || 'Failed to send two-factor reset email');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+      console.error('Two-factor reset request error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await fetch('/api/auth/2fa/reset', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token, password }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setSuccess(data.message);
+        setPassword('');
+
+        // Redirect to login after 3 seconds
+        setTimeout(() => {
+          navigate('/login');
+        }, 3000);
+      } else {
+        setError(data.error || 'Failed to reset two-factor authentication');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+      console.error('Two-factor reset error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 flex items-center justify-center">
+      <div className="bg-gray-800 p-8 rounded-lg shadow-lg w-full max-w-md">
+        <h2 className="text-3xl font-bold text-white mb-6 text-center">
+          Reset Two-Factor Authentication
+        </h2>
+
+        <p className="text-gray-300 text-center mb-6">
+          {token
+            ? 'Confirm your password to turn off two-factor authentication. You will be signed out of all devices.'
+            : "Lost your authenticator and recovery codes? Enter your email address and we'll send you a link to turn off two-factor authentication."}
+        </p>
+
+        <form onSubmit={token ? handleReset : handleRequest} className="space-y-4">
+          {error && (
+            <div className="bg-red-600 text-white p-3 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {success && (
+            <div className="bg-green-600 text-white p-3 rounded-md text-sm">
+              {success}
+            </div>
+          )}
+
+          {token ? (
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-300 mb-1">
+                Password
+              </label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="Enter your password"
+              />
+            </div>
+          ) : (
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-300 mb-1">
+                Email Address
+              </label>
+              <input
+                type="email"
+                id="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="Enter your email address"
+              />
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-medium py-2 px-4 rounded-md transition duration-200"
+          >
+            {token
+              ? (loading ? 'Resetting...' : 'Turn Off Two-Factor')
+              : (loading ? 'Sending...' : 'Send Reset Link')}
+          </button>
+        </form>
+
+        <div className="mt-6 text-center">
+          <Link to="/login" className="text-blue-400 hover:text-blue-300 text-sm">
+            Back to Login
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetTwoFactor;
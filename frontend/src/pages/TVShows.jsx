@@ -13,6 +13,7 @@ const TVShows = () => {
   const [episodes, setEpisodes] = useState([]);
   const [playingEpisode, setPlayingEpisode] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [hideWatched, setHideWatched] = useState(() => localStorage.getItem('hideWatchedShows') === 'true');
 
   useEffect(() => {
     fetchTVShows();
@@ -34,6 +35,7 @@ const TVShows = () => {
       const data = await response.json();
       console.log('📺 Fetched TV shows data:', data);
       setTvShows(data.tvShows || []);
+      return data.tvShows || [];
     } catch (err) {
       setError(err.message);
     } finally {
@@ -41,10 +43,10 @@ const TVShows = () => {
     }
   };
 
-  const fetchEpisodes = async (showTitle, seasonNumber) => {
+  const fetchEpisodes = async (showId, seasonNumber) => {
     try {
       const token = sessionStorage.getItem('token');
-      const response = await fetch(`/api/content/tv-shows/${encodeURIComponent(showTitle)}/season/${seasonNumber}`, {
+      const response = await fetch(`/api/content/tv-shows/${showId}/seasons/${seasonNumber}`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -75,7 +77,7 @@ const TVShows = () => {
       const firstSeason = show.seasons[0];
       console.log('📺 Auto-selecting season:', firstSeason.seasonNumber, 'for show:', show.title);
       setSelectedSeason(firstSeason.seasonNumber);
-      fetchEpisodes(show.title, firstSeason.seasonNumber);
+      fetchEpisodes(show.id, firstSeason.seasonNumber);
     }
   };
 
@@ -84,7 +86,7 @@ const TVShows = () => {
     setSelectedSeason(seasonNumber);
     setPlayingEpisode(null);
     if (selectedShow) {
-      fetchEpisodes(selectedShow.title, seasonNumber);
+      fetchEpisodes(selectedShow.id, seasonNumber);
     }
   };
 
@@ -95,6 +97,57 @@ const TVShows = () => {
 
   const handleClosePlayer = () => {
     setPlayingEpisode(null);
+    refreshWatchedState();
+  };
+
+  // Reload shows and the open season so watched flags and counts stay current
+  const refreshWatchedState = async () => {
+    const shows = await fetchTVShows();
+    if (selectedShow) {
+      setSelectedShow(shows?.find(show => show.id === selectedShow.id) || selectedShow);
+      if (selectedSeason !== null) {
+        fetchEpisodes(selectedShow.id, selectedSeason);
+      }
+    }
+  };
+
+  const updateWatched = async (url, body) => {
+    try {
+      const token = sessionStorage.getItem('token');
+      const response = await fetch(url, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to update watched state');
+      }
+
+      await refreshWatchedState();
+    } catch (err) {
+      console.error('Error updating watched state:', err);
+    }
+  };
+
+  const handleEpisodeWatched = (episode) => {
+    updateWatched(`/api/content/${episode.id}/watched`, { watched: !episode.watched });
+  };
+
+  const handleSeasonWatched = (watched) => {
+    updateWatched(`/api/content/tv-shows/${selectedShow.id}/watched`, { watched, seasonNumber: selectedSeason });
+  };
+
+  const handleShowWatched = (watched) => {
+    updateWatched(`/api/content/tv-shows/${selectedShow.id}/watched`, { watched });
+  };
+
+  const toggleHideWatched = () => {
+    localStorage.setItem('hideWatchedShows', String(!hideWatched));
+    setHideWatched(!hideWatched);
   };
 
   const handleBackToShows = () => {
@@ -105,9 +158,13 @@ const TVShows = () => {
   };
 
   const filteredShows = tvShows.filter(show =>
-    show.title.toLowerCase().includes(searchTerm.toLowerCase())
+    show.title.toLowerCase().includes(searchTerm.toLowerCase()) &&
+    (!hideWatched || !show.watched)
   );
 
+  const visibleEpisodes = episodes.filter(episode => !hideWatched || !episode.watched);
+  const currentSeason = selectedShow?.seasons.find(season => season.seasonNumber === selectedSeason);
+
   const formatDuration = (seconds) => {
     if (!seconds) return 'Unknown';
     const hours = Math.floor(seconds / 3600);
@@ -149,8 +206,10 @@ const TVShows = () => {
     <div className="tv-shows-page">
       {playingEpisode && (
         <MediaPlayer
+          key={playingEpisode.id}
           content={playingEpisode}
           onClose={handleClosePlayer}
+          onPlayNext={handleEpisodePlay}
         />
       )}
 
@@ -186,6 +245,13 @@ const TVShows = () => {
             </div>
           </div>
 
+          <div className="watched-filter">
+            <label className="hide-watched-toggle">
+              <input type="checkbox" checked={hideWatched} onChange={toggleHideWatched} />
+              Hide watched
+            </label>
+          </div>
+
           {filteredShows.length === 0 ? (
             <div className="no-content">
               <p>No TV shows found.</p>
@@ -194,7 +260,7 @@ const TVShows = () => {
             <div className="tv-shows-grid">
               {filteredShows.map((show) => (
                 <div
-                  key={show.title}
+                  key={show.id}
                   className="tv-show-card"
                   onClick={() => handleShowSelect(show)}
                 >
@@ -212,6 +278,11 @@ const TVShows = () => {
                         <div className="episode-count">
                           {show.totalEpisodes} Episode{show.totalEpisodes !== 1 ? 's' : ''}
                         </div>
+                        {show.watchedEpisodes > 0 && (
+                          <div className="watched-count">
+                            {show.watched ? '✓ Watched' : `${show.watchedEpisodes}/${show.totalEpisodes} watched`}
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -269,21 +340,40 @@ const TVShows = () => {
                 </select>
               </div>
             )}
+
+            <div className="watched-actions">
+              {currentSeason && (
+                <button className="watched-button" onClick={() => handleSeasonWatched(!currentSeason.watched)}>
+                  {currentSeason.watched ? 'Mark season unwatched' : 'Mark season watched'}
+                </button>
+              )}
+              <button className="watched-button" onClick={() => handleShowWatched(!selectedShow.watched)}>
+                {selectedShow.watched ? 'Mark show unwatched' : 'Mark show watched'}
+              </button>
+              <label className="hide-watched-toggle">
+                <input type="checkbox" checked={hideWatched} onChange={toggleHideWatched} />
+                Hide watched
+              </label>
+            </div>
           </div>
 
-          {episodes.length === 0 ? (
+          {visibleEpisodes.length === 0 ? (
             <div className="no-episodes">
-              <p>No episodes found for Season {selectedSeason}.</p>
+              <p>
+                {episodes.length > 0
+                  ? `You've watched every episode of Season ${selectedSeason}.`
+                  : `No episodes found for Season ${selectedSeason}.`}
+              </p>
               <p>Available seasons: {selectedShow.seasons.map(s => s.seasonNumber).join(', ')}</p>
             </div>
           ) : (
             <>
               <div className="season-header">
-                <h2>Season {selectedSeason} Episodes ({episodes.length})</h2>
+                <h2>Season {selectedSeason} Episodes ({visibleEpisodes.length})</h2>
               </div>
               <div className="episodes-list">
-                {episodes.map((episode) => (
-                <div key={episode.id} className="episode-card">
+                {visibleEpisodes.map((episode) => (
+                <div key={episode.id} className={`episode-card${episode.watched ? ' watched' : ''}`}>
                   <div className="episode-thumbnail">
                     {episode.thumbnail_path ? (
                       <img src={episode.thumbnail_path} alt={episode.title} />
@@ -309,6 +399,13 @@ const TVShows = () => {
                       {getRating(episode) && (
                         <div className="episode-rating">{getRating(episode)}</div>
                       )}
+                      <button
+                        className={`episode-watched-toggle${episode.watched ? ' active' : ''}`}
+                        onClick={() => handleEpisodeWatched(episode)}
+                        title={episode.watched ? 'Mark as unwatched' : 'Mark as watched'}
+                      >
+                        ✓
+                      </button>
                     </div>
                     
                     {episode.description && (
@@ -1,3 +1,5 @@
+import { startAuthentication } from '@simplewebauthn/browser';
+
 class AuthManager {
   constructor() {
     this.apiBaseUrl = ''; // Use relative URLs
@@ -247,7 +249,15 @@ class AuthManager {
 
       const data = await response.json();
 
-      if (response.ok && data.success) {
+      if (response.ok && data.success && (data.twoFactorRequired || data.twoFactorSetupRequired)) {
+        // Password accepted; a second step is needed before we get tokens
+        return {
+          success: false,
+          twoFactorRequired: data.twoFactorRequired,
+          twoFactorSetupRequired: data.twoFactorSetupRequired,
+          challengeToken: data.challengeToken
+        };
+      } else if (response.ok && data.success) {
         this.setAuth(data.token, data.refreshToken, data.user);
         return { success: true, user: data.user };
       } else {
@@ -259,6 +269,122 @@ class AuthManager {
     }
   }
 
+  // Passwordless login with a passkey. useBrowserAutofill waits for the user
+  // to pick a passkey from the email field's autofill list instead of prompting.
+  async loginWithPasskey({ useBrowserAutofill = false } = {}) {
+    try {
+      const optionsResponse = await fetch(`${this.apiBaseUrl}/api/auth/passkey/options`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+      const optionsData = await optionsResponse.json();
+      if (!optionsResponse.ok || !optionsData.success) {
+        return { success: false, error: optionsData.error || 'Failed to start passkey sign in' };
+      }
+
+      const assertion = await startAuthentication({ optionsJSON: optionsData.options, useBrowserAutofill });
+
+      const response = await fetch(`${this.apiBaseUrl}/api/auth/passkey/login`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ challengeToken: optionsData.challengeToken, response: assertion })
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        this.setAuth(data.token, data.refreshToken, data.user);
+        return { success: true, user: data.user };
+      } else {
+        return { success: false, error: data.error || 'Passkey sign in failed' };
+      }
+    } catch (error) {
+      // Cancelled prompts and aborted autofill requests aren't worth reporting
+      if (error.name === 'NotAllowedError' || error.name === 'AbortError' || error.code === 'ERROR_CEREMONY_ABORTED') {
+        return { success: false, cancelled: true };
+      }
+      console.error('Passkey login error:', error);
+      return { success: false, error: 'Passkey sign in failed. Please try again.' };
+    }
+  }
+
+  // Login step two: authenticator code or recovery code
+  async completeTwoFactorLogin(challengeToken, { code, recoveryCode }) {
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/api/auth/login/2fa`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ challengeToken, code, recoveryCode })
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        this.setAuth(data.token, data.refreshToken, data.user);
+        return { success: true, user: data.user, twoFactorMethod: data.twoFactorMethod };
+      } else {
+        return { success: false, error: data.error || 'Verification failed' };
+      }
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }
+
+  // Enrollment during login when the account's role requires 2FA
+  async beginTwoFactorSetup(challengeToken) {
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/api/auth/login/2fa/setup`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ challengeToken })
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        return { success: true, secret: data.secret, qrCode: data.qrCode };
+      } else {
+        return { success: false, error: data.error || 'Failed to start two-factor setup' };
+      }
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }
+
+  async completeTwoFactorSetup(challengeToken, code) {
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/api/auth/login/2fa/enable`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ challengeToken, code })
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        this.setAuth(data.token, data.refreshToken, data.user);
+        return { success: true, user: data.user, recoveryCodes: data.recoveryCodes };
+      } else {
+        return { success: false, error: data.error || 'Failed to enable two-factor authentication' };
+      }
+    } catch (error) {
+      console.error('Two-factor enable error:', error);
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }
+
   // Get current authentication state
   getAuthState() {
     return {
@@ -0,0 +1,38 @@
+/**
+ * Permission helpers. The server sends the permissions a user's role grants
+ * as user.permissions; sessions stored before that only have role/is_admin.
+ */
+
+// Any of these gives access to some part of the Admin page
+export const ADMIN_PERMISSIONS = ['manage-users', 'view-analytics', 'manage-transcoding', 'manage-settings'];
+
+// Any of these gives access to the Content page
+export const CONTENT_PERMISSIONS = ['upload', 'publish', 'delete'];
+
+const LEGACY_ROLE_PERMISSIONS = {
+  admin: [...CONTENT_PERMISSIONS, ...ADMIN_PERMISSIONS],
+  manager: CONTENT_PERMISSIONS,
+  user: []
+};
+
+/**
+ * Check whether a user's role grants a permission
+ * @param {Object} user - User object from the auth state
+ * @param {string} permission - Permission key, e.g. 'upload'
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => {
+  if (!user) return false;
+  if (user.is_admin) return true;
+  const permissions = Array.isArray(user.permissions)
+    ? user.permissions
+    : LEGACY_ROLE_PERMISSIONS[user.role] || [];
+  return permissions.includes(permission);
+};
+
+export const hasAnyPermission = (user, permissions) =>
+  permissions.some(permission => hasPermission(user, permission));
+
+export const canAccessAdmin = (user) => hasAnyPermission(user, ADMIN_PERMISSIONS);
+
+export const canManageContent = (user) => hasAnyPermission(user, CONTENT_PERMISSIONS);
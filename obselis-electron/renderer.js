@@ -78,6 +78,8 @@ const mediaDescription = document.getElementById('mediaDescription')
 const mediaType = document.getElementById('mediaType')
 const mediaSize = document.getElementById('mediaSize')
 const mediaDuration = document.getElementById('mediaDuration')
+const subtitleSelect = document.getElementById('subtitleSelect')
+const upNextOverlay = document.getElementById('upNextOverlay')
 
 // Title bar controls
 const minimizeBtn = document.getElementById('minimizeBtn')
@@ -999,36 +1001,48 @@ function renderMovies() {
 // Global variables for series management
 let currentSeries = null
 let currentSeason = 1
+let tvShowLibrary = [] // shows -> seasons -> episodes, as organized by the server
 
-function renderTVShows() {
+async function loadTVShowLibrary() {
+    try {
+        const response = await fetch(`${serverUrl}/api/content/tv-shows`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        })
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`)
+        }
+        
+        const data = await response.json()
+        tvShowLibrary = data.tvShows || []
+    } catch (error) {
+        console.error('📺 Failed to load TV shows:', error)
+        tvShowLibrary = []
+    }
+    
+    return tvShowLibrary
+}
+
+async function renderTVShows() {
     console.log('📺 Rendering TV Shows in Library View')
     
     // Show the series library view
     showSeriesLibraryView()
     
-    if (!allContent || allContent.length === 0) {
-        seriesGrid.innerHTML = '<div class="no-content"><div class="no-content-icon">📺</div><h3>No Content</h3><p>Content not loaded yet</p></div>'
-        return
-    }
-    
-    const tvShows = allContent.filter(item => item.category === 'tv-show')
-    
-    if (tvShows.length === 0) {
+    const shows = await loadTVShowLibrary()
+    renderSeriesCards(shows)
+}
+
+function renderSeriesCards(shows) {
+    if (shows.length === 0) {
         seriesGrid.innerHTML = '<div class="no-content"><div class="no-content-icon">📺</div><h3>No TV Shows</h3><p>No TV shows found in your library</p></div>'
         document.getElementById('noTVShows')?.classList.remove('hidden')
         return
     }
     
     document.getElementById('noTVShows')?.classList.add('hidden')
+    console.log('📺 Found series:', shows.map(show => show.title))
     
-    // Group TV shows by series name
-    const groupedShows = groupTVShowsByName(tvShows)
-    console.log('📺 Found series:', Object.keys(groupedShows))
-    
-    // Render series cards
-    seriesGrid.innerHTML = Object.keys(groupedShows).map(seriesName => 
-        createSeriesCard(seriesName, groupedShows[seriesName])
-    ).join('')
+    seriesGrid.innerHTML = shows.map(show => createSeriesCard(show)).join('')
 }
 
 // View management functions
@@ -1043,26 +1057,21 @@ function showSeriesDetailView() {
 }
 
 // Create a series card for the library view
-function createSeriesCard(seriesName, seriesData) {
-    // Calculate total episodes and seasons
-    const seasonNumbers = Object.keys(seriesData.seasons).map(n => parseInt(n)).filter(n => !isNaN(n))
-    const totalSeasons = seasonNumbers.length
-    const totalEpisodes = Object.values(seriesData.seasons).reduce((total, episodes) => total + episodes.length, 0) + seriesData.episodes.length
-    
-    // Get first episode for thumbnail (if available)
-    const firstEpisode = Object.values(seriesData.seasons)[0]?.[0] || seriesData.episodes[0]
-    const thumbnailUrl = firstEpisode?.thumbnail_path ? `${serverUrl}${firstEpisode.thumbnail_path}` : null
+function createSeriesCard(show) {
+    const totalSeasons = show.seasons.length
+    const totalEpisodes = show.totalEpisodes
+    const thumbnailUrl = show.thumbnail ? `${serverUrl}${show.thumbnail}` : null
     
     return `
-        <div class="series-card" onclick="openSeriesDetail('${seriesName}')">
+        <div class="series-card" onclick="openSeriesDetail(${show.id})">
             <div class="series-poster">
                 ${thumbnailUrl 
-                    ? `<img src="${thumbnailUrl}" alt="${seriesName}" onerror="this.style.display='none'; this.parentNode.innerHTML='📺'">`
+                    ? `<img src="${thumbnailUrl}" alt="${show.title}" onerror="this.style.display='none'; this.parentNode.innerHTML='📺'">`
                     : '📺'
                 }
             </div>
             <div class="series-card-info">
-                <h3 class="series-card-title">${seriesName}</h3>
+                <h3 class="series-card-title">${show.title}</h3>
                 <div class="series-card-meta">
                     <span>${totalSeasons} Season${totalSeasons !== 1 ? 's' : ''}</span>
                     <span>${totalEpisodes} Episode${totalEpisodes !== 1 ? 's' : ''}</span>
@@ -1076,13 +1085,11 @@ function createSeriesCard(seriesName, seriesData) {
 }
 
 // Open series detail view
-function openSeriesDetail(seriesName) {
-    const tvShows = allContent.filter(item => item.category === 'tv-show')
-    const groupedShows = groupTVShowsByName(tvShows)
-    const seriesData = groupedShows[seriesName]
+function openSeriesDetail(showId) {
+    const seriesData = tvShowLibrary.find(show => show.id === showId)
     
     if (!seriesData) {
-        console.error('Series not found:', seriesName)
+        console.error('Series not found:', showId)
         return
     }
     
@@ -1090,12 +1097,12 @@ function openSeriesDetail(seriesName) {
     currentSeason = 1
     
     // Update series info
-    document.getElementById('seriesTitle').textContent = seriesName
+    document.getElementById('seriesTitle').textContent = seriesData.title
     
     // Calculate stats
-    const seasonNumbers = Object.keys(seriesData.seasons).map(n => parseInt(n)).filter(n => !isNaN(n)).sort((a, b) => a - b)
+    const seasonNumbers = seriesData.seasons.map(season => season.seasonNumber)
     const totalSeasons = seasonNumbers.length
-    const totalEpisodes = Object.values(seriesData.seasons).reduce((total, episodes) => total + episodes.length, 0) + seriesData.episodes.length
+    const totalEpisodes = seriesData.totalEpisodes
     
     document.getElementById('seriesEpisodeCount').textContent = `${totalEpisodes} Episode${totalEpisodes !== 1 ? 's' : ''}`
     document.getElementById('seriesSeasonCount').textContent = `${totalSeasons} Season${totalSeasons !== 1 ? 's' : ''}`
@@ -1129,19 +1136,9 @@ function renderCurrentSeasonEpisodes() {
     if (!currentSeries) return
     
     const episodesGrid = document.getElementById('episodesGrid')
-    let episodes = []
-    let seasonInfo = ''
-    
-    if (currentSeason === 'episodes') {
-        episodes = currentSeries.episodes
-        seasonInfo = `${episodes.length} episode${episodes.length !== 1 ? 's' : ''}`
-    } else {
-        episodes = currentSeries.seasons[currentSeason] || []
-        seasonInfo = `${episodes.length} episode${episodes.length !== 1 ? 's' : ''}`
-    }
-    
-    // Sort episodes by episode number
-    episodes.sort((a, b) => (a.episode_number || 0) - (b.episode_number || 0))
+    const season = currentSeries.seasons.find(s => s.seasonNumber === currentSeason)
+    const episodes = season ? season.episodes : []
+    const seasonInfo = `${episodes.length} episode${episodes.length !== 1 ? 's' : ''}`
     
     // Update season info
     document.getElementById('currentSeasonInfo').textContent = seasonInfo
@@ -1183,6 +1180,7 @@ function createEpisodeCard(episode) {
     `
 }
 
+// Downloaded files only carry their filenames, so offline series are still grouped by name
 function normalizeShowName(showName) {
     if (!showName) return 'Unknown Show'
     
@@ -1205,36 +1203,6 @@ function normalizeShowName(showName) {
         .join(' ')
 }
 
-function groupTVShowsByName(tvShows) {
-    const grouped = {}
-    
-    tvShows.forEach(item => {
-        const rawShowName = item.tv_show_name || item.title || 'Unknown Show'
-        const normalizedShowName = normalizeShowName(rawShowName)
-        
-        console.log(`📺 Normalizing "${rawShowName}" → "${normalizedShowName}"`)
-        
-        if (!grouped[normalizedShowName]) {
-            grouped[normalizedShowName] = {
-                name: normalizedShowName,
-                seasons: {},
-                episodes: []
-            }
-        }
-        
-        if (item.season_number) {
-            if (!grouped[normalizedShowName].seasons[item.season_number]) {
-                grouped[normalizedShowName].seasons[item.season_number] = []
-            }
-            grouped[normalizedShowName].seasons[item.season_number].push(item)
-        } else {
-            grouped[normalizedShowName].episodes.push(item)
-        }
-    })
-    
-    return grouped
-}
-
 // Offline Content Functions
 async function loadOfflineContent() {
     console.log('📱 Loading offline content...')
@@ -2093,6 +2061,9 @@ function openMediaPlayer(content) {
         }
         videoPlayer.appendChild(source)
         
+        // Subtitle <track> elements go after the source
+        loadSubtitleTracks(contentId)
+        
         // Add comprehensive error handling
         videoPlayer.onerror = (e) => {
             console.error('🚨 Video player error event:', e)
@@ -2148,6 +2119,7 @@ function openMediaPlayer(content) {
         videoPlayer.onstalled = () => console.log('🎥 Video stalled')
         videoPlayer.onsuspend = () => console.log('🎥 Video suspended')
         videoPlayer.onabort = () => console.log('🎥 Video aborted')
+        videoPlayer.onended = () => startUpNextCountdown(contentId)
         
         // Try direct src approach as fallback
         console.log('🎥 Trying direct src approach as well...')
@@ -2294,8 +2266,108 @@ function openMediaPlayer(content) {
     }, 100)
 }
 
+// Fetch WebVTT subtitle tracks and offer them in the player's subtitle menu
+async function loadSubtitleTracks(contentId) {
+    subtitleSelect.style.display = 'none'
+    subtitleSelect.innerHTML = ''
+    
+    try {
+        const response = await fetch(`${serverUrl}/api/content/${contentId}/subtitles`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        })
+        if (!response.ok) return
+        
+        const data = await response.json()
+        const tracks = data.tracks || []
+        if (tracks.length === 0) return
+        
+        subtitleSelect.appendChild(new Option('Subtitles: Off', 'off'))
+        
+        tracks.forEach(track => {
+            const trackElement = document.createElement('track')
+            trackElement.id = `subtitle-${track.id}`
+            trackElement.kind = 'subtitles'
+            trackElement.label = track.label
+            if (track.language) trackElement.srclang = track.language
+            trackElement.src = `${serverUrl}/api/content/${contentId}/subtitles/${track.id}.vtt?token=${encodeURIComponent(authToken)}`
+            videoPlayer.appendChild(trackElement)
+            
+            subtitleSelect.appendChild(new Option(track.label, String(track.id)))
+        })
+        
+        // Forced subtitles cover foreign-language dialogue, so they start enabled
+        const forcedTrack = tracks.find(track => track.is_forced)
+        subtitleSelect.value = forcedTrack ? String(forcedTrack.id) : 'off'
+        subtitleSelect.onchange = () => setActiveSubtitle(subtitleSelect.value)
+        setActiveSubtitle(subtitleSelect.value)
+        
+        subtitleSelect.style.display = 'block'
+        console.log(`💬 Loaded ${tracks.length} subtitle track(s)`)
+    } catch (error) {
+        console.error('Failed to load subtitles:', error)
+    }
+}
+
+function setActiveSubtitle(trackId) {
+    for (let i = 0; i < videoPlayer.textTracks.length; i++) {
+        const textTrack = videoPlayer.textTracks[i]
+        textTrack.mode = textTrack.id === `subtitle-${trackId}` ? 'showing' : 'disabled'
+    }
+}
+
+// Next episode autoplay
+let upNextTimer = null
+
+async function startUpNextCountdown(contentId) {
+    try {
+        const response = await fetch(`${serverUrl}/api/content/${contentId}/next-episode`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        })
+        if (!response.ok) return
+        
+        const data = await response.json()
+        const next = data.next
+        if (!next || mediaPlayer.classList.contains('hidden')) return
+        
+        const episodeLabel = next.season_number != null && next.episode_number != null
+            ? `S${next.season_number}E${next.episode_number} · `
+            : ''
+        document.getElementById('upNextTitle').textContent = `${episodeLabel}${next.episode_title || next.title}`
+        
+        let remaining = 10
+        const countdown = document.getElementById('upNextCountdown')
+        countdown.textContent = remaining
+        upNextOverlay.style.display = 'block'
+        
+        const playNext = () => {
+            cancelUpNext()
+            playContent(next.id)
+        }
+        document.getElementById('upNextPlay').onclick = playNext
+        document.getElementById('upNextCancel').onclick = cancelUpNext
+        
+        clearInterval(upNextTimer)
+        upNextTimer = setInterval(() => {
+            remaining--
+            countdown.textContent = remaining
+            if (remaining <= 0) playNext()
+        }, 1000)
+    } catch (error) {
+        console.error('Failed to load next episode:', error)
+    }
+}
+
+function cancelUpNext() {
+    clearInterval(upNextTimer)
+    upNextTimer = null
+    upNextOverlay.style.display = 'none'
+}
+
 function closeMediaPlayer() {
+    cancelUpNext()
     mediaPlayer.classList.add('hidden')
+    subtitleSelect.style.display = 'none'
+    videoPlayer.querySelectorAll('track').forEach(track => track.remove())
     
     // Stop all media
     videoPlayer.pause()
@@ -2504,25 +2576,16 @@ function setupEventListeners() {
     if (tvSearch) {
         tvSearch.addEventListener('input', (e) => {
             const searchTerm = e.target.value.toLowerCase()
-            const tvShows = allContent.filter(item => 
-                item.category === 'tv-show' &&
-                (!searchTerm || 
-                 (item.title && item.title.toLowerCase().includes(searchTerm)) ||
-                 (item.original_filename && item.original_filename.toLowerCase().includes(searchTerm)) ||
-                 (item.tv_show_name && item.tv_show_name.toLowerCase().includes(searchTerm)))
+            const shows = tvShowLibrary.filter(show => 
+                !searchTerm ||
+                show.title.toLowerCase().includes(searchTerm) ||
+                show.seasons.some(season => season.episodes.some(episode =>
+                    (episode.title && episode.title.toLowerCase().includes(searchTerm)) ||
+                    (episode.original_filename && episode.original_filename.toLowerCase().includes(searchTerm))
+                ))
             )
             
-            if (tvShows.length === 0) {
-                seriesGrid.innerHTML = ''
-                document.getElementById('noTVShows').classList.remove('hidden')
-            } else {
-                document.getElementById('noTVShows').classList.add('hidden')
-                // Group and render series cards for search results
-                const groupedShows = groupTVShowsByName(tvShows)
-                seriesGrid.innerHTML = Object.keys(groupedShows).map(seriesName => 
-                    createSeriesCard(seriesName, groupedShows[seriesName])
-                ).join('')
-            }
+            renderSeriesCards(shows)
         })
     }
     
@@ -2550,7 +2613,7 @@ function setupEventListeners() {
     const seasonSelect = document.getElementById('seasonSelect')
     if (seasonSelect) {
         seasonSelect.addEventListener('change', (e) => {
-            currentSeason = e.target.value === 'episodes' ? 'episodes' : parseInt(e.target.value)
+            currentSeason = parseInt(e.target.value)
             renderCurrentSeasonEpisodes()
         })
     }